@@ -0,0 +1,374 @@
+/**
+ * Claim Controller
+ * Handles supplier claims for failed inspections, rejections and receiving
+ * discrepancies: raising and valuing them, the supplier's response,
+ * resolution and closure
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AppError } from '../utils/AppError.ts';
+import claimRepository from '../db/repositories/ClaimRepository.js';
+import type {
+  SupplierClaim,
+  ClaimDocument,
+  ClaimFilter,
+  SupplierClaimSummary,
+  ClaimCandidate,
+} from '../db/repositories/ClaimRepository.js';
+import receiptRepository from '../db/repositories/ReceiptRepository.js';
+import { shipmentRepository } from '../db/repositories/index.js';
+import { costingRepository } from '../db/repositories/CostingRepository.js';
+import type { ImportCostEstimate } from '../db/repositories/CostingRepository.js';
+import DocumentNumberController from './DocumentNumberController.js';
+import { ShipmentEventRepository } from '../db/repositories/ShipmentEventRepository.ts';
+import { SHIPMENT_EVENT_TYPES } from '../../src/utils/shipmentEvents.js';
+import {
+  CLAIM_SOURCES,
+  canTransition,
+  statusLabel,
+  unitLandedCost,
+  claimValue,
+  defaultAffectedQuantity,
+} from '../../src/utils/supplierClaims.js';
+
+const __filename: string = fileURLToPath(import.meta.url);
+const __dirname: string = path.dirname(__filename);
+
+// Claim photos and documents are kept in a folder per claim
+const CLAIMS_DIR: string = path.join(__dirname, '../uploads/claims');
+
+export interface NewClaim {
+  shipmentId: string;
+  source: string;
+  description: string;
+  affectedQuantity?: number | null;
+  backorderId?: number | null;
+  costEstimateId?: string | null;
+}
+
+export interface ClaimResolution {
+  resolutionType: string;
+  resolutionReference?: string | null;
+  resolutionValue?: number | null;
+  resolutionNotes?: string | null;
+}
+
+// An uploaded file with the safe name it is stored under
+export interface ClaimUpload {
+  originalName: string;
+  storedName: string;
+  buffer: Buffer;
+  size: number;
+  mimeType: string;
+}
+
+export interface ClaimDetail extends SupplierClaim {
+  documents: ClaimDocument[];
+}
+
+export default class ClaimController {
+  static async getClaims(filter: ClaimFilter = {}): Promise<SupplierClaim[]> {
+    return claimRepository.findAll(filter);
+  }
+
+  static async getClaim(id: number): Promise<ClaimDetail> {
+    const claim = await claimRepository.findById(id);
+    if (!claim) throw AppError.notFound(`Claim ${id} not found`);
+    const documents = await claimRepository.findDocuments(id);
+    return { ...claim, documents };
+  }
+
+  static async getSummary(): Promise<SupplierClaimSummary[]> {
+    return claimRepository.summaryBySupplier();
+  }
+
+  static async getCandidates(): Promise<ClaimCandidate[]> {
+    return claimRepository.findCandidates();
+  }
+
+  /**
+   * The estimate a claim is valued from: the one asked for, which has to
+   * belong to the shipment, or else the shipment's most recent estimate
+   */
+  private static async findEstimate(shipmentId: string, estimateId?: string | null): Promise<ImportCostEstimate | null> {
+    if (estimateId) {
+      const estimate = await costingRepository.findById(estimateId);
+      if (!estimate || estimate.shipment_id !== shipmentId) {
+        throw AppError.badRequest(`Cost estimate ${estimateId} is not linked to this shipment`);
+      }
+      return estimate;
+    }
+    const [latest] = await costingRepository.findByShipmentId(shipmentId);
+    return latest || null;
+  }
+
+  /**
+   * Raise a claim against a shipment's supplier. It takes the next claim
+   * number and is valued at the affected quantity (by default what is
+   * outstanding, or everything received) times the unit landed cost from
+   * the shipment's cost estimate; without an estimate it has no value yet.
+   */
+  static async openClaim(data: NewClaim, actor?: string): Promise<SupplierClaim> {
+    if (!CLAIM_SOURCES.some(s => s.value === data.source)) {
+      throw AppError.badRequest(`Unknown claim source ${data.source}`);
+    }
+    const description = String(data.description || '').trim();
+    if (!description) throw AppError.badRequest('A description of the problem is required');
+
+    const shipment = await shipmentRepository.findById(data.shipmentId);
+    if (!shipment) throw AppError.notFound(`Shipment with ID ${data.shipmentId} not found`);
+
+    const backorder = data.backorderId
+      ? await receiptRepository.findBackorder(data.backorderId)
+      : await receiptRepository.findBackorderByShipment(shipment.id);
+    if (data.backorderId && (!backorder || backorder.shipment_id !== shipment.id)) {
+      throw AppError.badRequest(`Backorder ${data.backorderId} is not on this shipment`);
+    }
+
+    const affectedQuantity = data.affectedQuantity ?? defaultAffectedQuantity(shipment, data.source, backorder);
+    if (!Number.isInteger(Number(affectedQuantity)) || Number(affectedQuantity) < 0) {
+      throw AppError.badRequest('Affected quantity must be a whole number of zero or more');
+    }
+
+    const estimate = await this.findEstimate(shipment.id, data.costEstimateId);
+    const unitCost = unitLandedCost(estimate, shipment.quantity);
+
+    const issued = await DocumentNumberController.issue('CLAIM', { entityType: 'supplier_claim' }, actor);
+    let claim: SupplierClaim;
+    try {
+      claim = await claimRepository.create({
+        claimNumber: issued.number,
+        shipmentId: shipment.id,
+        backorderId: data.source === 'receiving' ? backorder?.id ?? null : null,
+        costEstimateId: estimate?.id ?? null,
+        supplier: shipment.supplier,
+        orderRef: shipment.order_ref,
+        productName: shipment.product_name,
+        source: data.source,
+        description,
+        affectedQuantity: Number(affectedQuantity),
+        unitCost,
+        claimValue: claimValue(affectedQuantity, unitCost),
+        createdBy: actor,
+      });
+    } catch (error) {
+      await DocumentNumberController.voidNumber(issued.id, 'Claim was not saved', actor);
+      throw error;
+    }
+    await DocumentNumberController.attach(issued.id, 'supplier_claim', String(claim.id));
+
+    await ShipmentEventRepository.record({
+      shipment_id: shipment.id,
+      event_type: SHIPMENT_EVENT_TYPES.CLAIM_OPENED,
+      to_value: claim.claim_number,
+      details: { source: claim.source, affectedQuantity: claim.affected_quantity, claimValue: claim.claim_value },
+      actor,
+    });
+    return claim;
+  }
+
+  /**
+   * Correct a claim's description, quantity or estimate before the supplier
+   * has responded; the value is worked out again
+   */
+  static async updateClaim(
+    id: number,
+    data: { description?: string; affectedQuantity?: number; costEstimateId?: string | null }
+  ): Promise<SupplierClaim> {
+    const claim = await this.findClaim(id);
+    if (claim.status !== 'open') {
+      throw AppError.conflict(`Claim ${claim.claim_number} is ${statusLabel(claim.status).toLowerCase()} and can no longer be changed`);
+    }
+
+    const description = data.description === undefined ? claim.description : String(data.description).trim();
+    if (!description) throw AppError.badRequest('A description of the problem is required');
+    const affectedQuantity = data.affectedQuantity ?? claim.affected_quantity;
+
+    let unitCost = claim.unit_cost;
+    let costEstimateId = claim.cost_estimate_id;
+    if (data.costEstimateId !== undefined && claim.shipment_id) {
+      const shipment = await shipmentRepository.findById(claim.shipment_id);
+      const estimate = await this.findEstimate(claim.shipment_id, data.costEstimateId);
+      unitCost = unitLandedCost(estimate, shipment?.quantity);
+      costEstimateId = estimate?.id ?? null;
+    }
+
+    const updated = await claimRepository.update(id, {
+      description,
+      affectedQuantity,
+      costEstimateId,
+      unitCost,
+      claimValue: claimValue(affectedQuantity, unitCost),
+    }, 'open');
+    if (!updated) throw AppError.conflict(`Claim ${claim.claim_number} has changed since it was loaded; refresh and try again`);
+    return updated;
+  }
+
+  /**
+   * The supplier's answer from the portal: acknowledged or disputed, with
+   * their note. Only claims against that supplier can be answered.
+   */
+  static async respond(
+    id: number,
+    supplierId: string,
+    response: 'acknowledged' | 'disputed',
+    notes: string | null | undefined,
+    respondedBy: string
+  ): Promise<SupplierClaim> {
+    const claim = await claimRepository.findById(id);
+    if (!claim || claim.supplier_id !== supplierId || claim.status === 'cancelled') {
+      throw AppError.notFound(`Claim ${id} not found`);
+    }
+    const text = String(notes || '').trim();
+    if (response === 'disputed' && !text) throw AppError.badRequest('Please say why the claim is disputed');
+
+    return this.moveTo(claim, response, {
+      supplierResponse: text || claim.supplier_response,
+      respondedBy,
+      respondedAt: new Date(),
+    }, respondedBy);
+  }
+
+  /**
+   * Settle a claim by credit note, replacement shipment or return
+   */
+  static async resolve(id: number, resolution: ClaimResolution, actor?: string): Promise<SupplierClaim> {
+    const claim = await this.findClaim(id);
+    return this.moveTo(claim, 'resolved', {
+      resolutionType: resolution.resolutionType,
+      resolutionReference: resolution.resolutionReference || null,
+      // Unless stated otherwise the supplier made good the full claim
+      resolutionValue: resolution.resolutionValue ?? claim.claim_value,
+      resolutionNotes: resolution.resolutionNotes || null,
+      resolvedBy: actor || null,
+      resolvedAt: new Date(),
+    }, actor);
+  }
+
+  /**
+   * Close a resolved claim once the credit, replacement or return has been
+   * seen through
+   */
+  static async close(id: number, actor?: string): Promise<SupplierClaim> {
+    const claim = await this.findClaim(id);
+    return this.moveTo(claim, 'closed', { closedBy: actor || null, closedAt: new Date() }, actor);
+  }
+
+  /**
+   * Withdraw a claim raised in error; notes say why
+   */
+  static async cancel(id: number, notes: string, actor?: string): Promise<SupplierClaim> {
+    const reason = String(notes || '').trim();
+    if (!reason) throw AppError.badRequest('A note is required to cancel a claim');
+    const claim = await this.findClaim(id);
+    return this.moveTo(claim, 'cancelled', {
+      resolutionNotes: reason,
+      closedBy: actor || null,
+      closedAt: new Date(),
+    }, actor);
+  }
+
+  static async getDocument(id: number, documentId: number): Promise<ClaimDocument> {
+    const document = await claimRepository.findDocument(id, documentId);
+    if (!document) throw AppError.notFound(`Document ${documentId} not found on claim ${id}`);
+    return document;
+  }
+
+  /**
+   * A supplier's view of a claim against them, with its documents
+   */
+  static async getSupplierClaim(id: number, supplierId: string): Promise<ClaimDetail> {
+    const claim = await claimRepository.findById(id);
+    if (!claim || claim.supplier_id !== supplierId || claim.status === 'cancelled') {
+      throw AppError.notFound(`Claim ${id} not found`);
+    }
+    const documents = await claimRepository.findDocuments(id);
+    return { ...claim, documents };
+  }
+
+  static async getSupplierClaims(supplierId: string): Promise<SupplierClaim[]> {
+    return claimRepository.findBySupplier(supplierId);
+  }
+
+  /**
+   * Where a claim document is stored on disk
+   */
+  static documentPath(document: ClaimDocument): string {
+    const baseDir = path.resolve(CLAIMS_DIR, String(document.claim_id));
+    const filePath = path.resolve(baseDir, document.file_path);
+    if (!filePath.startsWith(baseDir)) throw AppError.badRequest('Invalid file path');
+    return filePath;
+  }
+
+  /**
+   * Attach uploaded photos and documents to a claim that is still being
+   * dealt with. With a supplierId the claim has to be against that supplier
+   * (uploads from the supplier portal).
+   */
+  static async addDocuments(
+    id: number,
+    files: ClaimUpload[],
+    details: { description?: string | null; uploadedBy?: string | null; supplierId?: string } = {}
+  ): Promise<ClaimDocument[]> {
+    const claim = await claimRepository.findById(id);
+    if (!claim || (details.supplierId && claim.supplier_id !== details.supplierId)) {
+      throw AppError.notFound(`Claim ${id} not found`);
+    }
+    if (claim.status === 'closed' || claim.status === 'cancelled') {
+      throw AppError.conflict(`Claim ${claim.claim_number} is ${claim.status}; no more documents can be added`);
+    }
+
+    const claimDir = path.join(CLAIMS_DIR, String(claim.id));
+    await fs.mkdir(claimDir, { recursive: true });
+
+    const documents: ClaimDocument[] = [];
+    for (const file of files) {
+      await fs.writeFile(path.join(claimDir, file.storedName), file.buffer);
+      documents.push(await claimRepository.addDocument(claim.id, {
+        fileName: file.originalName,
+        filePath: file.storedName,
+        fileSize: file.size,
+        mimeType: file.mimeType,
+        description: details.description,
+        uploadedBy: details.uploadedBy,
+        fromSupplier: Boolean(details.supplierId),
+      }));
+    }
+    return documents;
+  }
+
+  private static async findClaim(id: number): Promise<SupplierClaim> {
+    const claim = await claimRepository.findById(id);
+    if (!claim) throw AppError.notFound(`Claim ${id} not found`);
+    return claim;
+  }
+
+  private static async moveTo(
+    claim: SupplierClaim,
+    status: SupplierClaim['status'],
+    changes: Record<string, any>,
+    actor?: string
+  ): Promise<SupplierClaim> {
+    if (!canTransition(claim.status, status)) {
+      throw AppError.conflict(
+        `Claim ${claim.claim_number} is ${statusLabel(claim.status).toLowerCase()} and can't be ${statusLabel(status).toLowerCase()}`
+      );
+    }
+    const updated = await claimRepository.update(claim.id, { ...changes, status }, claim.status);
+    if (!updated) throw AppError.conflict(`Claim ${claim.claim_number} has changed since it was loaded; refresh and try again`);
+
+    if (claim.shipment_id) {
+      await ShipmentEventRepository.record({
+        shipment_id: claim.shipment_id,
+        event_type: SHIPMENT_EVENT_TYPES.CLAIM_UPDATED,
+        from_value: claim.status,
+        to_value: status,
+        details: { claimNumber: claim.claim_number },
+        actor,
+      });
+    }
+    return updated;
+  }
+}
@@ -3,8 +3,33 @@
  * Business logic for import cost estimates
  */
 
-import { costingRepository, ImportCostEstimate } from '../db/repositories/CostingRepository.js';
+import { costingRepository, ImportCostEstimate, InvoiceLineActual, LinkedEstimate } from '../db/repositories/CostingRepository.js';
 import ExchangeRateService from '../services/ExchangeRateService.js';
+import RateTableController from './RateTableController.js';
+import TariffController, { DUTY_OVERRIDE_ACTION } from './TariffController.js';
+import DocumentNumberController from './DocumentNumberController.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import {
+  productLandedCostRepository,
+  LandedCostFilters,
+  LandedCostGroup,
+} from '../db/repositories/ProductLandedCostRepository.js';
+import {
+  calculateAllTotals,
+  calculateProductLandedCosts,
+  applyTariffRates,
+  getCatalogueDutyRates,
+  CostingTotals,
+} from '../../src/utils/costingCalculations.js';
+import { logWarn } from '../utils/logger.js';
+import { reconcileEstimate, Reconciliation, ReconciliationOptions } from '../../src/utils/costReconciliation.js';
+
+// Authenticated user making a change, for the audit log
+export interface RequestUser {
+  id: string;
+  username?: string;
+  email?: string;
+}
 
 export interface CostingFilterParams {
   status?: string;
@@ -15,25 +40,58 @@ export interface CostingFilterParams {
   limit?: number;
 }
 
-export interface CalculatedTotals {
-  total_gross_weight_kg: number;
-  customs_value_zar: number;
-  ocean_freight_zar: number;
-  total_ocean_freight_zar: number;
-  origin_charge_zar: number;
-  total_origin_charges_zar: number;
-  local_charges_subtotal_zar: number;
-  destination_charges_subtotal_zar: number;
-  warehouse_handling_fee_zar?: number;
-  warehouse_storage_fee_zar?: number;
-  warehouse_charges_subtotal_zar?: number;
-  agency_fee_zar: number;
-  customs_subtotal_zar: number;
-  total_shipping_cost_zar: number;
-  total_in_warehouse_cost_zar: number;
-  total_landed_cost_zar: number;
-  all_in_warehouse_cost_per_kg_zar: number;
-  overhead_cost_per_kg_zar: number;
+// Persisted totals produced by the shared costing engine
+export type CalculatedTotals = Omit<CostingTotals, `_${string}`>;
+
+export interface HistoricalRecalculation {
+  estimateId: string;
+  date: string;
+  rates: Record<string, { rate: number; rateDate: string; source: string } | null>;
+  missingRates: string[];
+  original: CalculatedTotals;
+  recalculated: CalculatedTotals;
+  difference: {
+    customs_value_zar: number;
+    total_landed_cost_zar: number;
+    all_in_warehouse_cost_per_kg_zar: number;
+  };
+}
+
+export interface EstimateReconciliation extends Reconciliation {
+  estimateId: string;
+  reference_number?: string;
+  supplier_name?: string;
+  shipment_id: string | null;
+  order_ref: string | null;
+  costing_date?: string;
+  transport_mode: string;
+  invoices: Array<Pick<InvoiceLineActual, 'invoice_id' | 'invoice_number' | 'invoice_type' | 'agent_name' | 'invoice_date' | 'bol_number'>>;
+}
+
+export interface ReconciliationFilterParams extends ReconciliationOptions {
+  direction?: string;
+  from?: string;
+  to?: string;
+  flaggedOnly?: boolean;
+}
+
+export interface LandedCostTrendPoint {
+  period: string;
+  estimates: number;
+  weight_kg: number;
+  total_landed_zar: number;
+  landed_cost_per_kg_zar: number | null;
+  landed_cost_per_unit_zar: number | null;
+}
+
+export interface LandedCostTrendSeries {
+  key: string;
+  estimates: number;
+  weight_kg: number;
+  total_landed_zar: number;
+  landed_cost_per_kg_zar: number | null;
+  landed_cost_per_unit_zar: number | null;
+  points: LandedCostTrendPoint[];
 }
 
 export class CostingController {
@@ -78,18 +136,38 @@ export class CostingController {
   /**
    * Create a new cost estimate with auto-calculations
    */
-  static async createCostEstimate(data: Partial<ImportCostEstimate>): Promise<ImportCostEstimate> {
+  static async createCostEstimate(data: Partial<ImportCostEstimate>, user?: RequestUser): Promise<ImportCostEstimate> {
+    await this.ensureEngineLoaded();
+
     // Calculate all derived values
-    const calculatedData = this.calculateAllTotals(data);
-    const mergedData = { ...data, ...calculatedData };
+    const products = applyTariffRates({ ...data, products: this.getProducts(data) });
+    const calculatedData = this.calculateAllTotals({ ...data, products });
+    const mergedData = { ...data, products, ...calculatedData };
+
+    // Estimates saved without a reference get the next one in the estimate series
+    const actor = user ? user.username || user.email || user.id : undefined;
+    const reference = String(data.reference_number || '').trim()
+      ? null
+      : await DocumentNumberController.issue('ESTIMATE', { entityType: 'cost_estimate' }, actor);
+    if (reference) mergedData.reference_number = reference.number;
 
-    return costingRepository.create(mergedData);
+    let estimate: ImportCostEstimate;
+    try {
+      estimate = await costingRepository.create(mergedData);
+    } catch (error) {
+      if (reference) await DocumentNumberController.voidNumber(reference.id, 'Estimate was not saved', actor);
+      throw error;
+    }
+    if (reference) await DocumentNumberController.attach(reference.id, 'cost_estimate', estimate.id);
+    await this.saveProductLandedCosts(estimate);
+    await this.auditDutyOverrides(estimate, [], user);
+    return estimate;
   }
 
   /**
    * Update a cost estimate with auto-calculations
    */
-  static async updateCostEstimate(id: string, data: Partial<ImportCostEstimate>): Promise<ImportCostEstimate> {
+  static async updateCostEstimate(id: string, data: Partial<ImportCostEstimate>, user?: RequestUser): Promise<ImportCostEstimate> {
     // Get existing data
     const existing = await costingRepository.findById(id);
     if (!existing) {
@@ -97,11 +175,16 @@ export class CostingController {
     }
 
     // Merge and recalculate
+    await this.ensureEngineLoaded();
     const merged = { ...existing, ...data };
-    const calculatedData = this.calculateAllTotals(merged);
-    const finalData = { ...data, ...calculatedData };
+    const products = applyTariffRates({ ...merged, products: this.getProducts(merged) });
+    const calculatedData = this.calculateAllTotals({ ...merged, products });
+    const finalData = { ...data, products, ...calculatedData };
 
-    return costingRepository.update(id, finalData);
+    const estimate = await costingRepository.update(id, finalData);
+    await this.saveProductLandedCosts(estimate);
+    await this.auditDutyOverrides(estimate, this.getProducts(existing), user);
+    return estimate;
   }
 
   /**
@@ -115,64 +198,347 @@ export class CostingController {
    * Duplicate a cost estimate
    */
   static async duplicateCostEstimate(id: string): Promise<ImportCostEstimate> {
-    return costingRepository.duplicate(id);
+    const estimate = await costingRepository.duplicate(id);
+    await this.saveProductLandedCosts(estimate);
+    return estimate;
   }
 
   /**
    * Link cost estimate to a shipment
    */
   static async linkToShipment(id: string, shipmentId: string): Promise<ImportCostEstimate> {
-    return costingRepository.linkToShipment(id, shipmentId);
+    const estimate = await costingRepository.linkToShipment(id, shipmentId);
+    await this.saveProductLandedCosts(estimate);
+    return estimate;
   }
 
   /**
    * Unlink cost estimate from shipment
    */
   static async unlinkFromShipment(id: string): Promise<ImportCostEstimate> {
-    return costingRepository.unlinkFromShipment(id);
+    const estimate = await costingRepository.unlinkFromShipment(id);
+    await this.saveProductLandedCosts(estimate);
+    return estimate;
+  }
+
+  /**
+   * Persist the per-product landed cost allocation of an import estimate.
+   * Export and archived estimates are left out of the dataset. A failure is
+   * logged rather than failing the estimate save.
+   */
+  static async saveProductLandedCosts(estimate: ImportCostEstimate): Promise<void> {
+    try {
+      if ((estimate.direction || 'import') !== 'import' || estimate.status === 'archived') {
+        await productLandedCostRepository.deleteForEstimate(estimate.id);
+        return;
+      }
+      const rows = calculateProductLandedCosts({ ...estimate, products: this.getProducts(estimate) });
+      await productLandedCostRepository.replaceForEstimate(estimate, rows);
+    } catch (error: any) {
+      logWarn('Failed to save product landed costs', { estimateId: estimate.id, error: error.message });
+    }
+  }
+
+  /**
+   * Per-product landed cost rows
+   */
+  static async getProductLandedCosts(filters: LandedCostFilters, limit?: number) {
+    return productLandedCostRepository.findAll(filters, limit);
+  }
+
+  /**
+   * Monthly landed cost per kg/unit per product or supplier, weighted by kg.
+   * Series are ordered cheapest first over the whole period.
+   */
+  static async getLandedCostTrends(groupBy: LandedCostGroup, filters: LandedCostFilters = {}) {
+    const [rows, dimensions] = await Promise.all([
+      productLandedCostRepository.getMonthlyTotals(groupBy, filters),
+      productLandedCostRepository.getDimensions(),
+    ]);
+    const perKg = (total: number, kg: number) => (kg > 0 ? Math.round((total / kg) * 100) / 100 : null);
+
+    const seriesByKey = new Map<string, LandedCostTrendSeries & { units: number; unit_landed_zar: number }>();
+    for (const row of rows) {
+      if (!seriesByKey.has(row.group_key)) {
+        seriesByKey.set(row.group_key, {
+          key: row.group_key, estimates: 0, weight_kg: 0, total_landed_zar: 0, units: 0, unit_landed_zar: 0,
+          landed_cost_per_kg_zar: null, landed_cost_per_unit_zar: null, points: [],
+        });
+      }
+      const series = seriesByKey.get(row.group_key)!;
+      series.estimates += row.estimates;
+      series.weight_kg += row.weight_kg;
+      series.total_landed_zar += row.total_landed_zar;
+      series.units += row.units;
+      series.unit_landed_zar += row.unit_landed_zar;
+      series.points.push({
+        period: row.period,
+        estimates: row.estimates,
+        weight_kg: row.weight_kg,
+        total_landed_zar: row.total_landed_zar,
+        landed_cost_per_kg_zar: perKg(row.total_landed_zar, row.weight_kg),
+        landed_cost_per_unit_zar: perKg(row.unit_landed_zar, row.units),
+      });
+    }
+
+    const series: LandedCostTrendSeries[] = [...seriesByKey.values()]
+      .map(({ units, unit_landed_zar, ...s }) => ({
+        ...s,
+        total_landed_zar: Math.round(s.total_landed_zar * 100) / 100,
+        landed_cost_per_kg_zar: perKg(s.total_landed_zar, s.weight_kg),
+        landed_cost_per_unit_zar: perKg(unit_landed_zar, units),
+      }))
+      .sort((a, b) => (a.landed_cost_per_kg_zar ?? Infinity) - (b.landed_cost_per_kg_zar ?? Infinity));
+
+    return {
+      group_by: groupBy,
+      periods: [...new Set(rows.map(r => r.period))].sort(),
+      series,
+      ...dimensions,
+    };
   }
 
   /**
-   * Get current exchange rate
+   * Normalise a currency pair ("EUR" or "EUR/ZAR"); throws if unsupported
    */
-  static async getExchangeRate() {
-    return ExchangeRateService.getCurrentRate();
+  static normalizeCurrencyPair(pairOrCurrency?: string): string {
+    return ExchangeRateService.normalizePair(pairOrCurrency);
   }
 
   /**
-   * Set manual exchange rate
+   * Get current exchange rate for a pair (defaults to USD/ZAR)
    */
-  static async setManualExchangeRate(rate: number) {
-    return ExchangeRateService.setManualRate(rate);
+  static async getExchangeRate(pair?: string) {
+    return ExchangeRateService.getCurrentRate(pair);
+  }
+
+  /**
+   * Get current exchange rates for all supported pairs
+   */
+  static async getAllExchangeRates() {
+    return ExchangeRateService.getAllRates();
+  }
+
+  /**
+   * Set manual exchange rate for a pair
+   */
+  static async setManualExchangeRate(rate: number, pair?: string, setBy?: string) {
+    return ExchangeRateService.setManualRate(rate, pair, setBy);
+  }
+
+  /**
+   * Clear manual exchange rate override for a pair
+   */
+  static async clearManualExchangeRate(pair?: string) {
+    return ExchangeRateService.clearManualRate(pair);
   }
 
   /**
    * Refresh exchange rate from API
    */
-  static async refreshExchangeRate() {
-    return ExchangeRateService.refreshRate();
+  static async refreshExchangeRate(pair?: string) {
+    return ExchangeRateService.refreshRate(pair);
   }
 
-  /**
-   * Calculate agency fee: 3.5% of duties + import VAT, minimum R1187
-   */
-  static calculateAgencyFee(dutiesAndVat: number, minimum = 1187): number {
-    if (!dutiesAndVat || dutiesAndVat <= 0) return minimum;
-    const percentage = dutiesAndVat * 0.035;
-    return Math.max(percentage, minimum);
+  /**
+   * Get recent exchange rate changes (API fetches and manual overrides) for a pair
+   */
+  static async getExchangeRateChanges(pair?: string, limit?: number) {
+    return ExchangeRateService.getRateChanges(pair, limit);
   }
 
   /**
-   * Calculate Customs Value from invoice values
+   * Get daily exchange rates for a pair between two dates
    */
-  static calculateCustomsValue(data: Partial<ImportCostEstimate>): number {
-    const roeOrigin = Number(data.roe_origin) || Number(data.roe_customs) || 0;
-    const roeEur = Number(data.roe_eur) || 0;
-    const invoiceValueUsd = Number(data.invoice_value_usd) || 0;
-    const invoiceValueEur = Number(data.invoice_value_eur) || 0;
-    return (invoiceValueUsd * roeOrigin) + (invoiceValueEur * roeEur);
-  }
-
+  static async getExchangeRateHistory(pair?: string, from?: string, to?: string) {
+    return ExchangeRateService.getDailyHistory(pair, from, to);
+  }
+
+  /**
+   * Get the exchange rate in effect for a pair on a date
+   */
+  static async getExchangeRateAtDate(pair: string | undefined, date: string) {
+    return ExchangeRateService.getRateAtDate(pair, date);
+  }
+
+  /**
+   * Recalculate an estimate using the ROE in effect on a historical date
+   * (e.g. the customs entry date on the clearing invoice). Nothing is saved;
+   * currencies without a known rate keep the estimate's own ROE.
+   */
+  static async recalculateAtDate(id: string, date: string): Promise<HistoricalRecalculation | null> {
+    const estimate = await costingRepository.findById(id);
+    if (!estimate) return null;
+
+    const currencies = new Set(['USD', 'EUR']);
+    for (const product of this.getProducts(estimate)) {
+      if (product.currency && product.currency !== 'ZAR') currencies.add(product.currency);
+    }
+
+    const rates: HistoricalRecalculation['rates'] = {};
+    for (const currency of currencies) {
+      try {
+        const found = await ExchangeRateService.getRateAtDate(currency, date);
+        rates[currency] = found ? { rate: found.rate, rateDate: found.rateDate, source: found.source } : null;
+      } catch {
+        rates[currency] = null; // Not a currency the rate providers quote
+      }
+    }
+
+    const roeRates: Record<string, number> = { ...(estimate.roe_rates || {}) };
+    for (const [currency, found] of Object.entries(rates)) {
+      if (found && currency !== 'USD' && currency !== 'EUR') roeRates[currency] = found.rate;
+    }
+
+    const historical: Partial<ImportCostEstimate> = {
+      ...estimate,
+      roe_origin: rates.USD?.rate ?? estimate.roe_origin,
+      roe_customs: rates.USD?.rate ?? estimate.roe_customs,
+      roe_eur: rates.EUR?.rate ?? estimate.roe_eur,
+      roe_rates: roeRates,
+    };
+
+    await this.ensureEngineLoaded();
+    const original = this.calculateAllTotals(estimate);
+    const recalculated = this.calculateAllTotals(historical);
+    const diff = (field: keyof CalculatedTotals) =>
+      Math.round(((recalculated[field] || 0) - (original[field] || 0)) * 100) / 100;
+
+    return {
+      estimateId: id,
+      date,
+      rates,
+      missingRates: Object.keys(rates).filter(currency => !rates[currency]),
+      original,
+      recalculated,
+      difference: {
+        customs_value_zar: diff('customs_value_zar'),
+        total_landed_cost_zar: diff('total_landed_cost_zar'),
+        all_in_warehouse_cost_per_kg_zar: diff('all_in_warehouse_cost_per_kg_zar'),
+      },
+    };
+  }
+
+  /**
+   * Compare an estimate's cost categories with the forwarding/clearing invoice
+   * lines captured for its linked shipment
+   */
+  static async getReconciliation(id: string, options: ReconciliationOptions = {}): Promise<EstimateReconciliation | null> {
+    const estimate = await costingRepository.findById(id);
+    if (!estimate) return null;
+
+    const lines = estimate.shipment_id
+      ? await costingRepository.getInvoiceLinesForShipments([estimate.shipment_id])
+      : [];
+    await this.ensureEngineLoaded();
+    return this.reconcile(estimate, lines, options);
+  }
+
+  /**
+   * Reconciliation for every estimate linked to a shipment; invoice line detail is left out
+   */
+  static async getReconciliationSummary(params: ReconciliationFilterParams = {}) {
+    const { direction, from, to, flaggedOnly, ...options } = params;
+    const estimates = await costingRepository.findLinkedToShipments({ direction, from, to });
+    const lines = await costingRepository.getInvoiceLinesForShipments(
+      [...new Set(estimates.map(e => e.shipment_id!))]
+    );
+    await this.ensureEngineLoaded();
+
+    const linesByShipment = new Map<string, InvoiceLineActual[]>();
+    for (const line of lines) {
+      if (!linesByShipment.has(line.shipment_id)) linesByShipment.set(line.shipment_id, []);
+      linesByShipment.get(line.shipment_id)!.push(line);
+    }
+
+    const data = estimates
+      .map(estimate => this.reconcile(estimate, linesByShipment.get(estimate.shipment_id!) || [], options))
+      .filter(rec => !flaggedOnly || rec.totals.flagged_count > 0 || ['over', 'under', 'unbudgeted'].includes(rec.totals.flag))
+      .map(rec => ({
+        ...rec,
+        categories: rec.categories.map(({ invoice_lines, ...row }) => ({ ...row, invoice_count: invoice_lines.length })),
+      }));
+
+    return { data, total: data.length };
+  }
+
+  static reconcile(
+    estimate: ImportCostEstimate | LinkedEstimate,
+    lines: InvoiceLineActual[],
+    options: ReconciliationOptions
+  ): EstimateReconciliation {
+    const invoices = new Map<number, EstimateReconciliation['invoices'][number]>();
+    for (const line of lines) {
+      if (!invoices.has(line.invoice_id)) {
+        const { invoice_id, invoice_number, invoice_type, agent_name, invoice_date, bol_number } = line;
+        invoices.set(invoice_id, { invoice_id, invoice_number, invoice_type, agent_name, invoice_date, bol_number });
+      }
+    }
+
+    return {
+      estimateId: estimate.id,
+      reference_number: estimate.reference_number,
+      supplier_name: estimate.supplier_name,
+      shipment_id: estimate.shipment_id || null,
+      order_ref: (estimate as LinkedEstimate).order_ref ?? null,
+      costing_date: estimate.costing_date,
+      transport_mode: estimate.transport_mode || 'sea',
+      invoices: [...invoices.values()],
+      ...reconcileEstimate({ ...estimate, products: this.getProducts(estimate) }, lines, options),
+    };
+  }
+
+  /**
+   * Load the rate tables and HS tariff catalogue into the costing engine
+   */
+  static async ensureEngineLoaded(): Promise<void> {
+    await Promise.all([RateTableController.ensureLoaded(), TariffController.ensureLoaded()]);
+  }
+
+  /**
+   * Audit product lines whose catalogued duty rate was overridden, when the
+   * override is new or its rates, HS code or reason changed since the last save
+   */
+  static async auditDutyOverrides(estimate: ImportCostEstimate, previousProducts: any[], user?: RequestUser): Promise<void> {
+    if (!user) return;
+    const previousByKey = new Map(previousProducts.map((p, index) => [p._id ?? index, p]));
+    const sameRate = (a: unknown, b: unknown) => (parseFloat(a as string) || 0) === (parseFloat(b as string) || 0);
+
+    for (const [index, product] of this.getProducts(estimate).entries()) {
+      if (!product.duty_override) continue;
+      const catalogue = getCatalogueDutyRates(estimate, product);
+      if (!catalogue) continue;
+
+      const previous = previousByKey.get(product._id ?? index);
+      if (
+        previous?.duty_override
+        && previous.hs_code === product.hs_code
+        && sameRate(previous.duty_percent, product.duty_percent)
+        && sameRate(previous.duty_schedule1_percent, product.duty_schedule1_percent)
+        && (previous.duty_override_reason || '') === (product.duty_override_reason || '')
+      ) continue;
+
+      await AuditRepository.logAudit(
+        user.id,
+        user.username || user.email || user.id,
+        DUTY_OVERRIDE_ACTION,
+        'cost_estimate',
+        estimate.id,
+        estimate.reference_number || estimate.id,
+        {
+          product: product.name || `Product ${index + 1}`,
+          hs_code: product.hs_code,
+          trade_agreement: catalogue.tradeAgreement,
+          catalogue_duty_percent: catalogue.dutyPercent,
+          catalogue_schedule1_percent: catalogue.schedule1Percent,
+          duty_percent: parseFloat(product.duty_percent) || 0,
+          duty_schedule1_percent: parseFloat(product.duty_schedule1_percent) || 0,
+          reason: product.duty_override_reason || null,
+        }
+      );
+    }
+  }
+
   static getProducts(data: Partial<ImportCostEstimate>): any[] {
     if (Array.isArray(data.products)) return data.products;
     if (typeof data.products === 'string') {
@@ -186,188 +552,16 @@ export class CostingController {
     return [];
   }
 
-  static calculateCustomsItemsTotals(data: Partial<ImportCostEstimate>): {
-    totalCustomsValue: number;
-    totalDuties: number;
-    totalSchedule1Duty: number;
-    totalVat: number;
-    totalWeight: number;
-  } {
-    const products = this.getProducts(data);
-    const roeCustoms = Number(data.roe_customs) || Number(data.roe_origin) || 0;
-    const roeEur = Number(data.roe_eur) || roeCustoms;
-
-    return products.reduce((totals, product) => {
-      const invoiceValue = Number(product.invoice_value) || 0;
-      const currency = product.currency || 'USD';
-      const dutyPercent = Number(product.duty_percent) || 0;
-      const schedule1Percent = Number(product.duty_schedule1_percent) || 0;
-      let roe = roeCustoms;
-      if (currency === 'EUR') roe = roeEur;
-      if (currency === 'ZAR') roe = 1;
-
-      const customsValue = invoiceValue * roe;
-      const duties = customsValue * (dutyPercent / 100);
-      const schedule1Duty = customsValue * (schedule1Percent / 100);
-      const vat = (customsValue + duties + schedule1Duty) * 0.15;
-
-      return {
-        totalCustomsValue: totals.totalCustomsValue + customsValue,
-        totalDuties: totals.totalDuties + duties,
-        totalSchedule1Duty: totals.totalSchedule1Duty + schedule1Duty,
-        totalVat: totals.totalVat + vat,
-        totalWeight: totals.totalWeight + (Number(product.weight_kg) || 0),
-      };
-    }, {
-      totalCustomsValue: 0,
-      totalDuties: 0,
-      totalSchedule1Duty: 0,
-      totalVat: 0,
-      totalWeight: 0,
-    });
-  }
-
   /**
-   * Calculate all totals based on input values
+   * Calculate all derived totals with the shared costing engine
+   * (src/utils/costingCalculations.js, also used by the UI and the PDF).
+   * Display-only fields (prefixed "_") are dropped, leaving the persisted totals.
    */
   static calculateAllTotals(data: Partial<ImportCostEstimate>): CalculatedTotals {
-    const roeOrigin = Number(data.roe_origin) || Number(data.roe_customs) || 0;
-    const roeEur = Number(data.roe_eur) || 0;
-    const originChargeUsd = Number(data.origin_charge_usd) || 0;
-    const originChargeEur = Number(data.origin_charge_eur) || 0;
-    const oceanFreightUsd = Number(data.ocean_freight_usd) || 0;
-    const oceanFreightEur = Number(data.ocean_freight_eur) || 0;
-    const customsItemsTotals = this.calculateCustomsItemsTotals(data);
-    const totalGrossWeightKg = customsItemsTotals.totalWeight > 0
-      ? customsItemsTotals.totalWeight
-      : Number(data.total_gross_weight_kg) || 0;
-    const warehouseChargeableWeightKg = Number((data as any).warehouse_chargeable_weight_kg) || totalGrossWeightKg;
-    const warehouseHandlingFeeZar = warehouseChargeableWeightKg
-      * (Number((data as any).warehouse_handling_rate_per_kg_zar) || 0)
-      * (Number((data as any).warehouse_handling_events) || 0);
-    const warehouseStorageFeeZar = warehouseChargeableWeightKg
-      * (Number((data as any).warehouse_storage_rate_per_kg_month_zar) || 0)
-      * (Number((data as any).warehouse_storage_months) || 0);
-    const warehouseChargesSubtotalZar = warehouseHandlingFeeZar + warehouseStorageFeeZar;
-
-    // Calculate customs value from product rows first, then legacy invoice fields.
-    const customsValueZar = customsItemsTotals.totalCustomsValue > 0
-      ? customsItemsTotals.totalCustomsValue
-      : this.calculateCustomsValue(data);
-
-    // Ocean freight conversion (USD and EUR)
-    const oceanFreightUsdZar = oceanFreightUsd * roeOrigin;
-    const oceanFreightEurZar = oceanFreightEur * roeEur;
-    const oceanFreightZar = oceanFreightUsdZar + oceanFreightEurZar;
-
-    // Origin charges conversion (USD and EUR)
-    const originChargeUsdZar = originChargeUsd * roeOrigin;
-    const originChargeEurZar = originChargeEur * roeEur;
-    const originChargeZar = originChargeUsdZar + originChargeEurZar;
-    const totalOriginChargesZar = originChargeZar;
-    const incoTermsUpper = (data.inco_terms || '').toUpperCase();
-    const originChargesAreFobValue = ['FOB', 'FCA', 'EXW'].includes(incoTermsUpper);
-
-    // Local charges subtotal (Transport/Cartage)
-    const localChargesSubtotalZar =
-      (Number(data.local_cartage_cpt_klapmuts_20ton_zar) || 0) +
-      (Number(data.local_cartage_cpt_klapmuts_28ton_zar) || 0) +
-      (Number(data.transport_dbn_to_pretoria_20ft_zar) || 0) +
-      (Number(data.transport_dbn_to_pretoria_40ft_zar) || 0) +
-      (Number(data.transport_dbn_to_whs_zar) || 0) +
-      (Number(data.unpack_reload_zar) || 0) +
-      (Number(data.storage_zar) || 0) +
-      (Number(data.outlying_depot_surcharge_zar) || 0) +
-      (Number(data.local_cartage_dbn_whs_pretoria_opt_a_zar) || 0) +
-      (Number(data.local_cartage_dbn_whs_pretoria_opt_b_zar) || 0) +
-      (Number(data.local_cartage_dbn_whs_pretoria_6m_zar) || 0) +
-      (Number(data.local_cartage_dbn_whs_pretoria_12m_zar) || 0) +
-      (Number(data.transport_pe_coega_to_pretoria_zar) || 0) +
-      warehouseChargesSubtotalZar;
-
-    // Destination charges subtotal (Port/Shipping)
-    const destinationChargesSubtotalZar =
-      (Number(data.shipping_line_charges_zar) || 0) +
-      (Number(data.cargo_dues_20ft_zar) || 0) +
-      (Number(data.cargo_dues_40ft_zar) || 0) +
-      (Number(data.cto_fee_zar) || 0) +
-      (Number(data.port_health_inspection_zar) || 0) +
-      (Number(data.daff_inspection_zar) || 0) +
-      (Number(data.state_vet_cancellation_fee_zar) || 0) +
-      (Number(data.jnb_turn_in_zar) || 0) +
-      (Number(data.bill_of_lading_fee_zar) || 0) +
-      (Number(data.manifest_filing_zar) || 0) +
-      (Number(data.currency_adjustment_factor_zar) || 0) +
-      (Number(data.degrouping_zar) || 0) +
-      (Number(data.edi_fee_zar) || 0) +
-      (Number(data.communication_dest_zar) || 0) +
-      (Number(data.documentation_fee_dest_zar) || 0) +
-      (Number(data.cfs_lcl_handling_out_zar) || 0) +
-      (Number(data.delivery_release_order_zar) || 0) +
-      (Number(data.cartage_dest_zar) || 0) +
-      (Number(data.fuel_surcharge_dest_zar) || 0) +
-      (Number(data.agency_fee_dest_zar) || 0) +
-      (Number((data as any).handover_fee_zar) || 0) +
-      (Number(data.facility_fee_zar) || 0);
-
-    // Agency fee: 3.5% of duties + VAT, min R1187.
-    const dutiesAndVat = customsItemsTotals.totalDuties + customsItemsTotals.totalSchedule1Duty + customsItemsTotals.totalVat;
-    const agencyFeeZar = this.calculateAgencyFee(dutiesAndVat, Number((data as any).agency_fee_min) || 1187);
-
-    // Customs subtotal (duties + declaration + agency). Import VAT is excluded
-    // from client-facing landed cost.
-    const customsDutyNotApplicable = data.customs_duty_not_applicable || false;
-    const calculatedDutiesZar = customsItemsTotals.totalDuties + customsItemsTotals.totalSchedule1Duty;
-    const dutiesZar = customsDutyNotApplicable ? 0 : (calculatedDutiesZar || Number(data.duties_zar) || 0);
-    const customsSubtotalZar =
-      dutiesZar +
-      (Number(data.customs_declaration_zar) || 0) +
-      agencyFeeZar;
-
-    // Under FOB/FCA/EXW, origin charges hold the FOB goods value. That is part
-    // of customs/product value, not a transport charge, so it must not inflate
-    // total shipping cost.
-    const transportOriginChargesZar = originChargesAreFobValue ? 0 : totalOriginChargesZar;
-    const totalShippingCostZar = oceanFreightZar + transportOriginChargesZar + localChargesSubtotalZar + destinationChargesSubtotalZar;
-    const freightIncludedInProductPrice = ['CIF', 'CIP', 'CFR'].includes(incoTermsUpper);
-    const shippingToAllocateZar = freightIncludedInProductPrice
-      ? localChargesSubtotalZar + destinationChargesSubtotalZar
-      : totalShippingCostZar;
-
-    // Total in warehouse cost (transport/customs overhead only)
-    const totalInWarehouseCostZar = shippingToAllocateZar + customsSubtotalZar;
-
-    // Total landed cost (product value + duties + transport)
-    const totalLandedCostZar = customsValueZar + dutiesZar + shippingToAllocateZar;
-
-    // Cost per KG
-    const allInWarehouseCostPerKgZar = totalGrossWeightKg > 0
-      ? totalLandedCostZar / totalGrossWeightKg
-      : 0;
-    const overheadCostPerKgZar = totalGrossWeightKg > 0
-      ? totalInWarehouseCostZar / totalGrossWeightKg
-      : 0;
-
-    return {
-      total_gross_weight_kg: Math.round(totalGrossWeightKg * 100) / 100,
-      customs_value_zar: Math.round(customsValueZar * 100) / 100,
-      ocean_freight_zar: Math.round(oceanFreightZar * 100) / 100,
-      total_ocean_freight_zar: Math.round(oceanFreightZar * 100) / 100,
-      origin_charge_zar: Math.round(originChargeZar * 100) / 100,
-      total_origin_charges_zar: Math.round(totalOriginChargesZar * 100) / 100,
-      local_charges_subtotal_zar: Math.round(localChargesSubtotalZar * 100) / 100,
-      destination_charges_subtotal_zar: Math.round(destinationChargesSubtotalZar * 100) / 100,
-      warehouse_handling_fee_zar: Math.round(warehouseHandlingFeeZar * 100) / 100,
-      warehouse_storage_fee_zar: Math.round(warehouseStorageFeeZar * 100) / 100,
-      warehouse_charges_subtotal_zar: Math.round(warehouseChargesSubtotalZar * 100) / 100,
-      agency_fee_zar: Math.round(agencyFeeZar * 100) / 100,
-      customs_subtotal_zar: Math.round(customsSubtotalZar * 100) / 100,
-      total_shipping_cost_zar: Math.round(totalShippingCostZar * 100) / 100,
-      total_in_warehouse_cost_zar: Math.round(totalInWarehouseCostZar * 100) / 100,
-      total_landed_cost_zar: Math.round(totalLandedCostZar * 100) / 100,
-      all_in_warehouse_cost_per_kg_zar: Math.round(allInWarehouseCostPerKgZar * 100) / 100,
-      overhead_cost_per_kg_zar: Math.round(overheadCostPerKgZar * 100) / 100,
-    };
+    const totals = calculateAllTotals({ ...data, products: this.getProducts(data) });
+    return Object.fromEntries(
+      Object.entries(totals).filter(([key]) => !key.startsWith('_'))
+    ) as CalculatedTotals;
   }
 }
 
@@ -6,8 +6,32 @@
 
 import { AppError } from '../utils/AppError.ts';
 import dockRepository from '../db/repositories/DockRepository.js';
-import type { Dock, TruckArrival, DockMetrics } from '../db/repositories/DockRepository.js';
+import type { Dock, TruckArrival, DockMetrics, DockCalendarRow, DockBlackout } from '../db/repositories/DockRepository.js';
 import ShipmentController from './ShipmentController.js';
+import { ShipmentEventRepository } from '../db/repositories/ShipmentEventRepository.ts';
+import { SHIPMENT_EVENT_TYPES } from '../../src/utils/shipmentEvents.js';
+import {
+  addDays,
+  checkBooking,
+  getDayBounds,
+  getSlotAvailability,
+  localDate,
+  normalizeCalendar,
+  resolveCalendar,
+  suggestSlots,
+  validateCalendar,
+  type DockCalendar,
+  type SlotAvailability,
+} from '../../src/utils/dockSlots.js';
+import {
+  estimateUnloadMinutes,
+  nextTruckForDock,
+  planQueue,
+  recommendDock,
+  VEHICLE_TYPES,
+  UNLOAD_METHODS,
+  type QueuePlanEntry,
+} from '../../src/utils/dockAssignment.js';
 import { logWarn } from '../utils/logger.js';
 
 export default class DockController {
@@ -23,7 +47,13 @@ export default class DockController {
     return dock;
   }
 
-  static async updateDock(id: number, data: { status?: string; notes?: string }): Promise<Dock> {
+  static async updateDock(id: number, data: {
+    status?: string;
+    notes?: string;
+    isReefer?: boolean;
+    vehicleTypes?: string[];
+    unloadMethods?: string[];
+  }): Promise<Dock> {
     const dock = await this.getDock(id);
     const updateData: Partial<Dock> = {};
     if (data.status) {
@@ -33,6 +63,20 @@ export default class DockController {
       updateData.status = data.status as Dock['status'];
     }
     if (data.notes !== undefined) updateData.notes = data.notes;
+    if (data.isReefer !== undefined) updateData.is_reefer = !!data.isReefer;
+    if (data.vehicleTypes !== undefined) {
+      if (data.vehicleTypes.some(v => !VEHICLE_TYPES.some(o => o.value === v))) {
+        throw AppError.badRequest('Invalid vehicle type');
+      }
+      updateData.vehicle_types = data.vehicleTypes;
+    }
+    if (data.unloadMethods !== undefined) {
+      if (data.unloadMethods.some(m => !UNLOAD_METHODS.some(o => o.value === m))) {
+        throw AppError.badRequest('Invalid unload method');
+      }
+      updateData.unload_methods = data.unloadMethods;
+    }
+    if (Object.keys(updateData).length === 0) return dock;
 
     const updated = await dockRepository.updateDock(id, updateData);
     if (!updated) throw AppError.notFound('Dock not found');
@@ -45,10 +89,17 @@ export default class DockController {
     status?: string;
     warehouse?: string;
     date?: string;
+    carrierId?: number;
   }): Promise<TruckArrival[]> {
     return dockRepository.findAllTruckArrivals(filters);
   }
 
+  static async getTruck(truckId: number): Promise<TruckArrival> {
+    const truck = await dockRepository.findTruckById(truckId);
+    if (!truck) throw AppError.notFound('Truck arrival not found');
+    return truck;
+  }
+
   static async getTodaySchedule(warehouse?: string): Promise<TruckArrival[]> {
     return dockRepository.getTodaySchedule(warehouse);
   }
@@ -58,7 +109,15 @@ export default class DockController {
   }
 
   static async createTruckArrival(data: Partial<TruckArrival> & { shipmentIds?: string[] }): Promise<TruckArrival> {
-    return dockRepository.createTruckArrival(data);
+    if (!data.warehouse || !data.expected_arrival) {
+      return dockRepository.createTruckArrival(data);
+    }
+
+    const warehouse = data.warehouse;
+    return dockRepository.withBookingLock(warehouse, async () => {
+      const slot = await this.checkSlot(warehouse, data.booked_dock_id ?? null, data.expected_arrival!);
+      return dockRepository.createTruckArrival({ ...data, slot_end: slot ? new Date(slot.end) : null });
+    });
   }
 
   static async updateTruckArrival(truckId: number, data: Partial<TruckArrival> & { shipmentIds?: string[] }): Promise<TruckArrival> {
@@ -68,6 +127,33 @@ export default class DockController {
       throw AppError.conflict('Can only amend trucks that are scheduled or checked in');
     }
 
+    // Re-check the appointment only when it moves, so amending other details
+    // of a truck in a slot that has since filled up still works
+    const rescheduled =
+      (data.warehouse !== undefined && data.warehouse !== truck.warehouse) ||
+      (data.booked_dock_id !== undefined && (data.booked_dock_id ?? null) !== (truck.booked_dock_id ?? null)) ||
+      (data.expected_arrival !== undefined &&
+        (data.expected_arrival ? new Date(data.expected_arrival).getTime() : null) !==
+        (truck.expected_arrival ? new Date(truck.expected_arrival).getTime() : null));
+    const warehouse = data.warehouse !== undefined ? data.warehouse : truck.warehouse;
+    const expectedArrival = data.expected_arrival !== undefined ? data.expected_arrival : truck.expected_arrival;
+    if (rescheduled && warehouse && expectedArrival) {
+      return dockRepository.withBookingLock(warehouse, async () => {
+        const slot = await this.checkSlot(
+          warehouse,
+          data.booked_dock_id !== undefined ? data.booked_dock_id : truck.booked_dock_id,
+          expectedArrival,
+          truckId
+        );
+        return this.applyTruckUpdate(truckId, { ...data, slot_end: slot ? new Date(slot.end) : null });
+      });
+    }
+    if (rescheduled) data.slot_end = null;
+
+    return this.applyTruckUpdate(truckId, data);
+  }
+
+  private static async applyTruckUpdate(truckId: number, data: Partial<TruckArrival> & { shipmentIds?: string[] }): Promise<TruckArrival> {
     // Handle shipment link updates separately
     if (data.shipmentIds !== undefined) {
       await dockRepository.replaceShipmentLinks(truckId, data.shipmentIds);
@@ -114,14 +200,28 @@ export default class DockController {
     await dockRepository.deleteTruckArrival(truckId);
   }
 
+  /**
+   * Record the dock assignment in the event history of the truck's linked shipments
+   */
+  private static async recordDockAssignment(truck: TruckArrival, dock: Dock, actor?: string): Promise<void> {
+    const shipmentIds = await dockRepository.getShipmentIdsForTruck(truck.id);
+    await ShipmentEventRepository.recordMany(shipmentIds.map(sid => ({
+      shipment_id: sid,
+      event_type: SHIPMENT_EVENT_TYPES.DOCK_ASSIGNED,
+      to_value: dock.dock_number,
+      details: { dockId: dock.id, warehouse: dock.warehouse, truckId: truck.id, vehicleReg: truck.vehicle_reg, carrier: truck.carrier },
+      actor,
+    })));
+  }
+
   /**
    * Auto-advance linked shipments to unloading when truck is assigned to dock
    */
-  private static async autoStartUnloading(truckId: number): Promise<void> {
+  private static async autoStartUnloading(truckId: number, actor?: string): Promise<void> {
     const shipmentIds = await dockRepository.getShipmentIdsForTruck(truckId);
     for (const sid of shipmentIds) {
       try {
-        await ShipmentController.startUnloading(sid);
+        await ShipmentController.startUnloading(sid, undefined, actor);
       } catch (err: any) {
         // Skip if shipment is already past this status or not in valid state
         logWarn('Auto-startUnloading skipped', { shipmentId: sid, reason: err.message });
@@ -132,11 +232,11 @@ export default class DockController {
   /**
    * Auto-advance linked shipments to inspection_pending when truck completes unloading
    */
-  private static async autoCompleteUnloading(truckId: number): Promise<void> {
+  private static async autoCompleteUnloading(truckId: number, actor?: string): Promise<void> {
     const shipmentIds = await dockRepository.getShipmentIdsForTruck(truckId);
     for (const sid of shipmentIds) {
       try {
-        await ShipmentController.completeUnloading(sid);
+        await ShipmentController.completeUnloading(sid, undefined, actor);
       } catch (err: any) {
         // Skip if shipment is already past this status
         logWarn('Auto-completeUnloading skipped', { shipmentId: sid, reason: err.message });
@@ -144,7 +244,7 @@ export default class DockController {
     }
   }
 
-  static async checkIn(truckId: number, warehouse?: string): Promise<{ truck: TruckArrival; dock?: Dock }> {
+  static async checkIn(truckId: number, warehouse?: string, actor?: string): Promise<{ truck: TruckArrival; dock?: Dock }> {
     const truck = await dockRepository.findTruckById(truckId);
     if (!truck) throw AppError.notFound('Truck arrival not found');
     if (truck.status !== 'scheduled') {
@@ -152,13 +252,15 @@ export default class DockController {
     }
 
     const now = new Date();
+    const predictedUnload = estimateUnloadMinutes(truck);
 
     // Use truck's own warehouse if not explicitly provided
     const targetWarehouse = warehouse || truck.warehouse;
 
-    // Try to find an available dock
+    // Try to find the best available dock that can take the truck
     if (targetWarehouse) {
-      const availableDock = await dockRepository.getAvailableDock(targetWarehouse);
+      const docks = await dockRepository.findAllDocks(targetWarehouse);
+      const availableDock = recommendDock(docks, truck);
       if (availableDock) {
         // Direct assignment
         await dockRepository.updateTruckArrival(truckId, {
@@ -166,14 +268,18 @@ export default class DockController {
           check_in_time: now,
           actual_arrival: now,
           dock_id: availableDock.id,
+          dock_assigned_at: now,
+          predicted_unload_minutes: predictedUnload,
+          predicted_wait_minutes: 0,
         } as Partial<TruckArrival>);
         await dockRepository.updateDock(availableDock.id, {
           status: 'occupied',
           current_truck_id: truckId,
         } as Partial<Dock>);
+        await this.recordDockAssignment(truck, availableDock, actor);
 
         // AUTO-ADVANCE: start unloading for linked shipments
-        await this.autoStartUnloading(truckId);
+        await this.autoStartUnloading(truckId, actor);
 
         const updatedTruck = await dockRepository.findTruckById(truckId);
         return { truck: updatedTruck!, dock: { ...availableDock, status: 'occupied' as const, current_truck_id: truckId } };
@@ -187,13 +293,26 @@ export default class DockController {
       check_in_time: now,
       actual_arrival: now,
       queue_position: queuePos,
+      predicted_unload_minutes: predictedUnload,
+      ...(targetWarehouse && { warehouse: targetWarehouse }),
     } as Partial<TruckArrival>);
 
+    // Slot the truck into the optimised queue and record the wait predicted for it
+    if (targetWarehouse) {
+      const plan = await this.optimiseQueue(targetWarehouse);
+      const entry = plan.find(p => p.truck.id === truckId);
+      if (entry?.predictedWaitMinutes != null) {
+        await dockRepository.updateTruckArrival(truckId, {
+          predicted_wait_minutes: entry.predictedWaitMinutes,
+        } as Partial<TruckArrival>);
+      }
+    }
+
     const updatedTruck = await dockRepository.findTruckById(truckId);
     return { truck: updatedTruck! };
   }
 
-  static async assignDock(truckId: number, dockId: number): Promise<{ truck: TruckArrival; dock: Dock }> {
+  static async assignDock(truckId: number, dockId: number, actor?: string): Promise<{ truck: TruckArrival; dock: Dock }> {
     const truck = await dockRepository.findTruckById(truckId);
     if (!truck) throw AppError.notFound('Truck arrival not found');
     if (!['checked_in', 'scheduled'].includes(truck.status)) {
@@ -201,14 +320,15 @@ export default class DockController {
     }
 
     const result = await dockRepository.assignDockToTruck(truckId, dockId);
+    await this.recordDockAssignment(truck, result.dock, actor);
 
     // AUTO-ADVANCE: start unloading for linked shipments
-    await this.autoStartUnloading(truckId);
+    await this.autoStartUnloading(truckId, actor);
 
     return result;
   }
 
-  static async startUnloading(truckId: number): Promise<TruckArrival> {
+  static async startUnloading(truckId: number, actor?: string): Promise<TruckArrival> {
     const truck = await dockRepository.findTruckById(truckId);
     if (!truck) throw AppError.notFound('Truck arrival not found');
     if (truck.status !== 'checked_in' && truck.status !== 'unloading') {
@@ -221,12 +341,12 @@ export default class DockController {
     if (!updated) throw AppError.notFound('Truck arrival not found');
 
     // AUTO-ADVANCE: start unloading for linked shipments
-    await this.autoStartUnloading(truckId);
+    await this.autoStartUnloading(truckId, actor);
 
     return updated;
   }
 
-  static async completeTruck(truckId: number): Promise<{ truck: TruckArrival; nextAssigned?: TruckArrival }> {
+  static async completeTruck(truckId: number, actor?: string): Promise<{ truck: TruckArrival; nextAssigned?: TruckArrival }> {
     const truck = await dockRepository.findTruckById(truckId);
     if (!truck) throw AppError.notFound('Truck arrival not found');
     if (truck.status !== 'unloading') {
@@ -240,7 +360,7 @@ export default class DockController {
     } as Partial<TruckArrival>);
 
     // AUTO-ADVANCE: complete unloading for linked shipments → inspection_pending
-    await this.autoCompleteUnloading(truckId);
+    await this.autoCompleteUnloading(truckId, actor);
 
     // Free the dock and auto-assign next queued truck
     let nextAssigned: TruckArrival | undefined;
@@ -249,16 +369,18 @@ export default class DockController {
       if (dock) {
         await dockRepository.freeDock(dock.id);
 
-        // Check queue for next truck
+        // Next truck in the optimised queue that this dock can take
         const queue = await dockRepository.getQueuedTrucks(dock.warehouse);
-        if (queue.length > 0) {
-          const nextTruck = queue[0];
+        const nextTruck = nextTruckForDock(dock, queue);
+        if (nextTruck) {
           const assigned = await dockRepository.assignDockToTruck(nextTruck.id, dock.id);
           nextAssigned = assigned.truck;
+          await this.recordDockAssignment(assigned.truck, assigned.dock, actor);
 
           // AUTO-ADVANCE: start unloading for next truck's linked shipments
-          await this.autoStartUnloading(nextTruck.id);
+          await this.autoStartUnloading(nextTruck.id, actor);
         }
+        await this.optimiseQueue(dock.warehouse);
       }
     }
 
@@ -280,6 +402,189 @@ export default class DockController {
     return updated;
   }
 
+  // ─── Dock Assignment & Queue Planning ───
+
+  /**
+   * The queue at a warehouse in optimised order, with the dock each truck is
+   * expected to get, when, and its predicted wait from check-in
+   */
+  static async getQueuePlan(warehouse: string): Promise<QueuePlanEntry<TruckArrival>[]> {
+    const [queue, docks, docked] = await Promise.all([
+      dockRepository.getQueuedTrucks(warehouse),
+      dockRepository.findAllDocks(warehouse),
+      dockRepository.getDockedTrucks(warehouse),
+    ]);
+    return planQueue(queue, docks, docked);
+  }
+
+  /**
+   * Reorder the queue at a warehouse to the optimised plan
+   */
+  static async optimiseQueue(warehouse: string): Promise<QueuePlanEntry<TruckArrival>[]> {
+    const plan = await this.getQueuePlan(warehouse);
+    await dockRepository.setQueuePositions(plan.map(p => p.truck.id));
+    return plan;
+  }
+
+  // ─── Appointment Slots ───
+
+  /**
+   * Check a booking against the dock's or warehouse's appointment calendar.
+   * Returns the slot it takes, or null when the warehouse takes no
+   * appointments. A closed, blacked-out or full slot is rejected with the
+   * next free slots as alternatives.
+   */
+  private static async checkSlot(
+    warehouse: string,
+    bookedDockId: number | null,
+    expectedArrival: Date,
+    excludeTruckId?: number
+  ): Promise<SlotAvailability | null> {
+    if (bookedDockId) {
+      const dock = await this.getDock(bookedDockId);
+      if (dock.warehouse !== warehouse) {
+        throw AppError.badRequest(`Dock ${dock.dock_number} is not at ${warehouse}`);
+      }
+    }
+
+    const calendar = await this.getCalendar(warehouse, bookedDockId);
+    if (!calendar) return null;
+
+    // Enough of the calendar to find alternatives up to two weeks out
+    const context = await this.loadSlotContext(calendar, localDate(calendar, expectedArrival), 15, excludeTruckId);
+    const check = checkBooking(calendar, expectedArrival, context);
+    if (check.reason) {
+      throw AppError.slotUnavailable(check.error!, {
+        reason: check.reason,
+        slot: check.slot,
+        alternatives: suggestSlots(calendar, expectedArrival, context),
+      });
+    }
+    return check.slot;
+  }
+
+  private static async loadSlotContext(calendar: DockCalendar, fromDate: string, days: number, excludeTruckId?: number) {
+    const from = new Date(getDayBounds(calendar, fromDate).start);
+    const to = new Date(getDayBounds(calendar, addDays(fromDate, days - 1)).end);
+    const [bookings, blackouts] = await Promise.all([
+      dockRepository.findBookings(calendar.warehouse!, from, to),
+      dockRepository.findBlackouts(calendar.warehouse!, from, to),
+    ]);
+    return { bookings, blackouts, excludeTruckId: excludeTruckId ?? null };
+  }
+
+  /**
+   * Slot availability for a warehouse (or one dock) over `days` days from
+   * `fromDate` (YYYY-MM-DD, default today), with the trucks booked into each
+   * slot. calendar is null when the warehouse takes no appointments.
+   */
+  static async getSlots(warehouse: string, dockId: number | null, fromDate?: string, days: number = 7): Promise<{
+    calendar: DockCalendar | null;
+    days: Array<{ date: string; slots: SlotAvailability[] }>;
+    trucks: TruckArrival[];
+  }> {
+    const calendar = await this.getCalendar(warehouse, dockId);
+    if (!calendar) return { calendar: null, days: [], trucks: [] };
+
+    const start = fromDate || localDate(calendar, Date.now());
+    const span = Math.min(Math.max(days, 1), 31);
+    const context = await this.loadSlotContext(calendar, start, span);
+    return {
+      calendar,
+      days: Array.from({ length: span }, (_, i) => {
+        const date = addDays(start, i);
+        return { date, slots: getSlotAvailability(calendar, date, context) };
+      }),
+      trucks: context.bookings,
+    };
+  }
+
+  /**
+   * The calendar that governs bookings at a warehouse (or one dock), or null
+   * when it takes no appointments
+   */
+  static async getCalendar(warehouse: string, dockId: number | null = null): Promise<DockCalendar | null> {
+    return resolveCalendar(await dockRepository.findCalendars(warehouse), warehouse, dockId);
+  }
+
+  static async getCalendars(warehouse?: string): Promise<DockCalendarRow[]> {
+    return dockRepository.findCalendars(warehouse);
+  }
+
+  /**
+   * Create or replace the appointment calendar for a warehouse, or for one
+   * dock when dockId is given
+   */
+  static async saveCalendar(data: Record<string, any>): Promise<DockCalendarRow> {
+    if (!data.warehouse) throw AppError.badRequest('Warehouse is required');
+    const calendar = normalizeCalendar(data);
+    const errors = validateCalendar(calendar);
+    if (errors.length > 0) {
+      throw new AppError(errors.join('. '), 400, 'VALIDATION_ERROR', { errors });
+    }
+    if (calendar.dockId) {
+      const dock = await this.getDock(calendar.dockId);
+      if (dock.warehouse !== calendar.warehouse) {
+        throw AppError.badRequest(`Dock ${dock.dock_number} is not at ${calendar.warehouse}`);
+      }
+    }
+
+    return dockRepository.upsertCalendar({
+      warehouse: calendar.warehouse!,
+      dock_id: calendar.dockId,
+      slot_minutes: calendar.slotMinutes,
+      open_time: calendar.openTime,
+      close_time: calendar.closeTime,
+      open_days: calendar.openDays,
+      max_trucks_per_slot: calendar.maxTrucksPerSlot,
+      utc_offset_minutes: calendar.utcOffsetMinutes,
+    });
+  }
+
+  static async deleteCalendar(id: number): Promise<void> {
+    const deleted = await dockRepository.deleteCalendar(id);
+    if (!deleted) throw AppError.notFound('Dock calendar not found');
+  }
+
+  static async getBlackouts(warehouse?: string, from?: string, to?: string): Promise<DockBlackout[]> {
+    return dockRepository.findBlackouts(
+      warehouse,
+      from ? new Date(from) : undefined,
+      to ? new Date(to) : undefined
+    );
+  }
+
+  static async createBlackout(data: {
+    warehouse?: string;
+    dockId?: number | null;
+    startsAt?: string;
+    endsAt?: string;
+    reason?: string;
+  }, createdBy?: string): Promise<DockBlackout> {
+    if (!data.warehouse) throw AppError.badRequest('Warehouse is required');
+    const startsAt = data.startsAt ? new Date(data.startsAt) : null;
+    const endsAt = data.endsAt ? new Date(data.endsAt) : null;
+    if (!startsAt || !endsAt || isNaN(startsAt.getTime()) || isNaN(endsAt.getTime())) {
+      throw AppError.badRequest('Blackout start and end are required');
+    }
+    if (endsAt <= startsAt) throw AppError.badRequest('Blackout must end after it starts');
+    if (data.dockId) await this.getDock(data.dockId);
+
+    return dockRepository.createBlackout({
+      warehouse: data.warehouse,
+      dock_id: data.dockId || null,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      reason: data.reason || null,
+      created_by: createdBy || null,
+    });
+  }
+
+  static async deleteBlackout(id: number): Promise<void> {
+    const deleted = await dockRepository.deleteBlackout(id);
+    if (!deleted) throw AppError.notFound('Dock blackout not found');
+  }
+
   // ─── Reverse lookup: get truck info for a shipment ───
 
   static async getTruckForShipment(shipmentId: string) {
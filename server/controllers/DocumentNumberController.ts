@@ -0,0 +1,143 @@
+/**
+ * Document Number Controller
+ * Issues GRN, cost estimate, IWT release, claim and tender numbers from each
+ * document type's configured series, and keeps the register of issued and
+ * voided numbers
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import documentNumberRepository from '../db/repositories/DocumentNumberRepository.js';
+import type { DocumentNumber, DocumentNumberFilter } from '../db/repositories/DocumentNumberRepository.js';
+import {
+  DOCUMENT_TYPES,
+  normalizeSeries,
+  validateSeries,
+  periodKey,
+  seriesKey,
+  formatDocumentNumber,
+} from '../../src/utils/documentNumbering.js';
+import type { NumberSeries } from '../../src/utils/documentNumbering.js';
+
+export interface SeriesView extends NumberSeries {
+  label: string;
+  nextNumber: string | null;
+  updatedBy: string | null;
+  updatedAt: Date | null;
+}
+
+export interface IssueDetails {
+  warehouse?: string | null;
+  entityType?: string | null;
+  entityId?: string | null;
+}
+
+export default class DocumentNumberController {
+  static docType(value: string): string {
+    const docType = String(value || '').trim().toUpperCase();
+    if (!DOCUMENT_TYPES.some(t => t.value === docType)) {
+      throw AppError.notFound(`Unknown document type ${value}`);
+    }
+    return docType;
+  }
+
+  // ─── Series ───
+
+  static async getSeriesFor(docType: string): Promise<NumberSeries> {
+    const row = await documentNumberRepository.findSeriesByType(docType);
+    return normalizeSeries(docType, row);
+  }
+
+  /**
+   * Every document type's series with the number it would issue next.
+   * Per-warehouse series only preview for a given warehouse.
+   */
+  static async getSeries(warehouse?: string): Promise<SeriesView[]> {
+    const rows = await documentNumberRepository.findSeries();
+    const today = new Date();
+    return Promise.all(
+      DOCUMENT_TYPES.map(async ({ value, label }) => {
+        const row = rows.find(r => r.doc_type === value) || null;
+        const series = normalizeSeries(value, row);
+        let nextNumber: string | null = null;
+        if (!series.perWarehouse || warehouse) {
+          const sequence = await documentNumberRepository.peekNext(
+            value,
+            seriesKey(series, warehouse),
+            periodKey(series.resetPeriod, today)
+          );
+          nextNumber = formatDocumentNumber(series, { sequence, date: today, warehouse });
+        }
+        return { ...series, label, nextNumber, updatedBy: row?.updated_by || null, updatedAt: row?.updated_at || null };
+      })
+    );
+  }
+
+  /**
+   * Change a series' format. Numbers already issued keep theirs; counters
+   * carry on, so a change mid-period continues the count under the new format.
+   */
+  static async saveSeries(docType: string, data: Record<string, any>, actor?: string): Promise<NumberSeries> {
+    const type = this.docType(docType);
+    const series = normalizeSeries(type, { ...(await this.getSeriesFor(type)), ...data });
+    const errors = validateSeries(series);
+    if (errors.length > 0) throw AppError.badRequest(errors[0]!);
+    await documentNumberRepository.upsertSeries(type, series, actor);
+    return series;
+  }
+
+  // ─── Numbers ───
+
+  /**
+   * Issue the next number in a document type's series
+   */
+  static async issue(docType: string, details: IssueDetails = {}, actor?: string): Promise<DocumentNumber> {
+    const type = this.docType(docType);
+    const series = await this.getSeriesFor(type);
+    const warehouse = details.warehouse ? String(details.warehouse).trim() : null;
+    if (series.perWarehouse && !warehouse) {
+      throw AppError.badRequest(`${type} numbers are counted per warehouse; a warehouse is required`);
+    }
+
+    const today = new Date();
+    const issued = await documentNumberRepository.issue(
+      type,
+      seriesKey(series, warehouse),
+      periodKey(series.resetPeriod, today),
+      sequence => formatDocumentNumber(series, { sequence, date: today, warehouse }),
+      { ...details, warehouse, issuedBy: actor }
+    );
+    if (!issued) throw AppError.conflict(`No free ${type} number in the current series; check its format`);
+    return issued;
+  }
+
+  static async attach(id: number, entityType: string, entityId: string): Promise<void> {
+    await documentNumberRepository.attach(id, entityType, entityId);
+  }
+
+  static async getNumbers(filter: DocumentNumberFilter = {}): Promise<DocumentNumber[]> {
+    return documentNumberRepository.findNumbers({
+      ...filter,
+      docType: filter.docType ? this.docType(filter.docType) : undefined,
+    });
+  }
+
+  /**
+   * Void an issued number so it is never handed out again. A number still
+   * on a shipment or estimate has to be taken off it first.
+   */
+  static async voidNumber(id: number, reason: string, actor?: string): Promise<DocumentNumber> {
+    const text = String(reason || '').trim();
+    if (!text) throw AppError.badRequest('A reason is required to void a number');
+
+    const number = await documentNumberRepository.findById(id);
+    if (!number) throw AppError.notFound(`Document number ${id} not found`);
+    if (number.status === 'voided') throw AppError.conflict(`${number.number} is already void`);
+    if (await documentNumberRepository.countUsage(number.doc_type, number.number) > 0) {
+      throw AppError.conflict(`${number.number} is still in use and can't be voided`);
+    }
+
+    const voided = await documentNumberRepository.voidNumber(id, text, actor);
+    if (!voided) throw AppError.conflict(`${number.number} is already void`);
+    return voided;
+  }
+}
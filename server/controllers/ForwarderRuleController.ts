@@ -0,0 +1,114 @@
+/**
+ * Forwarder Rule Controller
+ * Maintains the per-forwarder rules that read status, vessel and ETA
+ * updates out of forwarder emails, and tries them against a sample email
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import forwarderRuleRepository from '../db/repositories/ForwarderRuleRepository.js';
+import type { ForwarderEmailRule, ForwarderRuleInput } from '../db/repositories/ForwarderRuleRepository.js';
+import importReviewRepository from '../db/repositories/ImportReviewRepository.js';
+import type { ShipmentReference } from '../db/repositories/ImportReviewRepository.js';
+import {
+  validateRule,
+  extractFromEmail,
+  emailReferences,
+  emailUpdates,
+} from '../../src/utils/forwarderEmailRules.js';
+
+/**
+ * A rule as sent by the rules screen
+ */
+export interface ForwarderRuleBody {
+  forwarder?: string;
+  senderPatterns?: string[];
+  field?: string;
+  matchType?: 'keyword' | 'regex';
+  pattern?: string;
+  value?: string | null;
+  searchIn?: 'both' | 'subject' | 'body';
+  active?: boolean;
+  sortOrder?: number;
+}
+
+export interface RuleTestResult {
+  values: Record<string, string>;
+  matched: Array<{ ruleId: number | null; forwarder: string | null; field: string; value: string }>;
+  references: Record<string, string>;
+  updates: Record<string, any>;
+  shipment: { id: string; orderRef: string; matchedBy: ShipmentReference } | null;
+}
+
+export default class ForwarderRuleController {
+  static async getRules(): Promise<ForwarderEmailRule[]> {
+    return forwarderRuleRepository.findAll();
+  }
+
+  static async createRule(body: ForwarderRuleBody, createdBy?: string): Promise<ForwarderEmailRule> {
+    const data = this.toInput(body);
+    this.check(data);
+    return forwarderRuleRepository.create(data, createdBy);
+  }
+
+  static async updateRule(id: number, body: ForwarderRuleBody): Promise<ForwarderEmailRule> {
+    const existing = await forwarderRuleRepository.findById(id);
+    if (!existing) throw AppError.notFound(`Forwarder rule ${id} not found`);
+    const data = this.toInput(body);
+    this.check({ ...existing, ...data });
+
+    const updated = await forwarderRuleRepository.update(id, data);
+    if (!updated) throw AppError.notFound(`Forwarder rule ${id} not found`);
+    return updated;
+  }
+
+  static async deleteRule(id: number): Promise<ForwarderEmailRule> {
+    const rule = await forwarderRuleRepository.findById(id);
+    if (!rule) throw AppError.notFound(`Forwarder rule ${id} not found`);
+    await forwarderRuleRepository.delete(id);
+    return rule;
+  }
+
+  /**
+   * Read a pasted email with the active rules, showing what each found and
+   * the shipment it would be matched to
+   */
+  static async testRules(email: { from?: string; subject?: string; body?: string }): Promise<RuleTestResult> {
+    const rules = await forwarderRuleRepository.findAll(true);
+    const { values, matched } = extractFromEmail(email, rules);
+    const references = emailReferences(values);
+    const match = Object.keys(references).length
+      ? await importReviewRepository.findShipmentByReference(references)
+      : null;
+
+    return {
+      values,
+      matched,
+      references,
+      updates: emailUpdates(values),
+      shipment: match ? { id: match.shipment.id, orderRef: match.shipment.order_ref, matchedBy: match.matchedBy } : null,
+    };
+  }
+
+  // ─── Helpers ───
+
+  private static check(rule: Record<string, any>): void {
+    const errors = validateRule(rule);
+    if (errors.length) throw AppError.badRequest(errors[0]!, { errors });
+  }
+
+  private static toInput(body: ForwarderRuleBody): ForwarderRuleInput {
+    const data: ForwarderRuleInput = {};
+    if (body.forwarder !== undefined) data.forwarder = String(body.forwarder).trim();
+    if (body.senderPatterns !== undefined) {
+      data.sender_patterns = body.senderPatterns.map(p => String(p).trim().toLowerCase()).filter(Boolean);
+    }
+    if (body.field !== undefined) data.field = body.field;
+    if (body.matchType !== undefined) data.match_type = body.matchType;
+    if (body.pattern !== undefined) data.pattern = String(body.pattern).trim();
+    if (body.value !== undefined) data.value = body.value ? String(body.value).trim() : null;
+    if (body.searchIn !== undefined) data.search_in = body.searchIn;
+    if (body.active !== undefined) data.active = body.active;
+    if (body.sortOrder !== undefined) data.sort_order = body.sortOrder;
+    return data;
+  }
+}
@@ -0,0 +1,329 @@
+/**
+ * Freight Quote Controller
+ * Keeps the forwarder list and the quotes they send: files stay in
+ * storage under uploads/quotes/<forwarder code>, while lane, mode,
+ * validity and charges live in the database, read from PDFs where possible
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AppError } from '../utils/AppError.ts';
+import PDFAnalyzer from '../services/pdfAnalyzer.js';
+import freightQuoteRepository from '../db/repositories/FreightQuoteRepository.js';
+import type {
+  Forwarder,
+  ForwarderInput,
+  FreightQuote,
+  FreightQuoteInput,
+} from '../db/repositories/FreightQuoteRepository.js';
+import {
+  QUOTE_MODES,
+  forwarderCode,
+  isReservedCode,
+  matchesLane,
+  matchesValidity,
+  quoteFromAnalysis,
+} from '../../src/utils/freightQuotes.js';
+
+const __dirname: string = path.dirname(fileURLToPath(import.meta.url));
+
+export const QUOTES_DIR: string = path.join(__dirname, '../uploads/quotes');
+
+const pdfAnalyzer = new PDFAnalyzer();
+
+export interface ForwarderBody {
+  name?: string;
+  code?: string;
+  contactEmail?: string | null;
+  brandColor?: string | null;
+  active?: boolean;
+}
+
+/**
+ * Quote details as corrected on the quotes page
+ */
+export interface QuoteDetailsBody {
+  origin?: string | null;
+  destination?: string | null;
+  mode?: string | null;
+  containerType?: string | null;
+  validFrom?: string | null;
+  validUntil?: string | null;
+  currency?: string | null;
+  totalAmount?: number | null;
+  notes?: string | null;
+}
+
+export interface QuoteListParams {
+  forwarder?: string;
+  origin?: string;
+  destination?: string;
+  mode?: string;
+  containerType?: string;
+  validity?: string;
+}
+
+const blankToNull = (value: unknown): string | null => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+};
+
+export default class FreightQuoteController {
+  // ─── Forwarders ───
+
+  static async getForwarders(activeOnly: boolean = false): Promise<Forwarder[]> {
+    return freightQuoteRepository.findForwarders(activeOnly);
+  }
+
+  static async getForwarder(code: string): Promise<Forwarder> {
+    const forwarder = await freightQuoteRepository.findForwarderByCode(code);
+    if (!forwarder) throw AppError.notFound(`Forwarder "${code}" not found`);
+    return forwarder;
+  }
+
+  /**
+   * Add a forwarder and its storage folder. The code defaults to one made
+   * from the name and cannot change later, since it names the folder.
+   */
+  static async createForwarder(body: ForwarderBody): Promise<Forwarder> {
+    const name = blankToNull(body.name);
+    if (!name) throw AppError.badRequest('Forwarder name is required');
+    const code = forwarderCode(body.code || name);
+    if (!code) throw AppError.badRequest('Forwarder name needs at least one letter or number');
+    if (isReservedCode(code)) throw AppError.badRequest(`"${code}" cannot be used as a forwarder code`);
+    if (await freightQuoteRepository.findForwarderByCode(code)) {
+      throw AppError.conflict(`A forwarder with code "${code}" already exists`);
+    }
+
+    const forwarder = await freightQuoteRepository.createForwarder({
+      code,
+      name,
+      contact_email: blankToNull(body.contactEmail),
+      brand_color: blankToNull(body.brandColor),
+    });
+    await fs.mkdir(path.join(QUOTES_DIR, code), { recursive: true });
+    return forwarder;
+  }
+
+  static async updateForwarder(id: number, body: ForwarderBody): Promise<Forwarder> {
+    const data: ForwarderInput = {};
+    if (body.name !== undefined) {
+      const name = blankToNull(body.name);
+      if (!name) throw AppError.badRequest('Forwarder name is required');
+      data.name = name;
+    }
+    if (body.contactEmail !== undefined) data.contact_email = blankToNull(body.contactEmail);
+    if (body.brandColor !== undefined) data.brand_color = blankToNull(body.brandColor);
+    if (body.active !== undefined) data.active = body.active;
+
+    const updated = await freightQuoteRepository.updateForwarder(id, data);
+    if (!updated) throw AppError.notFound(`Forwarder ${id} not found`);
+    return updated;
+  }
+
+  // ─── Quotes ───
+
+  /**
+   * Quotes across forwarders, narrowed by lane, mode, container type and
+   * validity. Lane and validity use the same rules as the quotes page.
+   */
+  static async getQuotes(params: QuoteListParams = {}): Promise<FreightQuote[]> {
+    const forwarder = params.forwarder ? await this.getForwarder(params.forwarder) : null;
+    const quotes = await freightQuoteRepository.findQuotes({
+      forwarder_id: forwarder?.id,
+      mode: params.mode,
+      container_type: params.containerType,
+    });
+    return quotes
+      .filter(q => matchesLane(q, { origin: params.origin, destination: params.destination }))
+      .filter(q => matchesValidity(q, params.validity));
+  }
+
+  static async getQuote(code: string, filename: string): Promise<FreightQuote> {
+    const forwarder = await this.getForwarder(code);
+    const quote = await freightQuoteRepository.findQuoteByFile(forwarder.id, filename);
+    if (!quote) throw AppError.notFound('Quote not found');
+    return quote;
+  }
+
+  /**
+   * Where a quote's file is stored, refusing names that leave the
+   * forwarder's folder
+   */
+  static filePath(code: string, filename: string): string {
+    const baseDir = path.resolve(QUOTES_DIR, code);
+    const filePath = path.resolve(baseDir, filename);
+    if (!filePath.startsWith(baseDir + path.sep)) throw AppError.badRequest('Invalid file path');
+    return filePath;
+  }
+
+  /**
+   * Record files just stored for a forwarder. PDFs are read straight away
+   * so the lane and validity show without a separate analysis; a PDF that
+   * cannot be read is kept with its details blank.
+   */
+  static async registerUploads(
+    forwarder: Forwarder,
+    files: Array<{ filename: string; originalname: string; size: number; path: string }>,
+    uploadedBy?: string
+  ): Promise<FreightQuote[]> {
+    const quotes: FreightQuote[] = [];
+    for (const file of files) {
+      let quote = await freightQuoteRepository.createQuote(
+        forwarder.id,
+        { filename: file.filename, originalName: file.originalname, size: file.size },
+        uploadedBy
+      );
+      if (file.filename.toLowerCase().endsWith('.pdf')) {
+        try {
+          quote = (await this.storeAnalysis(quote, await pdfAnalyzer.analyzePDFQuote(file.path))).quote;
+        } catch (error: any) {
+          console.warn(`Could not read quote ${file.filename}: ${error.message}`);
+        }
+      }
+      quotes.push(quote);
+    }
+    return quotes;
+  }
+
+  /**
+   * Read a PDF quote again. Charges and confidence are replaced; lane,
+   * mode, validity and currency are only filled where still blank, so
+   * corrections made by hand survive.
+   */
+  static async analyzeQuote(code: string, filename: string): Promise<{ quote: FreightQuote; analysis: any }> {
+    const quote = await this.getQuote(code, filename);
+    if (!filename.toLowerCase().endsWith('.pdf')) throw AppError.badRequest('File must be a PDF for analysis');
+    const filePath = this.filePath(code, filename);
+    await this.checkFile(filePath);
+    return this.storeAnalysis(quote, await pdfAnalyzer.analyzePDFQuote(filePath));
+  }
+
+  static async analyzeAll(code: string): Promise<Array<{ filename: string; analysis?: any; error?: string }>> {
+    const forwarder = await this.getForwarder(code);
+    const quotes = await freightQuoteRepository.findQuotes({ forwarder_id: forwarder.id });
+    const results: Array<{ filename: string; analysis?: any; error?: string }> = [];
+    for (const quote of quotes.filter(q => q.filename.toLowerCase().endsWith('.pdf'))) {
+      try {
+        const { analysis } = await this.analyzeQuote(code, quote.filename);
+        results.push({ filename: quote.filename, analysis: { ...analysis, forwarder: code } });
+      } catch (error: any) {
+        results.push({ filename: quote.filename, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * PDF analyses for a comparison report, skipping quotes that are missing
+   * or not PDFs
+   */
+  static async compareQuotes(selection: Array<{ forwarder: string; filename: string }>): Promise<any> {
+    const analyses: any[] = [];
+    for (const { forwarder, filename } of selection) {
+      if (!String(filename).toLowerCase().endsWith('.pdf')) continue;
+      try {
+        await this.getQuote(forwarder, filename);
+        const analysis: any = await pdfAnalyzer.analyzePDFQuote(this.filePath(forwarder, filename));
+        analysis.forwarder = forwarder;
+        analyses.push(analysis);
+      } catch (error: any) {
+        console.warn(`Skipping quote ${forwarder}/${filename}: ${error.message}`);
+      }
+    }
+    if (!analyses.length) throw AppError.badRequest('No valid PDF quotes found for comparison');
+    return pdfAnalyzer.generateComparisonReport(analyses);
+  }
+
+  static async updateQuote(code: string, filename: string, body: QuoteDetailsBody): Promise<FreightQuote> {
+    const quote = await this.getQuote(code, filename);
+    const data: FreightQuoteInput = {};
+    if (body.origin !== undefined) data.origin = blankToNull(body.origin);
+    if (body.destination !== undefined) data.destination = blankToNull(body.destination);
+    if (body.mode !== undefined) {
+      const mode = blankToNull(body.mode);
+      if (mode && !QUOTE_MODES.some(m => m.value === mode)) throw AppError.badRequest('Unknown freight mode');
+      data.mode = mode as FreightQuote['mode'];
+    }
+    if (body.containerType !== undefined) data.container_type = blankToNull(body.containerType);
+    if (body.validFrom !== undefined) data.valid_from = blankToNull(body.validFrom);
+    if (body.validUntil !== undefined) data.valid_until = blankToNull(body.validUntil);
+    if (body.currency !== undefined) data.currency = blankToNull(body.currency)?.toUpperCase() ?? null;
+    if (body.totalAmount !== undefined) {
+      if (body.totalAmount !== null && !(Number(body.totalAmount) >= 0)) {
+        throw AppError.badRequest('Amount must be zero or more');
+      }
+      data.total_amount = body.totalAmount === null ? null : Number(body.totalAmount);
+    }
+    if (body.notes !== undefined) data.notes = blankToNull(body.notes);
+
+    const validFrom = data.valid_from !== undefined ? data.valid_from : quote.valid_from;
+    const validUntil = data.valid_until !== undefined ? data.valid_until : quote.valid_until;
+    if (validFrom && validUntil && validFrom > validUntil) {
+      throw AppError.badRequest('Valid from must be on or before valid until');
+    }
+
+    return (await freightQuoteRepository.updateQuote(quote.id, data))!;
+  }
+
+  static async renameQuote(code: string, filename: string, newName: string): Promise<FreightQuote> {
+    const quote = await this.getQuote(code, filename);
+    const name = String(newName || '').trim();
+    if (!name) throw AppError.badRequest('New name is required');
+    if (/[<>:"/\\|?*]/.test(name)) {
+      throw AppError.badRequest('Filename contains invalid characters. Cannot use: < > : " / \\ | ? *');
+    }
+    if (await freightQuoteRepository.findQuoteByFile(quote.forwarder_id, name)) {
+      throw AppError.conflict('A quote with this name already exists');
+    }
+
+    const oldPath = this.filePath(code, filename);
+    await this.checkFile(oldPath);
+    await fs.rename(oldPath, this.filePath(code, name));
+    await freightQuoteRepository.renameQuote(quote.id, name);
+    return (await freightQuoteRepository.findQuoteById(quote.id))!;
+  }
+
+  static async deleteQuote(code: string, filename: string): Promise<FreightQuote> {
+    const quote = await this.getQuote(code, filename);
+    try {
+      await fs.unlink(this.filePath(code, filename));
+    } catch (error: any) {
+      // A file already gone from storage still clears its record
+      if (error.code !== 'ENOENT') throw error;
+    }
+    await freightQuoteRepository.deleteQuote(quote.id);
+    return quote;
+  }
+
+  // ─── Helpers ───
+
+  static async checkFile(filePath: string): Promise<void> {
+    try {
+      await fs.access(filePath);
+    } catch {
+      throw AppError.notFound('Quote file not found');
+    }
+  }
+
+  private static async storeAnalysis(quote: FreightQuote, analysis: any): Promise<{ quote: FreightQuote; analysis: any }> {
+    const details = quoteFromAnalysis(analysis);
+    const data: FreightQuoteInput = {
+      charges: details.charges,
+      confidence: analysis.confidence ?? null,
+      analyzed_at: new Date(),
+    };
+    if (!quote.origin && details.origin) data.origin = details.origin;
+    if (!quote.destination && details.destination) data.destination = details.destination;
+    if (!quote.mode && details.mode) data.mode = details.mode;
+    if (!quote.container_type && details.container_type) data.container_type = details.container_type;
+    if (!quote.valid_until && details.valid_until) data.valid_until = details.valid_until;
+    if (!quote.currency && details.currency) data.currency = details.currency;
+    if (quote.total_amount === null && details.total_amount !== null) data.total_amount = details.total_amount;
+
+    const updated = (await freightQuoteRepository.updateQuote(quote.id, data))!;
+    return { quote: updated, analysis };
+  }
+}
@@ -0,0 +1,519 @@
+/**
+ * Freight Tender Controller
+ * Runs mini-tenders for big shipments: an RFQ goes to selected forwarders
+ * as a tokenised link to a response form, their structured rates are
+ * compared side by side, and the awarded rates are written to the
+ * shipment's cost estimate and the forwarder becomes its forwarding agent
+ */
+
+import crypto from 'crypto';
+import { AppError } from '../utils/AppError.ts';
+import PDFAnalyzer from '../services/pdfAnalyzer.js';
+import EmailService from '../services/emailService.js';
+import DocumentNumberController from './DocumentNumberController.js';
+import CostingController from './CostingController.js';
+import type { RequestUser } from './CostingController.js';
+import ShipmentController from './ShipmentController.js';
+import { costingRepository } from '../db/repositories/CostingRepository.js';
+import type { ImportCostEstimate } from '../db/repositories/CostingRepository.js';
+import { shipmentRepository } from '../db/repositories/index.js';
+import freightQuoteRepository from '../db/repositories/FreightQuoteRepository.js';
+import freightTenderRepository from '../db/repositories/FreightTenderRepository.js';
+import type {
+  FreightTender,
+  FreightTenderInput,
+  TenderInvitation,
+} from '../db/repositories/FreightTenderRepository.js';
+import { laneLabel, modeLabel } from '../../src/utils/freightQuotes.js';
+import {
+  acceptsResponses,
+  canMoveTo,
+  estimateFromResponse,
+  hasResponded,
+  lowestResponse,
+  responseAnalysis,
+  tenderStatusLabel,
+  validateResponse,
+  validateTender,
+} from '../../src/utils/freightTenders.js';
+import type { TenderCurrency, TenderStatus } from '../../src/utils/freightTenders.js';
+import { logWarn } from '../utils/logger.js';
+
+const pdfAnalyzer = new PDFAnalyzer();
+
+/**
+ * An RFQ as sent by the tenders page
+ */
+export interface TenderBody {
+  shipmentId?: string | null;
+  origin?: string;
+  destination?: string;
+  mode?: string;
+  containerType?: string | null;
+  cargoDescription?: string | null;
+  cbm?: number | string | null;
+  weightKg?: number | string | null;
+  incoterm?: string | null;
+  requiredDate?: string | null;
+  responseDue?: string | null;
+  notes?: string | null;
+}
+
+/**
+ * Rates as sent from the forwarder response form
+ */
+export interface TenderResponseBody {
+  contactName?: string | null;
+  currency?: string;
+  freightAmount?: number | string;
+  originCharges?: number | string | null;
+  transitDays?: number | string | null;
+  carrier?: string | null;
+  validUntil?: string | null;
+  notes?: string | null;
+}
+
+export interface TenderDetail extends FreightTender {
+  invitations: TenderInvitation[];
+}
+
+export interface SentInvitation {
+  invitation: TenderInvitation;
+  // Shown once, so the link can be passed on when the email did not go out
+  link: string;
+  emailSent: boolean;
+}
+
+/**
+ * What a forwarder sees through their link: the RFQ without internal
+ * references, and their own response
+ */
+export interface PublicTender {
+  tenderNumber: string;
+  forwarderName: string;
+  status: TenderStatus;
+  statusLabel: string;
+  acceptsResponses: boolean;
+  origin: string;
+  destination: string;
+  mode: string;
+  containerType: string | null;
+  cargoDescription: string | null;
+  cbm: number | null;
+  weightKg: number | null;
+  incoterm: string | null;
+  requiredDate: string | null;
+  responseDue: string | null;
+  notes: string | null;
+  response: Pick<TenderInvitation,
+    'responded_at' | 'contact_name' | 'currency' | 'freight_amount' | 'origin_charges'
+    | 'transit_days' | 'carrier' | 'valid_until' | 'response_notes'
+  > | null;
+}
+
+export interface AwardResult {
+  tender: TenderDetail;
+  estimate: ImportCostEstimate;
+  estimateCreated: boolean;
+}
+
+const blankToNull = (value: any): any => (
+  value === undefined || value === null || String(value).trim() === '' ? null : value
+);
+
+const trimOrNull = (value: any): string | null => {
+  const text = blankToNull(value);
+  return text === null ? null : String(text).trim();
+};
+
+const numberOrNull = (value: any): number | null => (blankToNull(value) === null ? null : Number(value));
+
+const hashToken = (token: string): string => crypto.createHash('sha256').update(token).digest('hex');
+
+const responseLink = (token: string): string =>
+  `${process.env.FRONTEND_URL || 'http://localhost:5173'}/tender-response?token=${token}`;
+
+const cargoSummary = (tender: FreightTender): string => [
+  tender.cargo_description,
+  tender.container_type,
+  tender.cbm ? `${tender.cbm} CBM` : null,
+  tender.weight_kg ? `${tender.weight_kg} kg` : null,
+].filter(Boolean).join(', ') || 'N/A';
+
+export default class FreightTenderController {
+  static async getTenders(status?: string): Promise<FreightTender[]> {
+    return freightTenderRepository.findAll(status);
+  }
+
+  static async getTender(id: number): Promise<TenderDetail> {
+    const tender = await freightTenderRepository.findById(id);
+    if (!tender) throw AppError.notFound(`Freight tender ${id} not found`);
+    return { ...tender, invitations: await freightTenderRepository.findInvitations(id) };
+  }
+
+  /**
+   * Draft an RFQ under the next tender number
+   */
+  static async createTender(body: TenderBody, actor?: string): Promise<TenderDetail> {
+    const data = this.toInput(body);
+    await this.check(data);
+
+    const issued = await DocumentNumberController.issue('TENDER', { entityType: 'freight_tender' }, actor);
+    let tender: FreightTender;
+    try {
+      tender = await freightTenderRepository.create(issued.number, data, actor);
+    } catch (error) {
+      await DocumentNumberController.voidNumber(issued.id, 'Tender was not saved', actor);
+      throw error;
+    }
+    await DocumentNumberController.attach(issued.id, 'freight_tender', String(tender.id));
+    return { ...tender, invitations: [] };
+  }
+
+  /**
+   * Change an RFQ while it is still a draft or out to tender
+   */
+  static async updateTender(id: number, body: TenderBody): Promise<TenderDetail> {
+    const existing = await this.getTender(id);
+    if (existing.status !== 'draft' && existing.status !== 'open') {
+      throw AppError.conflict(`Tender ${existing.tender_number} is ${tenderStatusLabel(existing.status).toLowerCase()}`);
+    }
+    const data = this.toInput(body);
+    await this.check({ ...existing, ...data });
+
+    await freightTenderRepository.update(id, data);
+    return this.getTender(id);
+  }
+
+  /**
+   * Close a tender to further responses, reopen it, or cancel it. Tenders
+   * open by inviting forwarders and are awarded through award().
+   */
+  static async setStatus(id: number, status: TenderStatus): Promise<TenderDetail> {
+    const tender = await this.getTender(id);
+    if (status === 'awarded') throw AppError.badRequest('Award a tender by choosing the winning response');
+    if (!canMoveTo(tender.status, status)) {
+      throw AppError.conflict(`Tender ${tender.tender_number} cannot move from ${tender.status} to ${status}`);
+    }
+    if (status === 'open' && !tender.invitations.length) {
+      throw AppError.badRequest('Invite at least one forwarder to open the tender');
+    }
+    await freightTenderRepository.setStatus(id, status);
+    return this.getTender(id);
+  }
+
+  /**
+   * Invite forwarders by email with their own response link. Forwarders
+   * already invited, inactive or without a contact email are skipped. A
+   * draft tender opens with its first invitations.
+   */
+  static async inviteForwarders(
+    id: number,
+    forwarderIds: number[],
+    actor?: string
+  ): Promise<{ tender: TenderDetail; sent: SentInvitation[]; skipped: Array<{ forwarderId: number; reason: string }> }> {
+    const tender = await this.getTender(id);
+    if (tender.status !== 'draft' && tender.status !== 'open') {
+      throw AppError.conflict(`Tender ${tender.tender_number} is ${tenderStatusLabel(tender.status).toLowerCase()}`);
+    }
+
+    const sent: SentInvitation[] = [];
+    const skipped: Array<{ forwarderId: number; reason: string }> = [];
+    for (const forwarderId of forwarderIds) {
+      const forwarder = await freightQuoteRepository.findForwarderById(forwarderId);
+      if (!forwarder || !forwarder.active) {
+        skipped.push({ forwarderId, reason: 'Forwarder not found or inactive' });
+        continue;
+      }
+      if (!forwarder.contact_email) {
+        skipped.push({ forwarderId, reason: `${forwarder.name} has no contact email` });
+        continue;
+      }
+      if (await freightTenderRepository.findInvitationByForwarder(id, forwarderId)) {
+        skipped.push({ forwarderId, reason: `${forwarder.name} is already invited` });
+        continue;
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const invitation = await freightTenderRepository.createInvitation(
+        id, forwarderId, forwarder.contact_email, hashToken(token), actor
+      );
+      sent.push(await this.sendInvitation(tender, invitation, token));
+    }
+
+    if (sent.length && tender.status === 'draft') {
+      await freightTenderRepository.setStatus(id, 'open');
+    }
+    return { tender: await this.getTender(id), sent, skipped };
+  }
+
+  /**
+   * Send an invitation again with a new link, optionally to another
+   * address; the old link stops working
+   */
+  static async resendInvitation(id: number, invitationId: number, email?: string, actor?: string): Promise<SentInvitation> {
+    const tender = await this.getTender(id);
+    if (tender.status !== 'open') {
+      throw AppError.conflict(`Tender ${tender.tender_number} is not out to tender`);
+    }
+    const existing = tender.invitations.find(i => i.id === invitationId);
+    if (!existing) throw AppError.notFound(`Invitation ${invitationId} not found on tender ${tender.tender_number}`);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await freightTenderRepository.renewInvitation(
+      invitationId, trimOrNull(email) || existing.email, hashToken(token), actor
+    );
+    return this.sendInvitation(tender, invitation, token);
+  }
+
+  /**
+   * Withdraw an invitation the forwarder has not answered
+   */
+  static async removeInvitation(id: number, invitationId: number): Promise<TenderInvitation> {
+    const tender = await this.getTender(id);
+    const invitation = tender.invitations.find(i => i.id === invitationId);
+    if (!invitation) throw AppError.notFound(`Invitation ${invitationId} not found on tender ${tender.tender_number}`);
+    if (hasResponded(invitation) || !(await freightTenderRepository.deleteInvitation(invitationId))) {
+      throw AppError.conflict(`${invitation.forwarder_name} has already responded`);
+    }
+    return invitation;
+  }
+
+  /**
+   * The responses side by side, with the comparison report PDF quotes get
+   */
+  static async compare(id: number): Promise<{ responses: TenderInvitation[]; lowestId: number | null; report: any }> {
+    const tender = await this.getTender(id);
+    const responses = tender.invitations.filter(hasResponded);
+    if (!responses.length) throw AppError.badRequest(`No responses on tender ${tender.tender_number} yet`);
+
+    return {
+      responses,
+      lowestId: lowestResponse(responses)?.id ?? null,
+      report: pdfAnalyzer.generateComparisonReport(responses.map(r => responseAnalysis(tender, r)) as any),
+    };
+  }
+
+  /**
+   * Award the tender to a response. Its rates go into the tender's cost
+   * estimate, else the shipment's latest estimate, else a new draft
+   * estimate linked to the shipment; the forwarder becomes the shipment's
+   * forwarding agent. The tender is claimed as awarded first, so two awards
+   * can't both go through and the response can no longer change; if
+   * applying it fails, the estimate and the claim are put back as they were.
+   */
+  static async award(id: number, invitationId: number, user?: RequestUser): Promise<AwardResult> {
+    const tender = await this.getTender(id);
+    if (!canMoveTo(tender.status, 'awarded')) {
+      throw AppError.conflict(`Tender ${tender.tender_number} cannot be awarded while ${tenderStatusLabel(tender.status).toLowerCase()}`);
+    }
+    const invitation = tender.invitations.find(i => i.id === invitationId);
+    if (!invitation) throw AppError.notFound(`Invitation ${invitationId} not found on tender ${tender.tender_number}`);
+    if (!hasResponded(invitation)) throw AppError.badRequest(`${invitation.forwarder_name} has not responded`);
+
+    const actor = user ? user.username || user.email || user.id : undefined;
+    if (!await freightTenderRepository.claimAward(id, invitationId, actor)) {
+      throw AppError.conflict(`Tender ${tender.tender_number} has changed since it was loaded; refresh and try again`);
+    }
+
+    let existing: ImportCostEstimate | null = null;
+    let fields: Partial<ImportCostEstimate> = {};
+    let estimate: ImportCostEstimate | null = null;
+    try {
+      // Read again now the claim has frozen the tender and its responses
+      const claimed = (await freightTenderRepository.findById(id))!;
+      const winner = await freightTenderRepository.findInvitationById(invitationId);
+      if (!winner || winner.tender_id !== id || !hasResponded(winner)) {
+        throw AppError.conflict(`The response from ${invitation.forwarder_name} has changed; refresh and try again`);
+      }
+
+      const shipment = claimed.shipment_id ? await shipmentRepository.findById(claimed.shipment_id) : null;
+      fields = estimateFromResponse(claimed, winner) as Partial<ImportCostEstimate>;
+
+      existing = claimed.cost_estimate_id ? await costingRepository.findById(claimed.cost_estimate_id) : null;
+      if (!existing && shipment) {
+        const [latest] = await costingRepository.findByShipmentId(shipment.id);
+        existing = latest || null;
+      }
+
+      estimate = existing
+        ? await CostingController.updateCostEstimate(existing.id, fields, user)
+        : await CostingController.createCostEstimate({
+          ...fields,
+          shipment_id: shipment?.id,
+          supplier_name: shipment?.supplier,
+          notes: `Freight awarded to ${winner.forwarder_name} on tender ${claimed.tender_number}`,
+          created_by: actor,
+        }, user);
+      await freightTenderRepository.setCostEstimate(id, estimate.id);
+
+      if (shipment) {
+        await ShipmentController.updateShipment(shipment.id, { forwardingAgent: winner.forwarder_name }, undefined, actor);
+      }
+    } catch (error) {
+      if (estimate) await this.undoAwardEstimate(tender, estimate, existing, fields, user);
+      await freightTenderRepository.releaseAward(id, invitationId, tender.status, tender.cost_estimate_id);
+      throw error;
+    }
+
+    return { tender: await this.getTender(id), estimate, estimateCreated: !existing };
+  }
+
+  /**
+   * Take a failed award's rates back out: an estimate it updated gets its
+   * previous values again, one it created is deleted and its reference voided
+   */
+  private static async undoAwardEstimate(
+    tender: FreightTender,
+    estimate: ImportCostEstimate,
+    existing: ImportCostEstimate | null,
+    fields: Partial<ImportCostEstimate>,
+    user?: RequestUser
+  ): Promise<void> {
+    const actor = user ? user.username || user.email || user.id : undefined;
+    try {
+      if (existing) {
+        const previous = Object.fromEntries(
+          Object.keys(fields).map(key => [key, existing[key as keyof ImportCostEstimate]])
+        ) as Partial<ImportCostEstimate>;
+        await CostingController.updateCostEstimate(existing.id, previous, user);
+        return;
+      }
+
+      await CostingController.deleteCostEstimate(estimate.id);
+      const [reference] = (await DocumentNumberController.getNumbers({ docType: 'ESTIMATE', search: estimate.reference_number || '' }))
+        .filter(n => n.number === estimate.reference_number && n.status === 'issued');
+      if (reference) {
+        await DocumentNumberController.voidNumber(reference.id, `Award of tender ${tender.tender_number} failed`, actor);
+      }
+    } catch (error) {
+      logWarn('Awarded rates not taken back out of the cost estimate', {
+        tender: tender.tender_number,
+        estimate: estimate.id,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  // ─── Forwarder response form ───
+
+  static async getByToken(token: string): Promise<PublicTender> {
+    const { tender, invitation } = await this.findByToken(token);
+    if (!invitation.viewed_at) await freightTenderRepository.markViewed(invitation.id);
+    return this.toPublic(tender, invitation);
+  }
+
+  /**
+   * Save a forwarder's rates; they can be revised until the tender closes
+   */
+  static async submitResponse(token: string, body: TenderResponseBody): Promise<PublicTender> {
+    const { tender, invitation } = await this.findByToken(token);
+    if (!acceptsResponses(tender)) {
+      throw AppError.conflict(`Tender ${tender.tender_number} is no longer taking responses`);
+    }
+
+    const response = {
+      contact_name: trimOrNull(body.contactName),
+      currency: (trimOrNull(body.currency)?.toUpperCase() ?? null) as TenderCurrency | null,
+      freight_amount: numberOrNull(body.freightAmount),
+      origin_charges: numberOrNull(body.originCharges),
+      transit_days: numberOrNull(body.transitDays),
+      carrier: trimOrNull(body.carrier),
+      valid_until: trimOrNull(body.validUntil),
+      response_notes: trimOrNull(body.notes),
+    };
+    const errors = validateResponse(response);
+    if (errors.length) throw AppError.badRequest(errors[0]!, { errors });
+
+    const saved = await freightTenderRepository.saveResponse(invitation.id, response);
+    if (!saved) throw AppError.conflict(`Tender ${tender.tender_number} is no longer taking responses`);
+    return this.toPublic(tender, saved);
+  }
+
+  private static async findByToken(token: string): Promise<{ tender: FreightTender; invitation: TenderInvitation }> {
+    const invitation = await freightTenderRepository.findInvitationByTokenHash(hashToken(String(token || '')));
+    const tender = invitation ? await freightTenderRepository.findById(invitation.tender_id) : null;
+    if (!invitation || !tender) throw AppError.notFound('This tender link is not valid. Please ask for a new invitation.');
+    return { tender, invitation };
+  }
+
+  private static toPublic(tender: FreightTender, invitation: TenderInvitation): PublicTender {
+    return {
+      tenderNumber: tender.tender_number,
+      forwarderName: invitation.forwarder_name,
+      status: tender.status,
+      statusLabel: tenderStatusLabel(tender.status),
+      acceptsResponses: acceptsResponses(tender),
+      origin: tender.origin,
+      destination: tender.destination,
+      mode: tender.mode,
+      containerType: tender.container_type,
+      cargoDescription: tender.cargo_description,
+      cbm: tender.cbm,
+      weightKg: tender.weight_kg,
+      incoterm: tender.incoterm,
+      requiredDate: tender.required_date,
+      responseDue: tender.response_due,
+      notes: tender.notes,
+      response: hasResponded(invitation)
+        ? {
+          responded_at: invitation.responded_at,
+          contact_name: invitation.contact_name,
+          currency: invitation.currency,
+          freight_amount: invitation.freight_amount,
+          origin_charges: invitation.origin_charges,
+          transit_days: invitation.transit_days,
+          carrier: invitation.carrier,
+          valid_until: invitation.valid_until,
+          response_notes: invitation.response_notes,
+        }
+        : null,
+    };
+  }
+
+  private static async sendInvitation(tender: FreightTender, invitation: TenderInvitation, token: string): Promise<SentInvitation> {
+    const link = responseLink(token);
+    const result = await EmailService.sendTenderInvitation(invitation.email, {
+      reference: tender.tender_number,
+      forwarderName: invitation.forwarder_name,
+      lane: laneLabel(tender),
+      mode: modeLabel(tender.mode),
+      cargo: cargoSummary(tender),
+      incoterm: tender.incoterm,
+      requiredDate: tender.required_date,
+      responseDue: tender.response_due,
+      responseLink: link,
+    });
+    if (result.success) {
+      await freightTenderRepository.markEmailSent(invitation.id);
+    } else {
+      logWarn('Tender invitation email not sent', { tender: tender.tender_number, email: invitation.email, error: result.error });
+    }
+    return { invitation: { ...invitation, email_sent: result.success }, link, emailSent: result.success };
+  }
+
+  private static toInput(body: TenderBody): FreightTenderInput {
+    const data: FreightTenderInput = {};
+    if (body.shipmentId !== undefined) data.shipment_id = trimOrNull(body.shipmentId);
+    if (body.origin !== undefined) data.origin = String(body.origin).trim();
+    if (body.destination !== undefined) data.destination = String(body.destination).trim();
+    if (body.mode !== undefined) data.mode = body.mode as FreightTender['mode'];
+    if (body.containerType !== undefined) data.container_type = trimOrNull(body.containerType);
+    if (body.cargoDescription !== undefined) data.cargo_description = trimOrNull(body.cargoDescription);
+    if (body.cbm !== undefined) data.cbm = numberOrNull(body.cbm);
+    if (body.weightKg !== undefined) data.weight_kg = numberOrNull(body.weightKg);
+    if (body.incoterm !== undefined) data.incoterm = trimOrNull(body.incoterm)?.toUpperCase() ?? null;
+    if (body.requiredDate !== undefined) data.required_date = trimOrNull(body.requiredDate);
+    if (body.responseDue !== undefined) data.response_due = trimOrNull(body.responseDue);
+    if (body.notes !== undefined) data.notes = trimOrNull(body.notes);
+    return data;
+  }
+
+  private static async check(data: FreightTenderInput): Promise<void> {
+    const errors = validateTender(data);
+    if (errors.length) throw AppError.badRequest(errors[0]!, { errors });
+    if (data.shipment_id && !(await shipmentRepository.findById(data.shipment_id))) {
+      throw AppError.notFound(`Shipment with ID ${data.shipment_id} not found`);
+    }
+  }
+}
@@ -0,0 +1,146 @@
+/**
+ * Import Mapping Controller
+ * Saves the column-mapping profiles that say how each supplier's
+ * spreadsheet reads, and picks the profile for an incoming sheet
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import importMappingRepository from '../db/repositories/ImportMappingRepository.js';
+import type { ImportMappingProfile, ImportMappingInput } from '../db/repositories/ImportMappingRepository.js';
+import {
+  MAPPING_FIELDS,
+  DATE_FORMATS,
+  headerFingerprint,
+  normaliseHeader,
+  selectProfile,
+} from '../../src/utils/importMapping.js';
+import { IMPORT_WAREHOUSES } from '../../src/utils/importReview.js';
+
+/**
+ * A profile as sent by the mapping screen. The sample sheet's headers are
+ * kept as a fingerprint, so later sheets with the same layout find it.
+ */
+export interface MappingProfileBody {
+  name?: string;
+  supplierId?: string | null;
+  senderPatterns?: string[];
+  headers?: string[];
+  columns?: Record<string, string>;
+  valueTranslations?: Record<string, Record<string, string>>;
+  dateFormat?: string;
+  defaultWarehouse?: string | null;
+}
+
+export interface ProfileMatch {
+  profile: ImportMappingProfile;
+  matchedBy: 'sender' | 'headers';
+}
+
+const FIELDS: string[] = MAPPING_FIELDS.map(f => f.field);
+
+export default class ImportMappingController {
+  static async getProfiles(): Promise<ImportMappingProfile[]> {
+    return importMappingRepository.findAll();
+  }
+
+  static async getProfile(id: number): Promise<ImportMappingProfile> {
+    const profile = await importMappingRepository.findById(id);
+    if (!profile) throw AppError.notFound(`Mapping profile ${id} not found`);
+    return profile;
+  }
+
+  static async createProfile(body: MappingProfileBody, createdBy?: string): Promise<ImportMappingProfile> {
+    const data = this.toInput(body);
+    if (!data.name) throw AppError.badRequest('A profile name is required');
+    if (!data.columns || !Object.keys(data.columns).length) {
+      throw AppError.badRequest('Map at least one column');
+    }
+    await this.checkNameFree(data.name);
+    return importMappingRepository.create(data, createdBy);
+  }
+
+  static async updateProfile(id: number, body: MappingProfileBody): Promise<ImportMappingProfile> {
+    await this.getProfile(id);
+    const data = this.toInput(body);
+    if (data.name) await this.checkNameFree(data.name, id);
+
+    const updated = await importMappingRepository.update(id, data);
+    if (!updated) throw AppError.notFound(`Mapping profile ${id} not found`);
+    return updated;
+  }
+
+  static async deleteProfile(id: number): Promise<ImportMappingProfile> {
+    const profile = await this.getProfile(id);
+    await importMappingRepository.delete(id);
+    return profile;
+  }
+
+  /**
+   * The profile for a sheet: by the sender's address, else by its headers.
+   * Null when none fits, in which case columns are guessed from header names.
+   */
+  static async selectFor(source: { sender?: string | null; headers?: string[] }): Promise<ProfileMatch | null> {
+    const profiles = await importMappingRepository.findAll();
+    const match = selectProfile(profiles, source);
+    if (match) await importMappingRepository.touch(match.profile.id);
+    return match;
+  }
+
+  // ─── Helpers ───
+
+  private static async checkNameFree(name: string, exceptId?: number): Promise<void> {
+    const existing = await importMappingRepository.findByName(name);
+    if (existing && existing.id !== exceptId) {
+      throw AppError.conflict(`A mapping profile named "${name}" already exists`);
+    }
+  }
+
+  /**
+   * Check a profile body and convert it to columns. Headers are stored
+   * normalised so a sheet matches whatever its capitalisation.
+   */
+  private static toInput(body: MappingProfileBody): ImportMappingInput {
+    const data: ImportMappingInput = {};
+    if (body.name !== undefined) data.name = String(body.name).trim();
+    if (body.supplierId !== undefined) data.supplier_id = body.supplierId || null;
+    if (body.senderPatterns !== undefined) {
+      data.sender_patterns = body.senderPatterns.map(p => String(p).trim().toLowerCase()).filter(Boolean);
+    }
+    if (body.headers !== undefined) {
+      data.header_fingerprint = body.headers.length ? headerFingerprint(body.headers) : null;
+    }
+
+    if (body.columns !== undefined) {
+      const columns: Record<string, string> = {};
+      Object.entries(body.columns).forEach(([header, field]) => {
+        if (!field) return;
+        if (!FIELDS.includes(field)) throw AppError.badRequest(`Unknown field "${field}" for column "${header}"`);
+        columns[normaliseHeader(header)] = field;
+      });
+      data.columns = columns;
+    }
+
+    if (body.valueTranslations !== undefined) {
+      const translations: Record<string, Record<string, string>> = {};
+      Object.entries(body.valueTranslations).forEach(([field, values]) => {
+        if (!FIELDS.includes(field)) throw AppError.badRequest(`Unknown field "${field}" in value translations`);
+        const entries = Object.entries(values || {}).filter(([from, to]) => String(from).trim() && String(to ?? '').trim());
+        if (entries.length) translations[field] = Object.fromEntries(entries);
+      });
+      data.value_translations = translations;
+    }
+
+    if (body.dateFormat !== undefined) {
+      if (!DATE_FORMATS.some(f => f.value === body.dateFormat)) throw AppError.badRequest('Unknown date format');
+      data.date_format = body.dateFormat;
+    }
+    if (body.defaultWarehouse !== undefined) {
+      const warehouse = body.defaultWarehouse ? String(body.defaultWarehouse).trim().toUpperCase() : null;
+      if (warehouse && !IMPORT_WAREHOUSES.includes(warehouse)) {
+        throw AppError.badRequest(`Default warehouse must be one of: ${IMPORT_WAREHOUSES.join(', ')}`);
+      }
+      data.default_warehouse = warehouse;
+    }
+    return data;
+  }
+}
@@ -0,0 +1,226 @@
+/**
+ * Import Review Controller
+ * Stages shipment rows read from emailed schedules, and updates read from
+ * forwarder emails, and applies the ones a planner approves through the
+ * same create and update paths as the rest of the app
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import importReviewRepository from '../db/repositories/ImportReviewRepository.js';
+import type {
+  EmailImport,
+  ImportRow,
+  ImportRowFilter,
+  ImportRowSource,
+  StagedRow,
+} from '../db/repositories/ImportReviewRepository.js';
+import forwarderRuleRepository from '../db/repositories/ForwarderRuleRepository.js';
+import ShipmentController from './ShipmentController.js';
+import type { BulkImportShipment } from './ShipmentController.js';
+import { IMPORT_FIELDS, classifyImportRow, importChanges } from '../../src/utils/importReview.js';
+import { extractFromEmail, emailReferences, emailUpdates } from '../../src/utils/forwarderEmailRules.js';
+
+/**
+ * The email an attachment came in on
+ */
+export interface EmailSource {
+  messageId?: string | null;
+  emailFrom?: string | null;
+  emailSubject?: string | null;
+  emailDate?: Date | null;
+  attachmentName?: string | null;
+  mappingProfileId?: number | null;
+}
+
+export interface StagingSummary {
+  emailImportId: number;
+  staged: number;
+  unchanged: number;
+  invalid: number;
+  superseded: number;
+}
+
+// Fields a planner can correct before approving; the order ref is editable
+// so a row missing one can still be matched
+const EDITABLE_FIELDS: string[] = ['orderRef', ...IMPORT_FIELDS.map(f => f.field)];
+
+// Rows read from an email's text can also be matched by container or BOL
+const EMAIL_TEXT_FIELDS: string[] = [...EDITABLE_FIELDS, 'containerNumber', 'bolNumber'];
+
+export default class ImportReviewController {
+  static async getQueue(filter: ImportRowFilter = {}): Promise<ImportRow[]> {
+    return importReviewRepository.findRows(filter);
+  }
+
+  static async getEmailImports(): Promise<EmailImport[]> {
+    return importReviewRepository.findEmailImports();
+  }
+
+  static async getRow(id: number): Promise<ImportRow> {
+    const row = await importReviewRepository.findRowById(id);
+    if (!row) throw AppError.notFound(`Import row ${id} not found`);
+    return row;
+  }
+
+  /**
+   * Stage the rows read from one emailed attachment. Rows that match their
+   * shipment exactly are counted but not queued.
+   */
+  static async stageRows(
+    rows: Partial<BulkImportShipment>[],
+    source: EmailSource,
+    rowSource: ImportRowSource = 'attachment'
+  ): Promise<StagingSummary> {
+    const classified = await Promise.all(rows.map(async (data, index) => ({
+      rowNumber: index + 1,
+      ...(await this.classify(data, rowSource)),
+    })));
+    const staged = classified.filter(row => row.action !== 'unchanged');
+
+    const result = await importReviewRepository.stageEmailImport(
+      { ...source, rowCount: rows.length },
+      staged
+    );
+
+    return {
+      emailImportId: result.emailImport.id,
+      staged: result.staged,
+      unchanged: classified.length - staged.length,
+      invalid: staged.filter(row => row.action === 'invalid').length,
+      superseded: result.superseded,
+    };
+  }
+
+  /**
+   * Stage the update a forwarder's email describes, read with the rules for
+   * its sender. Returns null when the email names no shipment reference or
+   * no status, vessel or ETA.
+   */
+  static async stageEmailText(source: EmailSource & { body?: string | null }): Promise<StagingSummary | null> {
+    const rules = await forwarderRuleRepository.findAll(true);
+    const { values } = extractFromEmail(
+      { from: source.emailFrom, subject: source.emailSubject, body: source.body },
+      rules
+    );
+    const references = emailReferences(values);
+    const updates = emailUpdates(values);
+    if (!Object.keys(references).length || !Object.keys(updates).length) return null;
+
+    return this.stageRows([{ ...references, ...updates }], source, 'email_body');
+  }
+
+  /**
+   * Correct a pending row's fields; its match, changes and errors are worked
+   * out again from the edited data
+   */
+  static async editRow(id: number, edits: Record<string, any>): Promise<ImportRow> {
+    const row = await this.findPending(id);
+    const editable = row.source === 'email_body' ? EMAIL_TEXT_FIELDS : EDITABLE_FIELDS;
+    const data = { ...row.data };
+    Object.entries(edits).forEach(([field, value]) => {
+      if (editable.includes(field) && value !== undefined) data[field] = value;
+    });
+
+    const restaged = await importReviewRepository.restageRow(id, await this.classify(data, row.source));
+    if (!restaged) throw AppError.conflict(`Import row ${id} has already been reviewed`);
+    return restaged;
+  }
+
+  /**
+   * Apply a pending row: a new shipment goes through the bulk import insert,
+   * changes to an existing one through the shipment update (status
+   * transitions included). The row is diffed again first, since the
+   * shipment may have changed since the email arrived.
+   */
+  static async approveRow(id: number, actor?: string): Promise<ImportRow> {
+    const row = await this.findPending(id);
+    const current = await this.classify(row.data, row.source);
+
+    if (current.action === 'invalid') {
+      throw AppError.badRequest('Fix this row before approving it', { errors: current.errors });
+    }
+
+    let shipmentId: string | null = current.shipmentId;
+    let notes: string | null = null;
+
+    if (current.action === 'create') {
+      shipmentId = `ship_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const result = await ShipmentController.bulkImport(
+        [{ ...row.data, id: shipmentId } as BulkImportShipment],
+        actor
+      );
+      if (!result.imported) {
+        throw AppError.conflict(`A shipment with order ref ${row.data.orderRef} was added meanwhile; review the row again`);
+      }
+    } else if (current.action === 'update') {
+      await ShipmentController.updateShipment(shipmentId!, importChanges(current.changes), undefined, actor);
+    } else {
+      notes = 'Shipment already matched the email';
+    }
+
+    if (shipmentId) {
+      await importReviewRepository.setShipmentSource(shipmentId, row.email_import_id);
+    }
+
+    // Applying is idempotent (creates skip existing order refs), so losing
+    // a race with another planner here only leaves the row as they marked it
+    const applied = await importReviewRepository.reviewRow(id, 'applied', { reviewedBy: actor, notes, shipmentId });
+    return applied || this.getRow(id);
+  }
+
+  static async rejectRow(id: number, notes: string | null | undefined, actor?: string): Promise<ImportRow> {
+    await this.findPending(id);
+    const rejected = await importReviewRepository.reviewRow(id, 'rejected', { reviewedBy: actor, notes });
+    if (!rejected) throw AppError.conflict(`Import row ${id} has already been reviewed`);
+    return rejected;
+  }
+
+  // ─── Helpers ───
+
+  private static async findPending(id: number): Promise<ImportRow> {
+    const row = await this.getRow(id);
+    if (row.status !== 'pending') {
+      throw AppError.conflict(`Import row ${id} has already been ${row.status}`);
+    }
+    return row;
+  }
+
+  /**
+   * Validate a row and diff it against the shipment with its order ref.
+   * Updates from an email's text carry only the fields they change and may
+   * name the shipment by container or BOL number instead.
+   */
+  private static async classify(
+    data: Record<string, any>,
+    source: ImportRowSource = 'attachment'
+  ): Promise<Omit<StagedRow, 'rowNumber'>> {
+    if (source === 'email_body') {
+      const match = await importReviewRepository.findShipmentByReference(emailReferences(data));
+      const { action, changes, errors } = classifyImportRow(data, match?.shipment || null, { partial: true });
+      return {
+        orderRef: match?.shipment.order_ref || (data.orderRef ? String(data.orderRef).trim() : null),
+        shipmentId: match?.shipment.id || null,
+        action,
+        data,
+        changes,
+        errors,
+        source,
+        matchedBy: match?.matchedBy || null,
+      };
+    }
+
+    const orderRef: string | null = data.orderRef ? String(data.orderRef).trim() : null;
+    const existing = orderRef ? await importReviewRepository.findShipmentByOrderRef(orderRef) : null;
+    const { action, changes, errors } = classifyImportRow(data, existing);
+    return {
+      orderRef,
+      shipmentId: existing?.id || null,
+      action,
+      data,
+      changes,
+      errors,
+      source,
+      matchedBy: existing ? 'orderRef' : null,
+    };
+  }
+}
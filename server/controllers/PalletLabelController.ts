@@ -0,0 +1,139 @@
+/**
+ * Pallet Label Controller
+ * Handles the per-pallet labels generated when receiving completes, their
+ * reprints, each warehouse's label template and resolving scanned labels
+ */
+
+import type { Shipment } from '../types/index.js';
+import { AppError } from '../utils/AppError.ts';
+import palletLabelRepository from '../db/repositories/PalletLabelRepository.js';
+import type { PalletLabel } from '../db/repositories/PalletLabelRepository.js';
+import storageLocationRepository from '../db/repositories/StorageLocationRepository.js';
+import { shipmentRepository } from '../db/repositories/index.js';
+import { ShipmentEventRepository } from '../db/repositories/ShipmentEventRepository.ts';
+import ShipmentController from './ShipmentController.js';
+import { LABEL_SIZES, LABEL_FIELDS, buildPalletLabels, normalizeTemplate } from '../../src/utils/palletLabels.js';
+import type { LabelTemplate } from '../../src/utils/palletLabels.js';
+import { SHIPMENT_EVENT_TYPES } from '../../src/utils/shipmentEvents.js';
+
+export interface ShipmentLabels {
+  shipment: Shipment;
+  labels: PalletLabel[];
+  template: LabelTemplate;
+}
+
+export default class PalletLabelController {
+  // ─── Labels ───
+
+  /**
+   * Write a received shipment's labels, giving it a GRN first if it has
+   * none. Labels keep their codes; bins are refreshed so a reprint after a
+   * move shows where the pallets are now. Quantities counted per pallet at
+   * receiving are kept for as long as they add up to the received quantity.
+   */
+  static async generateForShipment(
+    shipmentId: string,
+    palletQuantities?: number[],
+    actor?: string
+  ): Promise<{ shipment: Shipment; labels: PalletLabel[] }> {
+    const shipment = await ShipmentController.generateGRN(shipmentId, actor);
+    const [placements, existing] = await Promise.all([
+      storageLocationRepository.findPlacements({ shipmentId }),
+      palletQuantities ? Promise.resolve([]) : palletLabelRepository.findByShipment(shipmentId),
+    ]);
+    const labels = await palletLabelRepository.saveForShipment(
+      shipmentId,
+      (shipment as any).grn_number,
+      (shipment as any).batch_lot || null,
+      buildPalletLabels(shipment, placements, palletQuantities || existing.map(l => Number(l.quantity)))
+    );
+    return { shipment, labels };
+  }
+
+  /**
+   * A shipment's labels as last generated, with its warehouse's template
+   */
+  static async getLabels(shipmentId: string): Promise<ShipmentLabels> {
+    const shipment = await ShipmentController.getShipment(shipmentId);
+    const [labels, template] = await Promise.all([
+      palletLabelRepository.findByShipment(shipmentId),
+      this.getTemplate((shipment as any).receiving_warehouse),
+    ]);
+    return { shipment, labels, template };
+  }
+
+  /**
+   * Refresh a shipment's labels and count them as printed, for the first
+   * print at receiving or a reprint of some or all pallets
+   */
+  static async printLabels(shipmentId: string, palletNos: number[] | null, actor?: string): Promise<ShipmentLabels> {
+    const { shipment, labels } = await this.generateForShipment(shipmentId, undefined, actor);
+    if (palletNos && palletNos.some(n => !labels.some(l => l.pallet_no === n))) {
+      throw AppError.badRequest(`${shipment.order_ref} has ${labels.length} pallet label(s)`);
+    }
+    const printed = await palletLabelRepository.recordPrint(shipmentId, palletNos, actor);
+    const reprint = printed.some(l => l.print_count > 1);
+
+    await ShipmentEventRepository.record({
+      shipment_id: shipmentId,
+      event_type: SHIPMENT_EVENT_TYPES.LABELS_PRINTED,
+      to_value: printed.map(l => l.label_code).join(', '),
+      details: { pallets: printed.map(l => l.pallet_no), reprint },
+      actor,
+    });
+
+    const template = await this.getTemplate((shipment as any).receiving_warehouse);
+    return { shipment, labels: printed, template };
+  }
+
+  /**
+   * The shipment a scanned code belongs to: a pallet label code, or
+   * otherwise an order ref
+   */
+  static async resolveScan(code: string): Promise<{ shipment: Shipment; label: PalletLabel | null }> {
+    const value = String(code || '').trim();
+    if (!value) throw AppError.badRequest('code is required');
+
+    const label = await palletLabelRepository.findByCode(value);
+    if (label) {
+      return { shipment: await ShipmentController.getShipment(label.shipment_id), label };
+    }
+    const shipment = await shipmentRepository.findByOrderRef(value);
+    if (!shipment) throw AppError.notFound(`No pallet label or order matches ${value}`);
+    return { shipment, label: null };
+  }
+
+  // ─── Templates ───
+
+  /**
+   * A warehouse's label template, or the default when it hasn't set one
+   */
+  static async getTemplate(warehouse?: string | null): Promise<LabelTemplate> {
+    const row = warehouse ? await palletLabelRepository.findTemplate(warehouse) : null;
+    return normalizeTemplate(row);
+  }
+
+  static async getTemplates(): Promise<Array<LabelTemplate & { warehouse: string; updatedBy: string | null }>> {
+    const rows = await palletLabelRepository.findTemplates();
+    return rows.map(row => ({ warehouse: row.warehouse, updatedBy: row.updated_by, ...normalizeTemplate(row) }));
+  }
+
+  static async saveTemplate(
+    warehouse: string,
+    data: { size?: string; headerText?: string; fields?: string[] },
+    actor?: string
+  ): Promise<LabelTemplate & { warehouse: string }> {
+    const name = String(warehouse || '').trim().toUpperCase();
+    if (!name) throw AppError.badRequest('warehouse is required');
+    if (data.size && !(data.size in LABEL_SIZES)) {
+      throw AppError.badRequest(`Label size must be one of ${Object.keys(LABEL_SIZES).join(', ')}`);
+    }
+    const unknown = (data.fields || []).filter(key => !LABEL_FIELDS.some(f => f.key === key));
+    if (unknown.length > 0) throw AppError.badRequest(`Unknown label field(s): ${unknown.join(', ')}`);
+    if (data.fields && data.fields.length === 0) throw AppError.badRequest('A label needs at least one field');
+
+    const template = normalizeTemplate(data);
+    await palletLabelRepository.upsertTemplate(name, template, actor);
+    return { warehouse: name, ...template };
+  }
+}
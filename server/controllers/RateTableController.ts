@@ -0,0 +1,118 @@
+/**
+ * Rate Table Controller
+ * Maintains the versioned costing rate tables and keeps the shared costing
+ * engine (src/utils/costingCalculations.js) loaded with them
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import rateTableRepository from '../db/repositories/RateTableRepository.js';
+import type {
+  OceanFreightRate,
+  LastMileRate,
+  CostingOption,
+  RateTableName,
+} from '../db/repositories/RateTableRepository.js';
+import { parseExcelRateSheet } from '../services/rateSheetParser.ts';
+import { setRateTables } from '../../src/utils/costingCalculations.js';
+import { logInfo, logWarn } from '../utils/logger.js';
+
+export interface RateTables {
+  oceanFreight: OceanFreightRate[];
+  lastMile: LastMileRate[];
+  options: CostingOption[];
+}
+
+// Rates change rarely; reload at most every 5 minutes unless edited through this controller
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let loadedAt = 0;
+
+export default class RateTableController {
+  static async getRateTables(includeExpired = true): Promise<RateTables> {
+    const [oceanFreight, lastMile, options] = await Promise.all([
+      rateTableRepository.findAll<OceanFreightRate>('ocean_freight_rates', includeExpired),
+      rateTableRepository.findAll<LastMileRate>('last_mile_rates', includeExpired),
+      rateTableRepository.findAll<CostingOption>('costing_options', includeExpired),
+    ]);
+    return { oceanFreight, lastMile, options };
+  }
+
+  /**
+   * Load every version into the costing engine so server-side totals use the
+   * rates in effect on each estimate's costing date
+   */
+  static async loadIntoCostingEngine(): Promise<void> {
+    const tables = await this.getRateTables(true);
+    setRateTables(tables);
+    loadedAt = Date.now();
+  }
+
+  /**
+   * Load the rate tables if they are missing or stale. Falls back to the
+   * engine's built-in rates if the database is unavailable.
+   */
+  static async ensureLoaded(): Promise<void> {
+    if (Date.now() - loadedAt < CACHE_TTL_MS) return;
+    try {
+      await this.loadIntoCostingEngine();
+    } catch (error) {
+      logWarn('Could not load rate tables, using built-in rates', { error: (error as Error).message });
+    }
+  }
+
+  static async createVersion<T extends Record<string, any>>(table: RateTableName, data: Record<string, any>, createdBy?: string): Promise<T> {
+    this.validateEffectiveDates(data);
+    const row = await rateTableRepository.createVersion<T>(table, data, createdBy);
+    await this.loadIntoCostingEngine();
+    return row;
+  }
+
+  static async updateVersion<T extends Record<string, any>>(table: RateTableName, id: number, data: Record<string, any>): Promise<T> {
+    const existing = await rateTableRepository.findById<Record<string, any>>(table, id);
+    if (!existing) throw AppError.notFound('Rate not found');
+    this.validateEffectiveDates({ ...existing, ...data });
+
+    const updated = await rateTableRepository.update<T>(table, id, data).catch(error => {
+      if (error.code === '23505') throw AppError.conflict('Another version of this rate already starts on that date');
+      throw error;
+    });
+    if (!updated) throw AppError.notFound('Rate not found');
+    await this.loadIntoCostingEngine();
+    return updated;
+  }
+
+  static async deleteVersion(table: RateTableName, id: number): Promise<void> {
+    const deleted = await rateTableRepository.delete(table, id);
+    if (!deleted) throw AppError.notFound('Rate not found');
+    await this.loadIntoCostingEngine();
+  }
+
+  /**
+   * Import ocean freight rates from an uploaded rate sheet (.xlsx/.xls) as new versions
+   */
+  static async importRateSheet(
+    buffer: Buffer,
+    filename: string,
+    options: { effectiveFrom?: string; createdBy?: string } = {}
+  ) {
+    const { rates, debug } = await parseExcelRateSheet(buffer, filename);
+    if (rates.length === 0) {
+      throw AppError.badRequest('No rates could be extracted from the file.', { debug });
+    }
+
+    const result = await rateTableRepository.importOceanFreightRates(rates, {
+      source: filename,
+      effectiveFrom: options.effectiveFrom,
+      createdBy: options.createdBy,
+    });
+    logInfo(`Rate sheet imported: ${filename}`, result);
+
+    await this.loadIntoCostingEngine();
+    return { ...result, extracted: rates.length };
+  }
+
+  private static validateEffectiveDates(data: Record<string, any>): void {
+    if (data.effective_to && data.effective_from && data.effective_to < data.effective_from) {
+      throw AppError.badRequest('effective_to cannot be before effective_from');
+    }
+  }
+}
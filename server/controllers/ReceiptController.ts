@@ -0,0 +1,116 @@
+/**
+ * Receipt Controller
+ * Handles the deliveries received against a shipment and the supplier
+ * backorders opened for short deliveries
+ */
+
+import type { Shipment } from '../types/index.js';
+import { AppError } from '../utils/AppError.ts';
+import receiptRepository from '../db/repositories/ReceiptRepository.js';
+import type { ShipmentReceipt, SupplierBackorder, BackorderFilter } from '../db/repositories/ReceiptRepository.js';
+import { shipmentRepository } from '../db/repositories/index.js';
+import { ShipmentEventRepository } from '../db/repositories/ShipmentEventRepository.ts';
+import { SHIPMENT_EVENT_TYPES } from '../../src/utils/shipmentEvents.js';
+import { shipmentBalance } from '../../src/utils/receipts.js';
+import type { ReceivingBalance } from '../../src/utils/receipts.js';
+
+export interface ShipmentReceipts {
+  receipts: ShipmentReceipt[];
+  backorder: SupplierBackorder | null;
+  balance: ReceivingBalance;
+}
+
+export default class ReceiptController {
+  /**
+   * A shipment's deliveries, its backorder if it has one, and what is
+   * still outstanding
+   */
+  static async getReceipts(shipmentId: string): Promise<ShipmentReceipts> {
+    const shipment = await shipmentRepository.findById(shipmentId);
+    if (!shipment) throw AppError.notFound(`Shipment with ID ${shipmentId} not found`);
+
+    const [receipts, backorder] = await Promise.all([
+      receiptRepository.findByShipment(shipmentId),
+      receiptRepository.findBackorderByShipment(shipmentId),
+    ]);
+    return { receipts, backorder, balance: shipmentBalance(shipment) };
+  }
+
+  /**
+   * Bring a received shipment's backorder in line with its received
+   * quantity: open one the first time it comes up short, draw it down as
+   * later deliveries arrive and close it once nothing is outstanding
+   */
+  static async syncBackorder(
+    shipment: Shipment,
+    details: { reasonCodes?: string[]; notes?: string | null } = {},
+    actor?: string
+  ): Promise<SupplierBackorder | null> {
+    const balance = shipmentBalance(shipment);
+    const existing = await receiptRepository.findBackorderByShipment(shipment.id);
+
+    if (!existing) {
+      if (balance.outstanding <= 0) return null;
+      const backorder = await receiptRepository.createBackorder({
+        shipmentId: shipment.id,
+        supplier: shipment.supplier,
+        orderedQuantity: balance.ordered,
+        receivedQuantity: balance.received,
+        reasonCodes: details.reasonCodes,
+        notes: details.notes,
+        createdBy: actor,
+      });
+      await ShipmentEventRepository.record({
+        shipment_id: shipment.id,
+        event_type: SHIPMENT_EVENT_TYPES.BACKORDER_OPENED,
+        to_value: String(backorder.outstanding_quantity),
+        details: { ordered: balance.ordered, received: balance.received, reasonCodes: backorder.reason_codes },
+        actor,
+      });
+      return backorder;
+    }
+
+    if (existing.status !== 'open') return existing;
+    const updated = await receiptRepository.updateReceived(existing.id, balance.received, actor);
+    if (updated?.status === 'fulfilled') {
+      await ShipmentEventRepository.record({
+        shipment_id: shipment.id,
+        event_type: SHIPMENT_EVENT_TYPES.BACKORDER_CLOSED,
+        from_value: String(existing.outstanding_quantity),
+        to_value: 'fulfilled',
+        actor,
+      });
+    }
+    return updated || existing;
+  }
+
+  static async getBackorders(filter: BackorderFilter = {}): Promise<SupplierBackorder[]> {
+    return receiptRepository.findBackorders(filter);
+  }
+
+  /**
+   * Stop expecting the rest of a backorder, e.g. when the supplier has
+   * credited it instead of shipping
+   */
+  static async writeOffBackorder(id: number, notes: string, actor?: string): Promise<SupplierBackorder> {
+    const reason = String(notes || '').trim();
+    if (!reason) throw AppError.badRequest('A note is required to write off a backorder');
+
+    const backorder = await receiptRepository.findBackorder(id);
+    if (!backorder) throw AppError.notFound(`Backorder ${id} not found`);
+    if (backorder.status !== 'open') throw AppError.conflict(`Backorder ${id} is already ${backorder.status.replace('_', ' ')}`);
+
+    const updated = await receiptRepository.writeOff(id, reason, actor);
+    if (!updated) throw AppError.conflict(`Backorder ${id} is no longer open`);
+
+    await ShipmentEventRepository.record({
+      shipment_id: updated.shipment_id,
+      event_type: SHIPMENT_EVENT_TYPES.BACKORDER_CLOSED,
+      from_value: String(backorder.outstanding_quantity),
+      to_value: 'written_off',
+      details: { notes: reason },
+      actor,
+    });
+    return { ...backorder, ...updated };
+  }
+}
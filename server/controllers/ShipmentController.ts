@@ -8,6 +8,26 @@ import { AppError } from '../utils/AppError.ts';
 import { shipmentRepository } from '../db/repositories/index.js';
 import archiveService from '../services/archiveService.js';
 import { getPool, queryAll, queryOne, transaction } from '../db/connection.js';
+import { getNextStatuses, getTransitionError } from '../../src/utils/shipmentStateMachine.js';
+import { SHIPMENT_EVENT_TYPES, formatEta, getChangeEvents } from '../../src/utils/shipmentEvents.js';
+import { ShipmentEventRepository, type ShipmentEvent } from '../db/repositories/ShipmentEventRepository.ts';
+import storageLocationRepository from '../db/repositories/StorageLocationRepository.js';
+import StorageLocationController from './StorageLocationController.js';
+import DocumentNumberController from './DocumentNumberController.js';
+import ReceiptController from './ReceiptController.js';
+import receiptRepository from '../db/repositories/ReceiptRepository.js';
+import { formatPlacements, palletsToTake } from '../../src/utils/storageLocations.js';
+import { normalizeReasonCodes, receivedTotal, receivingBalance } from '../../src/utils/receipts.js';
+
+/**
+ * One delivery's pallets, condition and reason codes, recorded with its quantity
+ */
+export interface ReceiptDetails {
+  pallets?: number | null;
+  condition?: string;
+  reasonCodes?: string[];
+  notes?: string | null;
+}
 
 /**
  * Create shipment request body
@@ -76,6 +96,18 @@ export interface ShipmentFilterParams {
   search?: string;
 }
 
+/**
+ * Stored stock move: pallets (and, between warehouses, quantity) to a
+ * destination warehouse, optionally from and to specific bins
+ */
+export interface StockMoveRequest {
+  destination: string;
+  moveQty: number;
+  movePallets: number;
+  fromLocationId?: number | null;
+  toLocationId?: number | null;
+}
+
 /**
  * Bulk import shipment data (camelCase from frontend/spreadsheet)
  */
@@ -198,10 +230,77 @@ export class ShipmentController {
     return shipment;
   }
 
+  /**
+   * Conflict carrying the current record, for writes made against an older version
+   */
+  private static versionConflict(current: Shipment): AppError {
+    return AppError.versionConflict(
+      `Shipment ${current.order_ref || current.id} was changed by someone else. Review the latest version and try again.`,
+      current
+    );
+  }
+
+  /**
+   * Reject a write if the shipment has moved on from the version the client
+   * read. expectedVersion comes from If-Match; without it the write isn't checked.
+   */
+  private static assertVersion(shipment: Shipment, expectedVersion?: number): void {
+    if (expectedVersion !== undefined && shipment.version !== expectedVersion) {
+      throw this.versionConflict(shipment);
+    }
+  }
+
+  /**
+   * Reject a status change the state machine doesn't allow (see
+   * src/utils/shipmentStateMachine.js). changes are the other fields written
+   * in the same update, which count towards the target status's guards.
+   */
+  private static assertTransition(shipment: Shipment, status: string, changes: Record<string, any> = {}): void {
+    const error = getTransitionError(shipment.latest_status, status, { ...shipment, ...changes });
+    if (error) {
+      throw AppError.invalidTransition(error, {
+        from: shipment.latest_status,
+        to: status,
+        allowed: getNextStatuses(shipment.latest_status),
+      });
+    }
+  }
+
+  /**
+   * Record the status, ETA and inspection result changes between two
+   * versions of a shipment in its event history
+   */
+  private static async recordChanges(before: Shipment, after: Shipment, actor?: string): Promise<void> {
+    await ShipmentEventRepository.recordMany(
+      getChangeEvents(before, after).map(event => ({ ...event, shipment_id: after.id, actor }))
+    );
+  }
+
+  /**
+   * Write changes to `current`, only if it is still at expectedVersion (when given).
+   * The version check is part of the UPDATE so concurrent writes can't slip between.
+   */
+  private static async saveChanges(
+    current: Shipment,
+    data: Record<string, any>,
+    expectedVersion?: number,
+    actor?: string
+  ): Promise<Shipment> {
+    const updated = expectedVersion === undefined
+      ? await shipmentRepository.update(current.id, data as Partial<Shipment>)
+      : await shipmentRepository.updateAtVersion(current.id, data as Partial<Shipment>, expectedVersion);
+
+    // Either deleted (404) or changed since it was read (409)
+    if (!updated) throw this.versionConflict(await this.getShipment(current.id));
+
+    await this.recordChanges(current, updated, actor);
+    return updated;
+  }
+
   /**
    * Create new shipment
    */
-  static async createShipment(data: CreateShipmentRequest): Promise<Shipment> {
+  static async createShipment(data: CreateShipmentRequest, actor?: string): Promise<Shipment> {
     // Validate order reference doesn't already exist
     const existing = await shipmentRepository.findByOrderRef(data.orderRef);
     if (existing) {
@@ -214,32 +313,58 @@ export class ShipmentController {
       : data.shipmentType === 'local' ? 'in_transit_roadway'
       : 'planned_airfreight';
 
+    const id = `ship_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    // IWT transfers entered without a release number get the next one from the releasing warehouse
+    const release = data.shipmentType === 'iwt' && !data.releaseNumber
+      ? await DocumentNumberController.issue('RELEASE', {
+          warehouse: data.sourceWarehouse || data.receivingWarehouse,
+          entityType: 'shipment',
+          entityId: id,
+        }, actor)
+      : null;
+
     // Create shipment with all fields
-    const shipment = await shipmentRepository.create({
-      id: `ship_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      order_ref: data.orderRef,
-      supplier: data.supplier,
-      quantity: data.quantity || null,
-      latest_status: (data.latestStatus || defaultStatus) as ShipmentStatus,
-      shipment_type: data.shipmentType || 'international',
-      week_number: data.weekNumber || null,
-      notes: data.notes || null,
-      final_pod: data.finalPod || null,
-      product_name: data.productName || null,
-      cbm: data.cbm || null,
-      pallet_qty: data.palletQty || null,
-      receiving_warehouse: data.receivingWarehouse || null,
-      forwarding_agent: data.forwardingAgent || null,
-      vessel_name: data.vesselName || null,
-      incoterm: data.incoterm || null,
-      selected_week_date: data.selectedWeekDate ? new Date(data.selectedWeekDate) : null,
-      source_warehouse: data.sourceWarehouse || null,
-      source_pallet_ref: data.sourcePalletRef || null,
-      batch_lot: data.batchLot || null,
-      release_number: data.releaseNumber || null,
-      created_at: new Date(),
-      updated_at: new Date()
-    } as Partial<Shipment>);
+    let shipment: Shipment;
+    try {
+      shipment = await shipmentRepository.create({
+        id,
+        order_ref: data.orderRef,
+        supplier: data.supplier,
+        quantity: data.quantity || null,
+        latest_status: (data.latestStatus || defaultStatus) as ShipmentStatus,
+        shipment_type: data.shipmentType || 'international',
+        week_number: data.weekNumber || null,
+        notes: data.notes || null,
+        final_pod: data.finalPod || null,
+        product_name: data.productName || null,
+        cbm: data.cbm || null,
+        pallet_qty: data.palletQty || null,
+        receiving_warehouse: data.receivingWarehouse || null,
+        forwarding_agent: data.forwardingAgent || null,
+        vessel_name: data.vesselName || null,
+        incoterm: data.incoterm || null,
+        selected_week_date: data.selectedWeekDate ? new Date(data.selectedWeekDate) : null,
+        source_warehouse: data.sourceWarehouse || null,
+        source_pallet_ref: data.sourcePalletRef || null,
+        batch_lot: data.batchLot || null,
+        release_number: data.releaseNumber || release?.number || null,
+        created_at: new Date(),
+        updated_at: new Date()
+      } as Partial<Shipment>);
+    } catch (error) {
+      if (release) await DocumentNumberController.voidNumber(release.id, 'Shipment was not saved', actor);
+      throw error;
+    }
+
+    const eta = formatEta(shipment);
+    await ShipmentEventRepository.record({
+      shipment_id: shipment.id,
+      event_type: SHIPMENT_EVENT_TYPES.CREATED,
+      to_value: shipment.latest_status,
+      details: eta ? { eta } : null,
+      actor,
+    });
 
     return shipment;
   }
@@ -247,9 +372,15 @@ export class ShipmentController {
   /**
    * Update shipment
    */
-  static async updateShipment(id: string, data: UpdateShipmentRequest): Promise<Shipment> {
-    // Verify shipment exists
-    await this.getShipment(id);
+  static async updateShipment(
+    id: string,
+    data: UpdateShipmentRequest,
+    expectedVersion?: number,
+    actor?: string
+  ): Promise<Shipment> {
+    // Verify shipment exists and hasn't changed since the client read it
+    const current = await this.getShipment(id);
+    this.assertVersion(current, expectedVersion);
 
     // Convert camelCase to snake_case for database
     const dbData: Record<string, any> = {
@@ -323,10 +454,12 @@ export class ShipmentController {
       dbData.release_number = data.releaseNumber || null;
     }
 
-    // Update shipment
-    const shipment = await shipmentRepository.update(id, dbData as Partial<Shipment>);
+    if (data.latestStatus !== undefined) {
+      this.assertTransition(current, data.latestStatus, dbData);
+    }
 
-    return shipment;
+    // Update shipment
+    return this.saveChanges(current, dbData, expectedVersion, actor);
   }
 
   /**
@@ -335,15 +468,23 @@ export class ShipmentController {
   static async updateShipmentStatus(
     id: string,
     status: ShipmentStatus,
-    notes?: string
+    notes?: string,
+    expectedVersion?: number,
+    actor?: string
   ): Promise<Shipment> {
-    // Verify shipment exists
-    await this.getShipment(id);
+    // Verify shipment exists and hasn't changed since the client read it
+    const current = await this.getShipment(id);
+    this.assertVersion(current, expectedVersion);
+
+    const changes = {
+      latest_status: status,
+      updated_at: new Date(),
+      ...(notes ? { notes } : {})
+    };
+    this.assertTransition(current, status, changes);
 
     // Update status
-    const shipment = await shipmentRepository.updateStatus(id, status, notes);
-
-    return shipment;
+    return this.saveChanges(current, changes, expectedVersion, actor);
   }
 
   /**
@@ -364,21 +505,25 @@ export class ShipmentController {
   /**
    * Archive shipment
    */
-  static async archiveShipment(id: string): Promise<Shipment> {
+  static async archiveShipment(id: string, actor?: string): Promise<Shipment> {
     // Verify shipment exists
-    await this.getShipment(id);
+    const current = await this.getShipment(id);
 
-    return shipmentRepository.archive(id);
+    const archived = await shipmentRepository.archive(id);
+    await this.recordChanges(current, archived, actor);
+    return archived;
   }
 
   /**
    * Unarchive shipment
    */
-  static async unarchiveShipment(id: string): Promise<Shipment> {
+  static async unarchiveShipment(id: string, actor?: string): Promise<Shipment> {
     // Verify shipment exists
-    await this.getShipment(id);
+    const current = await this.getShipment(id);
 
-    return shipmentRepository.unarchive(id);
+    const restored = await shipmentRepository.unarchive(id);
+    await this.recordChanges(current, restored, actor);
+    return restored;
   }
 
   /**
@@ -445,9 +590,10 @@ export class ShipmentController {
   /**
    * Start unloading workflow
    */
-  static async startUnloading(id: string): Promise<Shipment> {
-    // Verify shipment exists
+  static async startUnloading(id: string, expectedVersion?: number, actor?: string): Promise<Shipment> {
+    // Verify shipment exists and hasn't changed since the client read it
     const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
 
     // Verify shipment is in a valid arrival state
     const validStates = ['arrived_pta', 'arrived_klm', 'arrived_offsite'];
@@ -458,11 +604,11 @@ export class ShipmentController {
     }
 
     // Update status to unloading
-    const updated = await shipmentRepository.update(id, {
+    const updated = await this.saveChanges(shipment, {
       latest_status: 'unloading' as ShipmentStatus,
       unloading_start_date: new Date(),
       updated_at: new Date()
-    } as Partial<Shipment>);
+    }, expectedVersion, actor);
 
     return updated;
   }
@@ -470,9 +616,10 @@ export class ShipmentController {
   /**
    * Complete unloading workflow
    */
-  static async completeUnloading(id: string): Promise<Shipment> {
-    // Verify shipment exists
+  static async completeUnloading(id: string, expectedVersion?: number, actor?: string): Promise<Shipment> {
+    // Verify shipment exists and hasn't changed since the client read it
     const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
 
     // Verify shipment is in unloading state
     if (shipment.latest_status !== 'unloading') {
@@ -480,11 +627,11 @@ export class ShipmentController {
     }
 
     // Update status to inspection_pending
-    const updated = await shipmentRepository.update(id, {
+    const updated = await this.saveChanges(shipment, {
       latest_status: 'inspection_pending' as ShipmentStatus,
       unloading_completed_date: new Date(),
       updated_at: new Date()
-    } as Partial<Shipment>);
+    }, expectedVersion, actor);
 
     return updated;
   }
@@ -494,24 +641,27 @@ export class ShipmentController {
    */
   static async startInspection(
     id: string,
-    inspectedBy?: string
+    inspectedBy?: string,
+    expectedVersion?: number,
+    actor?: string
   ): Promise<Shipment> {
-    // Verify shipment exists
+    // Verify shipment exists and hasn't changed since the client read it
     const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
 
-    // Verify shipment is in inspection_pending state
-    if (shipment.latest_status !== 'inspection_pending') {
-      throw AppError.conflict('Shipment must be in inspection_pending state to start inspection');
+    // Verify shipment is awaiting inspection, or failed and being re-inspected
+    if (shipment.latest_status !== 'inspection_pending' && shipment.latest_status !== 'inspection_failed') {
+      throw AppError.conflict('Shipment must be in inspection_pending or inspection_failed state to start inspection');
     }
 
     // Update status to inspecting
-    const updated = await shipmentRepository.update(id, {
+    const updated = await this.saveChanges(shipment, {
       latest_status: 'inspecting' as ShipmentStatus,
       inspection_status: 'in_progress',
       inspected_by: inspectedBy || '',
       inspection_date: new Date(),
       updated_at: new Date()
-    } as Partial<Shipment>);
+    }, expectedVersion, actor);
 
     return updated;
   }
@@ -523,10 +673,13 @@ export class ShipmentController {
     id: string,
     passed: boolean,
     notes?: string,
-    inspectedBy?: string
+    inspectedBy?: string,
+    expectedVersion?: number,
+    actor?: string
   ): Promise<Shipment> {
-    // Verify shipment exists
+    // Verify shipment exists and hasn't changed since the client read it
     const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
 
     // Verify shipment is in inspecting state
     if (shipment.latest_status !== 'inspecting') {
@@ -534,13 +687,13 @@ export class ShipmentController {
     }
 
     // Update status based on inspection result
-    const updated = await shipmentRepository.update(id, {
+    const updated = await this.saveChanges(shipment, {
       latest_status: (passed ? 'inspection_passed' : 'inspection_failed') as ShipmentStatus,
       inspection_status: passed ? 'passed' : 'failed',
       inspection_notes: notes || '',
       inspected_by: inspectedBy || shipment.inspected_by || '',
       updated_at: new Date()
-    } as Partial<Shipment>);
+    }, expectedVersion, actor);
 
     return updated;
   }
@@ -550,10 +703,13 @@ export class ShipmentController {
    */
   static async startReceiving(
     id: string,
-    receivedBy?: string
+    receivedBy?: string,
+    expectedVersion?: number,
+    actor?: string
   ): Promise<Shipment> {
-    // Verify shipment exists
+    // Verify shipment exists and hasn't changed since the client read it
     const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
 
     // Verify shipment is in inspection_passed state
     if (shipment.latest_status !== 'inspection_passed') {
@@ -561,19 +717,90 @@ export class ShipmentController {
     }
 
     // Update status to receiving
-    const updated = await shipmentRepository.update(id, {
+    const updated = await this.saveChanges(shipment, {
       latest_status: 'receiving' as ShipmentStatus,
       receiving_status: 'in_progress',
       received_by: receivedBy || '',
       receiving_date: new Date(),
       updated_at: new Date()
-    } as Partial<Shipment>);
+    }, expectedVersion, actor);
+
+    return updated;
+  }
+
+  /**
+   * Record one delivery against a shipment, while it is being received or,
+   * once stored, towards the balance of its open backorder.
+   * received_quantity becomes the total over all of its deliveries.
+   */
+  static async recordReceipt(
+    id: string,
+    quantity: number,
+    details: ReceiptDetails = {},
+    receivedBy?: string,
+    expectedVersion?: number,
+    actor?: string
+  ): Promise<Shipment> {
+    const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
+
+    const againstBackorder = shipment.latest_status !== 'receiving';
+    if (againstBackorder) {
+      const backorder = ['received', 'stored'].includes(shipment.latest_status)
+        ? await receiptRepository.findBackorderByShipment(id)
+        : null;
+      if (backorder?.status !== 'open') {
+        throw AppError.conflict('Deliveries can only be recorded while receiving, or against an open backorder');
+      }
+    }
+
+    const receipt = await receiptRepository.create(id, {
+      quantity,
+      pallets: details.pallets,
+      condition: details.condition,
+      reasonCodes: normalizeReasonCodes(details.reasonCodes),
+      notes: details.notes,
+      receivedBy: receivedBy || actor,
+    });
+    const total = receivedTotal(await receiptRepository.findByShipment(id));
+    const { outstanding } = receivingBalance(shipment.quantity, total);
+
+    let updated: Shipment;
+    try {
+      updated = await this.saveChanges(shipment, {
+        received_quantity: total,
+        receiving_status: againstBackorder && outstanding <= 0 ? 'completed' : 'partial',
+        updated_at: new Date()
+      }, expectedVersion, actor);
+    } catch (error) {
+      await receiptRepository.delete(receipt.id);
+      throw error;
+    }
 
+    await ShipmentEventRepository.record({
+      shipment_id: id,
+      event_type: SHIPMENT_EVENT_TYPES.RECEIPT_RECORDED,
+      to_value: String(quantity),
+      details: { receiptNo: receipt.receipt_no, total, condition: receipt.condition, reasonCodes: receipt.reason_codes },
+      actor,
+    });
+    if (againstBackorder) {
+      await ReceiptController.syncBackorder(updated, {}, actor);
+    }
     return updated;
   }
 
   /**
-   * Complete receiving workflow
+   * Complete receiving workflow.
+   *
+   * At a warehouse with storage locations the pallets are put away to bins
+   * (from putawayLocation onwards when given, as a bin id or a scanned bin
+   * code, otherwise the first free bins) and bin_location lists them;
+   * elsewhere bin_location is as entered.
+   *
+   * receivedQuantity is the total received, counting any deliveries already
+   * recorded; the rest is recorded as the final delivery. Coming up short of
+   * the ordered quantity leaves receiving partial and opens a backorder.
    */
   static async completeReceiving(
     id: string,
@@ -581,21 +808,37 @@ export class ShipmentController {
     receivedBy?: string,
     binLocation?: string,
     discrepancies?: string,
-    receivingNotes?: string
+    receivingNotes?: string,
+    putawayLocation?: number | string,
+    expectedVersion?: number,
+    actor?: string,
+    receipt: ReceiptDetails = {}
   ): Promise<Shipment> {
-    // Verify shipment exists
+    // Verify shipment exists and hasn't changed since the client read it
     const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
 
     // Verify shipment is in receiving state
     if (shipment.latest_status !== 'receiving') {
       throw AppError.conflict('Shipment must be in receiving state to complete receiving');
     }
 
+    // Deliveries already recorded count towards the quantity received
+    const earlierReceipts = await receiptRepository.findByShipment(id);
+    const earlierTotal = receivedTotal(earlierReceipts);
+    const total = receivedQuantity !== undefined
+      ? Number(receivedQuantity)
+      : (earlierReceipts.length > 0 ? earlierTotal : undefined);
+    if (total !== undefined && total < earlierTotal) {
+      throw AppError.badRequest(`${earlierTotal} were already received in earlier deliveries`);
+    }
+    const short = total !== undefined && receivingBalance(shipment.quantity, total).outstanding > 0;
+
     // Update status to stored (auto-advance past received)
     const updateData: Record<string, any> = {
       latest_status: 'stored' as ShipmentStatus,
-      receiving_status: 'completed',
-      received_quantity: receivedQuantity,
+      receiving_status: short ? 'partial' : 'completed',
+      received_quantity: total,
       received_by: receivedBy || shipment.received_by || '',
       updated_at: new Date()
     };
@@ -603,11 +846,92 @@ export class ShipmentController {
     if (discrepancies !== undefined) updateData.discrepancies = discrepancies;
     if (receivingNotes !== undefined) updateData.receiving_notes = receivingNotes;
 
-    const updated = await shipmentRepository.update(id, updateData as Partial<Shipment>);
+    const warehouse: string = (shipment as any).receiving_warehouse || '';
+    const updated = warehouse && (await storageLocationRepository.hasLocations(warehouse))
+      ? await this.putAwayReceived(shipment, warehouse, updateData, putawayLocation, expectedVersion, actor)
+      : await this.saveChanges(shipment, updateData, expectedVersion, actor);
+    if (total === undefined) return updated;
+
+    const finalQuantity = total - earlierTotal;
+    if (finalQuantity > 0 || earlierReceipts.length === 0) {
+      const final = await receiptRepository.create(id, {
+        quantity: finalQuantity,
+        pallets: receipt.pallets ?? (earlierReceipts.length === 0 ? Math.round(Number((shipment as any).pallet_qty) || 0) || null : null),
+        condition: receipt.condition,
+        reasonCodes: normalizeReasonCodes(receipt.reasonCodes),
+        notes: receipt.notes ?? discrepancies,
+        receivedBy: updated.received_by || actor,
+      });
+      await ShipmentEventRepository.record({
+        shipment_id: id,
+        event_type: SHIPMENT_EVENT_TYPES.RECEIPT_RECORDED,
+        to_value: String(finalQuantity),
+        details: { receiptNo: final.receipt_no, total, condition: final.condition, reasonCodes: final.reason_codes },
+        actor,
+      });
+    }
+    await ReceiptController.syncBackorder(updated, {
+      reasonCodes: normalizeReasonCodes(receipt.reasonCodes),
+      notes: discrepancies,
+    }, actor);
+    return updated;
+  }
+
+  /**
+   * Put a received shipment's pallets away to bins and store it
+   */
+  private static async putAwayReceived(
+    shipment: Shipment,
+    warehouse: string,
+    updateData: Record<string, any>,
+    putawayLocation?: number | string,
+    expectedVersion?: number,
+    actor?: string
+  ): Promise<Shipment> {
+    const id = shipment.id;
+
+    let putawayLocationId = typeof putawayLocation === 'number' ? putawayLocation : undefined;
+    if (typeof putawayLocation === 'string' && putawayLocation.trim()) {
+      const code = putawayLocation.trim().toUpperCase();
+      const bin = (await storageLocationRepository.findLocations(warehouse)).find(location => location.code === code);
+      if (!bin) throw AppError.badRequest(`Bin ${code} is not in the ${warehouse} warehouse`);
+      putawayLocationId = bin.id;
+    }
+
+    const pallets = Math.round(Number((shipment as any).pallet_qty) || 0) || 1;
+    const allocations = await StorageLocationController.planPutaway(warehouse, pallets, putawayLocationId);
+    updateData.bin_location = formatPlacements(allocations);
+
+    await StorageLocationController.putAway(id, allocations, actor);
+    let updated: Shipment;
+    try {
+      updated = await this.saveChanges(shipment, updateData, expectedVersion, actor);
+    } catch (error) {
+      // The shipment was not stored, so its pallets are not in the bins either
+      await storageLocationRepository.clearPlacements(id);
+      throw error;
+    }
 
+    await ShipmentEventRepository.record({
+      shipment_id: id,
+      event_type: SHIPMENT_EVENT_TYPES.PUT_AWAY,
+      to_value: updateData.bin_location,
+      details: { warehouse, allocations },
+      actor,
+    });
     return updated;
   }
 
+  /**
+   * A shipment's event history, oldest first
+   */
+  static async getShipmentEvents(id: string): Promise<ShipmentEvent[]> {
+    // Verify shipment exists
+    await this.getShipment(id);
+
+    return ShipmentEventRepository.findByShipment(id);
+  }
+
   // ─── Goods Receiving Endpoints ───
 
   /**
@@ -671,7 +995,7 @@ export class ShipmentController {
   /**
    * Generate a GRN (Goods Received Note) number for a shipment
    */
-  static async generateGRN(id: string): Promise<Shipment> {
+  static async generateGRN(id: string, actor?: string): Promise<Shipment> {
     const shipment = await this.getShipment(id);
 
     if (shipment.grn_number) {
@@ -682,19 +1006,18 @@ export class ShipmentController {
       throw AppError.conflict('Shipment must be received to generate a GRN');
     }
 
-    // Generate GRN: GRN-YYYYMMDD-NNN
-    const today = new Date().toISOString().split('T')[0].replace(/-/g, '');
-    const countResult = await queryOne<{ count: string }>(
-      `SELECT COUNT(*)::int as count FROM shipments WHERE grn_number LIKE $1`,
-      [`GRN-${today}-%`]
-    );
-    const seq = (parseInt(countResult?.count || '0', 10) + 1).toString().padStart(3, '0');
-    const grnNumber = `GRN-${today}-${seq}`;
-
-    const updated = await shipmentRepository.update(id, {
-      grn_number: grnNumber,
-      updated_at: new Date()
-    } as Partial<Shipment>);
+    const issued = await DocumentNumberController.issue('GRN', {
+      warehouse: (shipment as any).receiving_warehouse,
+      entityType: 'shipment',
+      entityId: id,
+    }, actor);
+
+    const updated = await shipmentRepository.assignGrnNumber(id, issued.number);
+    if (!updated) {
+      // A concurrent receipt gave the shipment its GRN first
+      await DocumentNumberController.voidNumber(issued.id, 'Shipment already had a GRN', actor);
+      return this.getShipment(id);
+    }
 
     return updated;
   }
@@ -702,8 +1025,9 @@ export class ShipmentController {
   /**
    * Admin: complete entire workflow in one step
    */
-  static async adminCompleteWorkflow(id: string, adminName: string): Promise<Shipment> {
+  static async adminCompleteWorkflow(id: string, adminName: string, expectedVersion?: number): Promise<Shipment> {
     const shipment = await this.getShipment(id);
+    this.assertVersion(shipment, expectedVersion);
 
     // Must be in a post-arrival status (not already stored/cancelled)
     const validStates = [
@@ -717,7 +1041,7 @@ export class ShipmentController {
     }
 
     const now = new Date();
-    const updated = await shipmentRepository.update(id, {
+    const updated = await this.saveChanges(shipment, {
       latest_status: 'stored' as ShipmentStatus,
       unloading_start_date: shipment.unloading_start_date || now,
       unloading_completed_date: shipment.unloading_completed_date || now,
@@ -730,135 +1054,204 @@ export class ShipmentController {
       received_by: shipment.received_by || adminName,
       received_quantity: shipment.received_quantity || shipment.quantity,
       updated_at: now
-    } as Partial<Shipment>);
+    }, expectedVersion, adminName);
 
     return updated;
   }
 
   /**
-   * Split a shipment across warehouses.
+   * Move stored stock between bins and warehouses.
    *
-   * Used by the Stored Stock "Move" action when only a portion of a shipment
-   * is physically moving to another warehouse. Runs inside a transaction so
-   * the source reduction and the destination insert either both succeed or
-   * both roll back — no more half-moved stock.
+   * Used by the Stored Stock "Move" action, generalising the old split across
+   * warehouses: pallets can go to another bin in the same warehouse, or to
+   * another warehouse and optionally straight into a bin there. Runs inside a
+   * transaction so the source reduction, the destination insert and the bin
+   * placements either all succeed or all roll back — no more half-moved stock.
    *
-   * If moveQty + movePallets cover the whole source, this collapses into a
-   * simple warehouse update on the source row (no split row created).
+   * Pallets come out of fromLocationId when given, otherwise the shipment's
+   * most recently filled bins. Within a warehouse only the placements change.
+   * If moveQty + movePallets cover the whole source, a move to another
+   * warehouse collapses into a simple warehouse update on the source row (no
+   * split row created).
    *
    * Deliberately skips the order_ref uniqueness check that createShipment
    * enforces — by design the split row shares its source's order_ref, since
    * they represent the same physical shipment.
    */
-  static async splitShipment(
+  static async moveStock(
     id: string,
-    destination: string,
-    moveQty: number,
-    movePallets: number
+    move: StockMoveRequest,
+    actor?: string
   ): Promise<{ source: Shipment; split: Shipment | null }> {
+    const { destination, movePallets, fromLocationId, toLocationId } = move;
     if (!destination || typeof destination !== 'string') {
       throw AppError.unprocessable('Destination warehouse is required');
     }
-    if (!(moveQty > 0) || !(movePallets > 0)) {
-      throw AppError.unprocessable('moveQty and movePallets must be positive numbers');
+    if (!(movePallets > 0)) {
+      throw AppError.unprocessable('movePallets must be a positive number');
     }
 
     const source = await this.getShipment(id);
+    const sourceWarehouse: string = (source as any).receiving_warehouse || '';
+    const sameWarehouse = destination.toUpperCase() === sourceWarehouse.toUpperCase();
     const totalQty = Number(source.quantity) || 0;
     const totalPallets = Math.round(Number(source.pallet_qty) || 0) || 1;
+    // Moving between bins leaves the quantity on the one shipment row
+    const moveQty = sameWarehouse ? totalQty : move.moveQty;
 
+    if (sameWarehouse && !toLocationId) {
+      throw AppError.unprocessable(`Stock is already in ${destination}; choose a bin to move it to`);
+    }
+    if (!sameWarehouse && !(moveQty > 0)) {
+      throw AppError.unprocessable('moveQty must be a positive number');
+    }
     if (moveQty > totalQty) {
       throw AppError.unprocessable(`moveQty ${moveQty} exceeds source quantity ${totalQty}`);
     }
     if (movePallets > totalPallets) {
       throw AppError.unprocessable(`movePallets ${movePallets} exceeds source pallet count ${totalPallets}`);
     }
+    if (toLocationId && toLocationId === fromLocationId) {
+      throw AppError.unprocessable('Stock is already in that bin');
+    }
+
+    const target = toLocationId ? await storageLocationRepository.findLocationById(toLocationId) : null;
+    if (toLocationId && !target) throw AppError.notFound('Storage location not found');
+    if (target && target.warehouse.toUpperCase() !== destination.toUpperCase()) {
+      throw AppError.badRequest(`Bin ${target.code} is not in the ${destination} warehouse`);
+    }
 
-    const isFullMove = moveQty >= totalQty && movePallets >= totalPallets;
+    const isFullMove = !sameWarehouse && moveQty >= totalQty && movePallets >= totalPallets;
 
-    return transaction(async (client) => {
+    const result = await transaction(async (client) => {
       const now = new Date();
 
+      // The bins the pallets come out of; stock leaving the warehouse takes all of its bins
+      const placements = await storageLocationRepository.lockPlacements(client, id);
+      const { takes, short } = isFullMove
+        ? { takes: placements.map(p => ({ locationId: p.location_id, code: p.code || null, pallets: p.pallets })), short: 0 }
+        : palletsToTake(placements, movePallets, fromLocationId);
+      // Stock leaving a warehouse need not have been put away to bins, but a bin move must find its pallets
+      if (short > 0 && (sameWarehouse || fromLocationId)) {
+        const where = fromLocationId ? 'that bin' : `bins at ${sourceWarehouse}`;
+        throw AppError.unprocessable(`Only ${movePallets - short} of ${movePallets} pallet(s) are in ${where}`);
+      }
+
+      if (target) {
+        const location = (await storageLocationRepository.lockLocation(client, target.id))!;
+        const free = location.capacity_pallets - location.pallets_stored;
+        if (free < movePallets) {
+          throw AppError.conflict(`Bin ${location.code} only has room for ${Math.max(0, free)} pallet(s)`);
+        }
+      }
+
+      let splitId: string | null = null;
       if (isFullMove) {
         // Whole shipment moves — just update the receiving_warehouse on the source.
-        const updated = await client.query(
+        await client.query(
           `UPDATE shipments
            SET receiving_warehouse = $1, updated_at = $2
-           WHERE id = $3
-           RETURNING *`,
+           WHERE id = $3`,
           [destination, now, id]
         );
-        return { source: updated.rows[0] as Shipment, split: null };
-      }
+      } else if (!sameWarehouse) {
+        // Partial move — reduce source, insert a split row at the destination.
+        const remainQty = totalQty - moveQty;
+        const remainPallets = Math.max(totalPallets - movePallets, 1);
 
-      // Partial move — reduce source, insert a split row at the destination.
-      const remainQty = totalQty - moveQty;
-      const remainPallets = Math.max(totalPallets - movePallets, 1);
+        await client.query(
+          `UPDATE shipments
+           SET quantity = $1, pallet_qty = $2, updated_at = $3
+           WHERE id = $4`,
+          [remainQty, remainPallets, now, id]
+        );
 
-      const updatedSource = await client.query(
-        `UPDATE shipments
-         SET quantity = $1, pallet_qty = $2, updated_at = $3
-         WHERE id = $4
-         RETURNING *`,
-        [remainQty, remainPallets, now, id]
-      );
+        splitId = `ship_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const splitNote = `Partial move from ${source.receiving_warehouse || 'unknown'}`;
 
-      const splitId = `ship_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const splitNote = `Partial move from ${source.receiving_warehouse || 'unknown'}`;
-
-      const insertedSplit = await client.query(
-        `INSERT INTO shipments (
-          id, supplier, order_ref, final_pod, latest_status, week_number,
-          product_name, quantity, cbm, pallet_qty, receiving_warehouse, notes,
-          forwarding_agent, incoterm, vessel_name, selected_week_date,
-          shipment_type, created_at, updated_at,
-          inspection_date, inspection_status, inspection_notes, inspected_by,
-          receiving_date, receiving_status, receiving_notes, received_by, received_quantity
-        ) VALUES (
-          $1, $2, $3, $4, $5, $6,
-          $7, $8, $9, $10, $11, $12,
-          $13, $14, $15, $16,
-          $17, $18, $19,
-          $20, $21, $22, $23,
-          $24, $25, $26, $27, $28
-        ) RETURNING *`,
-        [
-          splitId,
-          source.supplier,
-          source.order_ref,
-          source.final_pod,
-          'stored',
-          source.week_number,
-          source.product_name,
-          moveQty,
-          source.cbm,
-          movePallets,
-          destination,
-          splitNote,
-          source.forwarding_agent,
-          source.incoterm,
-          source.vessel_name,
-          source.selected_week_date,
-          (source as any).shipment_type || 'international',
-          now,
-          now,
-          source.inspection_date,
-          source.inspection_status,
-          source.inspection_notes,
-          source.inspected_by,
-          source.receiving_date,
-          source.receiving_status,
-          source.receiving_notes,
-          source.received_by,
-          moveQty,
-        ]
-      );
+        await client.query(
+          `INSERT INTO shipments (
+            id, supplier, order_ref, final_pod, latest_status, week_number,
+            product_name, quantity, cbm, pallet_qty, receiving_warehouse, notes,
+            forwarding_agent, incoterm, vessel_name, selected_week_date,
+            shipment_type, created_at, updated_at,
+            inspection_date, inspection_status, inspection_notes, inspected_by,
+            receiving_date, receiving_status, receiving_notes, received_by, received_quantity
+          ) VALUES (
+            $1, $2, $3, $4, $5, $6,
+            $7, $8, $9, $10, $11, $12,
+            $13, $14, $15, $16,
+            $17, $18, $19,
+            $20, $21, $22, $23,
+            $24, $25, $26, $27, $28
+          )`,
+          [
+            splitId,
+            source.supplier,
+            source.order_ref,
+            source.final_pod,
+            'stored',
+            source.week_number,
+            source.product_name,
+            moveQty,
+            source.cbm,
+            movePallets,
+            destination,
+            splitNote,
+            source.forwarding_agent,
+            source.incoterm,
+            source.vessel_name,
+            source.selected_week_date,
+            (source as any).shipment_type || 'international',
+            now,
+            now,
+            source.inspection_date,
+            source.inspection_status,
+            source.inspection_notes,
+            source.inspected_by,
+            source.receiving_date,
+            source.receiving_status,
+            source.receiving_notes,
+            source.received_by,
+            moveQty,
+          ]
+        );
+      }
+
+      for (const take of takes) {
+        await storageLocationRepository.removePallets(client, id, take.locationId, take.pallets);
+      }
+      if (target) {
+        await storageLocationRepository.addPallets(client, splitId || id, target.id, movePallets, actor);
+      }
+
+      // bin_location follows the placements once a shipment is in bins; otherwise it is left as entered
+      const rowFor = async (shipmentId: string, inBins: boolean): Promise<Shipment> => (inBins
+        ? await storageLocationRepository.refreshBinLocation(client, shipmentId)
+        : (await client.query('SELECT * FROM shipments WHERE id = $1', [shipmentId])).rows[0]) as Shipment;
 
       return {
-        source: updatedSource.rows[0] as Shipment,
-        split: insertedSplit.rows[0] as Shipment,
+        source: await rowFor(id, placements.length > 0 || (!!target && !splitId)),
+        split: splitId ? await rowFor(splitId, !!target) : null,
+        takes,
       };
     });
+
+    const fromValue = [sourceWarehouse, formatPlacements(result.takes)].filter(Boolean).join(' ');
+    const toValue = [destination, target?.code].filter(Boolean).join(' ');
+    const details = { moveQty, movePallets, splitId: result.split?.id || null };
+    await ShipmentEventRepository.recordMany([result.source, result.split]
+      .filter((row): row is Shipment => !!row)
+      .map(row => ({
+        shipment_id: row.id,
+        event_type: SHIPMENT_EVENT_TYPES.STOCK_MOVED,
+        from_value: fromValue || null,
+        to_value: toValue,
+        details,
+        actor,
+      })));
+
+    return { source: result.source, split: result.split };
   }
 
   // ─── File-based archive operations (migrated from shipmentsController.js) ───
@@ -925,13 +1318,15 @@ export class ShipmentController {
    * Runs inside a transaction for atomicity.
    */
   static async bulkImport(
-    shipmentsData: BulkImportShipment[]
+    shipmentsData: BulkImportShipment[],
+    actor?: string
   ): Promise<{ imported: number; skipped: number; skippedRefs: string[]; importedRefs: string[]; emptyRows: number }> {
     // Filter out empty rows (no supplier)
     const validData = shipmentsData.filter(s => s.supplier && s.supplier.trim());
     const emptyRows = shipmentsData.length - validData.length;
+    const created: Array<{ id: string; status: string | null }> = [];
 
-    return transaction(async (client) => {
+    const result = await transaction(async (client) => {
       // Get existing order_refs to skip duplicates
       const existingResult = await client.query(
         'SELECT order_ref FROM shipments WHERE order_ref IS NOT NULL'
@@ -977,6 +1372,7 @@ export class ShipmentController {
             shipment.shipmentType || 'international'
           ]
         );
+        created.push({ id, status: shipment.latestStatus || null });
       }
 
       return {
@@ -987,6 +1383,17 @@ export class ShipmentController {
         emptyRows,
       };
     });
+
+    // Recorded once the import has committed, so a rolled-back import leaves no history
+    await ShipmentEventRepository.recordMany(created.map(({ id, status }) => ({
+      shipment_id: id,
+      event_type: SHIPMENT_EVENT_TYPES.CREATED,
+      to_value: status,
+      details: { bulkImport: true },
+      actor,
+    })));
+
+    return result;
   }
 
   // ─── Full-text search (migrated from inline route handler) ───
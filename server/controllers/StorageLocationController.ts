@@ -0,0 +1,124 @@
+/**
+ * Storage Location Controller
+ * Handles the zone → aisle → bin layout of each warehouse, putting received
+ * pallets away to bins and the bins used per warehouse derived from them
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import storageLocationRepository from '../db/repositories/StorageLocationRepository.js';
+import type { StorageLocation, StockPlacement } from '../db/repositories/StorageLocationRepository.js';
+import { transaction } from '../db/connection.js';
+import {
+  LOCATION_RULES,
+  binCodes,
+  locationOccupancy,
+  normalizeZone,
+  suggestPutaway,
+  warehouseUsage,
+} from '../../src/utils/storageLocations.js';
+import type { OccupiedLocation, PalletAllocation, WarehouseUsage } from '../../src/utils/storageLocations.js';
+
+export default class StorageLocationController {
+  // ─── Locations ───
+
+  /**
+   * A warehouse's locations with what is stored in each
+   */
+  static async getLocations(warehouse?: string): Promise<OccupiedLocation<StorageLocation>[]> {
+    const [locations, placements] = await Promise.all([
+      storageLocationRepository.findLocations(warehouse),
+      storageLocationRepository.findPlacements({ warehouse }),
+    ]);
+    return locationOccupancy(locations, placements);
+  }
+
+  /**
+   * Add a run of bins along an aisle (or extend an existing aisle)
+   */
+  static async addAisle(data: {
+    warehouse: string;
+    zone: string;
+    aisle: number;
+    count: number;
+    capacityPallets?: number;
+  }): Promise<StorageLocation[]> {
+    const warehouse = String(data.warehouse || '').trim().toUpperCase();
+    if (!warehouse) throw AppError.badRequest('warehouse is required');
+    const zone = normalizeZone(data.zone);
+    if (!/^[A-Z0-9]{1,3}$/.test(zone)) throw AppError.badRequest('Zone must be 1-3 letters or digits');
+    if (!Number.isInteger(data.aisle) || data.aisle < 1 || data.aisle > 99) {
+      throw AppError.badRequest('Aisle must be a number between 1 and 99');
+    }
+    if (!Number.isInteger(data.count) || data.count < 1 || data.count > LOCATION_RULES.maxBinsPerAisle) {
+      throw AppError.badRequest(`Bin count must be between 1 and ${LOCATION_RULES.maxBinsPerAisle}`);
+    }
+    const capacityPallets = data.capacityPallets ?? LOCATION_RULES.defaultPalletsPerBin;
+    if (!Number.isInteger(capacityPallets) || capacityPallets < 1) {
+      throw AppError.badRequest('Pallets per bin must be at least 1');
+    }
+
+    const start = await storageLocationRepository.getNextBin(warehouse, zone, data.aisle);
+    if (start + data.count - 1 > LOCATION_RULES.maxBinsPerAisle) {
+      throw AppError.badRequest(`Aisle ${zone}-${String(data.aisle).padStart(2, '0')} can hold at most ${LOCATION_RULES.maxBinsPerAisle} bins`);
+    }
+    return storageLocationRepository.createLocations(warehouse, zone, data.aisle, capacityPallets, binCodes(zone, data.aisle, data.count, start));
+  }
+
+  static async deleteLocation(id: number): Promise<void> {
+    const location = await storageLocationRepository.findLocationById(id);
+    if (!location) throw AppError.notFound('Storage location not found');
+    const placements = await storageLocationRepository.findPlacements({ locationId: id });
+    if (placements.length > 0) {
+      throw AppError.conflict(`Bin ${location.code} still holds stock for ${placements.map(p => p.order_ref).join(', ')}`);
+    }
+    await storageLocationRepository.deleteLocation(id);
+  }
+
+  // ─── Placements ───
+
+  static async getPlacements(filters: { warehouse?: string; shipmentId?: string }): Promise<StockPlacement[]> {
+    return storageLocationRepository.findPlacements(filters);
+  }
+
+  /**
+   * Bins used, available and total per warehouse, for the warehouses that
+   * have locations set up
+   */
+  static async getWarehouseUsage(): Promise<Record<string, WarehouseUsage>> {
+    return warehouseUsage(await this.getLocations());
+  }
+
+  /**
+   * Where a number of pallets would go at a warehouse, starting from a bin
+   * when one is picked. Throws when there isn't room for them all.
+   */
+  static async planPutaway(warehouse: string, pallets: number, startLocationId?: number | null): Promise<PalletAllocation[]> {
+    if (!warehouse) throw AppError.badRequest('warehouse is required');
+    const occupancy = await this.getLocations(warehouse);
+    if (startLocationId && !occupancy.some(location => location.id === startLocationId)) {
+      throw AppError.badRequest(`That bin is not in the ${warehouse} warehouse`);
+    }
+    const { allocations, unplaced } = suggestPutaway(occupancy, pallets, { startLocationId });
+    if (unplaced > 0) {
+      throw AppError.conflict(`Not enough free bins in ${warehouse}: no room for ${unplaced} of ${pallets} pallet(s)`);
+    }
+    return allocations;
+  }
+
+  /**
+   * Put a shipment's pallets away to the planned bins, re-checking each bin
+   * once it is locked in case it filled up since the plan was made
+   */
+  static async putAway(shipmentId: string, allocations: PalletAllocation[], actor?: string): Promise<void> {
+    await transaction(async (client) => {
+      for (const allocation of allocations) {
+        const location = await storageLocationRepository.lockLocation(client, allocation.locationId);
+        if (!location) throw AppError.notFound('Storage location not found');
+        if (location.capacity_pallets - location.pallets_stored < allocation.pallets) {
+          throw AppError.conflict(`Bin ${location.code} no longer has room for ${allocation.pallets} pallet(s)`);
+        }
+        await storageLocationRepository.addPallets(client, shipmentId, allocation.locationId, allocation.pallets, actor);
+      }
+    });
+  }
+}
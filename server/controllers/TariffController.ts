@@ -0,0 +1,113 @@
+/**
+ * Tariff Controller
+ * Maintains the HS tariff catalogue and product HS code defaults, and keeps
+ * the shared costing engine (src/utils/costingCalculations.js) loaded with
+ * them so customs duty is prefilled from the catalogue
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import tariffRepository from '../db/repositories/TariffRepository.js';
+import type { HsTariff, ProductHsDefault, TariffInput } from '../db/repositories/TariffRepository.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import { normalizeHsCode, parseTariffCsv } from '../../src/utils/tariffCatalogue.js';
+import { setTariffCatalogue } from '../../src/utils/costingCalculations.js';
+import { logInfo, logWarn } from '../utils/logger.js';
+
+export interface TariffCatalogueData {
+  tariffs: HsTariff[];
+  productDefaults: ProductHsDefault[];
+}
+
+// Audit log action for a duty rate entered over the catalogue rate on an estimate line
+export const DUTY_OVERRIDE_ACTION = 'duty_override';
+
+// The tariff book changes a few times a year; reload at most every 5 minutes unless edited here
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let loadedAt = 0;
+
+// Tariff book exports are UTF-8 or Windows-1252
+const decodeCsv = (buffer: Buffer): string => {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text;
+};
+
+export default class TariffController {
+  static async getCatalogue(): Promise<TariffCatalogueData> {
+    const [tariffs, productDefaults] = await Promise.all([
+      tariffRepository.findAll(),
+      tariffRepository.findProductDefaults(),
+    ]);
+    return { tariffs, productDefaults };
+  }
+
+  static async loadIntoCostingEngine(): Promise<void> {
+    setTariffCatalogue(await this.getCatalogue());
+    loadedAt = Date.now();
+  }
+
+  /**
+   * Load the catalogue if it is missing or stale. Without it, duty is taken
+   * from the rates entered on each product line.
+   */
+  static async ensureLoaded(): Promise<void> {
+    if (Date.now() - loadedAt < CACHE_TTL_MS) return;
+    try {
+      await this.loadIntoCostingEngine();
+    } catch (error) {
+      logWarn('Could not load HS tariff catalogue, using entered duty rates', { error: (error as Error).message });
+    }
+  }
+
+  static async saveTariff(data: TariffInput, updatedBy?: string): Promise<HsTariff> {
+    const hsCode = normalizeHsCode(data.hs_code);
+    if (hsCode.length < 4) throw AppError.badRequest('HS code must have at least 4 digits');
+
+    const tariff = await tariffRepository.save({ ...data, hs_code: hsCode }, { updatedBy });
+    await this.loadIntoCostingEngine();
+    return tariff;
+  }
+
+  static async deleteTariff(hsCode: string): Promise<void> {
+    const deleted = await tariffRepository.delete(normalizeHsCode(hsCode));
+    if (!deleted) throw AppError.notFound('Tariff not found');
+    await this.loadIntoCostingEngine();
+  }
+
+  /**
+   * Import a SARS tariff book CSV, adding new codes and replacing the rates of existing ones
+   */
+  static async importCsv(buffer: Buffer, filename: string, updatedBy?: string) {
+    const { tariffs, skipped, errors } = parseTariffCsv(decodeCsv(buffer));
+    if (tariffs.length === 0) {
+      throw AppError.badRequest('No tariff lines could be read from the file.', { errors });
+    }
+
+    const result = await tariffRepository.importTariffs(tariffs, { source: filename, updatedBy });
+    logInfo(`Tariff book imported: ${filename}`, { ...result, skipped, errors: errors.length });
+
+    await this.loadIntoCostingEngine();
+    return { ...result, skipped, errors };
+  }
+
+  static async saveProductDefault(productName: string, hsCode: string, updatedBy?: string): Promise<ProductHsDefault> {
+    const code = normalizeHsCode(hsCode);
+    if (code.length < 4) throw AppError.badRequest('HS code must have at least 4 digits');
+
+    const row = await tariffRepository.saveProductDefault(productName, code, updatedBy);
+    await this.loadIntoCostingEngine();
+    return row;
+  }
+
+  static async deleteProductDefault(id: number): Promise<void> {
+    const deleted = await tariffRepository.deleteProductDefault(id);
+    if (!deleted) throw AppError.notFound('Product default not found');
+    await this.loadIntoCostingEngine();
+  }
+
+  /**
+   * Recent duty overrides on estimate lines, newest first
+   */
+  static async getDutyOverrides(limit = 100, offset = 0) {
+    return AuditRepository.getAuditLog({ action: DUTY_OVERRIDE_ACTION, entityType: 'cost_estimate', limit, offset });
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Yard Controller
+ * Handles yard slots and containers/trailers dropped in the yard: gate-in,
+ * moves between slots, gate-out and the shipping-line free days their
+ * demurrage and detention clocks run against
+ */
+
+import { AppError } from '../utils/AppError.ts';
+import yardRepository from '../db/repositories/YardRepository.js';
+import type { YardSlot, YardContainer, ShippingLineFreeDays } from '../db/repositories/YardRepository.js';
+import { ShipmentEventRepository } from '../db/repositories/ShipmentEventRepository.ts';
+import { SHIPMENT_EVENT_TYPES } from '../../src/utils/shipmentEvents.js';
+import type { ShipmentEventType } from '../../src/utils/shipmentEvents.js';
+import {
+  EQUIPMENT_TYPES,
+  isValidContainerNumber,
+  normalizeContainerNumber,
+  slotCodes,
+} from '../../src/utils/yardManagement.js';
+
+const MAX_SLOTS_PER_ROW = 50;
+
+export interface ContainerInput {
+  warehouse?: string;
+  equipmentType?: string;
+  containerNumber?: string | null;
+  trailerNumber?: string | null;
+  sealNumber?: string | null;
+  shippingLine?: string | null;
+  dischargedAt?: string | null;
+  truckId?: number | null;
+  shipmentIds?: string[];
+  notes?: string | null;
+}
+
+export default class YardController {
+  // ─── Yard Slots ───
+
+  static async getSlots(warehouse?: string): Promise<YardSlot[]> {
+    return yardRepository.findSlots(warehouse);
+  }
+
+  /**
+   * Add a row of slots (or extend an existing row) at a warehouse
+   */
+  static async addSlotRow(data: { warehouse: string; row: string; count: number }): Promise<YardSlot[]> {
+    const row = String(data.row || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{1,3}$/.test(row)) throw AppError.badRequest('Row must be 1-3 letters or digits');
+    if (!Number.isInteger(data.count) || data.count < 1 || data.count > MAX_SLOTS_PER_ROW) {
+      throw AppError.badRequest(`Slot count must be between 1 and ${MAX_SLOTS_PER_ROW}`);
+    }
+
+    const start = await yardRepository.getNextSlotPosition(data.warehouse, row);
+    const slots = slotCodes(row, data.count, start).map((code, i) => ({ code, position: start + i }));
+    return yardRepository.createSlots(data.warehouse, row, slots);
+  }
+
+  static async deleteSlot(id: number): Promise<void> {
+    const slot = await yardRepository.findSlotById(id);
+    if (!slot) throw AppError.notFound('Yard slot not found');
+    const occupant = await yardRepository.findContainerInSlot(id);
+    if (occupant) throw AppError.conflict(`Slot ${slot.code} is occupied by ${this.label(occupant)}`);
+    await yardRepository.deleteSlot(id);
+  }
+
+  // ─── Containers ───
+
+  static async getContainers(filters: { warehouse?: string; status?: string; active?: boolean }): Promise<YardContainer[]> {
+    return yardRepository.findContainers(filters);
+  }
+
+  static async getContainer(id: number): Promise<YardContainer> {
+    const container = await yardRepository.findContainerById(id);
+    if (!container) throw AppError.notFound('Yard container not found');
+    return container;
+  }
+
+  /**
+   * Register a container or trailer. It starts as expected (at the port) and
+   * is gated in straight away when a yard slot is given.
+   */
+  static async createContainer(data: ContainerInput & { yardSlotId?: number | null }, actor?: string): Promise<YardContainer> {
+    if (!data.warehouse) throw AppError.badRequest('warehouse is required');
+    const equipmentType = data.equipmentType || 'container';
+    const details = await this.validateDetails({ ...data, equipmentType });
+    if (data.yardSlotId) await this.getFreeSlot(data.yardSlotId, data.warehouse);
+
+    const container = await yardRepository.createContainer({
+      warehouse: data.warehouse,
+      equipment_type: equipmentType as YardContainer['equipment_type'],
+      ...details,
+      truck_id: data.truckId || null,
+      created_by: actor || null,
+    }, data.shipmentIds || []);
+
+    if (data.yardSlotId) {
+      return this.gateIn(container.id, { yardSlotId: data.yardSlotId }, actor);
+    }
+    return container;
+  }
+
+  static async updateContainer(id: number, data: ContainerInput): Promise<YardContainer> {
+    const container = await this.getContainer(id);
+    if (container.status === 'departed') throw AppError.conflict('Container has already been gated out');
+
+    const details = await this.validateDetails({ ...data, equipmentType: container.equipment_type }, container);
+    const updateData: Partial<YardContainer> = { ...details };
+    if (data.truckId !== undefined) updateData.truck_id = data.truckId || null;
+
+    if (data.shipmentIds !== undefined) {
+      await yardRepository.replaceShipmentLinks(id, data.shipmentIds);
+    }
+    const updated = await yardRepository.updateContainer(id, updateData);
+    if (!updated) throw AppError.notFound('Yard container not found');
+    return updated;
+  }
+
+  /**
+   * Gate a container in to a yard slot. Stops its demurrage clock and starts detention.
+   */
+  static async gateIn(id: number, data: { yardSlotId: number; sealNumber?: string | null }, actor?: string): Promise<YardContainer> {
+    const container = await this.getContainer(id);
+    if (container.status !== 'expected') throw AppError.conflict(`${this.label(container)} is already gated in`);
+    const slot = await this.getFreeSlot(data.yardSlotId, container.warehouse, container.id);
+
+    const updateData: Partial<YardContainer> = {
+      status: 'in_yard',
+      yard_slot_id: slot.id,
+      gate_in_at: new Date(),
+    };
+    if (data.sealNumber) updateData.seal_number = data.sealNumber.trim();
+
+    const updated = (await yardRepository.updateContainer(id, updateData))!;
+    await this.recordGateEvent(updated, SHIPMENT_EVENT_TYPES.GATE_IN, actor);
+    return updated;
+  }
+
+  /**
+   * Move a container to another free slot in the same yard
+   */
+  static async moveContainer(id: number, yardSlotId: number): Promise<YardContainer> {
+    const container = await this.getContainer(id);
+    if (container.status !== 'in_yard') throw AppError.conflict(`${this.label(container)} is not in the yard`);
+    const slot = await this.getFreeSlot(yardSlotId, container.warehouse, container.id);
+    return (await yardRepository.updateContainer(id, { yard_slot_id: slot.id }))!;
+  }
+
+  /**
+   * Mark a container as unloaded, ready to go back empty
+   */
+  static async markEmpty(id: number): Promise<YardContainer> {
+    const container = await this.getContainer(id);
+    if (container.status !== 'in_yard') throw AppError.conflict(`${this.label(container)} is not in the yard`);
+    return (await yardRepository.updateContainer(id, { emptied_at: new Date() }))!;
+  }
+
+  /**
+   * Gate a container out (empty returned, or trailer collected). Stops its detention clock.
+   */
+  static async gateOut(id: number, actor?: string): Promise<YardContainer> {
+    const container = await this.getContainer(id);
+    if (container.status !== 'in_yard') throw AppError.conflict(`${this.label(container)} is not in the yard`);
+
+    const updated = (await yardRepository.updateContainer(id, {
+      status: 'departed',
+      yard_slot_id: null,
+      gate_out_at: new Date(),
+    }))!;
+    await this.recordGateEvent({ ...updated, slot_code: container.slot_code }, SHIPMENT_EVENT_TYPES.GATE_OUT, actor);
+    return updated;
+  }
+
+  /**
+   * Remove a container registered by mistake. Only expected containers can be
+   * removed; once gated in the yard history is kept.
+   */
+  static async deleteContainer(id: number): Promise<void> {
+    const container = await this.getContainer(id);
+    if (container.status !== 'expected') throw AppError.conflict('Only containers not yet gated in can be removed');
+    await yardRepository.deleteContainer(id);
+  }
+
+  // ─── Shipping-line Free Days ───
+
+  static async getFreeDays(): Promise<ShippingLineFreeDays[]> {
+    return yardRepository.findFreeDays();
+  }
+
+  static async saveFreeDays(data: { shippingLine: string; demurrageFreeDays: number; detentionFreeDays: number }): Promise<ShippingLineFreeDays> {
+    const shippingLine = String(data.shippingLine || '').trim();
+    if (!shippingLine) throw AppError.badRequest('shippingLine is required');
+    return yardRepository.upsertFreeDays(shippingLine, data.demurrageFreeDays, data.detentionFreeDays);
+  }
+
+  static async deleteFreeDays(id: number): Promise<void> {
+    await yardRepository.deleteFreeDays(id);
+  }
+
+  // ─── Helpers ───
+
+  static label(container: Pick<YardContainer, 'container_number' | 'trailer_number'>): string {
+    return container.container_number || container.trailer_number || 'Container';
+  }
+
+  /**
+   * Check the identifying details for the equipment type and map them to columns.
+   * Fields left out of an update stay undefined.
+   */
+  private static async validateDetails(
+    data: ContainerInput & { equipmentType: string },
+    existing?: YardContainer
+  ): Promise<Partial<YardContainer>> {
+    if (!EQUIPMENT_TYPES.some(o => o.value === data.equipmentType)) {
+      throw AppError.badRequest('Invalid equipment type');
+    }
+
+    const details: Partial<YardContainer> = {};
+    if (data.containerNumber !== undefined) {
+      const containerNumber = data.containerNumber ? normalizeContainerNumber(data.containerNumber) : null;
+      if (containerNumber && !isValidContainerNumber(containerNumber)) {
+        throw AppError.badRequest(`${containerNumber} is not a valid container number (check digit does not match)`);
+      }
+      if (containerNumber) {
+        const duplicate = await yardRepository.findActiveByContainerNumber(containerNumber, existing?.id);
+        if (duplicate) throw AppError.conflict(`${containerNumber} is already on the yard register`);
+      }
+      details.container_number = containerNumber;
+    }
+    if (data.trailerNumber !== undefined) details.trailer_number = data.trailerNumber?.trim() || null;
+    if (data.sealNumber !== undefined) details.seal_number = data.sealNumber?.trim() || null;
+    if (data.shippingLine !== undefined) details.shipping_line = data.shippingLine?.trim() || null;
+    if (data.dischargedAt !== undefined) details.discharged_at = data.dischargedAt ? new Date(data.dischargedAt) : null;
+    if (data.notes !== undefined) details.notes = data.notes || null;
+
+    const containerNumber = details.container_number !== undefined ? details.container_number : existing?.container_number;
+    const trailerNumber = details.trailer_number !== undefined ? details.trailer_number : existing?.trailer_number;
+    if (data.equipmentType === 'container' && !containerNumber) throw AppError.badRequest('Container number is required');
+    if (data.equipmentType === 'trailer' && !trailerNumber) throw AppError.badRequest('Trailer number is required');
+    return details;
+  }
+
+  private static async getFreeSlot(slotId: number, warehouse: string, containerId?: number): Promise<YardSlot> {
+    const slot = await yardRepository.findSlotById(slotId);
+    if (!slot) throw AppError.notFound('Yard slot not found');
+    if (slot.warehouse !== warehouse) throw AppError.badRequest(`Slot ${slot.code} is not in the ${warehouse} yard`);
+    const occupant = await yardRepository.findContainerInSlot(slot.id);
+    if (occupant && occupant.id !== containerId) {
+      throw AppError.conflict(`Slot ${slot.code} is occupied by ${this.label(occupant)}`);
+    }
+    return slot;
+  }
+
+  private static async recordGateEvent(container: YardContainer, eventType: ShipmentEventType, actor?: string): Promise<void> {
+    const shipmentIds = container.shipment_ids || [];
+    if (shipmentIds.length === 0) return;
+    await ShipmentEventRepository.recordMany(shipmentIds.map(sid => ({
+      shipment_id: sid,
+      event_type: eventType,
+      to_value: this.label(container),
+      details: {
+        containerId: container.id,
+        equipmentType: container.equipment_type,
+        sealNumber: container.seal_number,
+        slot: container.slot_code || null,
+        warehouse: container.warehouse,
+      },
+      actor,
+    })));
+  }
+}
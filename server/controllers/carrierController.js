@@ -0,0 +1,581 @@
+// Carrier portal controller - carrier accounts and self-service dock bookings
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import pool, { transaction } from '../db/connection.js';
+import DockController from './DockController.ts';
+import { AppError } from '../utils/AppError.ts';
+import EmailService from '../services/emailService.ts';
+import { localDate, localTime } from '../../src/utils/dockSlots.js';
+
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  console.error('FATAL: JWT_SECRET environment variable is not set');
+  process.exit(1);
+}
+// Carrier tokens get their own secret so the staff API never accepts them
+const CARRIER_JWT_SECRET = process.env.CARRIER_JWT_SECRET || `${JWT_SECRET}_carrier`;
+const ACCESS_TOKEN_EXPIRY = '15m';
+
+// Shipments that no longer need a delivery booked
+const CLOSED_STATUSES = ['received', 'stored', 'archived'];
+
+/**
+ * Reference quoted at the gate and in confirmation emails
+ */
+const bookingReference = (truck) => `DOCK-${String(truck.id).padStart(6, '0')}`;
+
+/**
+ * A truck arrival as the carrier sees it
+ */
+const toBooking = (truck) => ({
+  id: truck.id,
+  reference: bookingReference(truck),
+  status: truck.status,
+  warehouse: truck.warehouse,
+  expectedArrival: truck.expected_arrival,
+  slotEnd: truck.slot_end,
+  driverName: truck.driver_name,
+  driverPhone: truck.driver_phone,
+  vehicleReg: truck.vehicle_reg,
+  notes: truck.notes,
+  shipments: (truck.shipments || []).map(s => ({ id: s.id, orderRef: s.order_ref, supplier: s.supplier })),
+  createdAt: truck.created_at,
+});
+
+/**
+ * A slot as the carrier sees it — capacity only, never the other bookings
+ */
+const toPublicSlot = ({ start, end, label, capacity, booked, available, blackout }) => ({
+  start, end, label, available, closed: !!blackout, remaining: blackout ? 0 : Math.max(capacity - booked, 0),
+});
+
+/**
+ * Drop a carrier left behind by a registration once nothing refers to it
+ */
+const removeCarrierIfUnused = (client, carrierId) => client.query(
+  `DELETE FROM carriers c
+   WHERE c.id = $1
+     AND NOT EXISTS (SELECT 1 FROM carrier_accounts ca WHERE ca.carrier_id = c.id)
+     AND NOT EXISTS (SELECT 1 FROM carrier_shipments cs WHERE cs.carrier_id = c.id)
+     AND NOT EXISTS (SELECT 1 FROM truck_arrivals t WHERE t.carrier_id = c.id)`,
+  [carrierId]
+);
+
+export class CarrierController {
+  /**
+   * Register a carrier account
+   * Every registration creates its own carrier; on approval an admin can
+   * link the account to an existing carrier instead. Accounts need admin
+   * approval before they can log in.
+   */
+  static async register(req, res) {
+    try {
+      const { companyName, contactName, email, phone, password } = req.body;
+
+      if (!companyName || !email || !password) {
+        return res.status(400).json({ error: 'Company name, email, and password are required' });
+      }
+
+      if (password.length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      }
+
+      const passwordHash = await bcrypt.hash(password, 10);
+      const account = await transaction(async (client) => {
+        const carrierResult = await client.query(
+          `INSERT INTO carriers (name, contact_email, contact_phone)
+           VALUES ($1, $2, $3)
+           RETURNING id, name`,
+          [companyName.trim(), email, phone || null]
+        );
+        const carrier = carrierResult.rows[0];
+
+        const result = await client.query(
+          `INSERT INTO carrier_accounts (carrier_id, email, password_hash, contact_name, is_active)
+           VALUES ($1, $2, $3, $4, false)
+           RETURNING id, carrier_id, email, created_at`,
+          [carrier.id, email, passwordHash, contactName || null]
+        );
+        return { ...result.rows[0], carrier_name: carrier.name };
+      });
+
+      res.status(201).json({
+        message: 'Registration submitted! Your account is pending admin approval.',
+        account
+      });
+    } catch (error) {
+      console.error('Error registering carrier:', error);
+      if (error.code === '23505') { // unique violation
+        return res.status(409).json({ error: 'Email already registered' });
+      }
+      res.status(500).json({ error: 'Failed to register account' });
+    }
+  }
+
+  /**
+   * Login carrier account
+   */
+  static async login(req, res) {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password required' });
+      }
+
+      const result = await pool.query(
+        `SELECT ca.id, ca.carrier_id, ca.email, ca.password_hash, ca.is_active, ca.contact_name, c.name
+         FROM carrier_accounts ca
+         JOIN carriers c ON ca.carrier_id = c.id
+         WHERE ca.email = $1`,
+        [email]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const account = result.rows[0];
+
+      const passwordValid = await bcrypt.compare(password, account.password_hash);
+      if (!passwordValid) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      if (!account.is_active) {
+        return res.status(403).json({ error: 'Your account is pending admin approval. Please contact the administrator.' });
+      }
+
+      const token = jwt.sign(
+        {
+          id: account.carrier_id,
+          accountId: account.id,
+          email: account.email,
+          role: 'carrier',
+          name: account.name
+        },
+        CARRIER_JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRY }
+      );
+
+      await pool.query(
+        'UPDATE carrier_accounts SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+        [account.id]
+      );
+
+      res.json({
+        token,
+        expiresIn: 900, // 15 minutes in seconds
+        user: {
+          id: account.carrier_id,
+          email: account.email,
+          name: account.name,
+          contactName: account.contact_name,
+          role: 'carrier'
+        }
+      });
+    } catch (error) {
+      console.error('Error logging in carrier:', error);
+      res.status(500).json({ error: 'Failed to login' });
+    }
+  }
+
+  // ─── Admin ───
+
+  /**
+   * List pending carrier accounts — admin only
+   */
+  static async getPendingAccounts(req, res) {
+    try {
+      const result = await pool.query(
+        `SELECT ca.id, ca.carrier_id, ca.email, ca.contact_name, ca.created_at, c.name as company_name
+         FROM carrier_accounts ca
+         JOIN carriers c ON ca.carrier_id = c.id
+         WHERE ca.is_active = false
+         ORDER BY ca.created_at DESC`
+      );
+
+      res.json({ pending: result.rows });
+    } catch (error) {
+      console.error('Error fetching pending carrier accounts:', error);
+      res.status(500).json({ error: 'Failed to fetch pending accounts' });
+    }
+  }
+
+  /**
+   * Approve a carrier account — admin only
+   * An optional carrierId links the account to an existing carrier; the
+   * carrier its registration created is then removed.
+   */
+  static async approveAccount(req, res) {
+    try {
+      const { id } = req.params;
+      const carrierId = req.body?.carrierId ? Number(req.body.carrierId) : null;
+
+      if (carrierId !== null && !Number.isInteger(carrierId)) {
+        return res.status(400).json({ error: 'carrierId must be a carrier id' });
+      }
+
+      const account = await transaction(async (client) => {
+        const existing = await client.query(
+          'SELECT id, carrier_id FROM carrier_accounts WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+        if (existing.rows.length === 0) {
+          throw AppError.notFound('Carrier account not found');
+        }
+
+        if (carrierId !== null) {
+          const carrier = await client.query('SELECT id FROM carriers WHERE id = $1', [carrierId]);
+          if (carrier.rows.length === 0) {
+            throw AppError.notFound('Carrier not found');
+          }
+        }
+
+        const result = await client.query(
+          `UPDATE carrier_accounts
+           SET is_active = true, carrier_id = COALESCE($3, carrier_id), approved_by = $2,
+               approved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING id, carrier_id, email`,
+          [id, req.user?.username || null, carrierId]
+        );
+
+        const previousCarrierId = existing.rows[0].carrier_id;
+        if (previousCarrierId !== result.rows[0].carrier_id) {
+          await removeCarrierIfUnused(client, previousCarrierId);
+        }
+        return result.rows[0];
+      });
+
+      res.json({ message: 'Carrier account approved', account });
+    } catch (error) {
+      CarrierController.sendError(res, error, 'Failed to approve account');
+    }
+  }
+
+  /**
+   * Reject (delete) a pending carrier account and its registration's carrier — admin only
+   */
+  static async rejectAccount(req, res) {
+    try {
+      const { id } = req.params;
+
+      const account = await transaction(async (client) => {
+        const result = await client.query(
+          `DELETE FROM carrier_accounts WHERE id = $1 AND is_active = false
+           RETURNING id, carrier_id, email`,
+          [id]
+        );
+        if (result.rows.length === 0) {
+          throw AppError.notFound('Pending carrier account not found');
+        }
+
+        await removeCarrierIfUnused(client, result.rows[0].carrier_id);
+        return result.rows[0];
+      });
+
+      res.json({ message: 'Carrier account rejected and removed', account });
+    } catch (error) {
+      CarrierController.sendError(res, error, 'Failed to reject account');
+    }
+  }
+
+  /**
+   * List carriers with their accounts and assigned shipments — admin only
+   */
+  static async getCarriers(req, res) {
+    try {
+      const result = await pool.query(
+        `SELECT c.id, c.name, c.contact_email, c.contact_phone,
+                COALESCE((
+                  SELECT json_agg(json_build_object('id', ca.id, 'email', ca.email, 'contactName', ca.contact_name, 'isActive', ca.is_active) ORDER BY ca.email)
+                  FROM carrier_accounts ca WHERE ca.carrier_id = c.id
+                ), '[]') as accounts,
+                COALESCE((
+                  SELECT json_agg(json_build_object('id', s.id, 'orderRef', s.order_ref, 'supplier', s.supplier, 'latestStatus', s.latest_status) ORDER BY s.order_ref)
+                  FROM carrier_shipments cs JOIN shipments s ON s.id = cs.shipment_id
+                  WHERE cs.carrier_id = c.id
+                ), '[]') as shipments
+         FROM carriers c
+         ORDER BY c.name`
+      );
+
+      res.json({ carriers: result.rows });
+    } catch (error) {
+      console.error('Error fetching carriers:', error);
+      res.status(500).json({ error: 'Failed to fetch carriers' });
+    }
+  }
+
+  /**
+   * Replace the shipments a carrier may book deliveries for — admin only
+   */
+  static async assignShipments(req, res) {
+    try {
+      const { id } = req.params;
+      const { shipmentIds } = req.body;
+
+      if (!Array.isArray(shipmentIds)) {
+        return res.status(400).json({ error: 'shipmentIds must be an array' });
+      }
+
+      await transaction(async (client) => {
+        await client.query('DELETE FROM carrier_shipments WHERE carrier_id = $1', [id]);
+        if (shipmentIds.length > 0) {
+          await client.query(
+            `INSERT INTO carrier_shipments (carrier_id, shipment_id, assigned_by)
+             SELECT $1, s.id, $3 FROM shipments s WHERE s.id = ANY($2::varchar[])`,
+            [id, shipmentIds, req.user?.username || null]
+          );
+        }
+      });
+
+      res.json({ message: 'Carrier shipments updated' });
+    } catch (error) {
+      console.error('Error assigning carrier shipments:', error);
+      res.status(500).json({ error: 'Failed to assign shipments' });
+    }
+  }
+
+  // ─── Carrier self-service ───
+
+  /**
+   * Shipments assigned to the carrier that still need delivering
+   */
+  static async getShipments(req, res) {
+    try {
+      const result = await pool.query(
+        `SELECT s.id, s.order_ref as "orderRef", s.supplier, s.product_name as "productName",
+                s.quantity, s.pallet_qty as "palletQty", s.latest_status as "latestStatus",
+                s.receiving_warehouse as "receivingWarehouse", s.week_number as "weekNumber",
+                s.selected_week_date as "selectedWeekDate"
+         FROM carrier_shipments cs
+         JOIN shipments s ON s.id = cs.shipment_id
+         WHERE cs.carrier_id = $1 AND s.latest_status <> ALL($2::varchar[])
+         ORDER BY s.selected_week_date ASC NULLS LAST, s.order_ref`,
+        [req.user.id, CLOSED_STATUSES]
+      );
+
+      res.json({ shipments: result.rows });
+    } catch (error) {
+      console.error('Error fetching carrier shipments:', error);
+      res.status(500).json({ error: 'Failed to fetch shipments' });
+    }
+  }
+
+  /**
+   * Open slots at a warehouse. Only capacity is shown, not who else is booked.
+   */
+  static async getSlots(req, res) {
+    try {
+      const { warehouse, from, days } = req.query;
+      if (!warehouse) {
+        return res.status(400).json({ error: 'warehouse is required' });
+      }
+
+      const result = await DockController.getSlots(warehouse, null, from, days ? parseInt(days, 10) : 7);
+      res.json({
+        calendar: result.calendar,
+        days: result.days.map(day => ({
+          date: day.date,
+          slots: day.slots.map(toPublicSlot),
+        })),
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to fetch slots');
+    }
+  }
+
+  /**
+   * The carrier's own bookings
+   */
+  static async getBookings(req, res) {
+    try {
+      const trucks = await DockController.getTruckArrivals({ carrierId: req.user.id, status: req.query.status });
+      res.json({ bookings: trucks.map(toBooking) });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to fetch bookings');
+    }
+  }
+
+  /**
+   * Book a truck into a dock slot for assigned shipments
+   */
+  static async createBooking(req, res) {
+    try {
+      const { warehouse, expectedArrival, shipmentIds, driverName, driverPhone, vehicleReg, notes } = req.body;
+      const arrival = this.parseArrival(warehouse, expectedArrival);
+      await this.assertAssigned(req.user.id, shipmentIds);
+      const calendar = await this.getWarehouseCalendar(warehouse);
+
+      const truck = await DockController.createTruckArrival({
+        carrier: req.user.name,
+        carrier_id: req.user.id,
+        driver_name: driverName || null,
+        driver_phone: driverPhone || null,
+        vehicle_reg: vehicleReg || null,
+        expected_arrival: arrival,
+        warehouse,
+        shipmentIds,
+        notes: notes || null,
+        created_by: `carrier:${req.user.email}`,
+      });
+
+      await this.sendConfirmation(req.user, truck, calendar, 'booked');
+      res.status(201).json({ message: `Booking confirmed: ${bookingReference(truck)}`, data: toBooking(truck) });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to book slot');
+    }
+  }
+
+  /**
+   * Reschedule a booking or update its driver, vehicle or shipments
+   */
+  static async updateBooking(req, res) {
+    try {
+      const truck = await this.getOwnBooking(req.user.id, parseInt(req.params.id, 10));
+      const { warehouse, expectedArrival, shipmentIds, driverName, driverPhone, vehicleReg, notes } = req.body;
+
+      const updates = {};
+      if (driverName !== undefined) updates.driver_name = driverName;
+      if (driverPhone !== undefined) updates.driver_phone = driverPhone;
+      if (vehicleReg !== undefined) updates.vehicle_reg = vehicleReg;
+      if (notes !== undefined) updates.notes = notes;
+      if (shipmentIds !== undefined) {
+        await this.assertAssigned(req.user.id, shipmentIds);
+        updates.shipmentIds = shipmentIds;
+      }
+      if (warehouse !== undefined || expectedArrival !== undefined) {
+        updates.warehouse = warehouse ?? truck.warehouse;
+        updates.expected_arrival = this.parseArrival(updates.warehouse, expectedArrival ?? truck.expected_arrival);
+        await this.getWarehouseCalendar(updates.warehouse);
+      }
+
+      const updated = await DockController.updateTruckArrival(truck.id, updates);
+      const moved = new Date(updated.expected_arrival).getTime() !== new Date(truck.expected_arrival).getTime()
+        || updated.warehouse !== truck.warehouse;
+      if (moved) {
+        await this.sendConfirmation(req.user, updated, await DockController.getCalendar(updated.warehouse), 'rescheduled');
+      }
+
+      res.json({ message: moved ? `Booking rescheduled: ${bookingReference(updated)}` : 'Booking updated', data: toBooking(updated) });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to update booking');
+    }
+  }
+
+  /**
+   * Cancel a booking and release its slot
+   */
+  static async cancelBooking(req, res) {
+    try {
+      const truck = await this.getOwnBooking(req.user.id, parseInt(req.params.id, 10));
+      const cancelled = await DockController.cancelTruck(truck.id);
+      const calendar = await DockController.getCalendar(truck.warehouse);
+      await this.sendConfirmation(req.user, { ...truck, ...cancelled }, calendar, 'cancelled');
+
+      res.json({ message: `Booking cancelled: ${bookingReference(truck)}`, data: toBooking({ ...truck, ...cancelled }) });
+    } catch (error) {
+      this.sendError(res, error, 'Failed to cancel booking');
+    }
+  }
+
+  /**
+   * Middleware: verify carrier JWT token
+   */
+  static verifyCarrierToken(req, res, next) {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Missing authorization header' });
+      }
+
+      const token = authHeader.substring(7);
+      const decoded = jwt.verify(token, CARRIER_JWT_SECRET);
+
+      if (decoded.role !== 'carrier') {
+        return res.status(403).json({ error: 'Not a carrier account' });
+      }
+
+      req.user = decoded;
+      next();
+    } catch (error) {
+      console.error('Token verification error:', error);
+      res.status(401).json({ error: 'Invalid or expired token' });
+    }
+  }
+
+  // ─── Helpers ───
+
+  static parseArrival(warehouse, expectedArrival) {
+    if (!warehouse || !expectedArrival) {
+      throw AppError.badRequest('Warehouse and arrival time are required');
+    }
+    const arrival = new Date(expectedArrival);
+    if (isNaN(arrival.getTime())) throw AppError.badRequest('Invalid arrival time');
+    if (arrival.getTime() < Date.now()) throw AppError.badRequest('Arrival time is in the past');
+    return arrival;
+  }
+
+  /**
+   * Carriers can only book warehouses that take appointments, so every
+   * portal booking goes through the slot rules
+   */
+  static async getWarehouseCalendar(warehouse) {
+    const calendar = await DockController.getCalendar(warehouse);
+    if (!calendar) throw AppError.badRequest(`${warehouse} does not take online dock bookings`);
+    return calendar;
+  }
+
+  static async assertAssigned(carrierId, shipmentIds) {
+    if (!Array.isArray(shipmentIds) || shipmentIds.length === 0) {
+      throw AppError.badRequest('Select at least one shipment');
+    }
+    const result = await pool.query(
+      'SELECT shipment_id FROM carrier_shipments WHERE carrier_id = $1 AND shipment_id = ANY($2::varchar[])',
+      [carrierId, shipmentIds]
+    );
+    if (result.rows.length !== new Set(shipmentIds).size) {
+      throw AppError.forbidden('One or more shipments are not assigned to your company');
+    }
+  }
+
+  static async getOwnBooking(carrierId, truckId) {
+    const truck = await DockController.getTruck(truckId);
+    if (truck.carrier_id !== carrierId) throw AppError.notFound('Booking not found');
+    if (truck.status !== 'scheduled') {
+      throw AppError.conflict('Only bookings that have not checked in can be changed');
+    }
+    return truck;
+  }
+
+  static async sendConfirmation(user, truck, calendar, action) {
+    const arrival = truck.expected_arrival;
+    await EmailService.sendDockBookingConfirmation(user.email, {
+      action,
+      reference: bookingReference(truck),
+      carrierName: user.name,
+      warehouse: truck.warehouse,
+      slot: calendar && arrival ? `${localDate(calendar, arrival)} ${localTime(calendar, arrival)}` : String(arrival),
+      vehicleReg: truck.vehicle_reg,
+      driverName: truck.driver_name,
+      orderRefs: (truck.shipments || []).map(s => s.order_ref || s.id),
+    });
+  }
+
+  static sendError(res, error, fallback) {
+    if (error instanceof AppError) {
+      const body = error.toJSON();
+      if (error.code === 'SLOT_UNAVAILABLE' && body.details) {
+        const { slot, alternatives } = body.details;
+        body.details = { ...body.details, slot: slot && toPublicSlot(slot), alternatives: (alternatives || []).map(toPublicSlot) };
+      }
+      return res.status(error.statusCode).json(body);
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ error: fallback });
+  }
+}
+
+export default CarrierController;
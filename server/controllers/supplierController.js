@@ -2,6 +2,8 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import pool from '../db/connection.js';
+import { ShipmentEventRepository } from '../db/repositories/ShipmentEventRepository.ts';
+import { SHIPMENT_EVENT_TYPES } from '../../src/utils/shipmentEvents.js';
 import path from 'path';
 import fs from 'fs/promises';
 
@@ -352,6 +354,14 @@ export class SupplierController {
         ]
       );
 
+      await ShipmentEventRepository.record({
+        shipment_id: shipmentId,
+        event_type: SHIPMENT_EVENT_TYPES.DOCUMENT_UPLOADED,
+        to_value: req.file.originalname,
+        details: { documentId: result.rows[0].id, documentType, description: description || null },
+        actor: supplierName || req.user.email || null
+      });
+
       res.status(201).json({
         message: 'Document uploaded successfully',
         document: result.rows[0]
@@ -0,0 +1,63 @@
+// Migration: carrier accounts for the self-service dock booking portal
+import pool from './connection.js';
+
+async function addCarrierPortal() {
+  try {
+    // Hauliers that deliver to our docks
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS carriers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        contact_email VARCHAR(255),
+        contact_phone VARCHAR(50),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // Names are not unique: every registration starts its own carrier until an
+    // admin links it to an existing one, so nobody joins a carrier by naming it
+    await pool.query(`DROP INDEX IF EXISTS idx_carriers_name;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_carriers_lower_name ON carriers(LOWER(name));`);
+
+    // Portal logins; inactive until an admin approves them
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS carrier_accounts (
+        id SERIAL PRIMARY KEY,
+        carrier_id INTEGER NOT NULL REFERENCES carriers(id) ON DELETE CASCADE,
+        email TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        contact_name VARCHAR(255),
+        is_active BOOLEAN DEFAULT false,
+        approved_by VARCHAR(255),
+        approved_at TIMESTAMP WITH TIME ZONE,
+        last_login TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_carrier_accounts_carrier ON carrier_accounts(carrier_id);`);
+
+    // Shipments a carrier is trusted to book deliveries for
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS carrier_shipments (
+        carrier_id INTEGER NOT NULL REFERENCES carriers(id) ON DELETE CASCADE,
+        shipment_id VARCHAR(255) NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+        assigned_by VARCHAR(255),
+        assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (carrier_id, shipment_id)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_carrier_shipments_shipment ON carrier_shipments(shipment_id);`);
+
+    // Trucks booked through the portal belong to the carrier that booked them
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS carrier_id INTEGER REFERENCES carriers(id) ON DELETE SET NULL;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_truck_arrivals_carrier ON truck_arrivals(carrier_id);`);
+
+    console.log('✓ Carrier portal tables ready');
+  } catch (error) {
+    console.error('Error adding carrier portal tables:', error.message);
+    throw error;
+  }
+}
+
+export default addCarrierPortal;
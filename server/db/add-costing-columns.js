@@ -112,6 +112,39 @@ export default async function addCostingColumns() {
     console.log('  ✓ Created exchange_rate_cache table');
   }
 
+  // Multi-currency support: manual overrides stick per pair, and every change is kept in history
+  await query('ALTER TABLE exchange_rate_cache ADD COLUMN IF NOT EXISTS is_manual BOOLEAN DEFAULT false');
+  await query(`
+    CREATE TABLE IF NOT EXISTS exchange_rate_history (
+      id SERIAL PRIMARY KEY,
+      currency_pair VARCHAR(10) NOT NULL,
+      rate NUMERIC(12,6) NOT NULL,
+      source VARCHAR(100),
+      is_manual BOOLEAN DEFAULT false,
+      created_by VARCHAR(255),
+      recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await query('CREATE INDEX IF NOT EXISTS idx_exchange_rate_history_pair ON exchange_rate_history(currency_pair, recorded_at DESC)');
+
+  // Daily ledger: one rate per pair per day, used for "rate at date" lookups
+  await query(`
+    CREATE TABLE IF NOT EXISTS exchange_rate_daily (
+      id SERIAL PRIMARY KEY,
+      currency_pair VARCHAR(10) NOT NULL,
+      rate_date DATE NOT NULL,
+      rate NUMERIC(12,6) NOT NULL,
+      source VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (currency_pair, rate_date)
+    )
+  `);
+  // Holidays have no fixing; the previous day's rate is carried forward so the day is not fetched again
+  await query('ALTER TABLE exchange_rate_daily ADD COLUMN IF NOT EXISTS carried_forward BOOLEAN NOT NULL DEFAULT false');
+  // Manual overrides no longer go in the ledger; drop the ones that did so those days are refetched
+  await query(`DELETE FROM exchange_rate_daily WHERE source = 'manual'`);
+
   let added = 0;
 
   // Local Charges columns
@@ -208,6 +241,10 @@ export default async function addCostingColumns() {
   const productsColumn = "products JSONB DEFAULT '[]'::jsonb";
   if (await addColumn(productsColumn)) added++;
 
+  // Per-currency ROE for currencies other than USD/EUR (e.g. { "GBP": 23.4 })
+  const roeRatesColumn = "roe_rates JSONB DEFAULT '{}'::jsonb";
+  if (await addColumn(roeRatesColumn)) added++;
+
   // Airfreight columns
   const airfreightColumns = [
     "transport_mode VARCHAR(10) DEFAULT 'sea'",
@@ -0,0 +1,54 @@
+// Migration: dock appointment calendars, blackout periods and slot bookings on truck arrivals
+import pool from './connection.js';
+
+async function addDockAppointments() {
+  try {
+    // One calendar per warehouse (dock_id NULL) and optionally per dock,
+    // overriding the warehouse's for that dock
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS dock_calendars (
+        id SERIAL PRIMARY KEY,
+        warehouse VARCHAR(50) NOT NULL,
+        dock_id INTEGER REFERENCES docks(id) ON DELETE CASCADE,
+        slot_minutes INTEGER NOT NULL DEFAULT 60,
+        open_time TIME NOT NULL DEFAULT '07:00',
+        close_time TIME NOT NULL DEFAULT '17:00',
+        open_days INTEGER[] NOT NULL DEFAULT '{1,2,3,4,5}',
+        max_trucks_per_slot INTEGER NOT NULL DEFAULT 1,
+        utc_offset_minutes INTEGER NOT NULL DEFAULT 120,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_dock_calendars_scope ON dock_calendars(warehouse, COALESCE(dock_id, 0));`);
+
+    // Periods no trucks can be booked (public holidays, stocktakes, dock repairs)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS dock_blackouts (
+        id SERIAL PRIMARY KEY,
+        warehouse VARCHAR(50) NOT NULL,
+        dock_id INTEGER REFERENCES docks(id) ON DELETE CASCADE,
+        starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        reason VARCHAR(255),
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        CHECK (ends_at > starts_at)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_dock_blackouts_period ON dock_blackouts(warehouse, starts_at, ends_at);`);
+
+    // A booked truck arrives at the start of its slot (expected_arrival) and
+    // may be booked onto a specific dock
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS booked_dock_id INTEGER REFERENCES docks(id) ON DELETE SET NULL;`);
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS slot_end TIMESTAMP WITH TIME ZONE;`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_truck_arrivals_warehouse_expected ON truck_arrivals(warehouse, expected_arrival);`);
+
+    console.log('✓ Dock appointment tables ready');
+  } catch (error) {
+    console.error('Error adding dock appointments:', error.message);
+    throw error;
+  }
+}
+
+export default addDockAppointments;
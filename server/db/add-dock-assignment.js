@@ -0,0 +1,29 @@
+// Migration: dock capabilities, truck requirements and queue predictions for smart dock assignment
+import pool from './connection.js';
+
+async function addDockAssignment() {
+  try {
+    // What a dock can handle. Empty lists mean any vehicle type / unload method.
+    await pool.query(`ALTER TABLE docks ADD COLUMN IF NOT EXISTS is_reefer BOOLEAN DEFAULT false;`);
+    await pool.query(`ALTER TABLE docks ADD COLUMN IF NOT EXISTS vehicle_types TEXT[] DEFAULT '{}';`);
+    await pool.query(`ALTER TABLE docks ADD COLUMN IF NOT EXISTS unload_methods TEXT[] DEFAULT '{}';`);
+
+    // What a truck needs and how urgent it is
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS vehicle_type VARCHAR(20);`);
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS unload_method VARCHAR(20);`);
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS requires_reefer BOOLEAN DEFAULT false;`);
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS priority VARCHAR(10) DEFAULT 'normal';`);
+
+    // Predictions taken at check-in, compared with what happened in the dock metrics
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS predicted_unload_minutes INTEGER;`);
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS predicted_wait_minutes INTEGER;`);
+    await pool.query(`ALTER TABLE truck_arrivals ADD COLUMN IF NOT EXISTS dock_assigned_at TIMESTAMP WITH TIME ZONE;`);
+
+    console.log('✓ Dock assignment columns ready');
+  } catch (error) {
+    console.error('Error adding dock assignment columns:', error.message);
+    throw error;
+  }
+}
+
+export default addDockAssignment;
@@ -0,0 +1,128 @@
+// Migration: configurable number series for GRNs, estimate refs and IWT releases, with a register of issued numbers
+import pool from './connection.js';
+
+async function addDocumentNumbering() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_number_series (
+        doc_type VARCHAR(30) PRIMARY KEY,
+        prefix VARCHAR(10) NOT NULL DEFAULT '',
+        date_part VARCHAR(10) NOT NULL DEFAULT '',
+        per_warehouse BOOLEAN NOT NULL DEFAULT FALSE,
+        reset_period VARCHAR(10) NOT NULL DEFAULT 'never'
+          CHECK (reset_period IN ('daily', 'monthly', 'yearly', 'never')),
+        padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 8),
+        updated_by VARCHAR(255),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // GRN keeps the format generated before series were configurable
+    await pool.query(`
+      INSERT INTO document_number_series (doc_type, prefix, date_part, per_warehouse, reset_period, padding)
+      VALUES
+        ('GRN', 'GRN', 'YYYYMMDD', FALSE, 'daily', 3),
+        ('ESTIMATE', 'EST', 'YYYYMM', FALSE, 'monthly', 4),
+        ('RELEASE', 'REL', 'YYYY', TRUE, 'yearly', 4)
+      ON CONFLICT (doc_type) DO NOTHING;
+    `);
+
+    // Last sequence handed out per series, warehouse (when counted separately) and reset period
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_number_counters (
+        doc_type VARCHAR(30) NOT NULL,
+        series_key VARCHAR(20) NOT NULL DEFAULT '',
+        period_key VARCHAR(10) NOT NULL DEFAULT '',
+        last_value INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (doc_type, series_key, period_key)
+      );
+    `);
+
+    // Every number issued; voided numbers stay so they are never reused
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_numbers (
+        id SERIAL PRIMARY KEY,
+        doc_type VARCHAR(30) NOT NULL,
+        number VARCHAR(60) NOT NULL,
+        warehouse VARCHAR(100),
+        entity_type VARCHAR(50),
+        entity_id VARCHAR(255),
+        status VARCHAR(10) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'voided')),
+        issued_by VARCHAR(255),
+        issued_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        voided_by VARCHAR(255),
+        voided_at TIMESTAMP WITH TIME ZONE,
+        void_reason TEXT,
+        UNIQUE (doc_type, number)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_document_numbers_entity ON document_numbers(entity_type, entity_id);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_document_numbers_issued ON document_numbers(doc_type, issued_at DESC);`);
+
+    // Register GRNs generated before the register existed and carry their daily counts on
+    await pool.query(`
+      INSERT INTO document_numbers (doc_type, number, warehouse, entity_type, entity_id, issued_at)
+      SELECT 'GRN', grn_number, receiving_warehouse, 'shipment', id, COALESCE(updated_at, CURRENT_TIMESTAMP)
+      FROM shipments
+      WHERE grn_number IS NOT NULL
+      ON CONFLICT (doc_type, number) DO NOTHING;
+    `);
+    await pool.query(`
+      INSERT INTO document_number_counters (doc_type, series_key, period_key, last_value)
+      SELECT 'GRN', '', substring(grn_number from '^GRN-([0-9]{8})-'),
+             MAX(substring(grn_number from '^GRN-[0-9]{8}-([0-9]+)$')::int)
+      FROM shipments
+      WHERE grn_number ~ '^GRN-[0-9]{8}-[0-9]+$'
+      GROUP BY 2, 3
+      ON CONFLICT (doc_type, series_key, period_key) DO UPDATE
+        SET last_value = GREATEST(document_number_counters.last_value, EXCLUDED.last_value);
+    `);
+
+    // Estimate references and release numbers were typed in by hand until now;
+    // register them too, and start the counters after any that already match
+    // the default formats (EST-202603-0001, REL-KLM-2026-0001)
+    await pool.query(`
+      INSERT INTO document_numbers (doc_type, number, entity_type, entity_id, issued_at)
+      SELECT 'ESTIMATE', TRIM(reference_number), 'cost_estimate', id, COALESCE(created_at, CURRENT_TIMESTAMP)
+      FROM import_cost_estimates
+      WHERE TRIM(COALESCE(reference_number, '')) <> ''
+      ON CONFLICT (doc_type, number) DO NOTHING;
+    `);
+    await pool.query(`
+      INSERT INTO document_number_counters (doc_type, series_key, period_key, last_value)
+      SELECT 'ESTIMATE', '', substring(TRIM(reference_number) from '^EST-([0-9]{6})-'),
+             MAX(substring(TRIM(reference_number) from '^EST-[0-9]{6}-([0-9]+)$')::int)
+      FROM import_cost_estimates
+      WHERE TRIM(reference_number) ~ '^EST-[0-9]{6}-[0-9]+$'
+      GROUP BY 2, 3
+      ON CONFLICT (doc_type, series_key, period_key) DO UPDATE
+        SET last_value = GREATEST(document_number_counters.last_value, EXCLUDED.last_value);
+    `);
+    await pool.query(`
+      INSERT INTO document_numbers (doc_type, number, warehouse, entity_type, entity_id, issued_at)
+      SELECT 'RELEASE', TRIM(release_number), COALESCE(source_warehouse, receiving_warehouse), 'shipment', id,
+             COALESCE(created_at, CURRENT_TIMESTAMP)
+      FROM shipments
+      WHERE TRIM(COALESCE(release_number, '')) <> ''
+      ON CONFLICT (doc_type, number) DO NOTHING;
+    `);
+    await pool.query(`
+      INSERT INTO document_number_counters (doc_type, series_key, period_key, last_value)
+      SELECT 'RELEASE', substring(TRIM(release_number) from '^REL-([A-Z0-9]{1,3})-'),
+             substring(TRIM(release_number) from '^REL-[A-Z0-9]{1,3}-([0-9]{4})-'),
+             MAX(substring(TRIM(release_number) from '^REL-[A-Z0-9]{1,3}-[0-9]{4}-([0-9]+)$')::int)
+      FROM shipments
+      WHERE TRIM(release_number) ~ '^REL-[A-Z0-9]{1,3}-[0-9]{4}-[0-9]+$'
+      GROUP BY 2, 3
+      ON CONFLICT (doc_type, series_key, period_key) DO UPDATE
+        SET last_value = GREATEST(document_number_counters.last_value, EXCLUDED.last_value);
+    `);
+
+    console.log('✓ Document numbering tables ready');
+  } catch (error) {
+    console.error('Error adding document numbering tables:', error.message);
+    throw error;
+  }
+}
+
+export default addDocumentNumbering;
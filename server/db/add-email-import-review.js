@@ -0,0 +1,57 @@
+// Migration: review queue for shipment rows read from emailed schedules
+import pool from './connection.js';
+
+async function addEmailImportReview() {
+  try {
+    // One row per attachment read, with the email it came in on
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_imports (
+        id SERIAL PRIMARY KEY,
+        message_id VARCHAR(500),
+        email_from VARCHAR(500),
+        email_subject TEXT,
+        email_date TIMESTAMP WITH TIME ZONE,
+        attachment_name VARCHAR(500),
+        row_count INTEGER NOT NULL DEFAULT 0,
+        received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Each row as read (data), the shipment it matched by order ref and the
+    // changes it would make, held until a planner applies or rejects it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS shipment_import_rows (
+        id SERIAL PRIMARY KEY,
+        email_import_id INTEGER NOT NULL REFERENCES email_imports(id) ON DELETE CASCADE,
+        row_number INTEGER NOT NULL,
+        order_ref VARCHAR(255),
+        shipment_id VARCHAR(255) REFERENCES shipments(id) ON DELETE SET NULL,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'unchanged', 'invalid')),
+        data JSONB NOT NULL,
+        changes JSONB NOT NULL DEFAULT '[]',
+        errors JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'applied', 'rejected', 'superseded')),
+        reviewed_by VARCHAR(255),
+        reviewed_at TIMESTAMP WITH TIME ZONE,
+        review_notes TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_shipment_import_rows_status ON shipment_import_rows(status, order_ref);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_shipment_import_rows_email ON shipment_import_rows(email_import_id);`);
+
+    // The email a shipment was last created or updated from
+    await pool.query(`
+      ALTER TABLE shipments
+      ADD COLUMN IF NOT EXISTS source_email_import_id INTEGER REFERENCES email_imports(id) ON DELETE SET NULL;
+    `);
+
+    console.log('✓ Email import review tables ready');
+  } catch (error) {
+    console.error('Error adding email import review tables:', error.message);
+    throw error;
+  }
+}
+
+export default addEmailImportReview;
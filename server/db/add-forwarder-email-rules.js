@@ -0,0 +1,43 @@
+// Migration: per-forwarder rules for reading status updates from email text
+import pool from './connection.js';
+
+async function addForwarderEmailRules() {
+  try {
+    // A keyword rule sets value when its words appear; a regex rule reads
+    // its first capture group unless value is set
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS forwarder_email_rules (
+        id SERIAL PRIMARY KEY,
+        forwarder VARCHAR(255) NOT NULL,
+        sender_patterns TEXT[] NOT NULL DEFAULT '{}',
+        field VARCHAR(30) NOT NULL
+          CHECK (field IN ('orderRef', 'containerNumber', 'bolNumber', 'latestStatus', 'vesselName', 'etaDate')),
+        match_type VARCHAR(10) NOT NULL CHECK (match_type IN ('keyword', 'regex')),
+        pattern TEXT NOT NULL,
+        value VARCHAR(255),
+        search_in VARCHAR(10) NOT NULL DEFAULT 'both' CHECK (search_in IN ('both', 'subject', 'body')),
+        active BOOLEAN NOT NULL DEFAULT true,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Review rows read from an email's text rather than an attachment, and
+    // which reference matched them to their shipment
+    await pool.query(`
+      ALTER TABLE shipment_import_rows
+      ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'attachment'
+        CHECK (source IN ('attachment', 'email_body')),
+      ADD COLUMN IF NOT EXISTS matched_by VARCHAR(30);
+    `);
+
+    console.log('✓ Forwarder email rules table ready');
+  } catch (error) {
+    console.error('Error adding forwarder email rules table:', error.message);
+    throw error;
+  }
+}
+
+export default addForwarderEmailRules;
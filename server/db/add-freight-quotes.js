@@ -0,0 +1,113 @@
+// Migration: forwarders and freight quotes, replacing the fixed forwarder list
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from './connection.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const QUOTES_DIR = path.join(__dirname, '../uploads/quotes');
+
+// The forwarders the quotes page was built for
+const SEED_FORWARDERS = [
+  { code: 'dhl', name: 'DHL', brandColor: '#d40511' },
+  { code: 'dsv', name: 'DSV', brandColor: '#003d6b' },
+  { code: 'afrigistics', name: 'Afrigistics', brandColor: '#1a5f2f' },
+];
+
+async function listDir(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Quote files already on disk, one folder per forwarder code
+async function registerExistingFiles() {
+  let count = 0;
+  for (const folder of await listDir(QUOTES_DIR)) {
+    if (!folder.isDirectory()) continue;
+    const { rows: [forwarder] } = await pool.query(
+      `INSERT INTO forwarders (code, name) VALUES ($1, $2)
+       ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+       RETURNING id`,
+      [folder.name, folder.name.charAt(0).toUpperCase() + folder.name.slice(1)]
+    );
+    for (const file of await listDir(path.join(QUOTES_DIR, folder.name))) {
+      if (!file.isFile()) continue;
+      const stats = await fs.stat(path.join(QUOTES_DIR, folder.name, file.name));
+      const result = await pool.query(
+        `INSERT INTO freight_quotes (forwarder_id, filename, original_name, file_size, created_at)
+         VALUES ($1, $2, $2, $3, $4)
+         ON CONFLICT (forwarder_id, filename) DO NOTHING`,
+        [forwarder.id, file.name, stats.size, stats.mtime]
+      );
+      count += result.rowCount || 0;
+    }
+  }
+  if (count) console.log(`  ✓ Registered ${count} existing quote file(s)`);
+}
+
+async function addFreightQuotes() {
+  try {
+    // code names the storage folder under uploads/quotes and appears in URLs
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS forwarders (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(50) NOT NULL UNIQUE,
+        name VARCHAR(255) NOT NULL,
+        contact_email VARCHAR(255),
+        brand_color VARCHAR(20),
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    for (const f of SEED_FORWARDERS) {
+      await pool.query(
+        `INSERT INTO forwarders (code, name, brand_color) VALUES ($1, $2, $3) ON CONFLICT (code) DO NOTHING`,
+        [f.code, f.name, f.brandColor]
+      );
+    }
+
+    // One row per stored file. Lane, mode, validity and charges are read
+    // from the PDF where possible and can be corrected by hand.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS freight_quotes (
+        id SERIAL PRIMARY KEY,
+        forwarder_id INTEGER NOT NULL REFERENCES forwarders(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255),
+        file_size INTEGER,
+        origin VARCHAR(255),
+        destination VARCHAR(255),
+        mode VARCHAR(10) CHECK (mode IN ('sea', 'air', 'road')),
+        container_type VARCHAR(50),
+        valid_from DATE,
+        valid_until DATE,
+        currency VARCHAR(10),
+        total_amount NUMERIC(14, 2),
+        charges JSONB NOT NULL DEFAULT '[]',
+        confidence INTEGER,
+        analyzed_at TIMESTAMP WITH TIME ZONE,
+        notes TEXT,
+        uploaded_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (forwarder_id, filename)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_freight_quotes_lane ON freight_quotes(origin, destination);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_freight_quotes_valid_until ON freight_quotes(valid_until);`);
+
+    await registerExistingFiles();
+
+    console.log('✓ Forwarders and freight quotes tables ready');
+  } catch (error) {
+    console.error('Error adding freight quotes tables:', error.message);
+    throw error;
+  }
+}
+
+export default addFreightQuotes;
@@ -0,0 +1,70 @@
+// Migration: freight tenders (RFQs) and the forwarders invited to respond to them
+import pool from './connection.js';
+
+async function addFreightTenders() {
+  try {
+    // One RFQ per shipment tendered; the cost estimate is set when it is awarded
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS freight_tenders (
+        id SERIAL PRIMARY KEY,
+        tender_number VARCHAR(50) NOT NULL UNIQUE,
+        shipment_id VARCHAR(255) REFERENCES shipments(id) ON DELETE SET NULL,
+        cost_estimate_id VARCHAR(255),
+        origin VARCHAR(255) NOT NULL,
+        destination VARCHAR(255) NOT NULL,
+        mode VARCHAR(10) NOT NULL CHECK (mode IN ('sea', 'air')),
+        container_type VARCHAR(50),
+        cargo_description TEXT,
+        cbm NUMERIC(10,2),
+        weight_kg NUMERIC(12,2),
+        incoterm VARCHAR(10),
+        required_date DATE,
+        response_due DATE,
+        notes TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft'
+          CHECK (status IN ('draft', 'open', 'closed', 'awarded', 'cancelled')),
+        awarded_invitation_id INTEGER,
+        awarded_by VARCHAR(255),
+        awarded_at TIMESTAMP WITH TIME ZONE,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_freight_tenders_status ON freight_tenders(status);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_freight_tenders_shipment ON freight_tenders(shipment_id);`);
+
+    // A forwarder's invitation and, once they answer, their response. Only
+    // the hash of the link token is kept; a fresh link replaces the old one.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS freight_tender_invitations (
+        id SERIAL PRIMARY KEY,
+        tender_id INTEGER NOT NULL REFERENCES freight_tenders(id) ON DELETE CASCADE,
+        forwarder_id INTEGER NOT NULL REFERENCES forwarders(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        token_hash VARCHAR(64) NOT NULL UNIQUE,
+        invited_by VARCHAR(255),
+        invited_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        email_sent BOOLEAN NOT NULL DEFAULT false,
+        viewed_at TIMESTAMP WITH TIME ZONE,
+        responded_at TIMESTAMP WITH TIME ZONE,
+        contact_name VARCHAR(255),
+        currency VARCHAR(3),
+        freight_amount NUMERIC(14,2),
+        origin_charges NUMERIC(14,2),
+        transit_days INTEGER,
+        carrier VARCHAR(255),
+        valid_until DATE,
+        response_notes TEXT,
+        UNIQUE (tender_id, forwarder_id)
+      );
+    `);
+
+    console.log('✓ Freight tender tables ready');
+  } catch (error) {
+    console.error('Error adding freight tender tables:', error.message);
+    throw error;
+  }
+}
+
+export default addFreightTenders;
@@ -0,0 +1,64 @@
+// Migration: HS tariff catalogue, default HS codes per product and supplier, trade agreement on estimates
+import pool from './connection.js';
+
+// Seed product defaults from the latest HS code each product was costed with
+async function seedProductHsDefaults() {
+  const existing = await pool.query('SELECT 1 FROM product_hs_defaults LIMIT 1');
+  if (existing.rows.length > 0) return;
+
+  const result = await pool.query(`
+    INSERT INTO product_hs_defaults (product_name, hs_code, updated_by)
+    SELECT DISTINCT ON (LOWER(TRIM(p->>'name'))) TRIM(p->>'name'), regexp_replace(p->>'hs_code', '\\D', '', 'g'), 'migration'
+    FROM import_cost_estimates e, jsonb_array_elements(COALESCE(e.products, '[]'::jsonb)) p
+    WHERE COALESCE(e.direction, 'import') = 'import'
+      AND TRIM(COALESCE(p->>'name', '')) <> ''
+      AND length(regexp_replace(COALESCE(p->>'hs_code', ''), '\\D', '', 'g')) >= 4
+    ORDER BY LOWER(TRIM(p->>'name')), e.updated_at DESC
+    ON CONFLICT DO NOTHING
+  `);
+  if (result.rowCount > 0) console.log(`  ✓ Seeded ${result.rowCount} product HS code defaults`);
+}
+
+async function createHsTariffTables() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS hs_tariffs (
+        hs_code VARCHAR(12) PRIMARY KEY,
+        description TEXT,
+        statistical_unit VARCHAR(20),
+        duty_text VARCHAR(100),
+        duty_percent NUMERIC(7,3),
+        schedule1_percent NUMERIC(7,3),
+        vat_treatment VARCHAR(10) NOT NULL DEFAULT 'standard' CHECK (vat_treatment IN ('standard', 'exempt')),
+        preferential_rates JSONB NOT NULL DEFAULT '{}'::jsonb,
+        source VARCHAR(255) DEFAULT 'manual',
+        updated_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_hs_defaults (
+        id SERIAL PRIMARY KEY,
+        product_name VARCHAR(255) NOT NULL,
+        hs_code VARCHAR(12) NOT NULL,
+        updated_by VARCHAR(255),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_product_hs_defaults_name ON product_hs_defaults(LOWER(product_name));`);
+
+    await pool.query(`ALTER TABLE suppliers ADD COLUMN IF NOT EXISTS default_hs_code VARCHAR(12);`);
+    await pool.query(`ALTER TABLE import_cost_estimates ADD COLUMN IF NOT EXISTS trade_agreement VARCHAR(20);`);
+
+    await seedProductHsDefaults();
+
+    console.log('✓ HS tariff catalogue tables ready');
+  } catch (error) {
+    console.error('Error creating HS tariff tables:', error.message);
+    throw error;
+  }
+}
+
+export default createHsTariffTables;
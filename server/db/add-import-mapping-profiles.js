@@ -0,0 +1,41 @@
+// Migration: saved column-mapping profiles for spreadsheet imports
+import pool from './connection.js';
+
+async function addImportMappingProfiles() {
+  try {
+    // columns maps a normalised sheet header to a shipment field;
+    // value_translations maps, per field, a cell's wording to the value stored
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS import_mapping_profiles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        supplier_id TEXT REFERENCES suppliers(id) ON DELETE SET NULL,
+        sender_patterns TEXT[] NOT NULL DEFAULT '{}',
+        header_fingerprint TEXT,
+        columns JSONB NOT NULL DEFAULT '{}',
+        value_translations JSONB NOT NULL DEFAULT '{}',
+        date_format VARCHAR(10) NOT NULL DEFAULT 'auto'
+          CHECK (date_format IN ('auto', 'DMY', 'MDY', 'YMD')),
+        default_warehouse VARCHAR(50),
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_import_mapping_profiles_fingerprint ON import_mapping_profiles(header_fingerprint);`);
+
+    // The profile an emailed attachment was read with
+    await pool.query(`
+      ALTER TABLE email_imports
+      ADD COLUMN IF NOT EXISTS mapping_profile_id INTEGER REFERENCES import_mapping_profiles(id) ON DELETE SET NULL;
+    `);
+
+    console.log('✓ Import mapping profiles table ready');
+  } catch (error) {
+    console.error('Error adding import mapping profiles table:', error.message);
+    throw error;
+  }
+}
+
+export default addImportMappingProfiles;
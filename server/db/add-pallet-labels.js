@@ -0,0 +1,44 @@
+// Migration: pallet labels printed at receiving, and each warehouse's label template
+import pool from './connection.js';
+
+async function addPalletLabels() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS pallet_labels (
+        id SERIAL PRIMARY KEY,
+        shipment_id VARCHAR(255) NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+        pallet_no INTEGER NOT NULL,
+        pallet_count INTEGER NOT NULL,
+        label_code VARCHAR(60) NOT NULL UNIQUE,
+        grn_number VARCHAR(50) NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 0,
+        location_code VARCHAR(30),
+        batch_lot VARCHAR(100),
+        print_count INTEGER NOT NULL DEFAULT 0,
+        last_printed_at TIMESTAMP WITH TIME ZONE,
+        last_printed_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (shipment_id, pallet_no)
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS label_templates (
+        warehouse VARCHAR(100) PRIMARY KEY,
+        size VARCHAR(20) NOT NULL DEFAULT '100x150',
+        header_text VARCHAR(100),
+        fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+        updated_by VARCHAR(255),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    console.log('✓ Pallet label tables ready');
+  } catch (error) {
+    console.error('Error adding pallet label tables:', error.message);
+    throw error;
+  }
+}
+
+export default addPalletLabels;
@@ -0,0 +1,90 @@
+// Migration: Per-product landed cost per kg/unit, allocated from import cost estimates
+import pool from './connection.js';
+import { calculateProductLandedCosts } from '../../src/utils/costingCalculations.js';
+
+// Columns written for every product row (after estimate_id)
+const ROW_COLUMNS = [
+  'product_name', 'hs_code', 'pack_size', 'pack_type', 'currency', 'weight_kg', 'units',
+  'customs_value_zar', 'duties_zar', 'allocated_shipping_zar', 'total_landed_zar',
+  'landed_cost_per_kg_zar', 'landed_cost_per_unit_zar',
+];
+
+// Backfill from existing import estimates the first time the table is created
+async function backfillProductLandedCosts() {
+  const existing = await pool.query('SELECT 1 FROM product_landed_costs LIMIT 1');
+  if (existing.rows.length > 0) return;
+
+  const estimates = await pool.query(`
+    SELECT * FROM import_cost_estimates
+    WHERE COALESCE(direction, 'import') = 'import' AND COALESCE(status, 'draft') <> 'archived'
+  `);
+
+  let count = 0;
+  for (const estimate of estimates.rows) {
+    let rows;
+    try {
+      rows = calculateProductLandedCosts(estimate);
+    } catch (error) {
+      console.warn(`  ⚠ Skipped landed costs for estimate ${estimate.id}: ${error.message}`);
+      continue;
+    }
+    for (const row of rows) {
+      await pool.query(
+        `INSERT INTO product_landed_costs (
+          estimate_id, shipment_id, supplier_id, supplier_name, transport_mode, inco_terms, costing_date,
+          ${ROW_COLUMNS.join(', ')}
+        ) VALUES (${Array.from({ length: 7 + ROW_COLUMNS.length }, (_, i) => `$${i + 1}`).join(', ')})`,
+        [
+          estimate.id, estimate.shipment_id, estimate.supplier_id, estimate.supplier_name,
+          estimate.transport_mode || 'sea', estimate.inco_terms, estimate.costing_date,
+          ...ROW_COLUMNS.map(column => row[column]),
+        ]
+      );
+      count++;
+    }
+  }
+  if (count > 0) console.log(`  ✓ Backfilled ${count} product landed cost rows`);
+}
+
+async function createProductLandedCostsTable() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_landed_costs (
+        id SERIAL PRIMARY KEY,
+        estimate_id VARCHAR(255) NOT NULL REFERENCES import_cost_estimates(id) ON DELETE CASCADE,
+        shipment_id VARCHAR(255),
+        supplier_id VARCHAR(255),
+        supplier_name VARCHAR(255),
+        transport_mode VARCHAR(10) DEFAULT 'sea',
+        inco_terms VARCHAR(10),
+        costing_date DATE,
+        product_name VARCHAR(255) NOT NULL,
+        hs_code VARCHAR(20),
+        pack_size VARCHAR(50),
+        pack_type VARCHAR(50),
+        currency VARCHAR(3),
+        weight_kg NUMERIC(14,3) NOT NULL,
+        units NUMERIC(14,3),
+        customs_value_zar NUMERIC(14,2),
+        duties_zar NUMERIC(14,2),
+        allocated_shipping_zar NUMERIC(14,2),
+        total_landed_zar NUMERIC(14,2) NOT NULL,
+        landed_cost_per_kg_zar NUMERIC(14,4),
+        landed_cost_per_unit_zar NUMERIC(14,4),
+        calculated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_product_landed_costs_estimate ON product_landed_costs(estimate_id);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_product_landed_costs_product ON product_landed_costs(LOWER(product_name), costing_date);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_product_landed_costs_supplier ON product_landed_costs(supplier_name, costing_date);`);
+
+    await backfillProductLandedCosts();
+
+    console.log('✓ Product landed costs table ready');
+  } catch (error) {
+    console.error('Error creating product landed costs table:', error.message);
+    throw error;
+  }
+}
+
+export default createProductLandedCostsTable;
@@ -0,0 +1,170 @@
+// Migration: Versioned costing rate tables (ocean freight, last mile, option lists)
+import pool from './connection.js';
+import {
+  OCEAN_FREIGHT_RATES,
+  LAST_MILE_RATES,
+  CONTAINER_TYPES,
+  CONTAINER_RATE_KEY,
+  SHIPPING_LINES,
+  PORTS_OF_LOADING,
+  AFRICAN_PORTS,
+} from '../../src/utils/costingCalculations.js';
+
+// Seeded rates are the hard-coded January 2026 sheet, effective for all past estimates
+const SEED_EFFECTIVE_FROM = '2000-01-01';
+
+async function isEmpty(table) {
+  const result = await pool.query(`SELECT 1 FROM ${table} LIMIT 1`);
+  return result.rows.length === 0;
+}
+
+async function seedOceanFreightRates() {
+  if (!(await isEmpty('ocean_freight_rates'))) return;
+  let count = 0;
+  for (const [port, lines] of Object.entries(OCEAN_FREIGHT_RATES)) {
+    for (const [line, sizes] of Object.entries(lines)) {
+      for (const [size, rate] of Object.entries(sizes)) {
+        await pool.query(
+          `INSERT INTO ocean_freight_rates (port_of_loading, shipping_line, container_size, rate_usd, effective_from, source)
+           VALUES ($1, $2, $3, $4, $5, 'seed')`,
+          [port, line, size, rate, SEED_EFFECTIVE_FROM]
+        );
+        count++;
+      }
+    }
+  }
+  console.log(`  ✓ Seeded ${count} ocean freight rates`);
+}
+
+async function seedLastMileRates() {
+  if (!(await isEmpty('last_mile_rates'))) return;
+  let count = 0;
+  for (const [serviceType, routes] of Object.entries(LAST_MILE_RATES)) {
+    for (const [index, route] of routes.entries()) {
+      await pool.query(
+        `INSERT INTO last_mile_rates (service_type, route_key, label, minimum_zar, rate_per_kg, rate_900, rate_3000, is_flat, sort_order, effective_from, source)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'seed')`,
+        [
+          serviceType, route.value, route.label, route.minimum, route.rate,
+          route.rate900 ?? null, route.rate3000 ?? null, !!route.flat, index, SEED_EFFECTIVE_FROM,
+        ]
+      );
+      count++;
+    }
+  }
+  console.log(`  ✓ Seeded ${count} last mile rates`);
+}
+
+async function seedCostingOptions() {
+  if (!(await isEmpty('costing_options'))) return;
+  const lists = {
+    container_type: CONTAINER_TYPES,
+    shipping_line: SHIPPING_LINES,
+    port_of_loading: PORTS_OF_LOADING,
+    port_of_discharge: AFRICAN_PORTS,
+  };
+  let count = 0;
+  for (const [optionType, options] of Object.entries(lists)) {
+    for (const [index, option] of options.entries()) {
+      await pool.query(
+        `INSERT INTO costing_options (option_type, value, label, rate_key, sort_order, effective_from)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [optionType, option.value, option.label, CONTAINER_RATE_KEY[option.value] || null, index, SEED_EFFECTIVE_FROM]
+      );
+      count++;
+    }
+  }
+  console.log(`  ✓ Seeded ${count} costing options`);
+}
+
+async function createRateTables() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS ocean_freight_rates (
+        id SERIAL PRIMARY KEY,
+        port_of_loading VARCHAR(100) NOT NULL,
+        port_of_discharge VARCHAR(50),
+        shipping_line VARCHAR(100) NOT NULL,
+        container_size VARCHAR(10) NOT NULL CHECK (container_size IN ('20GP', '40GP', '40HC')),
+        rate_usd NUMERIC(12,2) NOT NULL,
+        effective_from DATE NOT NULL,
+        effective_to DATE,
+        source VARCHAR(50) DEFAULT 'manual',
+        notes TEXT,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS last_mile_rates (
+        id SERIAL PRIMARY KEY,
+        service_type VARCHAR(50) NOT NULL,
+        route_key VARCHAR(100) NOT NULL,
+        label VARCHAR(255) NOT NULL,
+        minimum_zar NUMERIC(12,2) DEFAULT 0,
+        rate_per_kg NUMERIC(12,4) DEFAULT 0,
+        rate_900 NUMERIC(12,4),
+        rate_3000 NUMERIC(12,4),
+        is_flat BOOLEAN DEFAULT false,
+        sort_order INTEGER DEFAULT 0,
+        effective_from DATE NOT NULL,
+        effective_to DATE,
+        source VARCHAR(50) DEFAULT 'manual',
+        notes TEXT,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS costing_options (
+        id SERIAL PRIMARY KEY,
+        option_type VARCHAR(30) NOT NULL CHECK (option_type IN ('container_type', 'shipping_line', 'port_of_loading', 'port_of_discharge')),
+        value VARCHAR(100) NOT NULL,
+        label VARCHAR(255),
+        rate_key VARCHAR(10),
+        sort_order INTEGER DEFAULT 0,
+        effective_from DATE NOT NULL,
+        effective_to DATE,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // One version per key and start date; older duplicates from re-imported
+    // sheets give way to the most recent one before the unique indexes (which
+    // replace the plain key indexes) go on
+    const versionKeys = {
+      ocean_freight_rates: ['port_of_loading', 'shipping_line', 'container_size'],
+      last_mile_rates: ['service_type', 'route_key'],
+      costing_options: ['option_type', 'value'],
+    };
+    for (const [table, keys] of Object.entries(versionKeys)) {
+      const columns = [...keys, 'effective_from'];
+      await pool.query(`
+        DELETE FROM ${table} older USING ${table} newer
+        WHERE ${columns.map(column => `older.${column} = newer.${column}`).join(' AND ')}
+          AND older.id < newer.id;
+      `);
+      await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS uq_${table}_version ON ${table}(${columns.join(', ')});`);
+    }
+    await pool.query(`DROP INDEX IF EXISTS idx_ocean_freight_rates_key;`);
+    await pool.query(`DROP INDEX IF EXISTS idx_last_mile_rates_key;`);
+    await pool.query(`DROP INDEX IF EXISTS idx_costing_options_type;`);
+
+    await seedOceanFreightRates();
+    await seedLastMileRates();
+    await seedCostingOptions();
+
+    console.log('✓ Rate tables migration complete');
+  } catch (error) {
+    console.error('Error creating rate tables:', error.message);
+    throw error;
+  }
+}
+
+export default createRateTables;
@@ -0,0 +1,42 @@
+// Migration: per-shipment event history (status, ETA, documents, docks, inspections)
+import pool from './connection.js';
+
+async function addShipmentEvents() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS shipment_events (
+        id SERIAL PRIMARY KEY,
+        shipment_id VARCHAR(255) NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        from_value TEXT,
+        to_value TEXT,
+        details JSONB,
+        actor VARCHAR(255),
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_shipment_events_shipment ON shipment_events(shipment_id, created_at);`);
+
+    // Shipments from before the history existed start with their creation and
+    // their current status (as of their last update), marked as backfilled
+    const { rowCount } = await pool.query(`
+      INSERT INTO shipment_events (shipment_id, event_type, to_value, details, created_at)
+      SELECT s.id, e.event_type, e.to_value, '{"backfilled": true}'::jsonb, e.created_at
+      FROM shipments s
+      CROSS JOIN LATERAL (VALUES
+        ('created', NULL, COALESCE(s.created_at, s.updated_at, CURRENT_TIMESTAMP)),
+        ('status_changed', s.latest_status, COALESCE(s.updated_at, s.created_at, CURRENT_TIMESTAMP))
+      ) AS e(event_type, to_value, created_at)
+      WHERE NOT EXISTS (SELECT 1 FROM shipment_events se WHERE se.shipment_id = s.id)
+        AND (e.event_type = 'created' OR s.latest_status IS NOT NULL)
+    `);
+    if (rowCount) console.log(`✓ Backfilled ${rowCount} shipment events`);
+
+    console.log('✓ Shipment events table ready');
+  } catch (error) {
+    console.error('Error adding shipment events:', error.message);
+    throw error;
+  }
+}
+
+export default addShipmentEvents;
@@ -0,0 +1,63 @@
+// Migration: receipts per delivery against a shipment, and backorders for what the supplier still owes
+import pool from './connection.js';
+
+async function addShipmentReceipts() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS shipment_receipts (
+        id SERIAL PRIMARY KEY,
+        shipment_id VARCHAR(255) NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+        receipt_no INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity >= 0),
+        pallets INTEGER CHECK (pallets >= 0),
+        condition VARCHAR(20) NOT NULL DEFAULT 'good'
+          CHECK (condition IN ('good', 'partly_damaged', 'damaged')),
+        reason_codes JSONB NOT NULL DEFAULT '[]'::jsonb,
+        notes TEXT,
+        received_by VARCHAR(255),
+        received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (shipment_id, receipt_no)
+      );
+    `);
+
+    // One per shipment: the short quantity, drawn down by later deliveries
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS supplier_backorders (
+        id SERIAL PRIMARY KEY,
+        shipment_id VARCHAR(255) NOT NULL UNIQUE REFERENCES shipments(id) ON DELETE CASCADE,
+        supplier_id TEXT REFERENCES suppliers(id) ON DELETE SET NULL,
+        supplier VARCHAR(255),
+        ordered_quantity INTEGER NOT NULL,
+        received_quantity INTEGER NOT NULL DEFAULT 0,
+        outstanding_quantity INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'fulfilled', 'written_off')),
+        reason_codes JSONB NOT NULL DEFAULT '[]'::jsonb,
+        notes TEXT,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        closed_by VARCHAR(255),
+        closed_at TIMESTAMP WITH TIME ZONE
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_supplier_backorders_status ON supplier_backorders(status, supplier_id);`);
+
+    // Shipments received before receipts were kept count as one delivery
+    await pool.query(`
+      INSERT INTO shipment_receipts (shipment_id, receipt_no, quantity, pallets, received_by, received_at, notes)
+      SELECT id, 1, ROUND(received_quantity)::int, ROUND(pallet_qty)::int, received_by,
+             COALESCE(receiving_date, updated_at, CURRENT_TIMESTAMP), NULLIF(discrepancies, '')
+      FROM shipments s
+      WHERE received_quantity IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM shipment_receipts r WHERE r.shipment_id = s.id);
+    `);
+
+    console.log('✓ Shipment receipt and backorder tables ready');
+  } catch (error) {
+    console.error('Error adding shipment receipt tables:', error.message);
+    throw error;
+  }
+}
+
+export default addShipmentReceipts;
@@ -0,0 +1,34 @@
+// Migration: row version on shipments for optimistic concurrency (ETag / If-Match on updates)
+import pool from './connection.js';
+
+async function addShipmentVersion() {
+  try {
+    await pool.query(`ALTER TABLE shipments ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;`);
+
+    // Bump the version on every real change, including writes that bypass the
+    // repository (docks, receiving, bulk imports), so stale edits are always caught
+    await pool.query(`
+      CREATE OR REPLACE FUNCTION shipments_bump_version() RETURNS trigger AS $$
+      BEGIN
+        NEW.version := OLD.version + 1;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+    await pool.query(`DROP TRIGGER IF EXISTS trg_shipments_version ON shipments`);
+    await pool.query(`
+      CREATE TRIGGER trg_shipments_version
+        BEFORE UPDATE ON shipments
+        FOR EACH ROW
+        WHEN (OLD.* IS DISTINCT FROM NEW.*)
+        EXECUTE FUNCTION shipments_bump_version()
+    `);
+
+    console.log('✓ Shipment version column ready');
+  } catch (error) {
+    console.error('Error adding shipment version:', error.message);
+    throw error;
+  }
+}
+
+export default addShipmentVersion;
@@ -0,0 +1,43 @@
+// Migration: warehouse storage locations (zone → aisle → bin) and the pallets put away to them
+import pool from './connection.js';
+
+async function addStorageLocations() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS storage_locations (
+        id SERIAL PRIMARY KEY,
+        warehouse VARCHAR(100) NOT NULL,
+        zone VARCHAR(10) NOT NULL,
+        aisle INTEGER NOT NULL,
+        bin INTEGER NOT NULL,
+        code VARCHAR(30) NOT NULL,
+        capacity_pallets INTEGER NOT NULL DEFAULT 1 CHECK (capacity_pallets > 0),
+        notes TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (warehouse, code)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_storage_locations_warehouse ON storage_locations(warehouse, zone, aisle, bin);`);
+
+    // How many of a shipment's pallets sit in each bin; bins used is derived from these
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS stock_placements (
+        id SERIAL PRIMARY KEY,
+        shipment_id VARCHAR(255) NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+        location_id INTEGER NOT NULL REFERENCES storage_locations(id) ON DELETE RESTRICT,
+        pallets INTEGER NOT NULL CHECK (pallets > 0),
+        placed_by VARCHAR(255),
+        placed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (shipment_id, location_id)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_stock_placements_location ON stock_placements(location_id);`);
+
+    console.log('✓ Storage location tables ready');
+  } catch (error) {
+    console.error('Error adding storage location tables:', error.message);
+    throw error;
+  }
+}
+
+export default addStorageLocations;
@@ -0,0 +1,68 @@
+// Migration: claims against suppliers for failed inspections, rejections and receiving discrepancies
+import pool from './connection.js';
+
+async function addSupplierClaims() {
+  try {
+    // Order ref, supplier and product are copied in so a claim outlives its shipment
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS supplier_claims (
+        id SERIAL PRIMARY KEY,
+        claim_number VARCHAR(50) NOT NULL UNIQUE,
+        shipment_id VARCHAR(255) REFERENCES shipments(id) ON DELETE SET NULL,
+        backorder_id INTEGER REFERENCES supplier_backorders(id) ON DELETE SET NULL,
+        cost_estimate_id VARCHAR(255),
+        supplier_id TEXT REFERENCES suppliers(id) ON DELETE SET NULL,
+        supplier VARCHAR(255),
+        order_ref VARCHAR(255),
+        product_name VARCHAR(255),
+        source VARCHAR(20) NOT NULL CHECK (source IN ('inspection', 'receiving', 'rejection')),
+        description TEXT NOT NULL,
+        affected_quantity INTEGER NOT NULL DEFAULT 0 CHECK (affected_quantity >= 0),
+        unit_cost NUMERIC(14,4),
+        claim_value NUMERIC(14,2),
+        status VARCHAR(20) NOT NULL DEFAULT 'open'
+          CHECK (status IN ('open', 'acknowledged', 'disputed', 'resolved', 'closed', 'cancelled')),
+        supplier_response TEXT,
+        responded_by VARCHAR(255),
+        responded_at TIMESTAMP WITH TIME ZONE,
+        resolution_type VARCHAR(20) CHECK (resolution_type IN ('credit_note', 'replacement', 'return')),
+        resolution_reference VARCHAR(255),
+        resolution_value NUMERIC(14,2),
+        resolution_notes TEXT,
+        resolved_by VARCHAR(255),
+        resolved_at TIMESTAMP WITH TIME ZONE,
+        closed_by VARCHAR(255),
+        closed_at TIMESTAMP WITH TIME ZONE,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_supplier_claims_status ON supplier_claims(status, supplier_id);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_supplier_claims_shipment ON supplier_claims(shipment_id);`);
+
+    // Photos and documents backing a claim, from our side or the supplier's
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS supplier_claim_documents (
+        id SERIAL PRIMARY KEY,
+        claim_id INTEGER NOT NULL REFERENCES supplier_claims(id) ON DELETE CASCADE,
+        file_name VARCHAR(255) NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size INTEGER,
+        mime_type VARCHAR(100),
+        description TEXT,
+        uploaded_by VARCHAR(255),
+        from_supplier BOOLEAN NOT NULL DEFAULT FALSE,
+        uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_supplier_claim_documents_claim ON supplier_claim_documents(claim_id);`);
+
+    console.log('✓ Supplier claim tables ready');
+  } catch (error) {
+    console.error('Error adding supplier claim tables:', error.message);
+    throw error;
+  }
+}
+
+export default addSupplierClaims;
@@ -0,0 +1,78 @@
+// Migration: yard slots, containers/trailers dropped in the yard and shipping-line free days
+import pool from './connection.js';
+
+async function addYardManagement() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS yard_slots (
+        id SERIAL PRIMARY KEY,
+        warehouse VARCHAR(100) NOT NULL,
+        code VARCHAR(20) NOT NULL,
+        row_label VARCHAR(10) NOT NULL,
+        position INTEGER NOT NULL,
+        notes TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (warehouse, code)
+      );
+    `);
+
+    // Free days per shipping line; lines not listed get the defaults in src/utils/yardManagement.js
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS shipping_line_free_days (
+        id SERIAL PRIMARY KEY,
+        shipping_line VARCHAR(100) NOT NULL UNIQUE,
+        demurrage_free_days INTEGER NOT NULL,
+        detention_free_days INTEGER NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // A container or trailer from when it is expected at the port until it is gated out
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS yard_containers (
+        id SERIAL PRIMARY KEY,
+        warehouse VARCHAR(100) NOT NULL,
+        equipment_type VARCHAR(20) NOT NULL DEFAULT 'container',
+        container_number VARCHAR(20),
+        trailer_number VARCHAR(50),
+        seal_number VARCHAR(50),
+        shipping_line VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'expected',
+        yard_slot_id INTEGER REFERENCES yard_slots(id) ON DELETE SET NULL,
+        truck_id INTEGER REFERENCES truck_arrivals(id) ON DELETE SET NULL,
+        discharged_at TIMESTAMP WITH TIME ZONE,
+        gate_in_at TIMESTAMP WITH TIME ZONE,
+        emptied_at TIMESTAMP WITH TIME ZONE,
+        gate_out_at TIMESTAMP WITH TIME ZONE,
+        demurrage_alerted_at TIMESTAMP WITH TIME ZONE,
+        detention_alerted_at TIMESTAMP WITH TIME ZONE,
+        notes TEXT,
+        created_by VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS idx_yard_containers_warehouse ON yard_containers(warehouse, status);`);
+    // One container per slot while it is in the yard
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_yard_containers_slot
+      ON yard_containers(yard_slot_id) WHERE status = 'in_yard' AND yard_slot_id IS NOT NULL;
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS yard_container_shipments (
+        container_id INTEGER NOT NULL REFERENCES yard_containers(id) ON DELETE CASCADE,
+        shipment_id VARCHAR(255) NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (container_id, shipment_id)
+      );
+    `);
+
+    console.log('✓ Yard management tables ready');
+  } catch (error) {
+    console.error('Error adding yard management tables:', error.message);
+    throw error;
+  }
+}
+
+export default addYardManagement;
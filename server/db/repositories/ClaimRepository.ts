@@ -0,0 +1,334 @@
+/**
+ * Claim Repository
+ * Handles database operations for supplier claims and the photos and
+ * documents attached to them
+ */
+
+import { queryAll, queryOne } from '../connection.js';
+
+export interface SupplierClaim {
+  id: number;
+  claim_number: string;
+  shipment_id: string | null;
+  backorder_id: number | null;
+  cost_estimate_id: string | null;
+  supplier_id: string | null;
+  supplier: string | null;
+  order_ref: string | null;
+  product_name: string | null;
+  source: 'inspection' | 'receiving' | 'rejection';
+  description: string;
+  affected_quantity: number;
+  unit_cost: number | null;
+  claim_value: number | null;
+  status: 'open' | 'acknowledged' | 'disputed' | 'resolved' | 'closed' | 'cancelled';
+  supplier_response: string | null;
+  responded_by: string | null;
+  responded_at: Date | null;
+  resolution_type: 'credit_note' | 'replacement' | 'return' | null;
+  resolution_reference: string | null;
+  resolution_value: number | null;
+  resolution_notes: string | null;
+  resolved_by: string | null;
+  resolved_at: Date | null;
+  closed_by: string | null;
+  closed_at: Date | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+  document_count?: number;
+}
+
+export interface ClaimDocument {
+  id: number;
+  claim_id: number;
+  file_name: string;
+  file_path: string;
+  file_size: number | null;
+  mime_type: string | null;
+  description: string | null;
+  uploaded_by: string | null;
+  from_supplier: boolean;
+  uploaded_at: Date;
+}
+
+export interface ClaimFilter {
+  status?: string;
+  supplierId?: string;
+  shipmentId?: string;
+  source?: string;
+}
+
+export interface SupplierClaimSummary {
+  supplier_id: string | null;
+  supplier: string;
+  claim_count: number;
+  active_count: number;
+  claim_value: number;
+  recovered_value: number;
+}
+
+/**
+ * Shipment that failed inspection, was rejected or has an open backorder,
+ * with no claim raised against it yet
+ */
+export interface ClaimCandidate {
+  shipment_id: string;
+  order_ref: string;
+  supplier: string | null;
+  product_name: string | null;
+  latest_status: string;
+  quantity: number | null;
+  received_quantity: number | null;
+  // What went wrong, to start the claim description from
+  inspection_notes: string | null;
+  rejection_reason: string | null;
+  discrepancies: string | null;
+  backorder_id: number | null;
+  outstanding_quantity: number | null;
+  source: 'inspection' | 'receiving' | 'rejection';
+  updated_at: Date;
+}
+
+// Columns a claim's fields map to on insert and update
+const CLAIM_FIELDS: Record<string, string> = {
+  description: 'description',
+  affectedQuantity: 'affected_quantity',
+  unitCost: 'unit_cost',
+  claimValue: 'claim_value',
+  costEstimateId: 'cost_estimate_id',
+  status: 'status',
+  supplierResponse: 'supplier_response',
+  respondedBy: 'responded_by',
+  respondedAt: 'responded_at',
+  resolutionType: 'resolution_type',
+  resolutionReference: 'resolution_reference',
+  resolutionValue: 'resolution_value',
+  resolutionNotes: 'resolution_notes',
+  resolvedBy: 'resolved_by',
+  resolvedAt: 'resolved_at',
+  closedBy: 'closed_by',
+  closedAt: 'closed_at',
+};
+
+const CLAIM_SELECT = `
+  SELECT c.*, (SELECT COUNT(*)::int FROM supplier_claim_documents d WHERE d.claim_id = c.id) AS document_count
+  FROM supplier_claims c`;
+
+class ClaimRepository {
+  // ─── Claims ───
+
+  async findAll(filter: ClaimFilter = {}): Promise<SupplierClaim[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    if (filter.status) {
+      params.push(filter.status);
+      conditions.push(`c.status = $${params.length}`);
+    }
+    if (filter.supplierId) {
+      params.push(filter.supplierId);
+      conditions.push(`c.supplier_id = $${params.length}`);
+    }
+    if (filter.shipmentId) {
+      params.push(filter.shipmentId);
+      conditions.push(`c.shipment_id = $${params.length}`);
+    }
+    if (filter.source) {
+      params.push(filter.source);
+      conditions.push(`c.source = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return queryAll<SupplierClaim>(`${CLAIM_SELECT} ${where} ORDER BY c.created_at DESC`, params);
+  }
+
+  async findById(id: number): Promise<SupplierClaim | null> {
+    return queryOne<SupplierClaim>(`${CLAIM_SELECT} WHERE c.id = $1`, [id]);
+  }
+
+  /**
+   * Claims raised against a supplier, for the supplier portal. Cancelled
+   * claims were withdrawn before the supplier needed to act, so are left out.
+   */
+  async findBySupplier(supplierId: string): Promise<SupplierClaim[]> {
+    return queryAll<SupplierClaim>(
+      `${CLAIM_SELECT} WHERE c.supplier_id = $1 AND c.status <> 'cancelled' ORDER BY c.created_at DESC`,
+      [supplierId]
+    );
+  }
+
+  /**
+   * Raise a claim, linked to the shipment's supplier record (or the supplier
+   * of that name when the shipment has none)
+   */
+  async create(data: {
+    claimNumber: string;
+    shipmentId: string;
+    backorderId?: number | null;
+    costEstimateId?: string | null;
+    supplier?: string | null;
+    orderRef?: string | null;
+    productName?: string | null;
+    source: string;
+    description: string;
+    affectedQuantity: number;
+    unitCost?: number | null;
+    claimValue?: number | null;
+    createdBy?: string | null;
+  }): Promise<SupplierClaim> {
+    const row = await queryOne<SupplierClaim>(
+      `INSERT INTO supplier_claims (
+         claim_number, shipment_id, backorder_id, cost_estimate_id, supplier_id, supplier, order_ref, product_name,
+         source, description, affected_quantity, unit_cost, claim_value, created_by
+       ) VALUES (
+         $1, $2, $3, $4,
+         COALESCE(
+           (SELECT supplier_id FROM shipments WHERE id = $2),
+           (SELECT id FROM suppliers WHERE LOWER(TRIM(name)) = LOWER(TRIM($5)) LIMIT 1)
+         ),
+         $5, $6, $7, $8, $9, $10, $11, $12, $13
+       )
+       RETURNING *`,
+      [
+        data.claimNumber,
+        data.shipmentId,
+        data.backorderId ?? null,
+        data.costEstimateId || null,
+        data.supplier || null,
+        data.orderRef || null,
+        data.productName || null,
+        data.source,
+        data.description,
+        data.affectedQuantity,
+        data.unitCost ?? null,
+        data.claimValue ?? null,
+        data.createdBy || null,
+      ]
+    );
+    return row!;
+  }
+
+  /**
+   * Update a claim's fields. With fromStatus the update only applies while
+   * the claim is still in that status, so two people acting on the same
+   * claim can't both move it on.
+   */
+  async update(id: number, changes: Record<string, any>, fromStatus?: string): Promise<SupplierClaim | null> {
+    const sets: string[] = [];
+    const params: any[] = [id];
+    Object.entries(changes).forEach(([field, value]) => {
+      const column = CLAIM_FIELDS[field];
+      if (!column || value === undefined) return;
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    });
+    if (!sets.length) return this.findById(id);
+
+    let where = 'id = $1';
+    if (fromStatus) {
+      params.push(fromStatus);
+      where += ` AND status = $${params.length}`;
+    }
+    const row = await queryOne<SupplierClaim>(
+      `UPDATE supplier_claims SET ${sets.join(', ')}, updated_at = NOW() WHERE ${where} RETURNING id`,
+      params
+    );
+    return row ? this.findById(id) : null;
+  }
+
+  /**
+   * Claim count, value and what was recovered per supplier. Cancelled claims
+   * don't count; recovered is the resolution value of resolved and closed ones.
+   */
+  async summaryBySupplier(): Promise<SupplierClaimSummary[]> {
+    return queryAll<SupplierClaimSummary>(
+      `SELECT
+         c.supplier_id,
+         COALESCE(MAX(s.name), MAX(c.supplier), 'Unknown') AS supplier,
+         COUNT(*)::int AS claim_count,
+         COUNT(*) FILTER (WHERE c.status IN ('open', 'acknowledged', 'disputed'))::int AS active_count,
+         COALESCE(SUM(c.claim_value), 0)::float AS claim_value,
+         COALESCE(SUM(c.resolution_value) FILTER (WHERE c.status IN ('resolved', 'closed')), 0)::float AS recovered_value
+       FROM supplier_claims c
+       LEFT JOIN suppliers s ON s.id = c.supplier_id
+       WHERE c.status <> 'cancelled'
+       GROUP BY c.supplier_id, CASE WHEN c.supplier_id IS NULL THEN LOWER(TRIM(c.supplier)) END
+       ORDER BY claim_count DESC`
+    );
+  }
+
+  /**
+   * Shipments a claim could be raised for: failed inspection, rejected
+   * (it has a rejection date), or received short with the backorder still open
+   */
+  async findCandidates(): Promise<ClaimCandidate[]> {
+    return queryAll<ClaimCandidate>(
+      `SELECT
+         s.id AS shipment_id, s.order_ref, s.supplier, s.product_name, s.latest_status,
+         s.quantity, s.received_quantity, s.inspection_notes, s.rejection_reason, s.discrepancies,
+         b.id AS backorder_id, b.outstanding_quantity,
+         CASE
+           WHEN s.rejection_date IS NOT NULL THEN 'rejection'
+           WHEN s.latest_status = 'inspection_failed' THEN 'inspection'
+           ELSE 'receiving'
+         END AS source,
+         s.updated_at
+       FROM shipments s
+       LEFT JOIN supplier_backorders b ON b.shipment_id = s.id AND b.status = 'open'
+       WHERE (s.latest_status = 'inspection_failed' OR s.rejection_date IS NOT NULL OR b.id IS NOT NULL)
+         AND NOT EXISTS (
+           SELECT 1 FROM supplier_claims c WHERE c.shipment_id = s.id AND c.status <> 'cancelled'
+         )
+       ORDER BY s.updated_at DESC`
+    );
+  }
+
+  // ─── Documents ───
+
+  async findDocuments(claimId: number): Promise<ClaimDocument[]> {
+    return queryAll<ClaimDocument>(
+      'SELECT * FROM supplier_claim_documents WHERE claim_id = $1 ORDER BY uploaded_at',
+      [claimId]
+    );
+  }
+
+  async findDocument(claimId: number, documentId: number): Promise<ClaimDocument | null> {
+    return queryOne<ClaimDocument>(
+      'SELECT * FROM supplier_claim_documents WHERE claim_id = $1 AND id = $2',
+      [claimId, documentId]
+    );
+  }
+
+  async addDocument(
+    claimId: number,
+    document: {
+      fileName: string;
+      filePath: string;
+      fileSize?: number | null;
+      mimeType?: string | null;
+      description?: string | null;
+      uploadedBy?: string | null;
+      fromSupplier?: boolean;
+    }
+  ): Promise<ClaimDocument> {
+    const row = await queryOne<ClaimDocument>(
+      `INSERT INTO supplier_claim_documents (claim_id, file_name, file_path, file_size, mime_type, description, uploaded_by, from_supplier)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        claimId,
+        document.fileName,
+        document.filePath,
+        document.fileSize ?? null,
+        document.mimeType || null,
+        document.description || null,
+        document.uploadedBy || null,
+        Boolean(document.fromSupplier),
+      ]
+    );
+    return row!;
+  }
+}
+
+const claimRepository = new ClaimRepository();
+export { ClaimRepository };
+export default claimRepository;
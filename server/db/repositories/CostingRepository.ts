@@ -8,11 +8,15 @@ import { randomUUID } from 'crypto';
 const uuidv4 = randomUUID;
 
 export interface Product {
+  _id?: number | string;
   name?: string;
   hs_code?: string;
   weight_kg?: number;
   duty_percent?: number;
   duty_schedule1_percent?: number;
+  // Set when the duty rates were entered over the HS tariff catalogue rate
+  duty_override?: boolean;
+  duty_override_reason?: string;
   currency?: string;
   invoice_value?: number;
 }
@@ -38,6 +42,7 @@ export interface ImportCostEstimate {
   container_type?: string;
   quantity: number;
   hs_code?: string;
+  trade_agreement?: string | null;  // Preferential duty column, e.g. 'EU_UK' for the EU-SADC EPA
   gross_weight_kg?: number;
   total_gross_weight_kg?: number;
   origin_rate_usd?: number;
@@ -57,6 +62,7 @@ export interface ImportCostEstimate {
   roe_origin?: number;   // USD/ZAR
   roe_eur?: number;      // EUR/ZAR
   roe_customs?: number;  // ROE for customs calculation
+  roe_rates?: Record<string, number>; // Other currencies → ZAR, e.g. { GBP: 23.4, CNY: 2.5 }
   // Products for multi-product costing
   products?: Product[];
   // Origin Charges
@@ -165,6 +171,7 @@ export interface ImportCostEstimate {
   dimensions_height_cm?: number;
   number_of_pieces?: number;
   // Metadata
+  direction?: string;    // 'import' (default) or 'export'
   status: string;
   notes?: string;
   created_by?: string;
@@ -177,17 +184,57 @@ export interface ExchangeRate {
   currency_pair: string;
   rate: number;
   source?: string;
+  is_manual?: boolean;
   fetched_at: string;
 }
 
+export interface ExchangeRateHistoryEntry {
+  id: number;
+  currency_pair: string;
+  rate: number;
+  source?: string;
+  is_manual: boolean;
+  created_by?: string;
+  recorded_at: string;
+}
+
+export interface InvoiceLineActual {
+  id: number;
+  shipment_id: string;
+  bol_number: string;
+  invoice_id: number;
+  invoice_number: string | null;
+  invoice_type: string;
+  agent_name: string | null;
+  invoice_date: string | null;
+  description: string | null;
+  roe: number | null;
+  foreign_amount: number | null;
+  local_amount: number | null;
+  vat_amount: number | null;
+}
+
+export interface LinkedEstimate extends ImportCostEstimate {
+  order_ref?: string | null;
+  shipment_supplier?: string | null;
+}
+
+export interface DailyExchangeRate {
+  currency_pair: string;
+  rate_date: string; // YYYY-MM-DD
+  rate: number;
+  source?: string;
+  carried_forward?: boolean; // no fixing that day; the rate is the previous fixing's
+}
+
 const COST_ESTIMATE_COLUMNS = [
   'id', 'shipment_id', 'supplier_id', 'reference_number', 'manual_previous_cost_per_kg_zar', 'manual_previous_cost_date', 'country_of_destination',
   'country_of_origin', 'port_of_loading', 'load_type', 'port_of_discharge', 'shipping_line', 'routing', 'frequency', 'transit_time_days',
-  'inco_terms', 'inco_term_place', 'container_type', 'quantity', 'hs_code',
+  'inco_terms', 'inco_term_place', 'container_type', 'quantity', 'hs_code', 'trade_agreement',
   'gross_weight_kg', 'total_gross_weight_kg', 'origin_rate_usd', 'ocean_freight_rate_usd',
   'ocean_freight_usd', 'ocean_freight_eur', 'ocean_freight_zar', 'total_ocean_freight_zar',
   'commodity', 'invoice_value_usd', 'invoice_value_eur', 'customs_value_zar', 'supplier_name', 'validity_date', 'costing_date',
-  'payment_terms', 'roe_origin', 'roe_eur', 'roe_customs', 'products', 'origin_charge_usd', 'origin_charge_eur', 'origin_charge_zar',
+  'payment_terms', 'roe_origin', 'roe_eur', 'roe_customs', 'roe_rates', 'products', 'origin_charge_usd', 'origin_charge_eur', 'origin_charge_zar',
   'total_origin_charges_zar',
   // Local Charges
   'local_cartage_cpt_klapmuts_20ton_zar', 'local_cartage_cpt_klapmuts_28ton_zar',
@@ -344,6 +391,7 @@ export class CostingRepository {
     // Handle products JSON serialization
     const products = data.products ? JSON.stringify(data.products) : '[]';
     const lastMileCharges = data.last_mile_charges ? JSON.stringify(data.last_mile_charges) : '[]';
+    const roeRates = data.roe_rates ? JSON.stringify(data.roe_rates) : '{}';
 
     const insertData: Record<string, any> = {
       ...data,
@@ -356,6 +404,7 @@ export class CostingRepository {
       updated_at: now,
       products,
       last_mile_charges: lastMileCharges,
+      roe_rates: roeRates,
       // Default numeric values to 0
       origin_charge_usd: data.origin_charge_usd || 0,
       origin_charge_eur: data.origin_charge_eur || 0,
@@ -452,6 +501,9 @@ export class CostingRepository {
     if (updateData.last_mile_charges !== undefined) {
       updateData.last_mile_charges = JSON.stringify(updateData.last_mile_charges);
     }
+    if (updateData.roe_rates !== undefined) {
+      updateData.roe_rates = JSON.stringify(updateData.roe_rates || {});
+    }
 
     // Filter to only known database columns to prevent errors from extra frontend fields
     const filteredUpdate: Record<string, any> = {};
@@ -531,6 +583,57 @@ export class CostingRepository {
     });
   }
 
+  // Reconciliation Methods
+
+  /**
+   * Estimates linked to a shipment, with the shipment reference
+   */
+  async findLinkedToShipments(options: { direction?: string; from?: string; to?: string } = {}): Promise<LinkedEstimate[]> {
+    const conditions = ['e.shipment_id IS NOT NULL'];
+    const params: any[] = [];
+
+    if (options.direction) {
+      params.push(options.direction);
+      conditions.push(`COALESCE(e.direction, 'import') = $${params.length}`);
+    }
+    if (options.from) {
+      params.push(options.from);
+      conditions.push(`e.costing_date >= $${params.length}::date`);
+    }
+    if (options.to) {
+      params.push(options.to);
+      conditions.push(`e.costing_date <= $${params.length}::date`);
+    }
+
+    const sql = `
+      SELECT e.*, s.order_ref, s.supplier as shipment_supplier
+      FROM import_cost_estimates e
+      LEFT JOIN shipments s ON s.id = e.shipment_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.costing_date DESC NULLS LAST, e.created_at DESC
+    `;
+    return queryAll<LinkedEstimate>(sql, params.length > 0 ? params : undefined);
+  }
+
+  /**
+   * Parsed forwarding/clearing invoice lines for shipments, via the BOLs linked to them
+   */
+  async getInvoiceLinesForShipments(shipmentIds: string[]): Promise<InvoiceLineActual[]> {
+    if (shipmentIds.length === 0) return [];
+    const sql = `
+      SELECT li.id, b.shipment_id, b.bol_number,
+             i.id as invoice_id, i.invoice_number, i.invoice_type, i.agent_name,
+             to_char(i.invoice_date, 'YYYY-MM-DD') as invoice_date,
+             li.description, li.roe, li.foreign_amount, li.local_amount, li.vat_amount
+      FROM bol_invoice_line_items li
+      JOIN bol_invoices i ON li.bol_invoice_id = i.id
+      JOIN bol_audits b ON i.bol_audit_id = b.id
+      WHERE b.shipment_id = ANY($1)
+      ORDER BY i.invoice_date, i.id, li.id
+    `;
+    return queryAll<InvoiceLineActual>(sql, [shipmentIds]);
+  }
+
   // Exchange Rate Methods
 
   /**
@@ -542,25 +645,125 @@ export class CostingRepository {
   }
 
   /**
-   * Save exchange rate to cache
+   * Save exchange rate to cache and record it in the pair's history (and, for
+   * fetched rates, in the daily ledger)
    */
-  async cacheRate(currencyPair: string, rate: number, source?: string): Promise<ExchangeRate> {
+  async cacheRate(
+    currencyPair: string,
+    rate: number,
+    source?: string,
+    options?: { isManual?: boolean; createdBy?: string }
+  ): Promise<ExchangeRate> {
+    const isManual = options?.isManual || false;
     const sql = `
-      INSERT INTO exchange_rate_cache (currency_pair, rate, source, fetched_at)
-      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      INSERT INTO exchange_rate_cache (currency_pair, rate, source, is_manual, fetched_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
       ON CONFLICT (currency_pair) DO UPDATE SET
         rate = EXCLUDED.rate,
         source = EXCLUDED.source,
+        is_manual = EXCLUDED.is_manual,
         fetched_at = CURRENT_TIMESTAMP
       RETURNING *
     `;
-    const result = await queryOne<ExchangeRate>(sql, [currencyPair, rate, source || 'api']);
+    const result = await queryOne<ExchangeRate>(sql, [currencyPair, rate, source || 'api', isManual]);
     if (!result) {
       throw new Error('Failed to cache exchange rate');
     }
+
+    await query(
+      `INSERT INTO exchange_rate_history (currency_pair, rate, source, is_manual, created_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [currencyPair, rate, source || 'api', isManual, options?.createdBy || null]
+    );
+
+    // Latest fetched rate of the day wins in the daily ledger; manual overrides
+    // stay out of it so historical recalculations keep the market rate
+    if (!isManual) {
+      await this.upsertDailyRate(currencyPair, new Date().toISOString().slice(0, 10), rate, source || 'api');
+    }
+
     return result;
   }
 
+  /**
+   * Clear a manual override so the cached rate is refreshed from the API on next read
+   */
+  async clearManualRate(currencyPair: string): Promise<void> {
+    await query(
+      `UPDATE exchange_rate_cache
+       SET is_manual = false, fetched_at = TIMESTAMP 'epoch'
+       WHERE currency_pair = $1`,
+      [currencyPair]
+    );
+  }
+
+  /**
+   * Get most recent rate changes for a currency pair
+   */
+  async getRateHistory(currencyPair: string, limit = 50): Promise<ExchangeRateHistoryEntry[]> {
+    const sql = `
+      SELECT *
+      FROM exchange_rate_history
+      WHERE currency_pair = $1
+      ORDER BY recorded_at DESC
+      LIMIT $2
+    `;
+    return queryAll<ExchangeRateHistoryEntry>(sql, [currencyPair, limit]);
+  }
+
+  /**
+   * Record the rate for a pair on a given day (YYYY-MM-DD)
+   */
+  async upsertDailyRate(
+    currencyPair: string,
+    rateDate: string,
+    rate: number,
+    source?: string,
+    overwrite = true,
+    carriedForward = false
+  ): Promise<void> {
+    // Without overwrite, a real fixing still replaces a carried-forward rate
+    const update = 'DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, '
+      + 'carried_forward = EXCLUDED.carried_forward, updated_at = CURRENT_TIMESTAMP';
+    const conflict = overwrite
+      ? update
+      : `${update} WHERE exchange_rate_daily.carried_forward AND NOT EXCLUDED.carried_forward`;
+    await query(
+      `INSERT INTO exchange_rate_daily (currency_pair, rate_date, rate, source, carried_forward)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (currency_pair, rate_date) ${conflict}`,
+      [currencyPair, rateDate, rate, source || 'api', carriedForward]
+    );
+  }
+
+  /**
+   * Get daily rates for a pair between two dates (inclusive), oldest first
+   */
+  async getDailyRates(currencyPair: string, fromDate: string, toDate: string): Promise<DailyExchangeRate[]> {
+    const sql = `
+      SELECT currency_pair, to_char(rate_date, 'YYYY-MM-DD') AS rate_date, rate, source, carried_forward
+      FROM exchange_rate_daily
+      WHERE currency_pair = $1 AND rate_date BETWEEN $2 AND $3
+      ORDER BY rate_date ASC
+    `;
+    return queryAll<DailyExchangeRate>(sql, [currencyPair, fromDate, toDate]);
+  }
+
+  /**
+   * Get the rate in effect on a date: that day's rate, or the closest earlier one.
+   * With fixingsOnly, carried-forward days are skipped for the fixing they came from.
+   */
+  async getDailyRateOnOrBefore(currencyPair: string, rateDate: string, fixingsOnly = false): Promise<DailyExchangeRate | null> {
+    const sql = `
+      SELECT currency_pair, to_char(rate_date, 'YYYY-MM-DD') AS rate_date, rate, source, carried_forward
+      FROM exchange_rate_daily
+      WHERE currency_pair = $1 AND rate_date <= $2${fixingsOnly ? ' AND NOT carried_forward' : ''}
+      ORDER BY rate_date DESC
+      LIMIT 1
+    `;
+    return queryOne<DailyExchangeRate>(sql, [currencyPair, rateDate]);
+  }
+
   /**
    * Check if cached rate is stale (older than 1 hour)
    */
@@ -11,6 +11,10 @@ export interface Dock {
   warehouse: string;
   status: 'available' | 'occupied' | 'maintenance';
   current_truck_id: number | null;
+  // Capabilities; empty lists take any vehicle type / unload method
+  is_reefer: boolean;
+  vehicle_types: string[];
+  unload_methods: string[];
   notes: string | null;
   created_at: Date;
   updated_at: Date;
@@ -21,6 +25,8 @@ export interface LinkedShipment {
   order_ref: string;
   supplier: string;
   product_name: string;
+  pallet_qty: number | null;
+  cbm: number | null;
 }
 
 export interface TruckArrival {
@@ -36,6 +42,20 @@ export interface TruckArrival {
   warehouse: string | null;
   status: 'scheduled' | 'checked_in' | 'unloading' | 'completed' | 'departed' | 'cancelled';
   queue_position: number | null;
+  // Appointment: the dock it is booked onto (if any) and the end of its slot
+  booked_dock_id: number | null;
+  slot_end: Date | null;
+  // Set when the carrier booked the truck through the carrier portal
+  carrier_id: number | null;
+  // Requirements and priority used to pick a dock and order the queue
+  vehicle_type: string | null;
+  unload_method: string | null;
+  requires_reefer: boolean;
+  priority: 'normal' | 'high' | 'urgent';
+  // Predictions taken at check-in, and when the truck actually got a dock
+  predicted_unload_minutes: number | null;
+  predicted_wait_minutes: number | null;
+  dock_assigned_at: Date | null;
   check_in_time: Date | null;
   check_out_time: Date | null;
   notes: string | null;
@@ -52,23 +72,66 @@ export interface TruckArrival {
   shipments?: LinkedShipment[];
 }
 
+export interface DockCalendarRow {
+  id: number;
+  warehouse: string;
+  dock_id: number | null;
+  slot_minutes: number;
+  open_time: string;
+  close_time: string;
+  open_days: number[];
+  max_trucks_per_slot: number;
+  utc_offset_minutes: number;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface DockBlackout {
+  id: number;
+  warehouse: string;
+  dock_id: number | null;
+  starts_at: Date;
+  ends_at: Date;
+  reason: string | null;
+  created_by: string | null;
+  created_at: Date;
+}
+
 export interface DockMetrics {
   avg_wait_minutes: number;
   avg_turnaround_minutes: number;
   utilization_percent: number;
   trucks_today: number;
   trucks_completed_today: number;
+  // Wait predicted at check-in against the actual wait, for trucks that had a prediction
+  avg_predicted_wait_minutes: number;
+  avg_actual_wait_minutes: number;
+  avg_wait_prediction_error_minutes: number;
+  wait_predictions: number;
 }
 
-const DOCK_COLUMNS = 'id, dock_number, warehouse, status, current_truck_id, notes, created_at, updated_at';
+const DOCK_COLUMNS = `id, dock_number, warehouse, status, current_truck_id,
+  COALESCE(is_reefer, false) as is_reefer, COALESCE(vehicle_types, '{}') as vehicle_types,
+  COALESCE(unload_methods, '{}') as unload_methods, notes, created_at, updated_at`;
 
 const TRUCK_COLUMNS = `
   t.id, t.shipment_id, t.carrier, t.driver_name, t.driver_phone, t.vehicle_reg,
   t.expected_arrival, t.actual_arrival, t.dock_id, t.warehouse, t.status, t.queue_position,
   t.check_in_time, t.check_out_time, t.notes, t.created_by, t.created_at, t.updated_at,
+  t.booked_dock_id, t.slot_end, t.carrier_id,
+  t.vehicle_type, t.unload_method, COALESCE(t.requires_reefer, false) as requires_reefer,
+  COALESCE(t.priority, 'normal') as priority, t.predicted_unload_minutes, t.predicted_wait_minutes, t.dock_assigned_at,
   d.dock_number
 `;
 
+const CALENDAR_COLUMNS = `
+  id, warehouse, dock_id, slot_minutes, to_char(open_time, 'HH24:MI') as open_time,
+  to_char(close_time, 'HH24:MI') as close_time, open_days, max_trucks_per_slot,
+  utc_offset_minutes, created_at, updated_at
+`;
+
+const BLACKOUT_COLUMNS = 'id, warehouse, dock_id, starts_at, ends_at, reason, created_by, created_at';
+
 const TRUCK_JOINS = `
   FROM truck_arrivals t
   LEFT JOIN docks d ON t.dock_id = d.id
@@ -89,8 +152,10 @@ async function attachLinkedShipments(trucks: TruckArrival[]): Promise<TruckArriv
     order_ref: string;
     supplier: string;
     product_name: string;
+    pallet_qty: string | null;
+    cbm: string | null;
   }>(
-    `SELECT ts.truck_id, ts.shipment_id, s.order_ref, s.supplier, s.product_name
+    `SELECT ts.truck_id, ts.shipment_id, s.order_ref, s.supplier, s.product_name, s.pallet_qty, s.cbm
      FROM truck_shipments ts
      JOIN shipments s ON ts.shipment_id = s.id
      WHERE ts.truck_id IN (${placeholders})
@@ -106,6 +171,8 @@ async function attachLinkedShipments(trucks: TruckArrival[]): Promise<TruckArriv
       order_ref: row.order_ref,
       supplier: row.supplier,
       product_name: row.product_name,
+      pallet_qty: row.pallet_qty === null ? null : Number(row.pallet_qty),
+      cbm: row.cbm === null ? null : Number(row.cbm),
     });
   }
 
@@ -156,6 +223,7 @@ class DockRepository {
     status?: string;
     warehouse?: string;
     date?: string;
+    carrierId?: number;
   } = {}): Promise<TruckArrival[]> {
     let sql = `SELECT ${TRUCK_COLUMNS} ${TRUCK_JOINS} WHERE 1=1`;
     const params: any[] = [];
@@ -174,6 +242,10 @@ class DockRepository {
       params.push(filters.date);
       idx++;
     }
+    if (filters.carrierId) {
+      sql += ` AND t.carrier_id = $${idx++}`;
+      params.push(filters.carrierId);
+    }
 
     sql += ' ORDER BY t.expected_arrival ASC NULLS LAST, t.created_at DESC';
     const trucks = await queryAll<TruckArrival>(sql, params.length ? params : undefined);
@@ -207,8 +279,9 @@ class DockRepository {
 
   async createTruckArrival(data: Partial<TruckArrival> & { shipmentIds?: string[] }): Promise<TruckArrival> {
     const result = await queryOne<TruckArrival>(
-      `INSERT INTO truck_arrivals (shipment_id, carrier, driver_name, driver_phone, vehicle_reg, expected_arrival, warehouse, notes, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `INSERT INTO truck_arrivals (shipment_id, carrier, driver_name, driver_phone, vehicle_reg, expected_arrival, warehouse, notes, created_by, booked_dock_id, slot_end, carrier_id,
+                                   vehicle_type, unload_method, requires_reefer, priority)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
        RETURNING *`,
       [
         null, // stop writing to legacy shipment_id column
@@ -220,6 +293,13 @@ class DockRepository {
         data.warehouse || null,
         data.notes || null,
         data.created_by || null,
+        data.booked_dock_id || null,
+        data.slot_end || null,
+        data.carrier_id || null,
+        data.vehicle_type || null,
+        data.unload_method || null,
+        data.requires_reefer || false,
+        data.priority || 'normal',
       ]
     );
     if (!result) throw new Error('Failed to create truck arrival');
@@ -247,11 +327,8 @@ class DockRepository {
       WHERE t.status = 'checked_in' AND t.dock_id IS NULL`;
     const params: any[] = [];
     if (warehouse) {
-      sql += ` AND EXISTS (
-        SELECT 1 FROM truck_arrivals ta2
-        LEFT JOIN docks d2 ON ta2.dock_id = d2.id
-        WHERE ta2.id = t.id AND (d2.warehouse = $1 OR d2.warehouse IS NULL)
-      )`;
+      // Queued trucks have no dock yet, so go by the warehouse they checked in at
+      sql += ' AND (t.warehouse = $1 OR t.warehouse IS NULL)';
       params.push(warehouse);
     }
     sql += ' ORDER BY t.queue_position ASC NULLS LAST, t.check_in_time ASC';
@@ -266,11 +343,29 @@ class DockRepository {
     return result?.max_pos || 1;
   }
 
-  async getAvailableDock(warehouse: string): Promise<Dock | null> {
-    return queryOne<Dock>(
-      `SELECT ${DOCK_COLUMNS} FROM docks WHERE warehouse = $1 AND status = 'available' ORDER BY dock_number LIMIT 1`,
+  /**
+   * Trucks currently on a dock, used to predict when their docks free up
+   */
+  async getDockedTrucks(warehouse: string): Promise<TruckArrival[]> {
+    const trucks = await queryAll<TruckArrival>(
+      `SELECT ${TRUCK_COLUMNS} ${TRUCK_JOINS}
+       WHERE t.status = 'unloading' AND t.dock_id IS NOT NULL AND d.warehouse = $1`,
       [warehouse]
     );
+    return attachLinkedShipments(trucks);
+  }
+
+  /**
+   * Renumber the queue in the given order
+   */
+  async setQueuePositions(truckIds: number[]): Promise<void> {
+    if (truckIds.length === 0) return;
+    await query(
+      `UPDATE truck_arrivals t SET queue_position = o.position, updated_at = NOW()
+       FROM unnest($1::int[]) WITH ORDINALITY AS o(id, position)
+       WHERE t.id = o.id AND t.status = 'checked_in' AND t.dock_id IS NULL`,
+      [truckIds]
+    );
   }
 
   async getDockMetrics(warehouse?: string, startDate?: string, endDate?: string): Promise<DockMetrics> {
@@ -291,15 +386,26 @@ class DockRepository {
       params.push(endDate);
     }
 
+    const PREDICTED = 't.predicted_wait_minutes IS NOT NULL AND t.dock_assigned_at IS NOT NULL';
+    const ACTUAL_WAIT = 'EXTRACT(EPOCH FROM (t.dock_assigned_at - t.check_in_time)) / 60';
+
     const metricsResult = await queryOne<{
       avg_wait: number;
       avg_turnaround: number;
       total_completed: number;
+      avg_predicted_wait: number;
+      avg_actual_wait: number;
+      avg_prediction_error: number;
+      wait_predictions: number;
     }>(
       `SELECT
-        COALESCE(AVG(EXTRACT(EPOCH FROM (COALESCE(t.actual_arrival, t.check_in_time) - t.check_in_time)) / 60), 0)::numeric(10,1) as avg_wait,
+        COALESCE(AVG(EXTRACT(EPOCH FROM (COALESCE(t.dock_assigned_at, t.check_in_time) - t.check_in_time)) / 60), 0)::numeric(10,1) as avg_wait,
         COALESCE(AVG(EXTRACT(EPOCH FROM (t.check_out_time - t.check_in_time)) / 60), 0)::numeric(10,1) as avg_turnaround,
-        COUNT(*)::int as total_completed
+        COUNT(*)::int as total_completed,
+        COALESCE(AVG(t.predicted_wait_minutes) FILTER (WHERE ${PREDICTED}), 0)::numeric(10,1) as avg_predicted_wait,
+        COALESCE(AVG(${ACTUAL_WAIT}) FILTER (WHERE ${PREDICTED}), 0)::numeric(10,1) as avg_actual_wait,
+        COALESCE(AVG(ABS(${ACTUAL_WAIT} - t.predicted_wait_minutes)) FILTER (WHERE ${PREDICTED}), 0)::numeric(10,1) as avg_prediction_error,
+        COUNT(*) FILTER (WHERE ${PREDICTED})::int as wait_predictions
       FROM truck_arrivals t
       LEFT JOIN docks d ON t.dock_id = d.id
       ${whereClause}`,
@@ -350,9 +456,126 @@ class DockRepository {
       utilization_percent: Math.round((occupied / totalDocks) * 100),
       trucks_today: todayResult?.trucks_today || 0,
       trucks_completed_today: todayResult?.completed_today || 0,
+      avg_predicted_wait_minutes: Number(metricsResult?.avg_predicted_wait || 0),
+      avg_actual_wait_minutes: Number(metricsResult?.avg_actual_wait || 0),
+      avg_wait_prediction_error_minutes: Number(metricsResult?.avg_prediction_error || 0),
+      wait_predictions: metricsResult?.wait_predictions || 0,
     };
   }
 
+  // ─── Appointment Calendars ───
+
+  async findCalendars(warehouse?: string): Promise<DockCalendarRow[]> {
+    let sql = `SELECT ${CALENDAR_COLUMNS} FROM dock_calendars`;
+    const params: any[] = [];
+    if (warehouse) {
+      sql += ' WHERE warehouse = $1';
+      params.push(warehouse);
+    }
+    sql += ' ORDER BY warehouse, dock_id NULLS FIRST';
+    return queryAll<DockCalendarRow>(sql, params.length ? params : undefined);
+  }
+
+  /**
+   * Create or replace the calendar for a warehouse (dock_id null) or dock
+   */
+  async upsertCalendar(data: Omit<DockCalendarRow, 'id' | 'created_at' | 'updated_at'>): Promise<DockCalendarRow> {
+    const result = await queryOne<DockCalendarRow>(
+      `INSERT INTO dock_calendars (warehouse, dock_id, slot_minutes, open_time, close_time, open_days, max_trucks_per_slot, utc_offset_minutes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (warehouse, (COALESCE(dock_id, 0))) DO UPDATE SET
+         slot_minutes = EXCLUDED.slot_minutes,
+         open_time = EXCLUDED.open_time,
+         close_time = EXCLUDED.close_time,
+         open_days = EXCLUDED.open_days,
+         max_trucks_per_slot = EXCLUDED.max_trucks_per_slot,
+         utc_offset_minutes = EXCLUDED.utc_offset_minutes,
+         updated_at = NOW()
+       RETURNING ${CALENDAR_COLUMNS}`,
+      [
+        data.warehouse,
+        data.dock_id,
+        data.slot_minutes,
+        data.open_time,
+        data.close_time,
+        data.open_days,
+        data.max_trucks_per_slot,
+        data.utc_offset_minutes,
+      ]
+    );
+    if (!result) throw new Error('Failed to save dock calendar');
+    return result;
+  }
+
+  async deleteCalendar(id: number): Promise<boolean> {
+    const result = await query(`DELETE FROM dock_calendars WHERE id = $1`, [id]);
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Blackouts for a warehouse overlapping [from, to), when given
+   */
+  async findBlackouts(warehouse?: string, from?: Date, to?: Date): Promise<DockBlackout[]> {
+    let sql = `SELECT ${BLACKOUT_COLUMNS} FROM dock_blackouts WHERE 1=1`;
+    const params: any[] = [];
+    let idx = 1;
+    if (warehouse) {
+      sql += ` AND warehouse = $${idx++}`;
+      params.push(warehouse);
+    }
+    if (from) {
+      sql += ` AND ends_at > $${idx++}`;
+      params.push(from);
+    }
+    if (to) {
+      sql += ` AND starts_at < $${idx++}`;
+      params.push(to);
+    }
+    sql += ' ORDER BY starts_at';
+    return queryAll<DockBlackout>(sql, params.length ? params : undefined);
+  }
+
+  async createBlackout(data: Pick<DockBlackout, 'warehouse' | 'dock_id' | 'starts_at' | 'ends_at' | 'reason' | 'created_by'>): Promise<DockBlackout> {
+    const result = await queryOne<DockBlackout>(
+      `INSERT INTO dock_blackouts (warehouse, dock_id, starts_at, ends_at, reason, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${BLACKOUT_COLUMNS}`,
+      [data.warehouse, data.dock_id, data.starts_at, data.ends_at, data.reason, data.created_by]
+    );
+    if (!result) throw new Error('Failed to create dock blackout');
+    return result;
+  }
+
+  async deleteBlackout(id: number): Promise<boolean> {
+    const result = await query(`DELETE FROM dock_blackouts WHERE id = $1`, [id]);
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Trucks (not cancelled) expected at a warehouse in [from, to)
+   */
+  async findBookings(warehouse: string, from: Date, to: Date): Promise<TruckArrival[]> {
+    const trucks = await queryAll<TruckArrival>(
+      `SELECT ${TRUCK_COLUMNS} ${TRUCK_JOINS}
+       WHERE t.warehouse = $1 AND t.status != 'cancelled'
+         AND t.expected_arrival >= $2 AND t.expected_arrival < $3
+       ORDER BY t.expected_arrival, t.id`,
+      [warehouse, from, to]
+    );
+    return attachLinkedShipments(trucks);
+  }
+
+  /**
+   * Run a booking check-and-write for a warehouse one at a time, so two
+   * planners can't both take the last truck in a slot
+   */
+  async withBookingLock<T>(warehouse: string, fn: () => Promise<T>): Promise<T> {
+    return transaction(async (client) => {
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext($1))`, [`dock-booking:${warehouse}`]);
+      return fn();
+    });
+  }
+
   // ─── Junction Table Operations ───
 
   async linkShipments(truckId: number, shipmentIds: string[]): Promise<void> {
@@ -417,7 +640,8 @@ class DockRepository {
 
       // Update truck
       const truckResult = await client.query(
-        `UPDATE truck_arrivals SET dock_id = $1, status = 'unloading', queue_position = NULL, updated_at = NOW()
+        `UPDATE truck_arrivals SET dock_id = $1, status = 'unloading', queue_position = NULL,
+           dock_assigned_at = NOW(), updated_at = NOW()
          WHERE id = $2 RETURNING *`,
         [dockId, truckId]
       );
@@ -0,0 +1,219 @@
+/**
+ * Document Number Repository
+ * Handles database operations for number series, their counters and the
+ * register of issued and voided document numbers
+ */
+
+import { queryAll, queryOne, transaction } from '../connection.js';
+
+export interface NumberSeriesRow {
+  doc_type: string;
+  prefix: string;
+  date_part: string;
+  per_warehouse: boolean;
+  reset_period: string;
+  padding: number;
+  updated_by: string | null;
+  updated_at: Date;
+}
+
+export interface DocumentNumber {
+  id: number;
+  doc_type: string;
+  number: string;
+  warehouse: string | null;
+  entity_type: string | null;
+  entity_id: string | null;
+  status: 'issued' | 'voided';
+  issued_by: string | null;
+  issued_at: Date;
+  voided_by: string | null;
+  voided_at: Date | null;
+  void_reason: string | null;
+}
+
+export interface DocumentNumberFilter {
+  docType?: string;
+  status?: string;
+  search?: string;
+  limit?: number;
+}
+
+// Where each document type's number is kept once issued
+const NUMBER_USAGE: Record<string, { table: string; column: string }> = {
+  GRN: { table: 'shipments', column: 'grn_number' },
+  ESTIMATE: { table: 'import_cost_estimates', column: 'reference_number' },
+  RELEASE: { table: 'shipments', column: 'release_number' },
+  CLAIM: { table: 'supplier_claims', column: 'claim_number' },
+  TENDER: { table: 'freight_tenders', column: 'tender_number' },
+};
+
+// Sequences skipped because the number was already taken before giving up
+const MAX_SKIPS = 50;
+
+class DocumentNumberRepository {
+  // ─── Series ───
+
+  async findSeries(): Promise<NumberSeriesRow[]> {
+    return queryAll<NumberSeriesRow>('SELECT * FROM document_number_series ORDER BY doc_type');
+  }
+
+  async findSeriesByType(docType: string): Promise<NumberSeriesRow | null> {
+    return queryOne<NumberSeriesRow>('SELECT * FROM document_number_series WHERE doc_type = $1', [docType]);
+  }
+
+  async upsertSeries(
+    docType: string,
+    series: { prefix: string; datePart: string; perWarehouse: boolean; resetPeriod: string; padding: number },
+    updatedBy?: string
+  ): Promise<NumberSeriesRow> {
+    const row = await queryOne<NumberSeriesRow>(
+      `INSERT INTO document_number_series (doc_type, prefix, date_part, per_warehouse, reset_period, padding, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       ON CONFLICT (doc_type) DO UPDATE SET
+         prefix = EXCLUDED.prefix,
+         date_part = EXCLUDED.date_part,
+         per_warehouse = EXCLUDED.per_warehouse,
+         reset_period = EXCLUDED.reset_period,
+         padding = EXCLUDED.padding,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING *`,
+      [docType, series.prefix, series.datePart, series.perWarehouse, series.resetPeriod, series.padding, updatedBy || null]
+    );
+    return row!;
+  }
+
+  /**
+   * Sequence the next number in a counter would get, without taking it
+   */
+  async peekNext(docType: string, seriesKey: string, periodKey: string): Promise<number> {
+    const row = await queryOne<{ last_value: number }>(
+      `SELECT last_value FROM document_number_counters
+       WHERE doc_type = $1 AND series_key = $2 AND period_key = $3`,
+      [docType, seriesKey, periodKey]
+    );
+    return (row?.last_value || 0) + 1;
+  }
+
+  // ─── Numbers ───
+
+  /**
+   * Take the next sequence from a counter and register the number it formats
+   * to. The counter row is locked by the upsert until the transaction ends,
+   * so concurrent requests queue for it rather than reading the same value.
+   * A number already in the register (e.g. after the format was changed
+   * back) or already typed onto a record by hand is skipped. Returns null if
+   * no free number turns up.
+   */
+  async issue(
+    docType: string,
+    seriesKey: string,
+    periodKey: string,
+    format: (sequence: number) => string,
+    details: { warehouse?: string | null; entityType?: string | null; entityId?: string | null; issuedBy?: string | null }
+  ): Promise<DocumentNumber | null> {
+    const usage = NUMBER_USAGE[docType];
+    return transaction(async (client) => {
+      for (let attempt = 0; attempt < MAX_SKIPS; attempt++) {
+        const counter = await client.query(
+          `INSERT INTO document_number_counters (doc_type, series_key, period_key, last_value, updated_at)
+           VALUES ($1, $2, $3, 1, NOW())
+           ON CONFLICT (doc_type, series_key, period_key) DO UPDATE SET
+             last_value = document_number_counters.last_value + 1,
+             updated_at = NOW()
+           RETURNING last_value`,
+          [docType, seriesKey, periodKey]
+        );
+        const number = format(counter.rows[0].last_value);
+        if (usage) {
+          const taken = await client.query(
+            `SELECT 1 FROM ${usage.table} WHERE ${usage.column} = $1 LIMIT 1`,
+            [number]
+          );
+          if (taken.rows.length > 0) continue;
+        }
+        const result = await client.query(
+          `INSERT INTO document_numbers (doc_type, number, warehouse, entity_type, entity_id, issued_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (doc_type, number) DO NOTHING
+           RETURNING *`,
+          [
+            docType,
+            number,
+            details.warehouse || null,
+            details.entityType || null,
+            details.entityId || null,
+            details.issuedBy || null,
+          ]
+        );
+        if (result.rows[0]) return result.rows[0] as DocumentNumber;
+      }
+      return null;
+    });
+  }
+
+  /**
+   * Link a number issued ahead of its record to the record once it is saved
+   */
+  async attach(id: number, entityType: string, entityId: string): Promise<DocumentNumber | null> {
+    return queryOne<DocumentNumber>(
+      'UPDATE document_numbers SET entity_type = $2, entity_id = $3 WHERE id = $1 RETURNING *',
+      [id, entityType, entityId]
+    );
+  }
+
+  async findById(id: number): Promise<DocumentNumber | null> {
+    return queryOne<DocumentNumber>('SELECT * FROM document_numbers WHERE id = $1', [id]);
+  }
+
+  async findNumbers(filter: DocumentNumberFilter = {}): Promise<DocumentNumber[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    if (filter.docType) {
+      params.push(filter.docType);
+      conditions.push(`doc_type = $${params.length}`);
+    }
+    if (filter.status) {
+      params.push(filter.status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (filter.search) {
+      params.push(`%${filter.search}%`);
+      conditions.push(`(number ILIKE $${params.length} OR entity_id ILIKE $${params.length})`);
+    }
+    params.push(filter.limit || 200);
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return queryAll<DocumentNumber>(
+      `SELECT * FROM document_numbers ${where} ORDER BY issued_at DESC, id DESC LIMIT $${params.length}`,
+      params
+    );
+  }
+
+  /**
+   * Records still carrying a number, so it isn't voided out from under them
+   */
+  async countUsage(docType: string, number: string): Promise<number> {
+    const usage = NUMBER_USAGE[docType];
+    if (!usage) return 0;
+    const row = await queryOne<{ count: number }>(
+      `SELECT COUNT(*)::int AS count FROM ${usage.table} WHERE ${usage.column} = $1`,
+      [number]
+    );
+    return row?.count || 0;
+  }
+
+  async voidNumber(id: number, reason: string, voidedBy?: string | null): Promise<DocumentNumber | null> {
+    return queryOne<DocumentNumber>(
+      `UPDATE document_numbers
+       SET status = 'voided', voided_by = $3, voided_at = NOW(), void_reason = $2
+       WHERE id = $1 AND status = 'issued'
+       RETURNING *`,
+      [id, reason, voidedBy || null]
+    );
+  }
+}
+
+const documentNumberRepository = new DocumentNumberRepository();
+export { DocumentNumberRepository };
+export default documentNumberRepository;
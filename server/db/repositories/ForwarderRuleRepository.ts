@@ -0,0 +1,91 @@
+/**
+ * Forwarder Rule Repository
+ * Handles database operations for the rules that read status updates out of
+ * forwarder emails
+ */
+
+import { query, queryAll, queryOne } from '../connection.js';
+
+export interface ForwarderEmailRule {
+  id: number;
+  forwarder: string;
+  sender_patterns: string[];
+  field: string;
+  match_type: 'keyword' | 'regex';
+  pattern: string;
+  value: string | null;
+  search_in: 'both' | 'subject' | 'body';
+  active: boolean;
+  sort_order: number;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export type ForwarderRuleInput = Partial<Pick<ForwarderEmailRule,
+  'forwarder' | 'sender_patterns' | 'field' | 'match_type' | 'pattern' | 'value' | 'search_in' | 'active' | 'sort_order'
+>>;
+
+const EDITABLE_COLUMNS: Array<keyof ForwarderRuleInput> = [
+  'forwarder', 'sender_patterns', 'field', 'match_type', 'pattern', 'value', 'search_in', 'active', 'sort_order',
+];
+
+class ForwarderRuleRepository {
+  async findAll(activeOnly: boolean = false): Promise<ForwarderEmailRule[]> {
+    return queryAll<ForwarderEmailRule>(
+      `SELECT * FROM forwarder_email_rules
+       ${activeOnly ? 'WHERE active = true' : ''}
+       ORDER BY forwarder, sort_order, id`
+    );
+  }
+
+  async findById(id: number): Promise<ForwarderEmailRule | null> {
+    return queryOne<ForwarderEmailRule>('SELECT * FROM forwarder_email_rules WHERE id = $1', [id]);
+  }
+
+  async create(data: ForwarderRuleInput, createdBy?: string): Promise<ForwarderEmailRule> {
+    return (await queryOne<ForwarderEmailRule>(
+      `INSERT INTO forwarder_email_rules
+         (forwarder, sender_patterns, field, match_type, pattern, value, search_in, active, sort_order, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        data.forwarder,
+        data.sender_patterns || [],
+        data.field,
+        data.match_type,
+        data.pattern,
+        data.value || null,
+        data.search_in || 'both',
+        data.active ?? true,
+        data.sort_order ?? 0,
+        createdBy || null,
+      ]
+    ))!;
+  }
+
+  async update(id: number, data: ForwarderRuleInput): Promise<ForwarderEmailRule | null> {
+    const sets: string[] = [];
+    const params: any[] = [id];
+    EDITABLE_COLUMNS.forEach(column => {
+      if (data[column] === undefined) return;
+      params.push(data[column]);
+      sets.push(`${column} = $${params.length}`);
+    });
+    if (!sets.length) return this.findById(id);
+
+    return queryOne<ForwarderEmailRule>(
+      `UPDATE forwarder_email_rules SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      params
+    );
+  }
+
+  async delete(id: number): Promise<boolean> {
+    const result = await query('DELETE FROM forwarder_email_rules WHERE id = $1', [id]);
+    return (result.rowCount || 0) > 0;
+  }
+}
+
+const forwarderRuleRepository = new ForwarderRuleRepository();
+export { ForwarderRuleRepository };
+export default forwarderRuleRepository;
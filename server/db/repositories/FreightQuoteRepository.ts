@@ -0,0 +1,200 @@
+/**
+ * Freight Quote Repository
+ * Handles database operations for forwarders and the freight quotes they
+ * send. Quote files stay in storage; each row describes one stored file.
+ */
+
+import { query, queryAll, queryOne } from '../connection.js';
+import type { QuoteCharge, QuoteMode } from '../../../src/utils/freightQuotes.js';
+
+export interface Forwarder {
+  id: number;
+  code: string;
+  name: string;
+  contact_email: string | null;
+  brand_color: string | null;
+  active: boolean;
+  created_at: Date;
+  updated_at: Date;
+  quote_count?: number;
+}
+
+export type ForwarderInput = Partial<Pick<Forwarder, 'code' | 'name' | 'contact_email' | 'brand_color' | 'active'>>;
+
+export interface FreightQuote {
+  id: number;
+  forwarder_id: number;
+  forwarder_code: string;
+  forwarder_name: string;
+  filename: string;
+  original_name: string | null;
+  file_size: number | null;
+  origin: string | null;
+  destination: string | null;
+  mode: QuoteMode | null;
+  container_type: string | null;
+  valid_from: string | null;
+  valid_until: string | null;
+  currency: string | null;
+  total_amount: number | null;
+  charges: QuoteCharge[];
+  confidence: number | null;
+  analyzed_at: Date | null;
+  notes: string | null;
+  uploaded_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export type FreightQuoteInput = Partial<Pick<FreightQuote,
+  'origin' | 'destination' | 'mode' | 'container_type' | 'valid_from' | 'valid_until'
+  | 'currency' | 'total_amount' | 'charges' | 'confidence' | 'analyzed_at' | 'notes'
+>>;
+
+export interface FreightQuoteFilter {
+  forwarder_id?: number;
+  mode?: string;
+  container_type?: string;
+}
+
+const FORWARDER_COLUMNS: Array<keyof ForwarderInput> = ['code', 'name', 'contact_email', 'brand_color', 'active'];
+
+const QUOTE_COLUMNS: Array<keyof FreightQuoteInput> = [
+  'origin', 'destination', 'mode', 'container_type', 'valid_from', 'valid_until',
+  'currency', 'total_amount', 'charges', 'confidence', 'analyzed_at', 'notes',
+];
+
+const QUOTE_SELECT = `
+  SELECT q.id, q.forwarder_id, f.code AS forwarder_code, f.name AS forwarder_name,
+         q.filename, q.original_name, q.file_size, q.origin, q.destination, q.mode, q.container_type,
+         to_char(q.valid_from, 'YYYY-MM-DD') AS valid_from, to_char(q.valid_until, 'YYYY-MM-DD') AS valid_until,
+         q.currency, q.total_amount::float AS total_amount, q.charges, q.confidence, q.analyzed_at,
+         q.notes, q.uploaded_by, q.created_at, q.updated_at
+  FROM freight_quotes q
+  JOIN forwarders f ON f.id = q.forwarder_id`;
+
+class FreightQuoteRepository {
+  // ─── Forwarders ───
+
+  async findForwarders(activeOnly: boolean = false): Promise<Forwarder[]> {
+    return queryAll<Forwarder>(
+      `SELECT f.*, COUNT(q.id)::int AS quote_count
+       FROM forwarders f
+       LEFT JOIN freight_quotes q ON q.forwarder_id = f.id
+       ${activeOnly ? 'WHERE f.active = true' : ''}
+       GROUP BY f.id
+       ORDER BY f.name`
+    );
+  }
+
+  async findForwarderById(id: number): Promise<Forwarder | null> {
+    return queryOne<Forwarder>('SELECT * FROM forwarders WHERE id = $1', [id]);
+  }
+
+  async findForwarderByCode(code: string): Promise<Forwarder | null> {
+    return queryOne<Forwarder>('SELECT * FROM forwarders WHERE code = $1', [code]);
+  }
+
+  async createForwarder(data: ForwarderInput): Promise<Forwarder> {
+    return (await queryOne<Forwarder>(
+      `INSERT INTO forwarders (code, name, contact_email, brand_color, active)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [data.code, data.name, data.contact_email || null, data.brand_color || null, data.active ?? true]
+    ))!;
+  }
+
+  async updateForwarder(id: number, data: ForwarderInput): Promise<Forwarder | null> {
+    const sets: string[] = [];
+    const params: any[] = [id];
+    FORWARDER_COLUMNS.forEach(column => {
+      if (data[column] === undefined) return;
+      params.push(data[column]);
+      sets.push(`${column} = $${params.length}`);
+    });
+    if (!sets.length) return this.findForwarderById(id);
+
+    return queryOne<Forwarder>(
+      `UPDATE forwarders SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      params
+    );
+  }
+
+  // ─── Quotes ───
+
+  async findQuotes(filter: FreightQuoteFilter = {}): Promise<FreightQuote[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    if (filter.forwarder_id) {
+      params.push(filter.forwarder_id);
+      conditions.push(`q.forwarder_id = $${params.length}`);
+    }
+    if (filter.mode) {
+      params.push(filter.mode);
+      conditions.push(`q.mode = $${params.length}`);
+    }
+    if (filter.container_type) {
+      params.push(filter.container_type);
+      conditions.push(`q.container_type = $${params.length}`);
+    }
+
+    return queryAll<FreightQuote>(
+      `${QUOTE_SELECT}
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY q.created_at DESC, q.id DESC`,
+      params
+    );
+  }
+
+  async findQuoteById(id: number): Promise<FreightQuote | null> {
+    return queryOne<FreightQuote>(`${QUOTE_SELECT} WHERE q.id = $1`, [id]);
+  }
+
+  async findQuoteByFile(forwarderId: number, filename: string): Promise<FreightQuote | null> {
+    return queryOne<FreightQuote>(`${QUOTE_SELECT} WHERE q.forwarder_id = $1 AND q.filename = $2`, [forwarderId, filename]);
+  }
+
+  async createQuote(
+    forwarderId: number,
+    file: { filename: string; originalName: string; size: number },
+    uploadedBy?: string
+  ): Promise<FreightQuote> {
+    const { id } = (await queryOne<{ id: number }>(
+      `INSERT INTO freight_quotes (forwarder_id, filename, original_name, file_size, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [forwarderId, file.filename, file.originalName, file.size, uploadedBy || null]
+    ))!;
+    return (await this.findQuoteById(id))!;
+  }
+
+  async updateQuote(id: number, data: FreightQuoteInput): Promise<FreightQuote | null> {
+    const sets: string[] = [];
+    const params: any[] = [id];
+    QUOTE_COLUMNS.forEach(column => {
+      if (data[column] === undefined) return;
+      params.push(column === 'charges' ? JSON.stringify(data[column]) : data[column]);
+      sets.push(`${column} = $${params.length}`);
+    });
+    if (!sets.length) return this.findQuoteById(id);
+
+    const updated = await queryOne<{ id: number }>(
+      `UPDATE freight_quotes SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING id`,
+      params
+    );
+    return updated ? this.findQuoteById(id) : null;
+  }
+
+  async renameQuote(id: number, filename: string): Promise<void> {
+    await query('UPDATE freight_quotes SET filename = $2, updated_at = NOW() WHERE id = $1', [id, filename]);
+  }
+
+  async deleteQuote(id: number): Promise<boolean> {
+    const result = await query('DELETE FROM freight_quotes WHERE id = $1', [id]);
+    return (result.rowCount || 0) > 0;
+  }
+}
+
+const freightQuoteRepository = new FreightQuoteRepository();
+export { FreightQuoteRepository };
+export default freightQuoteRepository;
@@ -0,0 +1,270 @@
+/**
+ * Freight Tender Repository
+ * Handles database operations for freight tenders (RFQs) and the forwarder
+ * invitations sent for them. A forwarder's response is kept on their
+ * invitation; invitations are looked up by the hash of their link token.
+ */
+
+import { query, queryAll, queryOne } from '../connection.js';
+import type { TenderCurrency, TenderMode, TenderStatus } from '../../../src/utils/freightTenders.js';
+
+export interface FreightTender {
+  id: number;
+  tender_number: string;
+  shipment_id: string | null;
+  order_ref: string | null;
+  cost_estimate_id: string | null;
+  origin: string;
+  destination: string;
+  mode: TenderMode;
+  container_type: string | null;
+  cargo_description: string | null;
+  cbm: number | null;
+  weight_kg: number | null;
+  incoterm: string | null;
+  required_date: string | null;
+  response_due: string | null;
+  notes: string | null;
+  status: TenderStatus;
+  awarded_invitation_id: number | null;
+  awarded_by: string | null;
+  awarded_at: Date | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+  invitation_count?: number;
+  response_count?: number;
+}
+
+export type FreightTenderInput = Partial<Pick<FreightTender,
+  'shipment_id' | 'origin' | 'destination' | 'mode' | 'container_type' | 'cargo_description'
+  | 'cbm' | 'weight_kg' | 'incoterm' | 'required_date' | 'response_due' | 'notes'
+>>;
+
+export interface TenderInvitation {
+  id: number;
+  tender_id: number;
+  forwarder_id: number;
+  forwarder_code: string;
+  forwarder_name: string;
+  email: string;
+  invited_by: string | null;
+  invited_at: Date;
+  email_sent: boolean;
+  viewed_at: Date | null;
+  responded_at: Date | null;
+  contact_name: string | null;
+  currency: TenderCurrency | null;
+  freight_amount: number | null;
+  origin_charges: number | null;
+  transit_days: number | null;
+  carrier: string | null;
+  valid_until: string | null;
+  response_notes: string | null;
+}
+
+export type TenderResponseInput = Pick<TenderInvitation,
+  'contact_name' | 'currency' | 'freight_amount' | 'origin_charges' | 'transit_days'
+  | 'carrier' | 'valid_until' | 'response_notes'
+>;
+
+const TENDER_COLUMNS: Array<keyof FreightTenderInput> = [
+  'shipment_id', 'origin', 'destination', 'mode', 'container_type', 'cargo_description',
+  'cbm', 'weight_kg', 'incoterm', 'required_date', 'response_due', 'notes',
+];
+
+const TENDER_SELECT = `
+  SELECT t.id, t.tender_number, t.shipment_id, s.order_ref, t.cost_estimate_id,
+         t.origin, t.destination, t.mode, t.container_type, t.cargo_description,
+         t.cbm::float AS cbm, t.weight_kg::float AS weight_kg, t.incoterm,
+         to_char(t.required_date, 'YYYY-MM-DD') AS required_date,
+         to_char(t.response_due, 'YYYY-MM-DD') AS response_due,
+         t.notes, t.status, t.awarded_invitation_id, t.awarded_by, t.awarded_at,
+         t.created_by, t.created_at, t.updated_at,
+         (SELECT COUNT(*)::int FROM freight_tender_invitations i WHERE i.tender_id = t.id) AS invitation_count,
+         (SELECT COUNT(*)::int FROM freight_tender_invitations i WHERE i.tender_id = t.id AND i.responded_at IS NOT NULL) AS response_count
+  FROM freight_tenders t
+  LEFT JOIN shipments s ON s.id = t.shipment_id`;
+
+const INVITATION_SELECT = `
+  SELECT i.id, i.tender_id, i.forwarder_id, f.code AS forwarder_code, f.name AS forwarder_name,
+         i.email, i.invited_by, i.invited_at, i.email_sent, i.viewed_at, i.responded_at,
+         i.contact_name, i.currency, i.freight_amount::float AS freight_amount,
+         i.origin_charges::float AS origin_charges, i.transit_days, i.carrier,
+         to_char(i.valid_until, 'YYYY-MM-DD') AS valid_until, i.response_notes
+  FROM freight_tender_invitations i
+  JOIN forwarders f ON f.id = i.forwarder_id`;
+
+class FreightTenderRepository {
+  // ─── Tenders ───
+
+  async findAll(status?: string): Promise<FreightTender[]> {
+    return queryAll<FreightTender>(
+      `${TENDER_SELECT}
+       ${status ? 'WHERE t.status = $1' : ''}
+       ORDER BY t.created_at DESC, t.id DESC`,
+      status ? [status] : []
+    );
+  }
+
+  async findById(id: number): Promise<FreightTender | null> {
+    return queryOne<FreightTender>(`${TENDER_SELECT} WHERE t.id = $1`, [id]);
+  }
+
+  async create(tenderNumber: string, data: FreightTenderInput, createdBy?: string): Promise<FreightTender> {
+    const params: any[] = [tenderNumber, createdBy || null];
+    const columns = ['tender_number', 'created_by'];
+    TENDER_COLUMNS.forEach(column => {
+      if (data[column] === undefined) return;
+      params.push(data[column]);
+      columns.push(column);
+    });
+
+    const { id } = (await queryOne<{ id: number }>(
+      `INSERT INTO freight_tenders (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING id`,
+      params
+    ))!;
+    return (await this.findById(id))!;
+  }
+
+  async update(id: number, data: FreightTenderInput): Promise<FreightTender | null> {
+    const sets: string[] = [];
+    const params: any[] = [id];
+    TENDER_COLUMNS.forEach(column => {
+      if (data[column] === undefined) return;
+      params.push(data[column]);
+      sets.push(`${column} = $${params.length}`);
+    });
+    if (!sets.length) return this.findById(id);
+
+    const updated = await queryOne<{ id: number }>(
+      `UPDATE freight_tenders SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING id`,
+      params
+    );
+    return updated ? this.findById(id) : null;
+  }
+
+  async setStatus(id: number, status: TenderStatus): Promise<FreightTender | null> {
+    await query('UPDATE freight_tenders SET status = $2, updated_at = NOW() WHERE id = $1', [id, status]);
+    return this.findById(id);
+  }
+
+  /**
+   * Mark the tender awarded if it is still open or closed. Only one award
+   * can win this update; false means the tender had already moved on.
+   */
+  async claimAward(id: number, invitationId: number, awardedBy?: string): Promise<boolean> {
+    const claimed = await queryOne<{ id: number }>(
+      `UPDATE freight_tenders
+       SET status = 'awarded', awarded_invitation_id = $2, awarded_by = $3, awarded_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status IN ('open', 'closed')
+       RETURNING id`,
+      [id, invitationId, awardedBy || null]
+    );
+    return !!claimed;
+  }
+
+  /**
+   * Put a claimed award back to the status and estimate it had when
+   * applying it failed
+   */
+  async releaseAward(id: number, invitationId: number, status: TenderStatus, costEstimateId: string | null): Promise<void> {
+    await query(
+      `UPDATE freight_tenders
+       SET status = $3, cost_estimate_id = $4, awarded_invitation_id = NULL, awarded_by = NULL, awarded_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND status = 'awarded' AND awarded_invitation_id = $2`,
+      [id, invitationId, status, costEstimateId]
+    );
+  }
+
+  async setCostEstimate(id: number, costEstimateId: string): Promise<void> {
+    await query('UPDATE freight_tenders SET cost_estimate_id = $2, updated_at = NOW() WHERE id = $1', [id, costEstimateId]);
+  }
+
+  // ─── Invitations ───
+
+  async findInvitations(tenderId: number): Promise<TenderInvitation[]> {
+    return queryAll<TenderInvitation>(`${INVITATION_SELECT} WHERE i.tender_id = $1 ORDER BY f.name`, [tenderId]);
+  }
+
+  async findInvitationById(id: number): Promise<TenderInvitation | null> {
+    return queryOne<TenderInvitation>(`${INVITATION_SELECT} WHERE i.id = $1`, [id]);
+  }
+
+  async findInvitationByTokenHash(tokenHash: string): Promise<TenderInvitation | null> {
+    return queryOne<TenderInvitation>(`${INVITATION_SELECT} WHERE i.token_hash = $1`, [tokenHash]);
+  }
+
+  async findInvitationByForwarder(tenderId: number, forwarderId: number): Promise<TenderInvitation | null> {
+    return queryOne<TenderInvitation>(`${INVITATION_SELECT} WHERE i.tender_id = $1 AND i.forwarder_id = $2`, [tenderId, forwarderId]);
+  }
+
+  async createInvitation(
+    tenderId: number,
+    forwarderId: number,
+    email: string,
+    tokenHash: string,
+    invitedBy?: string
+  ): Promise<TenderInvitation> {
+    const { id } = (await queryOne<{ id: number }>(
+      `INSERT INTO freight_tender_invitations (tender_id, forwarder_id, email, token_hash, invited_by)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id`,
+      [tenderId, forwarderId, email, tokenHash, invitedBy || null]
+    ))!;
+    return (await this.findInvitationById(id))!;
+  }
+
+  /**
+   * Give an invitation a new link; the previous link stops working
+   */
+  async renewInvitation(id: number, email: string, tokenHash: string, invitedBy?: string): Promise<TenderInvitation> {
+    await query(
+      `UPDATE freight_tender_invitations
+       SET email = $2, token_hash = $3, invited_by = $4, invited_at = NOW(), email_sent = false
+       WHERE id = $1`,
+      [id, email, tokenHash, invitedBy || null]
+    );
+    return (await this.findInvitationById(id))!;
+  }
+
+  async markEmailSent(id: number): Promise<void> {
+    await query('UPDATE freight_tender_invitations SET email_sent = true WHERE id = $1', [id]);
+  }
+
+  async markViewed(id: number): Promise<void> {
+    await query('UPDATE freight_tender_invitations SET viewed_at = NOW() WHERE id = $1', [id]);
+  }
+
+  /**
+   * Store a forwarder's rates while their tender is still open. Null when
+   * the tender was closed or awarded in the meantime.
+   */
+  async saveResponse(id: number, response: TenderResponseInput): Promise<TenderInvitation | null> {
+    const result = await query(
+      `UPDATE freight_tender_invitations
+       SET contact_name = $2, currency = $3, freight_amount = $4, origin_charges = $5,
+           transit_days = $6, carrier = $7, valid_until = $8, response_notes = $9, responded_at = NOW()
+       WHERE id = $1
+         AND EXISTS (SELECT 1 FROM freight_tenders t WHERE t.id = tender_id AND t.status = 'open')`,
+      [
+        id, response.contact_name, response.currency, response.freight_amount, response.origin_charges,
+        response.transit_days, response.carrier, response.valid_until, response.response_notes,
+      ]
+    );
+    if (!result.rowCount) return null;
+    return this.findInvitationById(id);
+  }
+
+  async deleteInvitation(id: number): Promise<boolean> {
+    const result = await query('DELETE FROM freight_tender_invitations WHERE id = $1 AND responded_at IS NULL', [id]);
+    return (result.rowCount || 0) > 0;
+  }
+}
+
+const freightTenderRepository = new FreightTenderRepository();
+export { FreightTenderRepository };
+export default freightTenderRepository;
@@ -0,0 +1,114 @@
+/**
+ * Import Mapping Repository
+ * Handles database operations for the saved column-mapping profiles used to
+ * read supplier spreadsheets
+ */
+
+import { query, queryAll, queryOne } from '../connection.js';
+
+export interface ImportMappingProfile {
+  id: number;
+  name: string;
+  supplier_id: string | null;
+  sender_patterns: string[];
+  header_fingerprint: string | null;
+  columns: Record<string, string>;
+  value_translations: Record<string, Record<string, string>>;
+  date_format: string;
+  default_warehouse: string | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+  last_used_at: Date | null;
+  // Joined from suppliers; fills the supplier when a sheet has no column for it
+  supplier_name?: string | null;
+}
+
+export interface ImportMappingInput {
+  name?: string;
+  supplier_id?: string | null;
+  sender_patterns?: string[];
+  header_fingerprint?: string | null;
+  columns?: Record<string, string>;
+  value_translations?: Record<string, Record<string, string>>;
+  date_format?: string;
+  default_warehouse?: string | null;
+}
+
+const PROFILE_SELECT = `
+  SELECT p.*, s.name AS supplier_name
+  FROM import_mapping_profiles p
+  LEFT JOIN suppliers s ON s.id = p.supplier_id`;
+
+// Columns stored as JSON text
+const JSON_COLUMNS = ['columns', 'value_translations'];
+
+const EDITABLE_COLUMNS: Array<keyof ImportMappingInput> = [
+  'name', 'supplier_id', 'sender_patterns', 'header_fingerprint',
+  'columns', 'value_translations', 'date_format', 'default_warehouse',
+];
+
+class ImportMappingRepository {
+  async findAll(): Promise<ImportMappingProfile[]> {
+    return queryAll<ImportMappingProfile>(`${PROFILE_SELECT} ORDER BY p.name`);
+  }
+
+  async findById(id: number): Promise<ImportMappingProfile | null> {
+    return queryOne<ImportMappingProfile>(`${PROFILE_SELECT} WHERE p.id = $1`, [id]);
+  }
+
+  async findByName(name: string): Promise<ImportMappingProfile | null> {
+    return queryOne<ImportMappingProfile>(`${PROFILE_SELECT} WHERE LOWER(p.name) = LOWER($1)`, [name]);
+  }
+
+  async create(data: ImportMappingInput, createdBy?: string): Promise<ImportMappingProfile> {
+    const { id } = (await queryOne<{ id: number }>(
+      `INSERT INTO import_mapping_profiles
+         (name, supplier_id, sender_patterns, header_fingerprint, columns, value_translations, date_format, default_warehouse, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [
+        data.name,
+        data.supplier_id || null,
+        data.sender_patterns || [],
+        data.header_fingerprint || null,
+        JSON.stringify(data.columns || {}),
+        JSON.stringify(data.value_translations || {}),
+        data.date_format || 'auto',
+        data.default_warehouse || null,
+        createdBy || null,
+      ]
+    ))!;
+    return (await this.findById(id))!;
+  }
+
+  async update(id: number, data: ImportMappingInput): Promise<ImportMappingProfile | null> {
+    const sets: string[] = [];
+    const params: any[] = [id];
+    EDITABLE_COLUMNS.forEach(column => {
+      if (data[column] === undefined) return;
+      params.push(JSON_COLUMNS.includes(column) ? JSON.stringify(data[column]) : data[column]);
+      sets.push(`${column} = $${params.length}`);
+    });
+    if (!sets.length) return this.findById(id);
+
+    const updated = await queryOne<{ id: number }>(
+      `UPDATE import_mapping_profiles SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING id`,
+      params
+    );
+    return updated ? this.findById(id) : null;
+  }
+
+  async delete(id: number): Promise<boolean> {
+    const result = await query('DELETE FROM import_mapping_profiles WHERE id = $1', [id]);
+    return (result.rowCount || 0) > 0;
+  }
+
+  async touch(id: number): Promise<void> {
+    await query('UPDATE import_mapping_profiles SET last_used_at = NOW() WHERE id = $1', [id]);
+  }
+}
+
+const importMappingRepository = new ImportMappingRepository();
+export { ImportMappingRepository };
+export default importMappingRepository;
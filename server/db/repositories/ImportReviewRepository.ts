@@ -0,0 +1,309 @@
+/**
+ * Import Review Repository
+ * Handles database operations for emailed schedules and the shipment rows
+ * staged from them for review
+ */
+
+import { query, queryAll, queryOne, transaction } from '../connection.js';
+import type { ImportChange, ReviewAction, ReviewStatus } from '../../../src/utils/importReview.js';
+
+// Where a staged row was read from: a spreadsheet row, or an email's text
+export type ImportRowSource = 'attachment' | 'email_body';
+
+// The reference that matched an email's text to its shipment
+export type ShipmentReference = 'orderRef' | 'containerNumber' | 'bolNumber';
+
+export interface EmailImport {
+  id: number;
+  message_id: string | null;
+  email_from: string | null;
+  email_subject: string | null;
+  email_date: Date | null;
+  attachment_name: string | null;
+  mapping_profile_id: number | null;
+  row_count: number;
+  received_at: Date;
+  pending_count?: number;
+}
+
+export interface ImportRow {
+  id: number;
+  email_import_id: number;
+  row_number: number;
+  order_ref: string | null;
+  shipment_id: string | null;
+  action: ReviewAction;
+  data: Record<string, any>;
+  changes: ImportChange[];
+  errors: string[];
+  source: ImportRowSource;
+  matched_by: ShipmentReference | null;
+  status: ReviewStatus;
+  reviewed_by: string | null;
+  reviewed_at: Date | null;
+  review_notes: string | null;
+  created_at: Date;
+  // From the email the row came in on
+  email_from?: string | null;
+  email_subject?: string | null;
+  email_date?: Date | null;
+  attachment_name?: string | null;
+}
+
+export interface ImportRowFilter {
+  status?: string;
+  action?: string;
+  source?: string;
+  emailImportId?: number;
+}
+
+/**
+ * A row as classified against the shipments table, ready to stage
+ */
+export interface StagedRow {
+  rowNumber: number;
+  orderRef: string | null;
+  shipmentId: string | null;
+  action: ReviewAction;
+  data: Record<string, any>;
+  changes: ImportChange[];
+  errors: string[];
+  source?: ImportRowSource;
+  matchedBy?: ShipmentReference | null;
+}
+
+const ROW_SELECT = `
+  SELECT r.*, e.email_from, e.email_subject, e.email_date, e.attachment_name
+  FROM shipment_import_rows r
+  JOIN email_imports e ON e.id = r.email_import_id`;
+
+class ImportReviewRepository {
+  // ─── Emails ───
+
+  async findEmailImports(limit: number = 50): Promise<EmailImport[]> {
+    return queryAll<EmailImport>(
+      `SELECT e.*,
+         (SELECT COUNT(*)::int FROM shipment_import_rows r WHERE r.email_import_id = e.id AND r.status = 'pending') AS pending_count
+       FROM email_imports e
+       ORDER BY e.received_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+  }
+
+  /**
+   * Record an emailed attachment (or an email's text) and stage its rows.
+   * Rows of the same kind still pending from an earlier email for the same
+   * order ref are superseded, so only the latest schedule or status is
+   * reviewed.
+   */
+  async stageEmailImport(
+    email: {
+      messageId?: string | null;
+      emailFrom?: string | null;
+      emailSubject?: string | null;
+      emailDate?: Date | null;
+      attachmentName?: string | null;
+      mappingProfileId?: number | null;
+      rowCount: number;
+    },
+    rows: StagedRow[]
+  ): Promise<{ emailImport: EmailImport; staged: number; superseded: number }> {
+    return transaction(async (client) => {
+      const { rows: [emailImport] } = await client.query(
+        `INSERT INTO email_imports (message_id, email_from, email_subject, email_date, attachment_name, mapping_profile_id, row_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          email.messageId || null,
+          email.emailFrom || null,
+          email.emailSubject || null,
+          email.emailDate || null,
+          email.attachmentName || null,
+          email.mappingProfileId || null,
+          email.rowCount,
+        ]
+      );
+
+      let superseded = 0;
+      for (const source of ['attachment', 'email_body'] as ImportRowSource[]) {
+        const orderRefs = rows.filter(row => (row.source || 'attachment') === source).map(row => row.orderRef).filter(Boolean);
+        if (!orderRefs.length) continue;
+        const result = await client.query(
+          `UPDATE shipment_import_rows
+           SET status = 'superseded', reviewed_at = NOW(), review_notes = $2
+           WHERE status = 'pending' AND source = $3 AND order_ref = ANY($1::text[])`,
+          [orderRefs, `Superseded by email import ${emailImport.id}`, source]
+        );
+        superseded += result.rowCount || 0;
+      }
+
+      for (const row of rows) {
+        await client.query(
+          `INSERT INTO shipment_import_rows (email_import_id, row_number, order_ref, shipment_id, action, data, changes, errors, source, matched_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [
+            emailImport.id,
+            row.rowNumber,
+            row.orderRef,
+            row.shipmentId,
+            row.action,
+            JSON.stringify(row.data),
+            JSON.stringify(row.changes),
+            JSON.stringify(row.errors),
+            row.source || 'attachment',
+            row.matchedBy || null,
+          ]
+        );
+      }
+
+      return { emailImport, staged: rows.length, superseded };
+    });
+  }
+
+  // ─── Staged rows ───
+
+  async findRows(filter: ImportRowFilter = {}): Promise<ImportRow[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    if (filter.status) {
+      params.push(filter.status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+    if (filter.action) {
+      params.push(filter.action);
+      conditions.push(`r.action = $${params.length}`);
+    }
+    if (filter.source) {
+      params.push(filter.source);
+      conditions.push(`r.source = $${params.length}`);
+    }
+    if (filter.emailImportId) {
+      params.push(filter.emailImportId);
+      conditions.push(`r.email_import_id = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return queryAll<ImportRow>(`${ROW_SELECT} ${where} ORDER BY e.received_at DESC, r.row_number`, params);
+  }
+
+  async findRowById(id: number): Promise<ImportRow | null> {
+    return queryOne<ImportRow>(`${ROW_SELECT} WHERE r.id = $1`, [id]);
+  }
+
+  /**
+   * Replace a pending row's data after a planner edits it, with its action,
+   * changes and errors worked out again
+   */
+  async restageRow(
+    id: number,
+    row: Pick<StagedRow, 'orderRef' | 'shipmentId' | 'action' | 'data' | 'changes' | 'errors' | 'matchedBy'>
+  ): Promise<ImportRow | null> {
+    const updated = await queryOne<{ id: number }>(
+      `UPDATE shipment_import_rows
+       SET order_ref = $2, shipment_id = $3, action = $4, data = $5, changes = $6, errors = $7, matched_by = $8
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [
+        id,
+        row.orderRef,
+        row.shipmentId,
+        row.action,
+        JSON.stringify(row.data),
+        JSON.stringify(row.changes),
+        JSON.stringify(row.errors),
+        row.matchedBy || null,
+      ]
+    );
+    return updated ? this.findRowById(id) : null;
+  }
+
+  /**
+   * Mark a pending row applied or rejected. Only applies while the row is
+   * still pending, so two planners can't both act on it.
+   */
+  async reviewRow(
+    id: number,
+    status: 'applied' | 'rejected',
+    review: { reviewedBy?: string | null; notes?: string | null; shipmentId?: string | null }
+  ): Promise<ImportRow | null> {
+    const updated = await queryOne<{ id: number }>(
+      `UPDATE shipment_import_rows
+       SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_notes = $4,
+           shipment_id = COALESCE($5, shipment_id)
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [id, status, review.reviewedBy || null, review.notes || null, review.shipmentId || null]
+    );
+    return updated ? this.findRowById(id) : null;
+  }
+
+  // ─── Shipments ───
+
+  /**
+   * The shipment a row is matched to: the live one with its order ref, or
+   * the most recently updated if it was archived
+   */
+  async findShipmentByOrderRef(orderRef: string): Promise<Record<string, any> | null> {
+    return queryOne(
+      `SELECT * FROM shipments
+       WHERE order_ref = $1
+       ORDER BY (latest_status = 'archived'), updated_at DESC
+       LIMIT 1`,
+      [orderRef]
+    );
+  }
+
+  /**
+   * The shipment an email's text refers to: by order ref, then by a
+   * container booked into the yard or listed on an audited BOL, then by BOL
+   * number. Live shipments are preferred over archived ones.
+   */
+  async findShipmentByReference(refs: {
+    orderRef?: string;
+    containerNumber?: string;
+    bolNumber?: string;
+  }): Promise<{ shipment: Record<string, any>; matchedBy: ShipmentReference } | null> {
+    const pick = `ORDER BY (s.latest_status = 'archived'), s.updated_at DESC LIMIT 1`;
+
+    if (refs.orderRef) {
+      const shipment = await queryOne(`SELECT s.* FROM shipments s WHERE UPPER(s.order_ref) = UPPER($1) ${pick}`, [refs.orderRef]);
+      if (shipment) return { shipment, matchedBy: 'orderRef' };
+    }
+    if (refs.containerNumber) {
+      const shipment = await queryOne(
+        `SELECT s.* FROM shipments s
+         WHERE s.id IN (
+           SELECT ycs.shipment_id
+           FROM yard_container_shipments ycs
+           JOIN yard_containers yc ON yc.id = ycs.container_id
+           WHERE UPPER(REPLACE(yc.container_number, ' ', '')) = $1
+           UNION
+           SELECT b.shipment_id FROM bol_audits b
+           WHERE b.shipment_id IS NOT NULL
+             AND UPPER(REPLACE(b.container_numbers::text, ' ', '')) LIKE '%' || $1 || '%'
+         )
+         ${pick}`,
+        [refs.containerNumber]
+      );
+      if (shipment) return { shipment, matchedBy: 'containerNumber' };
+    }
+    if (refs.bolNumber) {
+      const shipment = await queryOne(
+        `SELECT s.* FROM shipments s
+         WHERE s.id IN (SELECT b.shipment_id FROM bol_audits b WHERE UPPER(b.bol_number) = $1)
+         ${pick}`,
+        [refs.bolNumber]
+      );
+      if (shipment) return { shipment, matchedBy: 'bolNumber' };
+    }
+    return null;
+  }
+
+  async setShipmentSource(shipmentId: string, emailImportId: number): Promise<void> {
+    await query('UPDATE shipments SET source_email_import_id = $2 WHERE id = $1', [shipmentId, emailImportId]);
+  }
+}
+
+const importReviewRepository = new ImportReviewRepository();
+export { ImportReviewRepository };
+export default importReviewRepository;
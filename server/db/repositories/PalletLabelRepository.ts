@@ -0,0 +1,152 @@
+/**
+ * Pallet Label Repository
+ * Handles database operations for pallet labels and per-warehouse label templates
+ */
+
+import { queryAll, queryOne, transaction } from '../connection.js';
+import type { PalletLabelDraft } from '../../../src/utils/palletLabels.js';
+
+export interface PalletLabel {
+  id: number;
+  shipment_id: string;
+  pallet_no: number;
+  pallet_count: number;
+  label_code: string;
+  grn_number: string;
+  quantity: number;
+  location_code: string | null;
+  batch_lot: string | null;
+  print_count: number;
+  last_printed_at: Date | null;
+  last_printed_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface LabelTemplateRow {
+  warehouse: string;
+  size: string;
+  header_text: string | null;
+  fields: string[];
+  updated_by: string | null;
+  updated_at: Date;
+}
+
+class PalletLabelRepository {
+  // ─── Labels ───
+
+  async findByShipment(shipmentId: string): Promise<PalletLabel[]> {
+    return queryAll<PalletLabel>(
+      'SELECT * FROM pallet_labels WHERE shipment_id = $1 ORDER BY pallet_no',
+      [shipmentId]
+    );
+  }
+
+  async findByCode(code: string): Promise<PalletLabel | null> {
+    return queryOne<PalletLabel>(
+      'SELECT * FROM pallet_labels WHERE UPPER(label_code) = UPPER($1)',
+      [code]
+    );
+  }
+
+  /**
+   * Write a shipment's labels, keeping the print history of pallets that
+   * already had a label and dropping labels for pallets it no longer has
+   */
+  async saveForShipment(
+    shipmentId: string,
+    grnNumber: string,
+    batchLot: string | null,
+    labels: PalletLabelDraft[]
+  ): Promise<PalletLabel[]> {
+    return transaction(async (client) => {
+      await client.query(
+        'DELETE FROM pallet_labels WHERE shipment_id = $1 AND pallet_no > $2',
+        [shipmentId, labels.length]
+      );
+      const saved: PalletLabel[] = [];
+      for (const label of labels) {
+        const result = await client.query(
+          `INSERT INTO pallet_labels (
+             shipment_id, pallet_no, pallet_count, label_code, grn_number, quantity, location_code, batch_lot
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           ON CONFLICT (shipment_id, pallet_no) DO UPDATE SET
+             pallet_count = EXCLUDED.pallet_count,
+             label_code = EXCLUDED.label_code,
+             grn_number = EXCLUDED.grn_number,
+             quantity = EXCLUDED.quantity,
+             location_code = EXCLUDED.location_code,
+             batch_lot = EXCLUDED.batch_lot,
+             updated_at = NOW()
+           RETURNING *`,
+          [
+            shipmentId,
+            label.palletNo,
+            label.palletCount,
+            label.labelCode,
+            grnNumber,
+            label.quantity,
+            label.locationCode,
+            batchLot,
+          ]
+        );
+        saved.push(result.rows[0]);
+      }
+      return saved;
+    });
+  }
+
+  /**
+   * Count a print (or reprint) of some or all of a shipment's labels
+   */
+  async recordPrint(shipmentId: string, palletNos: number[] | null, printedBy?: string): Promise<PalletLabel[]> {
+    const params: any[] = [shipmentId, printedBy || null];
+    let sql = `UPDATE pallet_labels
+               SET print_count = print_count + 1, last_printed_at = NOW(), last_printed_by = $2
+               WHERE shipment_id = $1`;
+    if (palletNos && palletNos.length > 0) {
+      sql += ' AND pallet_no = ANY($3::int[])';
+      params.push(palletNos);
+    }
+    sql += ' RETURNING *';
+    const rows = await queryAll<PalletLabel>(sql, params);
+    return rows.sort((a, b) => a.pallet_no - b.pallet_no);
+  }
+
+  // ─── Templates ───
+
+  async findTemplates(): Promise<LabelTemplateRow[]> {
+    return queryAll<LabelTemplateRow>('SELECT * FROM label_templates ORDER BY warehouse');
+  }
+
+  async findTemplate(warehouse: string): Promise<LabelTemplateRow | null> {
+    return queryOne<LabelTemplateRow>(
+      'SELECT * FROM label_templates WHERE UPPER(warehouse) = UPPER($1)',
+      [warehouse]
+    );
+  }
+
+  async upsertTemplate(
+    warehouse: string,
+    template: { size: string; headerText: string; fields: string[] },
+    updatedBy?: string
+  ): Promise<LabelTemplateRow> {
+    const row = await queryOne<LabelTemplateRow>(
+      `INSERT INTO label_templates (warehouse, size, header_text, fields, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5, NOW())
+       ON CONFLICT (warehouse) DO UPDATE SET
+         size = EXCLUDED.size,
+         header_text = EXCLUDED.header_text,
+         fields = EXCLUDED.fields,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING *`,
+      [warehouse, template.size, template.headerText, JSON.stringify(template.fields), updatedBy || null]
+    );
+    return row!;
+  }
+}
+
+const palletLabelRepository = new PalletLabelRepository();
+export { PalletLabelRepository };
+export default palletLabelRepository;
@@ -0,0 +1,171 @@
+/**
+ * Product Landed Cost Repository
+ * Per-product, per-estimate landed cost per kg/unit, kept in step with the
+ * import cost estimates so product and supplier costs can be compared over time
+ */
+
+import { query, queryAll, transaction } from '../connection.js';
+import type { ProductLandedCost as CalculatedLandedCost } from '../../../src/utils/costingCalculations.js';
+
+export interface ProductLandedCost extends CalculatedLandedCost {
+  id: number;
+  estimate_id: string;
+  shipment_id: string | null;
+  supplier_id: string | null;
+  supplier_name: string | null;
+  transport_mode: string;
+  inco_terms: string | null;
+  costing_date: string | null;
+  calculated_at: Date;
+}
+
+export interface LandedCostEstimateInfo {
+  id: string;
+  shipment_id?: string | null;
+  supplier_id?: string | null;
+  supplier_name?: string | null;
+  transport_mode?: string | null;
+  inco_terms?: string | null;
+  costing_date?: string | null;
+}
+
+export interface LandedCostFilters {
+  product?: string;
+  supplier?: string;
+  transportMode?: string;
+  from?: string;
+  to?: string;
+}
+
+export interface LandedCostTrendRow {
+  group_key: string;
+  period: string;
+  estimates: number;
+  weight_kg: number;
+  total_landed_zar: number;
+  units: number;
+  unit_landed_zar: number;
+}
+
+// Product and supplier groupings for trends
+export const LANDED_COST_GROUPS = {
+  product: 'product_name',
+  supplier: "COALESCE(supplier_name, 'Unknown')",
+} as const;
+
+export type LandedCostGroup = keyof typeof LANDED_COST_GROUPS;
+
+const ROW_COLUMNS: Array<keyof CalculatedLandedCost> = [
+  'product_name', 'hs_code', 'pack_size', 'pack_type', 'currency', 'weight_kg', 'units',
+  'customs_value_zar', 'duties_zar', 'allocated_shipping_zar', 'total_landed_zar',
+  'landed_cost_per_kg_zar', 'landed_cost_per_unit_zar',
+];
+
+const buildFilters = (filters: LandedCostFilters) => {
+  const conditions: string[] = [];
+  const params: any[] = [];
+
+  if (filters.product) {
+    params.push(filters.product.trim().toLowerCase());
+    conditions.push(`LOWER(product_name) = $${params.length}`);
+  }
+  if (filters.supplier) {
+    params.push(filters.supplier);
+    conditions.push(`supplier_name = $${params.length}`);
+  }
+  if (filters.transportMode) {
+    params.push(filters.transportMode);
+    conditions.push(`transport_mode = $${params.length}`);
+  }
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`costing_date >= $${params.length}::date`);
+  }
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`costing_date <= $${params.length}::date`);
+  }
+
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+};
+
+export class ProductLandedCostRepository {
+  /**
+   * Replace the product rows of an estimate with freshly calculated ones
+   */
+  async replaceForEstimate(estimate: LandedCostEstimateInfo, rows: CalculatedLandedCost[]): Promise<number> {
+    return transaction(async (client) => {
+      await client.query('DELETE FROM product_landed_costs WHERE estimate_id = $1', [estimate.id]);
+
+      for (const row of rows) {
+        const values = [
+          estimate.id, estimate.shipment_id || null, estimate.supplier_id || null, estimate.supplier_name || null,
+          estimate.transport_mode || 'sea', estimate.inco_terms || null, estimate.costing_date || null,
+          ...ROW_COLUMNS.map(column => row[column]),
+        ];
+        await client.query(
+          `INSERT INTO product_landed_costs (
+            estimate_id, shipment_id, supplier_id, supplier_name, transport_mode, inco_terms, costing_date,
+            ${ROW_COLUMNS.join(', ')}
+          ) VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})`,
+          values
+        );
+      }
+      return rows.length;
+    });
+  }
+
+  async deleteForEstimate(estimateId: string): Promise<void> {
+    await query('DELETE FROM product_landed_costs WHERE estimate_id = $1', [estimateId]);
+  }
+
+  async findAll(filters: LandedCostFilters = {}, limit = 500): Promise<ProductLandedCost[]> {
+    const { where, params } = buildFilters(filters);
+    params.push(limit);
+    return queryAll<ProductLandedCost>(
+      `SELECT id, estimate_id, shipment_id, supplier_id, supplier_name, transport_mode, inco_terms,
+              to_char(costing_date, 'YYYY-MM-DD') as costing_date, ${ROW_COLUMNS.join(', ')}, calculated_at
+       FROM product_landed_costs
+       ${where}
+       ORDER BY costing_date DESC NULLS LAST, product_name
+       LIMIT $${params.length}`,
+      params
+    );
+  }
+
+  /**
+   * Monthly weighted totals per product or supplier
+   */
+  async getMonthlyTotals(groupBy: LandedCostGroup, filters: LandedCostFilters = {}): Promise<LandedCostTrendRow[]> {
+    const { where, params } = buildFilters(filters);
+    const groupColumn = LANDED_COST_GROUPS[groupBy];
+    return queryAll<LandedCostTrendRow>(
+      `SELECT ${groupColumn} as group_key,
+              to_char(date_trunc('month', costing_date), 'YYYY-MM') as period,
+              COUNT(DISTINCT estimate_id)::int as estimates,
+              SUM(weight_kg)::float as weight_kg,
+              SUM(total_landed_zar)::float as total_landed_zar,
+              COALESCE(SUM(units) FILTER (WHERE units > 0), 0)::float as units,
+              COALESCE(SUM(total_landed_zar) FILTER (WHERE units > 0), 0)::float as unit_landed_zar
+       FROM product_landed_costs
+       ${where ? `${where} AND` : 'WHERE'} costing_date IS NOT NULL
+       GROUP BY 1, 2
+       ORDER BY 1, 2`,
+      params
+    );
+  }
+
+  /**
+   * Distinct product and supplier names, for filter pickers
+   */
+  async getDimensions(): Promise<{ products: string[]; suppliers: string[] }> {
+    const [products, suppliers] = await Promise.all([
+      queryAll<{ name: string }>(`SELECT DISTINCT product_name as name FROM product_landed_costs ORDER BY 1`),
+      queryAll<{ name: string }>(`SELECT DISTINCT supplier_name as name FROM product_landed_costs WHERE supplier_name IS NOT NULL ORDER BY 1`),
+    ]);
+    return { products: products.map(p => p.name), suppliers: suppliers.map(s => s.name) };
+  }
+}
+
+export const productLandedCostRepository = new ProductLandedCostRepository();
+export default productLandedCostRepository;
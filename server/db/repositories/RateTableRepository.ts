@@ -0,0 +1,231 @@
+/**
+ * Rate Table Repository
+ * Handles database operations for the versioned costing rate tables
+ * (ocean freight, last mile and costing option lists)
+ *
+ * Each row is one version of a rate, valid from effective_from to effective_to
+ * (open-ended when null). Adding a new version closes the open version of the
+ * same key the day before the new one takes effect; a version with the same
+ * key and effective_from replaces the one already there.
+ */
+
+import type { PoolClient } from 'pg';
+import { queryAll, queryOne, query, transaction } from '../connection.js';
+import type { ExtractedRate } from '../../services/rateSheetParser.ts';
+
+export interface OceanFreightRate {
+  id: number;
+  port_of_loading: string;
+  port_of_discharge: string | null;
+  shipping_line: string;
+  container_size: '20GP' | '40GP' | '40HC';
+  rate_usd: number;
+  effective_from: string;
+  effective_to: string | null;
+  source: string | null;
+  notes: string | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface LastMileRate {
+  id: number;
+  service_type: string;
+  route_key: string;
+  label: string;
+  minimum_zar: number;
+  rate_per_kg: number;
+  rate_900: number | null;
+  rate_3000: number | null;
+  is_flat: boolean;
+  sort_order: number;
+  effective_from: string;
+  effective_to: string | null;
+  source: string | null;
+  notes: string | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface CostingOption {
+  id: number;
+  option_type: 'container_type' | 'shipping_line' | 'port_of_loading' | 'port_of_discharge';
+  value: string;
+  label: string | null;
+  rate_key: string | null;
+  sort_order: number;
+  effective_from: string;
+  effective_to: string | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export type RateTableName = 'ocean_freight_rates' | 'last_mile_rates' | 'costing_options';
+
+interface TableConfig {
+  keyColumns: string[];
+  columns: string[];
+  orderBy: string;
+}
+
+const DATE_COLUMNS = `to_char(effective_from, 'YYYY-MM-DD') as effective_from, to_char(effective_to, 'YYYY-MM-DD') as effective_to`;
+
+const TABLES: Record<RateTableName, TableConfig> = {
+  ocean_freight_rates: {
+    keyColumns: ['port_of_loading', 'shipping_line', 'container_size'],
+    columns: ['port_of_loading', 'port_of_discharge', 'shipping_line', 'container_size', 'rate_usd', 'source', 'notes'],
+    orderBy: 'port_of_loading, shipping_line, container_size, effective_from DESC',
+  },
+  last_mile_rates: {
+    keyColumns: ['service_type', 'route_key'],
+    columns: ['service_type', 'route_key', 'label', 'minimum_zar', 'rate_per_kg', 'rate_900', 'rate_3000', 'is_flat', 'sort_order', 'source', 'notes'],
+    orderBy: 'service_type, sort_order, route_key, effective_from DESC',
+  },
+  costing_options: {
+    keyColumns: ['option_type', 'value'],
+    columns: ['option_type', 'value', 'label', 'rate_key', 'sort_order'],
+    orderBy: 'option_type, sort_order, value, effective_from DESC',
+  },
+};
+
+const CONTAINER_SIZE_COLUMNS: Array<[keyof ExtractedRate, OceanFreightRate['container_size']]> = [
+  ['rate_20gp_usd', '20GP'],
+  ['rate_40gp_usd', '40GP'],
+  ['rate_40hc_usd', '40HC'],
+];
+
+const today = (): string => new Date().toISOString().slice(0, 10);
+
+class RateTableRepository {
+  async findAll<T extends Record<string, any>>(table: RateTableName, includeExpired = true): Promise<T[]> {
+    const config = TABLES[table];
+    const where = includeExpired ? '' : 'WHERE effective_to IS NULL OR effective_to >= CURRENT_DATE';
+    return queryAll<T>(
+      `SELECT *, ${DATE_COLUMNS} FROM ${table} ${where} ORDER BY ${config.orderBy}`
+    );
+  }
+
+  async findById<T extends Record<string, any>>(table: RateTableName, id: number): Promise<T | null> {
+    return queryOne<T>(`SELECT *, ${DATE_COLUMNS} FROM ${table} WHERE id = $1`, [id]);
+  }
+
+  /**
+   * Add a new version of a rate. Any version of the same key that is still
+   * open on the new effective_from date is closed the day before, and one
+   * that starts on that same date is replaced.
+   */
+  async createVersion<T extends Record<string, any>>(table: RateTableName, data: Record<string, any>, createdBy?: string): Promise<T> {
+    return transaction(client => this.insertVersion<T>(client, table, data, createdBy));
+  }
+
+  async update<T extends Record<string, any>>(table: RateTableName, id: number, data: Record<string, any>): Promise<T | null> {
+    const allowed = [...TABLES[table].columns, 'effective_from', 'effective_to'];
+    const keys = Object.keys(data).filter(key => allowed.includes(key));
+    if (keys.length === 0) return this.findById<T>(table, id);
+
+    const values = [...keys.map(key => data[key]), id];
+    const setClause = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
+    await query(
+      `UPDATE ${table} SET ${setClause}, updated_at = NOW() WHERE id = $${keys.length + 1}`,
+      values
+    );
+    return this.findById<T>(table, id);
+  }
+
+  async delete(table: RateTableName, id: number): Promise<boolean> {
+    const result = await query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Create ocean freight rate versions from a parsed rate sheet, one per
+   * non-empty container size column
+   */
+  async importOceanFreightRates(
+    rates: ExtractedRate[],
+    options: { source?: string; effectiveFrom?: string; createdBy?: string } = {}
+  ): Promise<{ created: number; skipped: number }> {
+    return transaction(async (client) => {
+      let created = 0;
+      let skipped = 0;
+      for (const rate of rates) {
+        if (!rate.carrier_name) {
+          skipped++;
+          continue;
+        }
+        for (const [column, size] of CONTAINER_SIZE_COLUMNS) {
+          const value = rate[column] as number | null;
+          if (value === null || value === undefined || value <= 0) continue;
+          await this.insertVersion(client, 'ocean_freight_rates', {
+            port_of_loading: rate.port_of_loading,
+            port_of_discharge: rate.port_of_discharge || null,
+            shipping_line: rate.carrier_name,
+            container_size: size,
+            rate_usd: value,
+            effective_from: options.effectiveFrom || rate.valid_from || today(),
+            effective_to: rate.valid_until || null,
+            source: options.source || 'rate_sheet',
+            notes: rate.notes,
+          }, options.createdBy);
+          created++;
+        }
+      }
+      return { created, skipped };
+    });
+  }
+
+  private async insertVersion<T extends Record<string, any>>(
+    client: PoolClient,
+    table: RateTableName,
+    data: Record<string, any>,
+    createdBy?: string
+  ): Promise<T> {
+    const config = TABLES[table];
+    const effectiveFrom = data.effective_from || today();
+    const keyValues = config.keyColumns.map(column => data[column]);
+    const keyClause = config.keyColumns.map((column, i) => `${column} = $${i + 1}`).join(' AND ');
+    const fromParam = `$${keyValues.length + 1}`;
+
+    // Close the version that is open on the new effective date
+    await client.query(
+      `UPDATE ${table}
+       SET effective_to = ${fromParam}::date - 1, updated_at = NOW()
+       WHERE ${keyClause}
+         AND effective_from < ${fromParam}::date
+         AND (effective_to IS NULL OR effective_to >= ${fromParam}::date)`,
+      [...keyValues, effectiveFrom]
+    );
+
+    const columns = [...config.columns.filter(column => data[column] !== undefined), 'effective_from', 'effective_to', 'created_by'];
+    const values = [
+      ...config.columns.filter(column => data[column] !== undefined).map(column => data[column]),
+      effectiveFrom,
+      data.effective_to || null,
+      createdBy || null,
+    ];
+    const placeholders = values.map((_, i) => `$${i + 1}`).join(', ');
+    // Re-importing a sheet for the same date corrects that version rather than adding an overlapping one
+    const replaced = columns
+      .filter(column => !config.keyColumns.includes(column) && column !== 'effective_from')
+      .map(column => column === 'effective_to'
+        ? `effective_to = COALESCE(EXCLUDED.effective_to, ${table}.effective_to)`
+        : `${column} = EXCLUDED.${column}`);
+    const result = await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})
+       ON CONFLICT (${[...config.keyColumns, 'effective_from'].join(', ')}) DO UPDATE
+         SET ${[...replaced, 'updated_at = NOW()'].join(', ')}
+       RETURNING id`,
+      values
+    );
+    const row = await client.query(`SELECT *, ${DATE_COLUMNS} FROM ${table} WHERE id = $1`, [result.rows[0].id]);
+    return row.rows[0] as T;
+  }
+}
+
+const rateTableRepository = new RateTableRepository();
+
+export { RateTableRepository };
+export default rateTableRepository;
@@ -0,0 +1,213 @@
+/**
+ * Receipt Repository
+ * Handles database operations for the deliveries received against a
+ * shipment and the supplier backorders for what is still owed
+ */
+
+import { query, queryAll, queryOne } from '../connection.js';
+
+export interface ShipmentReceipt {
+  id: number;
+  shipment_id: string;
+  receipt_no: number;
+  quantity: number;
+  pallets: number | null;
+  condition: string;
+  reason_codes: string[];
+  notes: string | null;
+  received_by: string | null;
+  received_at: Date;
+}
+
+export interface SupplierBackorder {
+  id: number;
+  shipment_id: string;
+  supplier_id: string | null;
+  supplier: string | null;
+  ordered_quantity: number;
+  received_quantity: number;
+  outstanding_quantity: number;
+  status: 'open' | 'fulfilled' | 'written_off';
+  reason_codes: string[];
+  notes: string | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+  closed_by: string | null;
+  closed_at: Date | null;
+  // Joined from the shipment
+  order_ref?: string;
+  product_name?: string | null;
+  receiving_warehouse?: string | null;
+}
+
+export interface BackorderFilter {
+  status?: string;
+  supplierId?: string;
+  shipmentId?: string;
+}
+
+class ReceiptRepository {
+  // ─── Receipts ───
+
+  async findByShipment(shipmentId: string): Promise<ShipmentReceipt[]> {
+    return queryAll<ShipmentReceipt>(
+      'SELECT * FROM shipment_receipts WHERE shipment_id = $1 ORDER BY receipt_no',
+      [shipmentId]
+    );
+  }
+
+  /**
+   * Add a delivery, numbered after the shipment's earlier receipts
+   */
+  async create(
+    shipmentId: string,
+    receipt: {
+      quantity: number;
+      pallets?: number | null;
+      condition?: string;
+      reasonCodes?: string[];
+      notes?: string | null;
+      receivedBy?: string | null;
+    }
+  ): Promise<ShipmentReceipt> {
+    const row = await queryOne<ShipmentReceipt>(
+      `INSERT INTO shipment_receipts (shipment_id, receipt_no, quantity, pallets, condition, reason_codes, notes, received_by)
+       SELECT $1, COALESCE(MAX(receipt_no), 0) + 1, $2, $3, $4, $5::jsonb, $6, $7
+       FROM shipment_receipts WHERE shipment_id = $1
+       RETURNING *`,
+      [
+        shipmentId,
+        receipt.quantity,
+        receipt.pallets ?? null,
+        receipt.condition || 'good',
+        JSON.stringify(receipt.reasonCodes || []),
+        receipt.notes || null,
+        receipt.receivedBy || null,
+      ]
+    );
+    return row!;
+  }
+
+  async delete(id: number): Promise<void> {
+    await query('DELETE FROM shipment_receipts WHERE id = $1', [id]);
+  }
+
+  // ─── Backorders ───
+
+  async findBackorders(filter: BackorderFilter = {}): Promise<SupplierBackorder[]> {
+    const conditions: string[] = [];
+    const params: any[] = [];
+    if (filter.status) {
+      params.push(filter.status);
+      conditions.push(`b.status = $${params.length}`);
+    }
+    if (filter.supplierId) {
+      params.push(filter.supplierId);
+      conditions.push(`b.supplier_id = $${params.length}`);
+    }
+    if (filter.shipmentId) {
+      params.push(filter.shipmentId);
+      conditions.push(`b.shipment_id = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return queryAll<SupplierBackorder>(
+      `SELECT b.*, s.order_ref, s.product_name, s.receiving_warehouse
+       FROM supplier_backorders b
+       JOIN shipments s ON s.id = b.shipment_id
+       ${where}
+       ORDER BY b.created_at DESC`,
+      params
+    );
+  }
+
+  async findBackorder(id: number): Promise<SupplierBackorder | null> {
+    return queryOne<SupplierBackorder>(
+      `SELECT b.*, s.order_ref, s.product_name, s.receiving_warehouse
+       FROM supplier_backorders b
+       JOIN shipments s ON s.id = b.shipment_id
+       WHERE b.id = $1`,
+      [id]
+    );
+  }
+
+  async findBackorderByShipment(shipmentId: string): Promise<SupplierBackorder | null> {
+    return queryOne<SupplierBackorder>('SELECT * FROM supplier_backorders WHERE shipment_id = $1', [shipmentId]);
+  }
+
+  /**
+   * Open a backorder, linked to the shipment's supplier record (or the
+   * supplier of that name when the shipment has none)
+   */
+  async createBackorder(data: {
+    shipmentId: string;
+    supplier?: string | null;
+    orderedQuantity: number;
+    receivedQuantity: number;
+    reasonCodes?: string[];
+    notes?: string | null;
+    createdBy?: string | null;
+  }): Promise<SupplierBackorder> {
+    const row = await queryOne<SupplierBackorder>(
+      `INSERT INTO supplier_backorders (
+         shipment_id, supplier_id, supplier, ordered_quantity, received_quantity, outstanding_quantity,
+         reason_codes, notes, created_by
+       ) VALUES (
+         $1,
+         COALESCE(
+           (SELECT supplier_id FROM shipments WHERE id = $1),
+           (SELECT id FROM suppliers WHERE LOWER(TRIM(name)) = LOWER(TRIM($2)) LIMIT 1)
+         ),
+         $2, $3, $4, $3 - $4, $5::jsonb, $6, $7
+       )
+       RETURNING *`,
+      [
+        data.shipmentId,
+        data.supplier || null,
+        data.orderedQuantity,
+        data.receivedQuantity,
+        JSON.stringify(data.reasonCodes || []),
+        data.notes || null,
+        data.createdBy || null,
+      ]
+    );
+    return row!;
+  }
+
+  /**
+   * Bring an open backorder up to date with what has now been received,
+   * fulfilling it once nothing is outstanding
+   */
+  async updateReceived(id: number, receivedQuantity: number, closedBy?: string | null): Promise<SupplierBackorder | null> {
+    return queryOne<SupplierBackorder>(
+      `UPDATE supplier_backorders SET
+         received_quantity = $2,
+         outstanding_quantity = GREATEST(ordered_quantity - $2, 0),
+         status = CASE WHEN ordered_quantity - $2 <= 0 THEN 'fulfilled' ELSE status END,
+         closed_by = CASE WHEN ordered_quantity - $2 <= 0 THEN $3 ELSE closed_by END,
+         closed_at = CASE WHEN ordered_quantity - $2 <= 0 THEN NOW() ELSE closed_at END,
+         updated_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [id, receivedQuantity, closedBy || null]
+    );
+  }
+
+  async writeOff(id: number, notes: string, closedBy?: string | null): Promise<SupplierBackorder | null> {
+    return queryOne<SupplierBackorder>(
+      `UPDATE supplier_backorders SET
+         status = 'written_off',
+         notes = CASE WHEN notes IS NULL OR notes = '' THEN $2 ELSE notes || E'\\n' || $2 END,
+         closed_by = $3,
+         closed_at = NOW(),
+         updated_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [id, notes, closedBy || null]
+    );
+  }
+}
+
+const receiptRepository = new ReceiptRepository();
+export { ReceiptRepository };
+export default receiptRepository;
@@ -0,0 +1,89 @@
+/**
+ * Shipment Event Repository
+ * Append-only history of what happened to each shipment and who did it
+ */
+
+import { query, queryAll } from '../connection.js';
+import { logError } from '../../utils/logger.js';
+import type { ShipmentEventType } from '../../../src/utils/shipmentEvents.js';
+
+export interface ShipmentEvent {
+  id: number;
+  shipment_id: string;
+  event_type: ShipmentEventType;
+  from_value: string | null;
+  to_value: string | null;
+  details: Record<string, any> | null;
+  actor: string | null;
+  created_at: Date;
+}
+
+export interface NewShipmentEvent {
+  shipment_id: string;
+  event_type: ShipmentEventType;
+  from_value?: string | null;
+  to_value?: string | null;
+  details?: Record<string, any> | null;
+  actor?: string | null;
+}
+
+const INSERT_BATCH_SIZE = 500;
+
+export class ShipmentEventRepository {
+  /**
+   * Record events. Like the audit log, a failure is logged rather than
+   * failing the change it describes, so record after any transaction the
+   * change ran in has committed.
+   */
+  static async recordMany(events: NewShipmentEvent[]): Promise<void> {
+    // Batched to stay well under PostgreSQL's bind parameter limit on bulk imports
+    for (let start = 0; start < events.length; start += INSERT_BATCH_SIZE) {
+      await this.insertBatch(events.slice(start, start + INSERT_BATCH_SIZE));
+    }
+  }
+
+  static async record(event: NewShipmentEvent): Promise<void> {
+    return this.recordMany([event]);
+  }
+
+  private static async insertBatch(events: NewShipmentEvent[]): Promise<void> {
+    const params: any[] = [];
+    const rows = events.map((event, i) => {
+      params.push(
+        event.shipment_id,
+        event.event_type,
+        event.from_value ?? null,
+        event.to_value ?? null,
+        event.details ? JSON.stringify(event.details) : null,
+        event.actor || null
+      );
+      const base = i * 6;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5}, $${base + 6})`;
+    });
+
+    try {
+      await query(
+        `INSERT INTO shipment_events (shipment_id, event_type, from_value, to_value, details, actor)
+         VALUES ${rows.join(', ')}`,
+        params
+      );
+    } catch (error) {
+      logError('Failed to record shipment events', error);
+    }
+  }
+
+  /**
+   * A shipment's history, oldest first
+   */
+  static async findByShipment(shipmentId: string): Promise<ShipmentEvent[]> {
+    return queryAll<ShipmentEvent>(
+      `SELECT id, shipment_id, event_type, from_value, to_value, details, actor, created_at
+       FROM shipment_events
+       WHERE shipment_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [shipmentId]
+    );
+  }
+}
+
+export default ShipmentEventRepository;
@@ -41,6 +41,7 @@ export class ShipmentRepository extends BaseRepository<Shipment> {
     'notes',
     'created_at',
     'updated_at',
+    'version',
     // Post-arrival workflow fields
     'unloading_start_date',
     'unloading_completed_date',
@@ -65,7 +66,8 @@ export class ShipmentRepository extends BaseRepository<Shipment> {
     'source_warehouse',
     'source_pallet_ref',
     'batch_lot',
-    'release_number'
+    'release_number',
+    'source_email_import_id'
   ];
 
   /**
@@ -173,6 +175,39 @@ export class ShipmentRepository extends BaseRepository<Shipment> {
     return this.count({ latest_status: status });
   }
 
+  /**
+   * Update a shipment only if it is still at the expected version.
+   * Returns null when the shipment has changed (or no longer exists).
+   */
+  async updateAtVersion(id: string, data: Partial<Shipment>, expectedVersion: number): Promise<Shipment | null> {
+    const keys = Object.keys(data);
+    const setClause = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
+
+    const sql = `
+      UPDATE ${this.tableName}
+      SET ${setClause}
+      WHERE id = $${keys.length + 1} AND version = $${keys.length + 2}
+      RETURNING ${this.columns.join(', ')}
+    `;
+
+    return queryOne<Shipment>(sql, [...Object.values(data), id, expectedVersion]);
+  }
+
+  /**
+   * Give a shipment its GRN unless it already has one.
+   * Returns null when another request got there first.
+   */
+  async assignGrnNumber(id: string, grnNumber: string): Promise<Shipment | null> {
+    const sql = `
+      UPDATE ${this.tableName}
+      SET grn_number = $1, updated_at = NOW()
+      WHERE id = $2 AND grn_number IS NULL
+      RETURNING ${this.columns.join(', ')}
+    `;
+
+    return queryOne<Shipment>(sql, [grnNumber, id]);
+  }
+
   /**
    * Update shipment status
    */
@@ -0,0 +1,223 @@
+/**
+ * Storage Location Repository
+ * Handles database operations for warehouse storage locations (zone → aisle
+ * → bin) and the pallets of stored shipments placed in them
+ */
+
+import type { PoolClient } from 'pg';
+import { queryAll, queryOne, query, transaction } from '../connection.js';
+import { formatPlacements } from '../../../src/utils/storageLocations.js';
+
+export interface StorageLocation {
+  id: number;
+  warehouse: string;
+  zone: string;
+  aisle: number;
+  bin: number;
+  code: string;
+  capacity_pallets: number;
+  notes: string | null;
+  created_at: Date;
+}
+
+export interface StockPlacement {
+  id: number;
+  shipment_id: string;
+  location_id: number;
+  pallets: number;
+  placed_by: string | null;
+  placed_at: Date;
+  // Joined fields
+  code?: string;
+  warehouse?: string;
+  order_ref?: string;
+  supplier?: string;
+  product_name?: string | null;
+}
+
+const PLACEMENT_COLUMNS = `
+  sp.id, sp.shipment_id, sp.location_id, sp.pallets, sp.placed_by, sp.placed_at,
+  sl.code, sl.warehouse, s.order_ref, s.supplier, s.product_name
+`;
+
+// Placements only count while their shipment is in stored stock; archived stock frees its bins
+const PLACEMENT_JOINS = `
+  FROM stock_placements sp
+  JOIN storage_locations sl ON sp.location_id = sl.id
+  JOIN shipments s ON sp.shipment_id = s.id
+  WHERE s.latest_status = 'stored'
+`;
+
+class StorageLocationRepository {
+  // ─── Locations ───
+
+  async findLocations(warehouse?: string): Promise<StorageLocation[]> {
+    let sql = 'SELECT * FROM storage_locations';
+    const params: any[] = [];
+    if (warehouse) {
+      sql += ' WHERE UPPER(warehouse) = UPPER($1)';
+      params.push(warehouse);
+    }
+    sql += ' ORDER BY warehouse, zone, aisle, bin';
+    return queryAll<StorageLocation>(sql, params.length ? params : undefined);
+  }
+
+  async findLocationById(id: number): Promise<StorageLocation | null> {
+    return queryOne<StorageLocation>('SELECT * FROM storage_locations WHERE id = $1', [id]);
+  }
+
+  async hasLocations(warehouse: string): Promise<boolean> {
+    const row = await queryOne<{ exists: boolean }>(
+      'SELECT EXISTS (SELECT 1 FROM storage_locations WHERE UPPER(warehouse) = UPPER($1)) as exists',
+      [warehouse]
+    );
+    return !!row?.exists;
+  }
+
+  async getNextBin(warehouse: string, zone: string, aisle: number): Promise<number> {
+    const row = await queryOne<{ next: number }>(
+      'SELECT COALESCE(MAX(bin), 0) + 1 as next FROM storage_locations WHERE warehouse = $1 AND zone = $2 AND aisle = $3',
+      [warehouse, zone, aisle]
+    );
+    return row?.next ?? 1;
+  }
+
+  async createLocations(
+    warehouse: string,
+    zone: string,
+    aisle: number,
+    capacityPallets: number,
+    bins: Array<{ bin: number; code: string }>
+  ): Promise<StorageLocation[]> {
+    if (bins.length === 0) return [];
+    const values: any[] = [warehouse, zone, aisle, capacityPallets];
+    const placeholders = bins.map((entry, i) => {
+      values.push(entry.bin, entry.code);
+      return `($1, $2, $3, $4, $${i * 2 + 5}, $${i * 2 + 6})`;
+    });
+    return queryAll<StorageLocation>(
+      `INSERT INTO storage_locations (warehouse, zone, aisle, capacity_pallets, bin, code) VALUES ${placeholders.join(', ')}
+       ON CONFLICT (warehouse, code) DO NOTHING
+       RETURNING *`,
+      values
+    );
+  }
+
+  /**
+   * Remove a location along with any placements left behind by stock that is no longer stored
+   */
+  async deleteLocation(id: number): Promise<void> {
+    await transaction(async (client) => {
+      await client.query('DELETE FROM stock_placements WHERE location_id = $1', [id]);
+      await client.query('DELETE FROM storage_locations WHERE id = $1', [id]);
+    });
+  }
+
+  // ─── Placements ───
+
+  async findPlacements(filters: { warehouse?: string; shipmentId?: string; locationId?: number } = {}): Promise<StockPlacement[]> {
+    let sql = `SELECT ${PLACEMENT_COLUMNS} ${PLACEMENT_JOINS}`;
+    const params: any[] = [];
+    let idx = 1;
+
+    if (filters.warehouse) {
+      sql += ` AND UPPER(sl.warehouse) = UPPER($${idx++})`;
+      params.push(filters.warehouse);
+    }
+    if (filters.shipmentId) {
+      sql += ` AND sp.shipment_id = $${idx++}`;
+      params.push(filters.shipmentId);
+    }
+    if (filters.locationId) {
+      sql += ` AND sp.location_id = $${idx++}`;
+      params.push(filters.locationId);
+    }
+
+    sql += ' ORDER BY sl.zone, sl.aisle, sl.bin, sp.placed_at';
+    return queryAll<StockPlacement>(sql, params.length ? params : undefined);
+  }
+
+  /**
+   * A shipment's placements, locked for a move. Includes placements of a
+   * shipment that is not (yet) stored, since it is the one being written.
+   */
+  async lockPlacements(client: PoolClient, shipmentId: string): Promise<StockPlacement[]> {
+    const result = await client.query(
+      `SELECT sp.*, sl.code, sl.warehouse
+       FROM stock_placements sp
+       JOIN storage_locations sl ON sp.location_id = sl.id
+       WHERE sp.shipment_id = $1
+       ORDER BY sp.id
+       FOR UPDATE OF sp`,
+      [shipmentId]
+    );
+    return result.rows as StockPlacement[];
+  }
+
+  /**
+   * Lock a location and return it with the pallets already stored in it, so
+   * two put-aways can't both take the last space
+   */
+  async lockLocation(client: PoolClient, id: number): Promise<(StorageLocation & { pallets_stored: number }) | null> {
+    const result = await client.query('SELECT * FROM storage_locations WHERE id = $1 FOR UPDATE', [id]);
+    if (result.rows.length === 0) return null;
+    const stored = await client.query(
+      `SELECT COALESCE(SUM(sp.pallets), 0)::int as pallets
+       FROM stock_placements sp
+       JOIN shipments s ON sp.shipment_id = s.id
+       WHERE sp.location_id = $1 AND s.latest_status = 'stored'`,
+      [id]
+    );
+    return { ...result.rows[0], pallets_stored: stored.rows[0].pallets } as StorageLocation & { pallets_stored: number };
+  }
+
+  async addPallets(client: PoolClient, shipmentId: string, locationId: number, pallets: number, placedBy?: string): Promise<void> {
+    await client.query(
+      `INSERT INTO stock_placements (shipment_id, location_id, pallets, placed_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (shipment_id, location_id) DO UPDATE SET
+         pallets = stock_placements.pallets + EXCLUDED.pallets,
+         placed_by = EXCLUDED.placed_by,
+         placed_at = NOW()`,
+      [shipmentId, locationId, pallets, placedBy || null]
+    );
+  }
+
+  async removePallets(client: PoolClient, shipmentId: string, locationId: number, pallets: number): Promise<void> {
+    await client.query(
+      'DELETE FROM stock_placements WHERE shipment_id = $1 AND location_id = $2 AND pallets <= $3',
+      [shipmentId, locationId, pallets]
+    );
+    await client.query(
+      'UPDATE stock_placements SET pallets = pallets - $3 WHERE shipment_id = $1 AND location_id = $2 AND pallets > $3',
+      [shipmentId, locationId, pallets]
+    );
+  }
+
+  async clearPlacements(shipmentId: string): Promise<void> {
+    await query('DELETE FROM stock_placements WHERE shipment_id = $1', [shipmentId]);
+  }
+
+  /**
+   * Rewrite a shipment's bin_location from its placements and return the shipment
+   */
+  async refreshBinLocation(client: PoolClient, shipmentId: string): Promise<Record<string, any>> {
+    const placements = await client.query(
+      `SELECT sp.pallets, sl.code
+       FROM stock_placements sp
+       JOIN storage_locations sl ON sp.location_id = sl.id
+       WHERE sp.shipment_id = $1
+       ORDER BY sl.zone, sl.aisle, sl.bin`,
+      [shipmentId]
+    );
+    const result = await client.query(
+      'UPDATE shipments SET bin_location = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+      [formatPlacements(placements.rows) || null, shipmentId]
+    );
+    return result.rows[0];
+  }
+}
+
+const storageLocationRepository = new StorageLocationRepository();
+export { StorageLocationRepository };
+export default storageLocationRepository;
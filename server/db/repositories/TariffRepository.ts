@@ -0,0 +1,142 @@
+/**
+ * Tariff Repository
+ * Handles database operations for the HS tariff catalogue (SARS Schedule 1
+ * Part 1 duty rates, VAT treatment and preferential rates) and the default
+ * HS code per product
+ */
+
+import type { PoolClient } from 'pg';
+import { queryAll, queryOne, query, transaction } from '../connection.js';
+import type { ParsedTariff, TradeAgreement, VatTreatment } from '../../../src/utils/tariffCatalogue.js';
+
+export interface HsTariff {
+  hs_code: string;
+  description: string | null;
+  statistical_unit: string | null;
+  duty_text: string | null;
+  duty_percent: number | null;
+  schedule1_percent: number | null;
+  vat_treatment: VatTreatment;
+  preferential_rates: Partial<Record<TradeAgreement, number>>;
+  source: string | null;
+  updated_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+}
+
+export interface ProductHsDefault {
+  id: number;
+  product_name: string;
+  hs_code: string;
+  updated_by: string | null;
+  updated_at: Date;
+}
+
+export type TariffInput = Omit<ParsedTariff, 'statistical_unit' | 'duty_text'> & {
+  statistical_unit?: string | null;
+  duty_text?: string | null;
+};
+
+const TARIFF_COLUMNS = `hs_code, description, statistical_unit, duty_text,
+  duty_percent::float as duty_percent, schedule1_percent::float as schedule1_percent,
+  vat_treatment, preferential_rates, source, updated_by, created_at, updated_at`;
+
+class TariffRepository {
+  async findAll(): Promise<HsTariff[]> {
+    return queryAll<HsTariff>(`SELECT ${TARIFF_COLUMNS} FROM hs_tariffs ORDER BY hs_code`);
+  }
+
+  async findByCode(hsCode: string): Promise<HsTariff | null> {
+    return queryOne<HsTariff>(`SELECT ${TARIFF_COLUMNS} FROM hs_tariffs WHERE hs_code = $1`, [hsCode]);
+  }
+
+  async save(tariff: TariffInput, options: { source?: string; updatedBy?: string } = {}): Promise<HsTariff> {
+    await transaction(client => this.upsert(client, tariff, options));
+    return (await this.findByCode(tariff.hs_code))!;
+  }
+
+  async delete(hsCode: string): Promise<boolean> {
+    const result = await query('DELETE FROM hs_tariffs WHERE hs_code = $1', [hsCode]);
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  /**
+   * Insert or replace tariffs from a parsed tariff book in one transaction
+   */
+  async importTariffs(
+    tariffs: TariffInput[],
+    options: { source?: string; updatedBy?: string } = {}
+  ): Promise<{ inserted: number; updated: number }> {
+    return transaction(async (client) => {
+      let inserted = 0;
+      let updated = 0;
+      for (const tariff of tariffs) {
+        if (await this.upsert(client, tariff, options)) {
+          inserted++;
+        } else {
+          updated++;
+        }
+      }
+      return { inserted, updated };
+    });
+  }
+
+  async findProductDefaults(): Promise<ProductHsDefault[]> {
+    return queryAll<ProductHsDefault>('SELECT * FROM product_hs_defaults ORDER BY product_name');
+  }
+
+  async saveProductDefault(productName: string, hsCode: string, updatedBy?: string): Promise<ProductHsDefault> {
+    return (await queryOne<ProductHsDefault>(
+      `INSERT INTO product_hs_defaults (product_name, hs_code, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (LOWER(product_name)) DO UPDATE
+         SET product_name = EXCLUDED.product_name, hs_code = EXCLUDED.hs_code,
+             updated_by = EXCLUDED.updated_by, updated_at = NOW()
+       RETURNING *`,
+      [productName.trim(), hsCode, updatedBy || null]
+    ))!;
+  }
+
+  async deleteProductDefault(id: number): Promise<boolean> {
+    const result = await query('DELETE FROM product_hs_defaults WHERE id = $1', [id]);
+    return (result.rowCount ?? 0) > 0;
+  }
+
+  // Returns true when the code was new
+  private async upsert(client: PoolClient, tariff: TariffInput, options: { source?: string; updatedBy?: string }): Promise<boolean> {
+    const result = await client.query(
+      `INSERT INTO hs_tariffs (
+         hs_code, description, statistical_unit, duty_text, duty_percent, schedule1_percent,
+         vat_treatment, preferential_rates, source, updated_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (hs_code) DO UPDATE SET
+         description = EXCLUDED.description,
+         statistical_unit = EXCLUDED.statistical_unit,
+         duty_text = EXCLUDED.duty_text,
+         duty_percent = EXCLUDED.duty_percent,
+         schedule1_percent = EXCLUDED.schedule1_percent,
+         vat_treatment = EXCLUDED.vat_treatment,
+         preferential_rates = EXCLUDED.preferential_rates,
+         source = EXCLUDED.source,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+       RETURNING (xmax = 0) AS inserted`,
+      [
+        tariff.hs_code,
+        tariff.description || null,
+        tariff.statistical_unit || null,
+        tariff.duty_text || null,
+        tariff.duty_percent,
+        tariff.schedule1_percent,
+        tariff.vat_treatment || 'standard',
+        JSON.stringify(tariff.preferential_rates || {}),
+        options.source || 'manual',
+        options.updatedBy || null,
+      ]
+    );
+    return Boolean(result.rows[0]?.inserted);
+  }
+}
+
+export const tariffRepository = new TariffRepository();
+export default tariffRepository;
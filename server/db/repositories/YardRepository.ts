@@ -0,0 +1,296 @@
+/**
+ * Yard Repository
+ * Handles database operations for yard slots, containers/trailers dropped in
+ * the yard and shipping-line free days
+ */
+
+import { queryAll, queryOne, query, transaction } from '../connection.js';
+
+export interface YardSlot {
+  id: number;
+  warehouse: string;
+  code: string;
+  row_label: string;
+  position: number;
+  notes: string | null;
+  created_at: Date;
+}
+
+export interface YardShipment {
+  id: string;
+  order_ref: string;
+  supplier: string;
+}
+
+export interface YardContainer {
+  id: number;
+  warehouse: string;
+  equipment_type: 'container' | 'trailer';
+  container_number: string | null;
+  trailer_number: string | null;
+  seal_number: string | null;
+  shipping_line: string | null;
+  status: 'expected' | 'in_yard' | 'departed';
+  yard_slot_id: number | null;
+  truck_id: number | null;
+  // Free-time clocks: demurrage from discharge to gate-in, detention from gate-in to gate-out
+  discharged_at: Date | null;
+  gate_in_at: Date | null;
+  emptied_at: Date | null;
+  gate_out_at: Date | null;
+  demurrage_alerted_at: Date | null;
+  detention_alerted_at: Date | null;
+  notes: string | null;
+  created_by: string | null;
+  created_at: Date;
+  updated_at: Date;
+  // Joined fields
+  slot_code?: string | null;
+  shipment_ids?: string[];
+  shipments?: YardShipment[];
+}
+
+export interface ShippingLineFreeDays {
+  id: number;
+  shipping_line: string;
+  demurrage_free_days: number;
+  detention_free_days: number;
+  updated_at: Date;
+}
+
+const CONTAINER_COLUMNS = `
+  c.id, c.warehouse, c.equipment_type, c.container_number, c.trailer_number, c.seal_number,
+  c.shipping_line, c.status, c.yard_slot_id, c.truck_id, c.discharged_at, c.gate_in_at,
+  c.emptied_at, c.gate_out_at, c.demurrage_alerted_at, c.detention_alerted_at, c.notes,
+  c.created_by, c.created_at, c.updated_at, ys.code as slot_code
+`;
+
+const CONTAINER_JOINS = `
+  FROM yard_containers c
+  LEFT JOIN yard_slots ys ON c.yard_slot_id = ys.id
+`;
+
+/**
+ * Post-fetch: attach linked shipments from the yard_container_shipments junction table
+ */
+async function attachShipments(containers: YardContainer[]): Promise<YardContainer[]> {
+  if (containers.length === 0) return containers;
+
+  const links = await queryAll<{ container_id: number } & YardShipment>(
+    `SELECT ycs.container_id, s.id, s.order_ref, s.supplier
+     FROM yard_container_shipments ycs
+     JOIN shipments s ON ycs.shipment_id = s.id
+     WHERE ycs.container_id = ANY($1::int[])
+     ORDER BY ycs.created_at`,
+    [containers.map(c => c.id)]
+  );
+
+  const linkMap = new Map<number, YardShipment[]>();
+  for (const { container_id, ...shipment } of links) {
+    if (!linkMap.has(container_id)) linkMap.set(container_id, []);
+    linkMap.get(container_id)!.push(shipment);
+  }
+
+  for (const container of containers) {
+    container.shipments = linkMap.get(container.id) || [];
+    container.shipment_ids = container.shipments.map(s => s.id);
+  }
+  return containers;
+}
+
+class YardRepository {
+  // ─── Yard Slots ───
+
+  async findSlots(warehouse?: string): Promise<YardSlot[]> {
+    let sql = 'SELECT * FROM yard_slots';
+    const params: any[] = [];
+    if (warehouse) {
+      sql += ' WHERE warehouse = $1';
+      params.push(warehouse);
+    }
+    sql += ' ORDER BY warehouse, row_label, position';
+    return queryAll<YardSlot>(sql, params.length ? params : undefined);
+  }
+
+  async findSlotById(id: number): Promise<YardSlot | null> {
+    return queryOne<YardSlot>('SELECT * FROM yard_slots WHERE id = $1', [id]);
+  }
+
+  async getNextSlotPosition(warehouse: string, rowLabel: string): Promise<number> {
+    const row = await queryOne<{ next: number }>(
+      'SELECT COALESCE(MAX(position), 0) + 1 as next FROM yard_slots WHERE warehouse = $1 AND row_label = $2',
+      [warehouse, rowLabel]
+    );
+    return row?.next ?? 1;
+  }
+
+  async createSlots(warehouse: string, rowLabel: string, slots: Array<{ code: string; position: number }>): Promise<YardSlot[]> {
+    if (slots.length === 0) return [];
+    const values: any[] = [warehouse, rowLabel];
+    const placeholders = slots.map((slot, i) => {
+      values.push(slot.code, slot.position);
+      return `($1, $2, $${i * 2 + 3}, $${i * 2 + 4})`;
+    });
+    return queryAll<YardSlot>(
+      `INSERT INTO yard_slots (warehouse, row_label, code, position) VALUES ${placeholders.join(', ')}
+       ON CONFLICT (warehouse, code) DO NOTHING
+       RETURNING *`,
+      values
+    );
+  }
+
+  async deleteSlot(id: number): Promise<void> {
+    await query('DELETE FROM yard_slots WHERE id = $1', [id]);
+  }
+
+  // ─── Containers ───
+
+  async findContainers(filters: { warehouse?: string; status?: string; active?: boolean } = {}): Promise<YardContainer[]> {
+    let sql = `SELECT ${CONTAINER_COLUMNS} ${CONTAINER_JOINS} WHERE 1=1`;
+    const params: any[] = [];
+    let idx = 1;
+
+    if (filters.warehouse) {
+      sql += ` AND c.warehouse = $${idx++}`;
+      params.push(filters.warehouse);
+    }
+    if (filters.status) {
+      sql += ` AND c.status = $${idx++}`;
+      params.push(filters.status);
+    } else if (filters.active) {
+      sql += ` AND c.status IN ('expected', 'in_yard')`;
+    }
+
+    sql += ' ORDER BY COALESCE(c.gate_in_at, c.created_at)';
+    const containers = await queryAll<YardContainer>(sql, params.length ? params : undefined);
+    return attachShipments(containers);
+  }
+
+  async findContainerById(id: number): Promise<YardContainer | null> {
+    const container = await queryOne<YardContainer>(`SELECT ${CONTAINER_COLUMNS} ${CONTAINER_JOINS} WHERE c.id = $1`, [id]);
+    if (!container) return null;
+    const [enriched] = await attachShipments([container]);
+    return enriched ?? null;
+  }
+
+  /**
+   * The container in the yard that is occupying a slot, if any
+   */
+  async findContainerInSlot(slotId: number): Promise<YardContainer | null> {
+    return queryOne<YardContainer>(
+      `SELECT ${CONTAINER_COLUMNS} ${CONTAINER_JOINS} WHERE c.yard_slot_id = $1 AND c.status = 'in_yard'`,
+      [slotId]
+    );
+  }
+
+  /**
+   * Another container with the same number that has not been gated out
+   */
+  async findActiveByContainerNumber(containerNumber: string, excludeId?: number): Promise<YardContainer | null> {
+    return queryOne<YardContainer>(
+      `SELECT ${CONTAINER_COLUMNS} ${CONTAINER_JOINS}
+       WHERE c.container_number = $1 AND c.status IN ('expected', 'in_yard') AND c.id <> $2`,
+      [containerNumber, excludeId ?? 0]
+    );
+  }
+
+  async createContainer(data: Partial<YardContainer>, shipmentIds: string[] = []): Promise<YardContainer> {
+    const id = await transaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO yard_containers (warehouse, equipment_type, container_number, trailer_number, seal_number,
+                                      shipping_line, status, yard_slot_id, truck_id, discharged_at, gate_in_at, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING id`,
+        [
+          data.warehouse,
+          data.equipment_type || 'container',
+          data.container_number || null,
+          data.trailer_number || null,
+          data.seal_number || null,
+          data.shipping_line || null,
+          data.status || 'expected',
+          data.yard_slot_id || null,
+          data.truck_id || null,
+          data.discharged_at || null,
+          data.gate_in_at || null,
+          data.notes || null,
+          data.created_by || null,
+        ]
+      );
+      const containerId = result.rows[0].id as number;
+      if (shipmentIds.length > 0) {
+        await client.query(
+          `INSERT INTO yard_container_shipments (container_id, shipment_id)
+           SELECT $1, unnest($2::varchar[]) ON CONFLICT DO NOTHING`,
+          [containerId, shipmentIds]
+        );
+      }
+      return containerId;
+    });
+    return (await this.findContainerById(id))!;
+  }
+
+  async updateContainer(id: number, data: Partial<YardContainer>): Promise<YardContainer | null> {
+    const keys = Object.keys(data);
+    if (keys.length > 0) {
+      const values = [...Object.values(data), id];
+      const setClause = keys.map((key, i) => `${key} = $${i + 1}`).join(', ');
+      await query(`UPDATE yard_containers SET ${setClause}, updated_at = NOW() WHERE id = $${keys.length + 1}`, values);
+    }
+    return this.findContainerById(id);
+  }
+
+  async replaceShipmentLinks(containerId: number, shipmentIds: string[]): Promise<void> {
+    await transaction(async (client) => {
+      await client.query('DELETE FROM yard_container_shipments WHERE container_id = $1', [containerId]);
+      if (shipmentIds.length > 0) {
+        await client.query(
+          `INSERT INTO yard_container_shipments (container_id, shipment_id)
+           SELECT $1, unnest($2::varchar[]) ON CONFLICT DO NOTHING`,
+          [containerId, shipmentIds]
+        );
+      }
+    });
+  }
+
+  async deleteContainer(id: number): Promise<void> {
+    await query('DELETE FROM yard_containers WHERE id = $1', [id]);
+  }
+
+  /**
+   * Record that a free-time alert went out, so it is only sent once per clock
+   */
+  async markAlerted(id: number, kind: 'demurrage' | 'detention'): Promise<void> {
+    const column = kind === 'demurrage' ? 'demurrage_alerted_at' : 'detention_alerted_at';
+    await query(`UPDATE yard_containers SET ${column} = NOW() WHERE id = $1`, [id]);
+  }
+
+  // ─── Shipping-line Free Days ───
+
+  async findFreeDays(): Promise<ShippingLineFreeDays[]> {
+    return queryAll<ShippingLineFreeDays>('SELECT * FROM shipping_line_free_days ORDER BY shipping_line');
+  }
+
+  async upsertFreeDays(shippingLine: string, demurrageFreeDays: number, detentionFreeDays: number): Promise<ShippingLineFreeDays> {
+    const row = await queryOne<ShippingLineFreeDays>(
+      `INSERT INTO shipping_line_free_days (shipping_line, demurrage_free_days, detention_free_days)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (shipping_line) DO UPDATE SET
+         demurrage_free_days = EXCLUDED.demurrage_free_days,
+         detention_free_days = EXCLUDED.detention_free_days,
+         updated_at = NOW()
+       RETURNING *`,
+      [shippingLine, demurrageFreeDays, detentionFreeDays]
+    );
+    if (!row) throw new Error('Failed to save shipping line free days');
+    return row;
+  }
+
+  async deleteFreeDays(id: number): Promise<void> {
+    await query('DELETE FROM shipping_line_free_days WHERE id = $1', [id]);
+  }
+}
+
+const yardRepository = new YardRepository();
+export { YardRepository };
+export default yardRepository;
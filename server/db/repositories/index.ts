@@ -27,5 +27,48 @@ export type { WarehouseFilter, WarehouseHistory } from './WarehouseRepository.js
 export { default as warehouseRepository } from './WarehouseRepository.js';
 
 export { DockRepository } from './DockRepository.js';
-export type { Dock, TruckArrival, DockMetrics } from './DockRepository.js';
+export type { Dock, TruckArrival, DockMetrics, DockCalendarRow, DockBlackout } from './DockRepository.js';
 export { default as dockRepository } from './DockRepository.js';
+
+export { YardRepository } from './YardRepository.js';
+export type { YardSlot, YardContainer, ShippingLineFreeDays } from './YardRepository.js';
+export { default as yardRepository } from './YardRepository.js';
+
+export { StorageLocationRepository } from './StorageLocationRepository.js';
+export type { StorageLocation, StockPlacement } from './StorageLocationRepository.js';
+export { default as storageLocationRepository } from './StorageLocationRepository.js';
+
+export { PalletLabelRepository } from './PalletLabelRepository.js';
+export type { PalletLabel, LabelTemplateRow } from './PalletLabelRepository.js';
+export { default as palletLabelRepository } from './PalletLabelRepository.js';
+
+export { DocumentNumberRepository } from './DocumentNumberRepository.js';
+export type { NumberSeriesRow, DocumentNumber, DocumentNumberFilter } from './DocumentNumberRepository.js';
+export { default as documentNumberRepository } from './DocumentNumberRepository.js';
+
+export { ReceiptRepository } from './ReceiptRepository.js';
+export type { ShipmentReceipt, SupplierBackorder, BackorderFilter } from './ReceiptRepository.js';
+export { default as receiptRepository } from './ReceiptRepository.js';
+
+export { ClaimRepository } from './ClaimRepository.js';
+export type { SupplierClaim, ClaimDocument, ClaimFilter, SupplierClaimSummary, ClaimCandidate } from './ClaimRepository.js';
+export { default as claimRepository } from './ClaimRepository.js';
+
+export { ImportReviewRepository } from './ImportReviewRepository.js';
+export type { EmailImport, ImportRow, ImportRowFilter, StagedRow, ImportRowSource, ShipmentReference } from './ImportReviewRepository.js';
+export { default as importReviewRepository } from './ImportReviewRepository.js';
+
+export { ImportMappingRepository } from './ImportMappingRepository.js';
+export type { ImportMappingProfile, ImportMappingInput } from './ImportMappingRepository.js';
+export { default as importMappingRepository } from './ImportMappingRepository.js';
+
+export { ForwarderRuleRepository } from './ForwarderRuleRepository.js';
+export type { ForwarderEmailRule, ForwarderRuleInput } from './ForwarderRuleRepository.js';
+export { default as forwarderRuleRepository } from './ForwarderRuleRepository.js';
+
+export { FreightQuoteRepository } from './FreightQuoteRepository.js';
+export type { Forwarder, ForwarderInput, FreightQuote, FreightQuoteInput, FreightQuoteFilter } from './FreightQuoteRepository.js';
+export { default as freightQuoteRepository } from './FreightQuoteRepository.js';
+export { FreightTenderRepository } from './FreightTenderRepository.js';
+export type { FreightTender, FreightTenderInput, TenderInvitation, TenderResponseInput } from './FreightTenderRepository.js';
+export { default as freightTenderRepository } from './FreightTenderRepository.js';
@@ -45,18 +45,29 @@ import customersRouter from './routes/customers.ts';
 import quotesRouter from './routes/quotes.ts';
 import reportsRouter from './routes/reports.ts';
 import emailImportRouter from './routes/emailImport.ts';
+import importMappingsRouter from './routes/importMappings.ts';
 import adminRouter from './routes/admin.ts';
 import warehouseCapacityRouter from './routes/warehouseCapacity.ts';
 import authRouter from './routes/auth.ts';
 import notificationsRouter from './routes/notifications.ts';
 import schedulerAdminRouter from './routes/schedulerAdmin.ts';
 import supplierPortalRouter from './routes/supplierPortal.ts';
+import carrierPortalRouter from './routes/carrierPortal.ts';
 import costingRouter from './routes/costing.ts';
 import costingRequestsRouter from './routes/costingRequests.ts';
 import auditRouter from './routes/audit.ts';
 import newsRouter from './routes/news.ts';
 import bolAuditRouter from './routes/bolAudit.ts';
 import docksRouter from './routes/docks.ts';
+import yardRouter from './routes/yard.ts';
+import storageLocationsRouter from './routes/storageLocations.ts';
+import palletLabelsRouter from './routes/palletLabels.ts';
+import documentNumbersRouter from './routes/documentNumbers.ts';
+import backordersRouter from './routes/backorders.ts';
+import claimsRouter from './routes/claims.ts';
+import rateTablesRouter from './routes/rateTables.ts';
+import tariffsRouter from './routes/tariffs.ts';
+import freightTendersRouter from './routes/freightTenders.ts';
 
 import { helmetConfig, apiRateLimiter, authRateLimiter, createRateLimiter, authenticateToken } from './middleware/security.js';
 import { csrfProtection } from './middleware/csrf.js';
@@ -119,7 +130,8 @@ const corsOptions = {
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Pragma', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Pragma', 'X-Requested-With', 'If-Match'],
+  exposedHeaders: ['ETag'],
   credentials: true,
   maxAge: 86400, // 24 hours
 };
@@ -193,15 +205,26 @@ app.use('/api/customers', authenticateToken, customersRouter);
 app.use('/api/quotes', authenticateToken, quotesRouter);
 app.use('/api/reports', authenticateToken, reportsRouter);
 app.use('/api/email-import', authenticateToken, emailImportRouter);
+app.use('/api/import-mappings', authenticateToken, importMappingsRouter);
 app.use('/api/admin', authenticateToken, adminRouter);
 app.use('/api/admin/scheduler', schedulerAdminRouter); // Auth required within router
 app.use('/api/notifications', notificationsRouter); // Auth required within router
 app.use('/api/supplier', supplierPortalRouter); // Supplier portal routes (auth within router)
+app.use('/api/carrier', carrierPortalRouter); // Carrier dock booking portal (auth within router)
 app.use('/api/costing', costingRouter); // Import costing routes (auth within router)
 app.use('/api/costing-requests', costingRequestsRouter); // Costing request routes (auth within router)
 app.use('/api/audit', authenticateToken, auditRouter);
 app.use('/api/bol-audit', authenticateToken, bolAuditRouter);
 app.use('/api/docks', authenticateToken, docksRouter);
+app.use('/api/yard', authenticateToken, yardRouter);
+app.use('/api/storage-locations', authenticateToken, storageLocationsRouter);
+app.use('/api/pallet-labels', authenticateToken, palletLabelsRouter);
+app.use('/api/document-numbers', authenticateToken, documentNumbersRouter);
+app.use('/api/backorders', authenticateToken, backordersRouter);
+app.use('/api/claims', authenticateToken, claimsRouter);
+app.use('/api/rate-tables', authenticateToken, rateTablesRouter);
+app.use('/api/tariffs', authenticateToken, tariffsRouter);
+app.use('/api/freight-tenders', freightTendersRouter); // Freight tenders (auth within router; forwarders respond with their invitation token)
 app.use('/api/news', newsRouter); // Public - freight news feed proxy
 
 /* ---------------- Endpoints ---------------- */
@@ -379,6 +402,139 @@ async function start() {
       logWarn('Costing requests migration warning', { error: error.message });
     }
 
+    try {
+      const addRateTables = await import('./db/add-rate-tables.js');
+      await addRateTables.default();
+    } catch (error) {
+      logWarn('Rate tables migration warning', { error: error.message });
+    }
+
+    try {
+      const addProductLandedCosts = await import('./db/add-product-landed-costs.js');
+      await addProductLandedCosts.default();
+    } catch (error) {
+      logWarn('Product landed costs migration warning', { error: error.message });
+    }
+
+    try {
+      const addHsTariffs = await import('./db/add-hs-tariffs.js');
+      await addHsTariffs.default();
+    } catch (error) {
+      logWarn('HS tariff catalogue migration warning', { error: error.message });
+    }
+
+    try {
+      const addShipmentVersion = await import('./db/add-shipment-version.js');
+      await addShipmentVersion.default();
+    } catch (error) {
+      logWarn('Shipment version migration warning', { error: error.message });
+    }
+
+    try {
+      const addShipmentEvents = await import('./db/add-shipment-events.js');
+      await addShipmentEvents.default();
+    } catch (error) {
+      logWarn('Shipment events migration warning', { error: error.message });
+    }
+
+    try {
+      const addDockAppointments = await import('./db/add-dock-appointments.js');
+      await addDockAppointments.default();
+    } catch (error) {
+      logWarn('Dock appointments migration warning', { error: error.message });
+    }
+
+    try {
+      const addCarrierPortal = await import('./db/add-carrier-portal.js');
+      await addCarrierPortal.default();
+    } catch (error) {
+      logWarn('Carrier portal migration warning', { error: error.message });
+    }
+
+    try {
+      const addDockAssignment = await import('./db/add-dock-assignment.js');
+      await addDockAssignment.default();
+    } catch (error) {
+      logWarn('Dock assignment migration warning', { error: error.message });
+    }
+
+    try {
+      const addYardManagement = await import('./db/add-yard-management.js');
+      await addYardManagement.default();
+    } catch (error) {
+      logWarn('Yard management migration warning', { error: error.message });
+    }
+
+    try {
+      const addStorageLocations = await import('./db/add-storage-locations.js');
+      await addStorageLocations.default();
+    } catch (error) {
+      logWarn('Storage locations migration warning', { error: error.message });
+    }
+
+    try {
+      const addPalletLabels = await import('./db/add-pallet-labels.js');
+      await addPalletLabels.default();
+    } catch (error) {
+      logWarn('Pallet labels migration warning', { error: error.message });
+    }
+
+    try {
+      const addDocumentNumbering = await import('./db/add-document-numbering.js');
+      await addDocumentNumbering.default();
+    } catch (error) {
+      logWarn('Document numbering migration warning', { error: error.message });
+    }
+
+    try {
+      const addShipmentReceipts = await import('./db/add-shipment-receipts.js');
+      await addShipmentReceipts.default();
+    } catch (error) {
+      logWarn('Shipment receipts migration warning', { error: error.message });
+    }
+
+    try {
+      const addSupplierClaims = await import('./db/add-supplier-claims.js');
+      await addSupplierClaims.default();
+    } catch (error) {
+      logWarn('Supplier claims migration warning', { error: error.message });
+    }
+
+    try {
+      const addEmailImportReview = await import('./db/add-email-import-review.js');
+      await addEmailImportReview.default();
+    } catch (error) {
+      logWarn('Email import review migration warning', { error: error.message });
+    }
+
+    try {
+      const addImportMappingProfiles = await import('./db/add-import-mapping-profiles.js');
+      await addImportMappingProfiles.default();
+    } catch (error) {
+      logWarn('Import mapping profiles migration warning', { error: error.message });
+    }
+
+    try {
+      const addForwarderEmailRules = await import('./db/add-forwarder-email-rules.js');
+      await addForwarderEmailRules.default();
+    } catch (error) {
+      logWarn('Forwarder email rules migration warning', { error: error.message });
+    }
+
+    try {
+      const addFreightQuotes = await import('./db/add-freight-quotes.js');
+      await addFreightQuotes.default();
+    } catch (error) {
+      logWarn('Freight quotes migration warning', { error: error.message });
+    }
+
+    try {
+      const addFreightTenders = await import('./db/add-freight-tenders.js');
+      await addFreightTenders.default();
+    } catch (error) {
+      logWarn('Freight tenders migration warning', { error: error.message });
+    }
+
     try {
       const { addPerformanceIndexes } = await import('./db/add-performance-indexes.js');
       await addPerformanceIndexes();
@@ -45,6 +45,17 @@ export class NotificationScheduler {
       });
       scheduledJobs.push({ name: 'delayed-check', job: delayedCheckJob });
 
+      // Warn about containers nearing demurrage/detention charges every hour
+      const freeTimeCheckJob = cron.schedule('30 * * * *', async () => {
+        console.log('⏰ [Scheduler] Running container free-time check job...');
+        try {
+          await ScheduledNotifications.checkContainerFreeTime();
+        } catch (err) {
+          console.error('Error in free-time check job:', err);
+        }
+      });
+      scheduledJobs.push({ name: 'free-time-check', job: freeTimeCheckJob });
+
       // Clean up old notifications every Sunday at 2 AM
       const cleanupJob = cron.schedule('0 2 * * 0', async () => {
         console.log('⏰ [Scheduler] Running cleanup job...');
@@ -118,6 +129,7 @@ export class NotificationScheduler {
       console.log('   - Daily Digest: 8:00 AM UTC');
       console.log('   - Weekly Digest: Monday 8:00 AM UTC');
       console.log('   - Delayed Shipment Check: 9:00 AM UTC');
+      console.log('   - Container Free-Time Check: Every hour at :30');
       console.log('   - Cleanup: Sunday 2:00 AM UTC');
       console.log('   - Scheduled Reports: Every hour');
 
@@ -164,6 +176,8 @@ export class NotificationScheduler {
           return await ScheduledNotifications.sendWeeklyDigests();
         case 'delayed-check':
           return await ScheduledNotifications.checkDelayedShipments();
+        case 'free-time-check':
+          return await ScheduledNotifications.checkContainerFreeTime();
         case 'cleanup':
           return await ScheduledNotifications.cleanupOldNotifications(90);
         case 'scheduled-reports':
@@ -148,8 +148,8 @@ describe('Validation Rules', () => {
       expect(validateShipmentCreate).toBeDefined();
     });
 
-    it('validateQuoteCreate should validate forwarder enum', () => {
-      // Should only allow dhl, dsv, afrigistics
+    it('validateQuoteCreate should validate forwarder code', () => {
+      // Forwarders are kept in the database; only the code format is checked
       expect(validateQuoteCreate).toBeDefined();
     });
 
@@ -39,7 +39,11 @@ export const errorHandler = (
 
   // Determine if we should expose error details to client
   const isDevelopment = process.env.NODE_ENV === 'development';
-  const shouldExposeDetails = isDevelopment || error.code === 'VALIDATION_ERROR';
+  // Version conflicts carry the current record so the client can merge;
+  // rejected status changes list the statuses that are allowed; unavailable
+  // dock slots suggest free ones
+  const shouldExposeDetails = isDevelopment ||
+    ['VALIDATION_ERROR', 'VERSION_CONFLICT', 'INVALID_STATUS_TRANSITION', 'SLOT_UNAVAILABLE'].includes(error.code);
 
   // Build response
   const response = {
@@ -358,8 +358,8 @@ export const validateQuoteCreate = [
   body('forwarder')
     .notEmpty()
     .withMessage('Forwarder is required')
-    .isIn(['dhl', 'dsv', 'afrigistics'])
-    .withMessage('Forwarder must be one of: dhl, dsv, afrigistics')
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Forwarder must be a forwarder code, e.g. dhl')
     .trim(),
   body('fileName')
     .notEmpty()
@@ -0,0 +1,63 @@
+/**
+ * Backorder Routes
+ * Supplier backorders opened when a shipment is received short
+ */
+
+import { Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { validate } from '../middleware/validation.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import ReceiptController from '../controllers/ReceiptController.js';
+import { BACKORDER_STATUSES } from '../../src/utils/receipts.js';
+
+const router = Router();
+
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
+
+/**
+ * GET /api/backorders
+ * Backorders with their shipment's order ref and product, newest first;
+ * filtered by status (e.g. open) and supplier
+ */
+router.get(
+  '/',
+  query('status').optional().isIn(BACKORDER_STATUSES.map(s => s.value)).withMessage('Unknown backorder status'),
+  query('supplierId').optional().isString().trim(),
+  query('shipmentId').optional().isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const backorders = await ReceiptController.getBackorders({
+      status: req.query.status as string | undefined,
+      supplierId: req.query.supplierId as string | undefined,
+      shipmentId: req.query.shipmentId as string | undefined,
+    });
+    res.json(backorders);
+  })
+);
+
+/**
+ * POST /api/backorders/:id/write-off
+ * Close a backorder without the balance arriving; notes say why
+ */
+router.post(
+  '/:id/write-off',
+  param('id').isInt().toInt(),
+  body('notes').isString().trim().notEmpty().withMessage('A note is required to write off a backorder'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const backorder = await ReceiptController.writeOffBackorder(Number(req.params.id), req.body.notes, getActor(req));
+
+    const user = (req as any).user;
+    if (user) {
+      AuditRepository.logAudit(user.id, user.username || user.email, 'write_off', 'backorder', String(backorder.id), backorder.order_ref || backorder.shipment_id, {
+        outstanding: backorder.outstanding_quantity,
+        notes: backorder.notes,
+      });
+    }
+
+    res.json(backorder);
+  })
+);
+
+export default router;
@@ -13,7 +13,7 @@ import { getPool, queryAll, queryOne, transaction } from '../db/connection.js';
 import { AuditRepository } from '../db/repositories/AuditRepository.ts';
 import { parseBolPdf, autoAuditBol } from '../services/bolPdfParser.ts';
 import { parseExcelRateSheet } from '../services/rateSheetParser.ts';
-import { parseForwardingInvoice } from '../services/forwardingInvoiceParser.ts';
+import { parseForwardingInvoice, ForwardingInvoiceData } from '../services/forwardingInvoiceParser.ts';
 
 // PDF-only upload (10MB max)
 const pdfUpload = multer({
@@ -2008,11 +2008,51 @@ router.delete(
   })
 );
 
+/**
+ * Store a parsed forwarding invoice and its freight line under the BOL.
+ * Returns false when the invoice has no freight or was already recorded.
+ */
+async function recordForwardingInvoice(
+  bolId: number, bolNumber: string, invoice: ForwardingInvoiceData, filename: string, userId: string
+): Promise<boolean> {
+  if (invoice.freight_usd == null) return false;
+
+  const invoiceNumber = invoice.invoice_number || filename;
+  const existingInv = await queryOne(
+    `SELECT id FROM bol_invoices WHERE invoice_number = $1 AND bol_audit_id = $2 AND invoice_type = 'forwarding'`,
+    [invoiceNumber, bolId]
+  );
+  if (existingInv) return false;
+
+  const localAmount = invoice.exchange_rate
+    ? Math.round(invoice.freight_usd * invoice.exchange_rate * 100) / 100
+    : null;
+
+  const invResult = await queryOne(
+    `INSERT INTO bol_invoices (
+      bol_audit_id, invoice_number, invoice_type, subtotal, total, currency,
+      raw_text, pdf_filename, matched_bol_number, vessel, mobl, hobl, created_by
+    ) VALUES ($1,$2,'forwarding',$3,$3,'USD',$4,$5,$6,$7,$8,$9,$10) RETURNING id`,
+    [
+      bolId, invoiceNumber, invoice.freight_usd, invoice.raw_text, filename, bolNumber,
+      invoice.vessel_name, invoice.ocean_bol_number, invoice.house_bol_number, userId,
+    ]
+  );
+
+  await queryOne(
+    `INSERT INTO bol_invoice_line_items (bol_invoice_id, description, roe, foreign_amount, local_amount)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [(invResult as any).id, 'OCEAN FREIGHT', invoice.exchange_rate, invoice.freight_usd, localAmount]
+  );
+  return true;
+}
+
 /**
  * POST /api/bol-audit/upload-forwarding-invoice
  * Upload a forwarding agent invoice PDF (e.g. DHL), parse it, match to an
  * existing BOL by ocean/house BOL number, and update freight_charges_usd
- * plus any other empty fields.
+ * plus any other empty fields. The freight is also kept as a forwarding
+ * invoice line so cost reconciliation can compare it with the estimate.
  */
 router.post(
   '/upload-forwarding-invoice',
@@ -2094,8 +2134,11 @@ router.post(
       setIfEmpty('container_numbers', invoice.container_number ? JSON.stringify([invoice.container_number]) : null);
       setIfEmpty('container_type', invoice.container_type);
 
+      // Keep the freight charge as an invoice line so cost reconciliation sees the actual
+      const invoiceRecorded = await recordForwardingInvoice(bol.id, bolNumber, invoice, req.file.originalname, userId);
+
       if (updates.length === 0) {
-        return res.json({ message: 'No fields to update — BOL already has all data.', data: bol });
+        return res.json({ message: 'No fields to update — BOL already has all data.', data: bol, invoice_recorded: invoiceRecorded });
       }
 
       // Add updated_at
@@ -2127,6 +2170,7 @@ router.post(
           exchange_rate: invoice.exchange_rate,
           matched_bol: bolNumber,
         },
+        invoice_recorded: invoiceRecorded,
         message: `Forwarding invoice matched to BOL ${bolNumber}. Freight: $${invoice.freight_usd?.toLocaleString() || 'N/A'}`,
       });
     } catch (err: any) {
@@ -0,0 +1,110 @@
+/**
+ * Carrier Portal Routes
+ * Self-service dock booking for hauliers delivering assigned shipments
+ */
+
+import { Router, Request, Response } from 'express';
+import CarrierController from '../controllers/carrierController.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.ts';
+
+const router = Router();
+
+/**
+ * POST /api/carrier/register - Register new carrier account
+ */
+router.post('/register', async (req: Request, res: Response) => {
+  await CarrierController.register(req, res);
+});
+
+/**
+ * POST /api/carrier/login - Login carrier
+ */
+router.post('/login', async (req: Request, res: Response) => {
+  await CarrierController.login(req, res);
+});
+
+/**
+ * GET /api/carrier/pending - List pending carrier accounts (admin only)
+ */
+router.get('/pending', authenticateToken, requireAdmin, async (req: Request, res: Response) => {
+  await CarrierController.getPendingAccounts(req, res);
+});
+
+/**
+ * GET /api/carrier/carriers - List carriers with accounts and assigned shipments (admin only)
+ */
+router.get('/carriers', authenticateToken, requireAdmin, async (req: Request, res: Response) => {
+  await CarrierController.getCarriers(req, res);
+});
+
+/**
+ * PUT /api/carrier/carriers/:id/shipments - Set the shipments a carrier can book (admin only)
+ */
+router.put('/carriers/:id/shipments', authenticateToken, requireAdmin, async (req: Request, res: Response) => {
+  await CarrierController.assignShipments(req, res);
+});
+
+/**
+ * PUT /api/carrier/:id/approve - Approve a carrier account (admin only)
+ * Body: { carrierId? } links the account to an existing carrier
+ */
+router.put('/:id/approve', authenticateToken, requireAdmin, async (req: Request, res: Response) => {
+  await CarrierController.approveAccount(req, res);
+});
+
+/**
+ * PUT /api/carrier/:id/reject - Reject a carrier account (admin only)
+ */
+router.put('/:id/reject', authenticateToken, requireAdmin, async (req: Request, res: Response) => {
+  await CarrierController.rejectAccount(req, res);
+});
+
+// All routes below require carrier authentication
+router.use((req: Request, res: Response, next) => {
+  CarrierController.verifyCarrierToken(req, res, next);
+});
+
+/**
+ * GET /api/carrier/shipments - Shipments assigned to the carrier
+ */
+router.get('/shipments', async (req: Request, res: Response) => {
+  await CarrierController.getShipments(req, res);
+});
+
+/**
+ * GET /api/carrier/slots?warehouse=&from=YYYY-MM-DD&days=7 - Open dock slots
+ */
+router.get('/slots', async (req: Request, res: Response) => {
+  await CarrierController.getSlots(req, res);
+});
+
+/**
+ * GET /api/carrier/bookings - The carrier's bookings
+ */
+router.get('/bookings', async (req: Request, res: Response) => {
+  await CarrierController.getBookings(req, res);
+});
+
+/**
+ * POST /api/carrier/bookings - Book a truck into a slot
+ * A full or closed slot returns 409 with alternative slots
+ */
+router.post('/bookings', async (req: Request, res: Response) => {
+  await CarrierController.createBooking(req, res);
+});
+
+/**
+ * PUT /api/carrier/bookings/:id - Reschedule or update a booking
+ */
+router.put('/bookings/:id', async (req: Request, res: Response) => {
+  await CarrierController.updateBooking(req, res);
+});
+
+/**
+ * POST /api/carrier/bookings/:id/cancel - Cancel a booking
+ */
+router.post('/bookings/:id/cancel', async (req: Request, res: Response) => {
+  await CarrierController.cancelBooking(req, res);
+});
+
+export default router;
@@ -0,0 +1,230 @@
+/**
+ * Claim Routes
+ * Supplier claims (RMAs) for failed inspections, rejected shipments and
+ * receiving discrepancies
+ */
+
+import { Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { validate } from '../middleware/validation.js';
+import { createMultipleFileUpload, validateFilesPresent, generateSafeFilename } from '../middleware/fileUpload.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import ClaimController from '../controllers/ClaimController.js';
+import type { SupplierClaim } from '../db/repositories/ClaimRepository.js';
+import { CLAIM_SOURCES, CLAIM_STATUSES, RESOLUTION_TYPES } from '../../src/utils/supplierClaims.js';
+
+const router = Router();
+const upload = createMultipleFileUpload(10);
+
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
+
+const audit = (req: Request, action: string, claim: SupplierClaim, changes: Record<string, any>): void => {
+  const user = (req as any).user;
+  if (user) {
+    AuditRepository.logAudit(user.id, user.username || user.email, action, 'supplier_claim', String(claim.id), claim.claim_number, changes);
+  }
+};
+
+/**
+ * GET /api/claims
+ * Claims newest first, filtered by status, source, supplier or shipment
+ */
+router.get(
+  '/',
+  query('status').optional().isIn(CLAIM_STATUSES.map(s => s.value)).withMessage('Unknown claim status'),
+  query('source').optional().isIn(CLAIM_SOURCES.map(s => s.value)).withMessage('Unknown claim source'),
+  query('supplierId').optional().isString().trim(),
+  query('shipmentId').optional().isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const claims = await ClaimController.getClaims({
+      status: req.query.status as string | undefined,
+      source: req.query.source as string | undefined,
+      supplierId: req.query.supplierId as string | undefined,
+      shipmentId: req.query.shipmentId as string | undefined,
+    });
+    res.json(claims);
+  })
+);
+
+/**
+ * GET /api/claims/summary
+ * Claim count, value and amount recovered per supplier, for the scorecards
+ */
+router.get(
+  '/summary',
+  asyncHandler(async (_req: Request, res: Response) => {
+    res.json(await ClaimController.getSummary());
+  })
+);
+
+/**
+ * GET /api/claims/candidates
+ * Failed, rejected and short-received shipments with no claim yet
+ */
+router.get(
+  '/candidates',
+  asyncHandler(async (_req: Request, res: Response) => {
+    res.json(await ClaimController.getCandidates());
+  })
+);
+
+/**
+ * GET /api/claims/:id
+ * A claim with its photos and documents
+ */
+router.get(
+  '/:id',
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    res.json(await ClaimController.getClaim(Number(req.params.id)));
+  })
+);
+
+/**
+ * POST /api/claims
+ * Raise a claim against a shipment's supplier. Affected quantity and the
+ * cost estimate it is valued from default from the shipment.
+ */
+router.post(
+  '/',
+  body('shipmentId').isString().trim().notEmpty().withMessage('Shipment is required'),
+  body('source').isIn(CLAIM_SOURCES.map(s => s.value)).withMessage('Unknown claim source'),
+  body('description').isString().trim().notEmpty().withMessage('A description of the problem is required'),
+  body('affectedQuantity').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Affected quantity must be a non-negative integer').toInt(),
+  body('backorderId').optional({ nullable: true }).isInt().toInt(),
+  body('costEstimateId').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const claim = await ClaimController.openClaim(req.body, getActor(req));
+    audit(req, 'create', claim, {
+      shipmentId: claim.shipment_id,
+      source: claim.source,
+      affectedQuantity: claim.affected_quantity,
+      claimValue: claim.claim_value,
+    });
+    res.status(201).json(claim);
+  })
+);
+
+/**
+ * PUT /api/claims/:id
+ * Correct an open claim's description, quantity or cost estimate
+ */
+router.put(
+  '/:id',
+  param('id').isInt().toInt(),
+  body('description').optional().isString().trim(),
+  body('affectedQuantity').optional().isInt({ min: 0 }).withMessage('Affected quantity must be a non-negative integer').toInt(),
+  body('costEstimateId').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const claim = await ClaimController.updateClaim(Number(req.params.id), req.body);
+    audit(req, 'update', claim, {
+      description: claim.description,
+      affectedQuantity: claim.affected_quantity,
+      claimValue: claim.claim_value,
+    });
+    res.json(claim);
+  })
+);
+
+/**
+ * POST /api/claims/:id/documents
+ * Attach photos and documents (up to 10 files, field "documents")
+ */
+router.post(
+  '/:id/documents',
+  param('id').isInt().toInt(),
+  validate,
+  upload.array('documents', 10),
+  validateFilesPresent,
+  asyncHandler(async (req: Request, res: Response) => {
+    const files = (req.files as Express.Multer.File[]).map(file => ({
+      originalName: file.originalname,
+      storedName: generateSafeFilename(file.originalname),
+      buffer: file.buffer,
+      size: file.size,
+      mimeType: file.mimetype,
+    }));
+    const documents = await ClaimController.addDocuments(Number(req.params.id), files, {
+      description: req.body.description,
+      uploadedBy: getActor(req),
+    });
+    res.status(201).json(documents);
+  })
+);
+
+/**
+ * GET /api/claims/:id/documents/:documentId
+ * Download a claim document
+ */
+router.get(
+  '/:id/documents/:documentId',
+  param('id').isInt().toInt(),
+  param('documentId').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const document = await ClaimController.getDocument(Number(req.params.id), Number(req.params.documentId));
+    res.download(ClaimController.documentPath(document), document.file_name);
+  })
+);
+
+/**
+ * POST /api/claims/:id/resolve
+ * Record how the supplier settled the claim. Resolution value defaults to
+ * the claim value.
+ */
+router.post(
+  '/:id/resolve',
+  param('id').isInt().toInt(),
+  body('resolutionType').isIn(RESOLUTION_TYPES.map(r => r.value)).withMessage('Unknown resolution'),
+  body('resolutionReference').optional({ nullable: true }).isString().trim(),
+  body('resolutionValue').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Resolution value must be zero or more').toFloat(),
+  body('resolutionNotes').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const claim = await ClaimController.resolve(Number(req.params.id), req.body, getActor(req));
+    audit(req, 'resolve', claim, {
+      resolutionType: claim.resolution_type,
+      resolutionReference: claim.resolution_reference,
+      resolutionValue: claim.resolution_value,
+    });
+    res.json(claim);
+  })
+);
+
+/**
+ * POST /api/claims/:id/close
+ * Close a resolved claim
+ */
+router.post(
+  '/:id/close',
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const claim = await ClaimController.close(Number(req.params.id), getActor(req));
+    audit(req, 'close', claim, { status: claim.status });
+    res.json(claim);
+  })
+);
+
+/**
+ * POST /api/claims/:id/cancel
+ * Withdraw a claim raised in error; notes say why
+ */
+router.post(
+  '/:id/cancel',
+  param('id').isInt().toInt(),
+  body('notes').isString().trim().notEmpty().withMessage('A note is required to cancel a claim'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const claim = await ClaimController.cancel(Number(req.params.id), req.body.notes, getActor(req));
+    audit(req, 'cancel', claim, { notes: claim.resolution_notes });
+    res.json(claim);
+  })
+);
+
+export default router;
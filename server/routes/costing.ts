@@ -10,6 +10,7 @@ import { authenticateToken } from '../middleware/security.js';
 import { requireAdmin } from '../middleware/auth.ts';
 import { logInfo, logError } from '../utils/logger.js';
 import EmailService from '../services/emailService.js';
+import { TRADE_AGREEMENTS } from '../../src/utils/tariffCatalogue.js';
 
 const router = Router();
 
@@ -48,6 +49,8 @@ const createCostEstimateValidation = [
   body('insurance_usd').optional({ nullable: true }).isFloat({ min: 0, max: 10000000 }).withMessage('Insurance must be between 0 and 10,000,000'),
   body('customs_duty_percent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Customs duty must be between 0% and 100%'),
   body('vat_rate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('VAT rate must be between 0% and 100%'),
+  body('trade_agreement').optional({ nullable: true, checkFalsy: true })
+    .isIn(TRADE_AGREEMENTS.map(a => a.value)).withMessage('Unknown trade agreement'),
 ];
 
 const updateCostEstimateValidation = [
@@ -102,6 +105,93 @@ router.get(
   })
 );
 
+const reconciliationQueryValidators = [
+  query('tolerance').optional().isFloat({ min: 0, max: 1000 }).withMessage('tolerance must be a percentage'),
+  query('min_variance').optional().isFloat({ min: 0 }).withMessage('min_variance must be a ZAR amount'),
+];
+
+const reconciliationOptions = (req: Request) => ({
+  tolerancePct: req.query.tolerance !== undefined ? parseFloat(req.query.tolerance as string) : undefined,
+  minVarianceZar: req.query.min_variance !== undefined ? parseFloat(req.query.min_variance as string) : undefined,
+});
+
+/**
+ * GET /api/costing/reconciliation?tolerance=10&min_variance=500&from=2025-01-01&to=2025-06-30
+ * Estimate vs. actual landed cost for every estimate linked to a shipment
+ */
+router.get(
+  '/reconciliation',
+  authenticateToken,
+  [
+    ...reconciliationQueryValidators,
+    query('direction').optional().isIn(['import', 'export']),
+    query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+    query('flagged').optional().isBoolean(),
+  ],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await CostingController.getReconciliationSummary({
+      ...reconciliationOptions(req),
+      direction: req.query.direction as string,
+      from: req.query.from ? (req.query.from as string).slice(0, 10) : undefined,
+      to: req.query.to ? (req.query.to as string).slice(0, 10) : undefined,
+      flaggedOnly: req.query.flagged === 'true',
+    });
+    res.json(result);
+  })
+);
+
+const landedCostFilterValidators = [
+  query('product').optional().isString().trim(),
+  query('supplier').optional().isString().trim(),
+  query('transport_mode').optional().isIn(['sea', 'air']),
+  query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)'),
+];
+
+const landedCostFilters = (req: Request) => ({
+  product: (req.query.product as string) || undefined,
+  supplier: (req.query.supplier as string) || undefined,
+  transportMode: (req.query.transport_mode as string) || undefined,
+  from: req.query.from ? (req.query.from as string).slice(0, 10) : undefined,
+  to: req.query.to ? (req.query.to as string).slice(0, 10) : undefined,
+});
+
+/**
+ * GET /api/costing/landed-costs?product=...&supplier=...&from=...&to=...
+ * Per-product landed cost per kg/unit allocated from import estimates
+ */
+router.get(
+  '/landed-costs',
+  authenticateToken,
+  [...landedCostFilterValidators, query('limit').optional().isInt({ min: 1, max: 5000 }).toInt()],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const data = await CostingController.getProductLandedCosts(
+      landedCostFilters(req),
+      req.query.limit ? Number(req.query.limit) : undefined
+    );
+    res.json({ data });
+  })
+);
+
+/**
+ * GET /api/costing/landed-costs/trends?group_by=supplier&product=...
+ * Monthly landed cost per kg/unit per product or supplier
+ */
+router.get(
+  '/landed-costs/trends',
+  authenticateToken,
+  [...landedCostFilterValidators, query('group_by').optional().isIn(['product', 'supplier'])],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const groupBy = (req.query.group_by as 'product' | 'supplier') || 'product';
+    const result = await CostingController.getLandedCostTrends(groupBy, landedCostFilters(req));
+    res.json(result);
+  })
+);
+
 /**
  * GET /api/costing/:id
  * Get a single cost estimate
@@ -131,11 +221,11 @@ router.post(
   createCostEstimateValidation,
   validate,
   asyncHandler(async (req: Request, res: Response) => {
-    const userId = (req as any).user?.id;
+    const user = (req as any).user;
     const estimate = await CostingController.createCostEstimate({
       ...req.body,
-      created_by: userId,
-    });
+      created_by: user?.id,
+    }, user);
 
     logInfo(`Cost estimate created: ${estimate.id}`);
     res.status(201).json({ data: estimate, message: 'Cost estimate created successfully' });
@@ -153,7 +243,7 @@ router.put(
   updateCostEstimateValidation,
   validate,
   asyncHandler(async (req: Request, res: Response) => {
-    const estimate = await CostingController.updateCostEstimate(req.params.id, req.body);
+    const estimate = await CostingController.updateCostEstimate(req.params.id, req.body, (req as any).user);
     logInfo(`Cost estimate updated: ${req.params.id}`);
     res.json({ data: estimate, message: 'Cost estimate updated successfully' });
   })
@@ -193,6 +283,45 @@ router.post(
   })
 );
 
+/**
+ * GET /api/costing/:id/recalculate?date=2025-01-15
+ * Recalculate an estimate at the ROE of a historical date (not saved)
+ */
+router.get(
+  '/:id/recalculate',
+  authenticateToken,
+  [
+    param('id').isString().notEmpty(),
+    query('date').isISO8601().withMessage('date must be a date (YYYY-MM-DD)'),
+  ],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await CostingController.recalculateAtDate(req.params.id, (req.query.date as string).slice(0, 10));
+    if (!result) {
+      return res.status(404).json({ error: 'Cost estimate not found' });
+    }
+    res.json({ data: result });
+  })
+);
+
+/**
+ * GET /api/costing/:id/reconciliation?tolerance=10&min_variance=500
+ * Estimate vs. actual landed cost by category, with the matched invoice lines
+ */
+router.get(
+  '/:id/reconciliation',
+  authenticateToken,
+  [param('id').isString().notEmpty(), ...reconciliationQueryValidators],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await CostingController.getReconciliation(req.params.id, reconciliationOptions(req));
+    if (!result) {
+      return res.status(404).json({ error: 'Cost estimate not found' });
+    }
+    res.json({ data: result });
+  })
+);
+
 /**
  * POST /api/costing/:id/link-shipment
  * Link cost estimate to a shipment
@@ -232,19 +361,122 @@ router.delete(
 
 // ==================== EXCHANGE RATE ROUTES ====================
 
+// Accepts a pair ("EUR/ZAR") or bare currency code ("EUR")
+const currencyPairValidator = (value: string) => {
+  CostingController.normalizeCurrencyPair(value);
+  return true;
+};
+
 /**
- * GET /api/costing/exchange-rate/current
- * Get current USD/ZAR exchange rate
+ * GET /api/costing/exchange-rate/current?pair=EUR/ZAR
+ * Get current exchange rate for a pair (defaults to USD/ZAR)
  */
 router.get(
   '/exchange-rate/current',
   authenticateToken,
+  [query('pair').optional().isString().custom(currencyPairValidator)],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const rate = await CostingController.getExchangeRate(req.query.pair as string | undefined);
+    res.json({ data: rate });
+  })
+);
+
+/**
+ * GET /api/costing/exchange-rate/rates
+ * Get current exchange rates for all supported pairs
+ */
+router.get(
+  '/exchange-rate/rates',
+  authenticateToken,
+  asyncHandler(async (_req: Request, res: Response) => {
+    const rates = await CostingController.getAllExchangeRates();
+    res.json({ data: rates });
+  })
+);
+
+/**
+ * GET /api/costing/exchange-rate/history?pair=EUR/ZAR&from=2025-01-01&to=2025-01-31
+ * Get the daily rate ledger for a pair (defaults to the last 30 days).
+ * Older clients call it with ?limit= alone for the recent rate changes;
+ * that still answers as /exchange-rate/changes does.
+ */
+router.get(
+  '/exchange-rate/history',
+  authenticateToken,
+  [
+    query('pair').optional().isString().custom(currencyPairValidator),
+    query('from').optional().isISO8601().withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601().withMessage('to must be a date (YYYY-MM-DD)')
+      .custom((to, { req }) => !req.query?.from || String(req.query.from) <= String(to))
+      .withMessage('from must be on or before to'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    if (req.query.limit !== undefined && !req.query.from && !req.query.to) {
+      const changes = await CostingController.getExchangeRateChanges(
+        req.query.pair as string | undefined,
+        req.query.limit as unknown as number
+      );
+      res.json({ data: changes });
+      return;
+    }
+
+    const history = await CostingController.getExchangeRateHistory(
+      req.query.pair as string | undefined,
+      req.query.from as string | undefined,
+      req.query.to as string | undefined
+    );
+    res.json({ data: history });
+  })
+);
+
+/**
+ * GET /api/costing/exchange-rate/at-date?pair=USD/ZAR&date=2025-01-15
+ * Get the rate in effect for a pair on a date
+ */
+router.get(
+  '/exchange-rate/at-date',
+  authenticateToken,
+  [
+    query('pair').optional().isString().custom(currencyPairValidator),
+    query('date').isISO8601().withMessage('date must be a date (YYYY-MM-DD)'),
+  ],
+  validate,
   asyncHandler(async (req: Request, res: Response) => {
-    const rate = await CostingController.getExchangeRate();
+    const rate = await CostingController.getExchangeRateAtDate(
+      req.query.pair as string | undefined,
+      req.query.date as string
+    );
+    if (!rate) {
+      return res.status(404).json({ error: 'No exchange rate known on or before this date' });
+    }
     res.json({ data: rate });
   })
 );
 
+/**
+ * GET /api/costing/exchange-rate/changes?pair=EUR/ZAR&limit=50
+ * Get recent rate changes (API fetches and manual overrides) for a pair
+ */
+router.get(
+  '/exchange-rate/changes',
+  authenticateToken,
+  [
+    query('pair').optional().isString().custom(currencyPairValidator),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const changes = await CostingController.getExchangeRateChanges(
+      req.query.pair as string | undefined,
+      req.query.limit as unknown as number | undefined
+    );
+    res.json({ data: changes });
+  })
+);
+
 /**
  * POST /api/costing/exchange-rate/refresh
  * Force refresh exchange rate from API
@@ -253,30 +485,57 @@ router.post(
   '/exchange-rate/refresh',
   authenticateToken,
   requireAdmin,
+  [body('pair').optional().isString().custom(currencyPairValidator)],
+  validate,
   asyncHandler(async (req: Request, res: Response) => {
-    const rate = await CostingController.refreshExchangeRate();
-    logInfo('Exchange rate refreshed');
+    const rate = await CostingController.refreshExchangeRate(req.body.pair);
+    logInfo(`Exchange rate refreshed: ${rate.pair}`);
     res.json({ data: rate, message: 'Exchange rate refreshed' });
   })
 );
 
 /**
  * POST /api/costing/exchange-rate/manual
- * Set manual exchange rate
+ * Set manual exchange rate for a pair (defaults to USD/ZAR)
  */
 router.post(
   '/exchange-rate/manual',
   authenticateToken,
   requireAdmin,
-  [body('rate').isFloat({ min: 0 })],
+  [
+    body('rate').isFloat({ min: 0 }),
+    body('pair').optional().isString().custom(currencyPairValidator),
+  ],
   validate,
   asyncHandler(async (req: Request, res: Response) => {
-    const rate = await CostingController.setManualExchangeRate(req.body.rate);
-    logInfo(`Manual exchange rate set: ${req.body.rate}`);
+    const user = (req as any).user;
+    const rate = await CostingController.setManualExchangeRate(
+      parseFloat(req.body.rate),
+      req.body.pair,
+      user?.username || user?.id
+    );
+    logInfo(`Manual exchange rate set: ${rate.pair} ${req.body.rate}`);
     res.json({ data: rate, message: 'Exchange rate set manually' });
   })
 );
 
+/**
+ * DELETE /api/costing/exchange-rate/manual?pair=EUR/ZAR
+ * Clear a manual override so the pair uses API rates again
+ */
+router.delete(
+  '/exchange-rate/manual',
+  authenticateToken,
+  requireAdmin,
+  [query('pair').optional().isString().custom(currencyPairValidator)],
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const rate = await CostingController.clearManualExchangeRate(req.query.pair as string | undefined);
+    logInfo(`Manual exchange rate cleared: ${rate.pair}`);
+    res.json({ data: rate, message: 'Manual exchange rate cleared' });
+  })
+);
+
 /**
  * POST /api/costing/calculate
  * Calculate totals without saving (for live preview)
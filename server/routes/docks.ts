@@ -7,7 +7,13 @@ import { Router, Request, Response } from 'express';
 import { body } from 'express-validator';
 import { asyncHandler } from '../middleware/errorHandler.ts';
 import DockController from '../controllers/DockController.js';
+import { AppError } from '../utils/AppError.ts';
 import type { BodyRequest } from '../types/api.js';
+import { VEHICLE_TYPES, UNLOAD_METHODS, PRIORITIES } from '../../src/utils/dockAssignment.js';
+
+const vehicleTypes = VEHICLE_TYPES.map(o => o.value);
+const unloadMethods = UNLOAD_METHODS.map(o => o.value);
+const priorities = PRIORITIES.map(o => o.value);
 
 const router = Router();
 
@@ -39,15 +45,134 @@ router.get(
   })
 );
 
+// ─── Appointment Calendar Routes ───
+
+/**
+ * GET /api/docks/calendars
+ * List appointment calendars, optionally for one warehouse
+ */
+router.get(
+  '/calendars',
+  asyncHandler(async (req: Request, res: Response) => {
+    const warehouse = req.query.warehouse as string | undefined;
+    const calendars = await DockController.getCalendars(warehouse);
+    res.json(calendars);
+  })
+);
+
+/**
+ * PUT /api/docks/calendars
+ * Create or replace the calendar for a warehouse, or one dock when dockId is set
+ */
+router.put(
+  '/calendars',
+  body('warehouse').trim().notEmpty(),
+  body('dockId').optional({ nullable: true }).isInt(),
+  body('slotMinutes').optional().isInt(),
+  body('openTime').optional().matches(/^\d{2}:\d{2}$/),
+  body('closeTime').optional().matches(/^\d{2}:\d{2}$/),
+  body('openDays').optional().isArray(),
+  body('maxTrucksPerSlot').optional().isInt(),
+  asyncHandler(async (req: BodyRequest, res: Response) => {
+    const calendar = await DockController.saveCalendar(req.body);
+    res.json(calendar);
+  })
+);
+
+/**
+ * DELETE /api/docks/calendars/:id
+ * Remove a calendar (the warehouse or dock stops taking appointments)
+ */
+router.delete(
+  '/calendars/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    await DockController.deleteCalendar(parseInt(req.params.id!, 10));
+    res.json({ message: 'Dock calendar deleted' });
+  })
+);
+
+/**
+ * GET /api/docks/blackouts
+ * List blackout periods, optionally for a warehouse and date range
+ */
+router.get(
+  '/blackouts',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { warehouse, from, to } = req.query as Record<string, string>;
+    const blackouts = await DockController.getBlackouts(warehouse, from, to);
+    res.json(blackouts);
+  })
+);
+
+/**
+ * POST /api/docks/blackouts
+ * Close a warehouse (or one dock) to bookings for a period
+ */
+router.post(
+  '/blackouts',
+  body('warehouse').trim().notEmpty(),
+  body('dockId').optional({ nullable: true }).isInt(),
+  body('startsAt').notEmpty(),
+  body('endsAt').notEmpty(),
+  body('reason').optional().trim(),
+  asyncHandler(async (req: BodyRequest, res: Response) => {
+    const blackout = await DockController.createBlackout(req.body, req.user?.username);
+    res.status(201).json(blackout);
+  })
+);
+
+/**
+ * DELETE /api/docks/blackouts/:id
+ * Remove a blackout period
+ */
+router.delete(
+  '/blackouts/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    await DockController.deleteBlackout(parseInt(req.params.id!, 10));
+    res.json({ message: 'Dock blackout deleted' });
+  })
+);
+
+/**
+ * GET /api/docks/slots?warehouse=&dockId=&from=YYYY-MM-DD&days=7
+ * Appointment slots with their bookings and remaining capacity
+ */
+router.get(
+  '/slots',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { warehouse, dockId, from, days } = req.query as Record<string, string>;
+    if (!warehouse) {
+      res.status(400).json({ error: 'warehouse is required' });
+      return;
+    }
+    const slots = await DockController.getSlots(
+      warehouse,
+      dockId ? parseInt(dockId, 10) : null,
+      from,
+      days ? parseInt(days, 10) : 7
+    );
+    res.json(slots);
+  })
+);
+
 /**
  * PUT /api/docks/:id
- * Update dock (e.g., set to maintenance mode)
+ * Update dock (e.g., set to maintenance mode) or its capabilities
  */
 router.put(
   '/:id',
   body('status').optional().isIn(['available', 'occupied', 'maintenance']),
   body('notes').optional().trim(),
-  asyncHandler(async (req: BodyRequest<{ status?: string; notes?: string }>, res: Response) => {
+  body('isReefer').optional().isBoolean(),
+  body('vehicleTypes').optional().isArray(),
+  body('unloadMethods').optional().isArray(),
+  asyncHandler(async (req: BodyRequest<{
+    status?: string;
+    notes?: string;
+    isReefer?: boolean;
+    vehicleTypes?: string[];
+    unloadMethods?: string[];
+  }>, res: Response) => {
     const dock = await DockController.updateDock(parseInt(req.params.id!, 10), req.body);
     res.json(dock);
   })
@@ -94,6 +219,36 @@ router.get(
   })
 );
 
+/**
+ * GET /api/docks/trucks/queue/plan?warehouse=
+ * Queue in optimised order with the predicted dock, start and wait for each truck
+ */
+router.get(
+  '/trucks/queue/plan',
+  asyncHandler(async (req: Request, res: Response) => {
+    const warehouse = req.query.warehouse as string | undefined;
+    if (!warehouse) throw AppError.badRequest('warehouse is required');
+    const plan = await DockController.getQueuePlan(warehouse);
+    res.json(plan.map(({ truck, ...entry }) => ({ truckId: truck.id, ...entry })));
+  })
+);
+
+/**
+ * POST /api/docks/trucks/queue/optimise
+ * Reorder the queue at a warehouse to cut average wait
+ */
+router.post(
+  '/trucks/queue/optimise',
+  body('warehouse').trim().notEmpty().withMessage('warehouse is required'),
+  asyncHandler(async (req: BodyRequest<{ warehouse: string }>, res: Response) => {
+    const plan = await DockController.optimiseQueue(req.body.warehouse);
+    res.json({
+      message: 'Queue optimised',
+      data: plan.map(({ truck, ...entry }) => ({ truckId: truck.id, ...entry })),
+    });
+  })
+);
+
 /**
  * POST /api/docks/trucks
  * Create a new truck arrival
@@ -106,10 +261,18 @@ router.post(
   body('vehicleReg').optional().trim(),
   body('expectedArrival').optional(),
   body('warehouse').optional().trim(),
+  body('dockId').optional({ nullable: true }).isInt(),
   body('shipmentIds').optional().isArray(),
   body('notes').optional().trim(),
+  body('vehicleType').optional({ nullable: true, checkFalsy: true }).isIn(vehicleTypes),
+  body('unloadMethod').optional({ nullable: true, checkFalsy: true }).isIn(unloadMethods),
+  body('requiresReefer').optional().isBoolean(),
+  body('priority').optional().isIn(priorities),
   asyncHandler(async (req: BodyRequest, res: Response) => {
-    const { carrier, driverName, driverPhone, vehicleReg, expectedArrival, warehouse, shipmentIds, notes } = req.body;
+    const {
+      carrier, driverName, driverPhone, vehicleReg, expectedArrival, warehouse, dockId, shipmentIds, notes,
+      vehicleType, unloadMethod, requiresReefer, priority,
+    } = req.body;
     const currentUser = (req as any).user;
     const truck = await DockController.createTruckArrival({
       carrier,
@@ -118,8 +281,13 @@ router.post(
       vehicle_reg: vehicleReg,
       expected_arrival: expectedArrival ? new Date(expectedArrival) : undefined,
       warehouse: warehouse || null,
+      booked_dock_id: dockId ? parseInt(dockId, 10) : null,
       shipmentIds: shipmentIds || [],
       notes,
+      vehicle_type: vehicleType || null,
+      unload_method: unloadMethod || null,
+      requires_reefer: !!requiresReefer,
+      priority: priority || 'normal',
       created_by: currentUser?.username || currentUser?.id || null,
     });
     res.status(201).json(truck);
@@ -138,11 +306,19 @@ router.put(
   body('vehicleReg').optional().trim(),
   body('warehouse').optional().trim(),
   body('expectedArrival').optional(),
+  body('dockId').optional({ nullable: true }).isInt(),
   body('shipmentIds').optional().isArray(),
   body('notes').optional().trim(),
+  body('vehicleType').optional({ nullable: true, checkFalsy: true }).isIn(vehicleTypes),
+  body('unloadMethod').optional({ nullable: true, checkFalsy: true }).isIn(unloadMethods),
+  body('requiresReefer').optional().isBoolean(),
+  body('priority').optional().isIn(priorities),
   asyncHandler(async (req: BodyRequest, res: Response) => {
     const truckId = parseInt(req.params.id!, 10);
-    const { carrier, driverName, driverPhone, vehicleReg, warehouse, expectedArrival, shipmentIds, notes } = req.body;
+    const {
+      carrier, driverName, driverPhone, vehicleReg, warehouse, expectedArrival, dockId, shipmentIds, notes,
+      vehicleType, unloadMethod, requiresReefer, priority,
+    } = req.body;
     const updateData: Record<string, any> = {};
     if (carrier !== undefined) updateData.carrier = carrier;
     if (driverName !== undefined) updateData.driver_name = driverName;
@@ -150,8 +326,13 @@ router.put(
     if (vehicleReg !== undefined) updateData.vehicle_reg = vehicleReg;
     if (warehouse !== undefined) updateData.warehouse = warehouse;
     if (expectedArrival !== undefined) updateData.expected_arrival = expectedArrival ? new Date(expectedArrival) : null;
+    if (dockId !== undefined) updateData.booked_dock_id = dockId ? parseInt(dockId, 10) : null;
     if (shipmentIds !== undefined) updateData.shipmentIds = shipmentIds;
     if (notes !== undefined) updateData.notes = notes;
+    if (vehicleType !== undefined) updateData.vehicle_type = vehicleType || null;
+    if (unloadMethod !== undefined) updateData.unload_method = unloadMethod || null;
+    if (requiresReefer !== undefined) updateData.requires_reefer = !!requiresReefer;
+    if (priority !== undefined) updateData.priority = priority;
 
     const truck = await DockController.updateTruckArrival(truckId, updateData);
     res.json({ message: 'Truck arrival updated', data: truck });
@@ -193,7 +374,7 @@ router.post(
   body('warehouse').optional().trim(),
   asyncHandler(async (req: BodyRequest<{ warehouse?: string }>, res: Response) => {
     const truckId = parseInt(req.params.id!, 10);
-    const result = await DockController.checkIn(truckId, req.body.warehouse);
+    const result = await DockController.checkIn(truckId, req.body.warehouse, req.user?.username);
     res.json({
       message: result.dock ? 'Truck checked in and assigned to dock' : 'Truck checked in and added to queue',
       ...result,
@@ -210,7 +391,7 @@ router.post(
   body('dockId').isInt({ min: 1 }).withMessage('dockId is required'),
   asyncHandler(async (req: BodyRequest<{ dockId: number }>, res: Response) => {
     const truckId = parseInt(req.params.id!, 10);
-    const result = await DockController.assignDock(truckId, req.body.dockId);
+    const result = await DockController.assignDock(truckId, req.body.dockId, req.user?.username);
     res.json({ message: 'Dock assigned', ...result });
   })
 );
@@ -223,7 +404,7 @@ router.post(
   '/trucks/:id/start-unloading',
   asyncHandler(async (req: Request, res: Response) => {
     const truckId = parseInt(req.params.id!, 10);
-    const truck = await DockController.startUnloading(truckId);
+    const truck = await DockController.startUnloading(truckId, req.user?.username);
     res.json({ message: 'Unloading started', data: truck });
   })
 );
@@ -236,7 +417,7 @@ router.post(
   '/trucks/:id/complete',
   asyncHandler(async (req: Request, res: Response) => {
     const truckId = parseInt(req.params.id!, 10);
-    const result = await DockController.completeTruck(truckId);
+    const result = await DockController.completeTruck(truckId, req.user?.username);
     res.json({
       message: 'Truck completed',
       ...result,
@@ -0,0 +1,116 @@
+/**
+ * Document Number Routes
+ * Number series for GRNs, cost estimates, IWT releases, claims and freight
+ * tenders, issuing numbers and the register of issued and voided numbers
+ */
+
+import { Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { requireAdmin } from '../middleware/auth.ts';
+import { validate } from '../middleware/validation.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import DocumentNumberController from '../controllers/DocumentNumberController.js';
+import { DATE_PARTS, RESET_PERIODS } from '../../src/utils/documentNumbering.js';
+
+const router = Router();
+
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
+
+/**
+ * GET /api/document-numbers/series
+ * Every document type's number format and the number it issues next
+ */
+router.get(
+  '/series',
+  query('warehouse').optional().isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const series = await DocumentNumberController.getSeries(req.query.warehouse as string | undefined);
+    res.json(series);
+  })
+);
+
+/**
+ * PUT /api/document-numbers/series/:docType
+ * Change a document type's prefix, date part, warehouse counting and reset period (admin only)
+ */
+router.put(
+  '/series/:docType',
+  requireAdmin,
+  body('prefix').optional().isString().trim(),
+  body('datePart').optional().isIn(DATE_PARTS.map(p => p.value)).withMessage('Unknown date part'),
+  body('perWarehouse').optional().isBoolean().toBoolean(),
+  body('resetPeriod').optional().isIn(RESET_PERIODS.map(p => p.value)).withMessage('Unknown reset period'),
+  body('padding').optional().isInt({ min: 1, max: 8 }).toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const series = await DocumentNumberController.saveSeries(req.params.docType!, req.body, getActor(req));
+    res.json(series);
+  })
+);
+
+/**
+ * GET /api/document-numbers
+ * Register of issued and voided numbers, newest first
+ */
+router.get(
+  '/',
+  query('docType').optional().isString(),
+  query('status').optional().isIn(['issued', 'voided']),
+  query('search').optional().isString().trim(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const numbers = await DocumentNumberController.getNumbers({
+      docType: req.query.docType as string | undefined,
+      status: req.query.status as string | undefined,
+      search: req.query.search as string | undefined,
+      limit: req.query.limit ? Number(req.query.limit) : undefined,
+    });
+    res.json(numbers);
+  })
+);
+
+/**
+ * POST /api/document-numbers/:docType/issue
+ * Take the next number in a series, e.g. for a document raised outside the app
+ */
+router.post(
+  '/:docType/issue',
+  body('warehouse').optional({ nullable: true }).isString().trim(),
+  body('entityType').optional({ nullable: true }).isString().trim(),
+  body('entityId').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const issued = await DocumentNumberController.issue(req.params.docType!, req.body, getActor(req));
+    res.status(201).json(issued);
+  })
+);
+
+/**
+ * POST /api/document-numbers/:id/void
+ * Void a number that is no longer used; it stays in the register and is never reissued (admin only)
+ */
+router.post(
+  '/:id/void',
+  requireAdmin,
+  param('id').isInt().toInt(),
+  body('reason').isString().trim().notEmpty().withMessage('A reason is required to void a number'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const voided = await DocumentNumberController.voidNumber(Number(req.params.id), req.body.reason, getActor(req));
+
+    const user = (req as any).user;
+    if (user) {
+      AuditRepository.logAudit(user.id, user.username || user.email, 'void', 'document_number', String(voided.id), voided.number, {
+        docType: voided.doc_type,
+        reason: voided.void_reason,
+      });
+    }
+
+    res.json(voided);
+  })
+);
+
+export default router;
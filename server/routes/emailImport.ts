@@ -1,16 +1,26 @@
 /**
  * Email Import Routes
- * Handles IMAP email monitoring for automated shipment import
+ * Handles IMAP email monitoring for automated shipment import, the review
+ * queue emailed rows wait in before they reach the shipments table, and
+ * the rules that read updates out of forwarder emails
  */
 
 import { Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
 import EmailImporter from '../services/emailImporter.ts';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { validateEmailImportConfig } from '../middleware/validation.js';
+import { validateEmailImportConfig, validate } from '../middleware/validation.js';
 import { AppError } from '../utils/AppError.ts';
 import { asyncHandler } from '../middleware/errorHandler.ts';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import ImportReviewController from '../controllers/ImportReviewController.js';
+import ForwarderRuleController from '../controllers/ForwarderRuleController.js';
+import type { ImportRow } from '../db/repositories/ImportReviewRepository.js';
+import type { ForwarderEmailRule } from '../db/repositories/ForwarderRuleRepository.js';
+import { REVIEW_ACTIONS, REVIEW_STATUSES } from '../../src/utils/importReview.js';
+import { RULE_FIELDS, MATCH_TYPES, SEARCH_IN } from '../../src/utils/forwarderEmailRules.js';
 
 const router = Router();
 const __filename = fileURLToPath(import.meta.url);
@@ -25,6 +35,15 @@ interface EmailImportConfig {
 
 let emailImporter: EmailImporter | null = null;
 
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
+
+const audit = (req: Request, action: string, row: ImportRow, changes: Record<string, any>): void => {
+  const user = (req as any).user;
+  if (user) {
+    AuditRepository.logAudit(user.id, user.username || user.email, action, 'shipment_import_row', String(row.id), row.order_ref || `Row ${row.row_number}`, changes);
+  }
+};
+
 /**
  * POST /api/email-import/test-connection - Test email connection
  */
@@ -232,6 +251,169 @@ router.post('/manual-import', asyncHandler(async (req: Request, res: Response) =
   });
 }));
 
+/**
+ * GET /api/email-import/review - Emailed rows staged for review
+ * Pending rows by default; filter by status, action or email
+ */
+router.get(
+  '/review',
+  query('status').optional().isIn(REVIEW_STATUSES.map(s => s.value)).withMessage('Unknown review status'),
+  query('action').optional().isIn(REVIEW_ACTIONS.map(a => a.value)).withMessage('Unknown review action'),
+  query('source').optional().isIn(['attachment', 'email_body']).withMessage('Unknown row source'),
+  query('emailImportId').optional().isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const rows = await ImportReviewController.getQueue({
+      status: (req.query.status as string | undefined) || 'pending',
+      action: req.query.action as string | undefined,
+      source: req.query.source as string | undefined,
+      emailImportId: req.query.emailImportId ? Number(req.query.emailImportId) : undefined,
+    });
+    res.json(rows);
+  })
+);
+
+/**
+ * GET /api/email-import/review/emails - Emails read, newest first, with rows still pending
+ */
+router.get('/review/emails', asyncHandler(async (_req: Request, res: Response) => {
+  res.json(await ImportReviewController.getEmailImports());
+}));
+
+/**
+ * PUT /api/email-import/review/:id - Correct a pending row before approving it
+ * Body: the row's fields (camelCase); its match and changes are worked out again
+ */
+router.put(
+  '/review/:id',
+  param('id').isInt().toInt(),
+  body().isObject().withMessage('Send the fields to change'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const row = await ImportReviewController.editRow(Number(req.params.id), req.body);
+    audit(req, 'update', row, { edits: req.body, action: row.action });
+    res.json(row);
+  })
+);
+
+/**
+ * POST /api/email-import/review/:id/approve - Apply a pending row to the shipments table
+ */
+router.post(
+  '/review/:id/approve',
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const row = await ImportReviewController.approveRow(Number(req.params.id), getActor(req));
+    audit(req, 'approve', row, { action: row.action, shipmentId: row.shipment_id, changes: row.changes });
+    res.json(row);
+  })
+);
+
+/**
+ * POST /api/email-import/review/:id/reject - Discard a pending row
+ */
+router.post(
+  '/review/:id/reject',
+  param('id').isInt().toInt(),
+  body('notes').optional({ nullable: true }).isString().trim(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const row = await ImportReviewController.rejectRow(Number(req.params.id), req.body.notes, getActor(req));
+    audit(req, 'reject', row, { notes: row.review_notes });
+    res.json(row);
+  })
+);
+
+const auditRule = (req: Request, action: string, rule: ForwarderEmailRule, changes: Record<string, any>): void => {
+  const user = (req as any).user;
+  if (user) {
+    AuditRepository.logAudit(user.id, user.username || user.email, action, 'forwarder_email_rule', String(rule.id), `${rule.forwarder}: ${rule.field}`, changes);
+  }
+};
+
+const ruleRules = [
+  body('senderPatterns').optional().isArray(),
+  body('senderPatterns.*').optional().isString(),
+  body('value').optional({ nullable: true }).isString(),
+  body('searchIn').optional().isIn(SEARCH_IN.map(s => s.value)).withMessage('Unknown search area'),
+  body('active').optional().isBoolean().toBoolean(),
+  body('sortOrder').optional().isInt().toInt(),
+];
+
+/**
+ * GET /api/email-import/rules - Rules for reading forwarder emails, by forwarder
+ */
+router.get('/rules', asyncHandler(async (_req: Request, res: Response) => {
+  res.json(await ForwarderRuleController.getRules());
+}));
+
+/**
+ * POST /api/email-import/rules/test - Read a pasted email with the active rules
+ * Body: from, subject, body. Nothing is staged.
+ */
+router.post(
+  '/rules/test',
+  body('from').optional({ nullable: true }).isString(),
+  body('subject').optional({ nullable: true }).isString(),
+  body('body').optional({ nullable: true }).isString(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    res.json(await ForwarderRuleController.testRules(req.body));
+  })
+);
+
+/**
+ * POST /api/email-import/rules - Add a keyword or regex rule for a forwarder
+ */
+router.post(
+  '/rules',
+  body('forwarder').isString().trim().notEmpty().withMessage('Forwarder is required'),
+  body('field').isIn(RULE_FIELDS.map(f => f.field)).withMessage('Unknown field'),
+  body('matchType').isIn(MATCH_TYPES.map(t => t.value)).withMessage('Unknown match type'),
+  body('pattern').isString().trim().notEmpty().withMessage('A keyword or pattern is required'),
+  ...ruleRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const rule = await ForwarderRuleController.createRule(req.body, getActor(req));
+    auditRule(req, 'create', rule, { matchType: rule.match_type, pattern: rule.pattern, value: rule.value });
+    res.status(201).json(rule);
+  })
+);
+
+/**
+ * PUT /api/email-import/rules/:id - Change a rule, or switch it off
+ */
+router.put(
+  '/rules/:id',
+  param('id').isInt().toInt(),
+  body('forwarder').optional().isString().trim().notEmpty(),
+  body('field').optional().isIn(RULE_FIELDS.map(f => f.field)).withMessage('Unknown field'),
+  body('matchType').optional().isIn(MATCH_TYPES.map(t => t.value)).withMessage('Unknown match type'),
+  body('pattern').optional().isString().trim().notEmpty(),
+  ...ruleRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const rule = await ForwarderRuleController.updateRule(Number(req.params.id), req.body);
+    auditRule(req, 'update', rule, req.body);
+    res.json(rule);
+  })
+);
+
+/**
+ * DELETE /api/email-import/rules/:id
+ */
+router.delete(
+  '/rules/:id',
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const rule = await ForwarderRuleController.deleteRule(Number(req.params.id));
+    auditRule(req, 'delete', rule, {});
+    res.json({ success: true });
+  })
+);
+
 /**
  * GET /api/email-import/setup-help - Get configuration help
  */
@@ -0,0 +1,264 @@
+/**
+ * Freight Tender Routes
+ * RFQs sent to forwarders for big shipments, their responses and the
+ * award. Changing a tender's status, managing invitations and awarding
+ * are admin only. The /respond routes are for invited forwarders, who have
+ * no account: the token from their invitation link identifies them.
+ */
+
+import { Router, Request, Response } from 'express';
+import { body, param, query } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, requireAdmin, createRateLimiter } from '../middleware/security.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import FreightTenderController from '../controllers/FreightTenderController.js';
+import type { FreightTender } from '../db/repositories/FreightTenderRepository.js';
+import { INCOTERMS, TENDER_CURRENCIES, TENDER_MODES, TENDER_STATUSES } from '../../src/utils/freightTenders.js';
+
+const router = Router();
+
+// Forwarders respond without logging in, so guess-the-token attempts are kept slow
+const responseRateLimiter = createRateLimiter(15 * 60 * 1000, 30);
+
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
+
+const audit = (req: Request, action: string, tender: FreightTender, changes: Record<string, any>): void => {
+  const user = (req as any).user;
+  if (user) {
+    AuditRepository.logAudit(user.id, user.username || user.email, action, 'freight_tender', String(tender.id), tender.tender_number, changes);
+  }
+};
+
+const tenderRules = [
+  body('mode').optional().isIn(TENDER_MODES.map(m => m.value)).withMessage('Mode must be sea or air freight'),
+  body('incoterm').optional({ nullable: true, checkFalsy: true }).isIn(INCOTERMS).withMessage('Unknown incoterm'),
+  body('cbm').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('CBM must be zero or more'),
+  body('weightKg').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Weight must be zero or more'),
+  body('requiredDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Required date must be a date'),
+  body('responseDue').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Response due date must be a date'),
+];
+
+const tokenParam = param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('This tender link is not valid');
+
+// ─── Forwarder response form ───
+
+/**
+ * GET /api/freight-tenders/respond/:token
+ * The RFQ and the forwarder's own response, for their response form
+ */
+router.get(
+  '/respond/:token',
+  responseRateLimiter,
+  tokenParam,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    res.json(await FreightTenderController.getByToken(String(req.params.token)));
+  })
+);
+
+/**
+ * POST /api/freight-tenders/respond/:token
+ * Submit or revise a forwarder's rates while the tender is open
+ */
+router.post(
+  '/respond/:token',
+  responseRateLimiter,
+  tokenParam,
+  body('currency').isIn(TENDER_CURRENCIES).withMessage(`Currency must be one of: ${TENDER_CURRENCIES.join(', ')}`),
+  body('freightAmount').isFloat({ gt: 0 }).withMessage('Freight amount must be more than zero'),
+  body('originCharges').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Origin charges must be zero or more'),
+  body('transitDays').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Transit time must be a whole number of days'),
+  body('validUntil').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid until must be a date'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    res.json(await FreightTenderController.submitResponse(String(req.params.token), req.body));
+  })
+);
+
+// ─── Tenders ───
+
+/**
+ * GET /api/freight-tenders
+ * Tenders newest first with invitation and response counts; ?status= to filter
+ */
+router.get(
+  '/',
+  authenticateToken,
+  query('status').optional().isIn(TENDER_STATUSES.map(s => s.value)).withMessage('Unknown tender status'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    res.json(await FreightTenderController.getTenders(req.query.status as string | undefined));
+  })
+);
+
+/**
+ * POST /api/freight-tenders
+ * Draft an RFQ; it takes the next tender number
+ */
+router.post(
+  '/',
+  authenticateToken,
+  body('origin').isString().trim().notEmpty().withMessage('Origin is required'),
+  body('destination').isString().trim().notEmpty().withMessage('Destination is required'),
+  body('mode').isIn(TENDER_MODES.map(m => m.value)).withMessage('Mode must be sea or air freight'),
+  ...tenderRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const tender = await FreightTenderController.createTender(req.body, getActor(req));
+    audit(req, 'create', tender, { origin: tender.origin, destination: tender.destination, shipmentId: tender.shipment_id });
+    res.status(201).json(tender);
+  })
+);
+
+/**
+ * GET /api/freight-tenders/:id
+ * A tender with its invitations and responses
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    res.json(await FreightTenderController.getTender(Number(req.params.id)));
+  })
+);
+
+/**
+ * PUT /api/freight-tenders/:id
+ * Change the lane, cargo or dates while the tender is a draft or open
+ */
+router.put(
+  '/:id',
+  authenticateToken,
+  param('id').isInt().toInt(),
+  body('origin').optional().isString().trim().notEmpty(),
+  body('destination').optional().isString().trim().notEmpty(),
+  ...tenderRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const tender = await FreightTenderController.updateTender(Number(req.params.id), req.body);
+    audit(req, 'update', tender, req.body);
+    res.json(tender);
+  })
+);
+
+/**
+ * PUT /api/freight-tenders/:id/status
+ * Close to further responses, reopen, or cancel ({ status })
+ */
+router.put(
+  '/:id/status',
+  authenticateToken,
+  requireAdmin,
+  param('id').isInt().toInt(),
+  body('status').isIn(['open', 'closed', 'cancelled']).withMessage('Status must be open, closed or cancelled'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const tender = await FreightTenderController.setStatus(Number(req.params.id), req.body.status);
+    audit(req, 'status', tender, { status: tender.status });
+    res.json(tender);
+  })
+);
+
+// ─── Invitations ───
+
+/**
+ * POST /api/freight-tenders/:id/invitations
+ * Email response links to forwarders ({ forwarderIds }); the links are
+ * returned once so they can be passed on if an email did not go out
+ */
+router.post(
+  '/:id/invitations',
+  authenticateToken,
+  requireAdmin,
+  param('id').isInt().toInt(),
+  body('forwarderIds').isArray({ min: 1 }).withMessage('Choose at least one forwarder'),
+  body('forwarderIds.*').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await FreightTenderController.inviteForwarders(Number(req.params.id), req.body.forwarderIds, getActor(req));
+    audit(req, 'invite', result.tender, { forwarders: result.sent.map(s => s.invitation.forwarder_name) });
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/freight-tenders/:id/invitations/:invitationId/resend
+ * Send a fresh link, optionally to another address ({ email }); the old link stops working
+ */
+router.post(
+  '/:id/invitations/:invitationId/resend',
+  authenticateToken,
+  requireAdmin,
+  param('id').isInt().toInt(),
+  param('invitationId').isInt().toInt(),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email is not valid'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const sent = await FreightTenderController.resendInvitation(
+      Number(req.params.id), Number(req.params.invitationId), req.body.email, getActor(req)
+    );
+    res.json(sent);
+  })
+);
+
+/**
+ * DELETE /api/freight-tenders/:id/invitations/:invitationId
+ * Withdraw an invitation that has not been answered
+ */
+router.delete(
+  '/:id/invitations/:invitationId',
+  authenticateToken,
+  requireAdmin,
+  param('id').isInt().toInt(),
+  param('invitationId').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const invitation = await FreightTenderController.removeInvitation(Number(req.params.id), Number(req.params.invitationId));
+    res.json({ message: `Invitation to ${invitation.forwarder_name} withdrawn` });
+  })
+);
+
+// ─── Comparison and award ───
+
+/**
+ * GET /api/freight-tenders/:id/compare
+ * Responses side by side with the quote comparison report
+ */
+router.get(
+  '/:id/compare',
+  authenticateToken,
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    res.json(await FreightTenderController.compare(Number(req.params.id)));
+  })
+);
+
+/**
+ * POST /api/freight-tenders/:id/award
+ * Award to a response ({ invitationId }): its rates go to the cost
+ * estimate and the forwarder becomes the shipment's forwarding agent
+ */
+router.post(
+  '/:id/award',
+  authenticateToken,
+  requireAdmin,
+  param('id').isInt().toInt(),
+  body('invitationId').isInt().toInt().withMessage('Choose the response to award'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await FreightTenderController.award(Number(req.params.id), req.body.invitationId, (req as any).user);
+    const winner = result.tender.invitations.find(i => i.id === req.body.invitationId);
+    audit(req, 'award', result.tender, {
+      forwarder: winner?.forwarder_name,
+      costEstimateId: result.estimate.id,
+      estimateCreated: result.estimateCreated,
+    });
+    res.json(result);
+  })
+);
+
+export default router;
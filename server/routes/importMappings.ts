@@ -0,0 +1,129 @@
+/**
+ * Import Mapping Routes
+ * Saved column-mapping profiles for supplier spreadsheets, and picking the
+ * profile for a sheet by sender or headers
+ */
+
+import { Router, Request, Response } from 'express';
+import { body, param } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { validate } from '../middleware/validation.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import ImportMappingController from '../controllers/ImportMappingController.js';
+import type { ImportMappingProfile } from '../db/repositories/ImportMappingRepository.js';
+import { DATE_FORMATS } from '../../src/utils/importMapping.js';
+
+const router = Router();
+
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
+
+const audit = (req: Request, action: string, profile: ImportMappingProfile, changes: Record<string, any>): void => {
+  const user = (req as any).user;
+  if (user) {
+    AuditRepository.logAudit(user.id, user.username || user.email, action, 'import_mapping_profile', String(profile.id), profile.name, changes);
+  }
+};
+
+const profileRules = [
+  body('supplierId').optional({ nullable: true }).isString(),
+  body('senderPatterns').optional().isArray(),
+  body('senderPatterns.*').optional().isString(),
+  body('headers').optional().isArray(),
+  body('columns').optional().isObject(),
+  body('valueTranslations').optional().isObject(),
+  body('dateFormat').optional().isIn(DATE_FORMATS.map(f => f.value)).withMessage('Unknown date format'),
+  body('defaultWarehouse').optional({ nullable: true }).isString().trim(),
+];
+
+/**
+ * GET /api/import-mappings
+ * Every saved mapping profile, by name
+ */
+router.get(
+  '/',
+  asyncHandler(async (_req: Request, res: Response) => {
+    const profiles = await ImportMappingController.getProfiles();
+    res.json(profiles);
+  })
+);
+
+/**
+ * POST /api/import-mappings/match
+ * The profile for a sheet, by sender address or header fingerprint; null if none fits
+ */
+router.post(
+  '/match',
+  body('sender').optional({ nullable: true }).isString(),
+  body('headers').optional().isArray(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const match = await ImportMappingController.selectFor({
+      sender: req.body.sender,
+      headers: (req.body.headers || []).map(String),
+    });
+    res.json(match);
+  })
+);
+
+/**
+ * GET /api/import-mappings/:id
+ */
+router.get(
+  '/:id',
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const profile = await ImportMappingController.getProfile(Number(req.params.id));
+    res.json(profile);
+  })
+);
+
+/**
+ * POST /api/import-mappings
+ * Save a profile: column → field, value translations, date format and default warehouse
+ */
+router.post(
+  '/',
+  body('name').isString().trim().notEmpty().withMessage('A profile name is required'),
+  body('columns').isObject().withMessage('Columns are required'),
+  ...profileRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const profile = await ImportMappingController.createProfile(req.body, getActor(req));
+    audit(req, 'create', profile, { columns: profile.columns, senderPatterns: profile.sender_patterns });
+    res.status(201).json(profile);
+  })
+);
+
+/**
+ * PUT /api/import-mappings/:id
+ */
+router.put(
+  '/:id',
+  param('id').isInt().toInt(),
+  body('name').optional().isString().trim().notEmpty(),
+  ...profileRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const profile = await ImportMappingController.updateProfile(Number(req.params.id), req.body);
+    audit(req, 'update', profile, req.body);
+    res.json(profile);
+  })
+);
+
+/**
+ * DELETE /api/import-mappings/:id
+ * Sheets it matched fall back to guessing columns from header names
+ */
+router.delete(
+  '/:id',
+  param('id').isInt().toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const profile = await ImportMappingController.deleteProfile(Number(req.params.id));
+    audit(req, 'delete', profile, {});
+    res.json({ success: true });
+  })
+);
+
+export default router;
@@ -0,0 +1,84 @@
+/**
+ * Pallet Label Routes
+ * Handles printing and reprinting a shipment's pallet labels, each
+ * warehouse's label template and looking up a scanned label
+ */
+
+import { Router, Request, Response } from 'express';
+import { body } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { requireAdmin } from '../middleware/auth.ts';
+import PalletLabelController from '../controllers/PalletLabelController.js';
+import type { BodyRequest } from '../types/api.js';
+
+const router = Router();
+
+/**
+ * GET /api/pallet-labels/scan/:code
+ * The shipment a scanned pallet label (or order ref) belongs to
+ */
+router.get(
+  '/scan/:code',
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await PalletLabelController.resolveScan(req.params.code!);
+    res.json(result);
+  })
+);
+
+/**
+ * GET /api/pallet-labels/templates
+ * Label templates set per warehouse
+ */
+router.get(
+  '/templates',
+  asyncHandler(async (_req: Request, res: Response) => {
+    const templates = await PalletLabelController.getTemplates();
+    res.json(templates);
+  })
+);
+
+/**
+ * PUT /api/pallet-labels/templates/:warehouse
+ * Set a warehouse's label size, header and fields
+ */
+router.put(
+  '/templates/:warehouse',
+  requireAdmin,
+  body('size').optional().isString(),
+  body('headerText').optional({ nullable: true }).isString().trim(),
+  body('fields').optional().isArray(),
+  asyncHandler(async (req: BodyRequest<{ size?: string; headerText?: string; fields?: string[] }>, res: Response) => {
+    const template = await PalletLabelController.saveTemplate(req.params.warehouse!, req.body, req.user?.username);
+    res.json(template);
+  })
+);
+
+/**
+ * GET /api/pallet-labels/shipment/:shipmentId
+ * A shipment's labels with their print history and its warehouse's template
+ */
+router.get(
+  '/shipment/:shipmentId',
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await PalletLabelController.getLabels(req.params.shipmentId!);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/pallet-labels/shipment/:shipmentId/print
+ * Refresh a shipment's labels and count them as printed. Body: { palletNos?: number[] }
+ * to reprint only some pallets.
+ */
+router.post(
+  '/shipment/:shipmentId/print',
+  body('palletNos').optional({ nullable: true }).isArray(),
+  body('palletNos.*').isInt({ min: 1 }).toInt(),
+  asyncHandler(async (req: BodyRequest<{ palletNos?: number[] | null }>, res: Response) => {
+    const palletNos = req.body.palletNos && req.body.palletNos.length > 0 ? req.body.palletNos : null;
+    const result = await PalletLabelController.printLabels(req.params.shipmentId!, palletNos, req.user?.username);
+    res.json(result);
+  })
+);
+
+export default router;
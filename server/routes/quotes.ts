@@ -1,50 +1,42 @@
-import { Router, Request, Response } from 'express';
+/**
+ * Freight Quote Routes
+ * Forwarders and the quote documents they send. Files are stored under
+ * uploads/quotes/<forwarder code>; lane, mode, validity and charges are
+ * kept in the database so quotes can be found by lane and expiry.
+ */
+
+import { Router, Request, Response, NextFunction } from 'express';
 import fs from 'fs/promises';
 import path from 'path';
 import multer from 'multer';
-import { fileURLToPath } from 'url';
-import PDFAnalyzer from '../services/pdfAnalyzer.js';
-import { ALLOWED_FILE_TYPES, generateSafeFilename } from '../middleware/fileUpload.js';
-import { validateQuoteCreate } from '../middleware/validation.js';
+import { body, param, query } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { validate } from '../middleware/validation.js';
+import { ALLOWED_FILE_TYPES } from '../middleware/fileUpload.js';
+import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import FreightQuoteController, { QUOTES_DIR } from '../controllers/FreightQuoteController.js';
+import type { Forwarder } from '../db/repositories/FreightQuoteRepository.js';
+import { QUOTE_MODES, QUOTE_VALIDITY } from '../../src/utils/freightQuotes.js';
 
 const router = Router();
-const __filename: string = fileURLToPath(import.meta.url);
-const __dirname: string = path.dirname(__filename);
 
-// Base directory for quotes storage
-const QUOTES_DIR: string = path.join(__dirname, '../uploads/quotes');
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
 
-// Supported forwarders
-const FORWARDERS: string[] = ['dhl', 'dsv', 'afrigistics'];
-
-// Initialize PDF analyzer
-const pdfAnalyzer = new PDFAnalyzer();
-
-// Ensure directories exist
-async function ensureDirectories(): Promise<void> {
-  try {
-    await fs.mkdir(QUOTES_DIR, { recursive: true });
-    for (const forwarder of FORWARDERS) {
-      await fs.mkdir(path.join(QUOTES_DIR, forwarder), { recursive: true });
-    }
-  } catch (error: any) {
-    console.error('Error creating quotes directories:', error);
+const audit = (req: Request, action: string, entity: string, id: number, name: string, changes: Record<string, any>): void => {
+  const user = (req as any).user;
+  if (user) {
+    AuditRepository.logAudit(user.id, user.username || user.email, action, entity, String(id), name, changes);
   }
-}
-
-// Initialize directories
-ensureDirectories();
+};
 
-// Configure multer for file uploads
+// Configure multer for file uploads; the forwarder is loaded before multer runs
 const storage = multer.diskStorage({
-  destination: (req: Express.Request, file: Express.Multer.File, cb: (error: Error | null, destination: string) => void) => {
-    const forwarder: string = (req as any).params.forwarder;
-    if (!FORWARDERS.includes(forwarder)) {
-      return cb(new Error('Invalid forwarder'), '');
-    }
-    cb(null, path.join(QUOTES_DIR, forwarder));
+  destination: (_req: Express.Request, _file: Express.Multer.File, cb: (error: Error | null, destination: string) => void) => {
+    const forwarder: Forwarder = (_req as any).forwarder;
+    const dir: string = path.join(QUOTES_DIR, forwarder.code);
+    fs.mkdir(dir, { recursive: true }).then(() => cb(null, dir), (error: Error) => cb(error, ''));
   },
-  filename: (req: Express.Request, file: Express.Multer.File, cb: (error: Error | null, filename: string) => void) => {
+  filename: (_req: Express.Request, file: Express.Multer.File, cb: (error: Error | null, filename: string) => void) => {
     // Preserve original filename with timestamp prefix to avoid conflicts
     const timestamp: number = Date.now();
     const originalName: string = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
@@ -53,7 +45,7 @@ const storage = multer.diskStorage({
 });
 
 // Enhanced file filter using centralized validation
-const fileFilter = (req: Express.Request, file: Express.Multer.File, cb: multer.FileFilterCallback) => {
+const fileFilter = (_req: Express.Request, file: Express.Multer.File, cb: multer.FileFilterCallback) => {
   // Get allowed MIME types for documents (PDF, Excel, Word)
   const allowedMimes: string[] = [
     ...(ALLOWED_FILE_TYPES as any).pdf.mimes,
@@ -96,441 +88,251 @@ const upload = multer({
   fileFilter
 });
 
-interface QuoteFileInfo {
-  filename: string;
-  size: number;
-  uploadedAt: string;
-  path: string;
-}
-
-interface QuoteCompareInput {
-  forwarder: string;
-  filename: string;
-}
-
-interface ForwarderSummary {
-  [forwarder: string]: {
-    count: number;
-    forwarder: string;
-  };
-}
-
-// GET /api/quotes/:forwarder - Get all quotes for a forwarder
-router.get('/:forwarder', async (req: Request, res: Response) => {
-  try {
-    const { forwarder } = req.params;
-
-    if (!FORWARDERS.includes(forwarder)) {
-      return res.status(400).json({ error: 'Invalid forwarder' });
-    }
-
-    const forwarderDir: string = path.join(QUOTES_DIR, forwarder);
-
-    try {
-      const files: string[] = await fs.readdir(forwarderDir);
-      const quotes: QuoteFileInfo[] = await Promise.all(
-        files.map(async (filename: string): Promise<QuoteFileInfo> => {
-          const filePath: string = path.join(forwarderDir, filename);
-          const stats = await fs.stat(filePath);
-          return {
-            filename,
-            size: stats.size,
-            uploadedAt: stats.mtime.toISOString(),
-            path: `/api/quotes/${forwarder}/${encodeURIComponent(filename)}`
-          };
-        })
-      );
-
-      // Sort by upload date (newest first)
-      quotes.sort((a: QuoteFileInfo, b: QuoteFileInfo) => new Date(b.uploadedAt).getTime() - new Date(a.uploadedAt).getTime());
-
-      res.json(quotes);
-    } catch (error: any) {
-      if (error.code === 'ENOENT') {
-        res.json([]); // Directory doesn't exist yet
-      } else {
-        throw error;
-      }
-    }
-  } catch (error: any) {
-    console.error('Error listing quotes:', error);
-    res.status(500).json({ error: 'Failed to list quotes' });
-  }
+const loadForwarder = asyncHandler(async (req: Request, _res: Response, next: NextFunction) => {
+  (req as any).forwarder = await FreightQuoteController.getForwarder(req.params.forwarder);
+  next();
 });
 
-// POST /api/quotes/:forwarder/upload - Upload quotes for a forwarder
-router.post('/:forwarder/upload', upload.array('documents', 10), async (req: Request, res: Response) => {
-  try {
-    const { forwarder } = req.params;
-
-    if (!FORWARDERS.includes(forwarder)) {
-      return res.status(400).json({ error: 'Invalid forwarder' });
-    }
-
-    const files = req.files as Express.Multer.File[] | undefined;
-
-    if (!files || files.length === 0) {
-      return res.status(400).json({ error: 'No files uploaded' });
-    }
-
-    const uploadedFiles = files.map((file: Express.Multer.File) => ({
-      filename: file.filename,
-      originalName: file.originalname,
-      size: file.size,
-      uploadedAt: new Date().toISOString(),
-      path: `/api/quotes/${forwarder}/${encodeURIComponent(file.filename)}`
-    }));
-
-    res.json({
-      message: `Successfully uploaded ${uploadedFiles.length} file(s) to ${forwarder}`,
-      files: uploadedFiles
+const forwarderRules = [
+  body('contactEmail').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Contact email is not valid'),
+  body('brandColor').optional({ nullable: true, checkFalsy: true }).matches(/^#[0-9a-fA-F]{3,8}$/).withMessage('Brand colour must be a hex colour'),
+  body('active').optional().isBoolean().toBoolean(),
+];
+
+const fileParams = [
+  param('forwarder').isString().trim().notEmpty(),
+  param('filename').isString().notEmpty(),
+];
+
+/**
+ * GET /api/quotes
+ * Quotes across forwarders, filtered by forwarder, lane (origin/destination,
+ * matched on part of the name), mode, container type and validity
+ */
+router.get(
+  '/',
+  query('mode').optional().isIn(QUOTE_MODES.map(m => m.value)).withMessage('Unknown freight mode'),
+  query('validity').optional().isIn(QUOTE_VALIDITY.map(v => v.value)).withMessage('Unknown validity filter'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const quotes = await FreightQuoteController.getQuotes({
+      forwarder: req.query.forwarder as string | undefined,
+      origin: req.query.origin as string | undefined,
+      destination: req.query.destination as string | undefined,
+      mode: req.query.mode as string | undefined,
+      containerType: req.query.containerType as string | undefined,
+      validity: req.query.validity as string | undefined,
     });
-
-  } catch (error: any) {
-    console.error('Error uploading quotes:', error);
-
-    // Clean up uploaded files on error
-    const files = req.files as Express.Multer.File[] | undefined;
-    if (files) {
-      files.forEach((file: Express.Multer.File) => {
-        fs.unlink(file.path).catch(console.error);
-      });
-    }
-
-    res.status(500).json({ error: 'Failed to upload quotes' });
-  }
-});
-
-// GET /api/quotes/:forwarder/:filename - Download specific quote
-router.get('/:forwarder/:filename', async (req: Request, res: Response) => {
-  try {
-    const { forwarder, filename } = req.params;
-
-    if (!FORWARDERS.includes(forwarder)) {
-      return res.status(400).json({ error: 'Invalid forwarder' });
-    }
-
-    const baseDir: string = path.resolve(QUOTES_DIR, forwarder);
-    const filePath: string = path.resolve(baseDir, filename);
-    if (!filePath.startsWith(baseDir)) {
-      return res.status(400).json({ error: 'Invalid file path' });
-    }
-
-    try {
-      await fs.access(filePath);
-      res.download(filePath);
-    } catch (error: any) {
-      res.status(404).json({ error: 'Quote not found' });
-    }
-  } catch (error: any) {
-    console.error('Error downloading quote:', error);
-    res.status(500).json({ error: 'Failed to download quote' });
-  }
-});
-
-// DELETE /api/quotes/:forwarder/:filename - Delete specific quote
-router.delete('/:forwarder/:filename', async (req: Request, res: Response) => {
-  try {
-    const { forwarder, filename } = req.params;
-
-    if (!FORWARDERS.includes(forwarder)) {
-      return res.status(400).json({ error: 'Invalid forwarder' });
-    }
-
-    const baseDir: string = path.resolve(QUOTES_DIR, forwarder);
-    const filePath: string = path.resolve(baseDir, filename);
-    if (!filePath.startsWith(baseDir)) {
-      return res.status(400).json({ error: 'Invalid file path' });
-    }
-
-    try {
-      await fs.access(filePath);
-      await fs.unlink(filePath);
-      res.json({ message: 'Quote deleted successfully' });
-    } catch (error: any) {
-      if (error.code === 'ENOENT') {
-        res.status(404).json({ error: 'Quote not found' });
-      } else {
-        throw error;
-      }
-    }
-  } catch (error: any) {
-    console.error('Error deleting quote:', error);
-    res.status(500).json({ error: 'Failed to delete quote' });
-  }
-});
-
-// PUT /api/quotes/:forwarder/:filename/rename - Rename specific quote
-router.put('/:forwarder/:filename/rename', async (req: Request, res: Response) => {
-  try {
-    const { forwarder, filename } = req.params;
-    const { newName } = req.body as { newName?: string };
-
-    console.log('Rename quote request:', { forwarder, filename, newName, body: req.body });
-
-    if (!FORWARDERS.includes(forwarder)) {
-      return res.status(400).json({ error: 'Invalid forwarder' });
-    }
-
-    if (!newName || !newName.trim()) {
-      return res.status(400).json({ error: 'New name is required' });
-    }
-
-    // Validate filename - check for invalid characters
-    const invalidChars: RegExp = /[<>:"/\\|?*]/g;
-    if (invalidChars.test(newName.trim())) {
-      return res.status(400).json({ error: 'Filename contains invalid characters. Cannot use: < > : " / \\ | ? *' });
-    }
-
-    const forwarderDir: string = path.join(QUOTES_DIR, forwarder);
-    const oldFilePath: string = path.join(forwarderDir, filename);
-    const newFilePath: string = path.join(forwarderDir, newName.trim());
-
-    try {
-      // Check if old file exists
-      await fs.access(oldFilePath);
-
-      // Check if new name already exists
-      try {
-        await fs.access(newFilePath);
-        return res.status(400).json({ error: 'A quote with this name already exists' });
-      } catch (error: any) {
-        // File doesn't exist, which is what we want
-      }
-
-      // Rename the file
-      await fs.rename(oldFilePath, newFilePath);
-
-      res.json({
-        message: 'Quote renamed successfully',
-        filename: newName.trim(),
-        oldFilename: filename
-      });
-    } catch (error: any) {
-      if (error.code === 'ENOENT') {
-        res.status(404).json({ error: 'Quote not found' });
-      } else {
-        throw error;
-      }
-    }
-  } catch (error: any) {
-    console.error('Error renaming quote:', error);
-    res.status(500).json({ error: 'Failed to rename quote' });
-  }
-});
-
-// GET /api/quotes - Get summary of all quotes by forwarder
-router.get('/', async (req: Request, res: Response) => {
-  try {
-    const summary: ForwarderSummary = {};
-
-    for (const forwarder of FORWARDERS) {
-      try {
-        const forwarderDir: string = path.join(QUOTES_DIR, forwarder);
-        const files: string[] = await fs.readdir(forwarderDir);
-        summary[forwarder] = {
-          count: files.length,
-          forwarder: forwarder.charAt(0).toUpperCase() + forwarder.slice(1)
-        };
-      } catch (error: any) {
-        summary[forwarder] = {
-          count: 0,
-          forwarder: forwarder.charAt(0).toUpperCase() + forwarder.slice(1)
-        };
-      }
-    }
-
-    res.json(summary);
-  } catch (error: any) {
-    console.error('Error getting quotes summary:', error);
-    res.status(500).json({ error: 'Failed to get quotes summary' });
-  }
-});
-
-// POST /api/quotes/:forwarder/:filename/analyze - Analyze specific PDF quote
-router.post('/:forwarder/:filename/analyze', async (req: Request, res: Response) => {
-  try {
-    const { forwarder, filename } = req.params;
-
-    if (!FORWARDERS.includes(forwarder)) {
-      return res.status(400).json({ error: 'Invalid forwarder' });
-    }
-
-    const baseDir: string = path.resolve(QUOTES_DIR, forwarder);
-    const filePath: string = path.resolve(baseDir, filename);
-    if (!filePath.startsWith(baseDir)) {
-      return res.status(400).json({ error: 'Invalid file path' });
+    res.json(quotes);
+  })
+);
+
+/**
+ * GET /api/quotes/forwarders
+ * Forwarders with their quote counts; ?active=true for the ones in use
+ */
+router.get(
+  '/forwarders',
+  asyncHandler(async (req: Request, res: Response) => {
+    const forwarders = await FreightQuoteController.getForwarders(req.query.active === 'true');
+    res.json(forwarders);
+  })
+);
+
+/**
+ * POST /api/quotes/forwarders
+ * Add a forwarder; its code is made from the name unless given
+ */
+router.post(
+  '/forwarders',
+  body('name').isString().trim().notEmpty().withMessage('Forwarder name is required'),
+  body('code').optional().isString().trim(),
+  ...forwarderRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const forwarder = await FreightQuoteController.createForwarder(req.body);
+    audit(req, 'create', 'forwarder', forwarder.id, forwarder.name, { code: forwarder.code });
+    res.status(201).json(forwarder);
+  })
+);
+
+/**
+ * PUT /api/quotes/forwarders/:id
+ * Rename a forwarder, change its contact or colour, or set it inactive
+ */
+router.put(
+  '/forwarders/:id',
+  param('id').isInt().toInt(),
+  body('name').optional().isString().trim().notEmpty(),
+  ...forwarderRules,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const forwarder = await FreightQuoteController.updateForwarder(Number(req.params.id), req.body);
+    audit(req, 'update', 'forwarder', forwarder.id, forwarder.name, req.body);
+    res.json(forwarder);
+  })
+);
+
+/**
+ * POST /api/quotes/compare
+ * Comparison report for selected PDF quotes ({ quotes: [{ forwarder, filename }] })
+ */
+router.post(
+  '/compare',
+  body('quotes').isArray({ min: 1 }).withMessage('Please provide an array of quotes to compare'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const report = await FreightQuoteController.compareQuotes(req.body.quotes);
+    res.json({ success: true, report });
+  })
+);
+
+/**
+ * GET /api/quotes/:forwarder
+ * A forwarder's quotes, newest first
+ */
+router.get(
+  '/:forwarder',
+  param('forwarder').isString().trim().notEmpty(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const quotes = await FreightQuoteController.getQuotes({ forwarder: req.params.forwarder });
+    res.json(quotes);
+  })
+);
+
+/**
+ * POST /api/quotes/:forwarder/upload
+ * Store up to 10 documents for a forwarder; PDFs are read for lane and validity
+ */
+router.post(
+  '/:forwarder/upload',
+  loadForwarder,
+  upload.array('documents', 10),
+  asyncHandler(async (req: Request, res: Response) => {
+    const forwarder: Forwarder = (req as any).forwarder;
+    const files = (req.files as Express.Multer.File[] | undefined) || [];
+    if (files.length === 0) {
+      res.status(400).json({ error: 'No files uploaded' });
+      return;
     }
 
     try {
-      await fs.access(filePath);
-
-      // Only analyze PDF files
-      if (!filename.toLowerCase().endsWith('.pdf')) {
-        return res.status(400).json({ error: 'File must be a PDF for analysis' });
-      }
-
-      console.log(`Starting PDF analysis for: ${filename}`);
-      const analysis = await pdfAnalyzer.analyzePDFQuote(filePath);
-
+      const quotes = await FreightQuoteController.registerUploads(forwarder, files, getActor(req));
       res.json({
-        success: true,
-        filename,
-        forwarder,
-        analysis
+        message: `Successfully uploaded ${quotes.length} file(s) to ${forwarder.name}`,
+        files: quotes,
       });
-
-    } catch (error: any) {
-      if (error.code === 'ENOENT') {
-        res.status(404).json({ error: 'Quote not found' });
-      } else {
-        throw error;
-      }
-    }
-  } catch (error: any) {
-    console.error('Error analyzing PDF quote:', error);
-    res.status(500).json({ error: 'Failed to analyze PDF quote', details: error.message });
-  }
-});
-
-// POST /api/quotes/compare - Generate comparison report for selected quotes
-router.post('/compare', async (req: Request, res: Response) => {
-  try {
-    const { quotes } = req.body as { quotes?: QuoteCompareInput[] };
-
-    if (!quotes || !Array.isArray(quotes) || quotes.length === 0) {
-      return res.status(400).json({ error: 'Please provide an array of quotes to compare' });
-    }
-
-    console.log(`Starting comparison analysis for ${quotes.length} quotes...`);
-
-    const analyses: any[] = [];
-
-    for (const quote of quotes) {
-      const { forwarder, filename } = quote;
-
-      if (!FORWARDERS.includes(forwarder)) {
-        console.warn(`Skipping invalid forwarder: ${forwarder}`);
-        continue;
-      }
-
-      const baseDir: string = path.resolve(QUOTES_DIR, forwarder);
-      const filePath: string = path.resolve(baseDir, filename);
-      if (!filePath.startsWith(baseDir)) {
-        console.warn(`Skipping invalid file path: ${filename}`);
-        continue;
-      }
-
-      try {
-        await fs.access(filePath);
-
-        // Only analyze PDF files
-        if (filename.toLowerCase().endsWith('.pdf')) {
-          const analysis: any = await pdfAnalyzer.analyzePDFQuote(filePath);
-          analysis.forwarder = forwarder;
-          analyses.push(analysis);
-        } else {
-          console.warn(`Skipping non-PDF file: ${filename}`);
-        }
-
-      } catch (error: any) {
-        console.warn(`Quote not found: ${forwarder}/${filename}`);
-      }
-    }
-
-    if (analyses.length === 0) {
-      return res.status(400).json({
-        error: 'No valid PDF quotes found for comparison'
+    } catch (error) {
+      // Clean up uploaded files on error
+      files.forEach((file: Express.Multer.File) => {
+        fs.unlink(file.path).catch(console.error);
       });
+      throw error;
     }
-
-    console.log(`Analyzing ${analyses.length} valid quotes...`);
-    const comparisonReport = pdfAnalyzer.generateComparisonReport(analyses);
-
+  })
+);
+
+/**
+ * GET /api/quotes/:forwarder/analyze-all
+ * Read every PDF quote for a forwarder again
+ */
+router.get(
+  '/:forwarder/analyze-all',
+  param('forwarder').isString().trim().notEmpty(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const analyses = await FreightQuoteController.analyzeAll(req.params.forwarder);
     res.json({
       success: true,
-      report: comparisonReport
-    });
-
-  } catch (error: any) {
-    console.error('Error generating comparison report:', error);
-    res.status(500).json({
-      error: 'Failed to generate comparison report',
-      details: error.message
+      forwarder: req.params.forwarder,
+      totalFiles: analyses.length,
+      analyses,
     });
-  }
-});
-
-// GET /api/quotes/:forwarder/analyze-all - Analyze all PDF quotes for a forwarder
-router.get('/:forwarder/analyze-all', async (req: Request, res: Response) => {
-  try {
-    const { forwarder } = req.params;
-
-    if (!FORWARDERS.includes(forwarder)) {
-      return res.status(400).json({ error: 'Invalid forwarder' });
-    }
-
-    const forwarderDir: string = path.join(QUOTES_DIR, forwarder);
-
-    try {
-      const files: string[] = await fs.readdir(forwarderDir);
-      const pdfFiles: string[] = files.filter((filename: string) => filename.toLowerCase().endsWith('.pdf'));
-
-      if (pdfFiles.length === 0) {
-        return res.json({
-          success: true,
-          message: 'No PDF files found for analysis',
-          analyses: []
-        });
-      }
-
-      console.log(`Analyzing ${pdfFiles.length} PDF files for ${forwarder}...`);
-
-      const analyses: Array<{ filename: string; analysis?: any; error?: string }> = [];
-
-      for (const filename of pdfFiles) {
-        try {
-          const filePath: string = path.join(forwarderDir, filename);
-          const analysis: any = await pdfAnalyzer.analyzePDFQuote(filePath);
-          analysis.forwarder = forwarder;
-          analyses.push({
-            filename,
-            analysis
-          });
-        } catch (error: any) {
-          console.error(`Error analyzing ${filename}:`, error);
-          analyses.push({
-            filename,
-            error: error.message
-          });
-        }
-      }
-
-      res.json({
-        success: true,
-        forwarder,
-        totalFiles: pdfFiles.length,
-        analyses
-      });
-
-    } catch (error: any) {
-      if (error.code === 'ENOENT') {
-        res.json({
-          success: true,
-          message: 'No quotes directory found',
-          analyses: []
-        });
-      } else {
-        throw error;
-      }
-    }
-  } catch (error: any) {
-    console.error('Error analyzing all quotes:', error);
-    res.status(500).json({
-      error: 'Failed to analyze quotes',
-      details: error.message
+  })
+);
+
+/**
+ * GET /api/quotes/:forwarder/:filename
+ * Download a quote document
+ */
+router.get(
+  '/:forwarder/:filename',
+  ...fileParams,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const { forwarder, filename } = req.params;
+    const quote = await FreightQuoteController.getQuote(forwarder, filename);
+    const filePath = FreightQuoteController.filePath(forwarder, filename);
+    await FreightQuoteController.checkFile(filePath);
+    res.download(filePath, quote.original_name || quote.filename);
+  })
+);
+
+/**
+ * PUT /api/quotes/:forwarder/:filename
+ * Correct a quote's lane, mode, container type, validity, currency or amount
+ */
+router.put(
+  '/:forwarder/:filename',
+  ...fileParams,
+  body('mode').optional({ nullable: true, checkFalsy: true }).isIn(QUOTE_MODES.map(m => m.value)).withMessage('Unknown freight mode'),
+  body('validFrom').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid from must be a date'),
+  body('validUntil').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid until must be a date'),
+  body('totalAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Amount must be zero or more'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const quote = await FreightQuoteController.updateQuote(req.params.forwarder, req.params.filename, req.body);
+    res.json(quote);
+  })
+);
+
+/**
+ * DELETE /api/quotes/:forwarder/:filename
+ * Delete a quote and its stored file
+ */
+router.delete(
+  '/:forwarder/:filename',
+  ...fileParams,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const quote = await FreightQuoteController.deleteQuote(req.params.forwarder, req.params.filename);
+    audit(req, 'delete', 'freight_quote', quote.id, `${quote.forwarder_name}: ${quote.filename}`, {});
+    res.json({ message: 'Quote deleted successfully' });
+  })
+);
+
+/**
+ * PUT /api/quotes/:forwarder/:filename/rename
+ */
+router.put(
+  '/:forwarder/:filename/rename',
+  ...fileParams,
+  body('newName').isString().trim().notEmpty().withMessage('New name is required'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const quote = await FreightQuoteController.renameQuote(req.params.forwarder, req.params.filename, req.body.newName);
+    res.json({
+      message: 'Quote renamed successfully',
+      filename: quote.filename,
+      oldFilename: req.params.filename,
     });
-  }
-});
+  })
+);
+
+/**
+ * POST /api/quotes/:forwarder/:filename/analyze
+ * Read a PDF quote again; blank lane and validity details are filled in
+ */
+router.post(
+  '/:forwarder/:filename/analyze',
+  ...fileParams,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const { forwarder, filename } = req.params;
+    const { quote, analysis } = await FreightQuoteController.analyzeQuote(forwarder, filename);
+    res.json({ success: true, filename, forwarder, analysis, quote });
+  })
+);
 
 export default router;
@@ -0,0 +1,164 @@
+/**
+ * Rate Table Routes
+ * Versioned ocean freight, last mile and option tables used by the costing engine
+ */
+
+import { Router, Request, Response, NextFunction } from 'express';
+import { body, param, query } from 'express-validator';
+import multer from 'multer';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { AppError } from '../utils/AppError.ts';
+import { requireAdmin } from '../middleware/auth.ts';
+import { validate } from '../middleware/validation.js';
+import { logError } from '../utils/logger.js';
+import RateTableController from '../controllers/RateTableController.js';
+import type { RateTableName } from '../db/repositories/RateTableRepository.js';
+
+// Rate sheet upload (Excel — 10MB max)
+const rateSheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (file.originalname.match(/\.(xlsx|xls)$/i)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only Excel (.xlsx/.xls) rate sheets are accepted'));
+    }
+  },
+});
+
+const router = Router();
+
+type ValidationChain = ReturnType<typeof body>;
+
+// Fields required on create are optional on update, which may change any subset
+const required = (field: string, isUpdate: boolean): ValidationChain =>
+  isUpdate ? body(field).optional({ nullable: true }) : body(field);
+
+const effectiveDateValidation = (): ValidationChain[] => [
+  body('effective_from').optional({ nullable: true }).isISO8601().withMessage('effective_from must be a valid date'),
+  body('effective_to').optional({ nullable: true }).isISO8601().withMessage('effective_to must be a valid date'),
+];
+
+const oceanFreightValidation = (isUpdate: boolean): ValidationChain[] => [
+  required('port_of_loading', isUpdate).trim().notEmpty().withMessage('Port of loading is required'),
+  body('port_of_discharge').optional({ nullable: true }).trim(),
+  required('shipping_line', isUpdate).trim().notEmpty().withMessage('Shipping line is required'),
+  required('container_size', isUpdate).isIn(['20GP', '40GP', '40HC']).withMessage('Container size must be 20GP, 40GP or 40HC'),
+  required('rate_usd', isUpdate).isFloat({ min: 0, max: 1000000 }).withMessage('Rate must be between 0 and 1,000,000'),
+  body('notes').optional({ nullable: true }).trim(),
+  ...effectiveDateValidation(),
+];
+
+const lastMileValidation = (isUpdate: boolean): ValidationChain[] => [
+  required('service_type', isUpdate).trim().notEmpty().withMessage('Service type is required'),
+  required('route_key', isUpdate).trim().notEmpty().withMessage('Route key is required'),
+  required('label', isUpdate).trim().notEmpty().withMessage('Label is required'),
+  body('minimum_zar').optional({ nullable: true }).isFloat({ min: 0, max: 1000000 }),
+  body('rate_per_kg').optional({ nullable: true }).isFloat({ min: 0, max: 100000 }),
+  body('rate_900').optional({ nullable: true }).isFloat({ min: 0, max: 100000 }),
+  body('rate_3000').optional({ nullable: true }).isFloat({ min: 0, max: 100000 }),
+  body('is_flat').optional().isBoolean(),
+  body('sort_order').optional({ nullable: true }).isInt(),
+  body('notes').optional({ nullable: true }).trim(),
+  ...effectiveDateValidation(),
+];
+
+const optionValidation = (isUpdate: boolean): ValidationChain[] => [
+  required('option_type', isUpdate).isIn(['container_type', 'shipping_line', 'port_of_loading', 'port_of_discharge'])
+    .withMessage('Invalid option type'),
+  required('value', isUpdate).trim().notEmpty().withMessage('Value is required'),
+  body('label').optional({ nullable: true }).trim(),
+  body('rate_key').optional({ nullable: true }).isIn(['20GP', '40GP', '40HC']),
+  body('sort_order').optional({ nullable: true }).isInt(),
+  ...effectiveDateValidation(),
+];
+
+/**
+ * GET /api/rate-tables
+ * All rate versions; pass ?current=true to leave out expired versions
+ */
+router.get(
+  '/',
+  query('current').optional().isBoolean(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const tables = await RateTableController.getRateTables(req.query.current !== 'true');
+    res.json(tables);
+  })
+);
+
+/**
+ * POST /api/rate-tables/ocean-freight/import
+ * Import an Excel rate sheet as new ocean freight rate versions (admin only)
+ */
+router.post(
+  '/ocean-freight/import',
+  requireAdmin,
+  (req: Request, res: Response, next: NextFunction) => {
+    rateSheetUpload.single('rateSheet')(req, res, (err: any) => {
+      if (err) {
+        logError('Rate sheet upload error', { error: err.message });
+        res.status(400).json({ error: `Upload failed: ${err.message}` });
+        return;
+      }
+      next();
+    });
+  },
+  body('effective_from').optional({ checkFalsy: true }).isISO8601().withMessage('effective_from must be a valid date'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.file) throw AppError.badRequest('Rate sheet file is required');
+    const result = await RateTableController.importRateSheet(req.file.buffer, req.file.originalname, {
+      effectiveFrom: req.body.effective_from || undefined,
+      createdBy: (req as any).user?.username,
+    });
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * Admin CRUD routes for one versioned table. POST adds a new version and
+ * closes the previous version of the same key.
+ */
+function registerTableRoutes(path: string, table: RateTableName, validation: (isUpdate: boolean) => ValidationChain[]) {
+  router.post(
+    path,
+    requireAdmin,
+    validation(false),
+    validate,
+    asyncHandler(async (req: Request, res: Response) => {
+      const row = await RateTableController.createVersion(table, req.body, (req as any).user?.username);
+      res.status(201).json(row);
+    })
+  );
+
+  router.put(
+    `${path}/:id`,
+    requireAdmin,
+    param('id').isInt(),
+    validation(true),
+    validate,
+    asyncHandler(async (req: Request, res: Response) => {
+      const row = await RateTableController.updateVersion(table, parseInt(req.params.id!, 10), req.body);
+      res.json(row);
+    })
+  );
+
+  router.delete(
+    `${path}/:id`,
+    requireAdmin,
+    param('id').isInt(),
+    validate,
+    asyncHandler(async (req: Request, res: Response) => {
+      await RateTableController.deleteVersion(table, parseInt(req.params.id!, 10));
+      res.json({ success: true });
+    })
+  );
+}
+
+registerTableRoutes('/ocean-freight', 'ocean_freight_rates', oceanFreightValidation);
+registerTableRoutes('/last-mile', 'last_mile_rates', lastMileValidation);
+registerTableRoutes('/options', 'costing_options', optionValidation);
+
+export default router;
@@ -58,7 +58,7 @@ router.get('/status', requireAdmin, asyncHandler(async (req: Request, res: Respo
 router.post('/trigger/:jobName', requireAdmin, asyncHandler(async (req: Request, res: Response) => {
   const { jobName } = req.params;
 
-  const validJobs = ['daily-digest', 'weekly-digest', 'delayed-check', 'cleanup'];
+  const validJobs = ['daily-digest', 'weekly-digest', 'delayed-check', 'free-time-check', 'cleanup'];
   if (!validJobs.includes(jobName)) {
     throw AppError.badRequest('Invalid job name', { validJobs });
   }
@@ -14,11 +14,31 @@ import ShipmentController, {
   type ShipmentFilterParams,
   type BulkImportShipment
 } from '../controllers/ShipmentController.js';
+import PalletLabelController from '../controllers/PalletLabelController.js';
+import ReceiptController from '../controllers/ReceiptController.js';
+import type { PalletLabel } from '../db/repositories/PalletLabelRepository.js';
 import type { BodyRequest } from '../types/api.js';
+import type { Shipment } from '../types/index.js';
 import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import { getStatusGraph } from '../../src/utils/shipmentStateMachine.js';
+import { RECEIPT_CONDITIONS, RECEIPT_REASON_CODES } from '../../src/utils/receipts.js';
+import { logWarn } from '../utils/logger.js';
 
 const router = Router();
 
+const CONDITION_VALUES = RECEIPT_CONDITIONS.map(c => c.value);
+const REASON_CODE_VALUES = RECEIPT_REASON_CODES.map(r => r.value);
+
+/**
+ * Validation for a delivery's pallets, condition and reason codes
+ */
+const validateReceiptDetails = [
+  body('pallets').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Pallets must be a non-negative integer').toInt(),
+  body('condition').optional().isIn(CONDITION_VALUES).withMessage(`Condition must be one of: ${CONDITION_VALUES.join(', ')}`),
+  body('reasonCodes').optional().isArray().withMessage('reasonCodes must be a list'),
+  body('reasonCodes.*').isIn(REASON_CODE_VALUES).withMessage('Unknown reason code'),
+];
+
 /**
  * Validation for create shipment
  */
@@ -133,6 +153,35 @@ const handleValidationErrors = (req: Request, res: Response): boolean => {
   return true;
 };
 
+/**
+ * Shipment version the client last read, from If-Match ("3" or W/"3").
+ * Requests without one (older clients, scripts) are not version-checked.
+ */
+const getExpectedVersion = (req: Request): number | undefined => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return undefined;
+
+  const match = header.match(/^\s*(?:W\/)?"(\d+)"\s*$/);
+  if (!match) {
+    throw AppError.badRequest('If-Match must be a shipment ETag, e.g. "3"');
+  }
+  return parseInt(match[1]!, 10);
+};
+
+/**
+ * Who made the request, for the shipment event history
+ */
+const getActor = (req: Request): string | undefined => req.user?.username || req.user?.email;
+
+/**
+ * Send the shipment's version as its ETag for the next If-Match
+ */
+const setShipmentEtag = (res: Response, shipment: Shipment): void => {
+  if (shipment.version !== undefined && shipment.version !== null) {
+    res.set('ETag', `"${shipment.version}"`);
+  }
+};
+
 /**
  * GET /api/shipments
  * Get all shipments with filtering and pagination
@@ -212,7 +261,7 @@ router.post(
       sourcePalletRef,
       batchLot,
       releaseNumber,
-    });
+    }, getActor(req));
 
     const user = (req as any).user;
     if (user) {
@@ -234,7 +283,7 @@ router.post(
   '/bulk-import',
   requireAdmin,
   asyncHandler(async (req: BodyRequest<BulkImportShipment[]>, res: Response) => {
-    const result = await ShipmentController.bulkImport(req.body);
+    const result = await ShipmentController.bulkImport(req.body, getActor(req));
     res.status(200).json({
       success: true,
       message: `Imported ${result.imported} new shipments, skipped ${result.skipped} duplicates`,
@@ -334,6 +383,18 @@ router.get(
   })
 );
 
+/**
+ * GET /api/shipments/status-graph
+ * Allowed status transitions and the fields each status requires, so status
+ * pickers only offer valid next states
+ */
+router.get(
+  '/status-graph',
+  (_req: Request, res: Response) => {
+    res.json(getStatusGraph());
+  }
+);
+
 /**
  * GET /api/shipments/search
  * Full-text search across shipments
@@ -366,7 +427,7 @@ router.post(
     const results: Array<{ id: string; success: boolean; error?: string }> = [];
     for (const id of ids) {
       try {
-        const shipment = await ShipmentController.archiveShipment(id);
+        const shipment = await ShipmentController.archiveShipment(id, getActor(req));
         results.push({ id, success: true });
 
         const user = (req as any).user;
@@ -430,7 +491,7 @@ router.post(
     const results: Array<{ id: string; success: boolean; error?: string }> = [];
     for (const id of ids) {
       try {
-        const shipment = await ShipmentController.unarchiveShipment(id);
+        const shipment = await ShipmentController.unarchiveShipment(id, getActor(req));
         results.push({ id, success: true });
 
         const user = (req as any).user;
@@ -506,15 +567,32 @@ router.get(
   asyncHandler(async (req: Request, res: Response) => {
     const shipment = await ShipmentController.getShipment(req.params.id!);
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment
     });
   })
 );
 
+/**
+ * GET /api/shipments/:id/events
+ * The shipment's event history (status, ETA, document, dock and inspection
+ * events with who made them and when), oldest first
+ */
+router.get(
+  '/:id/events',
+  asyncHandler(async (req: Request, res: Response) => {
+    const events = await ShipmentController.getShipmentEvents(req.params.id!);
+    res.status(200).json({
+      data: events
+    });
+  })
+);
+
 /**
  * PUT /api/shipments/:id
- * Update shipment
+ * Update shipment. With If-Match, fails with 409 and the current record if
+ * the shipment changed since that version.
  */
 router.put(
   '/:id',
@@ -522,13 +600,14 @@ router.put(
   asyncHandler(async (req: BodyRequest<UpdateShipmentRequest>, res: Response) => {
     if (!handleValidationErrors(req, res)) return;
 
-    const shipment = await ShipmentController.updateShipment(req.params.id!, req.body);
+    const shipment = await ShipmentController.updateShipment(req.params.id!, req.body, getExpectedVersion(req), getActor(req));
 
     const user = (req as any).user;
     if (user) {
       AuditRepository.logAudit(user.id, user.username || user.email, 'update', 'shipment', req.params.id!, shipment.orderRef || req.params.id!, req.body);
     }
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Shipment updated successfully'
@@ -538,7 +617,8 @@ router.put(
 
 /**
  * PATCH /api/shipments/:id/status
- * Update shipment status
+ * Update shipment status (If-Match checked as for PUT). Only transitions in
+ * the status graph are accepted; others are rejected with 409.
  */
 router.patch(
   '/:id/status',
@@ -577,9 +657,12 @@ router.patch(
     const shipment = await ShipmentController.updateShipmentStatus(
       req.params.id!,
       req.body.status as any,
-      req.body.notes
+      req.body.notes,
+      getExpectedVersion(req),
+      getActor(req)
     );
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Shipment status updated successfully'
@@ -615,7 +698,7 @@ router.delete(
 router.post(
   '/:id/archive',
   asyncHandler(async (req: Request, res: Response) => {
-    const shipment = await ShipmentController.archiveShipment(req.params.id!);
+    const shipment = await ShipmentController.archiveShipment(req.params.id!, getActor(req));
 
     const user = (req as any).user;
     if (user) {
@@ -636,7 +719,7 @@ router.post(
 router.post(
   '/:id/unarchive',
   asyncHandler(async (req: Request, res: Response) => {
-    const shipment = await ShipmentController.unarchiveShipment(req.params.id!);
+    const shipment = await ShipmentController.unarchiveShipment(req.params.id!, getActor(req));
 
     const user = (req as any).user;
     if (user) {
@@ -657,7 +740,7 @@ router.post(
 router.post(
   '/:id/restore',
   asyncHandler(async (req: Request, res: Response) => {
-    const shipment = await ShipmentController.unarchiveShipment(req.params.id!);
+    const shipment = await ShipmentController.unarchiveShipment(req.params.id!, getActor(req));
 
     const user = (req as any).user;
     if (user) {
@@ -678,8 +761,9 @@ router.post(
 router.post(
   '/:id/start-unloading',
   asyncHandler(async (req: Request, res: Response) => {
-    const shipment = await ShipmentController.startUnloading(req.params.id!);
+    const shipment = await ShipmentController.startUnloading(req.params.id!, getExpectedVersion(req), getActor(req));
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Unloading started successfully'
@@ -694,8 +778,9 @@ router.post(
 router.post(
   '/:id/complete-unloading',
   asyncHandler(async (req: Request, res: Response) => {
-    const shipment = await ShipmentController.completeUnloading(req.params.id!);
+    const shipment = await ShipmentController.completeUnloading(req.params.id!, getExpectedVersion(req), getActor(req));
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Unloading completed successfully'
@@ -715,9 +800,12 @@ router.post(
 
     const shipment = await ShipmentController.startInspection(
       req.params.id!,
-      req.body.inspectedBy
+      req.body.inspectedBy,
+      getExpectedVersion(req),
+      getActor(req)
     );
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Inspection started successfully'
@@ -741,9 +829,12 @@ router.post(
       req.params.id!,
       req.body.passed,
       req.body.notes,
-      req.body.inspectedBy
+      req.body.inspectedBy,
+      getExpectedVersion(req),
+      getActor(req)
     );
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Inspection completed successfully'
@@ -763,9 +854,12 @@ router.post(
 
     const shipment = await ShipmentController.startReceiving(
       req.params.id!,
-      req.body.receivedBy
+      req.body.receivedBy,
+      getExpectedVersion(req),
+      getActor(req)
     );
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Receiving started successfully'
@@ -773,9 +867,67 @@ router.post(
   })
 );
 
+/**
+ * GET /api/shipments/:id/receipts
+ * The deliveries received against a shipment, its backorder if it has one
+ * and the balance still outstanding
+ */
+router.get(
+  '/:id/receipts',
+  asyncHandler(async (req: Request, res: Response) => {
+    const receipts = await ReceiptController.getReceipts(req.params.id!);
+    res.status(200).json({
+      data: receipts
+    });
+  })
+);
+
+/**
+ * POST /api/shipments/:id/receipts
+ * Record one delivery while the shipment is being received, or against its
+ * open backorder once stored
+ */
+router.post(
+  '/:id/receipts',
+  body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer').toInt(),
+  body('receivedBy').optional().trim(),
+  body('notes').optional({ nullable: true }).trim(),
+  ...validateReceiptDetails,
+  asyncHandler(async (req: BodyRequest<{ quantity: number; pallets?: number; condition?: string; reasonCodes?: string[]; notes?: string; receivedBy?: string }>, res: Response) => {
+    if (!handleValidationErrors(req, res)) return;
+
+    const shipment = await ShipmentController.recordReceipt(
+      req.params.id!,
+      req.body.quantity,
+      {
+        pallets: req.body.pallets,
+        condition: req.body.condition,
+        reasonCodes: req.body.reasonCodes,
+        notes: req.body.notes || null,
+      },
+      req.body.receivedBy,
+      getExpectedVersion(req),
+      getActor(req)
+    );
+
+    setShipmentEtag(res, shipment);
+    res.status(201).json({
+      data: shipment,
+      message: `Delivery of ${req.body.quantity} recorded`
+    });
+  })
+);
+
 /**
  * POST /api/shipments/:id/complete-receiving
- * Complete receiving workflow
+ * Complete receiving workflow. Gives the shipment a GRN and writes a label
+ * per pallet, returned as `labels` for printing.
+ * palletQuantities (the quantity counted on each pallet) sets the label
+ * quantities and, when receivedQuantity is left out, the quantity received.
+ * putawayBin is a scanned bin code, an alternative to putawayLocationId.
+ * receivedQuantity counts deliveries already recorded; when it falls short
+ * of the ordered quantity a backorder is opened against the supplier, with
+ * reasonCodes (and condition, pallets) kept on the final delivery.
  */
 router.post(
   '/:id/complete-receiving',
@@ -784,20 +936,55 @@ router.post(
   body('binLocation').optional().trim(),
   body('discrepancies').optional().trim(),
   body('receivingNotes').optional().trim(),
-  asyncHandler(async (req: BodyRequest<{ receivedQuantity?: number; receivedBy?: string; binLocation?: string; discrepancies?: string; receivingNotes?: string }>, res: Response) => {
+  body('putawayLocationId').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('putawayLocationId must be a storage location id').toInt(),
+  body('putawayBin').optional({ nullable: true }).trim(),
+  body('palletQuantities').optional().isArray({ min: 1 }).withMessage('palletQuantities must list at least one pallet'),
+  body('palletQuantities.*').isInt({ min: 0 }).withMessage('Pallet quantities must be non-negative integers').toInt(),
+  ...validateReceiptDetails,
+  asyncHandler(async (req: BodyRequest<{ receivedQuantity?: number; receivedBy?: string; binLocation?: string; discrepancies?: string; receivingNotes?: string; putawayLocationId?: number; putawayBin?: string; palletQuantities?: number[]; pallets?: number; condition?: string; reasonCodes?: string[] }>, res: Response) => {
     if (!handleValidationErrors(req, res)) return;
 
-    const shipment = await ShipmentController.completeReceiving(
+    const { palletQuantities } = req.body;
+    let receivedQuantity = req.body.receivedQuantity;
+    if (palletQuantities) {
+      const counted = palletQuantities.reduce((sum, q) => sum + q, 0);
+      if (receivedQuantity === undefined) {
+        receivedQuantity = counted;
+      } else if (Number(receivedQuantity) !== counted) {
+        res.status(400).json({ error: `Pallet quantities add up to ${counted}, not the ${receivedQuantity} received` });
+        return;
+      }
+    }
+
+    let shipment = await ShipmentController.completeReceiving(
       req.params.id!,
-      req.body.receivedQuantity,
+      receivedQuantity,
       req.body.receivedBy,
       req.body.binLocation,
       req.body.discrepancies,
-      req.body.receivingNotes
+      req.body.receivingNotes,
+      req.body.putawayLocationId || req.body.putawayBin || undefined,
+      getExpectedVersion(req),
+      getActor(req),
+      {
+        pallets: req.body.pallets ?? palletQuantities?.length,
+        condition: req.body.condition,
+        reasonCodes: req.body.reasonCodes,
+      }
     );
 
+    // Stock is received either way; labels left unwritten here are written on first print
+    let labels: PalletLabel[] = [];
+    try {
+      ({ shipment, labels } = await PalletLabelController.generateForShipment(shipment.id, palletQuantities, getActor(req)));
+    } catch (error: any) {
+      logWarn('Pallet labels not generated at receiving', { shipmentId: shipment.id, error: error.message });
+    }
+
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
+      labels,
       message: 'Receiving completed successfully'
     });
   })
@@ -810,7 +997,7 @@ router.post(
 router.post(
   '/:id/generate-grn',
   asyncHandler(async (req: Request, res: Response) => {
-    const shipment = await ShipmentController.generateGRN(req.params.id!);
+    const shipment = await ShipmentController.generateGRN(req.params.id!, getActor(req));
     res.status(200).json({
       data: shipment,
       message: `GRN generated: ${shipment.grn_number}`
@@ -819,30 +1006,37 @@ router.post(
 );
 
 /**
- * POST /api/shipments/:id/split
- * Split a stored shipment across warehouses (partial or full move).
- * Body: { destination: string, moveQty: number, movePallets: number }
+ * POST /api/shipments/:id/move (also /:id/split)
+ * Move stored stock between bins and warehouses (partial or full move).
+ * Body: { destination: string, moveQty: number, movePallets: number,
+ *         fromLocationId?: number, toLocationId?: number }
+ * moveQty is not needed for a move between bins in the same warehouse.
  */
 router.post(
-  '/:id/split',
+  ['/:id/move', '/:id/split'],
   body('destination').trim().notEmpty().withMessage('Destination warehouse is required'),
-  body('moveQty').isFloat({ gt: 0 }).withMessage('moveQty must be a positive number'),
+  body('moveQty').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('moveQty must be a positive number'),
   body('movePallets').isFloat({ gt: 0 }).withMessage('movePallets must be a positive number'),
+  body('fromLocationId').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
+  body('toLocationId').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
   asyncHandler(async (req: Request, res: Response) => {
     if (!handleValidationErrors(req, res)) return;
 
-    const { destination, moveQty, movePallets } = req.body as {
+    const { destination, moveQty, movePallets, fromLocationId, toLocationId } = req.body as {
       destination: string;
-      moveQty: number;
+      moveQty?: number;
       movePallets: number;
+      fromLocationId?: number;
+      toLocationId?: number;
     };
 
-    const result = await ShipmentController.splitShipment(
-      req.params.id!,
+    const result = await ShipmentController.moveStock(req.params.id!, {
       destination,
-      Number(moveQty),
-      Number(movePallets)
-    );
+      moveQty: Number(moveQty) || 0,
+      movePallets: Number(movePallets),
+      fromLocationId: fromLocationId || null,
+      toLocationId: toLocationId || null,
+    }, getActor(req));
 
     const user = (req as any).user;
     if (user) {
@@ -853,15 +1047,18 @@ router.post(
         'shipment',
         req.params.id!,
         (result.source as any).order_ref || req.params.id!,
-        { destination, moveQty, movePallets, splitId: result.split ? (result.split as any).id : null }
+        { destination, moveQty, movePallets, fromLocationId, toLocationId, splitId: result.split ? (result.split as any).id : null }
       );
     }
 
+    const bin = ((result.split || result.source) as any).bin_location;
     res.status(200).json({
       data: result,
       message: result.split
         ? `Split ${moveQty} qty / ${movePallets} pallets to ${destination}`
-        : `Moved all stock to ${destination}`,
+        : toLocationId
+          ? `Moved ${movePallets} pallets to ${destination}${bin ? ` (${bin})` : ''}`
+          : `Moved all stock to ${destination}`,
     });
   })
 );
@@ -876,9 +1073,11 @@ router.post(
   asyncHandler(async (req: Request, res: Response) => {
     const shipment = await ShipmentController.adminCompleteWorkflow(
       req.params.id!,
-      req.user.username || req.user.email || 'Admin'
+      getActor(req) || 'Admin',
+      getExpectedVersion(req)
     );
 
+    setShipmentEtag(res, shipment);
     res.status(200).json({
       data: shipment,
       message: 'Workflow completed by admin'
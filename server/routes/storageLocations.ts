@@ -0,0 +1,101 @@
+/**
+ * Storage Location Routes
+ * Handles the zone → aisle → bin layout of each warehouse, the pallets
+ * stored in each bin and put-away suggestions for receiving
+ */
+
+import { Router, Request, Response } from 'express';
+import { body } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { requireAdmin } from '../middleware/auth.ts';
+import StorageLocationController from '../controllers/StorageLocationController.js';
+import type { BodyRequest } from '../types/api.js';
+
+const router = Router();
+
+/**
+ * GET /api/storage-locations?warehouse=
+ * Locations with the pallets stored in each, optionally for one warehouse
+ */
+router.get(
+  '/',
+  asyncHandler(async (req: Request, res: Response) => {
+    const locations = await StorageLocationController.getLocations(req.query.warehouse as string | undefined);
+    res.json(locations);
+  })
+);
+
+/**
+ * GET /api/storage-locations/usage
+ * Bins used, available and total per warehouse, derived from occupied locations
+ */
+router.get(
+  '/usage',
+  asyncHandler(async (_req: Request, res: Response) => {
+    const usage = await StorageLocationController.getWarehouseUsage();
+    res.json(usage);
+  })
+);
+
+/**
+ * GET /api/storage-locations/placements?warehouse=&shipmentId=
+ * Stored shipments' pallets by bin
+ */
+router.get(
+  '/placements',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { warehouse, shipmentId } = req.query as Record<string, string>;
+    const placements = await StorageLocationController.getPlacements({ warehouse, shipmentId });
+    res.json(placements);
+  })
+);
+
+/**
+ * GET /api/storage-locations/putaway?warehouse=&pallets=&startLocationId=
+ * The bins receiving would put a number of pallets away to
+ */
+router.get(
+  '/putaway',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { warehouse, pallets, startLocationId } = req.query as Record<string, string>;
+    const allocations = await StorageLocationController.planPutaway(
+      warehouse || '',
+      Math.max(1, parseInt(pallets || '', 10) || 1),
+      startLocationId ? parseInt(startLocationId, 10) : null
+    );
+    res.json(allocations);
+  })
+);
+
+/**
+ * POST /api/storage-locations
+ * Add a run of bins along an aisle (continues the numbering of an existing aisle)
+ */
+router.post(
+  '/',
+  requireAdmin,
+  body('warehouse').trim().notEmpty().withMessage('warehouse is required'),
+  body('zone').trim().notEmpty().withMessage('zone is required'),
+  body('aisle').isInt({ min: 1 }).toInt(),
+  body('count').isInt({ min: 1 }).toInt(),
+  body('capacityPallets').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
+  asyncHandler(async (req: BodyRequest<{ warehouse: string; zone: string; aisle: number; count: number; capacityPallets?: number }>, res: Response) => {
+    const locations = await StorageLocationController.addAisle(req.body);
+    res.status(201).json(locations);
+  })
+);
+
+/**
+ * DELETE /api/storage-locations/:id
+ * Remove an empty bin
+ */
+router.delete(
+  '/:id',
+  requireAdmin,
+  asyncHandler(async (req: Request, res: Response) => {
+    await StorageLocationController.deleteLocation(parseInt(req.params.id!, 10));
+    res.json({ message: 'Storage location deleted' });
+  })
+);
+
+export default router;
@@ -5,8 +5,10 @@
 
 import { Router, Request, Response } from 'express';
 import SupplierController from '../controllers/supplierController.js';
-import { createSingleFileUpload, validateFilesPresent } from '../middleware/fileUpload.js';
+import { createSingleFileUpload, validateFilesPresent, generateSafeFilename } from '../middleware/fileUpload.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.ts';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import ClaimController from '../controllers/ClaimController.js';
 
 const router = Router();
 
@@ -182,4 +184,63 @@ router.put('/quotes/:id/respond', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * GET /api/supplier/claims - Claims raised against the supplier
+ */
+router.get('/claims', asyncHandler(async (req: Request, res: Response) => {
+  res.json(await ClaimController.getSupplierClaims((req as any).user.id));
+}));
+
+/**
+ * GET /api/supplier/claims/:id - Claim detail with its photos and documents
+ */
+router.get('/claims/:id', asyncHandler(async (req: Request, res: Response) => {
+  res.json(await ClaimController.getSupplierClaim(Number(req.params.id), (req as any).user.id));
+}));
+
+/**
+ * PUT /api/supplier/claims/:id/respond - Acknowledge or dispute a claim
+ */
+router.put('/claims/:id/respond', asyncHandler(async (req: Request, res: Response) => {
+  const { response, notes } = req.body;
+  if (!response || !['acknowledged', 'disputed'].includes(response)) {
+    res.status(400).json({ error: 'Valid response required: acknowledged or disputed' });
+    return;
+  }
+
+  const user = (req as any).user;
+  const claim = await ClaimController.respond(Number(req.params.id), user.id, response, notes, user.name || user.email);
+  res.json({ data: claim, message: `Claim ${claim.claim_number} ${response}` });
+}));
+
+/**
+ * POST /api/supplier/claims/:id/documents - Add a supporting document to a claim
+ */
+router.post(
+  '/claims/:id/documents',
+  upload.single('file'),
+  validateFilesPresent,
+  asyncHandler(async (req: Request, res: Response) => {
+    const user = (req as any).user;
+    const file = req.file as Express.Multer.File;
+    const [document] = await ClaimController.addDocuments(Number(req.params.id), [{
+      originalName: file.originalname,
+      storedName: generateSafeFilename(file.originalname),
+      buffer: file.buffer,
+      size: file.size,
+      mimeType: file.mimetype,
+    }], { description: req.body.description, uploadedBy: user.name || user.email, supplierId: user.id });
+    res.status(201).json(document);
+  })
+);
+
+/**
+ * GET /api/supplier/claims/:id/documents/:documentId - Download a claim document
+ */
+router.get('/claims/:id/documents/:documentId', asyncHandler(async (req: Request, res: Response) => {
+  const claim = await ClaimController.getSupplierClaim(Number(req.params.id), (req as any).user.id);
+  const document = await ClaimController.getDocument(claim.id, Number(req.params.documentId));
+  res.download(ClaimController.documentPath(document), document.file_name);
+}));
+
 export default router;
@@ -7,6 +7,9 @@ import db from '../db/connection.ts';
 import { validateSupplierCreate, validateSupplierUpdate, validateId, validate } from '../middleware/validation.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.ts';
 import { AuditRepository } from '../db/repositories/AuditRepository.ts';
+import { normalizeHsCode } from '../../src/utils/tariffCatalogue.js';
+import { fillRate } from '../../src/utils/receipts.js';
+import { claimRate } from '../../src/utils/supplierClaims.js';
 
 const router = Router();
 const __filename: string = fileURLToPath(import.meta.url);
@@ -23,6 +26,7 @@ interface SupplierRow {
   address: string | null;
   country: string | null;
   notes: string | null;
+  default_hs_code: string | null;
   created_at: string;
   updated_at: string;
 }
@@ -36,6 +40,7 @@ interface Supplier {
   address: string | null;
   country: string | null;
   notes: string | null;
+  defaultHsCode: string | null;
   createdAt: string;
   updatedAt: string;
   code?: string;
@@ -72,11 +77,31 @@ interface SupplierMetrics {
   supplierId: string;
   onTimePercent: number;
   passRatePercent: number | null;
+  fillRatePercent: number | null;
+  claimRatePercent: number | null;
+  claimCount: number;
   avgLeadTime: number | null;
   totalShipments: number;
   grade: Grade;
 }
 
+// Same thresholds as SupplierMetrics.getSupplierGrade; pass, fill and claim rate count once there is data
+function supplierGrade(onTimePercent: number, passRatePercent: number | null, fillRatePercent: number | null, claimRatePercent: number | null = null): Grade {
+  if (onTimePercent >= 85 && (passRatePercent === null || passRatePercent >= 90) && (fillRatePercent === null || fillRatePercent >= 95) && (claimRatePercent === null || claimRatePercent <= 5)) {
+    return { grade: 'A', label: 'Excellent', color: '#28a745' };
+  }
+  if (onTimePercent >= 70 && (passRatePercent === null || passRatePercent >= 80) && (fillRatePercent === null || fillRatePercent >= 85) && (claimRatePercent === null || claimRatePercent <= 10)) {
+    return { grade: 'B', label: 'Good', color: '#ffc107' };
+  }
+  return { grade: 'C', label: 'Needs Improvement', color: '#dc3545' };
+}
+
+// Claims raised per shipment, as a percentage; a supplier can't be worse than every shipment claimed
+function claimRatePercentOf(claimCount: number, totalShipments: number): number | null {
+  const rate = claimRate(claimCount, totalShipments);
+  return rate === null ? null : Math.min(rate, 100);
+}
+
 // Ensure directories exist
 async function ensureDirectories(): Promise<void> {
   try {
@@ -104,6 +129,7 @@ function dbRowToSupplier(row: SupplierRow | null | undefined): Supplier | null {
     address: row.address,
     country: row.country,
     notes: row.notes,
+    defaultHsCode: row.default_hs_code,
     createdAt: row.created_at,
     updatedAt: row.updated_at
   };
@@ -112,7 +138,7 @@ function dbRowToSupplier(row: SupplierRow | null | undefined): Supplier | null {
 // GET /api/suppliers - Get all suppliers
 router.get('/', async (req: Request, res: Response) => {
   try {
-    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, created_at, updated_at FROM suppliers ORDER BY name');
+    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, default_hs_code, created_at, updated_at FROM suppliers ORDER BY name');
     res.json(result.rows.map((row: SupplierRow) => dbRowToSupplier(row)));
   } catch (error) {
     console.error('Error reading suppliers:', error);
@@ -123,7 +149,7 @@ router.get('/', async (req: Request, res: Response) => {
 // GET /api/suppliers/:id - Get specific supplier
 router.get('/:id', validateId, async (req: Request, res: Response) => {
   try {
-    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, created_at, updated_at FROM suppliers WHERE id = $1', [req.params.id]);
+    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, default_hs_code, created_at, updated_at FROM suppliers WHERE id = $1', [req.params.id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Supplier not found' });
@@ -159,7 +185,8 @@ const supplierCreateValidators = [
   body('email').optional({ nullable: true }).isEmail().withMessage('Invalid email format'),
   body('phone').optional({ nullable: true }).trim(),
   body('country').optional({ nullable: true }).trim(),
-  body('notes').optional({ nullable: true }).trim()
+  body('notes').optional({ nullable: true }).trim(),
+  body('defaultHsCode').optional({ nullable: true, checkFalsy: true }).matches(/^[\d.\s]{4,16}$/).withMessage('Default HS code must be digits')
 ];
 
 // Additional inline validators for supplier update
@@ -168,7 +195,8 @@ const supplierUpdateValidators = [
   body('email').optional({ nullable: true }).isEmail().withMessage('Invalid email format'),
   body('phone').optional({ nullable: true }).trim(),
   body('country').optional({ nullable: true }).trim(),
-  body('notes').optional({ nullable: true }).trim()
+  body('notes').optional({ nullable: true }).trim(),
+  body('defaultHsCode').optional({ nullable: true, checkFalsy: true }).matches(/^[\d.\s]{4,16}$/).withMessage('Default HS code must be digits')
 ];
 
 // POST /api/suppliers - Create new supplier
@@ -179,10 +207,10 @@ router.post('/', requireAdmin, validateSupplierCreate, ...supplierCreateValidato
     const id: string = req.body.id || Date.now().toString();
 
     const insertResult = await db.query(
-      `INSERT INTO suppliers (id, name, contact_person, email, phone, address, country, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO suppliers (id, name, contact_person, email, phone, address, country, notes, default_hs_code)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        ON CONFLICT (name) DO NOTHING
-       RETURNING id, name, contact_person, email, phone, address, country, notes, created_at, updated_at`,
+       RETURNING id, name, contact_person, email, phone, address, country, notes, default_hs_code, created_at, updated_at`,
       [
         id,
         req.body.name,
@@ -191,14 +219,15 @@ router.post('/', requireAdmin, validateSupplierCreate, ...supplierCreateValidato
         req.body.phone || null,
         req.body.address || null,
         req.body.country || null,
-        req.body.notes || null
+        req.body.notes || null,
+        normalizeHsCode(req.body.defaultHsCode) || null
       ]
     );
 
     // If supplier already existed, fetch it
     const result = insertResult.rows.length > 0
       ? insertResult
-      : await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, created_at, updated_at FROM suppliers WHERE name = $1', [req.body.name]);
+      : await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, default_hs_code, created_at, updated_at FROM suppliers WHERE name = $1', [req.body.name]);
     const supplier = dbRowToSupplier(result.rows[0] as SupplierRow);
 
     const user = (req as any).user;
@@ -227,6 +256,7 @@ router.put('/:id', requireAdmin, validateSupplierUpdate, ...supplierUpdateValida
         address = COALESCE($5, address),
         country = COALESCE($6, country),
         notes = COALESCE($7, notes),
+        default_hs_code = CASE WHEN $9::boolean THEN $10 ELSE default_hs_code END,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $8`,
       [
@@ -237,11 +267,13 @@ router.put('/:id', requireAdmin, validateSupplierUpdate, ...supplierUpdateValida
         req.body.address,
         req.body.country,
         req.body.notes,
-        req.params.id
+        req.params.id,
+        req.body.defaultHsCode !== undefined,
+        normalizeHsCode(req.body.defaultHsCode) || null
       ]
     );
 
-    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, created_at, updated_at FROM suppliers WHERE id = $1', [req.params.id]);
+    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, default_hs_code, created_at, updated_at FROM suppliers WHERE id = $1', [req.params.id]);
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Supplier not found' });
     }
@@ -291,7 +323,7 @@ router.post('/:id/import', requireAdmin, async (req: Request, res: Response) =>
     }
 
     // Get supplier info
-    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, created_at, updated_at FROM suppliers WHERE id = $1', [req.params.id]);
+    const result = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, default_hs_code, created_at, updated_at FROM suppliers WHERE id = $1', [req.params.id]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Supplier not found' });
@@ -501,7 +533,12 @@ router.get('/metrics/all', async (req: Request, res: Response) => {
           CASE WHEN sh.receiving_date IS NOT NULL AND sh.week_number IS NOT NULL
           THEN EXTRACT(EPOCH FROM (sh.receiving_date::timestamp - COALESCE(sh.selected_week_date::timestamp, DATE_TRUNC('year', CURRENT_DATE)))) / 86400
           END
-        )) as avg_lead_time
+        )) as avg_lead_time,
+        SUM(CASE WHEN sh.received_quantity IS NOT NULL AND sh.quantity > 0 THEN sh.quantity END) as ordered_quantity,
+        SUM(CASE WHEN sh.received_quantity IS NOT NULL AND sh.quantity > 0 THEN LEAST(GREATEST(sh.received_quantity, 0), sh.quantity) END) as filled_quantity,
+        (SELECT COUNT(*) FROM supplier_claims c
+          WHERE c.status <> 'cancelled'
+            AND (c.supplier_id = s.id OR LOWER(TRIM(c.supplier)) = LOWER(TRIM(s.name)))) as claim_count
       FROM suppliers s
       LEFT JOIN shipments sh ON LOWER(TRIM(s.name)) = LOWER(TRIM(sh.supplier))
       GROUP BY s.id, s.name
@@ -513,6 +550,9 @@ router.get('/metrics/all', async (req: Request, res: Response) => {
       const arrived: number = parseInt(row.arrived_count) || 0;
       const inspected: number = parseInt(row.inspected_count) || 0;
       const passed: number = parseInt(row.passed_count) || 0;
+      const ordered: number = parseFloat(row.ordered_quantity) || 0;
+      const filled: number = parseFloat(row.filled_quantity) || 0;
+      const claimCount: number = parseInt(row.claim_count) || 0;
 
       if (total === 0) {
         return {
@@ -520,6 +560,9 @@ router.get('/metrics/all', async (req: Request, res: Response) => {
           supplierId: row.supplier_id,
           onTimePercent: 0,
           passRatePercent: null,
+          fillRatePercent: null,
+          claimRatePercent: null,
+          claimCount,
           avgLeadTime: null,
           totalShipments: 0,
           grade: { grade: 'N/A', label: 'No Data', color: '#ccc' }
@@ -528,24 +571,21 @@ router.get('/metrics/all', async (req: Request, res: Response) => {
 
       const onTimePercent: number = arrived > 0 ? Math.round((arrived / total) * 100) : 0;
       const passRatePercent: number | null = inspected > 0 ? Math.round((passed / inspected) * 100) : null;
+      const fillRatePercent: number | null = ordered > 0 ? Math.round((filled / ordered) * 100) : null;
+      const claimRatePercent: number | null = claimRatePercentOf(claimCount, total);
       const avgLeadTime: number | null = row.avg_lead_time != null ? Math.round(parseFloat(row.avg_lead_time)) : null;
 
-      // Determine grade
-      let grade: Grade = { grade: 'C', label: 'Needs Improvement', color: '#dc3545' };
-      if (onTimePercent >= 85 && (passRatePercent === null || passRatePercent >= 90)) {
-        grade = { grade: 'A', label: 'Excellent', color: '#28a745' };
-      } else if (onTimePercent >= 70 && (passRatePercent === null || passRatePercent >= 80)) {
-        grade = { grade: 'B', label: 'Good', color: '#ffc107' };
-      }
-
       return {
         supplierName: row.supplier_name,
         supplierId: row.supplier_id,
         onTimePercent,
         passRatePercent,
+        fillRatePercent,
+        claimRatePercent,
+        claimCount,
         avgLeadTime,
         totalShipments: total,
-        grade
+        grade: supplierGrade(onTimePercent, passRatePercent, fillRatePercent, claimRatePercent)
       };
     });
 
@@ -564,7 +604,7 @@ router.get('/:id/metrics', validateId, async (req: Request, res: Response) => {
     const { id } = req.params;
 
     // Fetch supplier
-    const supplierResult = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, created_at, updated_at FROM suppliers WHERE id = $1', [id]);
+    const supplierResult = await db.query('SELECT id, name, contact_person, email, phone, address, country, notes, default_hs_code, created_at, updated_at FROM suppliers WHERE id = $1', [id]);
     if (supplierResult.rows.length === 0) {
       return res.status(404).json({ error: 'Supplier not found' });
     }
@@ -573,7 +613,7 @@ router.get('/:id/metrics', validateId, async (req: Request, res: Response) => {
 
     // Fetch shipments for this supplier
     const shipmentsResult = await db.query(
-      'SELECT id, latest_status, inspection_date, inspection_status, receiving_date, week_number, selected_week_date, quantity FROM shipments WHERE LOWER(supplier) = LOWER($1)',
+      'SELECT id, latest_status, inspection_date, inspection_status, receiving_date, week_number, selected_week_date, quantity, received_quantity FROM shipments WHERE LOWER(supplier) = LOWER($1)',
       [supplier.name]
     );
     const shipments: any[] = shipmentsResult.rows;
@@ -584,6 +624,9 @@ router.get('/:id/metrics', validateId, async (req: Request, res: Response) => {
         metrics: {
           onTimePercent: 0,
           passRatePercent: null,
+          fillRatePercent: null,
+          claimRatePercent: null,
+          claimCount: 0,
           avgLeadTime: null,
           totalShipments: 0,
           grade: { grade: 'N/A', label: 'No Data', color: '#ccc' }
@@ -620,22 +663,29 @@ router.get('/:id/metrics', validateId, async (req: Request, res: Response) => {
         }, 0) / shippedWithReceiving.length)
       : null;
 
-    // Determine grade
-    let grade: Grade = { grade: 'C', label: 'Needs Improvement', color: '#dc3545' };
-    if (onTimePercent >= 85 && (passRatePercent === null || passRatePercent >= 90)) {
-      grade = { grade: 'A', label: 'Excellent', color: '#28a745' };
-    } else if (onTimePercent >= 70 && (passRatePercent === null || passRatePercent >= 80)) {
-      grade = { grade: 'B', label: 'Good', color: '#ffc107' };
-    }
+    // Fill rate: quantity received against ordered, short deliveries counting against it
+    const fillRatePercent: number | null = fillRate(shipments);
+
+    // Claim rate: claims raised (cancelled ones aside) per shipment
+    const claimResult = await db.query(
+      `SELECT COUNT(*) as claim_count FROM supplier_claims
+       WHERE status <> 'cancelled' AND (supplier_id = $1 OR LOWER(TRIM(supplier)) = LOWER(TRIM($2)))`,
+      [supplier.id, supplier.name]
+    );
+    const claimCount: number = parseInt(claimResult.rows[0]?.claim_count) || 0;
+    const claimRatePercent: number | null = claimRatePercentOf(claimCount, shipments.length);
 
     res.json({
       supplier,
       metrics: {
         onTimePercent,
         passRatePercent,
+        fillRatePercent,
+        claimRatePercent,
+        claimCount,
         avgLeadTime,
         totalShipments: shipments.length,
-        grade
+        grade: supplierGrade(onTimePercent, passRatePercent, fillRatePercent, claimRatePercent)
       }
     });
   } catch (error) {
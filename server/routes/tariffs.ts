@@ -0,0 +1,169 @@
+/**
+ * Tariff Routes
+ * HS tariff catalogue and product HS code defaults used to prefill customs duty
+ */
+
+import { Router, Request, Response, NextFunction } from 'express';
+import { body, param, query } from 'express-validator';
+import multer from 'multer';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import { AppError } from '../utils/AppError.ts';
+import { requireAdmin } from '../middleware/auth.ts';
+import { validate } from '../middleware/validation.js';
+import { logError } from '../utils/logger.js';
+import TariffController from '../controllers/TariffController.js';
+import { TRADE_AGREEMENTS } from '../../src/utils/tariffCatalogue.js';
+
+// Tariff book upload (CSV — 20MB max, the full book is a few MB)
+const tariffUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (_req, file, cb) => {
+    if (file.originalname.match(/\.csv$/i)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV tariff files are accepted'));
+    }
+  },
+});
+
+const router = Router();
+
+const AGREEMENT_VALUES = TRADE_AGREEMENTS.map(a => a.value);
+
+const tariffValidation = [
+  param('hsCode').matches(/^[\d.\s]{4,16}$/).withMessage('HS code must be digits'),
+  body('description').optional({ nullable: true }).trim(),
+  body('statistical_unit').optional({ nullable: true }).trim(),
+  body('duty_text').optional({ nullable: true }).trim(),
+  body('duty_percent').optional({ nullable: true }).isFloat({ min: 0, max: 1000 }).withMessage('Duty must be between 0 and 1000%'),
+  body('schedule1_percent').optional({ nullable: true }).isFloat({ min: 0, max: 1000 }).withMessage('Schedule 1 duty must be between 0 and 1000%'),
+  body('vat_treatment').optional().isIn(['standard', 'exempt']).withMessage('VAT treatment must be standard or exempt'),
+  body('preferential_rates').optional({ nullable: true }).isObject()
+    .custom((rates: Record<string, unknown>) => Object.keys(rates).every(key => AGREEMENT_VALUES.includes(key as typeof AGREEMENT_VALUES[number])))
+    .withMessage(`Preferential rates must be keyed by ${AGREEMENT_VALUES.join(', ')}`),
+  body('preferential_rates.*').optional({ nullable: true }).isFloat({ min: 0, max: 1000 }),
+];
+
+/**
+ * GET /api/tariffs
+ * The full catalogue and product defaults, as loaded into the costing engine
+ */
+router.get(
+  '/',
+  asyncHandler(async (_req: Request, res: Response) => {
+    res.json(await TariffController.getCatalogue());
+  })
+);
+
+/**
+ * GET /api/tariffs/overrides
+ * Audit trail of duty rates overridden on estimate lines
+ */
+router.get(
+  '/overrides',
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const result = await TariffController.getDutyOverrides(
+      req.query.limit ? Number(req.query.limit) : undefined,
+      req.query.offset ? Number(req.query.offset) : undefined
+    );
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/tariffs/import
+ * Import a SARS tariff book CSV (admin only)
+ */
+router.post(
+  '/import',
+  requireAdmin,
+  (req: Request, res: Response, next: NextFunction) => {
+    tariffUpload.single('tariffFile')(req, res, (err: any) => {
+      if (err) {
+        logError('Tariff file upload error', { error: err.message });
+        res.status(400).json({ error: `Upload failed: ${err.message}` });
+        return;
+      }
+      next();
+    });
+  },
+  asyncHandler(async (req: Request, res: Response) => {
+    if (!req.file) throw AppError.badRequest('Tariff CSV file is required');
+    const result = await TariffController.importCsv(req.file.buffer, req.file.originalname, (req as any).user?.username);
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * POST /api/tariffs/product-defaults
+ * Set the default HS code for a product name (admin only)
+ */
+router.post(
+  '/product-defaults',
+  requireAdmin,
+  body('product_name').trim().notEmpty().withMessage('Product name is required'),
+  body('hs_code').trim().notEmpty().withMessage('HS code is required'),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const row = await TariffController.saveProductDefault(req.body.product_name, req.body.hs_code, (req as any).user?.username);
+    res.status(201).json(row);
+  })
+);
+
+/**
+ * DELETE /api/tariffs/product-defaults/:id
+ */
+router.delete(
+  '/product-defaults/:id',
+  requireAdmin,
+  param('id').isInt(),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    await TariffController.deleteProductDefault(parseInt(req.params.id!, 10));
+    res.json({ success: true });
+  })
+);
+
+/**
+ * PUT /api/tariffs/:hsCode
+ * Add or edit one tariff line (admin only)
+ */
+router.put(
+  '/:hsCode',
+  requireAdmin,
+  tariffValidation,
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    const tariff = await TariffController.saveTariff({
+      hs_code: req.params.hsCode!,
+      description: req.body.description ?? null,
+      statistical_unit: req.body.statistical_unit ?? null,
+      duty_text: req.body.duty_text ?? null,
+      duty_percent: req.body.duty_percent ?? null,
+      schedule1_percent: req.body.schedule1_percent ?? null,
+      vat_treatment: req.body.vat_treatment || 'standard',
+      preferential_rates: req.body.preferential_rates || {},
+    }, (req as any).user?.username);
+    res.json(tariff);
+  })
+);
+
+/**
+ * DELETE /api/tariffs/:hsCode
+ */
+router.delete(
+  '/:hsCode',
+  requireAdmin,
+  param('hsCode').matches(/^[\d.\s]{4,16}$/),
+  validate,
+  asyncHandler(async (req: Request, res: Response) => {
+    await TariffController.deleteTariff(req.params.hsCode!);
+    res.json({ success: true });
+  })
+);
+
+export default router;
@@ -2,12 +2,15 @@
  * Warehouse Capacity Routes
  * Handles CRUD operations for warehouse capacity data including
  * bins used, available bins, total capacity, and history tracking.
+ * Warehouses with storage locations set up get bins used, available and
+ * total from their occupied locations instead of the stored counters.
  */
 
 import { Router, Request, Response } from 'express';
 import pool from '../db/connection.js';
 import { authenticateToken, requireAdmin } from '../middleware/auth.ts';
 import { validateWarehouseCapacity, validateWarehouseCapacityUpdate, validateWarehouseTotalCapacityUpdate } from '../middleware/validation.js';
+import StorageLocationController from '../controllers/StorageLocationController.js';
 
 const router = Router();
 
@@ -37,6 +40,9 @@ interface CapacityData {
   totalCapacity: Record<string, number>;
   binsUsed: Record<string, number>;
   availableBins: Record<string, number>;
+  // Warehouses whose figures come from storage locations, and their average pallets per bin
+  locationManaged: Record<string, boolean>;
+  palletsPerBin: Record<string, number>;
 }
 
 // GET all history (admin only) - MUST be before /:warehouseName
@@ -88,7 +94,9 @@ router.get('/', async (req: Request, res: Response) => {
     const capacityData: CapacityData = {
       totalCapacity: {},
       binsUsed: {},
-      availableBins: {}
+      availableBins: {},
+      locationManaged: {},
+      palletsPerBin: {}
     };
     result.rows.forEach((row: CapacityRow) => {
       capacityData.totalCapacity[row.warehouse_name] = row.total_capacity || 0;
@@ -96,6 +104,16 @@ router.get('/', async (req: Request, res: Response) => {
       capacityData.availableBins[row.warehouse_name] = row.available_bins || 0;
     });
 
+    // Occupied storage locations replace the hand-kept counters where they are set up
+    const usage = await StorageLocationController.getWarehouseUsage();
+    Object.entries(usage).forEach(([warehouse, entry]) => {
+      capacityData.totalCapacity[warehouse] = entry.totalBins;
+      capacityData.binsUsed[warehouse] = entry.binsUsed;
+      capacityData.availableBins[warehouse] = entry.availableBins;
+      capacityData.locationManaged[warehouse] = true;
+      capacityData.palletsPerBin[warehouse] = entry.palletsPerBin;
+    });
+
     res.json(capacityData);
   } catch (error: any) {
     console.error('Error fetching warehouse capacity:', error);
@@ -116,6 +134,13 @@ router.put('/:warehouseName/total-capacity', authenticateToken, requireAdmin, va
         return res.status(400).json({ error: 'Invalid totalCapacity value' });
       }
 
+      const usage = await StorageLocationController.getWarehouseUsage();
+      if (usage[warehouseName!.toUpperCase()]) {
+        return res.status(409).json({
+          error: `Total capacity for ${warehouseName} is the number of bins in its storage locations and cannot be edited`
+        });
+      }
+
       // Update or insert total_capacity - ensure bins_used and available_bins are preserved
       const result = await pool.query(
         `INSERT INTO warehouse_capacity (warehouse_name, total_capacity, bins_used, available_bins, updated_at)
@@ -250,6 +275,13 @@ router.put('/:warehouseName', authenticateToken, requireAdmin, validateWarehouse
       return res.status(400).json({ error: 'Invalid binsUsed value' });
     }
 
+    const usage = await StorageLocationController.getWarehouseUsage();
+    if (usage[warehouseName!.toUpperCase()]) {
+      return res.status(409).json({
+        error: `Bins used for ${warehouseName} is counted from its occupied storage locations and cannot be edited`
+      });
+    }
+
     const result = await pool.query(
       `INSERT INTO warehouse_capacity (warehouse_name, bins_used, updated_at)
        VALUES ($1::text, $2::integer, CURRENT_TIMESTAMP)
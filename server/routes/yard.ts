@@ -0,0 +1,227 @@
+/**
+ * Yard Routes
+ * Handles yard slots, container/trailer gate-in and gate-out, and the
+ * shipping-line free days behind the demurrage and detention clocks
+ */
+
+import { Router, Request, Response } from 'express';
+import { body } from 'express-validator';
+import { asyncHandler } from '../middleware/errorHandler.ts';
+import YardController from '../controllers/YardController.js';
+import type { BodyRequest } from '../types/api.js';
+import { EQUIPMENT_TYPES, YARD_STATUSES } from '../../src/utils/yardManagement.js';
+
+const equipmentTypes = EQUIPMENT_TYPES.map(o => o.value);
+const statuses = YARD_STATUSES.map(o => o.value);
+
+const router = Router();
+
+/**
+ * Container fields shared by create and update
+ */
+const containerFields = [
+  body('containerNumber').optional({ nullable: true }).trim(),
+  body('trailerNumber').optional({ nullable: true }).trim(),
+  body('sealNumber').optional({ nullable: true }).trim(),
+  body('shippingLine').optional({ nullable: true }).trim(),
+  body('dischargedAt').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+  body('truckId').optional({ nullable: true, checkFalsy: true }).isInt(),
+  body('shipmentIds').optional().isArray(),
+  body('notes').optional({ nullable: true }).trim(),
+];
+
+// ─── Yard Slot Routes ───
+
+/**
+ * GET /api/yard/slots
+ * List yard slots, optionally for one warehouse
+ */
+router.get(
+  '/slots',
+  asyncHandler(async (req: Request, res: Response) => {
+    const warehouse = req.query.warehouse as string | undefined;
+    const slots = await YardController.getSlots(warehouse);
+    res.json(slots);
+  })
+);
+
+/**
+ * POST /api/yard/slots
+ * Add a row of slots to a warehouse yard (continues the numbering of an existing row)
+ */
+router.post(
+  '/slots',
+  body('warehouse').trim().notEmpty().withMessage('warehouse is required'),
+  body('row').trim().notEmpty().withMessage('row is required'),
+  body('count').isInt({ min: 1 }).toInt(),
+  asyncHandler(async (req: BodyRequest<{ warehouse: string; row: string; count: number }>, res: Response) => {
+    const slots = await YardController.addSlotRow(req.body);
+    res.status(201).json(slots);
+  })
+);
+
+/**
+ * DELETE /api/yard/slots/:id
+ * Remove an empty yard slot
+ */
+router.delete(
+  '/slots/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    await YardController.deleteSlot(parseInt(req.params.id!, 10));
+    res.json({ message: 'Yard slot deleted' });
+  })
+);
+
+// ─── Free Days Routes ───
+
+/**
+ * GET /api/yard/free-days
+ * Demurrage and detention free days per shipping line
+ */
+router.get(
+  '/free-days',
+  asyncHandler(async (_req: Request, res: Response) => {
+    const lines = await YardController.getFreeDays();
+    res.json(lines);
+  })
+);
+
+/**
+ * PUT /api/yard/free-days
+ * Create or update a shipping line's free days
+ */
+router.put(
+  '/free-days',
+  body('shippingLine').trim().notEmpty().withMessage('shippingLine is required'),
+  body('demurrageFreeDays').isInt({ min: 0 }).toInt(),
+  body('detentionFreeDays').isInt({ min: 0 }).toInt(),
+  asyncHandler(async (req: BodyRequest<{ shippingLine: string; demurrageFreeDays: number; detentionFreeDays: number }>, res: Response) => {
+    const line = await YardController.saveFreeDays(req.body);
+    res.json(line);
+  })
+);
+
+/**
+ * DELETE /api/yard/free-days/:id
+ * Remove a shipping line's free days (it falls back to the defaults)
+ */
+router.delete(
+  '/free-days/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    await YardController.deleteFreeDays(parseInt(req.params.id!, 10));
+    res.json({ message: 'Shipping line free days deleted' });
+  })
+);
+
+// ─── Container Routes ───
+
+/**
+ * GET /api/yard/containers?warehouse=&status=
+ * Containers and trailers on the yard register; without a status, those not yet gated out
+ */
+router.get(
+  '/containers',
+  asyncHandler(async (req: Request, res: Response) => {
+    const { warehouse, status } = req.query as Record<string, string>;
+    const containers = await YardController.getContainers({
+      warehouse,
+      status: statuses.includes(status as string) ? status : undefined,
+      active: !status,
+    });
+    res.json(containers);
+  })
+);
+
+/**
+ * POST /api/yard/containers
+ * Register a container or trailer; gated in straight away when yardSlotId is set
+ */
+router.post(
+  '/containers',
+  body('warehouse').trim().notEmpty().withMessage('warehouse is required'),
+  body('equipmentType').optional().isIn(equipmentTypes),
+  body('yardSlotId').optional({ nullable: true, checkFalsy: true }).isInt().toInt(),
+  ...containerFields,
+  asyncHandler(async (req: BodyRequest, res: Response) => {
+    const container = await YardController.createContainer(req.body, req.user?.username);
+    res.status(201).json(container);
+  })
+);
+
+/**
+ * PUT /api/yard/containers/:id
+ * Amend a container's numbers, seal, shipping line, discharge time or shipments
+ */
+router.put(
+  '/containers/:id',
+  ...containerFields,
+  asyncHandler(async (req: BodyRequest, res: Response) => {
+    const container = await YardController.updateContainer(parseInt(req.params.id!, 10), req.body);
+    res.json({ message: 'Yard container updated', data: container });
+  })
+);
+
+/**
+ * DELETE /api/yard/containers/:id
+ * Remove a container that has not been gated in
+ */
+router.delete(
+  '/containers/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    await YardController.deleteContainer(parseInt(req.params.id!, 10));
+    res.json({ message: 'Yard container removed' });
+  })
+);
+
+/**
+ * POST /api/yard/containers/:id/gate-in
+ * Gate a container in to a yard slot, recording the seal number
+ */
+router.post(
+  '/containers/:id/gate-in',
+  body('yardSlotId').isInt({ min: 1 }).withMessage('yardSlotId is required').toInt(),
+  body('sealNumber').optional({ nullable: true }).trim(),
+  asyncHandler(async (req: BodyRequest<{ yardSlotId: number; sealNumber?: string }>, res: Response) => {
+    const container = await YardController.gateIn(parseInt(req.params.id!, 10), req.body, req.user?.username);
+    res.json({ message: 'Container gated in', data: container });
+  })
+);
+
+/**
+ * POST /api/yard/containers/:id/move
+ * Move a container to another yard slot
+ */
+router.post(
+  '/containers/:id/move',
+  body('yardSlotId').isInt({ min: 1 }).withMessage('yardSlotId is required').toInt(),
+  asyncHandler(async (req: BodyRequest<{ yardSlotId: number }>, res: Response) => {
+    const container = await YardController.moveContainer(parseInt(req.params.id!, 10), req.body.yardSlotId);
+    res.json({ message: 'Container moved', data: container });
+  })
+);
+
+/**
+ * POST /api/yard/containers/:id/empty
+ * Mark a container as unloaded and ready to return empty
+ */
+router.post(
+  '/containers/:id/empty',
+  asyncHandler(async (req: Request, res: Response) => {
+    const container = await YardController.markEmpty(parseInt(req.params.id!, 10));
+    res.json({ message: 'Container marked empty', data: container });
+  })
+);
+
+/**
+ * POST /api/yard/containers/:id/gate-out
+ * Gate a container out of the yard (stops its detention clock)
+ */
+router.post(
+  '/containers/:id/gate-out',
+  asyncHandler(async (req: Request, res: Response) => {
+    const container = await YardController.gateOut(parseInt(req.params.id!, 10), req.user?.username);
+    res.json({ message: 'Container gated out', data: container });
+  })
+);
+
+export default router;
@@ -1,91 +1,187 @@
 /**
  * Exchange Rate Service
- * Fetches and caches USD/ZAR exchange rates
+ * Fetches and caches foreign currency → ZAR exchange rates.
+ * Each currency pair (e.g. USD/ZAR, EUR/ZAR) has its own cache entry,
+ * staleness, manual override and history. Any ISO 4217 currency the rate
+ * providers quote can be converted; EXCHANGE_RATE_CURRENCIES lists the
+ * ones shown together on the costing screens.
  */
 
-import { costingRepository } from '../db/repositories/CostingRepository.js';
+import {
+  costingRepository,
+  ExchangeRate,
+  ExchangeRateHistoryEntry,
+  DailyExchangeRate,
+} from '../db/repositories/CostingRepository.js';
 import { logInfo, logError } from '../utils/logger.js';
+import { AppError } from '../utils/AppError.ts';
 
 interface ExchangeRateResponse {
+  pair: string;
   rate: number;
   source: string;
   fetchedAt: string;
   isStale: boolean;
+  isManual: boolean;
+}
+
+interface RateAtDateResponse {
+  pair: string;
+  date: string;      // requested date
+  rateDate: string;  // ledger date the rate was taken from (same day or closest earlier)
+  rate: number;
+  source: string;
 }
 
 export class ExchangeRateService {
-  private static readonly CURRENCY_PAIR = 'USD/ZAR';
+  static readonly BASE_CURRENCY = 'ZAR';
+  static readonly DEFAULT_PAIR = 'USD/ZAR';
+  static readonly DEFAULT_CURRENCIES = ['USD', 'EUR', 'GBP', 'CNY', 'INR'];
   private static readonly CACHE_DURATION_MS = 60 * 60 * 1000; // 1 hour
+  private static readonly DEFAULT_HISTORY_DAYS = 30;
+  private static readonly MAX_BACKFILL_DAYS = 366;
+
+  // Reasonable fallbacks used only when no API or cached value is available
+  private static readonly FALLBACK_RATES: Record<string, number> = {
+    USD: 18.50,
+    EUR: 20.00,
+    GBP: 23.50,
+    CNY: 2.55,
+    INR: 0.22,
+  };
+
+  /**
+   * Currencies listed together, from EXCHANGE_RATE_CURRENCIES (comma
+   * separated) or the defaults
+   */
+  static getCurrencies(): string[] {
+    const configured = (process.env.EXCHANGE_RATE_CURRENCIES || '')
+      .split(',')
+      .map(code => code.trim().toUpperCase())
+      .filter(code => /^[A-Z]{3}$/.test(code) && code !== this.BASE_CURRENCY);
+    return configured.length ? [...new Set(configured)] : this.DEFAULT_CURRENCIES;
+  }
+
+  /**
+   * The listed pairs, e.g. ['USD/ZAR', 'EUR/ZAR', ...]
+   */
+  static getSupportedPairs(): string[] {
+    return this.getCurrencies().map(currency => `${currency}/${this.BASE_CURRENCY}`);
+  }
 
   /**
-   * Get current USD/ZAR exchange rate
-   * Tries cache first, then fetches from API if stale
+   * Normalise a pair or bare currency code ("eur", "EUR/ZAR") to "EUR/ZAR".
+   * Throws for anything that is not an ISO 4217 code into ZAR so callers
+   * can return a 400.
    */
-  static async getCurrentRate(): Promise<ExchangeRateResponse> {
+  static normalizePair(pairOrCurrency?: string): string {
+    if (!pairOrCurrency) return this.DEFAULT_PAIR;
+    const [from, to = this.BASE_CURRENCY] = pairOrCurrency.trim().toUpperCase().split('/');
+    if (!from || !/^[A-Z]{3}$/.test(from) || from === this.BASE_CURRENCY || to !== this.BASE_CURRENCY) {
+      throw new Error(`Unsupported currency pair: ${pairOrCurrency}`);
+    }
+    return `${from}/${to}`;
+  }
+
+  private static baseCurrencyOf(pair: string): string {
+    return pair.split('/')[0] as string;
+  }
+
+  private static toResponse(pair: string, cached: ExchangeRate, isStale: boolean): ExchangeRateResponse {
+    return {
+      pair,
+      rate: Number(cached.rate),
+      source: cached.source || 'cache',
+      fetchedAt: cached.fetched_at,
+      isStale,
+      isManual: Boolean(cached.is_manual),
+    };
+  }
+
+  /**
+   * Get current exchange rate for a pair (defaults to USD/ZAR)
+   * Tries cache first, then fetches from API if stale.
+   * A manual override is returned as-is until it is cleared or refreshed.
+   */
+  static async getCurrentRate(pairOrCurrency?: string): Promise<ExchangeRateResponse> {
+    const pair = this.normalizePair(pairOrCurrency);
     try {
       // Check cache first
-      const cached = await costingRepository.getCachedRate(this.CURRENCY_PAIR);
-      const isStale = await costingRepository.isRateStale(this.CURRENCY_PAIR);
+      const cached = await costingRepository.getCachedRate(pair);
 
-      if (cached && !isStale) {
-        return {
-          rate: Number(cached.rate),
-          source: cached.source || 'cache',
-          fetchedAt: cached.fetched_at,
-          isStale: false,
-        };
+      if (cached && (cached.is_manual || !this.isStale(cached))) {
+        return this.toResponse(pair, cached, false);
       }
 
       // Try to fetch fresh rate
       try {
-        const freshRate = await this.fetchRateFromAPI();
+        const freshRate = await this.fetchRateFromAPI(pair);
         if (freshRate) {
-          await costingRepository.cacheRate(this.CURRENCY_PAIR, freshRate.rate, freshRate.source);
-          return {
-            rate: freshRate.rate,
-            source: freshRate.source,
-            fetchedAt: new Date().toISOString(),
-            isStale: false,
-          };
+          const saved = await costingRepository.cacheRate(pair, freshRate.rate, freshRate.source);
+          return this.toResponse(pair, saved, false);
         }
       } catch (apiError) {
-        logError('Failed to fetch rate from API, using cached value', apiError);
+        logError(`Failed to fetch ${pair} from API, using cached value`, apiError);
       }
 
       // Return cached value even if stale
       if (cached) {
-        return {
-          rate: Number(cached.rate),
-          source: cached.source || 'cache',
-          fetchedAt: cached.fetched_at,
-          isStale: true,
-        };
+        return this.toResponse(pair, cached, true);
       }
 
       // Fallback to hardcoded rate if no cache
-      logInfo('No cached rate available, using fallback rate');
-      return {
-        rate: 18.50, // Reasonable fallback for USD/ZAR
-        source: 'fallback',
-        fetchedAt: new Date().toISOString(),
-        isStale: true,
-      };
+      logInfo(`No cached ${pair} rate available, using fallback rate`);
+      return this.fallbackResponse(pair);
     } catch (error) {
-      logError('Error getting exchange rate', error);
-      return {
-        rate: 18.50,
-        source: 'fallback',
-        fetchedAt: new Date().toISOString(),
-        isStale: true,
-      };
+      logError(`Error getting ${pair} exchange rate`, error);
+      return this.fallbackResponse(pair);
+    }
+  }
+
+  /**
+   * Get current rates for every listed pair; a configured currency no
+   * provider quotes is left out
+   */
+  static async getAllRates(): Promise<ExchangeRateResponse[]> {
+    const rates: ExchangeRateResponse[] = [];
+    for (const pair of this.getSupportedPairs()) {
+      try {
+        rates.push(await this.getCurrentRate(pair));
+      } catch (error) {
+        logError(`No ${pair} rate to list`, error);
+      }
+    }
+    return rates;
+  }
+
+  /**
+   * Hardcoded rate for the common currencies; any other currency with no
+   * cached or fetched rate is one the providers don't quote
+   */
+  private static fallbackResponse(pair: string): ExchangeRateResponse {
+    const rate = this.FALLBACK_RATES[this.baseCurrencyOf(pair)];
+    if (rate === undefined) {
+      throw AppError.notFound(`No exchange rate available for ${pair}`);
     }
+    return {
+      pair,
+      rate,
+      source: 'fallback',
+      fetchedAt: new Date().toISOString(),
+      isStale: true,
+      isManual: false,
+    };
+  }
+
+  private static isStale(cached: ExchangeRate): boolean {
+    return new Date(cached.fetched_at).getTime() < Date.now() - this.CACHE_DURATION_MS;
   }
 
   /**
    * Fetch rate from external API
    * Uses exchangerate-api.com free tier
    */
-  private static async fetchRateFromAPI(): Promise<{ rate: number; source: string } | null> {
+  private static async fetchRateFromAPI(pair: string): Promise<{ rate: number; source: string } | null> {
     // Try multiple sources in order
     const sources = [
       this.fetchFromExchangeRateAPI,
@@ -94,9 +190,9 @@ export class ExchangeRateService {
 
     for (const fetchFn of sources) {
       try {
-        const result = await fetchFn.call(this);
+        const result = await fetchFn.call(this, this.baseCurrencyOf(pair));
         if (result) {
-          logInfo(`Exchange rate fetched: ${result.rate} from ${result.source}`);
+          logInfo(`Exchange rate fetched: ${pair} ${result.rate} from ${result.source}`);
           return result;
         }
       } catch (error) {
@@ -110,10 +206,10 @@ export class ExchangeRateService {
   /**
    * Fetch from exchangerate-api.com (free tier: 1500 requests/month)
    */
-  private static async fetchFromExchangeRateAPI(): Promise<{ rate: number; source: string } | null> {
+  private static async fetchFromExchangeRateAPI(currency: string): Promise<{ rate: number; source: string } | null> {
     try {
       const response = await fetch(
-        'https://api.exchangerate-api.com/v4/latest/USD',
+        `https://api.exchangerate-api.com/v4/latest/${currency}`,
         { signal: AbortSignal.timeout(5000) }
       );
 
@@ -137,11 +233,11 @@ export class ExchangeRateService {
   /**
    * Fallback: Fetch from open exchange rates API
    */
-  private static async fetchFromOpenExchangeRates(): Promise<{ rate: number; source: string } | null> {
+  private static async fetchFromOpenExchangeRates(currency: string): Promise<{ rate: number; source: string } | null> {
     try {
       // This is a free API that doesn't require authentication
       const response = await fetch(
-        'https://open.er-api.com/v6/latest/USD',
+        `https://open.er-api.com/v6/latest/${currency}`,
         { signal: AbortSignal.timeout(5000) }
       );
 
@@ -163,35 +259,211 @@ export class ExchangeRateService {
   }
 
   /**
-   * Manually set exchange rate
+   * Manually set exchange rate for a pair.
+   * The override sticks (is never treated as stale) until cleared or refreshed.
    */
-  static async setManualRate(rate: number): Promise<ExchangeRateResponse> {
-    const cached = await costingRepository.cacheRate(this.CURRENCY_PAIR, rate, 'manual');
-    return {
-      rate: Number(cached.rate),
-      source: 'manual',
-      fetchedAt: cached.fetched_at,
-      isStale: false,
-    };
+  static async setManualRate(rate: number, pairOrCurrency?: string, setBy?: string): Promise<ExchangeRateResponse> {
+    const pair = this.normalizePair(pairOrCurrency);
+    const cached = await costingRepository.cacheRate(pair, rate, 'manual', { isManual: true, createdBy: setBy });
+    return this.toResponse(pair, cached, false);
+  }
+
+  /**
+   * Clear a manual override so the pair falls back to API rates again
+   */
+  static async clearManualRate(pairOrCurrency?: string): Promise<ExchangeRateResponse> {
+    const pair = this.normalizePair(pairOrCurrency);
+    await costingRepository.clearManualRate(pair);
+    return this.refreshRate(pair);
   }
 
   /**
-   * Force refresh rate from API
+   * Force refresh rate from API (replaces any manual override)
    */
-  static async refreshRate(): Promise<ExchangeRateResponse> {
-    const freshRate = await this.fetchRateFromAPI();
+  static async refreshRate(pairOrCurrency?: string): Promise<ExchangeRateResponse> {
+    const pair = this.normalizePair(pairOrCurrency);
+    const freshRate = await this.fetchRateFromAPI(pair);
     if (freshRate) {
-      await costingRepository.cacheRate(this.CURRENCY_PAIR, freshRate.rate, freshRate.source);
-      return {
-        rate: freshRate.rate,
-        source: freshRate.source,
-        fetchedAt: new Date().toISOString(),
-        isStale: false,
-      };
+      const saved = await costingRepository.cacheRate(pair, freshRate.rate, freshRate.source);
+      return this.toResponse(pair, saved, false);
     }
 
     // If API fails, return current cached value
-    return this.getCurrentRate();
+    return this.getCurrentRate(pair);
+  }
+
+  /**
+   * Daily rates for a pair between two dates (YYYY-MM-DD, inclusive).
+   * Defaults to the last 30 days. Missing weekdays are backfilled from
+   * the historical rates API before the ledger is returned; weekdays the
+   * API has no fixing for (holidays) are recorded as carried forward.
+   */
+  static async getDailyHistory(pairOrCurrency?: string, from?: string, to?: string): Promise<DailyExchangeRate[]> {
+    const pair = this.normalizePair(pairOrCurrency);
+    const toDate = to || this.toDateString(new Date());
+    const fromDate = from || this.toDateString(new Date(Date.parse(toDate) - this.DEFAULT_HISTORY_DAYS * 86400000));
+    if (fromDate > toDate) {
+      throw new Error('"from" must be on or before "to"');
+    }
+
+    let ledger = await costingRepository.getDailyRates(pair, fromDate, toDate);
+    const missing = this.missingWeekdays(ledger, fromDate, toDate);
+    if (missing.length > 0 && missing.length <= this.MAX_BACKFILL_DAYS) {
+      const backfilled = await this.backfillDailyRates(pair, missing);
+      if (backfilled > 0) {
+        ledger = await costingRepository.getDailyRates(pair, fromDate, toDate);
+      }
+    }
+    return ledger;
+  }
+
+  /**
+   * Rate in effect for a pair on a date (YYYY-MM-DD): the ledger rate for that
+   * day, the historical API rate for that day, or the closest earlier ledger rate.
+   * Returns null when nothing is known on or before the date.
+   */
+  static async getRateAtDate(pairOrCurrency: string | undefined, date: string): Promise<RateAtDateResponse | null> {
+    const pair = this.normalizePair(pairOrCurrency);
+    const day = this.toDateString(new Date(date));
+
+    let entry = await costingRepository.getDailyRateOnOrBefore(pair, day);
+    if (!entry || entry.rate_date !== day) {
+      const historical = await this.fetchHistoricalRate(pair, day);
+      if (historical) {
+        // Never overwrite a rate we already recorded ourselves
+        await costingRepository.upsertDailyRate(pair, historical.date, historical.rate, historical.source, false);
+        // No fixing that day: remember it so the day is not fetched again
+        if (historical.date !== day && day < this.toDateString(new Date())) {
+          await costingRepository.upsertDailyRate(pair, day, historical.rate, historical.source, false, true);
+        }
+        entry = await costingRepository.getDailyRateOnOrBefore(pair, day, true);
+      }
+    } else if (entry.carried_forward) {
+      entry = await costingRepository.getDailyRateOnOrBefore(pair, day, true);
+    }
+
+    if (!entry) return null;
+    return {
+      pair,
+      date: day,
+      rateDate: entry.rate_date,
+      rate: Number(entry.rate),
+      source: entry.source || 'ledger',
+    };
+  }
+
+  private static toDateString(date: Date): string {
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid date');
+    }
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Weekdays (no FX fixings on weekends) in the range, up to today, with no
+   * ledger entry; carried-forward holidays count as entries
+   */
+  private static missingWeekdays(ledger: DailyExchangeRate[], fromDate: string, toDate: string): string[] {
+    const known = new Set(ledger.map(entry => entry.rate_date));
+    const today = this.toDateString(new Date());
+    const last = toDate < today ? toDate : today;
+    const missing: string[] = [];
+    for (let t = Date.parse(fromDate); t <= Date.parse(last); t += 86400000) {
+      const d = new Date(t);
+      const day = this.toDateString(d);
+      if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6 && !known.has(day)) {
+        missing.push(day);
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * Fill the missing weekdays in the daily ledger from frankfurter.app (ECB
+   * reference rates). Existing entries are kept. Past weekdays without a
+   * fixing get the previous fixing, carried forward. Returns the number of
+   * ledger rows written.
+   */
+  private static async backfillDailyRates(pair: string, missing: string[]): Promise<number> {
+    const fromDate = missing[0] as string;
+    const toDate = missing[missing.length - 1] as string;
+    try {
+      const currency = this.baseCurrencyOf(pair);
+      const response = await fetch(
+        `https://api.frankfurter.app/${fromDate}..${toDate}?from=${currency}&to=${this.BASE_CURRENCY}`,
+        { signal: AbortSignal.timeout(10000) }
+      );
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      const fixings = Object.entries<Record<string, number>>(data?.rates || {})
+        .filter(([, rates]) => rates?.ZAR)
+        .map(([day, rates]) => ({ day, rate: Number(rates.ZAR) }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+      for (const { day, rate } of fixings) {
+        await costingRepository.upsertDailyRate(pair, day, rate, 'frankfurter.app', false);
+      }
+
+      const fixed = new Set(fixings.map(f => f.day));
+      const today = this.toDateString(new Date());
+      let carried = 0;
+      for (const day of missing) {
+        if (fixed.has(day) || day >= today) continue;
+        let previous = [...fixings].reverse().find(f => f.day < day)?.rate;
+        if (previous === undefined) {
+          const earlier = await costingRepository.getDailyRateOnOrBefore(pair, day, true);
+          previous = earlier ? Number(earlier.rate) : undefined;
+        }
+        if (previous !== undefined) {
+          await costingRepository.upsertDailyRate(pair, day, previous, 'frankfurter.app', false, true);
+          carried++;
+        }
+      }
+
+      logInfo(`Backfilled ${fixings.length} daily ${pair} rates, ${carried} carried forward (${fromDate} to ${toDate})`);
+      return fixings.length + carried;
+    } catch (error) {
+      logError(`Failed to backfill daily ${pair} rates`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Fetch the reference rate for a single day from frankfurter.app.
+   * On weekends/holidays the API answers with the previous business day.
+   */
+  private static async fetchHistoricalRate(
+    pair: string,
+    day: string
+  ): Promise<{ date: string; rate: number; source: string } | null> {
+    try {
+      const currency = this.baseCurrencyOf(pair);
+      const response = await fetch(
+        `https://api.frankfurter.app/${day}?from=${currency}&to=${this.BASE_CURRENCY}`,
+        { signal: AbortSignal.timeout(5000) }
+      );
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}`);
+      }
+
+      const data = await response.json();
+      if (data?.rates?.ZAR && data?.date) {
+        return { date: data.date, rate: Number(data.rates.ZAR), source: 'frankfurter.app' };
+      }
+    } catch (error) {
+      logError(`frankfurter.app historical fetch failed for ${pair} on ${day}`, error);
+    }
+    return null;
+  }
+
+  /**
+   * Recent rate changes for a pair (API fetches and manual overrides)
+   */
+  static async getRateChanges(pairOrCurrency?: string, limit = 50): Promise<ExchangeRateHistoryEntry[]> {
+    const pair = this.normalizePair(pairOrCurrency);
+    return costingRepository.getRateHistory(pair, limit);
   }
 }
 
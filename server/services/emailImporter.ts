@@ -4,7 +4,10 @@ import XLSX from 'xlsx';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import type { Shipment } from '../types/index.js';
+import ImportReviewController from '../controllers/ImportReviewController.js';
+import ImportMappingController from '../controllers/ImportMappingController.js';
+import type { ImportMappingProfile } from '../db/repositories/ImportMappingRepository.js';
+import { applyMapping } from '../../src/utils/importMapping.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,6 +26,7 @@ interface EmailImporterConfig {
 
 interface ImportMetadata {
   source: string;
+  messageId?: string;
   emailFrom?: string;
   emailSubject?: string;
   emailDate?: Date;
@@ -36,6 +40,7 @@ interface ImportActivity {
   emailSubject?: string;
   attachmentsProcessed: number;
   totalAttachments: number;
+  rowsStaged: number;
 }
 
 class EmailImporter {
@@ -204,16 +209,23 @@ class EmailImporter {
           // Check if email has relevant attachments
           const hasRelevantAttachments = this.hasRelevantAttachments(parsed);
 
+          let processed = false;
           if (hasRelevantAttachments) {
             await this.processAttachments(parsed, seqno);
+            processed = true;
+          } else {
+            // Forwarder status emails carry the update in their text
+            processed = await this.processEmailText(parsed, seqno);
+          }
 
+          if (processed) {
             // Mark email as read after successful processing
             imap.addFlags(seqno, ['\\Seen'], (err: any) => {
               if (err) console.error('Error marking email as read:', err);
               else console.log(`✅ Email ${seqno} marked as processed`);
             });
           } else {
-            console.log(`❌ Email ${seqno} has no relevant attachments, skipping`);
+            console.log(`❌ Email ${seqno} has no relevant attachments or status update, skipping`);
           }
         } catch (error) {
           console.error(`Error parsing email ${seqno}:`, error);
@@ -258,10 +270,45 @@ class EmailImporter {
     return keywords.some(keyword => textLower.includes(keyword));
   }
 
+  /**
+   * Read a status, vessel or ETA update from an email's subject and body
+   * with the forwarder rules, and stage it for review. Returns whether an
+   * update was found.
+   */
+  async processEmailText(parsed: ParsedMail, seqno: number): Promise<boolean> {
+    try {
+      const summary = await ImportReviewController.stageEmailText({
+        messageId: parsed.messageId,
+        emailFrom: parsed.from?.text,
+        emailSubject: parsed.subject,
+        emailDate: parsed.date,
+        body: parsed.text
+      });
+
+      if (!summary) return false;
+
+      console.log(`📨 Email ${seqno}: ${summary.staged} update staged for review (${summary.invalid} unmatched), ${summary.unchanged} unchanged`);
+      await this.logImportActivity({
+        timestamp: new Date().toISOString(),
+        source: 'email_text',
+        emailFrom: parsed.from?.text,
+        emailSubject: parsed.subject,
+        attachmentsProcessed: 0,
+        totalAttachments: parsed.attachments?.length || 0,
+        rowsStaged: summary.staged
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error reading update from email ${seqno}:`, error);
+      return false;
+    }
+  }
+
   async processAttachments(parsed: ParsedMail, seqno: number): Promise<void> {
     console.log(`📎 Processing ${parsed.attachments!.length} attachment(s) from email ${seqno}`);
 
     let processedCount = 0;
+    let rowsStaged = 0;
 
     for (const attachment of parsed.attachments || []) {
       try {
@@ -289,16 +336,18 @@ class EmailImporter {
         console.log(`💾 Saved attachment: ${safeFilename}`);
 
         // Process the file
-        const success = await this.processImportFile(attachmentPath, {
+        const staged = await this.processImportFile(attachmentPath, {
           source: 'email',
+          messageId: parsed.messageId,
           emailFrom: parsed.from?.text,
           emailSubject: parsed.subject,
           emailDate: parsed.date as any,
           originalFilename: filename
         });
 
-        if (success) {
+        if (staged !== null) {
           processedCount++;
+          rowsStaged += staged;
 
           // Move to processed folder
           const processedPath = path.join(this.processedPath, safeFilename);
@@ -322,11 +371,16 @@ class EmailImporter {
       emailFrom: parsed.from?.text,
       emailSubject: parsed.subject,
       attachmentsProcessed: processedCount,
-      totalAttachments: parsed.attachments?.length || 0
+      totalAttachments: parsed.attachments?.length || 0,
+      rowsStaged
     });
   }
 
-  async processImportFile(filePath: string, metadata: ImportMetadata = {} as ImportMetadata): Promise<boolean> {
+  /**
+   * Read an attachment and stage its rows for review. Returns how many rows
+   * were queued, or null when the file couldn't be read.
+   */
+  async processImportFile(filePath: string, metadata: ImportMetadata = {} as ImportMetadata): Promise<number | null> {
     try {
       const extension = path.extname(filePath).toLowerCase();
       let data: any[] | undefined;
@@ -357,28 +411,42 @@ class EmailImporter {
 
       if (!data || data.length === 0) {
         console.log('❌ No data found in file');
-        return false;
+        return null;
       }
 
       console.log(`📊 Found ${data.length} rows of data`);
 
-      // Transform data to shipment format
-      const shipments = await this.transformToShipmentFormat(data, metadata);
+      // Read the sheet with the sender's mapping profile, or one saved for
+      // the same headers; without one, columns are guessed from their names
+      const headers = [...new Set(data.flatMap((row: any) => Object.keys(row)))];
+      const match = await ImportMappingController.selectFor({ sender: metadata.emailFrom, headers });
+      if (match) {
+        console.log(`🗂️ Using mapping profile "${match.profile.name}" (matched by ${match.matchedBy})`);
+      }
+
+      const shipments = await this.transformToShipmentFormat(data, match?.profile || null);
 
       if (shipments.length === 0) {
-        console.log('❌ No valid shipments found after transformation');
-        return false;
+        console.log('❌ No shipment rows found after transformation');
+        return null;
       }
 
-      // Update shipments data
-      await this.updateShipmentsData(shipments, metadata);
+      // Queue the rows for a planner to review against the shipments table
+      const summary = await ImportReviewController.stageRows(shipments, {
+        messageId: metadata.messageId,
+        emailFrom: metadata.emailFrom,
+        emailSubject: metadata.emailSubject,
+        emailDate: metadata.emailDate,
+        attachmentName: metadata.originalFilename,
+        mappingProfileId: match?.profile.id || null
+      });
 
-      console.log(`✅ Successfully imported ${shipments.length} shipment(s)`);
-      return true;
+      console.log(`📊 Import summary: ${summary.staged} staged for review (${summary.invalid} with errors), ${summary.unchanged} unchanged, ${summary.superseded} earlier row(s) superseded`);
+      return summary.staged;
 
     } catch (error) {
       console.error('Error processing import file:', error);
-      return false;
+      return null;
     }
   }
 
@@ -401,68 +469,21 @@ class EmailImporter {
     return data;
   }
 
-  async transformToShipmentFormat(data: any[], metadata: ImportMetadata): Promise<any[]> {
+  /**
+   * Map spreadsheet rows to the bulk import shape (camelCase, as the upload
+   * sends them). Rows are not checked here; invalid ones are staged with
+   * their errors so a planner can fix them.
+   */
+  async transformToShipmentFormat(data: any[], profile: ImportMappingProfile | null = null): Promise<any[]> {
     const shipments: any[] = [];
 
-    // Common field mappings
-    const fieldMappings: Record<string, string[]> = {
-      // ID fields
-      id: ['id', 'shipment_id', 'reference', 'ref', 'order_ref', 'po_number'],
-
-      // Supplier fields
-      supplier: ['supplier', 'vendor', 'shipper', 'company', 'supplier_name'],
-
-      // Product fields
-      productName: ['product', 'product_name', 'description', 'item', 'material'],
-
-      // Quantity fields
-      quantity: ['quantity', 'qty', 'amount', 'weight', 'tonnage'],
-      cbm: ['cbm', 'volume', 'cubic_meters', 'pallet_qty'],
-
-      // Status fields
-      latestStatus: ['status', 'current_status', 'shipment_status', 'state'],
-
-      // Location fields
-      finalPod: ['destination', 'pod', 'final_destination', 'warehouse', 'receiving_warehouse'],
-      receivingWarehouse: ['warehouse', 'receiving_warehouse', 'destination_warehouse'],
-
-      // Date fields
-      etaDate: ['eta', 'estimated_arrival', 'arrival_date', 'expected_arrival'],
-      weekNumber: ['week', 'week_number', 'eta_week', 'arrival_week'],
-
-      // Other fields
-      orderRef: ['order_ref', 'po_number', 'reference_number', 'booking_ref'],
-      forwardingAgent: ['agent', 'forwarding_agent', 'logistics_provider', 'carrier']
-    };
-
     for (const row of data) {
       try {
-        const shipment: any = {};
-
-        // Map fields using fuzzy matching
-        for (const [targetField, possibleFields] of Object.entries(fieldMappings)) {
-          const value = this.findFieldValue(row, possibleFields);
-          if (value !== null && value !== undefined && value !== '') {
-            shipment[targetField] = this.transformFieldValue(targetField, value);
-          }
-        }
+        const shipment = applyMapping(row, profile);
 
-        // Generate ID if not provided
-        if (!shipment.id) {
-          shipment.id = this.generateShipmentId(shipment);
-        }
-
-        // Set default values
-        shipment.createdAt = shipment.createdAt || new Date().toISOString();
-        shipment.updatedAt = new Date().toISOString();
-        shipment.importSource = 'email';
-        shipment.importMetadata = metadata;
-
-        // Validate required fields
-        if (this.isValidShipment(shipment)) {
+        // Skip blank lines (no supplier and no order ref), as the upload does
+        if (shipment.supplier || shipment.orderRef) {
           shipments.push(shipment);
-        } else {
-          console.log(`❌ Skipping invalid shipment:`, Object.keys(shipment).length > 0 ? shipment : row);
         }
 
       } catch (error) {
@@ -473,95 +494,6 @@ class EmailImporter {
     return shipments;
   }
 
-  findFieldValue(row: any, possibleFields: string[]): any {
-    for (const field of possibleFields) {
-      // Check exact match
-      if (row[field] !== undefined) {
-        return row[field];
-      }
-
-      // Check case-insensitive match
-      const lowerField = field.toLowerCase();
-      for (const [key, value] of Object.entries(row)) {
-        if (key.toLowerCase() === lowerField) {
-          return value;
-        }
-      }
-
-      // Check partial match
-      for (const [key, value] of Object.entries(row)) {
-        if (key.toLowerCase().includes(lowerField) || lowerField.includes(key.toLowerCase())) {
-          return value;
-        }
-      }
-    }
-
-    return null;
-  }
-
-  transformFieldValue(field: string, value: any): any {
-    if (value === null || value === undefined) return value;
-
-    const stringValue = String(value).trim();
-
-    switch (field) {
-      case 'quantity':
-      case 'cbm':
-      case 'weekNumber':
-        const numValue = parseFloat(stringValue);
-        return isNaN(numValue) ? 0 : numValue;
-
-      case 'latestStatus':
-        return this.normalizeStatus(stringValue);
-
-      case 'etaDate':
-        return this.parseDate(stringValue);
-
-      default:
-        return stringValue;
-    }
-  }
-
-  normalizeStatus(status: string): string {
-    if (!status) return 'planned_airfreight';
-
-    const statusLower = status.toLowerCase();
-
-    // Map common status variations
-    const statusMap: Record<string, string[]> = {
-      'planned_airfreight': ['planned', 'scheduled', 'booked', 'planned_airfreight'],
-      'airfreight_seafreight': ['airfreight_seafreight', 'airfreight', 'seafreight'],
-      'in_transit': ['in_transit', 'in transit', 'shipped', 'sailing', 'en route'],
-      'arrived': ['arrived', 'docked', 'at port', 'discharged'],
-      'unloading': ['unloading', 'discharging'],
-      'inspection_pending': ['inspection_pending', 'awaiting inspection', 'customs'],
-      'inspecting': ['inspecting', 'under inspection'],
-      'inspection_passed': ['inspection_passed', 'cleared', 'released'],
-      'receiving': ['receiving', 'unloading to warehouse'],
-      'received': ['received', 'in warehouse'],
-      'stored': ['stored', 'completed', 'finished']
-    };
-
-    for (const [normalizedStatus, variations] of Object.entries(statusMap)) {
-      if (variations.some(variation => statusLower.includes(variation))) {
-        return normalizedStatus;
-      }
-    }
-
-    return 'planned_airfreight'; // Default status
-  }
-
-  parseDate(dateString: string): string | null {
-    if (!dateString) return null;
-
-    try {
-      const date = new Date(dateString);
-      return isNaN(date.getTime()) ? null : date.toISOString();
-    } catch {
-      return null;
-    }
-  }
-
   /**
    * Sanitize cell value to prevent CSV/formula injection
    * Dangerous prefixes: =, +, -, @, \t, \r can trigger formula execution
@@ -576,73 +508,6 @@ class EmailImporter {
     return trimmed;
   }
 
-  generateShipmentId(shipment: any): string {
-    const timestamp = Date.now();
-    const supplier = (shipment.supplier || 'UNK').substring(0, 3).toUpperCase();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    return `IMP_${supplier}_${timestamp}_${random}`;
-  }
-
-  isValidShipment(shipment: any): boolean {
-    // Require at least ID and either supplier or product name
-    return shipment.id && (shipment.supplier || shipment.productName);
-  }
-
-  async updateShipmentsData(newShipments: any[], metadata: ImportMetadata): Promise<void> {
-    try {
-      const shipmentsPath = path.join(this.dataPath, 'shipments.json');
-
-      // Read existing shipments
-      let existingShipments: any[] = [];
-      try {
-        const existingData = await fs.readFile(shipmentsPath, 'utf-8');
-        existingShipments = JSON.parse(existingData);
-      } catch (error) {
-        console.log('No existing shipments file found, creating new one');
-      }
-
-      // Merge new shipments
-      const shipmentMap = new Map();
-
-      // Add existing shipments
-      existingShipments.forEach(shipment => {
-        shipmentMap.set(shipment.id, shipment);
-      });
-
-      // Add/update new shipments
-      let addedCount = 0;
-      let updatedCount = 0;
-
-      newShipments.forEach(shipment => {
-        if (shipmentMap.has(shipment.id)) {
-          // Update existing
-          const existing = shipmentMap.get(shipment.id);
-          shipmentMap.set(shipment.id, {
-            ...existing,
-            ...shipment,
-            updatedAt: new Date().toISOString(),
-            lastImportUpdate: metadata
-          });
-          updatedCount++;
-        } else {
-          // Add new
-          shipmentMap.set(shipment.id, shipment);
-          addedCount++;
-        }
-      });
-
-      // Convert back to array and save
-      const updatedShipments = Array.from(shipmentMap.values());
-      await fs.writeFile(shipmentsPath, JSON.stringify(updatedShipments, null, 2));
-
-      console.log(`📊 Import summary: ${addedCount} new, ${updatedCount} updated, ${updatedShipments.length} total shipments`);
-
-    } catch (error) {
-      console.error('Error updating shipments data:', error);
-      throw error;
-    }
-  }
-
   async logImportActivity(activity: ImportActivity): Promise<void> {
     try {
       const logPath = path.join(this.dataPath, 'import_log.json');
@@ -416,6 +416,54 @@ export class EmailService {
     await this.logNotification(userId, 'delayed_shipment', subject, htmlContent, shipment.id, result.success ? 'sent' : 'failed', result.error);
   }
 
+  /**
+   * Send container free-time alert (demurrage or detention about to start, or started)
+   */
+  static async notifyContainerFreeTime(
+    userId: string,
+    container: { container_number: string | null; shipping_line: string | null; warehouse: string; slot_code?: string | null },
+    kind: 'demurrage' | 'detention',
+    clock: { freeUntil: string | null; status: string; chargeableDays: number },
+    orderRefs: string[] = []
+  ): Promise<void> {
+    const prefs = await this.getPreferences(userId);
+    // Free-time alerts go to the users who want delay alerts
+    if (!prefs?.notify_delayed_shipment || !prefs?.email_enabled) return;
+
+    const emailAddress = prefs.email_address || (await this.getUserEmail(userId));
+    if (!emailAddress) return;
+
+    const charge = kind === 'demurrage' ? 'Demurrage' : 'Detention';
+    const charging = clock.status === 'charging';
+    const subject = `${charging ? '🚨' : '⏳'} ${charge} ${charging ? 'Charging' : 'Due'}: ${container.container_number}`;
+    const action = kind === 'demurrage'
+      ? 'Collect the container from the port to stop the demurrage clock.'
+      : 'Unload and return the empty container to stop the detention clock.';
+    const htmlContent = `
+      <h2>Container ${charge} Alert</h2>
+      <p>${charging
+        ? `This container is past its free time and has incurred ${clock.chargeableDays} day(s) of ${kind}.`
+        : `This container's free time runs out soon and ${kind} charges will start.`}</p>
+      <dl>
+        <dt><strong>Container:</strong></dt>
+        <dd>${container.container_number}</dd>
+        <dt><strong>Shipping Line:</strong></dt>
+        <dd>${container.shipping_line || 'N/A'}</dd>
+        <dt><strong>Location:</strong></dt>
+        <dd>${kind === 'demurrage' ? 'At port' : `${container.warehouse} yard${container.slot_code ? `, slot ${container.slot_code}` : ''}`}</dd>
+        <dt><strong>Free Time Ends:</strong></dt>
+        <dd>${clock.freeUntil ? new Date(clock.freeUntil).toLocaleString('en-ZA', { timeZone: 'Africa/Johannesburg' }) : 'N/A'}</dd>
+        <dt><strong>Shipments:</strong></dt>
+        <dd>${orderRefs.length ? orderRefs.join(', ') : 'None linked'}</dd>
+      </dl>
+      <p>${action}</p>
+      <p><a href="https://synercore-import-schedule.vercel.app/dock-management">View Yard</a></p>
+    `;
+
+    const result = await this.sendEmail(emailAddress, subject, htmlContent);
+    await this.logNotification(userId, `${kind}_alert`, subject, htmlContent, null, result.success ? 'sent' : 'failed', result.error);
+  }
+
   /**
    * Send inspection passed notification
    */
@@ -668,6 +716,119 @@ This is an automated email from Synercore Import Schedule. Please do not reply t
       return { success: false, error: errorMsg };
     }
   }
+
+  /**
+   * Confirm a dock booking made, moved or cancelled through the carrier portal
+   */
+  static async sendDockBookingConfirmation(
+    toEmail: string,
+    booking: {
+      action: 'booked' | 'rescheduled' | 'cancelled';
+      reference: string;
+      carrierName: string;
+      warehouse: string;
+      slot: string;
+      vehicleReg?: string | null;
+      driverName?: string | null;
+      orderRefs: string[];
+    }
+  ): Promise<EmailResult> {
+    const headings = {
+      booked: 'Dock Booking Confirmed',
+      rescheduled: 'Dock Booking Rescheduled',
+      cancelled: 'Dock Booking Cancelled',
+    };
+    const subject = `${headings[booking.action]} - ${booking.reference} (${booking.warehouse} ${booking.slot})`;
+    const rows: Array<[string, string]> = [
+      ['Reference', booking.reference],
+      ['Carrier', booking.carrierName],
+      ['Warehouse', booking.warehouse],
+      ['Slot', booking.slot],
+      ['Vehicle', booking.vehicleReg || 'N/A'],
+      ['Driver', booking.driverName || 'N/A'],
+      ['Orders', booking.orderRefs.join(', ') || 'N/A'],
+    ];
+
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0b1f3a;">${headings[booking.action]}</h2>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          ${rows.map(([label, value], i) => `
+          <tr${i % 2 === 0 ? ' style="background-color: #f8fafc;"' : ''}>
+            <td style="padding: 10px; border: 1px solid #e5e7eb;"><strong>${label}:</strong></td>
+            <td style="padding: 10px; border: 1px solid #e5e7eb;">${value}</td>
+          </tr>`).join('')}
+        </table>
+        ${booking.action === 'cancelled'
+          ? '<p>This slot has been released.</p>'
+          : '<p>Please quote the reference at the gate. Trucks arriving outside their slot may be turned away.</p>'}
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+        <p style="color: #999; font-size: 11px; text-align: center;">
+          This is an automated email from Synercore Import Schedule. Please do not reply to this email.
+        </p>
+      </div>
+    `;
+
+    const textContent = `${headings[booking.action]}\n\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}`;
+
+    return this.sendEmail(toEmail, subject, htmlContent, textContent);
+  }
+
+  /**
+   * Invite a forwarder to quote on a freight tender through its response link
+   */
+  static async sendTenderInvitation(
+    toEmail: string,
+    tender: {
+      reference: string;
+      forwarderName: string;
+      lane: string;
+      mode: string;
+      cargo: string;
+      incoterm?: string | null;
+      requiredDate?: string | null;
+      responseDue?: string | null;
+      responseLink: string;
+    }
+  ): Promise<EmailResult> {
+    const subject = `Request for Quotation ${tender.reference} - ${tender.lane}`;
+    const rows: Array<[string, string]> = [
+      ['Reference', tender.reference],
+      ['Lane', tender.lane],
+      ['Mode', tender.mode],
+      ['Cargo', tender.cargo],
+      ['Incoterm', tender.incoterm || 'N/A'],
+      ['Required by', tender.requiredDate || 'N/A'],
+      ['Quote by', tender.responseDue || 'N/A'],
+    ];
+
+    const htmlContent = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0b1f3a;">Request for Quotation</h2>
+        <p>Dear ${tender.forwarderName},</p>
+        <p>Synercore invites you to quote on the shipment below.</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          ${rows.map(([label, value], i) => `
+          <tr${i % 2 === 0 ? ' style="background-color: #f8fafc;"' : ''}>
+            <td style="padding: 10px; border: 1px solid #e5e7eb;"><strong>${label}:</strong></td>
+            <td style="padding: 10px; border: 1px solid #e5e7eb;">${value}</td>
+          </tr>`).join('')}
+        </table>
+        <p style="text-align: center; margin: 30px 0;">
+          <a href="${tender.responseLink}" style="background-color: #0b1f3a; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Submit Your Rates</a>
+        </p>
+        <p style="color: #666; font-size: 12px;">This link is for ${tender.forwarderName} only. You can send revised rates through it until the tender closes.</p>
+        <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+        <p style="color: #999; font-size: 11px; text-align: center;">
+          This is an automated email from Synercore Import Schedule. Please do not reply to this email.
+        </p>
+      </div>
+    `;
+
+    const textContent = `Request for Quotation\n\n${rows.map(([label, value]) => `${label}: ${value}`).join('\n')}\n\nSubmit your rates: ${tender.responseLink}`;
+
+    return this.sendEmail(toEmail, subject, htmlContent, textContent);
+  }
 }
 
 export default EmailService;
@@ -1,7 +1,9 @@
 // Scheduled notification service for automated email digests
 import pool from '../db/connection.ts';
 import EmailService from './emailService.js';
+import yardRepository from '../db/repositories/YardRepository.js';
 import type { Shipment } from '../types/index.js';
+import { dueFreeTimeAlerts, freeDaysFor } from '../../src/utils/yardManagement.js';
 
 interface DigestResult {
   sent: number;
@@ -344,6 +346,56 @@ export class ScheduledNotifications {
     }
   }
 
+  /**
+   * Alert users about containers whose demurrage or detention free time is
+   * about to run out (or has run out). Each clock is alerted once.
+   */
+  static async checkContainerFreeTime(): Promise<CheckResult> {
+    try {
+      console.log('⏰ [Free-Time Job] Checking container free time...');
+
+      const [containers, lines] = await Promise.all([
+        yardRepository.findContainers({ active: true }),
+        yardRepository.findFreeDays(),
+      ]);
+      const due = containers
+        .map(container => ({ container, alerts: dueFreeTimeAlerts(container, freeDaysFor(lines, container.shipping_line)) }))
+        .filter(({ alerts }) => alerts.length > 0);
+
+      if (due.length === 0) {
+        console.log('✅ [Free-Time Job] No containers nearing demurrage or detention');
+        return { checked: containers.length, alerted: 0 };
+      }
+
+      const usersResult = await pool.query(
+        `SELECT user_id FROM notification_preferences
+         WHERE email_enabled = true AND notify_delayed_shipment = true`
+      );
+
+      let alerted = 0;
+      for (const { container, alerts } of due) {
+        const orderRefs = (container.shipments || []).map(s => s.order_ref);
+        for (const { kind, clock } of alerts) {
+          for (const { user_id } of usersResult.rows as UserRow[]) {
+            try {
+              await EmailService.notifyContainerFreeTime(user_id, container, kind, clock, orderRefs);
+              alerted++;
+            } catch (err) {
+              console.error(`Error notifying user ${user_id} about container ${container.id}:`, err);
+            }
+          }
+          await yardRepository.markAlerted(container.id, kind);
+        }
+      }
+
+      console.log(`✅ [Free-Time Job] Checked ${containers.length} containers, sent ${alerted} alerts`);
+      return { checked: containers.length, alerted };
+    } catch (error) {
+      console.error('Error checking container free time:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clean up old notification logs (keep 90 days by default)
    */
@@ -100,6 +100,7 @@ export interface Shipment {
   order_ref: string;
   supplier_id?: string;
   supplier: string;
+  product_name?: string | null;
   quantity: number;
   latest_status: ShipmentStatus;
   week_number?: number;
@@ -107,6 +108,8 @@ export interface Shipment {
   notes?: string;
   created_at: Date;
   updated_at: Date;
+  // Incremented on every change; sent as the ETag for If-Match preconditions
+  version: number;
   archived_at?: Date;
   // Post-arrival workflow fields
   unloading_start_date?: Date;
@@ -130,6 +133,8 @@ export interface Shipment {
   reminder_note?: string | null;
   // Shipment type
   shipment_type?: 'international' | 'local';
+  // Emailed schedule the shipment was last created or updated from
+  source_email_import_id?: number | null;
 }
 
 /**
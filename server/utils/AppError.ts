@@ -63,6 +63,33 @@ export class AppError extends Error {
     return new AppError(message, 409, 'CONFLICT');
   }
 
+  /**
+   * Stale write (409): the record changed since the client read it.
+   * Carries the current record so the client can merge.
+   */
+  static versionConflict(message: string, current: Record<string, any>): AppError {
+    return new AppError(message, 409, 'VERSION_CONFLICT', { current });
+  }
+
+  /**
+   * Status change the shipment state machine doesn't allow (409).
+   * Details carry the from/to statuses and the allowed next statuses.
+   */
+  static invalidTransition(message: string, details: { from: string; to: string; allowed: string[] }): AppError {
+    return new AppError(message, 409, 'INVALID_STATUS_TRANSITION', details);
+  }
+
+  /**
+   * Dock slot closed, blacked out or full (409).
+   * Details carry the reason, the requested slot and free alternatives.
+   */
+  static slotUnavailable(
+    message: string,
+    details: { reason: string; slot: Record<string, any> | null; alternatives: Record<string, any>[] }
+  ): AppError {
+    return new AppError(message, 409, 'SLOT_UNAVAILABLE', details);
+  }
+
   /**
    * Unprocessable entity (422)
    */
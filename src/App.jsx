@@ -7,6 +7,7 @@ import { useNotification } from './contexts/NotificationContext';
 import OfflineIndicator from './components/OfflineIndicator';
 import ErrorBoundary from './components/ErrorBoundary';
 import ConnectionOverlay from './components/ConnectionOverlay';
+import ShipmentConflictDialog from './components/ShipmentConflictDialog';
 import { VIEW_ROUTES } from './routes';
 
 // ✅ Map routes/views to sidebar sections
@@ -19,6 +20,9 @@ const VIEW_TO_SECTION = {
   'local-receiving': 'operations',
   'iwt-incoming': 'operations',
   'bol-audit': 'operations',
+  'supplier-claims': 'operations',
+  'import-review': 'operations',
+  'import-mappings': 'operations',
 
   receiving: 'warehouse',
   'dock-management': 'warehouse',
@@ -29,14 +33,19 @@ const VIEW_TO_SECTION = {
   stored: 'warehouse',
   archives: 'warehouse',
   rates: 'finance',
+  'freight-tenders': 'finance',
   costing: 'finance',
   'export-costing': 'finance',
   'costing-requests': 'finance',
+  'rate-tables': 'finance',
+  'tariff-catalogue': 'finance',
+  'cost-reconciliation': 'finance',
 
   reports: 'reports',
   'advanced-reports': 'reports',
   'supplier-performance': 'reports',
   audit: 'reports',
+  'document-numbering': 'reports',
 };
 
 const VIEW_TITLES = {
@@ -47,6 +56,9 @@ const VIEW_TITLES = {
   'local-receiving': 'Local Receiving',
   'iwt-incoming': 'IWT Incoming',
   'bol-audit': 'BOL Audit',
+  'supplier-claims': 'Supplier Claims',
+  'import-review': 'Emailed Schedule Review',
+  'import-mappings': 'Import Mapping Profiles',
   receiving: 'Goods Receiving',
   'dock-management': 'Dock Management',
   capacity: 'Warehouse Capacity',
@@ -56,14 +68,19 @@ const VIEW_TITLES = {
   stored: 'Stored Stock',
   archives: 'Shipment Archives',
   rates: 'Rates & Quotes',
+  'freight-tenders': 'Freight Tenders',
   costing: 'Import Costing',
   'export-costing': 'Export Costing',
   reports: 'Reports',
   'advanced-reports': 'Advanced Reports',
   'supplier-performance': 'Supplier Performance',
   'costing-requests': 'Cost Requests',
+  'rate-tables': 'Rate Tables',
+  'tariff-catalogue': 'Tariff Catalogue',
+  'cost-reconciliation': 'Cost Reconciliation',
   users: 'User Management',
   audit: 'Activity Log',
+  'document-numbering': 'Document Numbering',
 };
 
 // Lazy-loaded pages (code-split for faster initial load)
@@ -74,6 +91,7 @@ const AdvancedReports = lazy(() => import('./components/AdvancedReports'));
 const WarehouseCapacity = lazy(() => import('./components/WarehouseCapacity'));
 const SupplierManagement = lazy(() => import('./components/SupplierManagement'));
 const RatesQuotes = lazy(() => import('./components/RatesQuotes'));
+const FreightTenders = lazy(() => import('./components/FreightTenders'));
 const PostArrivalWorkflow = lazy(() => import('./components/PostArrivalWorkflow'));
 const WarehouseStored = lazy(() => import('./components/WarehouseStored'));
 const ShippingView = lazy(() => import('./components/ShippingView'));
@@ -85,10 +103,17 @@ const NotificationPreferences = lazy(() => import('./components/NotificationPref
 const ImportCosting = lazy(() => import('./components/ImportCosting'));
 const ExportCosting = lazy(() => import('./components/ExportCosting'));
 const CostingRequests = lazy(() => import('./components/CostingRequests'));
+const RateTablesAdmin = lazy(() => import('./components/RateTablesAdmin'));
+const TariffCatalogueAdmin = lazy(() => import('./components/TariffCatalogueAdmin'));
+const CostReconciliation = lazy(() => import('./components/CostReconciliation'));
 const GlobalSearch = lazy(() => import('./components/GlobalSearch'));
 const LiveBoard = lazy(() => import('./components/LiveBoard'));
 const AuditLog = lazy(() => import('./components/AuditLog'));
+const DocumentNumberingAdmin = lazy(() => import('./components/DocumentNumberingAdmin'));
 const BolAudit = lazy(() => import('./components/BolAudit'));
+const SupplierClaims = lazy(() => import('./components/SupplierClaims'));
+const EmailImportReview = lazy(() => import('./components/EmailImportReview'));
+const ImportMappingProfiles = lazy(() => import('./components/ImportMappingProfiles'));
 const SupplierPerformance = lazy(() => import('./components/SupplierPerformance'));
 const GoodsReceiving = lazy(() => import('./components/GoodsReceiving'));
 const DockManagement = lazy(() => import('./components/DockManagement'));
@@ -99,6 +124,7 @@ import SupplierLogin from './pages/SupplierLogin';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
 import PrivacyNotice from './pages/PrivacyNotice';
+import TenderResponse from './pages/TenderResponse';
 import useWebSocket from './hooks/useWebSocket';
 import useShipments from './hooks/useShipments';
 import useSuppliers from './hooks/useSuppliers';
@@ -113,7 +139,7 @@ import {
   LayoutDashboard, Building2, Ship, Truck, Repeat, ClipboardList, Factory, Store,
   Package, Wallet, BarChart3, TrendingUp, Target, Inbox, ScrollText, FileText,
   Users, LogOut, Moon, Sun, BookOpen, Bell, Globe, Newspaper, MapPin, Settings as SettingsIcon,
-  Waves,
+  Waves, Table2, Scale, Landmark, Hash, FileWarning, MailCheck, FileSpreadsheet, Gavel,
 } from 'lucide-react';
 import './theme.css';
 
@@ -134,6 +160,7 @@ function App() {
   const {
     shipments, setShipments, loading, lastSyncTime,
     fetchShipments, handleCreateShipment, handleUpdateShipment,
+    versionConflict, resolveVersionConflict,
     handleDeleteShipment, handleArchiveShipment, handleFileUpload,
     importResult, setImportResult,
   } = useShipments();
@@ -438,18 +465,26 @@ function App() {
     if (path === '/stored') return 'stored';
     if (path === '/archives') return 'archives';
     if (path === '/rates') return 'rates';
+    if (path === '/freight-tenders') return 'freight-tenders';
     if (path === '/costing') return 'costing';
     if (path === '/export-costing') return 'export-costing';
     if (path === '/costing-requests') return 'costing-requests';
+    if (path === '/rate-tables') return 'rate-tables';
+    if (path === '/tariff-catalogue') return 'tariff-catalogue';
+    if (path === '/cost-reconciliation') return 'cost-reconciliation';
     if (path === '/reports') return 'reports';
     if (path === '/advanced-reports') return 'advanced-reports';
     if (path === '/supplier-performance') return 'supplier-performance';
     if (path === '/users') return 'users';
     if (path === '/audit') return 'audit';
+    if (path === '/document-numbering') return 'document-numbering';
     if (path === '/receiving') return 'receiving';
     if (path === '/dock-management') return 'dock-management';
     if (path === '/iwt-incoming') return 'iwt-incoming';
     if (path === '/bol-audit') return 'bol-audit';
+    if (path === '/supplier-claims') return 'supplier-claims';
+    if (path === '/import-review') return 'import-review';
+    if (path === '/import-mappings') return 'import-mappings';
     return 'shipping';
   })();
 
@@ -467,7 +502,7 @@ function App() {
   // ✅ Keep tabs in sync with direct navigation (refresh / deep link / back button)
   useEffect(() => {
     const route = location.pathname;
-    if (route === '/login') return;
+    if (route === '/login' || route === '/tender-response') return;
 
     openPageTab(activeView, route);
   }, [location.pathname, activeView]);
@@ -495,6 +530,11 @@ function App() {
     </div>
   );
 
+  // Forwarders answer a tender from their invitation link, logged in or not
+  if (location.pathname === '/tender-response') {
+    return <TenderResponse />;
+  }
+
   if (!isAuthenticated) {
     return (
       <Routes>
@@ -594,16 +634,24 @@ function App() {
             stored: { label: 'Stored Stock', icon: Store, view: 'stored' },
             archives: { label: 'Shipment Archives', icon: Package, view: 'archives' },
             rates: { label: 'Rates & Quotes', icon: Wallet, view: 'rates' },
+            freightTenders: { label: 'Freight Tenders', icon: Gavel, view: 'freight-tenders' },
             costing: { label: 'Import Costing', icon: BarChart3, view: 'costing' },
             exportCosting: { label: 'Export Costing', icon: BarChart3, view: 'export-costing' },
             costingRequests: { label: 'Cost Requests', icon: ClipboardList, view: 'costing-requests', adminOnly: true, badge: costingRequestCount },
+            rateTables: { label: 'Rate Tables', icon: Table2, view: 'rate-tables', adminOnly: true },
+            tariffCatalogue: { label: 'Tariff Catalogue', icon: Landmark, view: 'tariff-catalogue', adminOnly: true },
+            costReconciliation: { label: 'Cost Reconciliation', icon: Scale, view: 'cost-reconciliation' },
             reports: { label: 'Reports', icon: BarChart3, view: 'reports' },
             advancedReports: { label: 'Advanced Reports', icon: TrendingUp, view: 'advanced-reports' },
             supplierPerformance: { label: 'Supplier Performance', icon: Target, view: 'supplier-performance' },
             receiving: { label: 'Goods Receiving', icon: Inbox, view: 'receiving' },
             dockManagement: { label: 'Dock Management', icon: Truck, view: 'dock-management' },
             bolAudit: { label: 'BOL Audit', icon: ScrollText, view: 'bol-audit' },
+            supplierClaims: { label: 'Supplier Claims', icon: FileWarning, view: 'supplier-claims' },
+            importReview: { label: 'Emailed Schedules', icon: MailCheck, view: 'import-review' },
+            importMappings: { label: 'Import Mappings', icon: FileSpreadsheet, view: 'import-mappings' },
             audit: { label: 'Activity Log', icon: FileText, view: 'audit', adminOnly: true },
+            documentNumbering: { label: 'Document Numbering', icon: Hash, view: 'document-numbering', adminOnly: true },
           };
 
           const match = (label) => !q || label.toLowerCase().includes(q);
@@ -707,11 +755,11 @@ function App() {
             <nav className="sidebar-nav">
               {match('Dashboard') && renderItem('dashboard')}
               {renderSection('Master Data', 'masterData', ['suppliers'])}
-              {renderSection('Operations', 'operations', ['shipping', 'localReceiving', 'iwtIncoming', 'workflow', 'bolAudit'])}
+              {renderSection('Operations', 'operations', ['shipping', 'localReceiving', 'iwtIncoming', 'workflow', 'bolAudit', 'supplierClaims', 'importReview', 'importMappings'])}
               {renderSection('Warehouse', 'warehouse', ['receiving', 'dockManagement', 'stored'])}
               {renderSection('Warehouse Capacity per site', 'warehouseCapacitySites', ['capacityPretoria', 'capacityKlapmuts', 'capacityOffsite'])}
-              {renderSection('Finance', 'finance', ['rates', 'costing', 'exportCosting', 'costingRequests'])}
-              {renderSection('Reports', 'reports', ['reports', 'advancedReports', 'supplierPerformance', 'audit'])}
+              {renderSection('Finance', 'finance', ['rates', 'freightTenders', 'costing', 'exportCosting', 'costingRequests', 'rateTables', 'tariffCatalogue', 'costReconciliation'])}
+              {renderSection('Reports', 'reports', ['reports', 'advancedReports', 'supplierPerformance', 'audit', 'documentNumbering'])}
 
               {!sidebarCollapsed && (!q || resourcesVisible.length > 0) && (
                 <div className="sidebar-resources">
@@ -929,8 +977,8 @@ function App() {
                   <ShippingView
                     shipments={shipments}
                     suppliers={suppliers}
-                    onFileUpload={async (file) => {
-                      await handleFileUpload(file, handleAddSupplier);
+                    onFileUpload={async (file, mappingProfile) => {
+                      await handleFileUpload(file, handleAddSupplier, 'international', mappingProfile);
                       await fetchSuppliers();
                     }}
                     onUpdateShipment={handleUpdateShipment}
@@ -999,6 +1047,9 @@ function App() {
             <Route path="/rates" element={
               <Suspense fallback={<PageLoader />}><ErrorBoundary><RatesQuotes loading={loading} /></ErrorBoundary></Suspense>
             } />
+            <Route path="/freight-tenders" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary><FreightTenders shipments={shipments} /></ErrorBoundary></Suspense>
+            } />
             <Route path="/costing" element={
               <Suspense fallback={<PageLoader />}><ErrorBoundary><ImportCosting /></ErrorBoundary></Suspense>
             } />
@@ -1008,6 +1059,15 @@ function App() {
             <Route path="/costing-requests" element={
               <Suspense fallback={<PageLoader />}><ErrorBoundary>{isAdmin ? <CostingRequests /> : <AccessDenied />}</ErrorBoundary></Suspense>
             } />
+            <Route path="/rate-tables" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary>{isAdmin ? <RateTablesAdmin /> : <AccessDenied />}</ErrorBoundary></Suspense>
+            } />
+            <Route path="/tariff-catalogue" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary>{isAdmin ? <TariffCatalogueAdmin /> : <AccessDenied />}</ErrorBoundary></Suspense>
+            } />
+            <Route path="/cost-reconciliation" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary><CostReconciliation /></ErrorBoundary></Suspense>
+            } />
             <Route path="/reports" element={
               <Suspense fallback={<PageLoader />}><ErrorBoundary><ReportsView shipments={shipments} /></ErrorBoundary></Suspense>
             } />
@@ -1023,9 +1083,21 @@ function App() {
             <Route path="/bol-audit" element={
               <Suspense fallback={<PageLoader />}><ErrorBoundary><BolAudit /></ErrorBoundary></Suspense>
             } />
+            <Route path="/supplier-claims" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary><SupplierClaims /></ErrorBoundary></Suspense>
+            } />
+            <Route path="/import-review" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary><EmailImportReview /></ErrorBoundary></Suspense>
+            } />
+            <Route path="/import-mappings" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary><ImportMappingProfiles suppliers={suppliers} /></ErrorBoundary></Suspense>
+            } />
             <Route path="/audit" element={
               <Suspense fallback={<PageLoader />}><ErrorBoundary>{isAdmin ? <AuditLog /> : <AccessDenied />}</ErrorBoundary></Suspense>
             } />
+            <Route path="/document-numbering" element={
+              <Suspense fallback={<PageLoader />}><ErrorBoundary>{isAdmin ? <DocumentNumberingAdmin /> : <AccessDenied />}</ErrorBoundary></Suspense>
+            } />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
           </Routes>
@@ -1069,6 +1141,14 @@ function App() {
         shipments={shipments}
         onDismissReminder={(shipmentId) => handleUpdateShipment(shipmentId, { reminderDate: null, reminderNote: null })}
       />
+      {versionConflict && (
+        <ShipmentConflictDialog
+          key={`${versionConflict.id}-${versionConflict.current.version}`}
+          conflict={versionConflict}
+          onApply={(changes) => resolveVersionConflict(versionConflict, changes)}
+          onDiscard={() => resolveVersionConflict(versionConflict, null)}
+        />
+      )}
       {settingsOpen && (
         <UserSettings
           username={username}
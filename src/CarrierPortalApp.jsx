@@ -0,0 +1,17 @@
+// src/CarrierPortalApp.jsx
+// Standalone Carrier Portal Application
+// Hauliers book dock slots here - they cannot access the main app
+
+import React from 'react';
+import CarrierLogin from './pages/CarrierLogin';
+import './theme.css';
+
+function CarrierPortalApp() {
+  return (
+    <div style={{ minHeight: '100vh', backgroundColor: '#f5f5f5' }}>
+      <CarrierLogin />
+    </div>
+  );
+}
+
+export default CarrierPortalApp;
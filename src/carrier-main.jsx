@@ -0,0 +1,19 @@
+// src/carrier-main.jsx
+// Entry point for the Carrier Portal (separate from main app)
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import CarrierPortalApp from './CarrierPortalApp.jsx';
+import './index.css';
+import './theme.css';
+
+const container = document.getElementById('carrier-root');
+if (!container) {
+  throw new Error('CARRIER-MAIN.JSX: Missing <div id="carrier-root"></div> in carrier.html');
+}
+
+const root = createRoot(container);
+root.render(
+  <React.StrictMode>
+    <CarrierPortalApp />
+  </React.StrictMode>
+);
@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { ShipmentStatus } from '../types/shipment';
 import { useNotification } from '../contexts/NotificationContext';
+import useStatusGraph from '../hooks/useStatusGraph';
 
 function BulkStatusUpdate({ shipments, onBulkUpdate, onClose }) {
   const { showWarning, showError } = useNotification();
@@ -8,6 +9,7 @@ function BulkStatusUpdate({ shipments, onBulkUpdate, onClose }) {
   const [newStatus, setNewStatus] = useState('');
   const [isUpdating, setIsUpdating] = useState(false);
   const [showConfirmation, setShowConfirmation] = useState(false);
+  const { nextStatuses } = useStatusGraph();
 
   const handleSelectShipment = (id) => {
     setSelectedShipmentIds(prev =>
@@ -46,7 +48,19 @@ function BulkStatusUpdate({ shipments, onBulkUpdate, onClose }) {
     }
   };
 
-  const statusOptions = Object.values(ShipmentStatus);
+  // Only statuses every selected shipment can move to
+  const statusOptions = useMemo(() => {
+    const selected = shipments.filter(s => selectedShipmentIds.includes(s.id));
+    if (selected.length === 0) return [];
+    return Object.values(ShipmentStatus).filter(status =>
+      selected.every(s => s.latestStatus === status || nextStatuses(s.latestStatus).includes(status))
+    );
+  }, [shipments, selectedShipmentIds, nextStatuses]);
+
+  useEffect(() => {
+    if (newStatus && !statusOptions.includes(newStatus)) setNewStatus('');
+  }, [statusOptions, newStatus]);
+
   const filteredShipments = shipments.filter(s => s.latestStatus); // Only show shipments with status
 
   return (
@@ -100,7 +114,7 @@ function BulkStatusUpdate({ shipments, onBulkUpdate, onClose }) {
             <select
               value={newStatus}
               onChange={(e) => setNewStatus(e.target.value)}
-              disabled={isUpdating}
+              disabled={isUpdating || statusOptions.length === 0}
               style={{
                 width: '100%',
                 padding: '0.75rem',
@@ -110,7 +124,13 @@ function BulkStatusUpdate({ shipments, onBulkUpdate, onClose }) {
                 marginBottom: '1rem'
               }}
             >
-              <option value="">-- Choose a status --</option>
+              <option value="">
+                {selectedShipmentIds.length === 0
+                  ? '-- Select shipments first --'
+                  : statusOptions.length === 0
+                    ? '-- No status is valid for all selected shipments --'
+                    : '-- Choose a status --'}
+              </option>
               {statusOptions.map(status => (
                 <option key={status} value={status}>
                   {status.replace(/_/g, ' ').toUpperCase()}
@@ -3,10 +3,10 @@ import { CapacityForecast } from '../utils/capacityForecast';
 
 const WAREHOUSE_NAMES = ['PRETORIA', 'KLAPMUTS', 'OFFSITE'];
 
-function CapacityForecastTable({ shipments, currentBinsUsed, warehouseCapacities, selectedWarehouse = 'all' }) {
+function CapacityForecastTable({ shipments, currentBinsUsed, warehouseCapacities, palletsPerBin, selectedWarehouse = 'all' }) {
   const forecast = useMemo(() => {
-    return CapacityForecast.generateForecast(shipments, currentBinsUsed, warehouseCapacities);
-  }, [shipments, currentBinsUsed, warehouseCapacities]);
+    return CapacityForecast.generateForecast(shipments, currentBinsUsed, warehouseCapacities, palletsPerBin);
+  }, [shipments, currentBinsUsed, warehouseCapacities, palletsPerBin]);
 
   const visibleWarehouses = selectedWarehouse === 'all'
     ? WAREHOUSE_NAMES
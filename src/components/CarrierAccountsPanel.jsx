@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+
+// Shipments that no longer need a delivery booked (mirrors the carrier portal)
+const CLOSED_STATUSES = ['received', 'stored', 'archived'];
+
+/**
+ * Admin view of the carrier portal: approve new carrier accounts and choose
+ * which shipments each carrier may book dock slots for. Each registration
+ * arrives as its own carrier; approving can link it to an existing one.
+ */
+function CarrierAccountsPanel({ shipments = [] }) {
+  const { showSuccess, showError, confirm: confirmAction } = useNotification();
+  const [pending, setPending] = useState([]);
+  const [carriers, setCarriers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [assigned, setAssigned] = useState([]);
+  const [search, setSearch] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [linkTo, setLinkTo] = useState({});
+
+  const fetchAll = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [pendingRes, carriersRes] = await Promise.all([
+        authFetch(getApiUrl('/api/carrier/pending')),
+        authFetch(getApiUrl('/api/carrier/carriers')),
+      ]);
+      if (pendingRes.ok) setPending((await pendingRes.json()).pending || []);
+      if (carriersRes.ok) setCarriers((await carriersRes.json()).carriers || []);
+    } catch (err) {
+      console.error('Error fetching carriers:', err);
+      showError('Failed to load carriers');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => { fetchAll(); }, [fetchAll]);
+
+  const openShipments = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return shipments
+      .filter(s => !CLOSED_STATUSES.includes(s.latestStatus) || assigned.includes(s.id))
+      .filter(s => !term
+        || (s.orderRef || '').toLowerCase().includes(term)
+        || (s.supplier || '').toLowerCase().includes(term));
+  }, [shipments, search, assigned]);
+
+  const handleApprove = async (account) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/carrier/${account.id}/approve`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ carrierId: linkTo[account.id] || null }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to approve account');
+      showSuccess(`${account.email} approved`);
+      setLinkTo(prev => ({ ...prev, [account.id]: '' }));
+      fetchAll();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleReject = async (account) => {
+    const ok = await confirmAction({
+      title: 'Reject Carrier Account',
+      message: `Reject and remove the account for ${account.email} (${account.company_name})?`,
+      confirmText: 'Reject',
+      type: 'danger',
+    });
+    if (!ok) return;
+
+    try {
+      const res = await authFetch(getApiUrl(`/api/carrier/${account.id}/reject`), { method: 'PUT' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to reject account');
+      showSuccess(`${account.email} rejected`);
+      fetchAll();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const startEditing = (carrier) => {
+    setEditingId(carrier.id);
+    setAssigned(carrier.shipments.map(s => s.id));
+    setSearch('');
+  };
+
+  const toggleAssigned = (id) => {
+    setAssigned(prev => prev.includes(id) ? prev.filter(s => s !== id) : [...prev, id]);
+  };
+
+  const saveAssignments = async () => {
+    try {
+      setSaving(true);
+      const res = await authFetch(getApiUrl(`/api/carrier/carriers/${editingId}/shipments`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ shipmentIds: assigned }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to assign shipments');
+      showSuccess('Carrier shipments updated');
+      setEditingId(null);
+      fetchAll();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>;
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: '1rem' }}>
+      <div className="card" style={{ padding: '1rem' }}>
+        <h3 style={{ margin: '0 0 0.75rem', fontSize: '1rem', color: 'var(--text-900)' }}>
+          Pending Approval {pending.length > 0 && <span style={{ color: 'var(--text-500)' }}>({pending.length})</span>}
+        </h3>
+        {pending.length === 0 ? (
+          <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-500)' }}>No carrier accounts waiting for approval</p>
+        ) : (
+          <table className="table" style={{ fontSize: '0.85rem' }}>
+            <thead>
+              <tr>
+                <th>Company</th>
+                <th>Contact</th>
+                <th>Email</th>
+                <th>Registered</th>
+                <th>Link To</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {pending.map(account => (
+                <tr key={account.id}>
+                  <td>{account.company_name}</td>
+                  <td>{account.contact_name || '-'}</td>
+                  <td>{account.email}</td>
+                  <td>{new Date(account.created_at).toLocaleDateString()}</td>
+                  <td>
+                    <select
+                      className="input"
+                      value={linkTo[account.id] || ''}
+                      onChange={(e) => setLinkTo(prev => ({ ...prev, [account.id]: e.target.value }))}
+                      style={{ fontSize: '0.8rem', padding: '4px 6px' }}
+                    >
+                      <option value="">New carrier</option>
+                      {carriers.filter(c => c.id !== account.carrier_id).map(c => (
+                        <option key={c.id} value={c.id}>
+                          {c.name}{c.name.trim().toLowerCase() === account.company_name.trim().toLowerCase() ? ' (same name)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                    <button className="btn btn-primary" style={{ fontSize: '0.8rem', padding: '4px 10px', marginRight: '4px' }} onClick={() => handleApprove(account)}>Approve</button>
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 10px' }} onClick={() => handleReject(account)}>Reject</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="card" style={{ padding: '1rem' }}>
+        <h3 style={{ margin: '0 0 0.75rem', fontSize: '1rem', color: 'var(--text-900)' }}>Carriers</h3>
+        {carriers.length === 0 ? (
+          <p style={{ margin: 0, fontSize: '0.85rem', color: 'var(--text-500)' }}>
+            No carriers yet. Hauliers register at /carrier and appear here for approval.
+          </p>
+        ) : (
+          <table className="table" style={{ fontSize: '0.85rem' }}>
+            <thead>
+              <tr>
+                <th>Carrier</th>
+                <th>Accounts</th>
+                <th>Assigned Shipments</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {carriers.map(carrier => (
+                <tr key={carrier.id}>
+                  <td>
+                    <strong>{carrier.name}</strong>
+                    {carrier.contact_phone && <div style={{ fontSize: '0.75rem', color: 'var(--text-500)' }}>{carrier.contact_phone}</div>}
+                  </td>
+                  <td>
+                    {carrier.accounts.map(a => (
+                      <div key={a.id} style={{ color: a.isActive ? 'var(--text-900)' : 'var(--text-500)' }}>
+                        {a.email}{!a.isActive && ' (pending)'}
+                      </div>
+                    ))}
+                  </td>
+                  <td>
+                    {carrier.shipments.length === 0
+                      ? <span style={{ color: 'var(--text-500)' }}>None</span>
+                      : carrier.shipments.map(s => s.orderRef).join(', ')}
+                  </td>
+                  <td style={{ textAlign: 'right' }}>
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 10px' }} onClick={() => startEditing(carrier)}>
+                      Assign Shipments
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {editingId && (
+        <div style={{
+          position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+          backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex',
+          alignItems: 'center', justifyContent: 'center', zIndex: 1000
+        }}>
+          <div style={{
+            backgroundColor: 'var(--surface)', padding: '2rem', borderRadius: '12px',
+            boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '560px',
+            maxHeight: '80vh', display: 'flex', flexDirection: 'column', border: '1px solid var(--border)'
+          }}>
+            <h3 style={{ margin: '0 0 0.5rem', color: 'var(--text-900)' }}>
+              Shipments for {carriers.find(c => c.id === editingId)?.name}
+            </h3>
+            <p style={{ margin: '0 0 0.75rem', fontSize: '0.8rem', color: 'var(--text-500)' }}>
+              The carrier can book dock slots for the ticked shipments ({assigned.length} selected).
+            </p>
+            <input
+              className="input"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search order ref or supplier..."
+              style={{ marginBottom: '0.5rem' }}
+            />
+            <div style={{ overflowY: 'auto', flex: 1, border: '1px solid var(--border)', borderRadius: '6px', padding: '0.5rem' }}>
+              {openShipments.length === 0 ? (
+                <div style={{ padding: '1rem', textAlign: 'center', color: 'var(--text-500)', fontSize: '0.85rem' }}>No open shipments</div>
+              ) : openShipments.map(s => (
+                <label key={s.id} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', padding: '3px 0', fontSize: '0.85rem' }}>
+                  <input type="checkbox" checked={assigned.includes(s.id)} onChange={() => toggleAssigned(s.id)} />
+                  <span>{s.orderRef} — {s.supplier}</span>
+                  <span style={{ marginLeft: 'auto', fontSize: '0.75rem', color: 'var(--text-500)' }}>{s.receivingWarehouse || ''}</span>
+                </label>
+              ))}
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1rem' }}>
+              <button className="btn btn-ghost" onClick={() => setEditingId(null)} disabled={saving}>Cancel</button>
+              <button className="btn btn-primary" onClick={saveAssignments} disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CarrierAccountsPanel;
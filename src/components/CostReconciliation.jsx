@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import * as XLSX from 'xlsx';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { useNotification } from '../contexts/NotificationContext';
+import { formatCurrency } from '../utils/costingCalculations';
+import { RECONCILIATION_DEFAULTS } from '../utils/costReconciliation';
+import { generateReconciliationPDF } from '../utils/costingPdf';
+
+const FLAG_STYLES = {
+  ok: { label: 'Within tolerance', backgroundColor: '#dcfce7', color: '#166534' },
+  over: { label: 'Over', backgroundColor: '#fee2e2', color: '#b91c1c' },
+  under: { label: 'Under', backgroundColor: '#fef3c7', color: '#92400e' },
+  unbudgeted: { label: 'Unbudgeted', backgroundColor: '#fee2e2', color: '#b91c1c' },
+  not_invoiced: { label: 'Not invoiced', backgroundColor: '#f3f4f6', color: '#6b7280' },
+  none: { label: 'No invoices', backgroundColor: '#f3f4f6', color: '#6b7280' },
+};
+
+const formatPct = (value) => (value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`);
+const varianceColor = (value) => (value > 0 ? '#b91c1c' : value < 0 ? '#166534' : 'var(--text-700)');
+
+const inputStyle = { padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem' };
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid var(--border)', fontSize: '0.82rem' };
+const numCellStyle = { ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' };
+const buttonStyle = { padding: '8px 16px', backgroundColor: 'var(--surface-2)', border: '1px solid var(--border)', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' };
+
+const toleranceQuery = (params) => new URLSearchParams({ tolerance: params.tolerance, min_variance: params.minVariance });
+
+const FlagBadge = ({ flag }) => {
+  const style = FLAG_STYLES[flag] || FLAG_STYLES.ok;
+  return (
+    <span style={{ backgroundColor: style.backgroundColor, color: style.color, padding: '2px 8px', borderRadius: '10px', fontSize: '0.75rem', fontWeight: 500, whiteSpace: 'nowrap' }}>
+      {style.label}
+    </span>
+  );
+};
+
+function CostReconciliation() {
+  const { showError } = useNotification();
+  const [filters, setFilters] = useState({
+    tolerance: RECONCILIATION_DEFAULTS.TOLERANCE_PERCENT,
+    minVariance: RECONCILIATION_DEFAULTS.MIN_VARIANCE_ZAR,
+    from: '',
+    to: '',
+    flaggedOnly: false,
+  });
+  const [applied, setApplied] = useState(filters);
+  const [report, setReport] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [details, setDetails] = useState({}); // estimateId -> reconciliation with invoice lines
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const search = toleranceQuery(applied);
+      if (applied.from) search.set('from', applied.from);
+      if (applied.to) search.set('to', applied.to);
+      if (applied.flaggedOnly) search.set('flagged', 'true');
+
+      const response = await authFetch(getApiUrl(`/api/costing/reconciliation?${search}`));
+      if (response.ok) {
+        const result = await response.json();
+        setReport(result.data || []);
+        setDetails({});
+        setExpandedId(null);
+      } else {
+        const result = await response.json().catch(() => ({}));
+        showError(result.error || 'Failed to load reconciliation');
+      }
+    } catch (err) {
+      console.error('Failed to fetch reconciliation:', err);
+      showError('Failed to load reconciliation');
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, showError]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const toggleExpanded = async (estimateId) => {
+    if (expandedId === estimateId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(estimateId);
+    if (details[estimateId]) return;
+    try {
+      const response = await authFetch(getApiUrl(`/api/costing/${estimateId}/reconciliation?${toleranceQuery(applied)}`));
+      if (response.ok) {
+        const result = await response.json();
+        setDetails(prev => ({ ...prev, [estimateId]: result.data }));
+      } else {
+        showError('Failed to load invoice lines');
+      }
+    } catch (err) {
+      console.error('Failed to fetch reconciliation detail:', err);
+      showError('Failed to load invoice lines');
+    }
+  };
+
+  const summary = useMemo(() => {
+    const withActuals = report.filter(est => est.has_actuals);
+    const estimateZar = withActuals.reduce((sum, est) => sum + est.totals.estimate_zar, 0);
+    const actualZar = withActuals.reduce((sum, est) => sum + est.totals.actual_zar, 0);
+    return {
+      linked: report.length,
+      invoiced: withActuals.length,
+      flagged: withActuals.filter(est => est.totals.flagged_count > 0).length,
+      estimateZar,
+      actualZar,
+      varianceZar: actualZar - estimateZar,
+      variancePct: estimateZar ? ((actualZar - estimateZar) / estimateZar) * 100 : null,
+    };
+  }, [report]);
+
+  const handleExportExcel = () => {
+    const summaryRows = report.map(est => ({
+      Reference: est.reference_number || est.estimateId,
+      Supplier: est.supplier_name || '',
+      'Order Ref': est.order_ref || '',
+      'Costing Date': est.costing_date ? String(est.costing_date).slice(0, 10) : '',
+      'Estimate (ZAR)': est.totals.estimate_zar,
+      'Actual (ZAR)': est.has_actuals ? est.totals.actual_zar : '',
+      'Variance (ZAR)': est.has_actuals ? est.totals.variance_zar : '',
+      'Variance %': est.has_actuals ? est.totals.variance_pct : '',
+      'Flagged Categories': est.has_actuals ? est.totals.flagged_count : '',
+      Status: est.has_actuals ? FLAG_STYLES[est.totals.flag].label : FLAG_STYLES.none.label,
+    }));
+    const categoryRows = report.filter(est => est.has_actuals).flatMap(est => est.categories.map(row => ({
+      Reference: est.reference_number || est.estimateId,
+      Supplier: est.supplier_name || '',
+      Category: row.label,
+      'Estimate (ZAR)': row.estimate_zar,
+      'Actual (ZAR)': row.actual_zar,
+      'Variance (ZAR)': row.variance_zar,
+      'Variance %': row.variance_pct ?? '',
+      'Invoice Lines': row.invoice_count,
+      Status: FLAG_STYLES[row.flag].label,
+    })));
+
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryRows), 'Reconciliation');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(categoryRows), 'By Category');
+    XLSX.writeFile(wb, `Cost_Reconciliation_${new Date().toISOString().split('T')[0]}.xlsx`);
+  };
+
+  const handleExportPdf = () => {
+    generateReconciliationPDF({
+      estimates: report,
+      tolerancePct: applied.tolerance,
+      minVarianceZar: applied.minVariance,
+    });
+  };
+
+  const renderDetail = (est) => {
+    const detail = details[est.estimateId];
+    if (!est.has_actuals) {
+      return (
+        <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.8rem' }}>
+          No forwarding or clearing invoices have been captured for this shipment yet. Upload them in BOL Audit to reconcile.
+        </p>
+      );
+    }
+    if (!detail) {
+      return <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.8rem' }}>Loading invoice lines...</p>;
+    }
+    return (
+      <table style={{ width: '100%', borderCollapse: 'collapse', backgroundColor: 'var(--surface)' }}>
+        <thead>
+          <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+            <th style={cellStyle}>Category / Invoice Line</th>
+            <th style={cellStyle}>Invoice</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>Estimate (ZAR)</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>Actual (ZAR)</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>Variance (ZAR)</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>Variance %</th>
+            <th style={cellStyle}>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {detail.categories.map(row => (
+            <React.Fragment key={row.key}>
+              <tr style={{ fontWeight: 600 }}>
+                <td style={cellStyle}>{row.label}</td>
+                <td style={cellStyle} />
+                <td style={numCellStyle}>{formatCurrency(row.estimate_zar)}</td>
+                <td style={numCellStyle}>{formatCurrency(row.actual_zar)}</td>
+                <td style={{ ...numCellStyle, color: varianceColor(row.variance_zar) }}>{formatCurrency(row.variance_zar)}</td>
+                <td style={{ ...numCellStyle, color: varianceColor(row.variance_zar) }}>{formatPct(row.variance_pct)}</td>
+                <td style={cellStyle}><FlagBadge flag={row.flag} /></td>
+              </tr>
+              {row.invoice_lines.map(line => (
+                <tr key={line.id} style={{ color: 'var(--text-500)' }}>
+                  <td style={{ ...cellStyle, paddingLeft: '24px' }}>{line.description}</td>
+                  <td style={cellStyle}>{line.invoice_number || '-'}{line.invoice_type ? ` (${line.invoice_type})` : ''}</td>
+                  <td style={numCellStyle} />
+                  <td style={numCellStyle}>{formatCurrency(line.amount_zar)}</td>
+                  <td style={numCellStyle} colSpan={3} />
+                </tr>
+              ))}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div style={{ padding: '1.5rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem', gap: '1rem', flexWrap: 'wrap' }}>
+        <div>
+          <h2 style={{ margin: 0, fontSize: '1.2rem', color: 'var(--navy-900)' }}>Cost Reconciliation</h2>
+          <p style={{ margin: '0.25rem 0 0', color: 'var(--text-500)', fontSize: '0.8rem' }}>
+            Estimated landed cost against the forwarding and clearing invoices captured for each linked shipment.
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button onClick={handleExportExcel} disabled={loading || report.length === 0} style={buttonStyle}>Export Excel</button>
+          <button onClick={handleExportPdf} disabled={loading || report.length === 0} style={buttonStyle}>Export PDF</button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '1rem' }}>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+          Tolerance (%)
+          <input type="number" min="0" step="any" value={filters.tolerance} onChange={(e) => updateFilter('tolerance', e.target.value)} style={{ ...inputStyle, width: '90px' }} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+          Min. variance (ZAR)
+          <input type="number" min="0" step="any" value={filters.minVariance} onChange={(e) => updateFilter('minVariance', e.target.value)} style={{ ...inputStyle, width: '110px' }} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+          Costing date from
+          <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} style={inputStyle} />
+        </label>
+        <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+          to
+          <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} style={inputStyle} />
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem', color: 'var(--text-700)', paddingBottom: '6px' }}>
+          <input type="checkbox" checked={filters.flaggedOnly} onChange={(e) => updateFilter('flaggedOnly', e.target.checked)} />
+          Outside tolerance only
+        </label>
+        <button
+          onClick={() => setApplied({ ...filters, tolerance: parseFloat(filters.tolerance) || 0, minVariance: parseFloat(filters.minVariance) || 0 })}
+          style={{ ...buttonStyle, backgroundColor: 'var(--navy-900)', color: '#fff', border: 'none' }}
+        >
+          Apply
+        </button>
+      </div>
+
+      {/* Summary */}
+      <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+        {[
+          ['Linked estimates', summary.linked],
+          ['With invoices', summary.invoiced],
+          ['Outside tolerance', summary.flagged],
+          ['Estimated (invoiced)', formatCurrency(summary.estimateZar)],
+          ['Actual', formatCurrency(summary.actualZar)],
+          ['Variance', `${formatCurrency(summary.varianceZar)} (${formatPct(summary.variancePct)})`],
+        ].map(([label, value]) => (
+          <div key={label} style={{ padding: '0.75rem 1rem', backgroundColor: 'var(--surface-2)', border: '1px solid var(--border)', borderRadius: '8px', minWidth: '140px' }}>
+            <div style={{ fontSize: '0.72rem', color: 'var(--text-500)', textTransform: 'uppercase', letterSpacing: '0.04em' }}>{label}</div>
+            <div style={{ fontSize: '1rem', fontWeight: 600, color: 'var(--navy-900)' }}>{value}</div>
+          </div>
+        ))}
+      </div>
+
+      {loading ? (
+        <p style={{ color: 'var(--text-500)' }}>Loading reconciliation...</p>
+      ) : report.length === 0 ? (
+        <p style={{ color: 'var(--text-500)' }}>No cost estimates linked to shipments match these filters.</p>
+      ) : (
+        <div style={{ overflowX: 'auto', border: '1px solid var(--border)', borderRadius: '8px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+                <th style={cellStyle} />
+                <th style={cellStyle}>Reference</th>
+                <th style={cellStyle}>Supplier</th>
+                <th style={cellStyle}>Order Ref</th>
+                <th style={cellStyle}>Costing Date</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Estimate (ZAR)</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Actual (ZAR)</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Variance (ZAR)</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Variance %</th>
+                <th style={cellStyle}>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.map(est => (
+                <React.Fragment key={est.estimateId}>
+                  <tr onClick={() => toggleExpanded(est.estimateId)} style={{ cursor: 'pointer' }}>
+                    <td style={cellStyle}>{expandedId === est.estimateId ? '▾' : '▸'}</td>
+                    <td style={{ ...cellStyle, fontWeight: 500 }}>{est.reference_number || est.estimateId.slice(0, 8)}</td>
+                    <td style={cellStyle}>{est.supplier_name || '-'}</td>
+                    <td style={cellStyle}>{est.order_ref || '-'}</td>
+                    <td style={cellStyle}>{est.costing_date ? String(est.costing_date).slice(0, 10) : '-'}</td>
+                    <td style={numCellStyle}>{formatCurrency(est.totals.estimate_zar)}</td>
+                    <td style={numCellStyle}>{est.has_actuals ? formatCurrency(est.totals.actual_zar) : '-'}</td>
+                    <td style={{ ...numCellStyle, color: varianceColor(est.totals.variance_zar) }}>
+                      {est.has_actuals ? formatCurrency(est.totals.variance_zar) : '-'}
+                    </td>
+                    <td style={{ ...numCellStyle, color: varianceColor(est.totals.variance_zar) }}>
+                      {est.has_actuals ? formatPct(est.totals.variance_pct) : '-'}
+                    </td>
+                    <td style={cellStyle}>
+                      <FlagBadge flag={est.has_actuals ? est.totals.flag : 'none'} />
+                      {est.totals.flagged_count > 0 && (
+                        <span style={{ marginLeft: '6px', fontSize: '0.75rem', color: 'var(--text-500)' }}>
+                          {est.totals.flagged_count} {est.totals.flagged_count === 1 ? 'category' : 'categories'}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                  {expandedId === est.estimateId && (
+                    <tr>
+                      <td colSpan={10} style={{ ...cellStyle, padding: '0.75rem 1rem 1rem 2rem', backgroundColor: 'var(--surface-2)' }}>
+                        {renderDetail(est)}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CostReconciliation;
@@ -2,18 +2,19 @@ import React, { useState } from 'react';
 import {
   formatCurrency,
   formatNumber,
-  CONTAINER_TYPES,
   INCO_TERMS,
-  AFRICAN_PORTS,
   LOAD_TYPES,
-  PORTS_OF_LOADING,
-  SHIPPING_LINES,
   AIRPORTS_OF_DEPARTURE,
   AIRPORTS_OF_ARRIVAL,
   AIRLINES,
   LAST_MILE_SERVICE_TYPES,
   getLastMileRouteOptions,
+  PRODUCT_CURRENCIES,
+  getRoeForCurrency,
+  getRateTablesAsOf,
+  getProductDutyRates,
 } from '../utils/costingCalculations';
+import { TRADE_AGREEMENTS, formatHsCode } from '../utils/tariffCatalogue';
 
 // Payment terms options
 const PAYMENT_TERMS = [
@@ -135,6 +136,13 @@ function CostingFormSections({
 
   // Export mode reverses the inland leg directions (warehouse → port instead of port → warehouse)
   const isExport = partyLabel === 'Customer';
+  // Option lists and last mile routes in effect on the costing date
+  const rateTables = getRateTablesAsOf(formData.costing_date);
+  // Currencies other than USD/EUR/ZAR need their own ROE input
+  const otherRoeCurrencies = [...new Set([
+    ...(formData.products || []).map(p => p.currency),
+    ...Object.keys(formData.roe_rates || {}),
+  ])].filter(c => c && !['USD', 'EUR', 'ZAR'].includes(c));
   // In export mode, landed cost is shown in the user-selected presentation currency.
   // Defaults to USD; EUR if explicitly toggled. Rate uses roe_origin for USD, roe_eur for EUR.
   const presentationCurrency = isExport ? (formData.presentation_currency === 'EUR' ? 'EUR' : 'USD') : 'ZAR';
@@ -264,7 +272,7 @@ function CostingFormSections({
           {' '}<InfoTip text="Core shipment info: supplier, origin, ports, and shipping terms." />
         </h4>
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '1rem' }}>
-          {input('Reference Number', 'reference_number')}
+          {input('Reference Number', 'reference_number', 'text', { placeholder: 'Issued on save if left blank' })}
           {!isExport && input('Manual Previous Cost/KG', 'manual_previous_cost_per_kg_zar', 'number', { min: 0, step: '0.01' }, 'Optional ZAR cost/kg baseline used in Reference Changes when there is no previous costing for this reference.')}
           {!isExport && input('Previous Cost Date', 'manual_previous_cost_date', 'date', {}, 'Date of the manual previous cost/kg, used to show the comparison period.')}
           <div style={{ marginBottom: '12px' }}>
@@ -334,16 +342,16 @@ function CostingFormSections({
             </>
           ) : (
             <>
-              {renderPortSelect('Port of Loading', 'port_of_loading', originPortOptions || PORTS_OF_LOADING, onAddOriginPort)}
-              {renderPortSelect('Port of Discharge', 'port_of_discharge', dischargePortOptions || AFRICAN_PORTS, onAddDischargePort)}
+              {renderPortSelect('Port of Loading', 'port_of_loading', originPortOptions || rateTables.portsOfLoading, onAddOriginPort)}
+              {renderPortSelect('Port of Discharge', 'port_of_discharge', dischargePortOptions || rateTables.portsOfDischarge, onAddDischargePort)}
               {select('Load Type', 'load_type', LOAD_TYPES, 'FCL = Full Container Load (exclusive use). LCL = Less than Container Load (shared).')}
-              {select('Container Type', 'container_type', CONTAINER_TYPES)}
+              {select('Container Type', 'container_type', rateTables.containerTypes)}
             </>
           )}
           {select('INCO Terms', 'inco_terms', INCO_TERMS, 'International Commercial Terms — defines who pays freight, insurance, and risk transfer point (e.g. FOB, CIF, EXW).')}
           {input('INCO Term Place', 'inco_term_place', 'text', {}, "The named location for the Incoterm, e.g. 'Shanghai' for FOB Shanghai.")}
           {input('Transit Time (days)', 'transit_time_days', 'number', {}, formData.transport_mode === 'air' ? 'Estimated days from departure to arrival.' : 'Estimated number of days from port of loading to port of discharge.')}
-          {formData.transport_mode !== 'air' && select('Shipping Line', 'shipping_line', SHIPPING_LINES)}
+          {formData.transport_mode !== 'air' && select('Shipping Line', 'shipping_line', rateTables.shippingLines)}
           {formData.transport_mode !== 'air' && input('No. of Containers', 'quantity', 'number')}
           {input('Costing Date', 'costing_date', 'date')}
           {input('Validity Date', 'validity_date', 'date')}
@@ -359,6 +367,21 @@ function CostingFormSections({
             <p style={{ margin: '4px 0 0', fontSize: '0.8rem', color: '#b45309' }}>
               Enter weight and rate/kg to auto-calculate invoice value.
             </p>
+            {!isExport && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px', fontSize: '0.8rem', color: '#92400e' }}>
+                Preferential origin <InfoTip text="Trade agreement the goods qualify under (e.g. an EUR.1 for the EU-SADC EPA). Duty on catalogued HS codes then uses the agreement's rate." />
+                <select
+                  value={formData.trade_agreement || ''}
+                  onChange={(e) => onInputChange('trade_agreement', e.target.value || null)}
+                  style={{ padding: '4px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.8rem' }}
+                >
+                  <option value="">None (general rate)</option>
+                  {TRADE_AGREEMENTS.map(a => (
+                    <option key={a.value} value={a.value}>{a.label}</option>
+                  ))}
+                </select>
+              </label>
+            )}
           </div>
           <div style={{ display: 'flex', alignItems: 'center', gap: '1.5rem' }}>
             <div style={{ textAlign: 'right' }}>
@@ -412,7 +435,7 @@ function CostingFormSections({
                 <th style={{ padding: '10px 8px', textAlign: 'center', fontWeight: '600', borderBottom: '2px solid #f59e0b' }}>Currency</th>
                 <th style={{ padding: '10px 8px', textAlign: 'right', fontWeight: '600', borderBottom: '2px solid #f59e0b', backgroundColor: '#f59e0b', color: 'white' }}>Invoice Value</th>
                 <th style={{ padding: '10px 8px', textAlign: 'center', fontWeight: '600', borderBottom: '2px solid #f59e0b' }}>Weight % <InfoTip text="This product's weight as a percentage of total shipment weight — used to allocate shared costs." /></th>
-                <th style={{ padding: '10px 8px', textAlign: 'center', fontWeight: '600', borderBottom: '2px solid #f59e0b' }}>Duty % <InfoTip text="General customs duty rate for this product based on its HS code." /></th>
+                <th style={{ padding: '10px 8px', textAlign: 'center', fontWeight: '600', borderBottom: '2px solid #f59e0b' }}>Duty % <InfoTip text="Customs duty rate for this product. Filled from the tariff catalogue (blue) for catalogued HS codes; typing a different rate overrides it (orange)." /></th>
                 <th style={{ padding: '10px 8px', textAlign: 'center', fontWeight: '600', borderBottom: '2px solid #f59e0b' }}>Sch 1 % <InfoTip text="Schedule 1 (Part 1) additional duty — an extra tariff on specific goods under SA trade policy." /></th>
                 <th style={{ padding: '10px 8px', textAlign: 'right', fontWeight: '600', borderBottom: '2px solid #f59e0b', backgroundColor: '#f59e0b', color: 'white' }}>Cost/kg (ZAR)</th>
                 <th style={{ padding: '10px 8px', textAlign: 'center', fontWeight: '600', borderBottom: '2px solid #f59e0b' }}></th>
@@ -423,8 +446,18 @@ function CostingFormSections({
                 const totalWeight = getTotalWeight();
                 const productWeight = parseFloat(product.weight_kg) || 0;
                 const weightPercent = totalWeight > 0 ? (productWeight / totalWeight * 100) : 0;
+                const dutyRates = getProductDutyRates(formData, product);
+                const catalogue = dutyRates.catalogue;
+                const fromCatalogue = dutyRates.source === 'tariff' || dutyRates.source === 'preferential';
+                const schedule1FromCatalogue = fromCatalogue && catalogue.schedule1Percent !== null;
+                const rateInputStyle = { width: '60px', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem', textAlign: 'center' };
+                const rateBackground = fromCatalogue ? '#dbeafe' : dutyRates.source === 'override' ? '#fed7aa' : undefined;
+                const catalogueRateLabel = catalogue && catalogue.dutyPercent !== null
+                  ? `${formatNumber(catalogue.dutyPercent, 1)}%${catalogue.tradeAgreement ? ` (${TRADE_AGREEMENTS.find(a => a.value === catalogue.tradeAgreement)?.label})` : ''}`
+                  : null;
                 return (
-                  <tr key={product._id || index} style={{ backgroundColor: index % 2 === 0 ? '#fffbeb' : '#fef3c7' }}>
+                  <React.Fragment key={product._id || index}>
+                  <tr style={{ backgroundColor: index % 2 === 0 ? '#fffbeb' : '#fef3c7' }}>
                     <td style={{ padding: '6px 8px' }}>
                       <input
                         type="text"
@@ -442,6 +475,16 @@ function CostingFormSections({
                         style={{ width: '100px', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem' }}
                         placeholder="0306.17"
                       />
+                      {!isExport && product.hs_code && (
+                        <div
+                          title={catalogue?.tariff.description || ''}
+                          style={{ maxWidth: '140px', marginTop: '2px', fontSize: '0.7rem', color: catalogue ? '#1e40af' : '#b45309', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                        >
+                          {!catalogue && 'Not in tariff catalogue'}
+                          {catalogue && catalogue.dutyPercent === null && `Specific rate: ${catalogue.tariff.duty_text}`}
+                          {catalogue && catalogue.dutyPercent !== null && (catalogue.tariff.description || formatHsCode(catalogue.tariff.hs_code))}
+                        </div>
+                      )}
                     </td>
                     <td style={{ padding: '6px 8px' }}>
                       <input
@@ -487,9 +530,9 @@ function CostingFormSections({
                         onChange={(e) => onUpdateProduct(index, 'currency', e.target.value)}
                         style={{ padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem' }}
                       >
-                        <option value="USD">USD</option>
-                        <option value="EUR">EUR</option>
-                        <option value="ZAR">ZAR</option>
+                        {PRODUCT_CURRENCIES.map(c => (
+                          <option key={c} value={c}>{c}</option>
+                        ))}
                       </select>
                     </td>
                     <td style={{ padding: '6px 8px', backgroundColor: '#fde68a' }}>
@@ -503,9 +546,10 @@ function CostingFormSections({
                     <td style={{ padding: '6px 8px' }}>
                       <input
                         type="number"
-                        value={product.duty_percent || ''}
+                        value={fromCatalogue ? dutyRates.dutyPercent : (product.duty_percent || '')}
                         onChange={(e) => onUpdateProduct(index, 'duty_percent', parseFloat(e.target.value) || 0)}
-                        style={{ width: '60px', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem', textAlign: 'center' }}
+                        style={{ ...rateInputStyle, backgroundColor: rateBackground }}
+                        title={catalogueRateLabel ? `Tariff catalogue: ${catalogueRateLabel}` : undefined}
                         step="0.1"
                         placeholder="0"
                       />
@@ -513,9 +557,9 @@ function CostingFormSections({
                     <td style={{ padding: '6px 8px' }}>
                       <input
                         type="number"
-                        value={product.duty_schedule1_percent || ''}
+                        value={schedule1FromCatalogue ? (dutyRates.schedule1Percent || '') : (product.duty_schedule1_percent || '')}
                         onChange={(e) => onUpdateProduct(index, 'duty_schedule1_percent', parseFloat(e.target.value) || 0)}
-                        style={{ width: '60px', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem', textAlign: 'center' }}
+                        style={{ ...rateInputStyle, backgroundColor: schedule1FromCatalogue || dutyRates.source === 'override' ? rateBackground : undefined }}
                         step="0.1"
                         placeholder="0"
                       />
@@ -524,10 +568,10 @@ function CostingFormSections({
                       {(() => {
                         const iv = parseFloat(product.invoice_value) || 0;
                         const currency = product.currency || 'USD';
-                        const roe = currency === 'EUR' ? (parseFloat(formData.roe_eur) || 1) : currency === 'ZAR' ? 1 : (parseFloat(formData.roe_origin) || 1);
+                        const roe = getRoeForCurrency(formData, currency) || 1;
                         const customsVal = iv * roe;
-                        const dutyPct = parseFloat(product.duty_percent) || 0;
-                        const sch1Pct = parseFloat(product.duty_schedule1_percent) || 0;
+                        const dutyPct = dutyRates.dutyPercent;
+                        const sch1Pct = dutyRates.schedule1Percent;
                         const totalWithDuties = customsVal + (customsVal * dutyPct / 100) + (customsVal * sch1Pct / 100);
                         return productWeight > 0 ? formatCurrency(totalWithDuties / productWeight) : '-';
                       })()}
@@ -544,6 +588,33 @@ function CostingFormSections({
                       )}
                     </td>
                   </tr>
+                  {dutyRates.source === 'override' && (
+                    <tr style={{ backgroundColor: '#ffedd5' }}>
+                      <td colSpan={13} style={{ padding: '4px 8px 8px', fontSize: '0.8rem', color: '#9a3412' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                          <span>
+                            Duty overridden — tariff catalogue rate for {formatHsCode(catalogue.tariff.hs_code)} is {catalogueRateLabel}
+                            {catalogue.schedule1Percent !== null && ` + ${formatNumber(catalogue.schedule1Percent, 1)}% Sch 1`}.
+                          </span>
+                          <input
+                            type="text"
+                            value={product.duty_override_reason || ''}
+                            onChange={(e) => onUpdateProduct(index, 'duty_override_reason', e.target.value)}
+                            placeholder="Reason for override (recorded in the audit log)"
+                            style={{ flex: 1, minWidth: '220px', padding: '4px 8px', border: '1px solid #fdba74', borderRadius: '4px', fontSize: '0.8rem' }}
+                          />
+                          <button
+                            type="button"
+                            onClick={() => onUpdateProduct(index, 'duty_override', false)}
+                            style={{ padding: '4px 10px', backgroundColor: 'white', color: '#9a3412', border: '1px solid #fdba74', borderRadius: '4px', cursor: 'pointer', fontSize: '0.75rem' }}
+                          >
+                            Use catalogue rate
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                  </React.Fragment>
                 );
               })}
             </tbody>
@@ -594,6 +665,22 @@ function CostingFormSections({
               placeholder="e.g. 20.50"
             />
           </div>
+          {/* Other invoice currencies used on product lines (GBP, CNY, ...) */}
+          {otherRoeCurrencies.map(currency => (
+            <div key={currency} style={{ marginBottom: '12px' }}>
+              <label style={{ display: 'block', marginBottom: '4px', fontSize: '0.85rem', fontWeight: '500', color: '#7c3aed' }}>
+                {currency}/ZAR Rate <InfoTip text={`Today's Finex SA ${currency} to South African Rand exchange rate.`} />
+              </label>
+              <input
+                type="number"
+                value={formData.roe_rates?.[currency] || ''}
+                onChange={(e) => onInputChange('roe_rates', { ...(formData.roe_rates || {}), [currency]: parseFloat(e.target.value) || '' })}
+                className="input"
+                style={{ width: '100%', padding: '8px 12px', borderRadius: '6px', border: '2px solid #8b5cf6', backgroundColor: '#f5f3ff' }}
+                step="0.0001"
+              />
+            </div>
+          ))}
         </div>
       </div>
 
@@ -1123,7 +1210,7 @@ function CostingFormSections({
                         style={{ width: '100%', boxSizing: 'border-box', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.82rem' }}
                       >
                         <option value="">Select...</option>
-                        {getLastMileRouteOptions(charge.service_type).map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                        {getLastMileRouteOptions(charge.service_type, formData.costing_date).map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
                       </select>
                     </td>
                     {['weight_kg', 'fuel_levy_percent', 'manual_charge_zar', 'extra_charges_zar'].map(field => (
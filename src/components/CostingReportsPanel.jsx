@@ -5,6 +5,8 @@ import {
   formatNumber,
 } from '../utils/costingCalculations';
 import { generateReportPDF as generateReportPDFUtil } from '../utils/costingPdf';
+import useLandedCostTrends from '../hooks/useLandedCostTrends';
+import LandedCostTrendChart from './LandedCostTrendChart';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -51,8 +53,18 @@ function CostingReportsPanel({ estimates, onClose }) {
   const [selectedProduct, setSelectedProduct] = useState('all');
   const [selectedSupplier, setSelectedSupplier] = useState('all');
   const [transportModeFilter, setTransportModeFilter] = useState('all'); // 'all', 'sea', 'air'
+  const [trendGroupBy, setTrendGroupBy] = useState('supplier'); // 'supplier', 'product'
+  const [trendMetric, setTrendMetric] = useState('kg'); // 'kg', 'unit'
   const chartRef = useRef(null);
 
+  // Persisted per-product landed costs, filtered like the chart above
+  const { trends: landedCostTrends, loading: landedCostLoading } = useLandedCostTrends({
+    groupBy: trendGroupBy,
+    product: selectedProduct,
+    supplier: selectedSupplier,
+    transportMode: transportModeFilter,
+  });
+
   // Filter estimates by transport mode first
   const modeFilteredEstimates = useMemo(() => {
     if (transportModeFilter === 'all') return estimates;
@@ -341,6 +353,16 @@ function CostingReportsPanel({ estimates, onClose }) {
     });
   };
 
+  const trendButtonStyle = (active) => ({
+    padding: '4px 12px',
+    border: 'none',
+    cursor: 'pointer',
+    fontWeight: '600',
+    fontSize: '0.75rem',
+    backgroundColor: active ? '#5b21b6' : '#f3f4f6',
+    color: active ? 'white' : '#6b7280',
+  });
+
   // Mode toggle button style helper
   const modeButtonStyle = (value) => ({
     padding: '6px 14px',
@@ -626,6 +648,75 @@ function CostingReportsPanel({ estimates, onClose }) {
             )}
           </>
         )}
+
+        {/* Landed Cost Trend (persisted per-product allocation) */}
+        <div style={{ marginTop: '1.5rem' }}>
+          <div style={{
+            padding: '10px 12px',
+            backgroundColor: '#f5f3ff',
+            borderRadius: '8px 8px 0 0',
+            borderBottom: '2px solid #e5e7eb',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            flexWrap: 'wrap',
+            gap: '8px',
+          }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <h4 style={{ margin: 0, color: '#5b21b6', fontSize: '0.95rem' }}>Landed Cost Trend</h4>
+              <span style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                Product value, duties and allocated freight per {trendMetric === 'unit' ? 'pack' : 'kg'}, by month
+              </span>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <div style={{ display: 'flex', borderRadius: '6px', overflow: 'hidden', border: '1px solid #e5e7eb' }}>
+                <button type="button" onClick={() => setTrendGroupBy('supplier')} style={trendButtonStyle(trendGroupBy === 'supplier')}>By Supplier</button>
+                <button type="button" onClick={() => setTrendGroupBy('product')} style={trendButtonStyle(trendGroupBy === 'product')}>By Product</button>
+              </div>
+              <div style={{ display: 'flex', borderRadius: '6px', overflow: 'hidden', border: '1px solid #e5e7eb' }}>
+                <button type="button" onClick={() => setTrendMetric('kg')} style={trendButtonStyle(trendMetric === 'kg')}>Per KG</button>
+                <button type="button" onClick={() => setTrendMetric('unit')} style={trendButtonStyle(trendMetric === 'unit')}>Per Pack</button>
+              </div>
+            </div>
+          </div>
+          {landedCostLoading && !landedCostTrends ? (
+            <div style={{ textAlign: 'center', padding: '1rem', color: '#9ca3af' }}>Loading landed cost history...</div>
+          ) : (
+            <>
+              <div style={{ padding: '1rem 0' }}>
+                <LandedCostTrendChart trends={landedCostTrends} metric={trendMetric} height={300} />
+              </div>
+              {landedCostTrends?.series.length > 0 && (
+                <div style={{ overflowX: 'auto' }}>
+                  <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                    <thead>
+                      <tr style={{ backgroundColor: '#f3f4f6' }}>
+                        <th style={{ padding: '10px 12px', textAlign: 'left', fontWeight: '600', borderBottom: '2px solid #e5e7eb' }}>{trendGroupBy === 'supplier' ? 'Supplier' : 'Product'}</th>
+                        <th style={{ padding: '10px 12px', textAlign: 'right', fontWeight: '600', borderBottom: '2px solid #e5e7eb' }}>Estimates</th>
+                        <th style={{ padding: '10px 12px', textAlign: 'right', fontWeight: '600', borderBottom: '2px solid #e5e7eb' }}>Total Weight</th>
+                        <th style={{ padding: '10px 12px', textAlign: 'right', fontWeight: '600', borderBottom: '2px solid #e5e7eb' }}>Landed Cost</th>
+                        <th style={{ padding: '10px 12px', textAlign: 'right', fontWeight: '600', borderBottom: '2px solid #e5e7eb' }}>Landed/KG</th>
+                        <th style={{ padding: '10px 12px', textAlign: 'right', fontWeight: '600', borderBottom: '2px solid #e5e7eb' }}>Landed/Pack</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {landedCostTrends.series.map((row, idx) => (
+                        <tr key={row.key} style={{ backgroundColor: idx % 2 === 0 ? 'white' : 'var(--surface-2)' }}>
+                          <td style={{ padding: '10px 12px', fontWeight: '500' }}>{row.key}</td>
+                          <td style={{ padding: '10px 12px', textAlign: 'right' }}>{row.estimates}</td>
+                          <td style={{ padding: '10px 12px', textAlign: 'right' }}>{formatNumber(row.weight_kg)} kg</td>
+                          <td style={{ padding: '10px 12px', textAlign: 'right', fontWeight: '600', color: '#059669' }}>{formatCurrency(row.total_landed_zar)}</td>
+                          <td style={{ padding: '10px 12px', textAlign: 'right', fontWeight: '600', color: '#d97706' }}>{formatCurrency(row.landed_cost_per_kg_zar)}</td>
+                          <td style={{ padding: '10px 12px', textAlign: 'right' }}>{formatCurrency(row.landed_cost_per_unit_zar)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
       </div>
     </div>
   );
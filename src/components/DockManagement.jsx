@@ -3,6 +3,10 @@ import { authFetch } from '../utils/authFetch';
 import { authUtils } from '../utils/auth';
 import { getApiUrl } from '../config/api';
 import { useNotification } from '../contexts/NotificationContext';
+import DockSlotGrid from './DockSlotGrid';
+import CarrierAccountsPanel from './CarrierAccountsPanel';
+import YardMap from './YardMap';
+import { VEHICLE_TYPES, UNLOAD_METHODS, PRIORITIES, rankDocks } from '../utils/dockAssignment';
 
 const WAREHOUSES = ['All', 'PRETORIA', 'KLAPMUTS', 'OFFSITE'];
 
@@ -32,6 +36,33 @@ const DOCK_STATUS_COLORS = {
 
 const ELIGIBLE_STATUSES = ['arrived_pta', 'arrived_klm', 'arrived_offsite'];
 
+const EMPTY_TRUCK_FORM = {
+  carrier: '', driverName: '', driverPhone: '', vehicleReg: '', warehouse: '', dockId: '', expectedArrival: '', shipmentIds: [], notes: '',
+  vehicleType: '', unloadMethod: '', requiresReefer: false, priority: 'normal',
+};
+
+const PRIORITY_COLORS = {
+  normal: 'var(--text-500)',
+  high: 'var(--warning)',
+  urgent: 'var(--danger)',
+};
+
+const optionLabel = (options, value) => options.find(o => o.value === value)?.label || value;
+
+const formatMinutes = (mins) => {
+  if (mins === null || mins === undefined) return '-';
+  if (mins < 60) return `${mins}m`;
+  return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+};
+
+// datetime-local inputs hold browser-local wall-clock time without a zone
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
 // ─── Shipment Picker Component ───
 function ShipmentPicker({ shipments = [], selectedIds = [], onChange }) {
   const [search, setSearch] = useState('');
@@ -177,6 +208,7 @@ function ShipmentPicker({ shipments = [], selectedIds = [], onChange }) {
 function DockManagement({ shipments: propShipments = [] }) {
   const { showSuccess, showError, confirm: confirmAction } = useNotification();
   const [activeTab, setActiveTab] = useState('schedule');
+  const isAdmin = authUtils.getUser()?.role === 'admin';
   const [selectedWarehouse, setSelectedWarehouse] = useState('All');
   const [docks, setDocks] = useState([]);
   const [todaySchedule, setTodaySchedule] = useState([]);
@@ -188,17 +220,12 @@ function DockManagement({ shipments: propShipments = [] }) {
   const [showAssignDockModal, setShowAssignDockModal] = useState(false);
   const [selectedTruck, setSelectedTruck] = useState(null);
   const [actionLoading, setActionLoading] = useState(false);
+  // Free dock slots offered when the requested one is full or closed
+  const [slotSuggestions, setSlotSuggestions] = useState([]);
 
-  const [truckForm, setTruckForm] = useState({
-    carrier: '',
-    driverName: '',
-    driverPhone: '',
-    vehicleReg: '',
-    warehouse: '',
-    expectedArrival: '',
-    shipmentIds: [],
-    notes: '',
-  });
+  const [truckForm, setTruckForm] = useState(EMPTY_TRUCK_FORM);
+  const [queuePlan, setQueuePlan] = useState([]);
+  const [editingDock, setEditingDock] = useState(null);
 
   const warehouseParam = selectedWarehouse === 'All' ? '' : selectedWarehouse;
 
@@ -217,6 +244,14 @@ function DockManagement({ shipments: propShipments = [] }) {
       if (scheduleRes.ok) setTodaySchedule(await scheduleRes.json());
       if (queueRes.ok) setQueue(await queueRes.json());
       if (metricsRes.ok) setMetrics(await metricsRes.json());
+
+      // Predicted dock, start and wait per queued truck — planned per warehouse
+      if (warehouseParam) {
+        const planRes = await authFetch(getApiUrl(`/api/docks/trucks/queue/plan${wq}`));
+        if (planRes.ok) setQueuePlan(await planRes.json());
+      } else {
+        setQueuePlan([]);
+      }
     } catch (err) {
       console.error('Error fetching dock data:', err);
     } finally {
@@ -232,7 +267,24 @@ function DockManagement({ shipments: propShipments = [] }) {
     return () => clearInterval(interval);
   }, [fetchAll]);
 
-  const resetForm = () => setTruckForm({ carrier: '', driverName: '', driverPhone: '', vehicleReg: '', warehouse: '', expectedArrival: '', shipmentIds: [], notes: '' });
+  const resetForm = () => {
+    setTruckForm(EMPTY_TRUCK_FORM);
+    setSlotSuggestions([]);
+  };
+
+  const truckPayload = () => ({
+    ...truckForm,
+    expectedArrival: truckForm.expectedArrival ? new Date(truckForm.expectedArrival).toISOString() : '',
+    dockId: truckForm.dockId ? parseInt(truckForm.dockId, 10) : null,
+  });
+
+  // Throws the server's error; a full or closed dock slot also offers the free ones
+  const checkTruckResponse = async (res, fallback) => {
+    if (res.ok) return;
+    const body = await res.json().catch(() => ({}));
+    setSlotSuggestions(body.code === 'SLOT_UNAVAILABLE' ? body.details?.alternatives || [] : []);
+    throw new Error(body.error || fallback);
+  };
 
   const handleCreateTruck = async () => {
     setActionLoading(true);
@@ -240,9 +292,9 @@ function DockManagement({ shipments: propShipments = [] }) {
       const res = await authFetch(getApiUrl('/api/docks/trucks'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(truckForm),
+        body: JSON.stringify(truckPayload()),
       });
-      if (!res.ok) throw new Error('Failed to create truck arrival');
+      await checkTruckResponse(res, 'Failed to create truck arrival');
       showSuccess('Truck arrival scheduled');
       setShowAddTruckModal(false);
       resetForm();
@@ -330,10 +382,16 @@ function DockManagement({ shipments: propShipments = [] }) {
       driverPhone: truck.driver_phone || '',
       vehicleReg: truck.vehicle_reg || '',
       warehouse: truck.warehouse || '',
-      expectedArrival: truck.expected_arrival ? new Date(truck.expected_arrival).toISOString().slice(0, 16) : '',
+      dockId: truck.booked_dock_id ? String(truck.booked_dock_id) : '',
+      expectedArrival: toLocalInput(truck.expected_arrival),
       shipmentIds: truck.shipment_ids || [],
       notes: truck.notes || '',
+      vehicleType: truck.vehicle_type || '',
+      unloadMethod: truck.unload_method || '',
+      requiresReefer: !!truck.requires_reefer,
+      priority: truck.priority || 'normal',
     });
+    setSlotSuggestions([]);
     setShowEditTruckModal(true);
   };
 
@@ -344,9 +402,9 @@ function DockManagement({ shipments: propShipments = [] }) {
       const res = await authFetch(getApiUrl(`/api/docks/trucks/${selectedTruck.id}`), {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(truckForm),
+        body: JSON.stringify(truckPayload()),
       });
-      if (!res.ok) throw new Error('Failed to update truck arrival');
+      await checkTruckResponse(res, 'Failed to update truck arrival');
       showSuccess('Truck arrival updated');
       setShowEditTruckModal(false);
       setSelectedTruck(null);
@@ -359,6 +417,56 @@ function DockManagement({ shipments: propShipments = [] }) {
     }
   };
 
+  const handleOptimiseQueue = async () => {
+    setActionLoading(true);
+    try {
+      const res = await authFetch(getApiUrl('/api/docks/trucks/queue/optimise'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ warehouse: warehouseParam }),
+      });
+      if (!res.ok) throw new Error('Failed to optimise queue');
+      showSuccess('Queue reordered');
+      fetchAll();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleSaveDockCapabilities = async () => {
+    if (!editingDock) return;
+    setActionLoading(true);
+    try {
+      const res = await authFetch(getApiUrl(`/api/docks/${editingDock.id}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          isReefer: editingDock.is_reefer,
+          vehicleTypes: editingDock.vehicle_types,
+          unloadMethods: editingDock.unload_methods,
+        }),
+      });
+      if (!res.ok) throw new Error('Failed to update dock');
+      showSuccess(`${editingDock.dock_number} updated`);
+      setEditingDock(null);
+      fetchAll();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const toggleDockCapability = (field, value) => {
+    const current = editingDock[field] || [];
+    setEditingDock({
+      ...editingDock,
+      [field]: current.includes(value) ? current.filter(v => v !== value) : [...current, value],
+    });
+  };
+
   const handleCancelTruck = async (truckId) => {
     const confirmed = await confirmAction({
       title: 'Cancel Truck Arrival',
@@ -470,12 +578,23 @@ function DockManagement({ shipments: propShipments = [] }) {
     { label: 'Avg Wait', value: `${Math.round(metrics.avg_wait_minutes)}m`, color: 'var(--warning)', icon: '\u23F1\uFE0F' },
     { label: 'Avg Turnaround', value: `${Math.round(metrics.avg_turnaround_minutes)}m`, color: 'var(--accent)', icon: '\u{1F504}' },
     { label: 'Dock Utilization', value: `${metrics.utilization_percent}%`, color: 'var(--success)', icon: '\u{1F4CA}' },
+    {
+      label: `Predicted vs Actual Wait${metrics.wait_predictions ? ` (${metrics.wait_predictions} trucks)` : ''}`,
+      value: metrics.wait_predictions
+        ? `${Math.round(metrics.avg_predicted_wait_minutes)}m / ${Math.round(metrics.avg_actual_wait_minutes)}m`
+        : '-',
+      color: 'var(--info)',
+      icon: '\u{1F3AF}',
+    },
   ];
 
   const tabs = [
     { id: 'schedule', label: 'Schedule' },
     { id: 'docks', label: 'Dock Board' },
     { id: 'queue', label: 'Queue', count: queue.length },
+    { id: 'appointments', label: 'Appointments' },
+    { id: 'yard', label: 'Yard' },
+    ...(isAdmin ? [{ id: 'carriers', label: 'Carriers' }] : []),
   ];
 
   const formatTime = (d) => {
@@ -487,11 +606,25 @@ function DockManagement({ shipments: propShipments = [] }) {
     if (!truck.check_in_time) return '-';
     const start = new Date(truck.check_in_time);
     const end = truck.check_out_time ? new Date(truck.check_out_time) : new Date();
-    const mins = Math.round((end - start) / 60000);
-    if (mins < 60) return `${mins}m`;
-    return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+    return formatMinutes(Math.round((end - start) / 60000));
   };
 
+  // Available docks at the truck's warehouse, best fit first, and those that cannot take it
+  const assignOptions = useMemo(() => {
+    if (!selectedTruck) return { ranked: [], unsuitable: [] };
+    const { ranked, rejected } = rankDocks(
+      docks.filter(d => !selectedTruck.warehouse || d.warehouse === selectedTruck.warehouse),
+      selectedTruck
+    );
+    return { ranked, unsuitable: rejected.filter(r => r.reason !== 'Occupied') };
+  }, [docks, selectedTruck]);
+
+  const dockCapabilities = (dock) => [
+    ...(dock.is_reefer ? ['Reefer'] : []),
+    ...(dock.vehicle_types || []).map(v => optionLabel(VEHICLE_TYPES, v)),
+    ...(dock.unload_methods || []).map(m => optionLabel(UNLOAD_METHODS, m)),
+  ];
+
   const renderTruckFormFields = () => (
     <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
       {[
@@ -517,7 +650,7 @@ function DockManagement({ shipments: propShipments = [] }) {
         <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Destination Warehouse *</label>
         <select
           value={truckForm.warehouse}
-          onChange={e => setTruckForm({ ...truckForm, warehouse: e.target.value })}
+          onChange={e => setTruckForm({ ...truckForm, warehouse: e.target.value, dockId: '' })}
           className="select"
           style={{ width: '100%', boxSizing: 'border-box' }}
         >
@@ -537,8 +670,74 @@ function DockManagement({ shipments: propShipments = [] }) {
           className="input"
           style={{ width: '100%', boxSizing: 'border-box' }}
         />
+        {slotSuggestions.length > 0 && (
+          <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', alignItems: 'center', marginTop: '6px' }}>
+            <span style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>Free slots:</span>
+            {slotSuggestions.map(slot => (
+              <button
+                key={slot.start}
+                type="button"
+                className="btn btn-ghost"
+                style={{ fontSize: '0.75rem', padding: '3px 8px', border: '1px solid var(--accent)' }}
+                onClick={() => {
+                  setTruckForm({ ...truckForm, expectedArrival: toLocalInput(slot.start) });
+                  setSlotSuggestions([]);
+                }}
+              >
+                {formatTime(slot.start)}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
+      {truckForm.warehouse && (
+        <div>
+          <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Book Dock</label>
+          <select
+            value={truckForm.dockId}
+            onChange={e => setTruckForm({ ...truckForm, dockId: e.target.value })}
+            className="select"
+            style={{ width: '100%', boxSizing: 'border-box' }}
+          >
+            <option value="">Any dock</option>
+            {docks.filter(d => d.warehouse === truckForm.warehouse).map(d => (
+              <option key={d.id} value={d.id}>{d.dock_number}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Requirements used to pick a dock and order the queue */}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem' }}>
+        {[
+          { key: 'vehicleType', label: 'Vehicle', options: VEHICLE_TYPES, empty: 'Any' },
+          { key: 'unloadMethod', label: 'Unloading', options: UNLOAD_METHODS, empty: 'Any' },
+          { key: 'priority', label: 'Priority', options: PRIORITIES },
+        ].map(field => (
+          <div key={field.key}>
+            <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>{field.label}</label>
+            <select
+              value={truckForm[field.key]}
+              onChange={e => setTruckForm({ ...truckForm, [field.key]: e.target.value })}
+              className="select"
+              style={{ width: '100%', boxSizing: 'border-box' }}
+            >
+              {field.empty && <option value="">{field.empty}</option>}
+              {field.options.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', color: 'var(--text-700)' }}>
+        <input
+          type="checkbox"
+          checked={truckForm.requiresReefer}
+          onChange={e => setTruckForm({ ...truckForm, requiresReefer: e.target.checked })}
+        />
+        Needs a reefer (refrigerated) dock
+      </label>
+
       {/* Shipment Picker */}
       <ShipmentPicker
         shipments={propShipments}
@@ -708,6 +907,25 @@ function DockManagement({ shipments: propShipments = [] }) {
                   </span>
                 </div>
                 <p style={{ margin: '0 0 0.25rem', fontSize: '0.8rem', color: 'var(--text-500)' }}>{dock.warehouse}</p>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '3px', alignItems: 'center', marginBottom: '0.25rem' }}>
+                  {dockCapabilities(dock).length === 0
+                    ? <span style={{ fontSize: '0.72rem', color: 'var(--text-500)' }}>Any vehicle</span>
+                    : dockCapabilities(dock).map(cap => (
+                      <span key={cap} style={{
+                        padding: '1px 6px', borderRadius: '999px', fontSize: '0.7rem',
+                        background: 'var(--surface-2)', color: 'var(--text-700)',
+                      }}>
+                        {cap}
+                      </span>
+                    ))}
+                  <button
+                    className="btn btn-ghost"
+                    style={{ fontSize: '0.7rem', padding: '1px 6px', marginLeft: 'auto' }}
+                    onClick={() => setEditingDock({ ...dock, vehicle_types: dock.vehicle_types || [], unload_methods: dock.unload_methods || [] })}
+                  >
+                    Edit
+                  </button>
+                </div>
 
                 {dock.status === 'occupied' && occupyingTruck && (
                   <div style={{
@@ -746,6 +964,16 @@ function DockManagement({ shipments: propShipments = [] }) {
 
       {activeTab === 'queue' && (
         <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+          {warehouseParam && queue.length > 1 && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.75rem 1rem', borderBottom: '1px solid var(--border)' }}>
+              <span style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>
+                Ordered by priority, then long waits, on-time appointments and shortest unload first
+              </span>
+              <button className="btn btn-ghost" style={btnStyle} onClick={handleOptimiseQueue} disabled={actionLoading}>
+                Optimise Queue
+              </button>
+            </div>
+          )}
           {loading ? (
             <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>
           ) : queue.length === 0 ? (
@@ -759,28 +987,49 @@ function DockManagement({ shipments: propShipments = [] }) {
                     <th>Carrier</th>
                     <th>Driver</th>
                     <th>Vehicle</th>
+                    <th>Priority</th>
                     <th>Checked In</th>
                     <th>Waiting</th>
+                    <th>Est. Unload</th>
+                    <th>Next Dock</th>
+                    <th>Predicted Wait</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {queue.map((truck, idx) => (
-                    <tr key={truck.id}>
-                      <td style={{ fontWeight: 700, color: 'var(--accent)' }}>{idx + 1}</td>
-                      <td>{truck.carrier || '-'}</td>
-                      <td>{truck.driver_name || '-'}</td>
-                      <td style={{ fontFamily: 'monospace' }}>{truck.vehicle_reg || '-'}</td>
-                      <td>{formatTime(truck.check_in_time)}</td>
-                      <td style={{ fontWeight: 600, color: 'var(--warning)' }}>{getWaitTime(truck)}</td>
-                      <td>
-                        <button className="btn btn-primary" style={btnStyle} onClick={() => {
-                          setSelectedTruck(truck);
-                          setShowAssignDockModal(true);
-                        }}>Assign Dock</button>
-                      </td>
-                    </tr>
-                  ))}
+                  {queue.map((truck, idx) => {
+                    const plan = queuePlan.find(p => p.truckId === truck.id);
+                    const planDock = plan?.dockId ? docks.find(d => d.id === plan.dockId) : null;
+                    return (
+                      <tr key={truck.id}>
+                        <td style={{ fontWeight: 700, color: 'var(--accent)' }}>{idx + 1}</td>
+                        <td>{truck.carrier || '-'}</td>
+                        <td>{truck.driver_name || '-'}</td>
+                        <td style={{ fontFamily: 'monospace' }}>{truck.vehicle_reg || '-'}</td>
+                        <td style={{ color: PRIORITY_COLORS[truck.priority] || 'var(--text-500)', fontWeight: truck.priority !== 'normal' ? 600 : 400 }}>
+                          {optionLabel(PRIORITIES, truck.priority || 'normal')}
+                          {truck.requires_reefer && <span title="Needs a reefer dock"> {'\u2744\uFE0F'}</span>}
+                        </td>
+                        <td>{formatTime(truck.check_in_time)}</td>
+                        <td style={{ fontWeight: 600, color: 'var(--warning)' }}>{getWaitTime(truck)}</td>
+                        <td>{plan ? formatMinutes(plan.unloadMinutes) : '-'}</td>
+                        <td>
+                          {!plan ? '-' : planDock ? (
+                            <span title={`Expected ${formatTime(plan.predictedStart)}`}>{planDock.dock_number} &middot; {formatTime(plan.predictedStart)}</span>
+                          ) : (
+                            <span style={{ color: 'var(--danger)' }}>No suitable dock</span>
+                          )}
+                        </td>
+                        <td>{plan ? formatMinutes(plan.predictedWaitMinutes) : formatMinutes(truck.predicted_wait_minutes)}</td>
+                        <td>
+                          <button className="btn btn-primary" style={btnStyle} onClick={() => {
+                            setSelectedTruck(truck);
+                            setShowAssignDockModal(true);
+                          }}>Assign Dock</button>
+                        </td>
+                      </tr>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
@@ -788,6 +1037,30 @@ function DockManagement({ shipments: propShipments = [] }) {
         </div>
       )}
 
+      {activeTab === 'appointments' && (
+        warehouseParam ? (
+          <DockSlotGrid warehouse={warehouseParam} docks={docks} onChanged={fetchAll} />
+        ) : (
+          <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+            Select a warehouse to see its dock appointments
+          </div>
+        )
+      )}
+
+      {activeTab === 'yard' && (
+        warehouseParam ? (
+          <YardMap warehouse={warehouseParam} shipments={propShipments} />
+        ) : (
+          <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+            Select a warehouse to see its yard
+          </div>
+        )
+      )}
+
+      {activeTab === 'carriers' && isAdmin && (
+        <CarrierAccountsPanel shipments={propShipments} />
+      )}
+
       {/* Add Truck Modal */}
       {showAddTruckModal && (
         <div style={{
@@ -803,7 +1076,7 @@ function DockManagement({ shipments: propShipments = [] }) {
             <h3 style={{ margin: '0 0 1rem', color: 'var(--text-900)' }}>Schedule Truck Arrival</h3>
             {renderTruckFormFields()}
             <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.5rem' }}>
-              <button className="btn btn-ghost" onClick={() => setShowAddTruckModal(false)} disabled={actionLoading}>Cancel</button>
+              <button className="btn btn-ghost" onClick={() => { setShowAddTruckModal(false); setSlotSuggestions([]); }} disabled={actionLoading}>Cancel</button>
               <button className="btn btn-primary" onClick={handleCreateTruck} disabled={actionLoading}>
                 {actionLoading ? 'Saving...' : 'Schedule Arrival'}
               </button>
@@ -827,7 +1100,7 @@ function DockManagement({ shipments: propShipments = [] }) {
             <h3 style={{ margin: '0 0 1rem', color: 'var(--text-900)' }}>Amend Truck Arrival</h3>
             {renderTruckFormFields()}
             <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.5rem' }}>
-              <button className="btn btn-ghost" onClick={() => { setShowEditTruckModal(false); setSelectedTruck(null); }} disabled={actionLoading}>Cancel</button>
+              <button className="btn btn-ghost" onClick={() => { setShowEditTruckModal(false); setSelectedTruck(null); setSlotSuggestions([]); }} disabled={actionLoading}>Cancel</button>
               <button className="btn btn-primary" onClick={handleUpdateTruck} disabled={actionLoading}>
                 {actionLoading ? 'Saving...' : 'Save Changes'}
               </button>
@@ -836,6 +1109,63 @@ function DockManagement({ shipments: propShipments = [] }) {
         </div>
       )}
 
+      {/* Dock Capabilities Modal */}
+      {editingDock && (
+        <div style={{
+          position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+          backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex',
+          alignItems: 'center', justifyContent: 'center', zIndex: 1000
+        }}>
+          <div style={{
+            backgroundColor: 'var(--surface)', padding: '2rem', borderRadius: '12px',
+            boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '400px',
+            border: '1px solid var(--border)'
+          }}>
+            <h3 style={{ margin: '0 0 0.5rem', color: 'var(--text-900)' }}>{editingDock.dock_number} Capabilities</h3>
+            <p style={{ margin: '0 0 1rem', color: 'var(--text-500)', fontSize: '0.85rem' }}>
+              Used to pick docks at check-in. Leave a group unticked to take any.
+            </p>
+
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', marginBottom: '0.75rem' }}>
+              <input
+                type="checkbox"
+                checked={!!editingDock.is_reefer}
+                onChange={e => setEditingDock({ ...editingDock, is_reefer: e.target.checked })}
+              />
+              Reefer (refrigerated) dock
+            </label>
+
+            {[
+              { field: 'vehicle_types', label: 'Vehicle types', options: VEHICLE_TYPES },
+              { field: 'unload_methods', label: 'Unloading', options: UNLOAD_METHODS },
+            ].map(group => (
+              <div key={group.field} style={{ marginBottom: '0.75rem' }}>
+                <div style={{ fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>{group.label}</div>
+                <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+                  {group.options.map(o => (
+                    <label key={o.value} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.85rem' }}>
+                      <input
+                        type="checkbox"
+                        checked={editingDock[group.field].includes(o.value)}
+                        onChange={() => toggleDockCapability(group.field, o.value)}
+                      />
+                      {o.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1rem' }}>
+              <button className="btn btn-ghost" onClick={() => setEditingDock(null)} disabled={actionLoading}>Cancel</button>
+              <button className="btn btn-primary" onClick={handleSaveDockCapabilities} disabled={actionLoading}>
+                {actionLoading ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Assign Dock Modal */}
       {showAssignDockModal && selectedTruck && (
         <div style={{
@@ -854,28 +1184,40 @@ function DockManagement({ shipments: propShipments = [] }) {
             </p>
 
             <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-              {docks
-                .filter(d => d.status === 'available' && (!selectedTruck.warehouse || d.warehouse === selectedTruck.warehouse))
-                .map(dock => (
-                  <button
-                    key={dock.id}
-                    className="btn btn-ghost"
-                    style={{
-                      display: 'flex', justifyContent: 'space-between', alignItems: 'center',
-                      padding: '10px 14px', border: '1px solid var(--border)', borderRadius: '8px',
-                      width: '100%', textAlign: 'left',
-                    }}
-                    onClick={() => handleAssignDock(selectedTruck.id, dock.id)}
-                    disabled={actionLoading}
-                  >
-                    <span style={{ fontWeight: 600, color: 'var(--text-900)' }}>{dock.dock_number}</span>
-                    <span style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>{dock.warehouse}</span>
-                  </button>
-                ))
-              }
-              {docks.filter(d => d.status === 'available' && (!selectedTruck.warehouse || d.warehouse === selectedTruck.warehouse)).length === 0 && (
+              {assignOptions.ranked.map(({ dock, reasons }, idx) => (
+                <button
+                  key={dock.id}
+                  className="btn btn-ghost"
+                  style={{
+                    display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+                    padding: '10px 14px', border: `1px solid ${idx === 0 ? 'var(--accent)' : 'var(--border)'}`, borderRadius: '8px',
+                    width: '100%', textAlign: 'left',
+                  }}
+                  onClick={() => handleAssignDock(selectedTruck.id, dock.id)}
+                  disabled={actionLoading}
+                >
+                  <span style={{ fontWeight: 600, color: 'var(--text-900)' }}>
+                    {dock.dock_number}
+                    {idx === 0 && <span style={{ marginLeft: '6px', fontSize: '0.7rem', color: 'var(--accent)' }}>Recommended</span>}
+                  </span>
+                  <span style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>{reasons.join(' \u00b7 ') || dock.warehouse}</span>
+                </button>
+              ))}
+              {assignOptions.unsuitable.map(({ dock, reason }) => (
+                <div
+                  key={dock.id}
+                  style={{
+                    display: 'flex', justifyContent: 'space-between', alignItems: 'center',
+                    padding: '10px 14px', border: '1px dashed var(--border)', borderRadius: '8px', opacity: 0.6,
+                  }}
+                >
+                  <span style={{ fontWeight: 600, color: 'var(--text-700)' }}>{dock.dock_number}</span>
+                  <span style={{ fontSize: '0.8rem', color: 'var(--danger)' }}>{reason}</span>
+                </div>
+              ))}
+              {assignOptions.ranked.length === 0 && (
                 <p style={{ textAlign: 'center', color: 'var(--text-500)', fontSize: '0.85rem', padding: '1rem' }}>
-                  No docks available. Truck will remain in queue.
+                  No suitable docks available. Truck will remain in queue.
                 </p>
               )}
             </div>
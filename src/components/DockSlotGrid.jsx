@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import { DEFAULT_CALENDAR, addDays, localDate, localTime } from '../utils/dockSlots';
+
+const WEEKDAYS = [
+  { day: 1, label: 'Mon' },
+  { day: 2, label: 'Tue' },
+  { day: 3, label: 'Wed' },
+  { day: 4, label: 'Thu' },
+  { day: 5, label: 'Fri' },
+  { day: 6, label: 'Sat' },
+  { day: 7, label: 'Sun' },
+];
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+const cellStyle = { border: '1px solid var(--border)', padding: '4px', verticalAlign: 'top', minWidth: '120px' };
+
+// Monday of the week a YYYY-MM-DD date falls in
+const weekStart = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7;
+  return addDays(date, 1 - weekday);
+};
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00Z`).toLocaleDateString([], { weekday: 'short', day: '2-digit', month: 'short', timeZone: 'UTC' });
+
+const formatTime = (d) => new Date(d).toLocaleString([], { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+const calendarForm = (calendar) => ({
+  slotMinutes: calendar?.slotMinutes ?? DEFAULT_CALENDAR.slotMinutes,
+  openTime: calendar?.openTime ?? DEFAULT_CALENDAR.openTime,
+  closeTime: calendar?.closeTime ?? DEFAULT_CALENDAR.closeTime,
+  openDays: calendar?.openDays ?? DEFAULT_CALENDAR.openDays,
+  maxTrucksPerSlot: calendar?.maxTrucksPerSlot ?? DEFAULT_CALENDAR.maxTrucksPerSlot,
+});
+
+/**
+ * Day/week appointment grid for one warehouse: slots down the side, days
+ * across. Trucks are dragged between slots (or in from the unbooked list) to
+ * book them; the server rejects full or closed slots and offers alternatives.
+ */
+function DockSlotGrid({ warehouse, docks = [], onChanged }) {
+  const { showSuccess, showError, confirm: confirmAction } = useNotification();
+  const [view, setView] = useState('week');
+  const [date, setDate] = useState(() => localDate(DEFAULT_CALENDAR, Date.now()));
+  const [dockId, setDockId] = useState('');
+  const [data, setData] = useState({ calendar: null, days: [], trucks: [] });
+  const [unbooked, setUnbooked] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [settings, setSettings] = useState(calendarForm(null));
+  const [blackoutForm, setBlackoutForm] = useState({ startsAt: '', endsAt: '', reason: '' });
+
+  const warehouseDocks = useMemo(() => docks.filter(d => d.warehouse === warehouse), [docks, warehouse]);
+  const from = view === 'week' ? weekStart(date) : date;
+  const days = view === 'week' ? 7 : 1;
+
+  const fetchSlots = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ warehouse, from, days: String(days) });
+      if (dockId) params.set('dockId', dockId);
+      const [slotsRes, trucksRes, blackoutsRes] = await Promise.all([
+        authFetch(getApiUrl(`/api/docks/slots?${params}`)),
+        authFetch(getApiUrl(`/api/docks/trucks?status=scheduled&warehouse=${warehouse}`)),
+        authFetch(getApiUrl(`/api/docks/blackouts?warehouse=${warehouse}&from=${new Date().toISOString()}`)),
+      ]);
+      if (slotsRes.ok) {
+        const slots = await slotsRes.json();
+        setData(slots);
+        setSettings(calendarForm(slots.calendar));
+      }
+      if (trucksRes.ok) setUnbooked((await trucksRes.json()).filter(t => !t.slot_end));
+      if (blackoutsRes.ok) setBlackouts(await blackoutsRes.json());
+    } catch (err) {
+      console.error('Error fetching dock slots:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [warehouse, from, days, dockId]);
+
+  useEffect(() => { fetchSlots(); }, [fetchSlots]);
+
+  const { calendar } = data;
+  const trucksById = useMemo(() => {
+    const map = {};
+    [...data.trucks, ...unbooked].forEach(t => { map[t.id] = t; });
+    return map;
+  }, [data.trucks, unbooked]);
+
+  // Every day uses the same calendar, so the first open day gives the rows
+  const rowLabels = useMemo(() => {
+    const openDay = data.days.find(d => d.slots.length > 0);
+    return openDay ? openDay.slots.map(s => s.label) : [];
+  }, [data.days]);
+
+  const bookTruck = async (truck, start) => {
+    setConflict(null);
+    try {
+      const res = await authFetch(getApiUrl(`/api/docks/trucks/${truck.id}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ warehouse, expectedArrival: start, ...(dockId && { dockId: parseInt(dockId, 10) }) }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (res.status === 409 && body.code === 'SLOT_UNAVAILABLE') {
+        setConflict({ truck, error: body.error, alternatives: body.details?.alternatives || [] });
+        return;
+      }
+      if (!res.ok) throw new Error(body.error || 'Failed to book slot');
+      showSuccess(`${truck.carrier || truck.vehicle_reg || 'Truck'} booked for ${localDate(calendar, start)} ${localTime(calendar, start)}`);
+      fetchSlots();
+      onChanged?.();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleDrop = (e, slot) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const truck = trucksById[e.dataTransfer.getData('text/plain')];
+    if (truck && truck.expected_arrival !== slot.start) bookTruck(truck, slot.start);
+  };
+
+  const saveCalendar = async () => {
+    try {
+      const res = await authFetch(getApiUrl('/api/docks/calendars'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          warehouse,
+          dockId: dockId ? parseInt(dockId, 10) : null,
+          ...settings,
+          slotMinutes: parseInt(settings.slotMinutes, 10),
+          maxTrucksPerSlot: parseInt(settings.maxTrucksPerSlot, 10),
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || 'Failed to save calendar');
+      showSuccess('Appointment calendar saved');
+      fetchSlots();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const deleteCalendar = async () => {
+    const ok = await confirmAction({
+      title: 'Stop taking appointments',
+      message: `Remove this calendar? Trucks will be booked at ${dockId ? 'this dock' : warehouse} without slot checks.`,
+      confirmText: 'Remove',
+      type: 'danger',
+    });
+    if (!ok) return;
+    try {
+      const res = await authFetch(getApiUrl(`/api/docks/calendars/${calendar.id}`), { method: 'DELETE' });
+      if (!res.ok) throw new Error('Failed to remove calendar');
+      showSuccess('Appointment calendar removed');
+      fetchSlots();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const addBlackout = async () => {
+    try {
+      const res = await authFetch(getApiUrl('/api/docks/blackouts'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          warehouse,
+          dockId: dockId ? parseInt(dockId, 10) : null,
+          startsAt: blackoutForm.startsAt ? new Date(blackoutForm.startsAt).toISOString() : '',
+          endsAt: blackoutForm.endsAt ? new Date(blackoutForm.endsAt).toISOString() : '',
+          reason: blackoutForm.reason,
+        }),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || 'Failed to add blackout');
+      showSuccess('Blackout added');
+      setBlackoutForm({ startsAt: '', endsAt: '', reason: '' });
+      fetchSlots();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const deleteBlackout = async (id) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/docks/blackouts/${id}`), { method: 'DELETE' });
+      if (!res.ok) throw new Error('Failed to remove blackout');
+      fetchSlots();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const renderTruckChip = (truck) => (
+    <div
+      key={truck.id}
+      draggable
+      onDragStart={e => e.dataTransfer.setData('text/plain', String(truck.id))}
+      title={[truck.driver_name, truck.vehicle_reg, (truck.shipments || []).map(s => s.order_ref || s.id).join(', ')].filter(Boolean).join(' · ')}
+      style={{
+        padding: '3px 6px', marginTop: '3px', borderRadius: '6px', cursor: 'grab',
+        background: 'var(--surface)', border: '1px solid var(--info)', color: 'var(--text-900)',
+        fontSize: '0.75rem', fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis',
+      }}
+    >
+      {truck.carrier || 'Unknown carrier'}
+      {truck.vehicle_reg && <span style={{ fontWeight: 400, color: 'var(--text-500)' }}> {truck.vehicle_reg}</span>}
+    </div>
+  );
+
+  const renderSlotCell = (day, label) => {
+    const slot = day.slots.find(s => s.label === label);
+    if (!slot) return <td key={day.date} style={{ ...cellStyle, background: 'var(--surface-2)' }} />;
+
+    const full = !slot.blackout && !slot.available;
+    const isTarget = dropTarget === slot.start;
+    return (
+      <td
+        key={day.date}
+        onDragOver={e => { e.preventDefault(); setDropTarget(slot.start); }}
+        onDragLeave={() => setDropTarget(null)}
+        onDrop={e => handleDrop(e, slot)}
+        style={{
+          ...cellStyle,
+          background: isTarget ? 'var(--surface-2)' : slot.blackout ? 'repeating-linear-gradient(45deg, var(--surface-2), var(--surface-2) 6px, transparent 6px, transparent 12px)' : undefined,
+          outline: isTarget ? '2px dashed var(--accent)' : undefined,
+        }}
+      >
+        <div style={{ fontSize: '0.7rem', fontWeight: 600, color: slot.blackout ? 'var(--text-500)' : full ? 'var(--danger)' : 'var(--success)' }}>
+          {slot.blackout || `${slot.booked}/${slot.capacity}`}
+        </div>
+        {slot.truckIds.map(id => trucksById[id]).filter(Boolean).map(renderTruckChip)}
+      </td>
+    );
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-start' }}>
+      <div className="card" style={{ flex: 1, padding: '1rem', overflowX: 'auto' }}>
+        {/* Toolbar */}
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '0.75rem' }}>
+          <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={() => setDate(addDays(date, -days))}>&larr;</button>
+          <input type="date" className="input" value={date} onChange={e => e.target.value && setDate(e.target.value)} style={{ fontSize: '0.8rem' }} />
+          <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={() => setDate(addDays(date, days))}>&rarr;</button>
+          <select className="select" value={view} onChange={e => setView(e.target.value)} style={{ fontSize: '0.8rem' }}>
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+          </select>
+          <select className="select" value={dockId} onChange={e => setDockId(e.target.value)} style={{ fontSize: '0.8rem' }}>
+            <option value="">All docks</option>
+            {warehouseDocks.map(d => <option key={d.id} value={d.id}>{d.dock_number}</option>)}
+          </select>
+          <button className="btn btn-ghost" style={{ fontSize: '0.8rem', marginLeft: 'auto' }} onClick={() => setShowSettings(!showSettings)}>
+            {showSettings ? 'Hide Settings' : 'Calendar Settings'}
+          </button>
+        </div>
+
+        {conflict && (
+          <div style={{ padding: '0.75rem', marginBottom: '0.75rem', borderRadius: '8px', border: '1px solid var(--warning)', background: 'var(--surface-2)', fontSize: '0.85rem' }}>
+            <div style={{ color: 'var(--text-900)', marginBottom: '0.5rem' }}>{conflict.error}</div>
+            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+              {conflict.alternatives.length > 0 && <span style={{ color: 'var(--text-500)' }}>Free slots:</span>}
+              {conflict.alternatives.map(slot => (
+                <button key={slot.start} className="btn btn-primary" style={{ fontSize: '0.75rem', padding: '4px 8px' }} onClick={() => bookTruck(conflict.truck, slot.start)}>
+                  {formatDay(localDate(calendar, slot.start))} {slot.label}
+                </button>
+              ))}
+              <button className="btn btn-ghost" style={{ fontSize: '0.75rem', padding: '4px 8px' }} onClick={() => setConflict(null)}>Dismiss</button>
+            </div>
+          </div>
+        )}
+
+        {loading && !calendar ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>
+        ) : !calendar ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+            {warehouse} does not take dock appointments yet. Set up its calendar to start booking slots.
+          </div>
+        ) : rowLabels.length === 0 ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Closed for bookings on these days</div>
+        ) : (
+          <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: '0.8rem' }}>
+            <thead>
+              <tr>
+                <th style={{ ...cellStyle, minWidth: '60px' }} />
+                {data.days.map(day => <th key={day.date} style={{ ...cellStyle, color: 'var(--text-700)' }}>{formatDay(day.date)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rowLabels.map(label => (
+                <tr key={label}>
+                  <td style={{ ...cellStyle, minWidth: '60px', fontWeight: 600, color: 'var(--text-700)' }}>{label}</td>
+                  {data.days.map(day => renderSlotCell(day, label))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {calendar && dockId && calendar.dockId === null && (
+          <p style={{ margin: '0.5rem 0 0', fontSize: '0.75rem', color: 'var(--text-500)' }}>
+            This dock uses the {warehouse} calendar; slots count trucks across the warehouse.
+          </p>
+        )}
+      </div>
+
+      <div style={{ width: '260px', display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+        {/* Unbooked trucks */}
+        <div className="dash-panel" style={{ padding: '0.75rem' }}>
+          <h4 style={{ margin: '0 0 0.5rem', fontSize: '0.9rem', color: 'var(--text-900)' }}>Unbooked ({unbooked.length})</h4>
+          {unbooked.length === 0 ? (
+            <p style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-500)' }}>Every scheduled truck has a slot</p>
+          ) : (
+            <>
+              <p style={{ margin: '0 0 0.25rem', fontSize: '0.75rem', color: 'var(--text-500)' }}>Drag a truck onto a slot to book it</p>
+              {unbooked.map(renderTruckChip)}
+            </>
+          )}
+        </div>
+
+        {showSettings && (
+          <div className="dash-panel" style={{ padding: '0.75rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+            <h4 style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-900)' }}>
+              {dockId ? `${warehouseDocks.find(d => String(d.id) === dockId)?.dock_number || 'Dock'} calendar` : `${warehouse} calendar`}
+            </h4>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+              <div>
+                <label style={labelStyle}>Opens</label>
+                <input type="time" className="input" value={settings.openTime} onChange={e => setSettings({ ...settings, openTime: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Closes</label>
+                <input type="time" className="input" value={settings.closeTime} onChange={e => setSettings({ ...settings, closeTime: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Slot (min)</label>
+                <input type="number" min="15" step="15" className="input" value={settings.slotMinutes} onChange={e => setSettings({ ...settings, slotMinutes: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Trucks / slot</label>
+                <input type="number" min="1" className="input" value={settings.maxTrucksPerSlot} onChange={e => setSettings({ ...settings, maxTrucksPerSlot: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap' }}>
+              {WEEKDAYS.map(({ day, label }) => (
+                <label key={day} style={{ fontSize: '0.75rem', display: 'flex', alignItems: 'center', gap: '2px' }}>
+                  <input
+                    type="checkbox"
+                    checked={settings.openDays.includes(day)}
+                    onChange={e => setSettings({
+                      ...settings,
+                      openDays: e.target.checked ? [...settings.openDays, day].sort((a, b) => a - b) : settings.openDays.filter(d => d !== day),
+                    })}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button className="btn btn-primary" style={{ fontSize: '0.8rem' }} onClick={saveCalendar}>Save</button>
+              {calendar && (calendar.dockId ?? null) === (dockId ? parseInt(dockId, 10) : null) && (
+                <button className="btn btn-ghost danger" style={{ fontSize: '0.8rem' }} onClick={deleteCalendar}>Remove</button>
+              )}
+            </div>
+
+            <h4 style={{ margin: '0.5rem 0 0', fontSize: '0.9rem', color: 'var(--text-900)' }}>Blackouts</h4>
+            {blackouts.length === 0 && <p style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-500)' }}>None coming up</p>}
+            {blackouts.map(b => (
+              <div key={b.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '0.25rem', fontSize: '0.75rem' }}>
+                <span>
+                  <strong>{b.reason || 'Blacked out'}</strong>
+                  {b.dock_id && ` (${docks.find(d => d.id === b.dock_id)?.dock_number || 'dock'})`}
+                  <br />
+                  <span style={{ color: 'var(--text-500)' }}>
+                    {formatTime(b.starts_at)} &ndash; {formatTime(b.ends_at)}
+                  </span>
+                </span>
+                <button className="btn btn-ghost danger" style={{ fontSize: '0.7rem', padding: '2px 6px' }} onClick={() => deleteBlackout(b.id)}>&times;</button>
+              </div>
+            ))}
+            <div>
+              <label style={labelStyle}>From</label>
+              <input type="datetime-local" className="input" value={blackoutForm.startsAt} onChange={e => setBlackoutForm({ ...blackoutForm, startsAt: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+            </div>
+            <div>
+              <label style={labelStyle}>To</label>
+              <input type="datetime-local" className="input" value={blackoutForm.endsAt} onChange={e => setBlackoutForm({ ...blackoutForm, endsAt: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+            </div>
+            <input type="text" className="input" placeholder="Reason, e.g. Stocktake" value={blackoutForm.reason} onChange={e => setBlackoutForm({ ...blackoutForm, reason: e.target.value })} />
+            <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={addBlackout} disabled={!blackoutForm.startsAt || !blackoutForm.endsAt}>+ Add Blackout</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DockSlotGrid;
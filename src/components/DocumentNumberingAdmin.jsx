@@ -0,0 +1,360 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { useNotification } from '../contexts/NotificationContext';
+import {
+  DOCUMENT_TYPES,
+  DATE_PARTS,
+  RESET_PERIODS,
+  WAREHOUSE_CODES,
+  normalizeSeries,
+  validateSeries,
+  formatDocumentNumber,
+} from '../utils/documentNumbering';
+
+const TABS = [
+  { key: 'series', label: 'Number Series' },
+  { key: 'register', label: 'Issued Numbers' },
+];
+
+const WAREHOUSES = Object.keys(WAREHOUSE_CODES);
+
+const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem' };
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid var(--border)', fontSize: '0.82rem' };
+const headerCellStyle = { ...cellStyle, fontWeight: 600 };
+const linkButtonStyle = { background: 'none', border: 'none', cursor: 'pointer', fontSize: '0.8rem' };
+const primaryButtonStyle = { padding: '8px 16px', backgroundColor: 'var(--navy-900)', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' };
+
+const typeLabel = (docType) => DOCUMENT_TYPES.find(t => t.value === docType)?.label || docType;
+
+function DocumentNumberingAdmin() {
+  const { showSuccess, showError } = useNotification();
+  const [series, setSeries] = useState([]);
+  const [numbers, setNumbers] = useState([]);
+  const [activeTab, setActiveTab] = useState('series');
+  const [loading, setLoading] = useState(true);
+  const [previewWarehouse, setPreviewWarehouse] = useState(WAREHOUSES[0]);
+  const [filters, setFilters] = useState({ docType: '', status: '', search: '' });
+  const [editing, setEditing] = useState(null); // series being edited
+  const [voiding, setVoiding] = useState(null); // { id, reason }
+  const [saving, setSaving] = useState(false);
+
+  const fetchSeries = useCallback(async () => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/document-numbers/series?warehouse=${encodeURIComponent(previewWarehouse)}`));
+      if (response.ok) {
+        setSeries(await response.json());
+      } else {
+        showError('Failed to load number series');
+      }
+    } catch (err) {
+      console.error('Failed to fetch number series:', err);
+      showError('Failed to load number series');
+    }
+  }, [previewWarehouse, showError]);
+
+  const fetchNumbers = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ limit: '500' });
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const response = await authFetch(getApiUrl(`/api/document-numbers?${params}`));
+      if (response.ok) {
+        setNumbers(await response.json());
+      } else {
+        showError('Failed to load issued numbers');
+      }
+    } catch (err) {
+      console.error('Failed to fetch issued numbers:', err);
+      showError('Failed to load issued numbers');
+    }
+  }, [filters, showError]);
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([fetchSeries(), fetchNumbers()]).finally(() => setLoading(false));
+  }, [fetchSeries, fetchNumbers]);
+
+  const handleSaveSeries = async () => {
+    const errors = validateSeries(editing);
+    if (errors.length > 0) {
+      showError(errors[0]);
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await authFetch(getApiUrl(`/api/document-numbers/series/${editing.docType}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          prefix: editing.prefix,
+          datePart: editing.datePart,
+          perWarehouse: editing.perWarehouse,
+          resetPeriod: editing.resetPeriod,
+          padding: Number(editing.padding),
+        }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showSuccess(`${typeLabel(editing.docType)} numbering saved`);
+        setEditing(null);
+        fetchSeries();
+      } else {
+        showError(result.error || 'Failed to save number series');
+      }
+    } catch (err) {
+      console.error('Failed to save number series:', err);
+      showError('Failed to save number series');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleVoid = async () => {
+    if (!voiding.reason.trim()) {
+      showError('A reason is required to void a number');
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await authFetch(getApiUrl(`/api/document-numbers/${voiding.id}/void`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ reason: voiding.reason.trim() }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showSuccess(`${result.number} voided`);
+        setVoiding(null);
+        fetchNumbers();
+      } else {
+        showError(result.error || 'Failed to void number');
+      }
+    } catch (err) {
+      console.error('Failed to void number:', err);
+      showError('Failed to void number');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateEditing = (field, value) => setEditing(prev => ({ ...prev, [field]: value }));
+
+  const renderSeries = () => (
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+          <th style={headerCellStyle}>Document</th>
+          <th style={headerCellStyle}>Prefix</th>
+          <th style={headerCellStyle}>Date Part</th>
+          <th style={headerCellStyle}>Counted</th>
+          <th style={headerCellStyle}>Restarts</th>
+          <th style={headerCellStyle}>Next Number</th>
+          <th style={headerCellStyle}>Updated By</th>
+          <th style={headerCellStyle} />
+        </tr>
+      </thead>
+      <tbody>
+        {series.map(row => (
+          <tr key={row.docType}>
+            <td style={{ ...cellStyle, fontWeight: 600 }}>{row.label}</td>
+            <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{row.prefix || '-'}</td>
+            <td style={cellStyle}>{DATE_PARTS.find(p => p.value === row.datePart)?.label || '-'}</td>
+            <td style={cellStyle}>{row.perWarehouse ? 'Per warehouse' : 'Across warehouses'}</td>
+            <td style={cellStyle}>{RESET_PERIODS.find(p => p.value === row.resetPeriod)?.label || '-'}</td>
+            <td style={{ ...cellStyle, fontFamily: 'monospace', color: 'var(--navy-900)' }}>{row.nextNumber || '-'}</td>
+            <td style={{ ...cellStyle, color: 'var(--text-500)' }}>{row.updatedBy || '-'}</td>
+            <td style={{ ...cellStyle, textAlign: 'right' }}>
+              <button onClick={() => setEditing(normalizeSeries(row.docType, row))} style={{ ...linkButtonStyle, color: 'var(--navy-900)' }}>Edit</button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderRegister = () => (
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+          <th style={headerCellStyle}>Number</th>
+          <th style={headerCellStyle}>Document</th>
+          <th style={headerCellStyle}>Warehouse</th>
+          <th style={headerCellStyle}>Record</th>
+          <th style={headerCellStyle}>Issued</th>
+          <th style={headerCellStyle}>Status</th>
+          <th style={headerCellStyle} />
+        </tr>
+      </thead>
+      <tbody>
+        {numbers.map(row => (
+          <tr key={row.id} style={{ opacity: row.status === 'voided' ? 0.7 : 1 }}>
+            <td style={{ ...cellStyle, fontFamily: 'monospace', textDecoration: row.status === 'voided' ? 'line-through' : 'none' }}>{row.number}</td>
+            <td style={cellStyle}>{typeLabel(row.doc_type)}</td>
+            <td style={cellStyle}>{row.warehouse || '-'}</td>
+            <td style={{ ...cellStyle, color: 'var(--text-500)' }}>{row.entity_id || '-'}</td>
+            <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+              {new Date(row.issued_at).toLocaleString()}
+              {row.issued_by && <span style={{ color: 'var(--text-500)' }}> · {row.issued_by}</span>}
+            </td>
+            <td style={cellStyle}>
+              {row.status === 'voided' ? (
+                <span style={{ color: 'var(--danger)' }} title={row.voided_at ? `Voided ${new Date(row.voided_at).toLocaleString()}` : undefined}>
+                  Void: {row.void_reason}{row.voided_by ? ` (${row.voided_by})` : ''}
+                </span>
+              ) : 'Issued'}
+            </td>
+            <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+              {row.status === 'issued' && (voiding?.id === row.id ? (
+                <span style={{ display: 'inline-flex', gap: '0.5rem', alignItems: 'center' }}>
+                  <input
+                    type="text"
+                    autoFocus
+                    placeholder="Reason..."
+                    value={voiding.reason}
+                    onChange={(e) => setVoiding({ ...voiding, reason: e.target.value })}
+                    style={{ ...inputStyle, width: '180px' }}
+                  />
+                  <button onClick={handleVoid} disabled={saving} style={{ ...linkButtonStyle, color: 'var(--danger)', fontWeight: 600 }}>Void</button>
+                  <button onClick={() => setVoiding(null)} style={{ ...linkButtonStyle, color: 'var(--text-500)' }}>Cancel</button>
+                </span>
+              ) : (
+                <button onClick={() => setVoiding({ id: row.id, reason: '' })} style={{ ...linkButtonStyle, color: 'var(--danger)' }}>Void</button>
+              ))}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const editingErrors = editing ? validateSeries(editing) : [];
+  const counts = { series: series.length, register: numbers.length };
+  const isEmpty = { series: series.length === 0, register: numbers.length === 0 };
+
+  return (
+    <div style={{ padding: '1.5rem' }}>
+      <div style={{ marginBottom: '1rem' }}>
+        <h2 style={{ margin: 0, fontSize: '1.2rem', color: 'var(--navy-900)' }}>Document Numbering</h2>
+        <p style={{ margin: '0.25rem 0 0', color: 'var(--text-500)', fontSize: '0.8rem' }}>
+          Formats for GRNs, cost estimate references, IWT release numbers, supplier claims and freight tender RFQs. Every number issued is kept in the register; voided numbers are never reissued.
+        </p>
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+        {TABS.map(tab => (
+          <button
+            key={tab.key}
+            onClick={() => { setActiveTab(tab.key); setEditing(null); setVoiding(null); }}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: activeTab === tab.key ? 'var(--navy-900)' : 'var(--surface-2)',
+              color: activeTab === tab.key ? 'white' : 'var(--text-700)',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '0.85rem',
+              fontWeight: activeTab === tab.key ? '600' : '400',
+            }}
+          >
+            {tab.label} ({counts[tab.key]})
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'series' ? (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+          Preview per-warehouse numbers for
+          <select value={previewWarehouse} onChange={(e) => setPreviewWarehouse(e.target.value)} style={{ ...inputStyle, width: '160px' }}>
+            {WAREHOUSES.map(w => <option key={w} value={w}>{w}</option>)}
+          </select>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginBottom: '1rem' }}>
+          <input
+            type="text"
+            placeholder="Search number or record..."
+            value={filters.search}
+            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+            style={{ ...inputStyle, width: '260px' }}
+          />
+          <select value={filters.docType} onChange={(e) => setFilters({ ...filters, docType: e.target.value })} style={{ ...inputStyle, width: '200px' }}>
+            <option value="">All documents</option>
+            {DOCUMENT_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })} style={{ ...inputStyle, width: '140px' }}>
+            <option value="">Issued and void</option>
+            <option value="issued">Issued</option>
+            <option value="voided">Void</option>
+          </select>
+        </div>
+      )}
+
+      {editing && (
+        <div style={{ border: '1px solid var(--border)', borderRadius: '8px', padding: '1rem', marginBottom: '1rem', backgroundColor: 'var(--surface-2)' }}>
+          <h3 style={{ margin: '0 0 0.75rem', fontSize: '0.95rem' }}>{typeLabel(editing.docType)} Numbers</h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '0.75rem' }}>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+              Prefix
+              <input type="text" value={editing.prefix} onChange={(e) => updateEditing('prefix', e.target.value.toUpperCase())} style={inputStyle} />
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+              Date Part
+              <select value={editing.datePart} onChange={(e) => updateEditing('datePart', e.target.value)} style={inputStyle}>
+                {DATE_PARTS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+              </select>
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+              Count Restarts
+              <select value={editing.resetPeriod} onChange={(e) => updateEditing('resetPeriod', e.target.value)} style={inputStyle}>
+                {RESET_PERIODS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+              </select>
+            </label>
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+              Sequence Digits
+              <input type="number" min="1" max="8" value={editing.padding} onChange={(e) => updateEditing('padding', e.target.value)} style={inputStyle} />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8rem', color: 'var(--text-700)', paddingTop: '1.2rem' }}>
+              <input type="checkbox" checked={editing.perWarehouse} onChange={(e) => updateEditing('perWarehouse', e.target.checked)} />
+              Separate series per warehouse
+            </label>
+          </div>
+          <div style={{ marginTop: '0.75rem', fontSize: '0.8rem', color: editingErrors.length ? 'var(--danger)' : 'var(--text-500)' }}>
+            {editingErrors.length
+              ? editingErrors[0]
+              : <>Looks like <span style={{ fontFamily: 'monospace', color: 'var(--navy-900)' }}>
+                  {formatDocumentNumber({ ...editing, padding: Number(editing.padding) }, { sequence: 1, warehouse: previewWarehouse })}
+                </span>. Numbers already issued keep their format.</>}
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+            <button onClick={handleSaveSeries} disabled={saving || editingErrors.length > 0} style={primaryButtonStyle}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              style={{ padding: '8px 16px', backgroundColor: 'white', border: '1px solid var(--border)', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading document numbering...</div>
+      ) : isEmpty[activeTab] ? (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+          {activeTab === 'register' ? 'No numbers issued yet' : 'No number series found'}
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          {activeTab === 'series' && renderSeries()}
+          {activeTab === 'register' && renderRegister()}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DocumentNumberingAdmin;
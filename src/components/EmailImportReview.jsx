@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import {
+  IMPORT_FIELDS,
+  reviewActionLabel,
+  reviewStatusLabel,
+  emailSourceLabel,
+} from '../utils/importReview';
+import { REFERENCE_FIELDS } from '../utils/forwarderEmailRules';
+import ForwarderEmailRules from './ForwarderEmailRules';
+
+const ACTION_COLORS = {
+  create: 'var(--success)',
+  update: 'var(--info)',
+  unchanged: 'var(--text-500)',
+  invalid: 'var(--danger)',
+};
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '8px', borderRadius: '6px', border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text-900)' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('en-ZA', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) : '-');
+const show = (value) => (value === null || value === undefined || value === '' ? '-' : String(value));
+
+// Updates read from an email's text only carry references and schedule fields
+const EMAIL_TEXT_FIELDS = [
+  ...REFERENCE_FIELDS,
+  ...IMPORT_FIELDS.filter(f => ['latestStatus', 'vesselName', 'weekNumber', 'selectedWeekDate'].includes(f.field)),
+];
+
+function ActionBadge({ action }) {
+  return (
+    <span style={{
+      padding: '2px 8px', borderRadius: '10px', fontSize: '0.75rem', fontWeight: 600,
+      color: ACTION_COLORS[action], border: `1px solid ${ACTION_COLORS[action]}`,
+    }}>
+      {reviewActionLabel(action)}
+    </span>
+  );
+}
+
+/**
+ * Correct an emailed row's fields before approving it. The server matches
+ * it to a shipment and works out its changes again on save.
+ */
+function EditRowModal({ row, onClose, onSaved }) {
+  const { showError } = useNotification();
+  const fromText = row.source === 'email_body';
+  const fields = fromText ? EMAIL_TEXT_FIELDS : [{ field: 'orderRef', label: 'Order Ref' }, ...IMPORT_FIELDS];
+  const [values, setValues] = useState(
+    Object.fromEntries(fields.map(({ field }) => [field, row.data[field] ?? '']))
+  );
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const res = await authFetch(getApiUrl(`/api/email-import/review/${row.id}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save row');
+      onSaved(data);
+      onClose();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)',
+        display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
+      }}
+    >
+      <div
+        onClick={e => e.stopPropagation()}
+        style={{
+          backgroundColor: 'var(--surface)', padding: '1.5rem', borderRadius: '12px',
+          boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '640px',
+          maxHeight: '80vh', overflow: 'auto', border: '1px solid var(--border)'
+        }}
+      >
+        <h3 style={{ margin: '0 0 0.25rem', color: 'var(--text-900)' }}>{fromText ? 'Edit Emailed Update' : 'Edit Emailed Row'}</h3>
+        <p style={{ margin: '0 0 1rem', color: 'var(--text-500)', fontSize: '0.85rem' }}>
+          {fromText ? 'Read from the text of' : `Row ${row.row_number} of ${row.attachment_name || 'the attachment'} \u2014`} {emailSourceLabel(row)}
+        </p>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+          {fields.map(({ field, label }) => (
+            <div key={field} style={field === 'notes' ? { gridColumn: '1 / -1' } : undefined}>
+              <label style={labelStyle}>{label}</label>
+              <input
+                type="text"
+                value={values[field]}
+                onChange={e => setValues(prev => ({ ...prev, [field]: e.target.value }))}
+                style={inputStyle}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.25rem' }}>
+          <button className="btn btn-ghost" onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Row'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Shipment rows read from emailed schedules, and updates read from
+ * forwarder emails, grouped by email. Each row shows what it would change
+ * on its shipment; a planner approves, edits or rejects it before anything
+ * reaches the schedule.
+ */
+function EmailImportReview() {
+  const { showSuccess, showError } = useNotification();
+  const [activeTab, setActiveTab] = useState('pending');
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectNotes, setRejectNotes] = useState('');
+
+  const fetchRows = useCallback(async () => {
+    if (activeTab === 'rules') return;
+    setLoading(true);
+    try {
+      const res = await authFetch(getApiUrl(`/api/email-import/review?status=${activeTab}`));
+      if (!res.ok) throw new Error('Failed to load emailed rows');
+      setRows(await res.json());
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [activeTab, showError]);
+
+  useEffect(() => { fetchRows(); }, [fetchRows]);
+
+  const review = async (row, verb, payload) => {
+    setBusyId(row.id);
+    try {
+      const res = await authFetch(getApiUrl(`/api/email-import/review/${row.id}/${verb}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload || {}),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        const details = data.details?.errors?.length ? `: ${data.details.errors.join(', ')}` : '';
+        throw new Error(`${data.error || `Failed to ${verb} row`}${details}`);
+      }
+      setRows(prev => prev.filter(r => r.id !== row.id));
+      return true;
+    } catch (err) {
+      showError(err.message);
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const approve = async (row) => {
+    if (await review(row, 'approve')) {
+      showSuccess(row.action === 'create' ? `Shipment ${row.order_ref} added` : `Shipment ${row.order_ref} updated`);
+    }
+  };
+
+  const reject = async (row) => {
+    if (await review(row, 'reject', { notes: rejectNotes.trim() || null })) {
+      showSuccess(`Row for ${row.order_ref || 'unknown order'} rejected`);
+      setRejecting(null);
+      setRejectNotes('');
+    }
+  };
+
+  const approveAll = async (emailRows) => {
+    const ready = emailRows.filter(r => r.action === 'create' || r.action === 'update');
+    let applied = 0;
+    for (const row of ready) {
+      if (await review(row, 'approve')) applied++;
+    }
+    if (applied) showSuccess(`${applied} of ${ready.length} row${ready.length === 1 ? '' : 's'} applied`);
+  };
+
+  // Rows arrive newest email first; keep that order while grouping
+  const emails = [];
+  rows.forEach(row => {
+    let email = emails.find(e => e.id === row.email_import_id);
+    if (!email) {
+      email = { id: row.email_import_id, source: row, rows: [] };
+      emails.push(email);
+    }
+    email.rows.push(row);
+  });
+
+  const tabs = [
+    { id: 'pending', label: 'Awaiting Review' },
+    { id: 'applied', label: 'Applied' },
+    { id: 'rejected', label: 'Rejected' },
+    { id: 'superseded', label: 'Superseded' },
+    { id: 'rules', label: 'Forwarder Rules' },
+  ];
+
+  const matchedByLabel = (row) => {
+    if (!row.matched_by || row.matched_by === 'orderRef') return null;
+    const label = REFERENCE_FIELDS.find(f => f.field === row.matched_by)?.label || row.matched_by;
+    return `by ${label.toLowerCase()} ${row.data[row.matched_by] || ''}`.trim();
+  };
+
+  const renderChanges = (row) => {
+    if (row.errors?.length) {
+      return (
+        <ul style={{ margin: 0, paddingLeft: '1.1rem', color: 'var(--danger)', fontSize: '0.8rem' }}>
+          {row.errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      );
+    }
+    if (!row.changes?.length) return <span style={{ color: 'var(--text-500)' }}>No changes</span>;
+
+    return (
+      <table style={{ fontSize: '0.8rem', borderCollapse: 'collapse' }}>
+        <tbody>
+          {row.changes.map(change => (
+            <tr key={change.field}>
+              <td style={{ padding: '1px 8px 1px 0', color: 'var(--text-500)' }}>{change.label}</td>
+              {row.action === 'update' && (
+                <td style={{ padding: '1px 8px', color: 'var(--text-500)', textDecoration: 'line-through' }}>{show(change.from)}</td>
+              )}
+              <td style={{ padding: '1px 8px', fontWeight: 600, color: 'var(--text-900)' }}>{show(change.to)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    );
+  };
+
+  const renderRow = (row) => (
+    <tr key={row.id}>
+      <td style={{ color: 'var(--text-500)' }}>{row.row_number}</td>
+      <td style={{ fontWeight: 600 }}>
+        {row.order_ref || '-'}
+        {matchedByLabel(row) && <div style={{ fontSize: '0.75rem', fontWeight: 400, color: 'var(--text-500)' }}>{matchedByLabel(row)}</div>}
+      </td>
+      <td>{row.data.supplier || '-'}</td>
+      <td><ActionBadge action={row.action} /></td>
+      <td>{renderChanges(row)}</td>
+      <td>
+        {row.status === 'pending' ? (
+          rejecting === row.id ? (
+            <div style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+              <input
+                type="text"
+                placeholder="Reason (optional)"
+                value={rejectNotes}
+                onChange={e => setRejectNotes(e.target.value)}
+                className="input"
+                style={{ width: '160px', fontSize: '0.8rem' }}
+              />
+              <button className="btn btn-danger" style={{ fontSize: '0.8rem', padding: '4px 8px' }} disabled={busyId === row.id} onClick={() => reject(row)}>
+                Reject
+              </button>
+              <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setRejecting(null)}>
+                Back
+              </button>
+            </div>
+          ) : (
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <button
+                className="btn btn-primary"
+                style={{ fontSize: '0.8rem', padding: '4px 8px' }}
+                disabled={busyId === row.id || row.action === 'invalid'}
+                title={row.action === 'invalid' ? 'Edit the row to fix its errors first' : undefined}
+                onClick={() => approve(row)}
+              >
+                Approve
+              </button>
+              <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setEditing(row)}>
+                Edit
+              </button>
+              <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px', color: 'var(--danger)' }} onClick={() => { setRejecting(row.id); setRejectNotes(''); }}>
+                Reject
+              </button>
+            </div>
+          )
+        ) : (
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-500)' }}>
+            {reviewStatusLabel(row.status)}{row.reviewed_by ? ` by ${row.reviewed_by}` : ''} {formatDate(row.reviewed_at)}
+            {row.review_notes && <div style={{ fontStyle: 'italic' }}>{row.review_notes}</div>}
+          </div>
+        )}
+      </td>
+    </tr>
+  );
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <div className="brand-strip" />
+      <div className="page-header" style={{ marginBottom: '1.5rem' }}>
+        <h2 style={{ margin: '0 0 0.5rem 0', color: 'var(--text-900)' }}>
+          Emailed Schedule Review
+        </h2>
+        <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.9rem' }}>
+          Rows from schedules emailed to the import mailbox, and updates read from forwarder emails, matched to shipments by order ref, container or BOL. Nothing reaches the schedule until it is approved.
+        </p>
+      </div>
+
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '1rem' }}>
+        {tabs.map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            style={{
+              padding: '8px 16px',
+              borderRadius: '8px',
+              border: 'none',
+              background: activeTab === tab.id ? 'var(--accent)' : 'var(--surface-2)',
+              color: activeTab === tab.id ? '#fff' : 'var(--text-700)',
+              fontWeight: 600,
+              fontSize: '0.85rem',
+              cursor: 'pointer',
+              transition: 'all 0.15s',
+            }}
+          >
+            {tab.label} {activeTab === tab.id && tab.id !== 'rules' && rows.length > 0 && <span style={{ opacity: 0.8 }}>({rows.length})</span>}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'rules' && <ForwarderEmailRules />}
+
+      {activeTab !== 'rules' && loading && <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>}
+      {activeTab !== 'rules' && !loading && emails.length === 0 && (
+        <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+          {activeTab === 'pending' ? 'No emailed rows waiting for review' : `No ${reviewStatusLabel(activeTab).toLowerCase()} rows`}
+        </div>
+      )}
+
+      {activeTab !== 'rules' && !loading && emails.map(email => (
+        <div key={email.id} className="card" style={{ padding: 0, overflow: 'hidden', marginBottom: '1rem' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '0.75rem 1rem', background: 'var(--surface-2)', gap: '0.5rem', flexWrap: 'wrap' }}>
+            <div>
+              <div style={{ fontWeight: 600, color: 'var(--text-900)' }}>{emailSourceLabel(email.source)}</div>
+              <div style={{ fontSize: '0.75rem', color: 'var(--text-500)' }}>
+                {email.source.attachment_name || (email.source.source === 'email_body' ? 'Email text' : 'Attachment')} &middot; received {formatDate(email.source.email_date)}
+              </div>
+            </div>
+            {activeTab === 'pending' && email.rows.some(r => r.action === 'create' || r.action === 'update') && (
+              <button className="btn btn-primary" style={{ fontSize: '0.8rem', padding: '4px 10px' }} disabled={busyId !== null} onClick={() => approveAll(email.rows)}>
+                Approve All Valid
+              </button>
+            )}
+          </div>
+          <div style={{ overflowX: 'auto' }}>
+            <table className="table" style={{ fontSize: '0.85rem' }}>
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Order Ref</th>
+                  <th>Supplier</th>
+                  <th>Action</th>
+                  <th>Changes</th>
+                  <th>Review</th>
+                </tr>
+              </thead>
+              <tbody>
+                {email.rows.map(renderRow)}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ))}
+
+      {editing && (
+        <EditRowModal
+          row={editing}
+          onClose={() => setEditing(null)}
+          onSaved={(saved) => setRows(prev => prev.map(r => (r.id === saved.id ? saved : r)))}
+        />
+      )}
+    </div>
+  );
+}
+
+export default EmailImportReview;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import useFormDraft from '../hooks/useFormDraft';
+import useRateTables from '../hooks/useRateTables';
 import { getApiUrl } from '../config/api';
 import { authFetch } from '../utils/authFetch';
 import { authUtils } from '../utils/auth';
@@ -147,6 +148,7 @@ const INITIAL_FORM_STATE = {
 
 function ExportCosting() {
   const { showSuccess, showError, confirm: confirmAction } = useNotification();
+  const { version: rateTablesVersion } = useRateTables();
   const currentUser = authUtils.getUser();
   const isAdmin = currentUser?.role === 'admin';
   const [estimates, setEstimates] = useState([]);
@@ -185,7 +187,7 @@ function ExportCosting() {
   useEffect(() => {
     const totals = calculateAllTotals(formData);
     setCalculatedTotals(totals);
-  }, [formData]);
+  }, [formData, rateTablesVersion]);
 
   useEffect(() => {
     if (!showForm) return;
@@ -302,7 +304,8 @@ function ExportCosting() {
         const rate = lookupOceanFreightRate(
           field === 'port_of_loading' ? value : updated.port_of_loading,
           field === 'shipping_line' ? value : updated.shipping_line,
-          field === 'container_type' ? value : updated.container_type
+          field === 'container_type' ? value : updated.container_type,
+          updated.costing_date
         );
         if (rate !== null) {
           updated.ocean_freight_usd = rate;
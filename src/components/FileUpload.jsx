@@ -3,16 +3,19 @@ import React, { useState, useRef } from 'react';
 import { ExcelProcessor } from '../utils/excelProcessor';
 import ImportValidationPreview from './ImportValidationPreview';
 import { useNotification } from '../contexts/NotificationContext';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
 import './FileUpload.css'; // ← add this
 
 function FileUpload({ onFileUpload, loading }) {
-  const { showError, showWarning } = useNotification();
+  const { showError, showWarning, showInfo } = useNotification();
   const [isOpen, setIsOpen] = useState(false);
   const [isDragOver, setIsDragOver] = useState(false);
   const [validationData, setValidationData] = useState(null);
   const [validationLoading, setValidationLoading] = useState(false);
   const fileInputRef = useRef(null);
   const currentFileRef = useRef(null);
+  const mappingProfileRef = useRef(null);
 
   const handleDragOver = (e) => { e.preventDefault(); setIsDragOver(true); };
   const handleDragLeave = (e) => { e.preventDefault(); setIsDragOver(false); };
@@ -27,12 +30,33 @@ function FileUpload({ onFileUpload, loading }) {
     if (files.length > 0) handleFileSelection(files[0]);
   };
 
+  // A saved mapping profile for this sheet's headers, if one exists; without
+  // it the standard template columns are expected
+  const findMappingProfile = async (file) => {
+    try {
+      const { headers } = await ExcelProcessor.readSheet(file);
+      const res = await authFetch(getApiUrl('/api/import-mappings/match'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ headers }),
+      });
+      if (!res.ok) return null;
+      const match = await res.json();
+      return match?.profile || null;
+    } catch {
+      return null;
+    }
+  };
+
   const handleValidateFile = async (file) => {
     try {
       setValidationLoading(true);
-      const result = await ExcelProcessor.parseExcelFileWithValidation(file);
+      const profile = await findMappingProfile(file);
+      if (profile) showInfo(`Reading columns with the "${profile.name}" mapping profile`);
+      const result = await ExcelProcessor.parseExcelFileWithValidation(file, profile);
       setValidationData(result);
       currentFileRef.current = file;
+      mappingProfileRef.current = profile;
     } catch (error) {
       showError(`Error reading file: ${error.message}`);
     } finally {
@@ -55,7 +79,7 @@ function FileUpload({ onFileUpload, loading }) {
 
   const handleProceedWithImport = () => {
     if (validationData?.validRows && validationData.validRows.length > 0) {
-      onFileUpload(currentFileRef.current);
+      onFileUpload(currentFileRef.current, mappingProfileRef.current);
       setValidationData(null);
     }
   };
@@ -63,6 +87,7 @@ function FileUpload({ onFileUpload, loading }) {
   const handleCancelValidation = () => {
     setValidationData(null);
     currentFileRef.current = null;
+    mappingProfileRef.current = null;
   };
 
   const handleUploadClick = () => fileInputRef.current?.click();
@@ -142,6 +167,7 @@ function FileUpload({ onFileUpload, loading }) {
                 <strong>Expected columns:</strong> SUPPLIER, ORDER/REF, FINAL POD, LATEST STATUS, WEEK NUMBER, PRODUCT NAME,
                 QUANTITY, PALLET QTY, RECEIVING WAREHOUSE, FORWARDING AGENT
               </p>
+              <p>Other layouts are read with a saved column-mapping profile when their headers match one.</p>
             </div>
           </div>
         )}
@@ -0,0 +1,391 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import { SCHEDULE_STATUSES } from '../utils/importMapping';
+import {
+  REFERENCE_FIELDS,
+  RULE_FIELDS,
+  MATCH_TYPES,
+  SEARCH_IN,
+  validateRule,
+} from '../utils/forwarderEmailRules';
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '8px', borderRadius: '6px', border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text-900)' };
+
+const fieldLabel = (field) => RULE_FIELDS.find(f => f.field === field)?.label || field;
+const optionLabel = (options, value) => options.find(o => o.value === value)?.label || value;
+const isReference = (field) => REFERENCE_FIELDS.some(f => f.field === field);
+
+const emptyDraft = () => ({
+  id: null,
+  forwarder: '',
+  senders: '',
+  field: 'latestStatus',
+  matchType: 'keyword',
+  pattern: '',
+  value: '',
+  searchIn: 'both',
+  active: true,
+  sortOrder: 0,
+});
+
+const toDraft = (rule) => ({
+  id: rule.id,
+  forwarder: rule.forwarder,
+  senders: (rule.sender_patterns || []).join(', '),
+  field: rule.field,
+  matchType: rule.match_type,
+  pattern: rule.pattern,
+  value: rule.value || '',
+  searchIn: rule.search_in,
+  active: rule.active,
+  sortOrder: rule.sort_order || 0,
+});
+
+/**
+ * Add or change one rule. Keyword rules set a fixed value; regex rules take
+ * their first capture group unless a value is given.
+ */
+function RuleEditor({ rule, onClose, onSaved }) {
+  const { showError, showSuccess } = useNotification();
+  const [draft, setDraft] = useState(rule ? toDraft(rule) : emptyDraft());
+  const [saving, setSaving] = useState(false);
+
+  const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    const errors = validateRule({
+      forwarder: draft.forwarder,
+      field: draft.field,
+      match_type: draft.matchType,
+      pattern: draft.pattern,
+      value: draft.value,
+    });
+    if (errors.length) { showError(errors[0]); return; }
+
+    setSaving(true);
+    try {
+      const body = {
+        forwarder: draft.forwarder.trim(),
+        senderPatterns: draft.senders.split(/[,;\s]+/).filter(Boolean),
+        field: draft.field,
+        matchType: draft.matchType,
+        pattern: draft.pattern,
+        value: draft.value || null,
+        searchIn: draft.searchIn,
+        active: draft.active,
+        sortOrder: Number(draft.sortOrder) || 0,
+      };
+      const res = await authFetch(getApiUrl(draft.id ? `/api/email-import/rules/${draft.id}` : '/api/email-import/rules'), {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save rule');
+      showSuccess(`Rule for ${data.forwarder} saved`);
+      onSaved(data);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ padding: '1.25rem', marginBottom: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h3 style={{ margin: 0, color: 'var(--text-900)' }}>{draft.id ? `Edit ${rule.forwarder} Rule` : 'New Forwarder Rule'}</h3>
+        <button className="btn btn-ghost" onClick={onClose} disabled={saving}>Close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', marginBottom: '1rem' }}>
+        <div>
+          <label style={labelStyle}>Forwarder *</label>
+          <input style={inputStyle} value={draft.forwarder} onChange={e => set('forwarder', e.target.value)} placeholder="e.g. Bidvest Panalpina" />
+        </div>
+        <div>
+          <label style={labelStyle}>Sender Addresses</label>
+          <input style={inputStyle} value={draft.senders} onChange={e => set('senders', e.target.value)} placeholder="@forwarder.co.za (blank for all)" />
+        </div>
+        <div>
+          <label style={labelStyle}>Reads</label>
+          <select
+            style={inputStyle}
+            value={draft.field}
+            onChange={e => setDraft(prev => ({
+              ...prev,
+              field: e.target.value,
+              value: '',
+              matchType: isReference(e.target.value) ? 'regex' : prev.matchType,
+            }))}
+          >
+            {RULE_FIELDS.map(f => <option key={f.field} value={f.field}>{f.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Match With</label>
+          <select style={inputStyle} value={draft.matchType} onChange={e => set('matchType', e.target.value)}>
+            {MATCH_TYPES
+              .filter(t => !isReference(draft.field) || t.value === 'regex')
+              .map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Look In</label>
+          <select style={inputStyle} value={draft.searchIn} onChange={e => set('searchIn', e.target.value)}>
+            {SEARCH_IN.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Order</label>
+          <input type="number" style={inputStyle} value={draft.sortOrder} onChange={e => set('sortOrder', e.target.value)} />
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '12px', marginBottom: '1rem' }}>
+        <div>
+          <label style={labelStyle}>{draft.matchType === 'keyword' ? 'Keywords *' : 'Pattern *'}</label>
+          <input
+            style={{ ...inputStyle, fontFamily: draft.matchType === 'regex' ? 'monospace' : undefined }}
+            value={draft.pattern}
+            onChange={e => set('pattern', e.target.value)}
+            placeholder={draft.matchType === 'keyword' ? 'gated in, gate in' : 'Ref:\\s*(\\S+)'}
+          />
+          <div style={{ fontSize: '0.75rem', color: 'var(--text-500)', marginTop: '4px' }}>
+            {draft.matchType === 'keyword'
+              ? 'Any of the comma-separated words, ignoring case.'
+              : 'Case-insensitive. The first capture group is the value read.'}
+          </div>
+        </div>
+        <div>
+          <label style={labelStyle}>{draft.matchType === 'keyword' ? 'Sets *' : 'Sets (optional)'}</label>
+          {draft.field === 'latestStatus' ? (
+            <select style={inputStyle} value={draft.value} onChange={e => set('value', e.target.value)}>
+              <option value="">{draft.matchType === 'keyword' ? 'Select...' : 'What the pattern captures'}</option>
+              {SCHEDULE_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+          ) : (
+            <input style={inputStyle} value={draft.value} onChange={e => set('value', e.target.value)} disabled={isReference(draft.field)} />
+          )}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'space-between', alignItems: 'center' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.85rem', color: 'var(--text-700)' }}>
+          <input type="checkbox" checked={draft.active} onChange={e => set('active', e.target.checked)} />
+          Active
+        </label>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Rule'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Paste a forwarder email to see what the active rules read from it and
+ * which shipment it would update
+ */
+function RuleTester() {
+  const { showError } = useNotification();
+  const [email, setEmail] = useState({ from: '', subject: '', body: '' });
+  const [result, setResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  const set = (key, value) => setEmail(prev => ({ ...prev, [key]: value }));
+
+  const handleTest = async () => {
+    setTesting(true);
+    try {
+      const res = await authFetch(getApiUrl('/api/email-import/rules/test'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(email),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to test rules');
+      setResult(data);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const updates = result ? Object.entries(result.updates) : [];
+
+  return (
+    <div className="card" style={{ padding: '1.25rem', marginBottom: '1rem' }}>
+      <h3 style={{ margin: '0 0 1rem', color: 'var(--text-900)' }}>Test an Email</h3>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '12px', marginBottom: '12px' }}>
+        <div>
+          <label style={labelStyle}>From</label>
+          <input style={inputStyle} value={email.from} onChange={e => set('from', e.target.value)} placeholder="tracking@forwarder.co.za" />
+        </div>
+        <div>
+          <label style={labelStyle}>Subject</label>
+          <input style={inputStyle} value={email.subject} onChange={e => set('subject', e.target.value)} />
+        </div>
+      </div>
+      <label style={labelStyle}>Body</label>
+      <textarea style={{ ...inputStyle, minHeight: '120px', fontFamily: 'inherit' }} value={email.body} onChange={e => set('body', e.target.value)} />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '12px' }}>
+        <button className="btn btn-secondary" onClick={handleTest} disabled={testing || (!email.subject && !email.body)}>
+          {testing ? 'Reading...' : 'Read Email'}
+        </button>
+      </div>
+
+      {result && (
+        <div style={{ marginTop: '1rem', fontSize: '0.85rem' }}>
+          <div style={{ marginBottom: '0.5rem', color: result.shipment ? 'var(--text-900)' : 'var(--warning)' }}>
+            {result.shipment
+              ? <>Matches shipment <strong>{result.shipment.orderRef}</strong> by {fieldLabel(result.shipment.matchedBy).toLowerCase()}.</>
+              : Object.keys(result.references).length
+                ? 'No shipment has these references.'
+                : 'No order ref, container or BOL number found.'}
+          </div>
+          {result.matched.length > 0 && (
+            <table className="table" style={{ fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Value Read</th>
+                  <th>Rule</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.matched.map(m => (
+                  <tr key={m.field}>
+                    <td>{fieldLabel(m.field)}</td>
+                    <td style={{ fontWeight: 600 }}>{m.value}</td>
+                    <td style={{ color: 'var(--text-500)' }}>{m.ruleId ? m.forwarder : 'Built-in'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <div style={{ color: 'var(--text-500)' }}>
+            {updates.length
+              ? `Would propose: ${updates.map(([field, value]) => `${field} = ${value}`).join(', ')}`
+              : 'No status, vessel or ETA update to propose.'}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Rules that read status, vessel and ETA updates from forwarder emails
+ * without a schedule attached
+ */
+function ForwarderEmailRules() {
+  const { showError, showSuccess } = useNotification();
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // 'new' or a rule
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const res = await authFetch(getApiUrl('/api/email-import/rules'));
+      if (!res.ok) throw new Error('Failed to load forwarder rules');
+      setRules(await res.json());
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => { fetchRules(); }, [fetchRules]);
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete this ${fieldLabel(rule.field).toLowerCase()} rule for ${rule.forwarder}?`)) return;
+    try {
+      const res = await authFetch(getApiUrl(`/api/email-import/rules/${rule.id}`), { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete rule');
+      }
+      showSuccess(`Rule for ${rule.forwarder} deleted`);
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', marginBottom: '1rem' }}>
+        <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.85rem' }}>
+          Emails without a schedule attached are read with these rules, then common forwarder wording. Updates that match a shipment wait here for review.
+        </p>
+        {!editing && <button className="btn btn-primary" onClick={() => setEditing('new')}>New Rule</button>}
+      </div>
+
+      {editing && (
+        <RuleEditor
+          key={editing === 'new' ? 'new' : editing.id}
+          rule={editing === 'new' ? null : editing}
+          onClose={() => setEditing(null)}
+          onSaved={() => { setEditing(null); fetchRules(); }}
+        />
+      )}
+
+      {loading && <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>}
+      {!loading && rules.length === 0 && (
+        <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)', marginBottom: '1rem' }}>
+          No forwarder rules yet. Container, BOL, vessel and ETA wording common to most forwarders is still read.
+        </div>
+      )}
+
+      {!loading && rules.length > 0 && (
+        <div className="card" style={{ padding: 0, overflowX: 'auto', marginBottom: '1rem' }}>
+          <table className="table" style={{ fontSize: '0.85rem' }}>
+            <thead>
+              <tr>
+                <th>Forwarder</th>
+                <th>Senders</th>
+                <th>Reads</th>
+                <th>Match</th>
+                <th>Sets</th>
+                <th>Look In</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map(rule => (
+                <tr key={rule.id} style={{ opacity: rule.active ? 1 : 0.55 }}>
+                  <td style={{ fontWeight: 600 }}>
+                    {rule.forwarder}
+                    {!rule.active && <span style={{ marginLeft: '6px', fontSize: '0.75rem', color: 'var(--text-500)' }}>(off)</span>}
+                  </td>
+                  <td>{(rule.sender_patterns || []).join(', ') || 'Any'}</td>
+                  <td>{fieldLabel(rule.field)}</td>
+                  <td>
+                    <span style={{ color: 'var(--text-500)' }}>{optionLabel(MATCH_TYPES, rule.match_type)}:</span>{' '}
+                    <code>{rule.pattern}</code>
+                  </td>
+                  <td>{rule.value || (rule.match_type === 'regex' ? 'Captured' : '-')}</td>
+                  <td>{optionLabel(SEARCH_IN, rule.search_in)}</td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setEditing(rule)}>Edit</button>
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px', color: 'var(--danger)' }} onClick={() => handleDelete(rule)}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <RuleTester />
+    </div>
+  );
+}
+
+export default ForwarderEmailRules;
@@ -0,0 +1,788 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import { authUtils } from '../utils/auth';
+import {
+  TENDER_MODES,
+  INCOTERMS,
+  tenderStatusLabel,
+  canMoveTo,
+  acceptsResponses,
+  validateTender,
+  hasResponded,
+  responseTotal,
+  formatAmount,
+} from '../utils/freightTenders';
+import { QUOTE_CONTAINER_TYPES } from '../utils/freightQuotes';
+import { PRE_ARRIVAL_STATUSES } from '../types/shipment';
+import QuoteComparisonReport from './QuoteComparisonReport';
+
+const STATUS_COLORS = {
+  draft: 'var(--text-500)',
+  open: 'var(--info)',
+  closed: 'var(--warning)',
+  awarded: 'var(--success)',
+  cancelled: 'var(--text-500)',
+};
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '8px', borderRadius: '6px', border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text-900)' };
+
+const overlayStyle = {
+  position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)',
+  display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
+};
+const modalStyle = (maxWidth) => ({
+  backgroundColor: 'var(--surface)', padding: '1.5rem', borderRadius: '12px',
+  boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth,
+  maxHeight: '85vh', overflow: 'auto', border: '1px solid var(--border)'
+});
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-ZA', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+const cargoSummary = (t) => [
+  t.container_type,
+  t.cbm != null ? `${t.cbm} CBM` : null,
+  t.weight_kg != null ? `${Number(t.weight_kg).toLocaleString()} kg` : null,
+].filter(Boolean).join(' · ') || '-';
+
+const EMPTY_FORM = {
+  shipmentId: '', origin: '', destination: '', mode: 'sea', containerType: '', cargoDescription: '',
+  cbm: '', weightKg: '', incoterm: '', requiredDate: '', responseDue: '', notes: '',
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span style={{
+      padding: '2px 8px', borderRadius: '10px', fontSize: '0.75rem', fontWeight: 600,
+      color: STATUS_COLORS[status], border: `1px solid ${STATUS_COLORS[status]}`,
+    }}>
+      {tenderStatusLabel(status)}
+    </span>
+  );
+}
+
+/**
+ * Draft an RFQ, optionally for a shipment that has not arrived yet; picking
+ * the shipment fills the destination, cargo, volume and incoterm from it
+ */
+function TenderFormModal({ shipments, onClose, onCreated }) {
+  const { showSuccess, showError } = useNotification();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  const tenderable = shipments
+    .filter(s => PRE_ARRIVAL_STATUSES.includes(s.latestStatus))
+    .sort((a, b) => String(a.orderRef).localeCompare(String(b.orderRef)));
+
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleShipment = (e) => {
+    const shipment = tenderable.find(s => String(s.id) === e.target.value);
+    if (!shipment) {
+      setForm({ ...form, shipmentId: '' });
+      return;
+    }
+    setForm({
+      ...form,
+      shipmentId: shipment.id,
+      destination: form.destination || shipment.finalPod || '',
+      cargoDescription: form.cargoDescription || shipment.productName || '',
+      cbm: form.cbm || (shipment.cbm ?? ''),
+      incoterm: form.incoterm || (INCOTERMS.includes(shipment.incoterm) ? shipment.incoterm : ''),
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = validateTender({
+      origin: form.origin,
+      destination: form.destination,
+      mode: form.mode,
+      incoterm: form.incoterm || null,
+      cbm: form.cbm === '' ? null : form.cbm,
+      weight_kg: form.weightKg === '' ? null : form.weightKg,
+      required_date: form.requiredDate || null,
+      response_due: form.responseDue || null,
+    });
+    if (errors.length) {
+      showError(errors[0]);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await authFetch(getApiUrl('/api/freight-tenders'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...form,
+          shipmentId: form.shipmentId || null,
+          cbm: form.cbm === '' ? null : Number(form.cbm),
+          weightKg: form.weightKg === '' ? null : Number(form.weightKg),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to create tender');
+      showSuccess(`Tender ${data.tender_number} drafted`);
+      onCreated(data);
+      onClose();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (label, input) => (
+    <div style={{ flex: 1 }}>
+      <label style={labelStyle}>{label}</label>
+      {input}
+    </div>
+  );
+
+  return (
+    <div onClick={onClose} style={overlayStyle}>
+      <form onClick={e => e.stopPropagation()} onSubmit={handleSubmit} style={modalStyle('600px')}>
+        <h3 style={{ margin: '0 0 1rem', color: 'var(--text-900)' }}>New RFQ</h3>
+
+        <div style={{ marginBottom: '0.75rem' }}>
+          {field('Shipment', (
+            <select value={form.shipmentId} onChange={handleShipment} style={inputStyle}>
+              <option value="">Not linked to a shipment</option>
+              {tenderable.map(s => (
+                <option key={s.id} value={s.id}>{s.orderRef} &mdash; {s.supplier || '-'}</option>
+              ))}
+            </select>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+          {field('Origin *', <input type="text" value={form.origin} onChange={set('origin')} placeholder="Port or airport" style={inputStyle} />)}
+          {field('Destination *', <input type="text" value={form.destination} onChange={set('destination')} placeholder="Port or airport" style={inputStyle} />)}
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+          {field('Mode *', (
+            <select value={form.mode} onChange={set('mode')} style={inputStyle}>
+              {TENDER_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+            </select>
+          ))}
+          {field('Container', (
+            <select value={form.containerType} onChange={set('containerType')} style={inputStyle}>
+              <option value="">-</option>
+              {QUOTE_CONTAINER_TYPES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+            </select>
+          ))}
+          {field('Incoterm', (
+            <select value={form.incoterm} onChange={set('incoterm')} style={inputStyle}>
+              <option value="">-</option>
+              {INCOTERMS.map(term => <option key={term} value={term}>{term}</option>)}
+            </select>
+          ))}
+        </div>
+
+        <div style={{ marginBottom: '0.75rem' }}>
+          {field('Cargo', <input type="text" value={form.cargoDescription} onChange={set('cargoDescription')} placeholder="Commodity, packing, temperature" style={inputStyle} />)}
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+          {field('CBM', <input type="number" min="0" step="0.01" value={form.cbm} onChange={set('cbm')} style={inputStyle} />)}
+          {field('Weight (kg)', <input type="number" min="0" step="0.01" value={form.weightKg} onChange={set('weightKg')} style={inputStyle} />)}
+          {field('Required by', <input type="date" value={form.requiredDate} onChange={set('requiredDate')} style={inputStyle} />)}
+          {field('Responses due', <input type="date" value={form.responseDue} onChange={set('responseDue')} style={inputStyle} />)}
+        </div>
+
+        <textarea
+          value={form.notes}
+          onChange={set('notes')}
+          rows={2}
+          placeholder="Notes for the forwarders"
+          style={{ ...inputStyle, resize: 'vertical' }}
+        />
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.25rem' }}>
+          <button type="button" className="btn btn-ghost" onClick={onClose}>Cancel</button>
+          <button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : 'Create RFQ'}</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * A tender's RFQ, its invitations and the forwarders' responses side by
+ * side, with the actions open to it: invite, close, reopen, cancel, award
+ */
+function TenderDetailModal({ tenderId, onClose, onChanged }) {
+  const { showSuccess, showError, showWarning, confirm } = useNotification();
+  const [tender, setTender] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [forwarders, setForwarders] = useState([]);
+  const [picking, setPicking] = useState(null); // forwarder ids being invited, null when the picker is shut
+  const [links, setLinks] = useState({}); // invitation id -> link, for emails that did not go out
+  const [showReport, setShowReport] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const isAdmin = authUtils.getUser()?.role === 'admin';
+
+  const fetchTender = useCallback(async () => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/freight-tenders/${tenderId}`));
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to load tender');
+      setTender(data);
+
+      if (data.invitations.some(hasResponded)) {
+        const compareRes = await authFetch(getApiUrl(`/api/freight-tenders/${tenderId}/compare`));
+        if (compareRes.ok) setComparison(await compareRes.json());
+      } else {
+        setComparison(null);
+      }
+    } catch (err) {
+      showError(err.message);
+    }
+  }, [tenderId, showError]);
+
+  useEffect(() => { fetchTender(); }, [fetchTender]);
+
+  const send = async (method, path, body, fallbackError) => {
+    setSaving(true);
+    try {
+      const res = await authFetch(getApiUrl(`/api/freight-tenders/${tenderId}${path}`), {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || fallbackError);
+      return data;
+    } catch (err) {
+      showError(err.message);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const refresh = async () => {
+    await fetchTender();
+    onChanged();
+  };
+
+  const keepLinks = (sent) => {
+    const unsent = sent.filter(s => !s.emailSent);
+    if (unsent.length) {
+      setLinks(prev => ({ ...prev, ...Object.fromEntries(unsent.map(s => [s.invitation.id, s.link])) }));
+      showWarning(`Email could not be sent to ${unsent.map(s => s.invitation.forwarder_name).join(', ')}. Copy the link to send it yourself.`);
+    }
+  };
+
+  const openPicker = async () => {
+    try {
+      const res = await authFetch(getApiUrl('/api/quotes/forwarders?active=true'));
+      if (!res.ok) throw new Error('Failed to load forwarders');
+      setForwarders(await res.json());
+      setPicking([]);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const handleInvite = async () => {
+    if (!picking.length) return;
+    const data = await send('POST', '/invitations', { forwarderIds: picking }, 'Failed to invite forwarders');
+    if (!data) return;
+    if (data.sent.length) showSuccess(`${data.sent.length} forwarder${data.sent.length === 1 ? '' : 's'} invited`);
+    if (data.skipped.length) showWarning(data.skipped.map(s => s.reason).join('; '));
+    keepLinks(data.sent);
+    setPicking(null);
+    await refresh();
+  };
+
+  const handleResend = async (invitation) => {
+    const data = await send('POST', `/invitations/${invitation.id}/resend`, {}, 'Failed to resend invitation');
+    if (!data) return;
+    if (data.emailSent) showSuccess(`New link sent to ${invitation.email}`);
+    keepLinks([data]);
+    await refresh();
+  };
+
+  const handleWithdraw = async (invitation) => {
+    const ok = await confirm({
+      title: 'Withdraw Invitation',
+      message: `Withdraw the invitation to ${invitation.forwarder_name}? Their link will stop working.`,
+      confirmText: 'Withdraw',
+      type: 'danger',
+    });
+    if (!ok) return;
+    const data = await send('DELETE', `/invitations/${invitation.id}`, null, 'Failed to withdraw invitation');
+    if (!data) return;
+    showSuccess(data.message);
+    await refresh();
+  };
+
+  const handleStatus = async (status, message) => {
+    const data = await send('PUT', '/status', { status }, 'Failed to update tender');
+    if (!data) return;
+    showSuccess(message(data));
+    await refresh();
+  };
+
+  const handleAward = async (invitation) => {
+    const total = formatAmount(invitation.currency, responseTotal(invitation));
+    const ok = await confirm({
+      title: 'Award Tender',
+      message: `Award ${tender.tender_number} to ${invitation.forwarder_name} at ${total}? `
+        + (tender.shipment_id
+          ? `Their rates go to the cost estimate for ${tender.order_ref} and they become its forwarding agent.`
+          : 'Their rates go to a new cost estimate.'),
+      confirmText: 'Award',
+    });
+    if (!ok) return;
+    const data = await send('POST', '/award', { invitationId: invitation.id }, 'Failed to award tender');
+    if (!data) return;
+    showSuccess(`${data.tender.tender_number} awarded to ${invitation.forwarder_name}; cost estimate `
+      + `${data.estimate.reference_number || data.estimate.id} ${data.estimateCreated ? 'created' : 'updated'}`);
+    await refresh();
+  };
+
+  const copyLink = async (link) => {
+    try {
+      await navigator.clipboard.writeText(link);
+      showSuccess('Link copied');
+    } catch {
+      showError('Could not copy the link');
+    }
+  };
+
+  const row = (label, value) => (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', fontSize: '0.85rem', padding: '3px 0' }}>
+      <span style={{ color: 'var(--text-500)' }}>{label}</span>
+      <span style={{ color: 'var(--text-900)', textAlign: 'right' }}>{value}</span>
+    </div>
+  );
+
+  const renderComparison = () => {
+    const responses = comparison.responses;
+    const lines = [
+      ['Freight', r => formatAmount(r.currency, r.freight_amount)],
+      ['Origin charges', r => formatAmount(r.currency, r.origin_charges || 0)],
+      ['Total', r => <strong>{formatAmount(r.currency, responseTotal(r))}</strong>],
+      ['Transit', r => (r.transit_days ? `${r.transit_days} days` : '-')],
+      ['Carrier', r => r.carrier || '-'],
+      ['Valid until', r => formatDate(r.valid_until)],
+      ['Responded', r => formatDate(r.responded_at)],
+      ['Notes', r => <span style={{ whiteSpace: 'pre-wrap' }}>{r.response_notes || '-'}</span>],
+    ];
+    const highlight = (r) => {
+      if (tender.awarded_invitation_id === r.id) return 'rgba(34, 197, 94, 0.12)';
+      if (comparison.lowestId === r.id) return 'rgba(59, 130, 246, 0.08)';
+      return undefined;
+    };
+
+    return (
+      <div style={{ overflowX: 'auto' }}>
+        <table className="table" style={{ fontSize: '0.8rem' }}>
+          <thead>
+            <tr>
+              <th />
+              {responses.map(r => (
+                <th key={r.id} style={{ background: highlight(r) }}>
+                  {r.forwarder_name}
+                  {tender.awarded_invitation_id === r.id && <span style={{ display: 'block', color: 'var(--success)', fontSize: '0.7rem' }}>Awarded</span>}
+                  {tender.awarded_invitation_id !== r.id && comparison.lowestId === r.id && (
+                    <span style={{ display: 'block', color: 'var(--info)', fontSize: '0.7rem' }}>Lowest</span>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map(([label, value]) => (
+              <tr key={label}>
+                <td style={{ color: 'var(--text-500)', whiteSpace: 'nowrap' }}>{label}</td>
+                {responses.map(r => <td key={r.id} style={{ background: highlight(r) }}>{value(r)}</td>)}
+              </tr>
+            ))}
+            {isAdmin && canMoveTo(tender.status, 'awarded') && (
+              <tr>
+                <td />
+                {responses.map(r => (
+                  <td key={r.id} style={{ background: highlight(r) }}>
+                    <button className="btn btn-primary" style={{ fontSize: '0.75rem', padding: '4px 8px' }} onClick={() => handleAward(r)} disabled={saving}>
+                      Award
+                    </button>
+                  </td>
+                ))}
+              </tr>
+            )}
+          </tbody>
+        </table>
+        {comparison.lowestId === null && responses.length > 1 && (
+          <p style={{ margin: '0.5rem 0 0', fontSize: '0.75rem', color: 'var(--text-500)' }}>
+            Responses are in different currencies, so none is marked lowest.
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const invitedIds = new Set((tender?.invitations || []).map(i => i.forwarder_id));
+  const canInvite = isAdmin && tender && (tender.status === 'draft' || tender.status === 'open');
+
+  return (
+    <div onClick={onClose} style={overlayStyle}>
+      <div onClick={e => e.stopPropagation()} style={modalStyle('900px')}>
+        {!tender ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.25rem' }}>
+              <h3 style={{ margin: 0, color: 'var(--text-900)' }}>{tender.tender_number}</h3>
+              <StatusBadge status={tender.status} />
+            </div>
+            <p style={{ margin: '0 0 1rem', color: 'var(--text-500)', fontSize: '0.85rem' }}>
+              {tender.origin} &rarr; {tender.destination} &mdash; {TENDER_MODES.find(m => m.value === tender.mode)?.label}
+              {tender.order_ref && <> &mdash; {tender.order_ref}</>}
+            </p>
+
+            {row('Cargo', tender.cargo_description || '-')}
+            {row('Volume / weight', cargoSummary(tender))}
+            {row('Incoterm', tender.incoterm || '-')}
+            {row('Required by', formatDate(tender.required_date))}
+            {row('Responses due', formatDate(tender.response_due))}
+            {row('Created', `${formatDate(tender.created_at)} by ${tender.created_by || '-'}`)}
+            {tender.awarded_at && row('Awarded', `${formatDate(tender.awarded_at)} by ${tender.awarded_by || '-'}`)}
+            {tender.notes && (
+              <p style={{ margin: '0.75rem 0', fontSize: '0.85rem', color: 'var(--text-700)', whiteSpace: 'pre-wrap' }}>{tender.notes}</p>
+            )}
+            {tender.status === 'open' && !acceptsResponses(tender) && (
+              <p style={{ margin: '0.5rem 0', fontSize: '0.8rem', color: 'var(--warning)' }}>
+                The response due date has passed; forwarders can no longer respond.
+              </p>
+            )}
+
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '1.25rem 0 0.5rem' }}>
+              <h4 style={{ margin: 0, color: 'var(--text-900)', fontSize: '0.9rem' }}>Forwarders Invited</h4>
+              {canInvite && picking === null && (
+                <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={openPicker}>+ Invite Forwarders</button>
+              )}
+            </div>
+
+            {picking !== null && (
+              <div style={{ margin: '0 0 0.75rem', padding: '0.75rem', borderRadius: '8px', background: 'var(--surface-2)' }}>
+                {forwarders.filter(f => !invitedIds.has(f.id)).length === 0 ? (
+                  <div style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>Every active forwarder has been invited</div>
+                ) : (
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '0.35rem' }}>
+                    {forwarders.filter(f => !invitedIds.has(f.id)).map(f => (
+                      <label
+                        key={f.id}
+                        title={f.contact_email ? f.contact_email : 'No contact email on file'}
+                        style={{ display: 'flex', gap: '0.4rem', alignItems: 'center', fontSize: '0.85rem', color: f.contact_email ? 'var(--text-900)' : 'var(--text-500)' }}
+                      >
+                        <input
+                          type="checkbox"
+                          disabled={!f.contact_email}
+                          checked={picking.includes(f.id)}
+                          onChange={e => setPicking(e.target.checked ? [...picking, f.id] : picking.filter(id => id !== f.id))}
+                        />
+                        {f.name}
+                        {!f.contact_email && <span style={{ fontSize: '0.7rem' }}>(no email)</span>}
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '0.5rem' }}>
+                  <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={() => setPicking(null)}>Cancel</button>
+                  <button className="btn btn-primary" style={{ fontSize: '0.8rem' }} onClick={handleInvite} disabled={saving || !picking.length}>
+                    Send Invitations
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {tender.invitations.length === 0 ? (
+              <div style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>No forwarders invited yet</div>
+            ) : (
+              <div style={{ overflowX: 'auto' }}>
+                <table className="table" style={{ fontSize: '0.8rem' }}>
+                  <thead>
+                    <tr>
+                      <th>Forwarder</th>
+                      <th>Email</th>
+                      <th>Invited</th>
+                      <th>Opened</th>
+                      <th>Responded</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tender.invitations.map(inv => (
+                      <tr key={inv.id}>
+                        <td style={{ fontWeight: 600 }}>{inv.forwarder_name}</td>
+                        <td>
+                          {inv.email}
+                          {!inv.email_sent && <span style={{ display: 'block', fontSize: '0.7rem', color: 'var(--warning)' }}>Email not sent</span>}
+                          {links[inv.id] && (
+                            <button className="btn btn-ghost" style={{ fontSize: '0.7rem', padding: '2px 6px' }} onClick={() => copyLink(links[inv.id])}>
+                              Copy link
+                            </button>
+                          )}
+                        </td>
+                        <td>{formatDate(inv.invited_at)}</td>
+                        <td>{formatDate(inv.viewed_at)}</td>
+                        <td>{formatDate(inv.responded_at)}</td>
+                        <td style={{ whiteSpace: 'nowrap' }}>
+                          {isAdmin && tender.status === 'open' && (
+                            <button className="btn btn-ghost" style={{ fontSize: '0.75rem', padding: '2px 6px' }} onClick={() => handleResend(inv)} disabled={saving}>
+                              Resend
+                            </button>
+                          )}
+                          {canInvite && !hasResponded(inv) && (
+                            <button className="btn btn-ghost" style={{ fontSize: '0.75rem', padding: '2px 6px', color: 'var(--danger)' }} onClick={() => handleWithdraw(inv)} disabled={saving}>
+                              Withdraw
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {comparison && (
+              <>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: '1.25rem 0 0.5rem' }}>
+                  <h4 style={{ margin: 0, color: 'var(--text-900)', fontSize: '0.9rem' }}>Responses</h4>
+                  {comparison.report && (
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={() => setShowReport(true)}>
+                      📊 Comparison Report
+                    </button>
+                  )}
+                </div>
+                {renderComparison()}
+              </>
+            )}
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.25rem' }}>
+              {isAdmin && canMoveTo(tender.status, 'cancelled') && (
+                <button
+                  className="btn btn-ghost"
+                  style={{ color: 'var(--danger)' }}
+                  onClick={() => handleStatus('cancelled', data => `Tender ${data.tender_number} cancelled`)}
+                  disabled={saving}
+                >
+                  Cancel Tender
+                </button>
+              )}
+              {isAdmin && tender.status === 'open' && (
+                <button className="btn btn-ghost" onClick={() => handleStatus('closed', data => `Tender ${data.tender_number} closed to responses`)} disabled={saving}>
+                  Close to Responses
+                </button>
+              )}
+              {isAdmin && tender.status === 'closed' && (
+                <button className="btn btn-ghost" onClick={() => handleStatus('open', data => `Tender ${data.tender_number} reopened`)} disabled={saving}>
+                  Reopen
+                </button>
+              )}
+              <button className="btn btn-ghost" onClick={onClose}>Done</button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {showReport && comparison?.report && (
+        <div onClick={e => e.stopPropagation()}>
+          <QuoteComparisonReport
+            report={comparison.report}
+            title={`📊 ${tender.tender_number} Responses`}
+            onClose={() => setShowReport(false)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function FreightTenders({ shipments = [] }) {
+  const { showError } = useNotification();
+  const [activeTab, setActiveTab] = useState('active');
+  const [tenders, setTenders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selectedTenderId, setSelectedTenderId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const fetchTenders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await authFetch(getApiUrl('/api/freight-tenders'));
+      if (!res.ok) throw new Error('Failed to load tenders');
+      setTenders(await res.json());
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => { fetchTenders(); }, [fetchTenders]);
+
+  const active = tenders.filter(t => ['draft', 'open', 'closed'].includes(t.status));
+  const awarded = tenders.filter(t => t.status === 'awarded');
+  const cancelled = tenders.filter(t => t.status === 'cancelled');
+  const awaitingAward = tenders.filter(t => canMoveTo(t.status, 'awarded') && t.response_count > 0);
+
+  const tabs = [
+    { id: 'active', label: 'In Progress', count: active.length },
+    { id: 'awarded', label: 'Awarded', count: awarded.length },
+    { id: 'cancelled', label: 'Cancelled', count: cancelled.length },
+  ];
+
+  const summaryCards = [
+    { label: 'Out to Tender', value: tenders.filter(t => t.status === 'open').length, color: 'var(--info)', icon: '\u{1F4E8}' },
+    { label: 'Drafts', value: tenders.filter(t => t.status === 'draft').length, color: 'var(--text-500)', icon: '\u{1F4DD}' },
+    { label: 'Ready to Award', value: awaitingAward.length, color: awaitingAward.length > 0 ? 'var(--warning)' : 'var(--text-500)', icon: '\u2696\uFE0F' },
+    { label: 'Awarded', value: awarded.length, color: 'var(--success)', icon: '\u2705' },
+  ];
+
+  const filter = (list) => {
+    if (!searchTerm) return list;
+    const q = searchTerm.toLowerCase();
+    return list.filter(t =>
+      (t.tender_number || '').toLowerCase().includes(q) ||
+      (t.order_ref || '').toLowerCase().includes(q) ||
+      (t.origin || '').toLowerCase().includes(q) ||
+      (t.destination || '').toLowerCase().includes(q) ||
+      (t.cargo_description || '').toLowerCase().includes(q)
+    );
+  };
+
+  const renderTenders = (list) => {
+    const filtered = filter(list);
+    if (loading) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>;
+    if (filtered.length === 0) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>No tenders</div>;
+
+    return (
+      <div style={{ overflowX: 'auto' }}>
+        <table className="table" style={{ fontSize: '0.85rem' }}>
+          <thead>
+            <tr>
+              <th>Tender</th>
+              <th>Order Ref</th>
+              <th>Lane</th>
+              <th>Mode</th>
+              <th>Cargo</th>
+              <th>Required By</th>
+              <th>Responses Due</th>
+              <th>Responses</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map(t => (
+              <tr key={t.id} onClick={() => setSelectedTenderId(t.id)} style={{ cursor: 'pointer' }}>
+                <td style={{ fontWeight: 600 }}>{t.tender_number}</td>
+                <td>{t.order_ref || '-'}</td>
+                <td>{t.origin} &rarr; {t.destination}</td>
+                <td>{TENDER_MODES.find(m => m.value === t.mode)?.label || t.mode}</td>
+                <td>{cargoSummary(t)}</td>
+                <td>{formatDate(t.required_date)}</td>
+                <td>{formatDate(t.response_due)}</td>
+                <td>{t.response_count || 0} / {t.invitation_count || 0}</td>
+                <td><StatusBadge status={t.status} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <div className="brand-strip" />
+      <div className="page-header" style={{ marginBottom: '1.5rem', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+        <div>
+          <h2 style={{ margin: '0 0 0.5rem 0', color: 'var(--text-900)' }}>
+            Freight Tenders
+          </h2>
+          <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.9rem' }}>
+            Send RFQs for big shipments to several forwarders, compare their rates side by side and award the best to the cost estimate
+          </p>
+        </div>
+        <button className="btn btn-primary" onClick={() => setShowForm(true)}>+ New RFQ</button>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="stats-grid" style={{ marginBottom: '1.5rem' }}>
+        {summaryCards.map(card => (
+          <div key={card.label} className="stat-card" style={{ borderLeft: `3px solid ${card.color}` }}>
+            <h3 style={{ margin: '0 0 2px', fontSize: '20px', fontWeight: 700, color: 'var(--navy-900)' }}>
+              {card.icon} {card.value}
+            </h3>
+            <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '11px' }}>{card.label}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Search + Tabs */}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '0.5rem' }}>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              style={{
+                padding: '8px 16px',
+                borderRadius: '8px',
+                border: 'none',
+                background: activeTab === tab.id ? 'var(--accent)' : 'var(--surface-2)',
+                color: activeTab === tab.id ? '#fff' : 'var(--text-700)',
+                fontWeight: 600,
+                fontSize: '0.85rem',
+                cursor: 'pointer',
+                transition: 'all 0.15s',
+              }}
+            >
+              {tab.label} {tab.count > 0 && <span style={{ opacity: 0.8 }}>({tab.count})</span>}
+            </button>
+          ))}
+        </div>
+
+        <input
+          type="text"
+          placeholder="Search tenders..."
+          value={searchTerm}
+          onChange={e => setSearchTerm(e.target.value)}
+          className="input"
+          style={{ width: '240px', fontSize: '0.85rem' }}
+        />
+      </div>
+
+      {/* Tab Content */}
+      <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+        {activeTab === 'active' && renderTenders(active)}
+        {activeTab === 'awarded' && renderTenders(awarded)}
+        {activeTab === 'cancelled' && renderTenders(cancelled)}
+      </div>
+
+      {selectedTenderId && (
+        <TenderDetailModal tenderId={selectedTenderId} onClose={() => setSelectedTenderId(null)} onChanged={fetchTenders} />
+      )}
+
+      {showForm && (
+        <TenderFormModal
+          shipments={shipments}
+          onClose={() => setShowForm(false)}
+          onCreated={(tender) => { fetchTenders(); setSelectedTenderId(tender.id); }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default FreightTenders;
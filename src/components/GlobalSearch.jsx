@@ -2,6 +2,7 @@ import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { authFetch } from '../utils/authFetch';
 import { getApiUrl } from '../config/api';
+import { isPalletLabelCode } from '../utils/palletLabels';
 
 function GlobalSearch({ shipments }) {
   const navigate = useNavigate();
@@ -115,11 +116,28 @@ function GlobalSearch({ shipments }) {
     } else if (e.key === 'ArrowUp') {
       e.preventDefault();
       setSelectedIndex(prev => Math.max(prev - 1, 0));
+    } else if (e.key === 'Enter' && isPalletLabelCode(query)) {
+      // Scanners type the label code and press Enter
+      openScannedLabel(query.trim());
     } else if (e.key === 'Enter' && finalResults[selectedIndex]) {
       handleSelect(finalResults[selectedIndex]);
     }
   };
 
+  const openScannedLabel = async (code) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/pallet-labels/scan/${encodeURIComponent(code)}`));
+      if (!res.ok) return;
+      const { shipment } = await res.json();
+      setOpen(false);
+      setQuery('');
+      const targetPath = shipment.latest_status === 'stored' ? '/stored' : '/shipping';
+      navigate(`${targetPath}?search=${encodeURIComponent(shipment.order_ref)}&shipment=${encodeURIComponent(shipment.id)}`);
+    } catch (err) {
+      // Leave the code in the box to search on
+    }
+  };
+
   const handleSelect = (shipment) => {
     setOpen(false);
     setQuery('');
@@ -4,6 +4,11 @@ import { authUtils } from '../utils/auth';
 import { getApiUrl } from '../config/api';
 import { useNotification } from '../contexts/NotificationContext';
 import { STATUS_LABELS } from '../types/shipment';
+import { generatePalletLabelsPDF } from '../utils/palletLabelPdf';
+import { RECEIPT_CONDITIONS, RECEIPT_REASON_CODES, reasonLabel, receivingBalance, shipmentBalance } from '../utils/receipts';
+import PalletLabelsModal from './PalletLabelsModal';
+import LabelTemplatesModal from './LabelTemplatesModal';
+import OpenClaimModal from './OpenClaimModal';
 import jsPDF from 'jspdf';
 
 function GoodsReceiving() {
@@ -12,25 +17,48 @@ function GoodsReceiving() {
   const [receivingQueue, setReceivingQueue] = useState([]);
   const [activeReceiving, setActiveReceiving] = useState([]);
   const [recentHistory, setRecentHistory] = useState([]);
+  const [backorders, setBackorders] = useState([]);
+  const [writingOff, setWritingOff] = useState(null); // { id, notes }
+  const [claimBackorder, setClaimBackorder] = useState(null);
   const [summary, setSummary] = useState({ pendingReceiving: 0, activeReceiving: 0, receivedToday: 0, discrepanciesToday: 0 });
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedShipment, setSelectedShipment] = useState(null);
   const [showReceivingForm, setShowReceivingForm] = useState(false);
-  const [formMode, setFormMode] = useState('start'); // 'start' or 'complete'
+  const [formMode, setFormMode] = useState('start'); // 'start', 'complete' or 'receipt' (one delivery)
   const [actionLoading, setActionLoading] = useState(false);
 
   const currentUser = authUtils.getUser();
+  const isAdmin = currentUser?.role === 'admin';
+  const [labelsShipment, setLabelsShipment] = useState(null);
+  const [showLabelTemplates, setShowLabelTemplates] = useState(false);
 
   const [truckInfoMap, setTruckInfoMap] = useState({});
 
   const [formData, setFormData] = useState({
     receivedQuantity: '',
     binLocation: '',
+    putawayLocationId: '',
     discrepancies: '',
     receivingNotes: '',
     receivedBy: currentUser?.username || '',
+    pallets: '',
+    condition: 'good',
+    reasonCodes: [],
   });
+  // Bins with free space at the shipment's warehouse; null when it has no bins laid out
+  const [putawayBins, setPutawayBins] = useState(null);
+
+  const fetchPutawayBins = useCallback(async (shipment) => {
+    setPutawayBins(null);
+    if (!shipment.receiving_warehouse) return;
+    try {
+      const res = await authFetch(getApiUrl(`/api/storage-locations?warehouse=${encodeURIComponent(shipment.receiving_warehouse)}`));
+      if (!res.ok) return;
+      const locations = await res.json();
+      if (locations.length > 0) setPutawayBins(locations.filter(location => location.freePallets > 0));
+    } catch { /* fall back to typing the bin */ }
+  }, []);
 
   const fetchTruckInfo = useCallback(async (shipments) => {
     const truckMap = {};
@@ -50,11 +78,12 @@ function GoodsReceiving() {
   const fetchAll = useCallback(async () => {
     try {
       setLoading(true);
-      const [queueRes, activeRes, recentRes, summaryRes] = await Promise.all([
+      const [queueRes, activeRes, recentRes, summaryRes, backordersRes] = await Promise.all([
         authFetch(getApiUrl('/api/shipments/receiving/queue')),
         authFetch(getApiUrl('/api/shipments/receiving/active')),
         authFetch(getApiUrl('/api/shipments/receiving/recent?days=7')),
         authFetch(getApiUrl('/api/shipments/receiving/summary')),
+        authFetch(getApiUrl('/api/backorders?status=open')),
       ]);
 
       const allShipments = [];
@@ -62,6 +91,7 @@ function GoodsReceiving() {
       if (activeRes.ok) { const data = await activeRes.json(); setActiveReceiving(data); allShipments.push(...data); }
       if (recentRes.ok) { const data = await recentRes.json(); setRecentHistory(data); allShipments.push(...data); }
       if (summaryRes.ok) setSummary(await summaryRes.json());
+      if (backordersRes.ok) setBackorders(await backordersRes.json());
 
       // Fetch truck info for all shipments
       if (allShipments.length > 0) fetchTruckInfo(allShipments);
@@ -80,10 +110,15 @@ function GoodsReceiving() {
     setFormData({
       receivedQuantity: shipment.quantity || '',
       binLocation: shipment.bin_location || '',
+      putawayLocationId: '',
       discrepancies: shipment.discrepancies || '',
       receivingNotes: '',
       receivedBy: currentUser?.username || '',
+      pallets: '',
+      condition: 'good',
+      reasonCodes: [],
     });
+    fetchPutawayBins(shipment);
     setShowReceivingForm(true);
   };
 
@@ -93,18 +128,107 @@ function GoodsReceiving() {
     setFormData({
       receivedQuantity: shipment.received_quantity || shipment.quantity || '',
       binLocation: shipment.bin_location || '',
+      putawayLocationId: '',
       discrepancies: shipment.discrepancies || '',
       receivingNotes: shipment.receiving_notes || '',
       receivedBy: shipment.received_by || currentUser?.username || '',
+      pallets: '',
+      condition: 'good',
+      reasonCodes: [],
+    });
+    fetchPutawayBins(shipment);
+    setShowReceivingForm(true);
+  };
+
+  // One delivery of a split shipment, or the balance of a backorder
+  const openRecordDelivery = (shipment) => {
+    setSelectedShipment(shipment);
+    setFormMode('receipt');
+    setFormData({
+      receivedQuantity: shipmentBalance(shipment).outstanding || '',
+      binLocation: '',
+      putawayLocationId: '',
+      discrepancies: '',
+      receivingNotes: '',
+      receivedBy: currentUser?.username || '',
+      pallets: '',
+      condition: 'good',
+      reasonCodes: [],
     });
+    setPutawayBins(null);
     setShowReceivingForm(true);
   };
 
+  const receiveBackorder = (backorder) => openRecordDelivery({
+    id: backorder.shipment_id,
+    order_ref: backorder.order_ref,
+    supplier: backorder.supplier,
+    product_name: backorder.product_name,
+    quantity: backorder.ordered_quantity,
+    received_quantity: backorder.received_quantity,
+  });
+
+  const toggleReasonCode = (code) => {
+    const codes = formData.reasonCodes.includes(code)
+      ? formData.reasonCodes.filter(c => c !== code)
+      : [...formData.reasonCodes, code];
+    setFormData({ ...formData, reasonCodes: codes });
+  };
+
+  const handleWriteOff = async () => {
+    if (!writingOff.notes.trim()) {
+      showError('A note is required to write off a backorder');
+      return;
+    }
+    try {
+      const res = await authFetch(getApiUrl(`/api/backorders/${writingOff.id}/write-off`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ notes: writingOff.notes.trim() }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to write off backorder');
+      showSuccess(`Backorder for ${data.order_ref || 'shipment'} written off`);
+      setWritingOff(null);
+      fetchAll();
+    } catch (err) {
+      showError(err.message || 'Failed to write off backorder');
+    }
+  };
+
   const handleSubmitReceiving = async () => {
     if (!selectedShipment) return;
     setActionLoading(true);
 
+    const receiptDetails = {
+      pallets: formData.pallets === '' ? undefined : parseInt(formData.pallets, 10) || 0,
+      condition: formData.condition,
+      reasonCodes: formData.reasonCodes,
+    };
+
     try {
+      if (formMode === 'receipt') {
+        const res = await authFetch(getApiUrl(`/api/shipments/${selectedShipment.id}/receipts`), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            quantity: parseInt(formData.receivedQuantity, 10) || 0,
+            receivedBy: formData.receivedBy,
+            notes: formData.discrepancies,
+            ...receiptDetails,
+          }),
+        });
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to record delivery');
+        }
+        showSuccess('Delivery recorded');
+        setShowReceivingForm(false);
+        setSelectedShipment(null);
+        fetchAll();
+        return;
+      }
+
       if (formMode === 'start') {
         // Start receiving
         const res = await authFetch(getApiUrl(`/api/shipments/${selectedShipment.id}/start-receiving`), {
@@ -122,11 +246,16 @@ function GoodsReceiving() {
             receivedQuantity: parseInt(formData.receivedQuantity, 10) || 0,
             receivedBy: formData.receivedBy,
             binLocation: formData.binLocation,
+            putawayLocationId: formData.putawayLocationId || null,
             discrepancies: formData.discrepancies,
             receivingNotes: formData.receivingNotes,
+            ...receiptDetails,
           }),
         });
-        if (!completeRes.ok) throw new Error('Failed to complete receiving');
+        if (!completeRes.ok) {
+          const data = await completeRes.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to complete receiving');
+        }
         showSuccess('Shipment received successfully');
       } else {
         // Complete receiving
@@ -137,13 +266,19 @@ function GoodsReceiving() {
             receivedQuantity: parseInt(formData.receivedQuantity, 10) || 0,
             receivedBy: formData.receivedBy,
             binLocation: formData.binLocation,
+            putawayLocationId: formData.putawayLocationId || null,
             discrepancies: formData.discrepancies,
             receivingNotes: formData.receivingNotes,
+            ...receiptDetails,
           }),
         });
-        if (!res.ok) throw new Error('Failed to complete receiving');
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to complete receiving');
+        }
         showSuccess('Receiving completed');
       }
+      await printLabels(selectedShipment);
 
       setShowReceivingForm(false);
       setSelectedShipment(null);
@@ -155,6 +290,22 @@ function GoodsReceiving() {
     }
   };
 
+  // Labels for every pallet of a shipment that has just been received
+  const printLabels = async (shipment) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/pallet-labels/shipment/${shipment.id}/print`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({}),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to print pallet labels');
+      generatePalletLabelsPDF(data);
+    } catch (err) {
+      showError(`${err.message}. Reprint them from Recent History.`);
+    }
+  };
+
   const handleGenerateGRN = async (shipment) => {
     try {
       const res = await authFetch(getApiUrl(`/api/shipments/${shipment.id}/generate-grn`), { method: 'POST' });
@@ -269,6 +420,7 @@ function GoodsReceiving() {
     { id: 'queue', label: 'Receiving Queue', count: receivingQueue.length },
     { id: 'active', label: 'Active', count: activeReceiving.length },
     { id: 'history', label: 'Recent History', count: recentHistory.length },
+    { id: 'backorders', label: 'Backorders', count: backorders.length },
   ];
 
   const summaryCards = [
@@ -276,8 +428,96 @@ function GoodsReceiving() {
     { label: 'Active Receiving', value: summary.activeReceiving, color: 'var(--info)', icon: '\u{1F504}' },
     { label: 'Received Today', value: summary.receivedToday, color: 'var(--success)', icon: '\u2705' },
     { label: 'Discrepancies', value: summary.discrepanciesToday, color: summary.discrepanciesToday > 0 ? 'var(--danger)' : 'var(--text-500)', icon: '\u26A0\uFE0F' },
+    { label: 'Open Backorders', value: backorders.length, color: backorders.length > 0 ? 'var(--warning)' : 'var(--text-500)', icon: '\u{1F4CB}' },
   ];
 
+  // Received against ordered once anything is received, with what is still outstanding
+  const renderQuantity = (s) => {
+    if (s.received_quantity === null || s.received_quantity === undefined) return s.quantity || '-';
+    const balance = shipmentBalance(s);
+    return (
+      <span>
+        {balance.received} / {balance.ordered || '-'}
+        {balance.outstanding > 0 && (
+          <span style={{ display: 'block', fontSize: '0.75rem', fontWeight: 600, color: 'var(--warning)' }}>
+            {balance.outstanding} outstanding
+          </span>
+        )}
+      </span>
+    );
+  };
+
+  const renderBackorders = () => {
+    const filtered = filterShipments(backorders);
+    if (loading) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>;
+    if (filtered.length === 0) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>No open backorders</div>;
+
+    return (
+      <div style={{ overflowX: 'auto' }}>
+        <table className="table" style={{ fontSize: '0.85rem' }}>
+          <thead>
+            <tr>
+              <th>Order Ref</th>
+              <th>Supplier</th>
+              <th>Product</th>
+              <th>Ordered</th>
+              <th>Received</th>
+              <th>Outstanding</th>
+              <th>Reasons</th>
+              <th>Open For</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map(b => {
+              const days = Math.floor((Date.now() - new Date(b.created_at).getTime()) / 86400000);
+              return (
+                <tr key={b.id}>
+                  <td style={{ fontWeight: 600 }}>{b.order_ref || '-'}</td>
+                  <td>{b.supplier || '-'}</td>
+                  <td>{b.product_name || '-'}</td>
+                  <td>{Number(b.ordered_quantity)}</td>
+                  <td>{Number(b.received_quantity)}</td>
+                  <td style={{ fontWeight: 700, color: 'var(--warning)' }}>{Number(b.outstanding_quantity)}</td>
+                  <td style={{ fontSize: '0.78rem' }}>{(b.reason_codes || []).map(reasonLabel).join(', ') || '-'}</td>
+                  <td style={{ color: days > 14 ? 'var(--danger)' : 'var(--text-500)' }}>{days} day{days === 1 ? '' : 's'}</td>
+                  <td>
+                    {writingOff?.id === b.id ? (
+                      <div style={{ display: 'flex', gap: '4px' }}>
+                        <input
+                          type="text"
+                          className="input"
+                          placeholder="Why is it written off?"
+                          value={writingOff.notes}
+                          onChange={e => setWritingOff({ ...writingOff, notes: e.target.value })}
+                          style={{ fontSize: '0.8rem', width: '180px' }}
+                        />
+                        <button className="btn btn-primary" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={handleWriteOff}>Write Off</button>
+                        <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setWritingOff(null)}>Cancel</button>
+                      </div>
+                    ) : (
+                      <div style={{ display: 'flex', gap: '4px' }}>
+                        <button className="btn btn-primary" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => receiveBackorder(b)}>
+                          Receive Balance
+                        </button>
+                        <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setWritingOff({ id: b.id, notes: '' })}>
+                          Write Off
+                        </button>
+                        <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setClaimBackorder(b)}>
+                          Claim
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
   const renderTable = (shipments, actions) => {
     const filtered = filterShipments(shipments);
     if (loading) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>;
@@ -307,7 +547,7 @@ function GoodsReceiving() {
                 <td style={{ fontWeight: 600 }}>{s.order_ref || '-'}</td>
                 <td>{s.supplier || '-'}</td>
                 <td>{s.product_name || '-'}</td>
-                <td>{s.received_quantity || s.quantity || '-'}</td>
+                <td>{renderQuantity(s)}</td>
                 <td>{Math.round(s.pallet_qty) || 1}</td>
                 <td>{s.receiving_warehouse || '-'}</td>
                 <td style={{ fontSize: '0.78rem', color: 'var(--text-500)' }}>
@@ -339,8 +579,13 @@ function GoodsReceiving() {
           Goods Receiving
         </h2>
         <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.9rem' }}>
-          Receive incoming shipments, confirm quantities, and generate goods received notes
+          Receive incoming shipments, confirm quantities, and generate goods received notes and pallet labels
         </p>
+        {isAdmin && (
+          <button className="btn btn-ghost" style={{ fontSize: '0.8rem', marginTop: '0.5rem' }} onClick={() => setShowLabelTemplates(true)}>
+            Label Templates
+          </button>
+        )}
       </div>
 
       {/* Summary Cards */}
@@ -398,9 +643,14 @@ function GoodsReceiving() {
         ))}
 
         {activeTab === 'active' && renderTable(activeReceiving, (s) => (
-          <button className="btn btn-primary" style={{ fontSize: '0.8rem', padding: '6px 12px' }} onClick={() => openCompleteReceiving(s)}>
-            Complete
-          </button>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '6px 12px' }} onClick={() => openRecordDelivery(s)}>
+              Record Delivery
+            </button>
+            <button className="btn btn-primary" style={{ fontSize: '0.8rem', padding: '6px 12px' }} onClick={() => openCompleteReceiving(s)}>
+              Complete
+            </button>
+          </div>
         ))}
 
         {activeTab === 'history' && renderTable(recentHistory, (s) => (
@@ -415,8 +665,13 @@ function GoodsReceiving() {
                 Download GRN
               </button>
             )}
+            <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setLabelsShipment(s)}>
+              Labels
+            </button>
           </div>
         ))}
+
+        {activeTab === 'backorders' && renderBackorders()}
       </div>
 
       {/* Receiving Form Modal */}
@@ -432,37 +687,123 @@ function GoodsReceiving() {
             maxHeight: '80vh', overflow: 'auto', border: '1px solid var(--border)'
           }}>
             <h3 style={{ margin: '0 0 1rem', color: 'var(--text-900)' }}>
-              {formMode === 'start' ? 'Receive Shipment' : 'Complete Receiving'}
+              {formMode === 'start' ? 'Receive Shipment' : formMode === 'receipt' ? 'Record Delivery' : 'Complete Receiving'}
             </h3>
             <p style={{ margin: '0 0 1rem', color: 'var(--text-500)', fontSize: '0.85rem' }}>
               {selectedShipment.order_ref} &mdash; {selectedShipment.supplier} &mdash; {selectedShipment.product_name}
             </p>
 
+            {(() => {
+              const earlier = shipmentBalance(selectedShipment);
+              const entered = parseInt(formData.receivedQuantity, 10) || 0;
+              const after = receivingBalance(earlier.ordered, formMode === 'receipt' ? earlier.received + entered : entered);
+              return (
+                <div style={{ margin: '0 0 1rem', padding: '0.6rem 0.75rem', borderRadius: '8px', background: 'var(--surface-2)', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+                  {selectedShipment.received_quantity !== null && selectedShipment.received_quantity !== undefined && (
+                    <div>Already received {earlier.received} of {earlier.ordered || 'N/A'}</div>
+                  )}
+                  {earlier.ordered > 0 && (
+                    <div style={{ fontWeight: 600, color: after.outstanding > 0 ? 'var(--warning)' : 'var(--success)' }}>
+                      {after.outstanding > 0
+                        ? `${after.outstanding} still outstanding after this${formMode === 'receipt' ? ' delivery' : ', opened as a backorder against the supplier'}`
+                        : after.over > 0 ? `${after.over} over the ordered quantity` : 'Nothing outstanding'}
+                    </div>
+                  )}
+                </div>
+              );
+            })()}
+
             <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+              <div style={{ display: 'flex', gap: '0.75rem' }}>
+                <div style={{ flex: 2 }}>
+                  <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>
+                    {formMode === 'receipt' ? 'Quantity in This Delivery' : 'Total Received Quantity'}
+                  </label>
+                  <input
+                    type="number"
+                    value={formData.receivedQuantity}
+                    onChange={e => setFormData({ ...formData, receivedQuantity: e.target.value })}
+                    className="input"
+                    style={{ width: '100%', boxSizing: 'border-box' }}
+                    placeholder={`Expected: ${selectedShipment.quantity || 'N/A'}`}
+                  />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Pallets</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={formData.pallets}
+                    onChange={e => setFormData({ ...formData, pallets: e.target.value })}
+                    className="input"
+                    style={{ width: '100%', boxSizing: 'border-box' }}
+                    placeholder={formMode === 'receipt' ? '' : String(Math.round(selectedShipment.pallet_qty) || 1)}
+                  />
+                </div>
+              </div>
+
               <div>
-                <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Received Quantity</label>
-                <input
-                  type="number"
-                  value={formData.receivedQuantity}
-                  onChange={e => setFormData({ ...formData, receivedQuantity: e.target.value })}
+                <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Condition</label>
+                <select
+                  value={formData.condition}
+                  onChange={e => setFormData({ ...formData, condition: e.target.value })}
                   className="input"
                   style={{ width: '100%', boxSizing: 'border-box' }}
-                  placeholder={`Expected: ${selectedShipment.quantity || 'N/A'}`}
-                />
+                >
+                  {RECEIPT_CONDITIONS.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                </select>
               </div>
 
               <div>
-                <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Bin Location</label>
-                <input
-                  type="text"
-                  value={formData.binLocation}
-                  onChange={e => setFormData({ ...formData, binLocation: e.target.value })}
-                  className="input"
-                  style={{ width: '100%', boxSizing: 'border-box' }}
-                  placeholder="e.g. A-12-3"
-                />
+                <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Reason Codes</label>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px' }}>
+                  {RECEIPT_REASON_CODES.map(r => (
+                    <label key={r.value} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+                      <input type="checkbox" checked={formData.reasonCodes.includes(r.value)} onChange={() => toggleReasonCode(r.value)} />
+                      {r.label}
+                    </label>
+                  ))}
+                </div>
               </div>
 
+              {formMode !== 'receipt' && (
+                <div>
+                  {putawayBins ? (
+                    <>
+                      <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Put Away To</label>
+                      <select
+                        value={formData.putawayLocationId}
+                        onChange={e => setFormData({ ...formData, putawayLocationId: e.target.value })}
+                        className="input"
+                        style={{ width: '100%', boxSizing: 'border-box' }}
+                      >
+                        <option value="">First free bins</option>
+                        {putawayBins.map(location => (
+                          <option key={location.id} value={location.id}>
+                            From {location.code} ({location.freePallets} pallet{location.freePallets === 1 ? '' : 's'} free)
+                          </option>
+                        ))}
+                      </select>
+                      <div style={{ fontSize: '0.75rem', color: 'var(--text-500)', marginTop: '4px' }}>
+                        {selectedShipment.pallet_qty ? `${Math.round(selectedShipment.pallet_qty) || 1} pallet(s)` : 'Pallets'} fill bins in order, moving on when one is full
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Bin Location</label>
+                      <input
+                        type="text"
+                        value={formData.binLocation}
+                        onChange={e => setFormData({ ...formData, binLocation: e.target.value })}
+                        className="input"
+                        style={{ width: '100%', boxSizing: 'border-box' }}
+                        placeholder="e.g. A-12-3"
+                      />
+                    </>
+                  )}
+                </div>
+              )}
+
               <div>
                 <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Discrepancies</label>
                 <textarea
@@ -470,20 +811,22 @@ function GoodsReceiving() {
                   onChange={e => setFormData({ ...formData, discrepancies: e.target.value })}
                   className="input"
                   style={{ width: '100%', minHeight: '60px', boxSizing: 'border-box', resize: 'vertical' }}
-                  placeholder="Note any damage, shortages, or discrepancies..."
+                  placeholder={formMode === 'receipt' ? 'Notes on this delivery...' : 'Note any damage, shortages, or discrepancies...'}
                 />
               </div>
 
-              <div>
-                <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Notes</label>
-                <textarea
-                  value={formData.receivingNotes}
-                  onChange={e => setFormData({ ...formData, receivingNotes: e.target.value })}
-                  className="input"
-                  style={{ width: '100%', minHeight: '50px', boxSizing: 'border-box', resize: 'vertical' }}
-                  placeholder="Additional notes..."
-                />
-              </div>
+              {formMode !== 'receipt' && (
+                <div>
+                  <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Notes</label>
+                  <textarea
+                    value={formData.receivingNotes}
+                    onChange={e => setFormData({ ...formData, receivingNotes: e.target.value })}
+                    className="input"
+                    style={{ width: '100%', minHeight: '50px', boxSizing: 'border-box', resize: 'vertical' }}
+                    placeholder="Additional notes..."
+                  />
+                </div>
+              )}
 
               <div>
                 <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Received By</label>
@@ -502,12 +845,32 @@ function GoodsReceiving() {
                 Cancel
               </button>
               <button className="btn btn-primary" onClick={handleSubmitReceiving} disabled={actionLoading}>
-                {actionLoading ? 'Processing...' : formMode === 'start' ? 'Receive & Complete' : 'Complete Receiving'}
+                {actionLoading ? 'Processing...' : formMode === 'start' ? 'Receive & Complete' : formMode === 'receipt' ? 'Record Delivery' : 'Complete Receiving'}
               </button>
             </div>
           </div>
         </div>
       )}
+
+      {labelsShipment && (
+        <PalletLabelsModal shipment={labelsShipment} onClose={() => { setLabelsShipment(null); fetchAll(); }} />
+      )}
+      {showLabelTemplates && <LabelTemplatesModal onClose={() => setShowLabelTemplates(false)} />}
+      {claimBackorder && (
+        <OpenClaimModal
+          shipment={{
+            id: claimBackorder.shipment_id,
+            order_ref: claimBackorder.order_ref,
+            supplier: claimBackorder.supplier,
+            product_name: claimBackorder.product_name,
+            quantity: claimBackorder.ordered_quantity,
+            received_quantity: claimBackorder.received_quantity,
+          }}
+          source="receiving"
+          backorder={claimBackorder}
+          onClose={() => setClaimBackorder(null)}
+        />
+      )}
     </div>
   );
 }
@@ -388,7 +388,7 @@ function IWTIncoming({ shipments, onCreateShipment, onUpdateShipment, onDeleteSh
         <div>
           <label style={{ display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' }}>Release Number</label>
           <input type="text" value={form.releaseNumber} onChange={e => setForm({ ...form, releaseNumber: e.target.value })}
-            className="input" style={{ width: '100%', boxSizing: 'border-box' }} placeholder="e.g. REL-00123" />
+            className="input" style={{ width: '100%', boxSizing: 'border-box' }} placeholder={editingShipment ? 'e.g. REL-PTA-2026-0012' : 'Leave blank to issue the next number'} />
         </div>
       </div>
 
@@ -1,6 +1,8 @@
 import React, { useMemo, useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import useFormDraft from '../hooks/useFormDraft';
+import useRateTables from '../hooks/useRateTables';
+import useTariffCatalogue from '../hooks/useTariffCatalogue';
 import { getApiUrl } from '../config/api';
 import { authFetch } from '../utils/authFetch';
 import { authUtils } from '../utils/auth';
@@ -9,9 +11,13 @@ import {
   formatCurrency,
   formatNumber,
   lookupOceanFreightRate,
-  AFRICAN_PORTS,
-  PORTS_OF_LOADING,
+  getRoeForCurrency,
+  getRateTablesAsOf,
+  getCatalogueDutyRates,
+  getProductDutyRates,
+  getDefaultHsCode,
 } from '../utils/costingCalculations';
+import { formatHsCode } from '../utils/tariffCatalogue';
 import { generateEstimatePDF, generateEstimatePDFBase64 } from '../utils/costingPdf';
 import { useNotification } from '../contexts/NotificationContext';
 import CostingReportsPanel from './CostingReportsPanel';
@@ -46,6 +52,7 @@ const INITIAL_FORM_STATE = {
   payment_terms: '',
   roe_origin: '',  // USD/ZAR
   roe_eur: '',     // EUR/ZAR
+  roe_rates: {},   // Other currencies → ZAR, e.g. { GBP: 23.4 }
   // Ocean Freight
   ocean_freight_usd: 0,
   ocean_freight_eur: 0,
@@ -374,6 +381,8 @@ function ReferenceChangeView({ estimates, onClose }) {
 function ImportCosting() {
   const [searchParams] = useSearchParams();
   const { showSuccess, showError, confirm: confirmAction } = useNotification();
+  const { version: rateTablesVersion } = useRateTables();
+  const { version: tariffVersion } = useTariffCatalogue();
   const currentUser = authUtils.getUser();
   const isAdmin = currentUser?.role === 'admin';
   const [estimates, setEstimates] = useState([]);
@@ -387,6 +396,7 @@ function ImportCosting() {
   );
   const [calculatedTotals, setCalculatedTotals] = useState({});
   const [exchangeRate, setExchangeRate] = useState(null);
+  const [marketRates, setMarketRates] = useState([]);
   const [_rateLoading, setRateLoading] = useState(false);
   const [suppliers, setSuppliers] = useState([]);
   const [error, setError] = useState(null);
@@ -415,8 +425,9 @@ function ImportCosting() {
     ? searchParams.get('mode')
     : 'all';
 
-  const importPortOptions = normalizePortOptions([...PORTS_OF_LOADING, ...customImportPorts]);
-  const importDischargePortOptions = normalizePortOptions([...AFRICAN_PORTS, ...customImportPorts]);
+  const rateTables = getRateTablesAsOf(formData.costing_date);
+  const importPortOptions = normalizePortOptions([...rateTables.portsOfLoading, ...customImportPorts]);
+  const importDischargePortOptions = normalizePortOptions([...rateTables.portsOfDischarge, ...customImportPorts]);
 
   const addCustomImportPort = (portName, field) => {
     const newPort = createCustomPortOption(portName);
@@ -453,7 +464,7 @@ function ImportCosting() {
   useEffect(() => {
     const totals = calculateAllTotals(formData);
     setCalculatedTotals(totals);
-  }, [formData]);
+  }, [formData, rateTablesVersion, tariffVersion]);
 
   useEffect(() => {
     if (!showForm || !exchangeRate?.rate || parseFloat(formData.roe_origin) > 0) return;
@@ -555,12 +566,15 @@ function ImportCosting() {
   const fetchExchangeRate = async () => {
     try {
       setRateLoading(true);
-      const response = await authFetch(getApiUrl('/api/costing/exchange-rate/current'));
+      const response = await authFetch(getApiUrl('/api/costing/exchange-rate/rates'));
       if (response.ok) {
         const result = await response.json();
-        setExchangeRate(result.data);
-        if (result.data?.rate && !formData.roe_origin) {
-          setFormData(prev => ({ ...prev, roe_origin: result.data.rate }));
+        const rates = result.data || [];
+        const usdRate = rates.find(r => r.pair === 'USD/ZAR');
+        setMarketRates(rates);
+        setExchangeRate(usdRate || null);
+        if (usdRate?.rate && !formData.roe_origin) {
+          setFormData(prev => ({ ...prev, roe_origin: usdRate.rate }));
         }
       }
     } catch (err) {
@@ -623,7 +637,8 @@ function ImportCosting() {
           const rate = lookupOceanFreightRate(
             updated.port_of_loading,
             updated.shipping_line,
-            updated.container_type
+            updated.container_type,
+            updated.costing_date
           );
           if (rate !== null) {
             updated.ocean_freight_usd = rate;
@@ -635,7 +650,8 @@ function ImportCosting() {
         const rate = lookupOceanFreightRate(
           field === 'port_of_loading' ? value : updated.port_of_loading,
           field === 'shipping_line' ? value : updated.shipping_line,
-          field === 'container_type' ? value : updated.container_type
+          field === 'container_type' ? value : updated.container_type,
+          updated.costing_date
         );
         if (rate !== null) {
           updated.ocean_freight_usd = rate;
@@ -682,14 +698,23 @@ function ImportCosting() {
   };
 
   // Product helpers
+  // Default HS code for a product line: the product's own default, else the supplier's
+  const getDefaultProductHsCode = (data, productName) => {
+    const supplier = suppliers.find(s => s.name === data.supplier_name);
+    return formatHsCode(getDefaultHsCode(productName, supplier));
+  };
+
   const addProduct = () => {
-    setFormData(prev => ({
-      ...prev,
-      products: [
-        ...prev.products,
-        { _id: Date.now() + Math.random(), name: '', hs_code: '', pack_size: '', pack_type: '', weight_kg: 0, rate_per_kg: 0, duty_percent: 0, duty_schedule1_percent: 0, currency: 'USD', invoice_value: 0 }
-      ]
-    }));
+    setFormData(prev => {
+      const hsCode = getDefaultProductHsCode(prev, '');
+      return {
+        ...prev,
+        products: [
+          ...prev.products,
+          { _id: Date.now() + Math.random(), name: '', hs_code: hsCode, hs_code_defaulted: Boolean(hsCode), pack_size: '', pack_type: '', weight_kg: 0, rate_per_kg: 0, duty_percent: 0, duty_schedule1_percent: 0, currency: 'USD', invoice_value: 0 }
+        ]
+      };
+    });
   };
 
   const removeProduct = (index) => {
@@ -709,6 +734,35 @@ function ImportCosting() {
 
         const updatedItem = { ...item, [field]: value };
 
+        // Fill the HS code from the product/supplier defaults until one is typed in
+        if (field === 'name' && (!item.hs_code || item.hs_code_defaulted)) {
+          updatedItem.hs_code = getDefaultProductHsCode(prev, value);
+          updatedItem.hs_code_defaulted = Boolean(updatedItem.hs_code);
+        }
+        if (field === 'hs_code') updatedItem.hs_code_defaulted = false;
+
+        // Editing a duty rate taken from the tariff catalogue overrides it for this line
+        const catalogue = getCatalogueDutyRates(prev, item);
+        const overridesCatalogue = field === 'duty_percent'
+          || (field === 'duty_schedule1_percent' && catalogue?.schedule1Percent !== null);
+        if (catalogue && catalogue.dutyPercent !== null && !item.duty_override && overridesCatalogue) {
+          const rates = getProductDutyRates(prev, item);
+          Object.assign(updatedItem, {
+            duty_percent: rates.dutyPercent,
+            duty_schedule1_percent: rates.schedule1Percent,
+            duty_override: true,
+            [field]: value,
+          });
+        }
+        if (field === 'duty_override' && !value) {
+          const rates = getProductDutyRates(prev, updatedItem);
+          Object.assign(updatedItem, {
+            duty_percent: rates.dutyPercent,
+            duty_schedule1_percent: rates.schedule1Percent,
+            duty_override_reason: '',
+          });
+        }
+
         // Auto-calculate invoice_value when weight or rate_per_kg changes
         if (field === 'weight_kg' || field === 'rate_per_kg') {
           const weight = field === 'weight_kg' ? (parseFloat(value) || 0) : (parseFloat(item.weight_kg) || 0);
@@ -719,9 +773,17 @@ function ImportCosting() {
         return updatedItem;
       });
 
+      // Prefill the ROE for a newly used currency (GBP, CNY, ...) from the market rate
+      let roeRates = prev.roe_rates || {};
+      if (field === 'currency' && !['USD', 'EUR', 'ZAR'].includes(value) && !(parseFloat(roeRates[value]) > 0)) {
+        const market = marketRates.find(r => r.pair === `${value}/ZAR`);
+        if (market?.rate) roeRates = { ...roeRates, [value]: market.rate };
+      }
+
       return {
         ...prev,
         products: newProducts,
+        roe_rates: roeRates,
       };
     });
   };
@@ -733,22 +795,16 @@ function ImportCosting() {
 
   // Calculate product customs values
   const calculateProductCustomsValues = (product) => {
-    const roeCustoms = parseFloat(formData.roe_customs) || parseFloat(formData.roe_origin) || 0;
-    const roeEur = parseFloat(formData.roe_eur) || roeCustoms;
     const invoiceValue = parseFloat(product.invoice_value) || 0;
-    const dutyPercent = parseFloat(product.duty_percent) || 0;
-    const dutySchedule1Percent = parseFloat(product.duty_schedule1_percent) || 0;
+    const { dutyPercent, schedule1Percent, vatRate } = getProductDutyRates(formData, product);
     const currency = product.currency || 'USD';
 
     // Convert to ZAR based on currency
-    let roe = roeCustoms;
-    if (currency === 'EUR') roe = roeEur;
-    if (currency === 'ZAR') roe = 1;
-
+    const roe = getRoeForCurrency(formData, currency);
     const customsValue = invoiceValue * roe;
     const totalDuties = customsValue * (dutyPercent / 100);
-    const schedule1Duty = customsValue * (dutySchedule1Percent / 100);
-    const totalVat = (customsValue + totalDuties + schedule1Duty) * 0.15;
+    const schedule1Duty = customsValue * (schedule1Percent / 100);
+    const totalVat = (customsValue + totalDuties + schedule1Duty) * vatRate;
 
     return { customsValue, totalDuties, schedule1Duty, totalVat, roe };
   };
@@ -872,6 +928,7 @@ function ImportCosting() {
       ...INITIAL_FORM_STATE,
       ...estimate,
       roe_origin: fallbackUsdRate,
+      roe_rates: estimate.roe_rates || {},
     };
   };
 
@@ -1033,7 +1090,10 @@ function ImportCosting() {
         </div>
         <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
           {exchangeRate && (
-            <div style={{ padding: '8px 12px', backgroundColor: '#f0f9ff', borderRadius: '6px', fontSize: '0.85rem' }}>
+            <div
+              style={{ padding: '8px 12px', backgroundColor: '#f0f9ff', borderRadius: '6px', fontSize: '0.85rem' }}
+              title={marketRates.map(r => `${r.pair}: ${formatNumber(r.rate, 4)}${r.isManual ? ' (manual)' : ''}`).join('\n')}
+            >
               <span style={{ color: 'var(--text-500)' }}>Market Rate: </span>
               <strong>{formatNumber(exchangeRate.rate, 4)}</strong>
               <span style={{ color: '#888', marginLeft: '4px', fontSize: '0.75rem' }}>(ref only - use Finex SA)</span>
@@ -0,0 +1,444 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import { ExcelProcessor } from '../utils/excelProcessor';
+import { ShipmentStatus } from '../types/shipment';
+import ImportValidationPreview from './ImportValidationPreview';
+import {
+  MAPPING_FIELDS,
+  DATE_FORMATS,
+  normaliseHeader,
+  suggestColumns,
+  guessStatus,
+} from '../utils/importMapping';
+import { IMPORT_WAREHOUSES } from '../utils/importReview';
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '8px', borderRadius: '6px', border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text-900)' };
+
+const fieldLabel = (field) => MAPPING_FIELDS.find(f => f.field === field)?.label || field;
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-ZA', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+const emptyDraft = () => ({
+  id: null,
+  name: '',
+  supplierId: '',
+  senders: '',
+  dateFormat: 'auto',
+  defaultWarehouse: '',
+  columns: {},
+  translations: [],
+});
+
+// Saved profile -> editable draft (translations flattened to rows)
+const toDraft = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  supplierId: profile.supplier_id || '',
+  senders: (profile.sender_patterns || []).join(', '),
+  dateFormat: profile.date_format || 'auto',
+  defaultWarehouse: profile.default_warehouse || '',
+  columns: { ...profile.columns },
+  translations: Object.entries(profile.value_translations || {}).flatMap(([field, values]) =>
+    Object.entries(values).map(([from, to]) => ({ field, from, to }))
+  ),
+});
+
+/**
+ * Value a translation can map to: a status or warehouse from the list,
+ * anything else as typed
+ */
+function TranslationTarget({ field, value, onChange }) {
+  const options = field === 'latestStatus' ? Object.values(ShipmentStatus)
+    : field === 'receivingWarehouse' ? IMPORT_WAREHOUSES
+    : null;
+  if (!options) return <input style={inputStyle} value={value} onChange={e => onChange(e.target.value)} />;
+  return (
+    <select style={inputStyle} value={value} onChange={e => onChange(e.target.value)}>
+      <option value="">Select...</option>
+      {options.map(option => <option key={option} value={option}>{option}</option>)}
+    </select>
+  );
+}
+
+/**
+ * Build or change a profile from a sample sheet: pick the field for each
+ * column, add value translations and preview the sheet as it would import
+ */
+function ProfileEditor({ profile, suppliers, onClose, onSaved }) {
+  const { showError, showSuccess } = useNotification();
+  const [draft, setDraft] = useState(profile ? toDraft(profile) : emptyDraft());
+  const [sample, setSample] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  // Columns come from the sample sheet, or from the saved mapping until one is loaded
+  const headers = sample ? sample.headers : Object.keys(draft.columns);
+
+  const handleSample = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const sheet = await ExcelProcessor.readSheet(file);
+      if (!sheet.headers.length) throw new Error('The first row of the sheet has no headers');
+      setSample({ ...sheet, fileName: file.name });
+      setDraft(prev => {
+        // Keep columns already mapped; guess the rest from their names
+        const guessed = suggestColumns(sheet.headers);
+        const columns = Object.fromEntries(sheet.headers.map(h => {
+          const key = normaliseHeader(h);
+          return [key, prev.columns[key] ?? guessed[key] ?? ''];
+        }));
+        return { ...prev, columns };
+      });
+    } catch (err) {
+      showError(`Error reading file: ${err.message}`);
+    }
+  };
+
+  const sampleValue = (header) => {
+    const row = sample?.rows.find(r => r[header] !== undefined && String(r[header]).trim() !== '');
+    return row ? String(row[header]) : '';
+  };
+
+  const profileForMapping = () => ({
+    columns: Object.fromEntries(Object.entries(draft.columns).filter(([, field]) => field)),
+    value_translations: draft.translations.reduce((acc, { field, from, to }) => {
+      if (!field || !String(from).trim() || !String(to).trim()) return acc;
+      acc[field] = { ...(acc[field] || {}), [from]: to };
+      return acc;
+    }, {}),
+    date_format: draft.dateFormat,
+    default_warehouse: draft.defaultWarehouse || null,
+    supplier_name: suppliers.find(s => s.id === draft.supplierId)?.name || null,
+  });
+
+  // Status wording in the sample that neither the defaults nor a translation covers
+  const unknownStatuses = useMemo(() => {
+    if (!sample) return [];
+    const statusHeaders = sample.headers.filter(h => draft.columns[normaliseHeader(h)] === 'latestStatus');
+    const translated = draft.translations
+      .filter(t => t.field === 'latestStatus')
+      .map(t => String(t.from).trim().toLowerCase());
+    const values = sample.rows.flatMap(r => statusHeaders.map(h => r[h]))
+      .filter(v => v !== undefined && String(v).trim() !== '')
+      .map(v => String(v).trim());
+    return [...new Set(values)].filter(v => !guessStatus(v) && !translated.includes(v.toLowerCase()));
+  }, [sample, draft.columns, draft.translations]);
+
+  const handlePreview = () => {
+    const mappingProfile = profileForMapping();
+    setPreview(ExcelProcessor.validateMapped(ExcelProcessor.mapRows(sample.rows, mappingProfile), mappingProfile));
+  };
+
+  const handleSave = async () => {
+    if (!draft.name.trim()) { showError('Give the profile a name'); return; }
+    const { columns, value_translations } = profileForMapping();
+    if (!Object.keys(columns).length) { showError('Map at least one column'); return; }
+
+    setSaving(true);
+    try {
+      const body = {
+        name: draft.name.trim(),
+        supplierId: draft.supplierId || null,
+        senderPatterns: draft.senders.split(/[,;\s]+/).filter(Boolean),
+        columns,
+        valueTranslations: value_translations,
+        dateFormat: draft.dateFormat,
+        defaultWarehouse: draft.defaultWarehouse || null,
+        ...(sample ? { headers: sample.headers } : {}),
+      };
+      const res = await authFetch(getApiUrl(draft.id ? `/api/import-mappings/${draft.id}` : '/api/import-mappings'), {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save profile');
+      showSuccess(`Mapping profile "${data.name}" saved`);
+      setPreview(null);
+      onSaved(data);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateTranslation = (index, key, value) =>
+    set('translations', draft.translations.map((t, i) => (i === index ? { ...t, [key]: value } : t)));
+
+  return (
+    <div className="card" style={{ padding: '1.25rem', marginBottom: '1rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+        <h3 style={{ margin: 0, color: 'var(--text-900)' }}>{draft.id ? `Edit ${profile.name}` : 'New Mapping Profile'}</h3>
+        <button className="btn btn-ghost" onClick={onClose} disabled={saving}>Close</button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', marginBottom: '1rem' }}>
+        <div>
+          <label style={labelStyle}>Profile Name *</label>
+          <input style={inputStyle} value={draft.name} onChange={e => set('name', e.target.value)} placeholder="e.g. Acme weekly schedule" />
+        </div>
+        <div>
+          <label style={labelStyle}>Supplier</label>
+          <select style={inputStyle} value={draft.supplierId} onChange={e => set('supplierId', e.target.value)}>
+            <option value="">Any / from the sheet</option>
+            {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Sender Addresses</label>
+          <input style={inputStyle} value={draft.senders} onChange={e => set('senders', e.target.value)} placeholder="ops@acme.co.za, @acme.co.za" />
+        </div>
+        <div>
+          <label style={labelStyle}>Date Format</label>
+          <select style={inputStyle} value={draft.dateFormat} onChange={e => set('dateFormat', e.target.value)}>
+            {DATE_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Default Warehouse</label>
+          <select style={inputStyle} value={draft.defaultWarehouse} onChange={e => set('defaultWarehouse', e.target.value)}>
+            <option value="">None</option>
+            {IMPORT_WAREHOUSES.map(w => <option key={w} value={w}>{w}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '1rem' }}>
+        <label style={labelStyle}>Sample Sheet</label>
+        <input type="file" accept=".xlsx,.xls" onChange={handleSample} />
+        <div style={{ fontSize: '0.75rem', color: 'var(--text-500)', marginTop: '4px' }}>
+          {sample
+            ? `${sample.fileName}: ${sample.rows.length} row(s). Sheets with these headers will use this profile.`
+            : 'Load a sheet in this layout to map its columns and preview the import.'}
+        </div>
+      </div>
+
+      {headers.length > 0 && (
+        <div style={{ overflowX: 'auto', marginBottom: '1rem' }}>
+          <table className="table" style={{ fontSize: '0.85rem' }}>
+            <thead>
+              <tr>
+                <th>Sheet Column</th>
+                {sample && <th>Sample Value</th>}
+                <th>Maps To</th>
+              </tr>
+            </thead>
+            <tbody>
+              {headers.map(header => {
+                const key = normaliseHeader(header);
+                return (
+                  <tr key={key}>
+                    <td style={{ fontWeight: 600 }}>{header}</td>
+                    {sample && <td style={{ color: 'var(--text-500)' }}>{sampleValue(header) || '-'}</td>}
+                    <td>
+                      <select
+                        style={inputStyle}
+                        value={draft.columns[key] || ''}
+                        onChange={e => set('columns', { ...draft.columns, [key]: e.target.value })}
+                      >
+                        <option value="">Ignore</option>
+                        {MAPPING_FIELDS.map(f => <option key={f.field} value={f.field}>{f.label}</option>)}
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ marginBottom: '1rem' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+          <label style={{ ...labelStyle, marginBottom: 0 }}>Value Translations</label>
+          <button
+            className="btn btn-ghost"
+            style={{ fontSize: '0.8rem', padding: '4px 8px' }}
+            onClick={() => set('translations', [...draft.translations, { field: 'latestStatus', from: '', to: '' }])}
+          >
+            + Add Translation
+          </button>
+        </div>
+        {unknownStatuses.length > 0 && (
+          <div style={{ fontSize: '0.8rem', color: 'var(--warning)', marginBottom: '0.5rem' }}>
+            Unrecognised status wording:{' '}
+            {unknownStatuses.map(value => (
+              <button
+                key={value}
+                className="btn btn-ghost"
+                style={{ fontSize: '0.75rem', padding: '2px 6px', marginRight: '4px' }}
+                onClick={() => set('translations', [...draft.translations, { field: 'latestStatus', from: value, to: '' }])}
+              >
+                "{value}" +
+              </button>
+            ))}
+          </div>
+        )}
+        {draft.translations.length === 0 && (
+          <div style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>
+            None. Common status wording such as "in transit" or "delayed" is recognised without one.
+          </div>
+        )}
+        {draft.translations.map((t, index) => (
+          <div key={index} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr auto', gap: '8px', marginBottom: '6px' }}>
+            <select style={inputStyle} value={t.field} onChange={e => updateTranslation(index, 'field', e.target.value)}>
+              {MAPPING_FIELDS.map(f => <option key={f.field} value={f.field}>{f.label}</option>)}
+            </select>
+            <input style={inputStyle} value={t.from} placeholder="Sheet says, e.g. On water" onChange={e => updateTranslation(index, 'from', e.target.value)} />
+            <TranslationTarget field={t.field} value={t.to} onChange={value => updateTranslation(index, 'to', value)} />
+            <button
+              className="btn btn-ghost"
+              style={{ color: 'var(--danger)' }}
+              onClick={() => set('translations', draft.translations.filter((_, i) => i !== index))}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+        <button className="btn btn-secondary" onClick={handlePreview} disabled={!sample || saving}>
+          Preview Import
+        </button>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Profile'}
+        </button>
+      </div>
+
+      {preview && (
+        <ImportValidationPreview
+          errors={preview.errors}
+          preview={preview.preview}
+          validCount={preview.validRows.length}
+          onProceed={handleSave}
+          onCancel={() => setPreview(null)}
+          loading={saving}
+          proceedLabel="Save Profile"
+          loadingLabel="Saving..."
+        />
+      )}
+    </div>
+  );
+}
+
+function ImportMappingProfiles({ suppliers = [] }) {
+  const { showError, showSuccess } = useNotification();
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // 'new' or a profile
+
+  const fetchProfiles = useCallback(async () => {
+    try {
+      const res = await authFetch(getApiUrl('/api/import-mappings'));
+      if (!res.ok) throw new Error('Failed to load mapping profiles');
+      setProfiles(await res.json());
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => { fetchProfiles(); }, [fetchProfiles]);
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete mapping profile "${profile.name}"? Sheets it matched will have their columns guessed again.`)) return;
+    try {
+      const res = await authFetch(getApiUrl(`/api/import-mappings/${profile.id}`), { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to delete profile');
+      }
+      showSuccess(`Mapping profile "${profile.name}" deleted`);
+      setProfiles(prev => prev.filter(p => p.id !== profile.id));
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <div className="brand-strip" />
+      <div className="page-header" style={{ marginBottom: '1.5rem', display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '1rem' }}>
+        <div>
+          <h2 style={{ margin: '0 0 0.5rem 0', color: 'var(--text-900)' }}>
+            Import Mapping Profiles
+          </h2>
+          <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.9rem' }}>
+            How each supplier's spreadsheet reads. Uploaded and emailed sheets use the profile for their sender, or the one saved for the same headers.
+          </p>
+        </div>
+        {!editing && <button className="btn btn-primary" onClick={() => setEditing('new')}>New Profile</button>}
+      </div>
+
+      {editing && (
+        <ProfileEditor
+          key={editing === 'new' ? 'new' : editing.id}
+          profile={editing === 'new' ? null : editing}
+          suppliers={suppliers}
+          onClose={() => setEditing(null)}
+          onSaved={() => { setEditing(null); fetchProfiles(); }}
+        />
+      )}
+
+      {loading && <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>}
+      {!loading && profiles.length === 0 && (
+        <div className="card" style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+          No mapping profiles yet. Sheets are read by guessing columns from their header names.
+        </div>
+      )}
+
+      {!loading && profiles.length > 0 && (
+        <div className="card" style={{ padding: 0, overflowX: 'auto' }}>
+          <table className="table" style={{ fontSize: '0.85rem' }}>
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Supplier</th>
+                <th>Senders</th>
+                <th>Columns</th>
+                <th>Date Format</th>
+                <th>Default Warehouse</th>
+                <th>Last Used</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map(profile => (
+                <tr key={profile.id}>
+                  <td style={{ fontWeight: 600 }}>{profile.name}</td>
+                  <td>{profile.supplier_name || '-'}</td>
+                  <td>{(profile.sender_patterns || []).join(', ') || '-'}</td>
+                  <td title={Object.entries(profile.columns || {}).map(([h, f]) => `${h} → ${fieldLabel(f)}`).join('\n')}>
+                    {Object.keys(profile.columns || {}).length} mapped
+                    {profile.header_fingerprint ? '' : ' (no sample headers)'}
+                  </td>
+                  <td>{DATE_FORMATS.find(f => f.value === profile.date_format)?.label || profile.date_format}</td>
+                  <td>{profile.default_warehouse || '-'}</td>
+                  <td>{formatDate(profile.last_used_at)}</td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setEditing(profile)}>
+                      Edit
+                    </button>
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '4px 8px', color: 'var(--danger)' }} onClick={() => handleDelete(profile)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportMappingProfiles;
@@ -1,6 +1,9 @@
 import React from 'react';
 
-function ImportValidationPreview({ errors, preview, validCount, onProceed, onCancel, loading }) {
+function ImportValidationPreview({
+  errors, preview, validCount, onProceed, onCancel, loading,
+  proceedLabel = 'Proceed with Import', loadingLabel = 'Importing...',
+}) {
   const hasErrors = errors && errors.length > 0;
 
   return (
@@ -206,7 +209,7 @@ function ImportValidationPreview({ errors, preview, validCount, onProceed, onCan
                 onMouseEnter={(e) => !loading && (e.target.style.backgroundColor = '#218838')}
                 onMouseLeave={(e) => !loading && (e.target.style.backgroundColor = '#28a745')}
               >
-                {loading ? 'Importing...' : 'Proceed with Import'}
+                {loading ? loadingLabel : proceedLabel}
               </button>
             </div>
           </div>
@@ -0,0 +1,139 @@
+import React, { useState, useEffect } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import { DEFAULT_TEMPLATE, LABEL_FIELDS, LABEL_SIZES, normalizeTemplate } from '../utils/palletLabels';
+
+const WAREHOUSES = ['PRETORIA', 'KLAPMUTS', 'OFFSITE'];
+
+const labelStyle = { display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+
+/**
+ * Admin: the label stock, header and fields each warehouse prints its
+ * pallet labels with
+ */
+function LabelTemplatesModal({ onClose }) {
+  const { showSuccess, showError } = useNotification();
+  const [templates, setTemplates] = useState({});
+  const [warehouse, setWarehouse] = useState(WAREHOUSES[0]);
+  const [form, setForm] = useState(DEFAULT_TEMPLATE);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await authFetch(getApiUrl('/api/pallet-labels/templates'));
+        if (!res.ok) return;
+        const rows = await res.json();
+        setTemplates(Object.fromEntries(rows.map(t => [t.warehouse.toUpperCase(), t])));
+      } catch (err) {
+        console.error('Error fetching label templates:', err);
+      }
+    })();
+  }, []);
+
+  useEffect(() => {
+    setForm(normalizeTemplate(templates[warehouse]));
+  }, [warehouse, templates]);
+
+  const toggleField = (key) => {
+    const fields = form.fields.includes(key) ? form.fields.filter(f => f !== key) : [...form.fields, key];
+    setForm({ ...form, fields: LABEL_FIELDS.map(f => f.key).filter(k => fields.includes(k)) });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const res = await authFetch(getApiUrl(`/api/pallet-labels/templates/${encodeURIComponent(warehouse)}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save label template');
+      setTemplates(prev => ({ ...prev, [warehouse]: data }));
+      showSuccess(`${warehouse} label template saved`);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)',
+        display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
+      }}
+    >
+      <div
+        onClick={e => e.stopPropagation()}
+        style={{
+          backgroundColor: 'var(--surface)', padding: '1.5rem', borderRadius: '12px',
+          boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '460px',
+          maxHeight: '80vh', overflow: 'auto', border: '1px solid var(--border)'
+        }}
+      >
+        <h3 style={{ margin: '0 0 1rem', color: 'var(--text-900)' }}>Label Templates</h3>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+          <div>
+            <label style={labelStyle}>Warehouse</label>
+            <select className="input" value={warehouse} onChange={e => setWarehouse(e.target.value)} style={{ width: '100%', boxSizing: 'border-box' }}>
+              {WAREHOUSES.map(w => (
+                <option key={w} value={w}>{w}{templates[w] ? '' : ' (default)'}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={labelStyle}>Label Stock</label>
+            <select className="input" value={form.size} onChange={e => setForm({ ...form, size: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }}>
+              {Object.entries(LABEL_SIZES).map(([key, size]) => (
+                <option key={key} value={key}>{size.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label style={labelStyle}>Header Text</label>
+            <input
+              type="text"
+              className="input"
+              maxLength={100}
+              value={form.headerText}
+              onChange={e => setForm({ ...form, headerText: e.target.value })}
+              style={{ width: '100%', boxSizing: 'border-box' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>Fields</label>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 12px', fontSize: '0.85rem' }}>
+              {LABEL_FIELDS.map(field => (
+                <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: '6px', color: 'var(--text-700)' }}>
+                  <input type="checkbox" checked={form.fields.includes(field.key)} onChange={() => toggleField(field.key)} />
+                  {field.title}
+                </label>
+              ))}
+            </div>
+            <p style={{ margin: '6px 0 0', fontSize: '0.75rem', color: 'var(--text-500)' }}>
+              Every label also carries the pallet number and a Code 128 barcode of its label code.
+            </p>
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.25rem' }}>
+          <button className="btn btn-ghost" onClick={onClose} disabled={saving}>Close</button>
+          <button className="btn btn-primary" onClick={save} disabled={saving || form.fields.length === 0}>
+            {saving ? 'Saving...' : 'Save Template'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LabelTemplatesModal;
@@ -0,0 +1,104 @@
+import React, { useMemo } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { formatNumber } from '../utils/costingCalculations';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const LINE_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#0891b2'];
+
+// "2025-03" → "Mar 2025"
+const formatPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+};
+
+/**
+ * Line chart of landed cost per kg (or per unit) over time, one line per
+ * product or supplier from GET /api/costing/landed-costs/trends.
+ * Only the `maxSeries` series with the most weight are drawn.
+ */
+function LandedCostTrendChart({ trends, metric = 'kg', maxSeries = 5, height = 300 }) {
+  const field = metric === 'unit' ? 'landed_cost_per_unit_zar' : 'landed_cost_per_kg_zar';
+
+  const chartData = useMemo(() => {
+    if (!trends || trends.series.length === 0) return null;
+
+    const series = [...trends.series]
+      .filter(s => s[field] !== null)
+      .sort((a, b) => b.weight_kg - a.weight_kg)
+      .slice(0, maxSeries);
+    if (series.length === 0) return null;
+
+    return {
+      labels: trends.periods.map(formatPeriod),
+      datasets: series.map((s, idx) => {
+        const byPeriod = Object.fromEntries(s.points.map(p => [p.period, p[field]]));
+        return {
+          label: s.key,
+          data: trends.periods.map(period => byPeriod[period] ?? null),
+          borderColor: LINE_COLORS[idx % LINE_COLORS.length],
+          backgroundColor: LINE_COLORS[idx % LINE_COLORS.length] + '20',
+          tension: 0.3,
+          pointRadius: 3,
+          spanGaps: true,
+        };
+      }),
+    };
+  }, [trends, field, maxSeries]);
+
+  const options = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } },
+      tooltip: {
+        callbacks: {
+          label: (ctx) => `${ctx.dataset.label}: R ${formatNumber(ctx.parsed.y, 2)} / ${metric}`,
+        },
+      },
+    },
+    scales: {
+      y: {
+        title: { display: true, text: `Landed cost per ${metric} (ZAR)` },
+        ticks: { callback: v => `R ${formatNumber(v, 2)}` },
+        grid: { color: 'rgba(0,0,0,0.06)' },
+      },
+      x: { grid: { display: false } },
+    },
+  }), [metric]);
+
+  if (!chartData) {
+    return (
+      <div style={{ padding: 24, textAlign: 'center', color: 'var(--text-500)', fontSize: 13 }}>
+        No landed cost history for the selected filters.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ height }}>
+      <Line data={chartData} options={options} />
+    </div>
+  );
+}
+
+export default LandedCostTrendChart;
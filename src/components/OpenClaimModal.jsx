@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import {
+  CLAIM_SOURCES,
+  unitLandedCost,
+  claimValue,
+  formatClaimValue,
+  defaultAffectedQuantity,
+} from '../utils/supplierClaims';
+
+const labelStyle = { display: 'block', fontSize: '0.85rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '8px', borderRadius: '6px', border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text-900)' };
+
+/**
+ * Raise a claim against a shipment's supplier from a failed inspection,
+ * rejection or receiving discrepancy. The value is previewed from the
+ * shipment's cost estimate; photos picked here are attached once the claim
+ * is saved.
+ */
+function OpenClaimModal({ shipment, source: initialSource = 'inspection', backorder = null, onClose, onOpened }) {
+  const { showSuccess, showError } = useNotification();
+  const [source, setSource] = useState(initialSource);
+  const [description, setDescription] = useState(
+    shipment.rejection_reason || shipment.inspection_notes || shipment.discrepancies || ''
+  );
+  const [affectedQuantity, setAffectedQuantity] = useState(
+    String(defaultAffectedQuantity(shipment, initialSource, backorder))
+  );
+  const [estimates, setEstimates] = useState([]);
+  const [costEstimateId, setCostEstimateId] = useState('');
+  const [files, setFiles] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await authFetch(getApiUrl(`/api/costing/by-shipment/${shipment.id}`));
+        if (!res.ok) return;
+        const { data } = await res.json();
+        if (cancelled) return;
+        setEstimates(data || []);
+        if (data?.length) setCostEstimateId(data[0].id);
+      } catch { /* the claim is raised without a value */ }
+    })();
+    return () => { cancelled = true; };
+  }, [shipment.id]);
+
+  const changeSource = (next) => {
+    setSource(next);
+    setAffectedQuantity(String(defaultAffectedQuantity(shipment, next, backorder)));
+  };
+
+  const estimate = estimates.find(e => e.id === costEstimateId) || null;
+  const unitCost = unitLandedCost(estimate, shipment.quantity);
+  const value = claimValue(parseInt(affectedQuantity, 10) || 0, unitCost);
+
+  const handleSubmit = async () => {
+    if (!description.trim()) {
+      showError('Describe the problem for the supplier');
+      return;
+    }
+    setSaving(true);
+    try {
+      const res = await authFetch(getApiUrl('/api/claims'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          shipmentId: shipment.id,
+          source,
+          description: description.trim(),
+          affectedQuantity: parseInt(affectedQuantity, 10) || 0,
+          backorderId: backorder?.id || null,
+          costEstimateId: costEstimateId || null,
+        }),
+      });
+      const claim = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(claim.error || 'Failed to open claim');
+
+      if (files.length) {
+        const form = new FormData();
+        files.forEach(file => form.append('documents', file));
+        const upload = await authFetch(getApiUrl(`/api/claims/${claim.id}/documents`), { method: 'POST', body: form });
+        if (!upload.ok) showError(`Claim ${claim.claim_number} opened, but its files could not be attached`);
+      }
+
+      showSuccess(`Claim ${claim.claim_number} opened against ${claim.supplier || 'the supplier'}`);
+      onOpened?.(claim);
+      onClose();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)',
+        display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
+      }}
+    >
+      <div
+        onClick={e => e.stopPropagation()}
+        style={{
+          backgroundColor: 'var(--surface)', padding: '1.5rem', borderRadius: '12px',
+          boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '520px',
+          maxHeight: '80vh', overflow: 'auto', border: '1px solid var(--border)'
+        }}
+      >
+        <h3 style={{ margin: '0 0 0.25rem', color: 'var(--text-900)' }}>Open Supplier Claim</h3>
+        <p style={{ margin: '0 0 1rem', color: 'var(--text-500)', fontSize: '0.85rem' }}>
+          {shipment.order_ref} &mdash; {shipment.supplier} &mdash; {shipment.product_name || 'N/A'}
+        </p>
+
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+          <div style={{ display: 'flex', gap: '0.75rem' }}>
+            <div style={{ flex: 2 }}>
+              <label style={labelStyle}>Reason</label>
+              <select value={source} onChange={e => changeSource(e.target.value)} style={inputStyle}>
+                {CLAIM_SOURCES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+              </select>
+            </div>
+            <div style={{ flex: 1 }}>
+              <label style={labelStyle}>Affected Qty</label>
+              <input
+                type="number"
+                min="0"
+                value={affectedQuantity}
+                onChange={e => setAffectedQuantity(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+          </div>
+
+          <div>
+            <label style={labelStyle}>What is wrong</label>
+            <textarea
+              value={description}
+              onChange={e => setDescription(e.target.value)}
+              rows={3}
+              placeholder="e.g. 12 bags torn, contents contaminated"
+              style={{ ...inputStyle, resize: 'vertical' }}
+            />
+          </div>
+
+          <div>
+            <label style={labelStyle}>Valued From</label>
+            <select value={costEstimateId} onChange={e => setCostEstimateId(e.target.value)} style={inputStyle}>
+              <option value="">No cost estimate</option>
+              {estimates.map(e => (
+                <option key={e.id} value={e.id}>
+                  {e.reference_number || e.id} &mdash; {formatClaimValue(e.total_landed_cost_zar)} landed
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ padding: '0.6rem 0.75rem', borderRadius: '8px', background: 'var(--surface-2)', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+            {unitCost === null
+              ? 'No landed cost to value the claim from yet; it can be valued once the shipment has a cost estimate.'
+              : (
+                <>
+                  <div>{formatClaimValue(unitCost)} landed per unit</div>
+                  <div style={{ fontWeight: 700, color: 'var(--danger)' }}>Claim value {formatClaimValue(value)}</div>
+                </>
+              )}
+          </div>
+
+          <div>
+            <label style={labelStyle}>Photos and Documents</label>
+            <input
+              type="file"
+              multiple
+              accept=".jpg,.jpeg,.png,.webp,.pdf,.doc,.docx,.xls,.xlsx"
+              onChange={e => setFiles(Array.from(e.target.files || []).slice(0, 10))}
+              style={{ fontSize: '0.85rem', color: 'var(--text-700)' }}
+            />
+            {files.length > 0 && (
+              <div style={{ fontSize: '0.75rem', color: 'var(--text-500)', marginTop: '4px' }}>
+                {files.length} file{files.length === 1 ? '' : 's'} will be attached
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.25rem' }}>
+          <button className="btn btn-ghost" onClick={onClose} disabled={saving}>Cancel</button>
+          <button className="btn btn-primary" onClick={handleSubmit} disabled={saving}>
+            {saving ? 'Opening...' : 'Open Claim'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default OpenClaimModal;
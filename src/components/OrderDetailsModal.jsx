@@ -22,7 +22,7 @@ const labelStyle = {
 
 const valueStyle = { fontSize: '1rem', color: '#222' };
 
-const OrderDetailsModal = ({ isOpen, shipment, onClose }) => {
+const OrderDetailsModal = ({ isOpen, shipment, onClose, onStatusChange }) => {
   if (!isOpen || !shipment) return null;
 
   return (
@@ -34,7 +34,7 @@ const OrderDetailsModal = ({ isOpen, shipment, onClose }) => {
       minWidth={400}
       minHeight={350}
     >
-      <ShipmentTimeline shipment={shipment} />
+      <ShipmentTimeline shipment={shipment} onStatusChange={onStatusChange} />
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1.25rem' }}>
         <div>
           <label style={labelStyle}>Supplier</label>
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import { generatePalletLabelsPDF } from '../utils/palletLabelPdf';
+
+/**
+ * Print or reprint a received shipment's pallet labels, all of them or
+ * only the pallets picked. Each print is counted against the label.
+ */
+function PalletLabelsModal({ shipment, onClose }) {
+  const { showSuccess, showError } = useNotification();
+  const [labels, setLabels] = useState([]);
+  const [grnNumber, setGrnNumber] = useState(shipment.grn_number || null);
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(true);
+  const [printing, setPrinting] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await authFetch(getApiUrl(`/api/pallet-labels/shipment/${shipment.id}`));
+        if (!res.ok) throw new Error('Failed to load pallet labels');
+        const data = await res.json();
+        if (cancelled) return;
+        setLabels(data.labels || []);
+        setGrnNumber(data.shipment?.grn_number || null);
+      } catch (err) {
+        if (!cancelled) showError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [shipment.id, showError]);
+
+  const print = async (palletNos) => {
+    setPrinting(true);
+    try {
+      const res = await authFetch(getApiUrl(`/api/pallet-labels/shipment/${shipment.id}/print`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ palletNos }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to print pallet labels');
+      generatePalletLabelsPDF(data);
+      setGrnNumber(data.shipment.grn_number);
+      setLabels(prev => palletNos ? prev.map(l => data.labels.find(p => p.pallet_no === l.pallet_no) || l) : data.labels);
+      showSuccess(`${data.labels.length} pallet label${data.labels.length === 1 ? '' : 's'} printed`);
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  const toggle = (palletNo) => {
+    const next = new Set(selected);
+    if (next.has(palletNo)) next.delete(palletNo);
+    else next.add(palletNo);
+    setSelected(next);
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)',
+        display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
+      }}
+    >
+      <div
+        onClick={e => e.stopPropagation()}
+        style={{
+          backgroundColor: 'var(--surface)', padding: '1.5rem', borderRadius: '12px',
+          boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '560px',
+          maxHeight: '80vh', overflow: 'auto', border: '1px solid var(--border)'
+        }}
+      >
+        <h3 style={{ margin: '0 0 0.25rem', color: 'var(--text-900)' }}>Pallet Labels</h3>
+        <p style={{ margin: '0 0 1rem', color: 'var(--text-500)', fontSize: '0.85rem' }}>
+          {shipment.order_ref || shipment.orderRef} &mdash; {grnNumber || 'GRN assigned on first print'}
+        </p>
+
+        {loading ? (
+          <div style={{ padding: '1.5rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>
+        ) : labels.length === 0 ? (
+          <p style={{ color: 'var(--text-500)', fontSize: '0.85rem' }}>
+            No labels yet. Printing writes one label per pallet.
+          </p>
+        ) : (
+          <table className="table" style={{ width: '100%', fontSize: '0.8rem' }}>
+            <thead>
+              <tr>
+                <th style={{ width: '32px' }}></th>
+                <th>Label</th>
+                <th>Qty</th>
+                <th>Location</th>
+                <th>Printed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {labels.map(label => (
+                <tr key={label.pallet_no}>
+                  <td>
+                    <input type="checkbox" checked={selected.has(label.pallet_no)} onChange={() => toggle(label.pallet_no)} />
+                  </td>
+                  <td style={{ fontFamily: 'monospace' }}>{label.label_code}</td>
+                  <td>{label.quantity}</td>
+                  <td>{label.location_code || '-'}</td>
+                  <td style={{ color: 'var(--text-500)' }}>
+                    {label.print_count > 0
+                      ? `${label.print_count}× · ${new Date(label.last_printed_at).toLocaleString()}${label.last_printed_by ? ` · ${label.last_printed_by}` : ''}`
+                      : 'Not yet'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.25rem' }}>
+          <button className="btn btn-ghost" onClick={onClose} disabled={printing}>Close</button>
+          {selected.size > 0 && (
+            <button className="btn btn-ghost" onClick={() => print([...selected].sort((a, b) => a - b))} disabled={printing}>
+              Reprint Selected ({selected.size})
+            </button>
+          )}
+          <button className="btn btn-primary" onClick={() => print(null)} disabled={printing || loading}>
+            {printing ? 'Printing...' : labels.some(l => l.print_count > 0) ? 'Reprint All' : 'Print All'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PalletLabelsModal;
@@ -5,7 +5,10 @@ import { authUtils } from '../utils/auth';
 import { ShipmentStatus, InspectionStatus, ReceivingStatus, STATUS_LABELS } from '../types/shipment';
 import { getApiUrl } from '../config/api';
 import PostArrivalWizard from './PostArrivalWizard';
+import ShipmentConflictDialog from './ShipmentConflictDialog';
+import OpenClaimModal from './OpenClaimModal';
 import { useNotification } from '../contexts/NotificationContext';
+import { ifMatchHeader, getConflictRecord } from '../utils/shipmentConflicts';
 import {
   Truck, PackageOpen, Clock, Search, XCircle, CheckCircle, ClipboardList, Check, Store, File,
 } from 'lucide-react';
@@ -22,6 +25,8 @@ function PostArrivalWorkflow() {
   const [useWizard, setUseWizard] = useState(false);
   const [actionLoading, setActionLoading] = useState(false);
   const [detailShipment, setDetailShipment] = useState(null);
+  const [versionConflict, setVersionConflict] = useState(null);
+  const [claimShipment, setClaimShipment] = useState(null);
   const [searchTerm, setSearchTerm] = useState(globalSearchTerm || '');
 
   const [truckInfoMap, setTruckInfoMap] = useState({});
@@ -95,6 +100,26 @@ function PostArrivalWorkflow() {
     }
   };
 
+  // Send a workflow request for the shipment as shown on screen. If someone
+  // changed it since the list loaded, show what changed and wait for the user
+  // to retry on the latest version or cancel (resolves null and reloads).
+  const workflowFetch = async (shipment, path, { method = 'POST', body = {} } = {}, actionLabel = 'Continue') => {
+    const response = await authFetch(getApiUrl(path), {
+      method,
+      headers: { 'Content-Type': 'application/json', ...ifMatchHeader(shipment) },
+      body: JSON.stringify(body)
+    });
+    if (response.status !== 409) return response;
+    const current = getConflictRecord(response.status, await response.clone().json().catch(() => ({})));
+    if (!current) return response;
+
+    const retry = await new Promise(resolve => setVersionConflict({ shipment, current, actionLabel, resolve }));
+    setVersionConflict(null);
+    if (retry) return workflowFetch(current, path, { method, body }, actionLabel);
+    await fetchPostArrivalShipments();
+    return null;
+  };
+
   const getStatusColor = (status) => {
     const colors = {
       'arrived_pta': 'var(--success)',
@@ -150,6 +175,7 @@ function PostArrivalWorkflow() {
     } else if (status === 'inspection_failed') {
       actions.push({ key: 'start-inspection', label: 'Re-inspect', icon: '🔍', color: 'var(--info)' });
       actions.push({ key: 'reject-shipment', label: 'Reject/Return to Supplier', icon: '↩️', color: 'var(--danger)' });
+      actions.push({ key: 'open-claim', label: 'Open Supplier Claim', icon: '📋', color: 'var(--warning)' });
     } else if (status === 'receiving' || status === 'receiving_goods') {
       actions.push({ key: 'complete-receiving', label: 'Complete Receiving', icon: '✔️', color: 'var(--success)' });
     } else if (status === 'received' || status === 'in_warehouse') {
@@ -174,6 +200,11 @@ function PostArrivalWorkflow() {
       return;
     }
 
+    if (action === 'open-claim') {
+      setClaimShipment(shipment);
+      return;
+    }
+
     if (action === 'complete-inspection' || action === 'start-inspection' ||
         action === 'complete-receiving' || action === 'start-receiving') {
       setSelectedShipment(shipment);
@@ -202,15 +233,11 @@ function PostArrivalWorkflow() {
     if (action === 'mark-stored') {
       try {
         setActionLoading(true);
-        const response = await authFetch(getApiUrl(`/api/shipments/${shipment.id}/status`), {
+        const response = await workflowFetch(shipment, `/api/shipments/${shipment.id}/status`, {
           method: 'PATCH',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            status: 'stored'
-          })
-        });
+          body: { status: 'stored' }
+        }, 'Mark as stored');
+        if (!response) return;
 
         if (response.ok) {
           showSuccess(`✅ Shipment ${shipment.orderRef} marked as stored successfully!`);
@@ -239,11 +266,8 @@ function PostArrivalWorkflow() {
       if (!confirmed) return;
       try {
         setActionLoading(true);
-        const response = await authFetch(getApiUrl(`/api/shipments/${shipment.id}/admin-complete`), {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({})
-        });
+        const response = await workflowFetch(shipment, `/api/shipments/${shipment.id}/admin-complete`, {}, 'Skip to stored');
+        if (!response) return;
         if (response.ok) {
           showSuccess(`Shipment ${shipment.orderRef} workflow completed and stored.`);
           await fetchPostArrivalShipments();
@@ -270,11 +294,11 @@ function PostArrivalWorkflow() {
       if (!confirmed) return;
       try {
         setActionLoading(true);
-        const response = await authFetch(getApiUrl(`/api/shipments/${shipment.id}/status`), {
+        const response = await workflowFetch(shipment, `/api/shipments/${shipment.id}/status`, {
           method: 'PATCH',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ status: 'in_transit_seafreight' })
-        });
+          body: { status: 'in_transit_seafreight' }
+        }, 'Amend status');
+        if (!response) return;
         if (response.ok) {
           showSuccess(`Shipment ${shipment.orderRef} has been reverted to shipping status and will now appear in the Shipping Schedule.`);
           await fetchPostArrivalShipments();
@@ -295,13 +319,8 @@ function PostArrivalWorkflow() {
       setActionLoading(true);
       const endpoint = `/api/shipments/${shipment.id}/${action.replace('_', '-')}`;
 
-      const response = await authFetch(getApiUrl(endpoint), {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({})
-      });
+      const response = await workflowFetch(shipment, endpoint);
+      if (!response) return;
 
       if (response.ok) {
         showSuccess(`✅ Workflow action completed successfully!`);
@@ -348,13 +367,8 @@ function PostArrivalWorkflow() {
         };
       }
 
-      const response = await authFetch(getApiUrl(endpoint), {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
-      });
+      const response = await workflowFetch(selectedShipment, endpoint, { body: requestBody });
+      if (!response) return;
 
       if (response.ok) {
         showSuccess(`✅ Workflow action completed successfully!`);
@@ -456,11 +470,14 @@ function PostArrivalWorkflow() {
         eligible.map(s =>
           authFetch(getApiUrl(`/api/shipments/${s.id}/admin-complete`), {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...ifMatchHeader(s) },
             body: JSON.stringify({})
           }).then(async res => {
             if (!res.ok) {
               const err = await res.json().catch(() => ({}));
+              if (getConflictRecord(res.status, err)) {
+                throw new Error(`${s.order_ref || s.orderRef} was changed by someone else`);
+              }
               throw new Error(err.error || `Failed for ${s.orderRef}`);
             }
             return s.orderRef;
@@ -751,60 +768,49 @@ function PostArrivalWorkflow() {
               // Handle start-inspection
               if (workflowAction === 'start-inspection') {
                 apiCalls.push(
-                  authFetch(getApiUrl(`/api/shipments/${selectedShipment.id}/start-inspection`), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                      inspectedBy: formData.inspectedBy || ''
-                    })
-                  })
+                  workflowFetch(selectedShipment, `/api/shipments/${selectedShipment.id}/start-inspection`, {
+                    body: { inspectedBy: formData.inspectedBy || '' }
+                  }, 'Start inspection')
                 );
               }
 
               // Handle complete-inspection
               if (workflowAction === 'complete-inspection') {
                 apiCalls.push(
-                  authFetch(getApiUrl(`/api/shipments/${selectedShipment.id}/complete-inspection`), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
+                  workflowFetch(selectedShipment, `/api/shipments/${selectedShipment.id}/complete-inspection`, {
+                    body: {
                       passed: formData.inspectionStatus === 'inspection_passed',
                       notes: formData.inspectionNotes,
                       inspectedBy: formData.inspectedBy || ''
-                    })
-                  })
+                    }
+                  }, 'Complete inspection')
                 );
               }
 
               // Handle start-receiving
               if (workflowAction === 'start-receiving') {
                 apiCalls.push(
-                  authFetch(getApiUrl(`/api/shipments/${selectedShipment.id}/start-receiving`), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                      receivedBy: formData.receivedBy || ''
-                    })
-                  })
+                  workflowFetch(selectedShipment, `/api/shipments/${selectedShipment.id}/start-receiving`, {
+                    body: { receivedBy: formData.receivedBy || '' }
+                  }, 'Start receiving')
                 );
               }
 
               // Handle complete-receiving
               if (workflowAction === 'complete-receiving') {
                 apiCalls.push(
-                  authFetch(getApiUrl(`/api/shipments/${selectedShipment.id}/complete-receiving`), {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
+                  workflowFetch(selectedShipment, `/api/shipments/${selectedShipment.id}/complete-receiving`, {
+                    body: {
                       receivedQuantity: parseInt(formData.receivedQuantity) || 0,
                       receivedBy: formData.receivedBy || ''
-                    })
-                  })
+                    }
+                  }, 'Complete receiving')
                 );
               }
 
               // Execute all workflow calls
               const responses = await Promise.all(apiCalls);
+              if (responses.some(res => !res)) return; // Cancelled after a version conflict
 
               // Check if all responses were successful
               const allSuccess = responses.every(res => res.ok);
@@ -812,11 +818,13 @@ function PostArrivalWorkflow() {
               if (allSuccess || responses.length === 0) {
                 // If mark as stored was checked, make another call to mark as stored
                 if (formData.markAsStored && (workflowAction === 'complete-receiving' || workflowAction === 'start-receiving')) {
-                  const storedResponse = await authFetch(getApiUrl(`/api/shipments/${selectedShipment.id}/status`), {
+                  // The step above bumped the version; continue from the record it returned
+                  const received = responses.length > 0 ? (await responses[0].json()).data : selectedShipment;
+                  const storedResponse = await workflowFetch(received, `/api/shipments/${selectedShipment.id}/status`, {
                     method: 'PATCH',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ status: 'stored' })
-                  });
+                    body: { status: 'stored' }
+                  }, 'Mark as stored');
+                  if (!storedResponse) return;
 
                   if (storedResponse.ok) {
                     showSuccess('✅ Shipment received and marked as stored successfully!');
@@ -849,6 +857,15 @@ function PostArrivalWorkflow() {
         />
       )}
 
+      {versionConflict && (
+        <ShipmentConflictDialog
+          conflict={{ base: versionConflict.shipment, changes: {}, current: versionConflict.current }}
+          actionLabel={versionConflict.actionLabel}
+          onApply={() => versionConflict.resolve(true)}
+          onDiscard={() => versionConflict.resolve(false)}
+        />
+      )}
+
       {/* Workflow Dialog */}
       {showWorkflowDialog && selectedShipment && (
         <div style={{
@@ -1412,6 +1429,10 @@ function PostArrivalWorkflow() {
         </div>
       )}
 
+      {claimShipment && (
+        <OpenClaimModal shipment={claimShipment} source="inspection" onClose={() => setClaimShipment(null)} />
+      )}
+
     </div>
   );
 }
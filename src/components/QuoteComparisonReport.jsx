@@ -0,0 +1,246 @@
+import React from "react";
+
+/**
+ * Comparison report from pdfAnalyzer.generateComparisonReport, for PDF
+ * quotes and freight tender responses alike
+ */
+export default function QuoteComparisonReport({ report, onClose, title = "📊 Quote Comparison Report" }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.5)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 2000,
+        padding: "2rem",
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "white",
+          borderRadius: "12px",
+          padding: "2rem",
+          maxWidth: "90vw",
+          maxHeight: "90vh",
+          overflow: "auto",
+          boxShadow: "0 8px 32px rgba(0, 0, 0, 0.2)",
+        }}
+      >
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            marginBottom: "2rem",
+            borderBottom: "1px solid var(--border)",
+            paddingBottom: "1rem",
+          }}
+        >
+          <h2 style={{ margin: 0, color: "var(--text-900)" }}>{title}</h2>
+          <button
+            onClick={onClose}
+            style={{
+              background: "none",
+              border: "none",
+              fontSize: "1.5rem",
+              cursor: "pointer",
+              color: "var(--text-500)",
+              padding: "0.25rem",
+            }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Report Summary */}
+        <div style={{ marginBottom: "1rem" }}>
+          <h3 style={{ color: "var(--text-900)", marginBottom: "0.5rem", fontSize: "0.95rem" }}>Summary</h3>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+              gap: "8px",
+            }}
+          >
+            <div style={{ padding: "10px", backgroundColor: "var(--surface-2)", borderRadius: "6px" }}>
+              <div style={{ fontSize: "1.1rem", fontWeight: 600, color: "var(--success)" }}>
+                {report.summary.totalQuotes}
+              </div>
+              <div style={{ fontSize: "0.75rem", color: "var(--text-500)" }}>Quotes Analyzed</div>
+            </div>
+            <div style={{ padding: "10px", backgroundColor: "var(--surface-2)", borderRadius: "6px" }}>
+              <div style={{ fontSize: "1.1rem", fontWeight: 600, color: "var(--info)" }}>
+                {report.summary.totalPricesFound}
+              </div>
+              <div style={{ fontSize: "0.75rem", color: "var(--text-500)" }}>Prices Found</div>
+            </div>
+            <div style={{ padding: "10px", backgroundColor: "var(--surface-2)", borderRadius: "6px" }}>
+              <div style={{ fontSize: "1.1rem", fontWeight: 600, color: "var(--warning)" }}>
+                {report.summary.averageConfidence}%
+              </div>
+              <div style={{ fontSize: "0.75rem", color: "var(--text-500)" }}>Avg Confidence</div>
+            </div>
+          </div>
+        </div>
+
+        {/* Best Prices */}
+        {report.bestPrices?.length > 0 && (
+          <div style={{ marginBottom: "2rem" }}>
+            <h3 style={{ color: "var(--text-900)", marginBottom: "1rem" }}>💰 Best Prices</h3>
+            <div style={{ display: "grid", gap: "0.5rem" }}>
+              {report.bestPrices.slice(0, 5).map((price, index) => (
+                <div
+                  key={index}
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    padding: "0.75rem",
+                    backgroundColor: index === 0 ? "#d4edda" : "var(--surface-2)",
+                    borderRadius: "6px",
+                    border: index === 0 ? "1px solid #c3e6cb" : "1px solid #e9ecef",
+                  }}
+                >
+                  <span style={{ fontWeight: index === 0 ? 600 : 400 }}>
+                    {index === 0 && "🏆 "}
+                    {price.filename}
+                  </span>
+                  <span
+                    style={{
+                      fontWeight: 600,
+                      color: index === 0 ? "#155724" : "var(--text-900)",
+                    }}
+                  >
+                    {price.formatted}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Recommendations */}
+        {report.recommendations?.length > 0 && (
+          <div style={{ marginBottom: "2rem" }}>
+            <h3 style={{ color: "var(--text-900)", marginBottom: "1rem" }}>💡 Recommendations</h3>
+            <div style={{ display: "grid", gap: "1rem" }}>
+              {report.recommendations.map((rec, index) => (
+                <div
+                  key={index}
+                  style={{
+                    padding: "1rem",
+                    backgroundColor: rec.priority === "high" ? "#fff3cd" : "#d1ecf1",
+                    borderRadius: "8px",
+                    border: `1px solid ${
+                      rec.priority === "high" ? "#ffeaa7" : "#bee5eb"
+                    }`,
+                  }}
+                >
+                  <div style={{ fontWeight: 600, marginBottom: "0.5rem" }}>
+                    {rec.priority === "high" ? "⚠️" : "ℹ️"} {rec.title}
+                  </div>
+                  <div style={{ fontSize: "0.9rem", marginBottom: "0.5rem", color: "var(--text-500)" }}>
+                    {rec.description}
+                  </div>
+                  <div style={{ fontSize: "0.85rem", fontStyle: "italic", color: "#444" }}>
+                    Action: {rec.action}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Quote Details */}
+        <div>
+          <h3 style={{ color: "var(--text-900)", marginBottom: "1rem" }}>📋 Quote Details</h3>
+          <div style={{ display: "grid", gap: "1rem" }}>
+            {report.quotes.map((quote, index) => (
+              <div
+                key={index}
+                style={{
+                  padding: "1rem",
+                  backgroundColor: "white",
+                  border: "1px solid #e9ecef",
+                  borderRadius: "8px",
+                }}
+              >
+                <div
+                  style={{
+                    display: "flex",
+                    justifyContent: "space-between",
+                    alignItems: "center",
+                    marginBottom: "0.5rem",
+                  }}
+                >
+                  <span style={{ fontWeight: 600 }}>{quote.filename}</span>
+                  <span
+                    style={{
+                      padding: "2px 8px",
+                      borderRadius: "12px",
+                      fontSize: "0.75rem",
+                      backgroundColor:
+                        quote.confidence >= 70
+                          ? "#d4edda"
+                          : quote.confidence >= 50
+                          ? "#fff3cd"
+                          : "#f8d7da",
+                      color:
+                        quote.confidence >= 70
+                          ? "#155724"
+                          : quote.confidence >= 50
+                          ? "#856404"
+                          : "#721c24",
+                    }}
+                  >
+                    {quote.confidence}% confidence
+                  </span>
+                </div>
+                <div style={{ fontSize: "0.9rem", color: "var(--text-500)" }}>
+                  Found {quote.summary.priceCount} prices, {quote.summary.routeCount} routes,{" "}
+                  {quote.summary.serviceCount} services
+                </div>
+                {quote.summary.lowestPrice && (
+                  <div style={{ fontSize: "0.9rem", color: "var(--success)", marginTop: "0.25rem" }}>
+                    Lowest price: {quote.summary.lowestPrice.toLocaleString()}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div
+          style={{
+            display: "flex",
+            justifyContent: "flex-end",
+            marginTop: "2rem",
+            paddingTop: "1rem",
+            borderTop: "1px solid var(--border)",
+          }}
+        >
+          <button
+            onClick={onClose}
+            style={{
+              padding: "0.75rem 1.5rem",
+              backgroundColor: "var(--success)",
+              color: "white",
+              border: "none",
+              borderRadius: "6px",
+              cursor: "pointer",
+              fontSize: "0.9rem",
+            }}
+          >
+            Close Report
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
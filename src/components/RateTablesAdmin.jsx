@@ -0,0 +1,449 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { useNotification } from '../contexts/NotificationContext';
+import useRateTables from '../hooks/useRateTables';
+import { LAST_MILE_SERVICE_TYPES } from '../utils/costingCalculations';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const OPTION_TYPES = [
+  { value: 'container_type', label: 'Container Type' },
+  { value: 'shipping_line', label: 'Shipping Line' },
+  { value: 'port_of_loading', label: 'Port of Loading' },
+  { value: 'port_of_discharge', label: 'Port of Discharge' },
+];
+
+const CONTAINER_SIZES = ['20GP', '40GP', '40HC'];
+
+// Column and form definitions per table
+const TABLES = {
+  oceanFreight: {
+    label: 'Ocean Freight',
+    path: '/api/rate-tables/ocean-freight',
+    key: row => `${row.port_of_loading} · ${row.shipping_line} · ${row.container_size}`,
+    columns: [
+      { field: 'port_of_loading', label: 'Port of Loading' },
+      { field: 'shipping_line', label: 'Shipping Line' },
+      { field: 'container_size', label: 'Size' },
+      { field: 'rate_usd', label: 'Rate (USD)', numeric: true },
+    ],
+    fields: [
+      { field: 'port_of_loading', label: 'Port of Loading', required: true },
+      { field: 'port_of_discharge', label: 'Port of Discharge' },
+      { field: 'shipping_line', label: 'Shipping Line', required: true },
+      { field: 'container_size', label: 'Container Size', options: CONTAINER_SIZES.map(s => ({ value: s, label: s })), required: true },
+      { field: 'rate_usd', label: 'Rate (USD)', type: 'number', required: true },
+      { field: 'notes', label: 'Notes' },
+    ],
+    empty: { port_of_loading: '', port_of_discharge: '', shipping_line: '', container_size: '20GP', rate_usd: '', notes: '' },
+  },
+  lastMile: {
+    label: 'Last Mile',
+    path: '/api/rate-tables/last-mile',
+    key: row => `${row.service_type} · ${row.route_key}`,
+    columns: [
+      { field: 'service_type', label: 'Service', format: v => LAST_MILE_SERVICE_TYPES.find(s => s.value === v)?.label || v },
+      { field: 'label', label: 'Route' },
+      { field: 'minimum_zar', label: 'Minimum (ZAR)', numeric: true },
+      { field: 'rate_per_kg', label: 'Rate/kg', numeric: true },
+      { field: 'rate_900', label: 'Rate/kg 900+', numeric: true },
+      { field: 'rate_3000', label: 'Rate/kg 3000+', numeric: true },
+    ],
+    fields: [
+      { field: 'service_type', label: 'Service Type', options: LAST_MILE_SERVICE_TYPES.filter(s => s.value !== 'manual'), required: true },
+      { field: 'route_key', label: 'Route Key', required: true },
+      { field: 'label', label: 'Route Label', required: true },
+      { field: 'minimum_zar', label: 'Minimum (ZAR)', type: 'number' },
+      { field: 'rate_per_kg', label: 'Rate per kg (ZAR)', type: 'number' },
+      { field: 'rate_900', label: 'Rate per kg 900kg+ (ZAR)', type: 'number' },
+      { field: 'rate_3000', label: 'Rate per kg 3000kg+ (ZAR)', type: 'number' },
+      { field: 'is_flat', label: 'Flat charge (minimum only)', type: 'checkbox' },
+      { field: 'sort_order', label: 'Sort Order', type: 'number' },
+    ],
+    empty: { service_type: 'express_road', route_key: '', label: '', minimum_zar: '', rate_per_kg: '', rate_900: '', rate_3000: '', is_flat: false, sort_order: 0 },
+  },
+  options: {
+    label: 'Options',
+    path: '/api/rate-tables/options',
+    key: row => `${row.option_type} · ${row.value}`,
+    columns: [
+      { field: 'option_type', label: 'Type', format: v => OPTION_TYPES.find(t => t.value === v)?.label || v },
+      { field: 'value', label: 'Value' },
+      { field: 'label', label: 'Label' },
+      { field: 'rate_key', label: 'Rate Size' },
+    ],
+    fields: [
+      { field: 'option_type', label: 'Option Type', options: OPTION_TYPES, required: true },
+      { field: 'value', label: 'Value', required: true },
+      { field: 'label', label: 'Label' },
+      { field: 'rate_key', label: 'Ocean Rate Size (container types)', options: [{ value: '', label: '—' }, ...CONTAINER_SIZES.map(s => ({ value: s, label: s }))] },
+      { field: 'sort_order', label: 'Sort Order', type: 'number' },
+    ],
+    empty: { option_type: 'shipping_line', value: '', label: '', rate_key: '', sort_order: 0 },
+  },
+};
+
+const isExpired = (row) => row.effective_to && row.effective_to < today();
+const isFuture = (row) => row.effective_from > today();
+
+const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem' };
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid var(--border)', fontSize: '0.82rem' };
+
+function RateTablesAdmin() {
+  const { showSuccess, showError, confirm: confirmAction } = useNotification();
+  const { reload: reloadCostingRates } = useRateTables();
+  const [tables, setTables] = useState({ oceanFreight: [], lastMile: [], options: [] });
+  const [activeTab, setActiveTab] = useState('oceanFreight');
+  const [loading, setLoading] = useState(true);
+  const [showExpired, setShowExpired] = useState(false);
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null); // { id?, data }
+  const [saving, setSaving] = useState(false);
+  const [importEffectiveFrom, setImportEffectiveFrom] = useState('');
+  const [importing, setImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const config = TABLES[activeTab];
+
+  const fetchTables = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await authFetch(getApiUrl('/api/rate-tables'));
+      if (response.ok) {
+        setTables(await response.json());
+      } else {
+        showError('Failed to load rate tables');
+      }
+    } catch (err) {
+      console.error('Failed to fetch rate tables:', err);
+      showError('Failed to load rate tables');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    fetchTables();
+  }, [fetchTables]);
+
+  // Refresh this page and the rates used by the costing screens
+  const refreshAll = async () => {
+    await fetchTables();
+    reloadCostingRates().catch(err => console.error('Failed to reload costing rates:', err));
+  };
+
+  const rows = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return (tables[activeTab] || [])
+      .filter(row => showExpired || !isExpired(row))
+      .filter(row => !q || config.key(row).toLowerCase().includes(q) || (row.label || '').toLowerCase().includes(q));
+  }, [tables, activeTab, showExpired, search, config]);
+
+  const startNew = (row) => {
+    // Adding from an existing row pre-fills its key so the new version supersedes it
+    const base = row
+      ? Object.fromEntries(config.fields.map(f => [f.field, row[f.field] ?? '']))
+      : config.empty;
+    setEditing({ data: { ...base, effective_from: today(), effective_to: '' } });
+  };
+
+  const startEdit = (row) => {
+    const data = Object.fromEntries(config.fields.map(f => [f.field, row[f.field] ?? '']));
+    setEditing({ id: row.id, data: { ...data, effective_from: row.effective_from, effective_to: row.effective_to || '' } });
+  };
+
+  const updateField = (field, value) => {
+    setEditing(prev => ({ ...prev, data: { ...prev.data, [field]: value } }));
+  };
+
+  const buildPayload = (data) => {
+    const payload = {};
+    config.fields.forEach(({ field, type }) => {
+      const value = data[field];
+      if (type === 'number') {
+        payload[field] = value === '' || value === null ? null : parseFloat(value);
+      } else if (type === 'checkbox') {
+        payload[field] = !!value;
+      } else {
+        payload[field] = value === '' ? null : value;
+      }
+    });
+    payload.effective_from = data.effective_from || today();
+    payload.effective_to = data.effective_to || null;
+    return payload;
+  };
+
+  const handleSave = async () => {
+    const missing = config.fields.filter(f => f.required && (editing.data[f.field] === '' || editing.data[f.field] === null));
+    if (missing.length > 0) {
+      showError(`${missing.map(f => f.label).join(', ')} required`);
+      return;
+    }
+    try {
+      setSaving(true);
+      const url = editing.id ? `${config.path}/${editing.id}` : config.path;
+      const response = await authFetch(getApiUrl(url), {
+        method: editing.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildPayload(editing.data)),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showSuccess(editing.id ? 'Rate updated' : 'New rate version added');
+        setEditing(null);
+        refreshAll();
+      } else {
+        showError(result.error || 'Failed to save rate');
+      }
+    } catch (err) {
+      console.error('Failed to save rate:', err);
+      showError('Failed to save rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (row) => {
+    if (!(await confirmAction({
+      title: 'Delete Rate Version',
+      message: `Delete ${config.key(row)} (effective ${row.effective_from})? Estimates costed in this period will fall back to other versions.`,
+      type: 'danger',
+      confirmText: 'Delete',
+    }))) return;
+    try {
+      const response = await authFetch(getApiUrl(`${config.path}/${row.id}`), { method: 'DELETE' });
+      if (response.ok) {
+        showSuccess('Rate version deleted');
+        refreshAll();
+      } else {
+        const result = await response.json();
+        showError(result.error || 'Failed to delete rate');
+      }
+    } catch (err) {
+      console.error('Failed to delete rate:', err);
+      showError('Failed to delete rate');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (!file.name.match(/\.(xlsx|xls)$/i)) {
+      showError('Please select an Excel (.xlsx/.xls) rate sheet');
+      return;
+    }
+    setImporting(true);
+    try {
+      const formPayload = new FormData();
+      formPayload.append('rateSheet', file);
+      if (importEffectiveFrom) formPayload.append('effective_from', importEffectiveFrom);
+
+      const response = await authFetch(getApiUrl('/api/rate-tables/ocean-freight/import'), {
+        method: 'POST',
+        body: formPayload,
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showSuccess(`Imported ${result.created} rate versions from ${result.extracted} rate sheet rows${result.skipped ? ` (${result.skipped} without a shipping line skipped)` : ''}`);
+        refreshAll();
+      } else {
+        showError(result.error || 'Failed to import rate sheet');
+      }
+    } catch (err) {
+      console.error('Failed to import rate sheet:', err);
+      showError('Failed to import rate sheet');
+    } finally {
+      setImporting(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const renderField = ({ field, label, type, options }) => {
+    const value = editing.data[field];
+    let control;
+    if (options) {
+      control = (
+        <select value={value ?? ''} onChange={(e) => updateField(field, e.target.value)} style={inputStyle}>
+          {options.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+        </select>
+      );
+    } else if (type === 'checkbox') {
+      control = <input type="checkbox" checked={!!value} onChange={(e) => updateField(field, e.target.checked)} />;
+    } else {
+      control = (
+        <input
+          type={type || 'text'}
+          step={type === 'number' ? 'any' : undefined}
+          value={value ?? ''}
+          onChange={(e) => updateField(field, e.target.value)}
+          style={inputStyle}
+        />
+      );
+    }
+    return (
+      <label key={field} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+        {label}
+        {control}
+      </label>
+    );
+  };
+
+  const statusBadge = (row) => {
+    const [text, style] = isExpired(row)
+      ? ['Expired', { backgroundColor: '#f3f4f6', color: '#6b7280' }]
+      : isFuture(row)
+        ? ['Scheduled', { backgroundColor: '#dbeafe', color: '#1e40af' }]
+        : ['Current', { backgroundColor: '#dcfce7', color: '#166534' }];
+    return <span style={{ ...style, padding: '2px 8px', borderRadius: '10px', fontSize: '0.75rem', fontWeight: 500 }}>{text}</span>;
+  };
+
+  return (
+    <div style={{ padding: '1.5rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem', gap: '1rem', flexWrap: 'wrap' }}>
+        <div>
+          <h2 style={{ margin: 0, fontSize: '1.2rem', color: 'var(--navy-900)' }}>Rate Tables</h2>
+          <p style={{ margin: '0.25rem 0 0', color: 'var(--text-500)', fontSize: '0.8rem' }}>
+            Versioned rates used by import and export costing. Estimates use the rates in effect on their costing date.
+          </p>
+        </div>
+        {activeTab === 'oceanFreight' && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <label style={{ fontSize: '0.8rem', color: 'var(--text-700)' }}>
+              Effective from{' '}
+              <input type="date" value={importEffectiveFrom} onChange={(e) => setImportEffectiveFrom(e.target.value)} style={{ ...inputStyle, width: 'auto' }} />
+            </label>
+            <input ref={fileInputRef} type="file" accept=".xlsx,.xls" onChange={handleImport} style={{ display: 'none' }} />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+              style={{ padding: '8px 16px', backgroundColor: 'var(--surface-2)', border: '1px solid var(--border)', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              {importing ? 'Importing...' : 'Import Rate Sheet'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Table Tabs */}
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+        {Object.entries(TABLES).map(([key, table]) => (
+          <button
+            key={key}
+            onClick={() => { setActiveTab(key); setEditing(null); setSearch(''); }}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: activeTab === key ? 'var(--navy-900)' : 'var(--surface-2)',
+              color: activeTab === key ? 'white' : 'var(--text-700)',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '0.85rem',
+              fontWeight: activeTab === key ? '600' : '400',
+            }}
+          >
+            {table.label} ({(tables[key] || []).filter(row => !isExpired(row)).length})
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap' }}>
+        <input
+          type="text"
+          placeholder="Search..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          style={{ ...inputStyle, width: '260px' }}
+        />
+        <label style={{ fontSize: '0.85rem', color: 'var(--text-700)', display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="checkbox" checked={showExpired} onChange={(e) => setShowExpired(e.target.checked)} />
+          Show expired versions
+        </label>
+        <button
+          onClick={() => startNew(null)}
+          style={{ marginLeft: 'auto', padding: '8px 16px', backgroundColor: 'var(--navy-900)', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+        >
+          + Add Rate
+        </button>
+      </div>
+
+      {editing && (
+        <div style={{ border: '1px solid var(--border)', borderRadius: '8px', padding: '1rem', marginBottom: '1rem', backgroundColor: 'var(--surface-2)' }}>
+          <h3 style={{ margin: '0 0 0.75rem', fontSize: '0.95rem' }}>
+            {editing.id ? 'Edit Rate Version' : 'New Rate Version'}
+          </h3>
+          {!editing.id && (
+            <p style={{ margin: '0 0 0.75rem', fontSize: '0.8rem', color: 'var(--text-500)' }}>
+              The current version of the same rate is closed the day before the new version takes effect.
+            </p>
+          )}
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '0.75rem' }}>
+            {config.fields.map(renderField)}
+            {renderField({ field: 'effective_from', label: 'Effective From', type: 'date' })}
+            {renderField({ field: 'effective_to', label: 'Effective To (blank = open)', type: 'date' })}
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              style={{ padding: '8px 16px', backgroundColor: 'var(--navy-900)', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              style={{ padding: '8px 16px', backgroundColor: 'white', border: '1px solid var(--border)', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading rate tables...</div>
+      ) : rows.length === 0 ? (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>No rates found</div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+                {config.columns.map(col => (
+                  <th key={col.field} style={{ ...cellStyle, fontWeight: 600, textAlign: col.numeric ? 'right' : 'left' }}>{col.label}</th>
+                ))}
+                <th style={{ ...cellStyle, fontWeight: 600 }}>Effective From</th>
+                <th style={{ ...cellStyle, fontWeight: 600 }}>Effective To</th>
+                <th style={{ ...cellStyle, fontWeight: 600 }}>Status</th>
+                <th style={{ ...cellStyle, fontWeight: 600 }}>Source</th>
+                <th style={{ ...cellStyle, fontWeight: 600 }} />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.id} style={{ opacity: isExpired(row) ? 0.6 : 1 }}>
+                  {config.columns.map(col => (
+                    <td key={col.field} style={{ ...cellStyle, textAlign: col.numeric ? 'right' : 'left' }}>
+                      {col.format ? col.format(row[col.field]) : (row[col.field] ?? '-')}
+                    </td>
+                  ))}
+                  <td style={cellStyle}>{row.effective_from}</td>
+                  <td style={cellStyle}>{row.effective_to || '—'}</td>
+                  <td style={cellStyle}>{statusBadge(row)}</td>
+                  <td style={{ ...cellStyle, color: 'var(--text-500)' }}>{row.source || '-'}</td>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap', textAlign: 'right' }}>
+                    <button onClick={() => startNew(row)} title="Add a new version of this rate" style={{ background: 'none', border: 'none', color: 'var(--info)', cursor: 'pointer', fontSize: '0.8rem' }}>New version</button>
+                    <button onClick={() => startEdit(row)} style={{ background: 'none', border: 'none', color: 'var(--text-700)', cursor: 'pointer', fontSize: '0.8rem' }}>Edit</button>
+                    <button onClick={() => handleDelete(row)} style={{ background: 'none', border: 'none', color: 'var(--danger)', cursor: 'pointer', fontSize: '0.8rem' }}>Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RateTablesAdmin;
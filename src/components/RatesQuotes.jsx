@@ -1,22 +1,244 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useMemo } from "react";
 import { authUtils } from "../utils/auth";
 import { useNotification } from '../contexts/NotificationContext';
+import QuoteComparisonReport from './QuoteComparisonReport';
+import {
+  QUOTE_MODES,
+  QUOTE_CONTAINER_TYPES,
+  QUOTE_VALIDITY,
+  modeLabel,
+  daysToExpiry,
+  quoteValidity,
+  matchesValidity,
+  matchesLane,
+  laneLabel,
+} from '../utils/freightQuotes';
 
 // Vite-friendly, no process.env usage
 // Prefer env, otherwise use '' so requests stay relative and hit the Vite proxy
 const API_BASE = import.meta.env?.VITE_API_BASE_URL ?? '';
 
+// Icons for the original forwarders; others get a truck
+const FORWARDER_ICONS = { dhl: "📦", dsv: "🚛", afrigistics: "🌍" };
+
+const ALL_TAB = "all";
+
+const fieldLabelStyle = { display: "block", marginBottom: "0.35rem", fontSize: "0.8rem", fontWeight: 600, color: "var(--text-700)" };
+const fieldInputStyle = { width: "100%", padding: "0.5rem", border: "1px solid var(--border)", borderRadius: "6px", fontSize: "0.85rem", background: "var(--surface)", color: "var(--text-900)" };
+
+const VALIDITY_COLORS = {
+  expired: "var(--danger)",
+  expiring: "var(--warning)",
+  upcoming: "var(--info)",
+  current: "var(--success)",
+};
+
+function ValidityBadge({ quote }) {
+  const validity = quoteValidity(quote);
+  if (validity === "unknown") return null;
+  const days = daysToExpiry(quote);
+  const text = validity === "expired" ? `Expired ${quote.valid_until}`
+    : validity === "expiring" ? (days === 0 ? "Expires today" : `Expires in ${days} day${days === 1 ? "" : "s"}`)
+    : validity === "upcoming" ? `Valid from ${quote.valid_from}`
+    : `Valid to ${quote.valid_until}`;
+  return (
+    <span
+      style={{
+        backgroundColor: VALIDITY_COLORS[validity],
+        color: validity === "expiring" ? "var(--text-900)" : "white",
+        padding: "2px 8px",
+        borderRadius: "12px",
+        fontSize: "0.7rem",
+        fontWeight: 600,
+      }}
+    >
+      {text}
+    </span>
+  );
+}
 
+function Dialog({ title, onClose, children, width = "520px" }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.5)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 1000,
+      }}
+    >
+      <div
+        style={{
+          backgroundColor: "white",
+          borderRadius: "12px",
+          padding: "2rem",
+          width,
+          maxWidth: "95vw",
+          maxHeight: "90vh",
+          overflowY: "auto",
+          boxShadow: "0 8px 32px rgba(0, 0, 0, 0.2)",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "1.5rem" }}>
+          <h3 style={{ margin: 0, color: "var(--text-900)" }}>{title}</h3>
+          <button
+            onClick={onClose}
+            style={{ background: "none", border: "none", fontSize: "1.5rem", cursor: "pointer", color: "var(--text-500)", padding: "0.25rem" }}
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
 
-function RatesQuotes({ loading }) {
-  const { showSuccess, showError, confirm: confirmAction } = useNotification();
-  const [activeTab, setActiveTab] = useState("dhl");
-
-  const [quotes, setQuotes] = useState({
-    dhl: [],
-    dsv: [],
-    afrigistics: [],
+/**
+ * Correct what was read from a quote: lane, mode, container, validity and
+ * headline amount
+ */
+function QuoteDetailsDialog({ quote, onClose, onSave }) {
+  const [draft, setDraft] = useState({
+    origin: quote.origin || "",
+    destination: quote.destination || "",
+    mode: quote.mode || "",
+    containerType: quote.container_type || "",
+    validFrom: quote.valid_from || "",
+    validUntil: quote.valid_until || "",
+    currency: quote.currency || "",
+    totalAmount: quote.total_amount ?? "",
+    notes: quote.notes || "",
   });
+  const [saving, setSaving] = useState(false);
+  const set = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave({ ...draft, totalAmount: draft.totalAmount === "" ? null : Number(draft.totalAmount) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog title={`Quote Details: ${quote.filename}`} onClose={onClose}>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "0.75rem", marginBottom: "1rem" }}>
+        <div>
+          <label style={fieldLabelStyle}>Origin</label>
+          <input style={fieldInputStyle} value={draft.origin} onChange={(e) => set("origin", e.target.value)} placeholder="e.g. Shanghai" />
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Destination</label>
+          <input style={fieldInputStyle} value={draft.destination} onChange={(e) => set("destination", e.target.value)} placeholder="e.g. Durban" />
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Mode</label>
+          <select style={fieldInputStyle} value={draft.mode} onChange={(e) => set("mode", e.target.value)}>
+            <option value="">Not set</option>
+            {QUOTE_MODES.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Container Type</label>
+          <select style={fieldInputStyle} value={draft.containerType} onChange={(e) => set("containerType", e.target.value)}>
+            <option value="">Not set</option>
+            {QUOTE_CONTAINER_TYPES.map((c) => <option key={c.value} value={c.value}>{c.label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Valid From</label>
+          <input type="date" style={fieldInputStyle} value={draft.validFrom} onChange={(e) => set("validFrom", e.target.value)} />
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Valid Until</label>
+          <input type="date" style={fieldInputStyle} value={draft.validUntil} onChange={(e) => set("validUntil", e.target.value)} />
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Currency</label>
+          <input style={fieldInputStyle} value={draft.currency} maxLength={10} onChange={(e) => set("currency", e.target.value.toUpperCase())} placeholder="USD" />
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Quoted Amount</label>
+          <input type="number" min="0" step="0.01" style={fieldInputStyle} value={draft.totalAmount} onChange={(e) => set("totalAmount", e.target.value)} />
+        </div>
+      </div>
+      <div style={{ marginBottom: "1rem" }}>
+        <label style={fieldLabelStyle}>Notes</label>
+        <textarea style={{ ...fieldInputStyle, minHeight: "60px", fontFamily: "inherit" }} value={draft.notes} onChange={(e) => set("notes", e.target.value)} />
+      </div>
+      {quote.charges?.length > 0 && (
+        <div style={{ fontSize: "0.8rem", color: "var(--text-500)", marginBottom: "1rem" }}>
+          Charges read from the PDF: {quote.charges.map((c) => c.label).join(", ")}
+        </div>
+      )}
+      <div style={{ display: "flex", gap: "0.75rem", justifyContent: "flex-end" }}>
+        <button className="btn btn-ghost" onClick={onClose} disabled={saving}>Cancel</button>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? "Saving..." : "Save Details"}
+        </button>
+      </div>
+    </Dialog>
+  );
+}
+
+function AddForwarderDialog({ onClose, onSave }) {
+  const [draft, setDraft] = useState({ name: "", contactEmail: "", brandColor: "#0b6e99" });
+  const [saving, setSaving] = useState(false);
+  const set = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog title="Add Forwarder" onClose={onClose} width="420px">
+      <div style={{ display: "grid", gap: "0.75rem", marginBottom: "1.5rem" }}>
+        <div>
+          <label style={fieldLabelStyle}>Name *</label>
+          <input style={fieldInputStyle} value={draft.name} onChange={(e) => set("name", e.target.value)} placeholder="e.g. Kuehne+Nagel" autoFocus />
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Contact Email</label>
+          <input type="email" style={fieldInputStyle} value={draft.contactEmail} onChange={(e) => set("contactEmail", e.target.value)} placeholder="quotes@forwarder.co.za" />
+        </div>
+        <div>
+          <label style={fieldLabelStyle}>Brand Colour</label>
+          <input type="color" value={draft.brandColor} onChange={(e) => set("brandColor", e.target.value)} />
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: "0.75rem", justifyContent: "flex-end" }}>
+        <button className="btn btn-ghost" onClick={onClose} disabled={saving}>Cancel</button>
+        <button className="btn btn-primary" onClick={handleSave} disabled={saving || !draft.name.trim()}>
+          {saving ? "Saving..." : "Add Forwarder"}
+        </button>
+      </div>
+    </Dialog>
+  );
+}
+
+function RatesQuotes({ loading }) {
+  const { showSuccess, showError, showWarning, confirm: confirmAction } = useNotification();
+  const [activeTab, setActiveTab] = useState(ALL_TAB);
+
+  const [forwarderList, setForwarderList] = useState([]);
+  const [allQuotes, setAllQuotes] = useState([]);
+  const [filters, setFilters] = useState({ origin: "", destination: "", mode: "", validity: "" });
+  const [quoteToEdit, setQuoteToEdit] = useState(null);
+  const [showAddForwarder, setShowAddForwarder] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [showRenameDialog, setShowRenameDialog] = useState(false);
   const [quoteToRename, setQuoteToRename] = useState(null);
@@ -27,23 +249,31 @@ function RatesQuotes({ loading }) {
   const [comparisonReport, setComparisonReport] = useState(null);
   const [showAnalysisView, setShowAnalysisView] = useState(false);
 
-  const forwarders = {
-    dhl: {
-      name: "DHL",
-      brandColor: "#d40511",
-      icon: "📦",
-    },
-    dsv: {
-      name: "DSV",
-      brandColor: "#003d6b",
-      icon: "🚛",
-    },
-    afrigistics: {
-      name: "Afrigistics",
-      brandColor: "#1a5f2f",
-      icon: "🌍",
-    },
-  };
+  const forwarders = useMemo(() => Object.fromEntries(
+    forwarderList.map((f) => [f.code, {
+      id: f.id,
+      name: f.name,
+      brandColor: f.brand_color || "var(--accent)",
+      icon: FORWARDER_ICONS[f.code] || "🚚",
+    }])
+  ), [forwarderList]);
+
+  // Quotes on the filters, grouped by forwarder code
+  const quotes = useMemo(() => {
+    const grouped = Object.fromEntries(forwarderList.map((f) => [f.code, []]));
+    allQuotes
+      .filter((q) => matchesLane(q, filters))
+      .filter((q) => !filters.mode || q.mode === filters.mode)
+      .filter((q) => matchesValidity(q, filters.validity))
+      .forEach((q) => {
+        if (grouped[q.forwarder_code]) grouped[q.forwarder_code].push(q);
+      });
+    grouped[ALL_TAB] = Object.values(grouped).flat()
+      .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime());
+    return grouped;
+  }, [allQuotes, forwarderList, filters]);
+
+  const filtersActive = Object.values(filters).some(Boolean);
 
   const safeJson = async (res) => {
     try {
@@ -53,30 +283,29 @@ function RatesQuotes({ loading }) {
     }
   };
 
-  // Fetch quotes for all forwarders (parallel)
+  // Fetch the active forwarders and every quote; filtering happens on the page
   const fetchQuotes = useCallback(async () => {
     try {
-      const entries = await Promise.all(
-        Object.keys(forwarders).map(async (fw) => {
-          const res = await fetch(`${API_BASE}/api/quotes/${fw}`, {
-            headers: authUtils.getAuthHeader(),
-            credentials: 'include'
-          });
-          if (!res.ok) {
-            if (res.status === 404) {
-              showError(
-                `${forwarders[fw].name} endpoint not found at ${API_BASE}/api/quotes/${fw}`
-              );
-            } else if (res.status === 401) {
-              console.warn(`Unauthorized access to ${forwarders[fw].name} quotes - check authentication token`);
-            }
-            return [fw, []];
-          }
-          const data = await safeJson(res);
-          return [fw, Array.isArray(data) ? data : []];
-        })
-      );
-      setQuotes(Object.fromEntries(entries));
+      const [forwardersRes, quotesRes] = await Promise.all([
+        fetch(`${API_BASE}/api/quotes/forwarders?active=true`, {
+          headers: authUtils.getAuthHeader(),
+          credentials: 'include'
+        }),
+        fetch(`${API_BASE}/api/quotes`, {
+          headers: authUtils.getAuthHeader(),
+          credentials: 'include'
+        }),
+      ]);
+      if (!forwardersRes.ok || !quotesRes.ok) {
+        if (forwardersRes.status === 401 || quotesRes.status === 401) {
+          console.warn("Unauthorized access to quotes - check authentication token");
+          return;
+        }
+        throw new Error(`HTTP ${forwardersRes.ok ? quotesRes.status : forwardersRes.status}`);
+      }
+      const [forwarderData, quoteData] = await Promise.all([safeJson(forwardersRes), safeJson(quotesRes)]);
+      setForwarderList(Array.isArray(forwarderData) ? forwarderData : []);
+      setAllQuotes(Array.isArray(quoteData) ? quoteData : []);
     } catch (err) {
       console.error("Error fetching quotes:", err);
       showError("Could not fetch quotes. Check API and VITE_API_URL/REACT_APP_API_URL.");
@@ -299,6 +528,12 @@ function RatesQuotes({ loading }) {
       return;
     }
 
+    const expired = pdfQuotes.filter((q) => quoteValidity(allQuotes.find((a) =>
+      a.forwarder_code === q.forwarder && a.filename === q.filename)) === "expired");
+    if (expired.length > 0) {
+      showWarning(`${expired.length} of the selected quotes ${expired.length === 1 ? "has" : "have"} expired; ask for fresh rates before relying on them`);
+    }
+
     try {
       const response = await fetch(`${API_BASE}/api/quotes/compare`, {
         method: "POST",
@@ -329,14 +564,137 @@ function RatesQuotes({ loading }) {
 
   const clearSelection = () => setSelectedQuotes([]);
 
-  const renderTabContent = (forwarder) => {
-    const forwarderQuotes = quotes[forwarder] || [];
-    const forwarderInfo = forwarders[forwarder];
+  const handleSaveDetails = async (details) => {
+    try {
+      const response = await fetch(
+        `${API_BASE}/api/quotes/${quoteToEdit.forwarder_code}/${encodeURIComponent(quoteToEdit.filename)}`,
+        {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+            ...authUtils.getAuthHeader()
+          },
+          body: JSON.stringify(details),
+          credentials: 'include'
+        }
+      );
+      const j = await safeJson(response);
+      if (!response.ok) throw new Error(j?.error || "Failed to save quote details");
+      setAllQuotes((prev) => prev.map((q) => (q.id === j.id ? j : q)));
+      setQuoteToEdit(null);
+      showSuccess(`Saved details for ${j.filename}`);
+    } catch (error) {
+      console.error("Error saving quote details:", error);
+      showError(error.message);
+    }
+  };
+
+  const handleAddForwarder = async (draft) => {
+    try {
+      const response = await fetch(`${API_BASE}/api/quotes/forwarders`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...authUtils.getAuthHeader()
+        },
+        body: JSON.stringify(draft),
+        credentials: 'include'
+      });
+      const j = await safeJson(response);
+      if (!response.ok) throw new Error(j?.error || "Failed to add forwarder");
+      setShowAddForwarder(false);
+      showSuccess(`Added ${j.name}`);
+      await fetchQuotes();
+      setActiveTab(j.code);
+    } catch (error) {
+      console.error("Error adding forwarder:", error);
+      showError(error.message);
+    }
+  };
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const renderFilters = () => (
+    <div
+      style={{
+        display: "grid",
+        gridTemplateColumns: "repeat(auto-fit, minmax(160px, 1fr))",
+        gap: "0.75rem",
+        alignItems: "end",
+        marginBottom: "1rem",
+      }}
+    >
+      <div>
+        <label style={fieldLabelStyle}>Origin</label>
+        <input style={fieldInputStyle} value={filters.origin} onChange={(e) => setFilter("origin", e.target.value)} placeholder="Any origin" />
+      </div>
+      <div>
+        <label style={fieldLabelStyle}>Destination</label>
+        <input style={fieldInputStyle} value={filters.destination} onChange={(e) => setFilter("destination", e.target.value)} placeholder="Any destination" />
+      </div>
+      <div>
+        <label style={fieldLabelStyle}>Mode</label>
+        <select style={fieldInputStyle} value={filters.mode} onChange={(e) => setFilter("mode", e.target.value)}>
+          <option value="">Any mode</option>
+          {QUOTE_MODES.map((m) => <option key={m.value} value={m.value}>{m.label}</option>)}
+        </select>
+      </div>
+      <div>
+        <label style={fieldLabelStyle}>Validity</label>
+        <select style={fieldInputStyle} value={filters.validity} onChange={(e) => setFilter("validity", e.target.value)}>
+          <option value="">Any validity</option>
+          {QUOTE_VALIDITY.map((v) => <option key={v.value} value={v.value}>{v.label}</option>)}
+        </select>
+      </div>
+      {filtersActive && (
+        <button
+          className="btn btn-ghost"
+          onClick={() => setFilters({ origin: "", destination: "", mode: "", validity: "" })}
+        >
+          Clear filters
+        </button>
+      )}
+    </div>
+  );
+
+  // Expired quotes in view, and ones about to expire
+  const renderExpiryWarning = (forwarderQuotes) => {
+    const expired = forwarderQuotes.filter((q) => quoteValidity(q) === "expired").length;
+    const expiring = forwarderQuotes.filter((q) => quoteValidity(q) === "expiring").length;
+    if (!expired && !expiring) return null;
+    return (
+      <div
+        style={{
+          backgroundColor: expired ? "#f8d7da" : "#fff3cd",
+          border: `1px solid ${expired ? "#f5c6cb" : "#ffeaa7"}`,
+          color: expired ? "#721c24" : "#856404",
+          borderRadius: "8px",
+          padding: "0.75rem 1rem",
+          marginBottom: "1rem",
+          fontSize: "0.85rem",
+        }}
+      >
+        ⚠️ {[
+          expired ? `${expired} quote${expired === 1 ? " has" : "s have"} expired` : null,
+          expiring ? `${expiring} expire${expiring === 1 ? "s" : ""} within two weeks` : null,
+        ].filter(Boolean).join(", ")}. Ask the forwarder for fresh rates before costing with them.
+      </div>
+    );
+  };
+
+  const renderTabContent = (tab) => {
+    const forwarderQuotes = quotes[tab] || [];
+    const isAll = tab === ALL_TAB;
+    const forwarderInfo = isAll ? { name: "All Forwarders" } : forwarders[tab];
+    if (!forwarderInfo) return null;
 
     return (
       <div style={{ padding: "1rem" }}>
+        {renderFilters()}
+        {renderExpiryWarning(forwarderQuotes)}
+
         {/* Upload Section */}
-        <div
+        {!isAll && <div
           style={{
             backgroundColor: "var(--surface-2)",
             border: "2px dashed #dee2e6",
@@ -383,7 +741,7 @@ function RatesQuotes({ loading }) {
               type="file"
               multiple
               accept=".pdf,.xlsx,.xls,.doc,.docx,.txt,.csv"
-              onChange={(e) => handleFileUpload(e, forwarder)}
+              onChange={(e) => handleFileUpload(e, tab)}
               disabled={uploading}
               style={{ display: "none" }}
             />
@@ -396,9 +754,9 @@ function RatesQuotes({ loading }) {
               marginTop: "0.5rem",
             }}
           >
-            Supported formats: PDF, Excel, Word, Text, CSV
+            Supported formats: PDF, Excel, Word, Text, CSV. PDFs are read for lane, validity and charges.
           </p>
-        </div>
+        </div>}
 
         {/* Documents List */}
         <div>
@@ -411,7 +769,7 @@ function RatesQuotes({ loading }) {
             }}
           >
             <h4 style={{ margin: 0, color: "var(--text-900)" }}>
-              📋 {forwarderInfo.name} Documents ({forwarderQuotes.length})
+              📋 {forwarderInfo.name} {isAll ? "Quotes" : "Documents"} ({forwarderQuotes.length}{filtersActive ? " matching" : ""})
             </h4>
 
             {/* Selection and Analysis Tools */}
@@ -469,14 +827,15 @@ function RatesQuotes({ loading }) {
               }}
             >
               <div style={{ fontSize: "2rem", marginBottom: "1rem" }}>📄</div>
-              <p>No documents uploaded yet</p>
+              <p>{filtersActive ? "No quotes match these filters" : "No documents uploaded yet"}</p>
               <p style={{ fontSize: "0.9rem" }}>
-                Upload your first quote or rate document above
+                {filtersActive ? "Clear the filters to see every quote" : isAll ? "Choose a forwarder tab to upload quotes" : "Upload your first quote or rate document above"}
               </p>
             </div>
           ) : (
             <div style={{ display: "grid", gap: "1rem" }}>
-              {forwarderQuotes.map((quote, index) => {
+              {forwarderQuotes.map((quote) => {
+                const forwarder = quote.forwarder_code;
                 const isPDF = (quote.filename || "").toLowerCase().endsWith(".pdf");
                 const id = `${forwarder}/${quote.filename}`;
                 const isSelected = selectedQuotes.some((q) => q.id === id);
@@ -484,7 +843,7 @@ function RatesQuotes({ loading }) {
 
                 return (
                   <div
-                    key={index}
+                    key={quote.id}
                     style={{
                       display: "flex",
                       alignItems: "center",
@@ -556,10 +915,25 @@ function RatesQuotes({ loading }) {
                             </span>
                           )}
                         </div>
+                        <div style={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: "0.5rem", fontSize: "0.85rem", color: "var(--text-900)", marginBottom: "0.35rem" }}>
+                          <span style={{ fontWeight: 600 }}>{laneLabel(quote)}</span>
+                          {quote.mode && <span>{modeLabel(quote.mode)}</span>}
+                          {quote.container_type && <span>{quote.container_type}</span>}
+                          {quote.total_amount !== null && quote.total_amount !== undefined && (
+                            <span>{quote.currency || ""} {Number(quote.total_amount).toLocaleString()}</span>
+                          )}
+                          <ValidityBadge quote={quote} />
+                        </div>
                         <div style={{ fontSize: "0.85rem", color: "#6c757d" }}>
-                          <span>{formatFileSize(quote.size)}</span>
+                          {isAll && (
+                            <>
+                              <span>{quote.forwarder_name}</span>
+                              <span style={{ margin: "0 0.5rem" }}>•</span>
+                            </>
+                          )}
+                          <span>{formatFileSize(quote.file_size)}</span>
                           <span style={{ margin: "0 0.5rem" }}>•</span>
-                          <span>Uploaded {formatDate(quote.uploadedAt)}</span>
+                          <span>Uploaded {formatDate(quote.created_at)}</span>
                         </div>
                       </div>
                     </div>
@@ -623,6 +997,32 @@ function RatesQuotes({ loading }) {
                         💾
                       </button>
 
+                      <button
+                        onClick={() => setQuoteToEdit(quote)}
+                        style={{
+                          padding: "8px 12px",
+                          backgroundColor: "var(--accent)",
+                          color: "white",
+                          border: "none",
+                          borderRadius: "6px",
+                          cursor: "pointer",
+                          fontSize: "0.85rem",
+                          display: "flex",
+                          alignItems: "center",
+                          gap: "0.25rem",
+                          transition: "background-color 0.2s ease",
+                        }}
+                        onMouseEnter={(e) =>
+                          (e.currentTarget.style.backgroundColor = "var(--accent-600)")
+                        }
+                        onMouseLeave={(e) =>
+                          (e.currentTarget.style.backgroundColor = "var(--accent)")
+                        }
+                        title="Lane, validity and amount"
+                      >
+                        🏷️
+                      </button>
+
                       <button
                         onClick={() => openRenameDialog(forwarder, quote)}
                         style={{
@@ -694,14 +1094,23 @@ function RatesQuotes({ loading }) {
           style={{
             padding: "1rem 1.5rem 0.75rem 1.5rem",
             borderBottom: "1px solid var(--border)",
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            gap: "1rem",
           }}
         >
-          <h2 style={{ margin: 0, fontSize: "1.2rem", fontWeight: 700, color: "var(--text-900)" }}>
-            Rates & Quotes Management
-          </h2>
-          <p style={{ margin: "2px 0 0", fontSize: "0.8rem", color: "var(--text-500)" }}>
-            Upload and manage quotes from freight forwarding partners
-          </p>
+          <div>
+            <h2 style={{ margin: 0, fontSize: "1.2rem", fontWeight: 700, color: "var(--text-900)" }}>
+              Rates & Quotes Management
+            </h2>
+            <p style={{ margin: "2px 0 0", fontSize: "0.8rem", color: "var(--text-500)" }}>
+              Upload and manage quotes from freight forwarding partners, and find them by lane and validity
+            </p>
+          </div>
+          <button className="btn btn-secondary" onClick={() => setShowAddForwarder(true)}>
+            + Add Forwarder
+          </button>
         </div>
 
         {/* Tabs */}
@@ -712,7 +1121,7 @@ function RatesQuotes({ loading }) {
             backgroundColor: "var(--surface-2)",
           }}
         >
-          {Object.entries(forwarders).map(([key, forwarder]) => (
+          {[[ALL_TAB, { name: "All", icon: "🗂️" }], ...Object.entries(forwarders)].map(([key, forwarder]) => (
             <button
               key={key}
               onClick={() => setActiveTab(key)}
@@ -774,6 +1183,21 @@ function RatesQuotes({ loading }) {
         </div>
       </div>
 
+      {quoteToEdit && (
+        <QuoteDetailsDialog
+          quote={quoteToEdit}
+          onClose={() => setQuoteToEdit(null)}
+          onSave={handleSaveDetails}
+        />
+      )}
+
+      {showAddForwarder && (
+        <AddForwarderDialog
+          onClose={() => setShowAddForwarder(false)}
+          onSave={handleAddForwarder}
+        />
+      )}
+
       {/* Rename Dialog */}
       {showRenameDialog && (
         <div
@@ -944,242 +1368,7 @@ function RatesQuotes({ loading }) {
 
       {/* Comparison Report Modal */}
       {showComparisonReport && comparisonReport && (
-        <div
-          style={{
-            position: "fixed",
-            top: 0,
-            left: 0,
-            right: 0,
-            bottom: 0,
-            backgroundColor: "rgba(0, 0, 0, 0.5)",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-            zIndex: 2000,
-            padding: "2rem",
-          }}
-        >
-          <div
-            style={{
-              backgroundColor: "white",
-              borderRadius: "12px",
-              padding: "2rem",
-              maxWidth: "90vw",
-              maxHeight: "90vh",
-              overflow: "auto",
-              boxShadow: "0 8px 32px rgba(0, 0, 0, 0.2)",
-            }}
-          >
-            <div
-              style={{
-                display: "flex",
-                justifyContent: "space-between",
-                alignItems: "center",
-                marginBottom: "2rem",
-                borderBottom: "1px solid var(--border)",
-                paddingBottom: "1rem",
-              }}
-            >
-              <h2 style={{ margin: 0, color: "var(--text-900)" }}>📊 Quote Comparison Report</h2>
-              <button
-                onClick={() => setShowComparisonReport(false)}
-                style={{
-                  background: "none",
-                  border: "none",
-                  fontSize: "1.5rem",
-                  cursor: "pointer",
-                  color: "var(--text-500)",
-                  padding: "0.25rem",
-                }}
-                title="Close"
-              >
-                ✕
-              </button>
-            </div>
-
-            {/* Report Summary */}
-            <div style={{ marginBottom: "1rem" }}>
-              <h3 style={{ color: "var(--text-900)", marginBottom: "0.5rem", fontSize: "0.95rem" }}>Summary</h3>
-              <div
-                style={{
-                  display: "grid",
-                  gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
-                  gap: "8px",
-                }}
-              >
-                <div style={{ padding: "10px", backgroundColor: "var(--surface-2)", borderRadius: "6px" }}>
-                  <div style={{ fontSize: "1.1rem", fontWeight: 600, color: "var(--success)" }}>
-                    {comparisonReport.summary.totalQuotes}
-                  </div>
-                  <div style={{ fontSize: "0.75rem", color: "var(--text-500)" }}>Quotes Analyzed</div>
-                </div>
-                <div style={{ padding: "10px", backgroundColor: "var(--surface-2)", borderRadius: "6px" }}>
-                  <div style={{ fontSize: "1.1rem", fontWeight: 600, color: "var(--info)" }}>
-                    {comparisonReport.summary.totalPricesFound}
-                  </div>
-                  <div style={{ fontSize: "0.75rem", color: "var(--text-500)" }}>Prices Found</div>
-                </div>
-                <div style={{ padding: "10px", backgroundColor: "var(--surface-2)", borderRadius: "6px" }}>
-                  <div style={{ fontSize: "1.1rem", fontWeight: 600, color: "var(--warning)" }}>
-                    {comparisonReport.summary.averageConfidence}%
-                  </div>
-                  <div style={{ fontSize: "0.75rem", color: "var(--text-500)" }}>Avg Confidence</div>
-                </div>
-              </div>
-            </div>
-
-            {/* Best Prices */}
-            {comparisonReport.bestPrices?.length > 0 && (
-              <div style={{ marginBottom: "2rem" }}>
-                <h3 style={{ color: "var(--text-900)", marginBottom: "1rem" }}>💰 Best Prices</h3>
-                <div style={{ display: "grid", gap: "0.5rem" }}>
-                  {comparisonReport.bestPrices.slice(0, 5).map((price, index) => (
-                    <div
-                      key={index}
-                      style={{
-                        display: "flex",
-                        justifyContent: "space-between",
-                        padding: "0.75rem",
-                        backgroundColor: index === 0 ? "#d4edda" : "var(--surface-2)",
-                        borderRadius: "6px",
-                        border: index === 0 ? "1px solid #c3e6cb" : "1px solid #e9ecef",
-                      }}
-                    >
-                      <span style={{ fontWeight: index === 0 ? 600 : 400 }}>
-                        {index === 0 && "🏆 "}
-                        {price.filename}
-                      </span>
-                      <span
-                        style={{
-                          fontWeight: 600,
-                          color: index === 0 ? "#155724" : "var(--text-900)",
-                        }}
-                      >
-                        {price.formatted}
-                      </span>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
-
-            {/* Recommendations */}
-            {comparisonReport.recommendations?.length > 0 && (
-              <div style={{ marginBottom: "2rem" }}>
-                <h3 style={{ color: "var(--text-900)", marginBottom: "1rem" }}>💡 Recommendations</h3>
-                <div style={{ display: "grid", gap: "1rem" }}>
-                  {comparisonReport.recommendations.map((rec, index) => (
-                    <div
-                      key={index}
-                      style={{
-                        padding: "1rem",
-                        backgroundColor: rec.priority === "high" ? "#fff3cd" : "#d1ecf1",
-                        borderRadius: "8px",
-                        border: `1px solid ${
-                          rec.priority === "high" ? "#ffeaa7" : "#bee5eb"
-                        }`,
-                      }}
-                    >
-                      <div style={{ fontWeight: 600, marginBottom: "0.5rem" }}>
-                        {rec.priority === "high" ? "⚠️" : "ℹ️"} {rec.title}
-                      </div>
-                      <div style={{ fontSize: "0.9rem", marginBottom: "0.5rem", color: "var(--text-500)" }}>
-                        {rec.description}
-                      </div>
-                      <div style={{ fontSize: "0.85rem", fontStyle: "italic", color: "#444" }}>
-                        Action: {rec.action}
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              </div>
-            )}
-
-            {/* Quote Details */}
-            <div>
-              <h3 style={{ color: "var(--text-900)", marginBottom: "1rem" }}>📋 Quote Details</h3>
-              <div style={{ display: "grid", gap: "1rem" }}>
-                {comparisonReport.quotes.map((quote, index) => (
-                  <div
-                    key={index}
-                    style={{
-                      padding: "1rem",
-                      backgroundColor: "white",
-                      border: "1px solid #e9ecef",
-                      borderRadius: "8px",
-                    }}
-                  >
-                    <div
-                      style={{
-                        display: "flex",
-                        justifyContent: "space-between",
-                        alignItems: "center",
-                        marginBottom: "0.5rem",
-                      }}
-                    >
-                      <span style={{ fontWeight: 600 }}>{quote.filename}</span>
-                      <span
-                        style={{
-                          padding: "2px 8px",
-                          borderRadius: "12px",
-                          fontSize: "0.75rem",
-                          backgroundColor:
-                            quote.confidence >= 70
-                              ? "#d4edda"
-                              : quote.confidence >= 50
-                              ? "#fff3cd"
-                              : "#f8d7da",
-                          color:
-                            quote.confidence >= 70
-                              ? "#155724"
-                              : quote.confidence >= 50
-                              ? "#856404"
-                              : "#721c24",
-                        }}
-                      >
-                        {quote.confidence}% confidence
-                      </span>
-                    </div>
-                    <div style={{ fontSize: "0.9rem", color: "var(--text-500)" }}>
-                      Found {quote.summary.priceCount} prices, {quote.summary.routeCount} routes,{" "}
-                      {quote.summary.serviceCount} services
-                    </div>
-                    {quote.summary.lowestPrice && (
-                      <div style={{ fontSize: "0.9rem", color: "var(--success)", marginTop: "0.25rem" }}>
-                        Lowest price: {quote.summary.lowestPrice.toLocaleString()}
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            </div>
-
-            <div
-              style={{
-                display: "flex",
-                justifyContent: "flex-end",
-                marginTop: "2rem",
-                paddingTop: "1rem",
-                borderTop: "1px solid var(--border)",
-              }}
-            >
-              <button
-                onClick={() => setShowComparisonReport(false)}
-                style={{
-                  padding: "0.75rem 1.5rem",
-                  backgroundColor: "var(--success)",
-                  color: "white",
-                  border: "none",
-                  borderRadius: "6px",
-                  cursor: "pointer",
-                  fontSize: "0.9rem",
-                }}
-              >
-                Close Report
-              </button>
-            </div>
-          </div>
-        </div>
+        <QuoteComparisonReport report={comparisonReport} onClose={() => setShowComparisonReport(false)} />
       )}
     </>
   );
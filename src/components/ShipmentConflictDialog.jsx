@@ -0,0 +1,142 @@
+import React, { useState, useMemo } from 'react';
+import { diffShipmentChanges, mergeShipmentChanges, readField } from '../utils/shipmentConflicts';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T|$)/;
+
+const formatValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (field === 'latestStatus' || /Status$/.test(field)) {
+    return String(value).replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+  if (ISO_DATE.test(String(value))) return new Date(value).toLocaleDateString();
+  return String(value);
+};
+
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid var(--border)', fontSize: '0.82rem', verticalAlign: 'top' };
+const headerCellStyle = { ...cellStyle, fontWeight: 600, textAlign: 'left', backgroundColor: 'var(--surface-2)' };
+
+/**
+ * Shown when a shipment save is rejected because someone else changed the
+ * shipment first. Lists what each side changed; for fields both changed the
+ * user picks which value to keep. With actionLabel (a workflow step rather
+ * than an edit) the choice is to retry the step on the latest version.
+ *
+ * conflict: { base, changes, current } — the shipment as the user saw it, the
+ * fields they tried to save (camelCase) and the current server record.
+ */
+function ShipmentConflictDialog({ conflict, actionLabel, onApply, onDiscard }) {
+  const rows = useMemo(
+    () => diffShipmentChanges(conflict.base, conflict.changes, conflict.current),
+    [conflict]
+  );
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const conflicts = rows.filter(row => row.conflict);
+  const merged = mergeShipmentChanges(rows, choices);
+  const hasChanges = Object.keys(merged).length > 0;
+  const orderRef = readField(conflict.current, 'orderRef') || readField(conflict.base, 'orderRef');
+  const savedAt = readField(conflict.current, 'updatedAt');
+
+  const handleApply = async () => {
+    setSaving(true);
+    try {
+      await onApply(merged);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, backgroundColor: 'rgba(0, 0, 0, 0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 50000 }}>
+      <div role="dialog" aria-modal="true" aria-labelledby="shipment-conflict-title" style={{ backgroundColor: 'white', borderRadius: '12px', border: '2px solid #f59e0b', padding: '1.5rem', width: '90%', maxWidth: '760px', maxHeight: '90vh', overflow: 'auto', boxShadow: '0 20px 60px rgba(0, 0, 0, 0.3)' }}>
+        <h3 id="shipment-conflict-title" style={{ margin: '0 0 0.5rem', color: '#78350f', fontSize: '1.1rem' }}>
+          {orderRef ? `${orderRef} was changed by someone else` : 'Shipment was changed by someone else'}
+        </h3>
+        <p style={{ margin: '0 0 1rem', fontSize: '0.85rem', color: 'var(--text-700)' }}>
+          {actionLabel
+            ? `The shipment changed after you opened it${savedAt ? ` (saved ${new Date(savedAt).toLocaleString()})` : ''}. Check the changes below before you ${actionLabel.toLowerCase()}.`
+            : `Your changes were not saved because the shipment changed after you opened it${savedAt ? ` (saved ${new Date(savedAt).toLocaleString()})` : ''}. ${conflicts.length > 0 ? 'Choose which value to keep where you both changed the same field.' : 'Your changes can be applied on top of theirs.'}`}
+        </p>
+
+        {rows.length === 0 ? (
+          <p style={{ fontSize: '0.85rem', color: 'var(--text-500)' }}>No field differences — only the version changed.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '1rem' }}>
+            <thead>
+              <tr>
+                <th style={headerCellStyle}>Field</th>
+                <th style={headerCellStyle}>When you opened it</th>
+                <th style={headerCellStyle}>Saved by someone else</th>
+                {!actionLabel && <th style={headerCellStyle}>Your change</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.field} style={{ backgroundColor: row.conflict ? '#fef3c7' : undefined }}>
+                  <td style={{ ...cellStyle, fontWeight: 500 }}>{row.label}</td>
+                  <td style={{ ...cellStyle, color: 'var(--text-500)' }}>{formatValue(row.field, row.base)}</td>
+                  <td style={cellStyle}>
+                    {row.conflict ? (
+                      <label style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', cursor: 'pointer' }}>
+                        <input
+                          type="radio"
+                          name={`conflict-${row.field}`}
+                          checked={choices[row.field] !== 'mine'}
+                          onChange={() => setChoices(prev => ({ ...prev, [row.field]: 'theirs' }))}
+                        />
+                        {formatValue(row.field, row.theirs)}
+                      </label>
+                    ) : (
+                      <span style={{ color: row.changedByThem ? 'var(--text-900)' : 'var(--text-500)' }}>
+                        {row.changedByThem ? formatValue(row.field, row.theirs) : 'unchanged'}
+                      </span>
+                    )}
+                  </td>
+                  {!actionLabel && (
+                    <td style={cellStyle}>
+                      {row.conflict ? (
+                        <label style={{ display: 'flex', gap: '6px', alignItems: 'flex-start', cursor: 'pointer' }}>
+                          <input
+                            type="radio"
+                            name={`conflict-${row.field}`}
+                            checked={choices[row.field] === 'mine'}
+                            onChange={() => setChoices(prev => ({ ...prev, [row.field]: 'mine' }))}
+                          />
+                          {formatValue(row.field, row.mine)}
+                        </label>
+                      ) : (
+                        <span style={{ color: row.changedByMe ? 'var(--text-900)' : 'var(--text-500)' }}>
+                          {row.changedByMe ? formatValue(row.field, row.mine) : 'unchanged'}
+                        </span>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem' }}>
+          <button
+            onClick={onDiscard}
+            disabled={saving}
+            style={{ padding: '8px 16px', backgroundColor: 'white', border: '1px solid var(--border)', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+          >
+            {actionLabel ? 'Cancel' : 'Discard my changes'}
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={saving || (!actionLabel && !hasChanges)}
+            style={{ padding: '8px 16px', backgroundColor: '#d97706', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem', fontWeight: 600, opacity: saving || (!actionLabel && !hasChanges) ? 0.6 : 1 }}
+          >
+            {saving ? 'Saving...' : actionLabel ? `${actionLabel} anyway` : 'Save merged changes'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShipmentConflictDialog;
@@ -55,6 +55,17 @@ function ShipmentTable({ shipments, suppliers = [], onUpdateShipment, onDeleteSh
   // Refs for debounced input timeouts
   const timeoutRefs = useRef({});
 
+  // Each shipment as it was when the user started editing it, so the save is
+  // checked against the version they saw rather than a later background sync
+  const editBaseRef = useRef({});
+  const shipmentsRef = useRef(shipments);
+  shipmentsRef.current = shipments;
+  const rememberEditBase = useCallback((shipmentId) => {
+    if (!editBaseRef.current[shipmentId]) {
+      editBaseRef.current[shipmentId] = shipmentsRef.current.find(s => s.id === shipmentId);
+    }
+  }, []);
+
   const filteredAndSortedShipments = useMemo(() => {
     let filtered = shipments.filter(shipment => {
       const matchesSearch = searchTerm === '' ||
@@ -221,6 +232,7 @@ function ShipmentTable({ shipments, suppliers = [], onUpdateShipment, onDeleteSh
   // Track field changes without auto-saving
   const handleTextInputChange = useCallback((shipmentId, field, value) => {
     const key = `${shipmentId}-${field}`;
+    rememberEditBase(shipmentId);
 
     // Update local state immediately for UI responsiveness
     setLocalTextValues(prev => ({ ...prev, [key]: value }));
@@ -239,10 +251,11 @@ function ShipmentTable({ shipments, suppliers = [], onUpdateShipment, onDeleteSh
       clearTimeout(timeoutRefs.current[key]);
       delete timeoutRefs.current[key];
     }
-  }, []);
+  }, [rememberEditBase]);
 
   // Handle dropdown changes (incoterm, forwardingAgent)
   const handleDropdownChange = useCallback((shipmentId, field, value) => {
+    rememberEditBase(shipmentId);
     setEdits(prev => ({
       ...prev,
       [shipmentId]: {
@@ -250,14 +263,16 @@ function ShipmentTable({ shipments, suppliers = [], onUpdateShipment, onDeleteSh
         [field]: value
       }
     }));
-  }, []);
+  }, [rememberEditBase]);
 
   // Save all changes for a specific shipment
   const saveShipment = useCallback(async (shipmentId) => {
     const changes = edits[shipmentId];
     if (!changes || Object.keys(changes).length === 0) return;
 
-    await onUpdateShipment(shipmentId, changes);
+    const base = editBaseRef.current[shipmentId];
+    delete editBaseRef.current[shipmentId];
+    await onUpdateShipment(shipmentId, changes, base);
 
     // Clear edits and local text values for this shipment
     setEdits(prev => {
@@ -388,7 +403,7 @@ function ShipmentTable({ shipments, suppliers = [], onUpdateShipment, onDeleteSh
 
   const handleSaveAmendment = async (shipmentData) => {
     try {
-      await onUpdateShipment(amendingShipment.id, shipmentData);
+      await onUpdateShipment(amendingShipment.id, shipmentData, amendingShipment);
       setAmendingShipment(null);
     } catch (error) {
       console.error('Error amending shipment:', error);
@@ -473,10 +488,7 @@ function ShipmentTable({ shipments, suppliers = [], onUpdateShipment, onDeleteSh
         const shipment = shipments.find(s => s.id === id);
         if (!shipment) return Promise.resolve();
 
-        return onUpdateShipment({
-          ...shipment,
-          latestStatus: newStatus
-        });
+        return onUpdateShipment(id, { latestStatus: newStatus }, shipment);
       });
 
       await Promise.all(updatePromises);
@@ -989,6 +1001,11 @@ function ShipmentTable({ shipments, suppliers = [], onUpdateShipment, onDeleteSh
           setShowOrderDetailsModal(false);
           setOrderDetailsShipment(null);
         }}
+        onStatusChange={(status) => {
+          setShowOrderDetailsModal(false);
+          setOrderDetailsShipment(null);
+          handleStatusUpdate(orderDetailsShipment.id, status);
+        }}
       />
     </div>
   );
@@ -1,10 +1,19 @@
 import React from 'react';
+import { STATUS_LABELS, STATUS_COLORS } from '../types/shipment';
+import useStatusGraph from '../hooks/useStatusGraph';
+import useShipmentEvents from '../hooks/useShipmentEvents';
+import { canonicalStatus } from '../utils/shipmentStateMachine';
+import { getStatusEnteredDates, getTimeInStatus, formatDuration } from '../utils/shipmentEvents';
 
 /**
  * Shipment Timeline / Progress Bar
  *
  * Milestones:  Ordered -> In Transit -> Port/Berth -> Customs -> Warehouse -> Stored
- * Each milestone maps to a group of ShipmentStatus values.
+ * Each milestone maps to a group of ShipmentStatus values, dated by when the
+ * shipment first reached it (from its event history, falling back to the
+ * shipment's own dates). Below the bar, how long it spent in each status and
+ * the statuses it can move to next (from the server's status graph);
+ * clickable when onStatusChange is given.
  */
 
 const MILESTONES = [
@@ -74,6 +83,12 @@ function getMilestoneIndex(status) {
   return -1;
 }
 
+// Earliest date the shipment entered any of the milestone's statuses
+function getMilestoneReachedAt(milestone, enteredDates) {
+  const dates = milestone.statuses.map(s => enteredDates[s]).filter(Boolean).sort();
+  return dates[0] || null;
+}
+
 function formatShortDate(val) {
   if (!val) return null;
   try {
@@ -101,12 +116,18 @@ function injectKeyframes() {
   document.head.appendChild(style);
 }
 
-const ShipmentTimeline = ({ shipment, compact = false }) => {
+const ShipmentTimeline = ({ shipment, compact = false, onStatusChange }) => {
+  const { nextStatuses } = useStatusGraph();
+  const status = shipment?.latestStatus || shipment?.latest_status || '';
+  const events = useShipmentEvents(compact ? null : shipment?.id, shipment?.version ?? status);
   if (!shipment) return null;
   injectKeyframes();
 
-  const status = shipment.latestStatus || shipment.latest_status || '';
-  const activeIdx = getMilestoneIndex(status);
+  const activeIdx = getMilestoneIndex(canonicalStatus(status));
+  const nextStates = compact ? [] : nextStatuses(status);
+  const enteredDates = getStatusEnteredDates(events);
+  const timeInStatus = getTimeInStatus(events);
+  const visitedStatuses = Object.keys(enteredDates);
 
   // Colors
   const DONE = '#22c55e';   // green
@@ -201,7 +222,8 @@ const ShipmentTimeline = ({ shipment, compact = false }) => {
             const isDone = i < activeIdx;
             const isActive = i === activeIdx;
 
-            const dateVal = ms.dateKey ? formatShortDate(shipment[ms.dateKey]) : null;
+            const reachedAt = getMilestoneReachedAt(ms, enteredDates);
+            const dateVal = formatShortDate(reachedAt || (ms.dateKey ? shipment[ms.dateKey] : null));
 
             return (
               <React.Fragment key={ms.label}>
@@ -224,12 +246,16 @@ const ShipmentTimeline = ({ shipment, compact = false }) => {
                     {ms.label}
                   </span>
                   {dateVal && (
-                    <span style={{
-                      fontSize: 9,
-                      color: 'var(--text-400, #9ca3af)',
-                      marginTop: 1,
-                      whiteSpace: 'nowrap',
-                    }}>
+                    <span
+                      title={reachedAt ? 'Reached' : 'Planned'}
+                      style={{
+                        fontSize: 9,
+                        color: 'var(--text-400, #9ca3af)',
+                        fontStyle: reachedAt ? 'normal' : 'italic',
+                        marginTop: 1,
+                        whiteSpace: 'nowrap',
+                      }}
+                    >
                       {dateVal}
                     </span>
                   )}
@@ -239,6 +265,77 @@ const ShipmentTimeline = ({ shipment, compact = false }) => {
           })}
         </div>
       )}
+
+      {/* Time spent in each status, in the order they were reached */}
+      {visitedStatuses.length > 0 && (
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          gap: 4,
+          marginTop: 10,
+        }}>
+          <span style={{ fontSize: 10, fontWeight: 600, color: FUTURE_TEXT, marginRight: 2 }}>Time in status:</span>
+          {visitedStatuses.map(s => {
+            const isCurrent = s === canonicalStatus(status);
+            return (
+              <span
+                key={s}
+                title={`Entered ${new Date(enteredDates[s]).toLocaleString('en-ZA')}${isCurrent ? ' (current)' : ''}`}
+                style={{
+                  fontSize: 10,
+                  fontWeight: isCurrent ? 700 : 500,
+                  padding: '2px 8px',
+                  borderRadius: 10,
+                  background: 'var(--surface-2, #f3f4f6)',
+                  borderLeft: `3px solid ${STATUS_COLORS[s] || FUTURE}`,
+                  color: DONE_TEXT,
+                  whiteSpace: 'nowrap',
+                }}
+              >
+                {STATUS_LABELS[s] || s} · {formatDuration(timeInStatus[s])}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Valid next statuses */}
+      {nextStates.length > 0 && (
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          alignItems: 'center',
+          gap: 4,
+          marginTop: 10,
+        }}>
+          <span style={{ fontSize: 10, fontWeight: 600, color: FUTURE_TEXT, marginRight: 2 }}>Next:</span>
+          {nextStates.map(next => {
+            const chipStyle = {
+              fontSize: 10,
+              fontWeight: 500,
+              padding: '2px 8px',
+              borderRadius: 10,
+              border: `1px solid ${STATUS_COLORS[next] || FUTURE}`,
+              color: DONE_TEXT,
+              background: 'transparent',
+              whiteSpace: 'nowrap',
+            };
+            return onStatusChange ? (
+              <button
+                key={next}
+                type="button"
+                onClick={() => onStatusChange(next)}
+                style={{ ...chipStyle, cursor: 'pointer' }}
+              >
+                {STATUS_LABELS[next] || next}
+              </button>
+            ) : (
+              <span key={next} style={chipStyle}>{STATUS_LABELS[next] || next}</span>
+            );
+          })}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { authUtils } from '../utils/auth';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import { LOCATION_RULES, buildLocationTree, warehouseUsage } from '../utils/storageLocations';
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+
+const EMPTY_AISLE_FORM = { zone: '', aisle: 1, count: 10, capacityPallets: LOCATION_RULES.defaultPalletsPerBin };
+
+const binColor = (location) => {
+  if (!location.occupied) return undefined;
+  return location.freePallets === 0 ? 'var(--surface-2)' : '#e3f2fd';
+};
+
+/**
+ * Bin map for one warehouse: zones and aisles with the pallets stored in each
+ * bin. Stock in a bin is dragged onto another bin to move it; admins lay out
+ * the aisles here. Bins used on the capacity cards is counted from this map.
+ */
+function StorageLocations({ warehouse, onChange }) {
+  const { showSuccess, showError } = useNotification();
+  const isAdmin = authUtils.getUser()?.role === 'admin';
+  const [locations, setLocations] = useState([]);
+  const [placements, setPlacements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [aisleForm, setAisleForm] = useState(EMPTY_AISLE_FORM);
+
+  const fetchLocations = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [locationsRes, placementsRes] = await Promise.all([
+        authFetch(getApiUrl(`/api/storage-locations?warehouse=${encodeURIComponent(warehouse)}`)),
+        authFetch(getApiUrl(`/api/storage-locations/placements?warehouse=${encodeURIComponent(warehouse)}`)),
+      ]);
+      if (locationsRes.ok) setLocations(await locationsRes.json());
+      if (placementsRes.ok) setPlacements(await placementsRes.json());
+    } catch (err) {
+      console.error('Error fetching storage locations:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [warehouse]);
+
+  useEffect(() => { fetchLocations(); }, [fetchLocations]);
+
+  const tree = useMemo(() => buildLocationTree(locations), [locations]);
+  const usage = useMemo(() => warehouseUsage(locations)[warehouse.toUpperCase()], [locations, warehouse]);
+  const placementsByLocation = useMemo(() => {
+    const map = {};
+    placements.forEach(p => { (map[p.location_id] = map[p.location_id] || []).push(p); });
+    return map;
+  }, [placements]);
+  const selected = locations.find(l => l.id === selectedId) || null;
+
+  const refresh = () => {
+    fetchLocations();
+    if (onChange) onChange();
+  };
+
+  const handleDrop = async (e, location) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const placement = placements.find(p => String(p.id) === e.dataTransfer.getData('text/plain'));
+    if (!placement || placement.location_id === location.id) return;
+    const pallets = Math.min(placement.pallets, location.freePallets);
+    try {
+      const res = await authFetch(getApiUrl(`/api/shipments/${placement.shipment_id}/move`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          destination: location.warehouse,
+          movePallets: pallets,
+          fromLocationId: placement.location_id,
+          toLocationId: location.id,
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to move stock');
+      showSuccess(`${placement.order_ref}: ${pallets} pallet${pallets === 1 ? '' : 's'} moved to ${location.code}`);
+      refresh();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const addAisle = async () => {
+    try {
+      const res = await authFetch(getApiUrl('/api/storage-locations'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          warehouse,
+          zone: aisleForm.zone,
+          aisle: parseInt(aisleForm.aisle, 10),
+          count: parseInt(aisleForm.count, 10),
+          capacityPallets: parseInt(aisleForm.capacityPallets, 10),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to add bins');
+      showSuccess(`${data.length} bin${data.length === 1 ? '' : 's'} added to ${warehouse}`);
+      setAisleForm({ ...aisleForm, aisle: parseInt(aisleForm.aisle, 10) + 1 });
+      refresh();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const deleteLocation = async (location) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/storage-locations/${location.id}`), { method: 'DELETE' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to remove bin');
+      if (selectedId === location.id) setSelectedId(null);
+      refresh();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '1.5rem' }}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        style={{
+          display: 'flex', alignItems: 'center', gap: 8, width: '100%',
+          padding: '10px 16px', background: 'var(--surface-2)', border: 'none',
+          borderBottom: expanded ? '1px solid var(--border)' : 'none',
+          borderRadius: expanded ? '8px 8px 0 0' : 8,
+          cursor: 'pointer', fontSize: 13, fontWeight: 600, color: 'var(--text-700)',
+        }}
+      >
+        <span style={{ transform: expanded ? 'rotate(90deg)' : 'rotate(0deg)', transition: 'transform 0.2s', fontSize: 11 }}>▶</span>
+        Storage Locations
+        <span style={{ fontWeight: 400, color: 'var(--text-500)', fontSize: 12 }}>
+          {usage
+            ? `${usage.binsUsed} of ${usage.totalBins} bins occupied · ${usage.palletsStored} pallets stored`
+            : 'No bins laid out yet; bins used is entered by hand'}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="dash-panel" style={{ borderRadius: '0 0 8px 8px', padding: '1rem 1.25rem', display: 'flex', gap: '1rem', alignItems: 'flex-start' }}>
+          <div style={{ flex: 1, overflowX: 'auto' }}>
+            {isAdmin && (
+              <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '0.5rem' }}>
+                <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={() => setShowSettings(!showSettings)}>
+                  {showSettings ? 'Hide Settings' : 'Location Settings'}
+                </button>
+              </div>
+            )}
+
+            {loading && locations.length === 0 ? (
+              <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>
+            ) : tree.length === 0 ? (
+              <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+                {warehouse} has no storage locations yet.{isAdmin ? ' Add aisles under Location Settings to lay out the bins.' : ''}
+              </div>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                {tree.map(({ zone, aisles }) => (
+                  <div key={zone}>
+                    <div style={{ fontWeight: 700, color: 'var(--text-700)', fontSize: '0.85rem', marginBottom: '0.25rem' }}>Zone {zone}</div>
+                    {aisles.map(({ aisle, bins }) => (
+                      <div key={aisle} style={{ display: 'flex', gap: '0.5rem', alignItems: 'stretch', marginBottom: '0.35rem' }}>
+                        <div style={{ width: '56px', fontSize: '0.75rem', color: 'var(--text-500)', display: 'flex', alignItems: 'center' }}>
+                          Aisle {String(aisle).padStart(2, '0')}
+                        </div>
+                        <div style={{ display: 'flex', gap: '0.35rem', flexWrap: 'wrap', flex: 1 }}>
+                          {bins.map(location => (
+                            <div
+                              key={location.id}
+                              onClick={() => setSelectedId(location.id)}
+                              onDragOver={e => { if (location.freePallets > 0) { e.preventDefault(); setDropTarget(location.id); } }}
+                              onDragLeave={() => setDropTarget(null)}
+                              onDrop={e => handleDrop(e, location)}
+                              title={(placementsByLocation[location.id] || []).map(p => `${p.order_ref} (${p.pallets})`).join(', ') || 'Empty'}
+                              style={{
+                                width: '64px', padding: '4px', borderRadius: '6px', cursor: 'pointer',
+                                border: '1px solid var(--border)', boxSizing: 'border-box', fontSize: '0.7rem',
+                                background: binColor(location),
+                                outline: dropTarget === location.id ? '2px dashed var(--accent)'
+                                  : selectedId === location.id ? '2px solid var(--accent)' : undefined,
+                              }}
+                            >
+                              <div style={{ display: 'flex', justifyContent: 'space-between', color: 'var(--text-500)' }}>
+                                <span>{String(location.bin).padStart(2, '0')}</span>
+                                {showSettings && !location.occupied && (
+                                  <button
+                                    className="btn btn-ghost danger"
+                                    style={{ fontSize: '0.6rem', padding: '0 3px' }}
+                                    onClick={e => { e.stopPropagation(); deleteLocation(location); }}
+                                    title="Remove bin"
+                                  >
+                                    &times;
+                                  </button>
+                                )}
+                              </div>
+                              <div style={{ fontWeight: 600, color: 'var(--text-900)' }}>
+                                {location.palletsStored}/{location.capacity_pallets}
+                              </div>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div style={{ width: '260px', display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+            {/* Selected bin */}
+            <div style={{ fontSize: '0.8rem' }}>
+              {selected ? (
+                <>
+                  <h4 style={{ margin: '0 0 0.25rem', fontSize: '0.9rem', color: 'var(--text-900)' }}>Bin {selected.code}</h4>
+                  <div style={{ color: 'var(--text-500)', marginBottom: '0.5rem' }}>
+                    {selected.palletsStored} of {selected.capacity_pallets} pallet{selected.capacity_pallets === 1 ? '' : 's'} used
+                  </div>
+                  {(placementsByLocation[selected.id] || []).length === 0 ? (
+                    <p style={{ margin: 0, color: 'var(--text-500)' }}>Empty</p>
+                  ) : (
+                    <>
+                      <p style={{ margin: '0 0 0.25rem', fontSize: '0.75rem', color: 'var(--text-500)' }}>Drag stock onto another bin to move it</p>
+                      {placementsByLocation[selected.id].map(p => (
+                        <div
+                          key={p.id}
+                          draggable
+                          onDragStart={e => e.dataTransfer.setData('text/plain', String(p.id))}
+                          style={{
+                            padding: '4px 6px', marginTop: '3px', borderRadius: '6px', cursor: 'grab',
+                            background: 'var(--surface)', border: '1px solid var(--border)',
+                          }}
+                        >
+                          <div style={{ fontWeight: 600, color: 'var(--text-900)' }}>{p.order_ref}</div>
+                          <div style={{ fontSize: '0.7rem', color: 'var(--text-500)' }}>
+                            {p.supplier} · {p.pallets} pallet{p.pallets === 1 ? '' : 's'}
+                          </div>
+                        </div>
+                      ))}
+                    </>
+                  )}
+                </>
+              ) : (
+                <p style={{ margin: 0, color: 'var(--text-500)' }}>Select a bin to see what is stored in it</p>
+              )}
+            </div>
+
+            {showSettings && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', borderTop: '1px solid var(--border)', paddingTop: '0.75rem' }}>
+                <h4 style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-900)' }}>Add Aisle</h4>
+                <p style={{ margin: 0, fontSize: '0.75rem', color: 'var(--text-500)' }}>
+                  Adding to an existing aisle continues its bin numbering.
+                </p>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+                  <div>
+                    <label style={labelStyle}>Zone</label>
+                    <input type="text" className="input" maxLength={3} placeholder="A" value={aisleForm.zone} onChange={e => setAisleForm({ ...aisleForm, zone: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>Aisle</label>
+                    <input type="number" min="1" max="99" className="input" value={aisleForm.aisle} onChange={e => setAisleForm({ ...aisleForm, aisle: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>Bins</label>
+                    <input type="number" min="1" max={LOCATION_RULES.maxBinsPerAisle} className="input" value={aisleForm.count} onChange={e => setAisleForm({ ...aisleForm, count: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+                  </div>
+                  <div>
+                    <label style={labelStyle}>Pallets per bin</label>
+                    <input type="number" min="1" className="input" value={aisleForm.capacityPallets} onChange={e => setAisleForm({ ...aisleForm, capacityPallets: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+                  </div>
+                </div>
+                <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={addAisle} disabled={!aisleForm.zone.trim()}>+ Add Bins</button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StorageLocations;
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import {
+  RESOLUTION_TYPES,
+  sourceLabel,
+  statusLabel,
+  resolutionLabel,
+  canTransition,
+  isClaimActive,
+  formatClaimValue,
+} from '../utils/supplierClaims';
+import OpenClaimModal from './OpenClaimModal';
+
+const STATUS_COLORS = {
+  open: 'var(--warning)',
+  acknowledged: 'var(--info)',
+  disputed: 'var(--danger)',
+  resolved: 'var(--success)',
+  closed: 'var(--text-500)',
+  cancelled: 'var(--text-500)',
+};
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '8px', borderRadius: '6px', border: '1px solid var(--border)', background: 'var(--surface)', color: 'var(--text-900)' };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-ZA', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+function StatusBadge({ status }) {
+  return (
+    <span style={{
+      padding: '2px 8px', borderRadius: '10px', fontSize: '0.75rem', fontWeight: 600,
+      color: STATUS_COLORS[status], border: `1px solid ${STATUS_COLORS[status]}`,
+    }}>
+      {statusLabel(status)}
+    </span>
+  );
+}
+
+/**
+ * A claim's details, documents, the supplier's response and the actions
+ * open to it: resolve, close or cancel
+ */
+function ClaimDetailModal({ claimId, onClose, onChanged }) {
+  const { showSuccess, showError } = useNotification();
+  const [claim, setClaim] = useState(null);
+  const [resolution, setResolution] = useState({ resolutionType: 'credit_note', resolutionReference: '', resolutionValue: '', resolutionNotes: '' });
+  const [cancelNotes, setCancelNotes] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const fetchClaim = useCallback(async () => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/claims/${claimId}`));
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to load claim');
+      setClaim(data);
+    } catch (err) {
+      showError(err.message);
+    }
+  }, [claimId, showError]);
+
+  useEffect(() => { fetchClaim(); }, [fetchClaim]);
+
+  const post = async (path, body, message) => {
+    setSaving(true);
+    try {
+      const res = await authFetch(getApiUrl(`/api/claims/${claimId}${path}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to update claim');
+      showSuccess(message(data));
+      setCancelNotes(null);
+      await fetchClaim();
+      onChanged();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResolve = () => post('/resolve', {
+    ...resolution,
+    resolutionValue: resolution.resolutionValue === '' ? null : Number(resolution.resolutionValue),
+  }, data => `Claim ${data.claim_number} resolved by ${resolutionLabel(data.resolution_type).toLowerCase()}`);
+
+  const handleCancel = () => {
+    if (!cancelNotes?.trim()) {
+      showError('A note is required to cancel a claim');
+      return;
+    }
+    post('/cancel', { notes: cancelNotes.trim() }, data => `Claim ${data.claim_number} cancelled`);
+  };
+
+  const handleUpload = async () => {
+    if (!files.length) return;
+    setSaving(true);
+    try {
+      const form = new FormData();
+      files.forEach(file => form.append('documents', file));
+      const res = await authFetch(getApiUrl(`/api/claims/${claimId}/documents`), { method: 'POST', body: form });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || data.details || 'Failed to attach files');
+      showSuccess(`${data.length} file${data.length === 1 ? '' : 's'} attached`);
+      setFiles([]);
+      await fetchClaim();
+      onChanged();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/claims/${claimId}/documents/${doc.id}`));
+      if (!res.ok) throw new Error('Failed to download document');
+      const url = URL.createObjectURL(await res.blob());
+      const link = window.document.createElement('a');
+      link.href = url;
+      link.download = doc.file_name;
+      window.document.body.appendChild(link);
+      link.click();
+      window.document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const row = (label, value) => (
+    <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', fontSize: '0.85rem', padding: '3px 0' }}>
+      <span style={{ color: 'var(--text-500)' }}>{label}</span>
+      <span style={{ color: 'var(--text-900)', textAlign: 'right' }}>{value}</span>
+    </div>
+  );
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)',
+        display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000
+      }}
+    >
+      <div
+        onClick={e => e.stopPropagation()}
+        style={{
+          backgroundColor: 'var(--surface)', padding: '1.5rem', borderRadius: '12px',
+          boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '600px',
+          maxHeight: '85vh', overflow: 'auto', border: '1px solid var(--border)'
+        }}
+      >
+        {!claim ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>
+        ) : (
+          <>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.25rem' }}>
+              <h3 style={{ margin: 0, color: 'var(--text-900)' }}>{claim.claim_number}</h3>
+              <StatusBadge status={claim.status} />
+            </div>
+            <p style={{ margin: '0 0 1rem', color: 'var(--text-500)', fontSize: '0.85rem' }}>
+              {claim.order_ref || '-'} &mdash; {claim.supplier || '-'} &mdash; {claim.product_name || 'N/A'}
+            </p>
+
+            {row('Reason', sourceLabel(claim.source))}
+            {row('Affected quantity', claim.affected_quantity)}
+            {row('Unit landed cost', formatClaimValue(claim.unit_cost))}
+            {row('Claim value', <strong>{formatClaimValue(claim.claim_value)}</strong>)}
+            {row('Opened', `${formatDate(claim.created_at)} by ${claim.created_by || '-'}`)}
+            <p style={{ margin: '0.75rem 0', fontSize: '0.85rem', color: 'var(--text-700)', whiteSpace: 'pre-wrap' }}>{claim.description}</p>
+
+            {claim.responded_at && (
+              <div style={{ margin: '0 0 0.75rem', padding: '0.6rem 0.75rem', borderRadius: '8px', background: 'var(--surface-2)', fontSize: '0.8rem' }}>
+                <div style={{ fontWeight: 600, color: 'var(--text-700)' }}>
+                  Supplier response &middot; {formatDate(claim.responded_at)} by {claim.responded_by}
+                </div>
+                <div style={{ color: 'var(--text-700)', whiteSpace: 'pre-wrap' }}>{claim.supplier_response || 'No comment'}</div>
+              </div>
+            )}
+
+            {claim.resolved_at && (
+              <div style={{ margin: '0 0 0.75rem' }}>
+                {row('Resolution', resolutionLabel(claim.resolution_type))}
+                {row('Reference', claim.resolution_reference || '-')}
+                {row('Recovered', formatClaimValue(claim.resolution_value))}
+                {row('Resolved', `${formatDate(claim.resolved_at)} by ${claim.resolved_by || '-'}`)}
+              </div>
+            )}
+            {claim.resolution_notes && (
+              <p style={{ margin: '0 0 0.75rem', fontSize: '0.8rem', color: 'var(--text-500)', whiteSpace: 'pre-wrap' }}>{claim.resolution_notes}</p>
+            )}
+
+            <h4 style={{ margin: '1rem 0 0.5rem', color: 'var(--text-900)', fontSize: '0.9rem' }}>Photos and Documents</h4>
+            {claim.documents.length === 0 ? (
+              <div style={{ fontSize: '0.8rem', color: 'var(--text-500)' }}>None attached</div>
+            ) : (
+              <ul style={{ margin: 0, paddingLeft: '1.1rem', fontSize: '0.85rem' }}>
+                {claim.documents.map(doc => (
+                  <li key={doc.id}>
+                    <button className="btn btn-ghost" style={{ fontSize: '0.8rem', padding: '2px 6px' }} onClick={() => handleDownload(doc)}>
+                      {doc.file_name}
+                    </button>
+                    <span style={{ color: 'var(--text-500)', fontSize: '0.75rem' }}>
+                      {doc.from_supplier ? 'from supplier' : doc.uploaded_by} &middot; {formatDate(doc.uploaded_at)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {claim.status !== 'closed' && claim.status !== 'cancelled' && (
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.5rem' }}>
+                <input
+                  type="file"
+                  multiple
+                  accept=".jpg,.jpeg,.png,.webp,.pdf,.doc,.docx,.xls,.xlsx"
+                  onChange={e => setFiles(Array.from(e.target.files || []).slice(0, 10))}
+                  style={{ fontSize: '0.8rem', color: 'var(--text-700)' }}
+                />
+                <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={handleUpload} disabled={saving || !files.length}>
+                  Attach
+                </button>
+              </div>
+            )}
+
+            {canTransition(claim.status, 'resolved') && (
+              <div style={{ marginTop: '1.25rem', paddingTop: '1rem', borderTop: '1px solid var(--border)' }}>
+                <h4 style={{ margin: '0 0 0.5rem', color: 'var(--text-900)', fontSize: '0.9rem' }}>Resolve</h4>
+                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                  <div style={{ flex: 1 }}>
+                    <label style={labelStyle}>Resolution</label>
+                    <select
+                      value={resolution.resolutionType}
+                      onChange={e => setResolution({ ...resolution, resolutionType: e.target.value })}
+                      style={inputStyle}
+                    >
+                      {RESOLUTION_TYPES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                    </select>
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <label style={labelStyle}>Reference</label>
+                    <input
+                      type="text"
+                      value={resolution.resolutionReference}
+                      onChange={e => setResolution({ ...resolution, resolutionReference: e.target.value })}
+                      placeholder="Credit note / PO / RMA no."
+                      style={inputStyle}
+                    />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <label style={labelStyle}>Value (R)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={resolution.resolutionValue}
+                      onChange={e => setResolution({ ...resolution, resolutionValue: e.target.value })}
+                      placeholder={claim.claim_value ?? ''}
+                      style={inputStyle}
+                    />
+                  </div>
+                </div>
+                <textarea
+                  value={resolution.resolutionNotes}
+                  onChange={e => setResolution({ ...resolution, resolutionNotes: e.target.value })}
+                  rows={2}
+                  placeholder="Notes"
+                  style={{ ...inputStyle, resize: 'vertical' }}
+                />
+              </div>
+            )}
+
+            {cancelNotes !== null && (
+              <input
+                type="text"
+                className="input"
+                placeholder="Why is the claim cancelled?"
+                value={cancelNotes}
+                onChange={e => setCancelNotes(e.target.value)}
+                style={{ width: '100%', marginTop: '0.75rem', fontSize: '0.85rem' }}
+              />
+            )}
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1.25rem' }}>
+              {canTransition(claim.status, 'cancelled') && (
+                cancelNotes === null
+                  ? <button className="btn btn-ghost" onClick={() => setCancelNotes('')} disabled={saving}>Cancel Claim</button>
+                  : <button className="btn btn-ghost" style={{ color: 'var(--danger)' }} onClick={handleCancel} disabled={saving}>Confirm Cancel</button>
+              )}
+              {canTransition(claim.status, 'closed') && (
+                <button className="btn btn-primary" onClick={() => post('/close', {}, data => `Claim ${data.claim_number} closed`)} disabled={saving}>
+                  Close Claim
+                </button>
+              )}
+              {canTransition(claim.status, 'resolved') && (
+                <button className="btn btn-primary" onClick={handleResolve} disabled={saving}>Resolve</button>
+              )}
+              <button className="btn btn-ghost" onClick={onClose}>Done</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function SupplierClaims() {
+  const { showError } = useNotification();
+  const [activeTab, setActiveTab] = useState('active');
+  const [claims, setClaims] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [selectedClaimId, setSelectedClaimId] = useState(null);
+  const [claimFor, setClaimFor] = useState(null); // candidate a claim is being opened for
+
+  const fetchAll = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [claimsRes, candidatesRes] = await Promise.all([
+        authFetch(getApiUrl('/api/claims')),
+        authFetch(getApiUrl('/api/claims/candidates')),
+      ]);
+      if (!claimsRes.ok) throw new Error('Failed to load claims');
+      setClaims(await claimsRes.json());
+      if (candidatesRes.ok) setCandidates(await candidatesRes.json());
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => { fetchAll(); }, [fetchAll]);
+
+  const active = claims.filter(c => isClaimActive(c.status) && c.status !== 'resolved');
+  const resolved = claims.filter(c => c.status === 'resolved');
+  const finished = claims.filter(c => !isClaimActive(c.status));
+  const sumOf = (list, field) => list.reduce((sum, c) => sum + (Number(c[field]) || 0), 0);
+  const counted = claims.filter(c => c.status !== 'cancelled');
+
+  const tabs = [
+    { id: 'active', label: 'With Supplier', count: active.length },
+    { id: 'resolved', label: 'Resolved', count: resolved.length },
+    { id: 'finished', label: 'Closed', count: finished.length },
+    { id: 'candidates', label: 'Raise a Claim', count: candidates.length },
+  ];
+
+  const summaryCards = [
+    { label: 'Open Claims', value: active.length, color: active.length > 0 ? 'var(--warning)' : 'var(--text-500)', icon: '\u{1F4CB}' },
+    { label: 'Disputed', value: active.filter(c => c.status === 'disputed').length, color: 'var(--danger)', icon: '\u26A0\uFE0F' },
+    { label: 'Value Outstanding', value: formatClaimValue(sumOf(active, 'claim_value')), color: 'var(--warning)', icon: '\u{1F4B8}' },
+    { label: 'Recovered', value: formatClaimValue(sumOf(counted, 'resolution_value')), color: 'var(--success)', icon: '\u2705' },
+  ];
+
+  const filter = (list) => {
+    if (!searchTerm) return list;
+    const q = searchTerm.toLowerCase();
+    return list.filter(c =>
+      (c.claim_number || '').toLowerCase().includes(q) ||
+      (c.order_ref || '').toLowerCase().includes(q) ||
+      (c.supplier || '').toLowerCase().includes(q) ||
+      (c.product_name || '').toLowerCase().includes(q)
+    );
+  };
+
+  const renderClaims = (list) => {
+    const filtered = filter(list);
+    if (loading) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>;
+    if (filtered.length === 0) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>No claims</div>;
+
+    return (
+      <div style={{ overflowX: 'auto' }}>
+        <table className="table" style={{ fontSize: '0.85rem' }}>
+          <thead>
+            <tr>
+              <th>Claim</th>
+              <th>Order Ref</th>
+              <th>Supplier</th>
+              <th>Reason</th>
+              <th>Qty</th>
+              <th>Value</th>
+              <th>Status</th>
+              <th>Docs</th>
+              <th>Opened</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map(c => (
+              <tr key={c.id} onClick={() => setSelectedClaimId(c.id)} style={{ cursor: 'pointer' }}>
+                <td style={{ fontWeight: 600 }}>{c.claim_number}</td>
+                <td>{c.order_ref || '-'}</td>
+                <td>{c.supplier || '-'}</td>
+                <td>{sourceLabel(c.source)}</td>
+                <td>{c.affected_quantity}</td>
+                <td style={{ fontWeight: 600 }}>{formatClaimValue(c.claim_value)}</td>
+                <td><StatusBadge status={c.status} /></td>
+                <td>{c.document_count || 0}</td>
+                <td style={{ color: 'var(--text-500)' }}>{formatDate(c.created_at)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  const renderCandidates = () => {
+    const filtered = filter(candidates);
+    if (loading) return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>;
+    if (filtered.length === 0) {
+      return <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>No failed, rejected or short shipments without a claim</div>;
+    }
+
+    return (
+      <div style={{ overflowX: 'auto' }}>
+        <table className="table" style={{ fontSize: '0.85rem' }}>
+          <thead>
+            <tr>
+              <th>Order Ref</th>
+              <th>Supplier</th>
+              <th>Product</th>
+              <th>Problem</th>
+              <th>Ordered</th>
+              <th>Received</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map(s => (
+              <tr key={s.shipment_id}>
+                <td style={{ fontWeight: 600 }}>{s.order_ref}</td>
+                <td>{s.supplier || '-'}</td>
+                <td>{s.product_name || '-'}</td>
+                <td>
+                  {sourceLabel(s.source)}
+                  {s.source === 'receiving' && (
+                    <span style={{ display: 'block', fontSize: '0.75rem', color: 'var(--warning)' }}>{s.outstanding_quantity} outstanding</span>
+                  )}
+                </td>
+                <td>{s.quantity ?? '-'}</td>
+                <td>{s.received_quantity ?? '-'}</td>
+                <td>
+                  <button className="btn btn-primary" style={{ fontSize: '0.8rem', padding: '4px 8px' }} onClick={() => setClaimFor(s)}>
+                    Open Claim
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ padding: '2rem' }}>
+      <div className="brand-strip" />
+      <div className="page-header" style={{ marginBottom: '1.5rem' }}>
+        <h2 style={{ margin: '0 0 0.5rem 0', color: 'var(--text-900)' }}>
+          Supplier Claims
+        </h2>
+        <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '0.9rem' }}>
+          Claim failed, rejected and short-delivered stock back from suppliers and track each claim to a credit note, replacement or return
+        </p>
+      </div>
+
+      {/* Summary Cards */}
+      <div className="stats-grid" style={{ marginBottom: '1.5rem' }}>
+        {summaryCards.map(card => (
+          <div key={card.label} className="stat-card" style={{ borderLeft: `3px solid ${card.color}` }}>
+            <h3 style={{ margin: '0 0 2px', fontSize: '20px', fontWeight: 700, color: 'var(--navy-900)' }}>
+              {card.icon} {card.value}
+            </h3>
+            <p style={{ margin: 0, color: 'var(--text-500)', fontSize: '11px' }}>{card.label}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Search + Tabs */}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', flexWrap: 'wrap', gap: '0.5rem' }}>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {tabs.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              style={{
+                padding: '8px 16px',
+                borderRadius: '8px',
+                border: 'none',
+                background: activeTab === tab.id ? 'var(--accent)' : 'var(--surface-2)',
+                color: activeTab === tab.id ? '#fff' : 'var(--text-700)',
+                fontWeight: 600,
+                fontSize: '0.85rem',
+                cursor: 'pointer',
+                transition: 'all 0.15s',
+              }}
+            >
+              {tab.label} {tab.count > 0 && <span style={{ opacity: 0.8 }}>({tab.count})</span>}
+            </button>
+          ))}
+        </div>
+
+        <input
+          type="text"
+          placeholder="Search claims..."
+          value={searchTerm}
+          onChange={e => setSearchTerm(e.target.value)}
+          className="input"
+          style={{ width: '240px', fontSize: '0.85rem' }}
+        />
+      </div>
+
+      {/* Tab Content */}
+      <div className="card" style={{ padding: 0, overflow: 'hidden' }}>
+        {activeTab === 'active' && renderClaims(active)}
+        {activeTab === 'resolved' && renderClaims(resolved)}
+        {activeTab === 'finished' && renderClaims(finished)}
+        {activeTab === 'candidates' && renderCandidates()}
+      </div>
+
+      {selectedClaimId && (
+        <ClaimDetailModal claimId={selectedClaimId} onClose={() => setSelectedClaimId(null)} onChanged={fetchAll} />
+      )}
+
+      {claimFor && (
+        <OpenClaimModal
+          shipment={{ ...claimFor, id: claimFor.shipment_id }}
+          source={claimFor.source}
+          backorder={claimFor.backorder_id ? { id: claimFor.backorder_id, outstanding_quantity: claimFor.outstanding_quantity } : null}
+          onClose={() => setClaimFor(null)}
+          onOpened={(claim) => { fetchAll(); setSelectedClaimId(claim.id); }}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SupplierClaims;
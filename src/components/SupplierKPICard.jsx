@@ -1,11 +1,11 @@
 import React, { useMemo } from 'react';
 import { SupplierMetrics } from '../utils/supplierMetrics';
 
-function SupplierKPICard({ supplier, shipments }) {
+function SupplierKPICard({ supplier, shipments, claims = null }) {
   const metrics = useMemo(() => {
     // Try matching by name first, then by code if available
     const supplierName = supplier.name || supplier.code;
-    const calculatedMetrics = SupplierMetrics.calculateAllMetrics(shipments, supplierName);
+    const calculatedMetrics = SupplierMetrics.calculateAllMetrics(shipments, supplierName, claims);
 
     // Debug: Log if no data found for supplier
     if (calculatedMetrics.totalShipments === 0 && shipments.length > 0) {
@@ -14,7 +14,7 @@ function SupplierKPICard({ supplier, shipments }) {
     }
 
     return calculatedMetrics;
-  }, [supplier, shipments]);
+  }, [supplier, shipments, claims]);
 
   const getTrendIndicator = () => {
     if (!metrics.trend || metrics.trend.length < 2) return null;
@@ -158,6 +158,50 @@ function SupplierKPICard({ supplier, shipments }) {
           </div>
         </div>
 
+        {/* Fill Rate */}
+        <div style={{
+          padding: '0.75rem',
+          backgroundColor: 'white',
+          borderRadius: '6px',
+          borderLeft: `4px solid ${metrics.fillRatePercent === null ? '#ccc' : metrics.fillRatePercent >= 95 ? '#28a745' : metrics.fillRatePercent >= 85 ? '#ffc107' : '#dc3545'}`
+        }}>
+          <div style={{ fontSize: '0.85rem', color: '#666', marginBottom: '0.5rem' }}>
+            📦 Fill Rate
+          </div>
+          <div style={{
+            fontSize: '1.5rem',
+            fontWeight: 'bold',
+            color: '#2c3e50'
+          }}>
+            {metrics.fillRatePercent !== null ? `${metrics.fillRatePercent}%` : 'No data'}
+          </div>
+          <div style={{ fontSize: '0.75rem', color: '#999', marginTop: '0.5rem' }}>
+            {metrics.fillRatePercent === null ? 'Nothing received yet' : 'Received against ordered'}
+          </div>
+        </div>
+
+        {/* Claim Rate */}
+        <div style={{
+          padding: '0.75rem',
+          backgroundColor: 'white',
+          borderRadius: '6px',
+          borderLeft: `4px solid ${metrics.claimRatePercent === null ? '#ccc' : metrics.claimRatePercent <= 5 ? '#28a745' : metrics.claimRatePercent <= 10 ? '#ffc107' : '#dc3545'}`
+        }}>
+          <div style={{ fontSize: '0.85rem', color: '#666', marginBottom: '0.5rem' }}>
+            📋 Claim Rate
+          </div>
+          <div style={{
+            fontSize: '1.5rem',
+            fontWeight: 'bold',
+            color: '#2c3e50'
+          }}>
+            {metrics.claimRatePercent !== null ? `${metrics.claimRatePercent}%` : 'No data'}
+          </div>
+          <div style={{ fontSize: '0.75rem', color: '#999', marginTop: '0.5rem' }}>
+            {metrics.claimRatePercent === null ? 'No claim figures' : `${metrics.claimCount} claim${metrics.claimCount === 1 ? '' : 's'} raised`}
+          </div>
+        </div>
+
         {/* Average Lead Time */}
         <div style={{
           padding: '0.75rem',
@@ -6,6 +6,7 @@ import SupplierCharts from './SupplierCharts';
 import { getApiUrl } from '../config/api';
 import { authFetch } from '../utils/authFetch';
 import { formatCurrency } from '../utils/costingCalculations';
+import { formatHsCode } from '../utils/tariffCatalogue';
 import { useNotification } from '../contexts/NotificationContext';
 
 function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onUpdateSupplier, onDeleteSupplier, onImportSchedule, loading }) {
@@ -62,7 +63,8 @@ function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onU
     importFormats: [ImportFormat.EXCEL],
     documentFormats: [DocumentType.SHIPPING_SCHEDULE],
     isActive: true,
-    notes: ''
+    notes: '',
+    defaultHsCode: ''
   });
 
   // Auto-save supplier form
@@ -205,7 +207,8 @@ function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onU
       importFormats: [ImportFormat.EXCEL],
       documentFormats: [DocumentType.SHIPPING_SCHEDULE],
       isActive: true,
-      notes: ''
+      notes: '',
+      defaultHsCode: ''
     });
   }, [editingSupplier, formData, onAddSupplier, onUpdateSupplier, clearSupplierDraft]);
 
@@ -225,7 +228,8 @@ function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onU
       importFormats: supplier.importFormats || [ImportFormat.EXCEL],
       documentFormats: supplier.documentFormats || [DocumentType.SHIPPING_SCHEDULE],
       isActive: supplier.isActive !== false,
-      notes: supplier.notes || ''
+      notes: supplier.notes || '',
+      defaultHsCode: supplier.defaultHsCode || ''
     });
     setShowAddForm(true);
   }, []);
@@ -847,7 +851,7 @@ function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onU
                 />
               </div>
 
-              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
                 <div>
                   <label>Default Terms</label>
                   <select
@@ -885,6 +889,16 @@ function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onU
                     <option value="JPY">JPY</option>
                   </select>
                 </div>
+                <div>
+                  <label title="Prefilled on new product lines in import costing when the product has no HS code of its own">Default HS Code</label>
+                  <input
+                    type="text"
+                    value={formData.defaultHsCode}
+                    onChange={(e) => setFormData(prev => ({ ...prev, defaultHsCode: e.target.value }))}
+                    placeholder="e.g., 0306.17.10"
+                    style={{ width: '100%', padding: '0.5rem', border: '1px solid #e2e8f0', borderRadius: '4px' }}
+                  />
+                </div>
               </div>
 
               <div style={{ marginBottom: '1rem' }}>
@@ -919,7 +933,7 @@ function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onU
                       name: '', code: '', contactEmail: '', contactPhone: '', contactPerson: '',
                       address: '', country: '', defaultTerms: '', paymentTerms: '', currency: 'USD',
                       importFormats: [ImportFormat.EXCEL], documentFormats: [DocumentType.SHIPPING_SCHEDULE],
-                      isActive: true, notes: ''
+                      isActive: true, notes: '', defaultHsCode: ''
                     });
                   })}
                   className="btn btn-secondary"
@@ -1734,6 +1748,9 @@ function SupplierManagement({ suppliers = [], shipments = [], onAddSupplier, onU
               {detailSupplier.defaultTerms && (
                 <div><strong>Terms:</strong> {detailSupplier.defaultTerms}</div>
               )}
+              {detailSupplier.defaultHsCode && (
+                <div><strong>Default HS Code:</strong> {formatHsCode(detailSupplier.defaultHsCode)}</div>
+              )}
             </div>
 
             {/* Shipments Table */}
@@ -1,7 +1,8 @@
-import React, { useMemo, useState, useEffect } from 'react';
+import React, { useMemo, useState } from 'react';
 import { SupplierMetrics } from '../utils/supplierMetrics';
-import { authFetch } from '../utils/authFetch';
-import { getApiUrl } from '../config/api';
+import useLandedCostTrends from '../hooks/useLandedCostTrends';
+import useSupplierClaims from '../hooks/useSupplierClaims';
+import LandedCostTrendChart from './LandedCostTrendChart';
 import {
   Chart as ChartJS,
   CategoryScale, LinearScale, PointElement, LineElement,
@@ -77,24 +78,12 @@ function SupplierPerformance({ shipments }) {
   const [selectedSupplier, setSelectedSupplier] = useState('all');
   const [sortCol, setSortCol] = useState('onTimePercent');
   const [sortDir, setSortDir] = useState('desc');
-  const [costingData, setCostingData] = useState(null);
-
-  // Fetch costing estimates (optional — non-blocking)
-  useEffect(() => {
-    let cancelled = false;
-    (async () => {
-      try {
-        const res = await authFetch(getApiUrl('/api/costing/estimates'));
-        if (res.ok && !cancelled) {
-          const data = await res.json();
-          setCostingData(data.data || data);
-        }
-      } catch {
-        // Silently ignore — cost chart will show empty
-      }
-    })();
-    return () => { cancelled = true; };
-  }, []);
+
+  // Landed cost per supplier from costing estimates (optional — charts show empty without it)
+  const { trends: landedCostTrends } = useLandedCostTrends({ groupBy: 'supplier' });
+
+  // Claims per supplier; once loaded, a supplier missing from the summary has none
+  const { claimsFor, loading: claimsLoading } = useSupplierClaims();
 
   // ---- Unique supplier names ----
   const supplierNames = useMemo(() => {
@@ -107,8 +96,10 @@ function SupplierPerformance({ shipments }) {
 
   // ---- Compute metrics per supplier ----
   const allMetrics = useMemo(() => {
-    return supplierNames.map(name => SupplierMetrics.calculateAllMetrics(shipments, name));
-  }, [shipments, supplierNames]);
+    return supplierNames.map(name => SupplierMetrics.calculateAllMetrics(
+      shipments, name, claimsLoading ? null : (claimsFor(name) || { claim_count: 0 })
+    ));
+  }, [shipments, supplierNames, claimsFor, claimsLoading]);
 
   // ---- Filtered metrics (when a single supplier is selected) ----
   const filteredMetrics = useMemo(() => {
@@ -119,13 +110,21 @@ function SupplierPerformance({ shipments }) {
   // ---- Aggregated KPIs ----
   const kpis = useMemo(() => {
     const active = filteredMetrics.filter(m => m.totalShipments > 0);
-    if (active.length === 0) return { avgOnTime: 0, avgPassRate: 0, avgLeadTime: null, grades: { A: 0, B: 0, C: 0 } };
+    if (active.length === 0) return { avgOnTime: 0, avgPassRate: 0, avgFillRate: null, avgClaimRate: null, avgLeadTime: null, grades: { A: 0, B: 0, C: 0 } };
 
     const avgOnTime = Math.round(active.reduce((s, m) => s + m.onTimePercent, 0) / active.length);
     const withPassRate = active.filter(m => m.passRatePercent !== null);
     const avgPassRate = withPassRate.length > 0
       ? Math.round(withPassRate.reduce((s, m) => s + m.passRatePercent, 0) / withPassRate.length)
       : null;
+    const withFillRate = active.filter(m => m.fillRatePercent !== null);
+    const avgFillRate = withFillRate.length > 0
+      ? Math.round(withFillRate.reduce((s, m) => s + m.fillRatePercent, 0) / withFillRate.length)
+      : null;
+    const withClaimRate = active.filter(m => m.claimRatePercent !== null);
+    const avgClaimRate = withClaimRate.length > 0
+      ? Math.round(withClaimRate.reduce((s, m) => s + m.claimRatePercent, 0) / withClaimRate.length)
+      : null;
     const withLead = active.filter(m => m.avgLeadTime !== null);
     const avgLeadTime = withLead.length > 0
       ? Math.round(withLead.reduce((s, m) => s + m.avgLeadTime, 0) / withLead.length)
@@ -134,7 +133,7 @@ function SupplierPerformance({ shipments }) {
     const grades = { A: 0, B: 0, C: 0 };
     active.forEach(m => { if (m.grade?.grade) grades[m.grade.grade] = (grades[m.grade.grade] || 0) + 1; });
 
-    return { avgOnTime, avgPassRate, avgLeadTime, grades };
+    return { avgOnTime, avgPassRate, avgFillRate, avgClaimRate, avgLeadTime, grades };
   }, [filteredMetrics]);
 
   // ---- On-time color helper ----
@@ -243,24 +242,15 @@ function SupplierPerformance({ shipments }) {
     cutout: '55%',
   }), []);
 
-  // ---- Chart 4: Cost per KG by Supplier ----
+  // ---- Chart 4: Landed Cost per KG by Supplier ----
   const costChartData = useMemo(() => {
-    if (!costingData || !Array.isArray(costingData) || costingData.length === 0) return null;
-
-    // Group by supplier and compute avg cost per kg
-    const supplierCosts = {};
-    costingData.forEach(est => {
-      const supplier = est.supplier || est.supplierName;
-      const totalKg = parseFloat(est.totalKg || est.weight || 0);
-      const totalCost = parseFloat(est.totalCost || est.cost || 0);
-      if (!supplier || !totalKg || !totalCost) return;
-      if (!supplierCosts[supplier]) supplierCosts[supplier] = { totalKg: 0, totalCost: 0 };
-      supplierCosts[supplier].totalKg += totalKg;
-      supplierCosts[supplier].totalCost += totalCost;
-    });
+    if (!landedCostTrends) return null;
 
-    const entries = Object.entries(supplierCosts)
-      .map(([name, d]) => ({ name, costPerKg: +(d.totalCost / d.totalKg).toFixed(2) }))
+    // Product value + duties + allocated freight, weighted by kg over all estimates
+    const entries = landedCostTrends.series
+      .filter(s => s.landed_cost_per_kg_zar !== null)
+      .filter(s => selectedSupplier === 'all' || s.key.trim().toLowerCase() === selectedSupplier.toLowerCase())
+      .map(s => ({ name: s.key, costPerKg: s.landed_cost_per_kg_zar }))
       .sort((a, b) => b.costPerKg - a.costPerKg);
 
     if (entries.length === 0) return null;
@@ -268,14 +258,23 @@ function SupplierPerformance({ shipments }) {
     return {
       labels: entries.map(e => e.name),
       datasets: [{
-        label: 'Cost / KG (ZAR)',
+        label: 'Landed Cost / KG (ZAR)',
         data: entries.map(e => e.costPerKg),
         backgroundColor: '#3b82f6',
         borderRadius: 4,
         barThickness: 20,
       }],
     };
-  }, [costingData]);
+  }, [landedCostTrends, selectedSupplier]);
+
+  // ---- Chart 5: Landed Cost Trend (selected supplier, or the five with the most volume) ----
+  const supplierLandedCostTrends = useMemo(() => {
+    if (!landedCostTrends || selectedSupplier === 'all') return landedCostTrends;
+    return {
+      ...landedCostTrends,
+      series: landedCostTrends.series.filter(s => s.key.trim().toLowerCase() === selectedSupplier.toLowerCase()),
+    };
+  }, [landedCostTrends, selectedSupplier]);
 
   const costChartOptions = useMemo(() => ({
     indexAxis: 'y',
@@ -358,6 +357,20 @@ function SupplierPerformance({ shipments }) {
           color={kpis.avgPassRate !== null ? (kpis.avgPassRate >= 90 ? '#28a745' : kpis.avgPassRate >= 80 ? '#ffc107' : '#dc3545') : 'var(--text-500)'}
           subtext="Based on inspected shipments"
         />
+        <KpiCard
+          label="Avg Fill Rate"
+          value={kpis.avgFillRate !== null ? kpis.avgFillRate : '--'}
+          suffix={kpis.avgFillRate !== null ? '%' : ''}
+          color={kpis.avgFillRate !== null ? (kpis.avgFillRate >= 95 ? '#28a745' : kpis.avgFillRate >= 85 ? '#ffc107' : '#dc3545') : 'var(--text-500)'}
+          subtext="Quantity received vs ordered"
+        />
+        <KpiCard
+          label="Avg Claim Rate"
+          value={kpis.avgClaimRate !== null ? kpis.avgClaimRate : '--'}
+          suffix={kpis.avgClaimRate !== null ? '%' : ''}
+          color={kpis.avgClaimRate !== null ? (kpis.avgClaimRate <= 5 ? '#28a745' : kpis.avgClaimRate <= 10 ? '#ffc107' : '#dc3545') : 'var(--text-500)'}
+          subtext="Supplier claims per shipment"
+        />
         <KpiCard
           label="Avg Lead Time"
           value={kpis.avgLeadTime !== null ? kpis.avgLeadTime : '--'}
@@ -374,7 +387,7 @@ function SupplierPerformance({ shipments }) {
         />
       </div>
 
-      {/* Charts Grid (2x2) */}
+      {/* Charts Grid */}
       <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(420px, 1fr))', gap: 16, marginBottom: 24 }}>
         <ChartCard title="On-Time Delivery by Supplier" subtitle="Sorted by %, colored by grade">
           {onTimeChartData.labels.length > 0
@@ -394,11 +407,15 @@ function SupplierPerformance({ shipments }) {
             : <ChartEmpty label="No graded suppliers" />}
         </ChartCard>
 
-        <ChartCard title="Cost per KG by Supplier" subtitle="From costing estimates">
+        <ChartCard title="Landed Cost per KG by Supplier" subtitle="Product value, duties and freight from import estimates">
           {costChartData
             ? <div style={{ height: Math.max(200, costChartData.labels.length * 32) }}><BarChart data={costChartData} options={costChartOptions} /></div>
             : <ChartEmpty label="No costing data available" />}
         </ChartCard>
+
+        <ChartCard title="Landed Cost Trend" subtitle="Per kg by month">
+          <LandedCostTrendChart trends={supplierLandedCostTrends} height={280} />
+        </ChartCard>
       </div>
 
       {/* Detailed Table */}
@@ -412,6 +429,8 @@ function SupplierPerformance({ shipments }) {
                   { key: 'totalShipments', label: 'Shipments' },
                   { key: 'onTimePercent', label: 'On-Time %' },
                   { key: 'passRatePercent', label: 'Pass Rate %' },
+                  { key: 'fillRatePercent', label: 'Fill Rate %' },
+                  { key: 'claimRatePercent', label: 'Claim Rate %' },
                   { key: 'avgLeadTime', label: 'Avg Lead Time' },
                   { key: 'grade', label: 'Grade' },
                   { key: 'trend', label: 'Trend' },
@@ -433,7 +452,7 @@ function SupplierPerformance({ shipments }) {
             </thead>
             <tbody>
               {sortedTableData.length === 0 && (
-                <tr><td colSpan={7} style={{ padding: 24, textAlign: 'center', color: 'var(--text-500)' }}>No supplier data available</td></tr>
+                <tr><td colSpan={9} style={{ padding: 24, textAlign: 'center', color: 'var(--text-500)' }}>No supplier data available</td></tr>
               )}
               {sortedTableData.map((m, idx) => (
                 <tr
@@ -451,6 +470,12 @@ function SupplierPerformance({ shipments }) {
                   <td style={{ padding: '10px 12px', color: 'var(--text-700)' }}>
                     {m.passRatePercent !== null ? `${m.passRatePercent}%` : '--'}
                   </td>
+                  <td style={{ padding: '10px 12px', color: 'var(--text-700)' }}>
+                    {m.fillRatePercent !== null ? `${m.fillRatePercent}%` : '--'}
+                  </td>
+                  <td style={{ padding: '10px 12px', color: 'var(--text-700)' }}>
+                    {m.claimRatePercent !== null ? `${m.claimRatePercent}% (${m.claimCount})` : '--'}
+                  </td>
                   <td style={{ padding: '10px 12px', color: 'var(--text-700)' }}>
                     {m.avgLeadTime !== null ? `${m.avgLeadTime} days` : '--'}
                   </td>
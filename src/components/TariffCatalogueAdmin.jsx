@@ -0,0 +1,534 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { getApiUrl } from '../config/api';
+import { authFetch } from '../utils/authFetch';
+import { useNotification } from '../contexts/NotificationContext';
+import useTariffCatalogue from '../hooks/useTariffCatalogue';
+import { TRADE_AGREEMENTS, VAT_TREATMENTS, formatHsCode, normalizeHsCode } from '../utils/tariffCatalogue';
+
+// The full tariff book has several thousand lines; only render the first matches
+const MAX_ROWS = 200;
+
+const TABS = [
+  { key: 'tariffs', label: 'Tariff Lines' },
+  { key: 'productDefaults', label: 'Product Defaults' },
+  { key: 'overrides', label: 'Duty Overrides' },
+];
+
+const EMPTY_TARIFF = {
+  hs_code: '', description: '', statistical_unit: '', duty_text: '', duty_percent: '', schedule1_percent: '',
+  vat_treatment: 'standard', preferential_rates: {},
+};
+
+const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '6px 8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '0.85rem' };
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid var(--border)', fontSize: '0.82rem' };
+const headerCellStyle = { ...cellStyle, fontWeight: 600 };
+const linkButtonStyle = { background: 'none', border: 'none', cursor: 'pointer', fontSize: '0.8rem' };
+const primaryButtonStyle = { padding: '8px 16px', backgroundColor: 'var(--navy-900)', color: 'white', border: 'none', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' };
+
+const formatRate = (value) => (value === null || value === undefined ? '-' : `${value}%`);
+const toNumberOrNull = (value) => (value === '' || value === null || value === undefined ? null : parseFloat(value));
+
+function TariffCatalogueAdmin() {
+  const { showSuccess, showError, confirm: confirmAction } = useNotification();
+  const { reload: reloadCostingCatalogue } = useTariffCatalogue();
+  const [catalogue, setCatalogue] = useState({ tariffs: [], productDefaults: [] });
+  const [overrides, setOverrides] = useState([]);
+  const [activeTab, setActiveTab] = useState('tariffs');
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null); // { isNew, data }
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [newDefault, setNewDefault] = useState({ product_name: '', hs_code: '' });
+  const fileInputRef = useRef(null);
+
+  const fetchCatalogue = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [catalogueResponse, overridesResponse] = await Promise.all([
+        authFetch(getApiUrl('/api/tariffs')),
+        authFetch(getApiUrl('/api/tariffs/overrides?limit=200')),
+      ]);
+      if (catalogueResponse.ok) {
+        setCatalogue(await catalogueResponse.json());
+      } else {
+        showError('Failed to load tariff catalogue');
+      }
+      if (overridesResponse.ok) {
+        setOverrides((await overridesResponse.json()).entries || []);
+      }
+    } catch (err) {
+      console.error('Failed to fetch tariff catalogue:', err);
+      showError('Failed to load tariff catalogue');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    fetchCatalogue();
+  }, [fetchCatalogue]);
+
+  // Refresh this page and the catalogue used by the costing screens
+  const refreshAll = async () => {
+    await fetchCatalogue();
+    reloadCostingCatalogue().catch(err => console.error('Failed to reload tariff catalogue:', err));
+  };
+
+  const tariffs = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const digits = normalizeHsCode(q);
+    if (!q) return catalogue.tariffs;
+    return catalogue.tariffs.filter(t =>
+      (digits && t.hs_code.startsWith(digits)) || (t.description || '').toLowerCase().includes(q)
+    );
+  }, [catalogue.tariffs, search]);
+
+  const productDefaults = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    const digits = normalizeHsCode(q);
+    if (!q) return catalogue.productDefaults;
+    return catalogue.productDefaults.filter(d =>
+      d.product_name.toLowerCase().includes(q) || (digits && d.hs_code.startsWith(digits))
+    );
+  }, [catalogue.productDefaults, search]);
+
+  const tariffByCode = useMemo(() => new Map(catalogue.tariffs.map(t => [t.hs_code, t])), [catalogue.tariffs]);
+
+  const startEdit = (tariff) => {
+    const data = tariff
+      ? { ...EMPTY_TARIFF, ...tariff, duty_percent: tariff.duty_percent ?? '', schedule1_percent: tariff.schedule1_percent ?? '' }
+      : EMPTY_TARIFF;
+    setEditing({ isNew: !tariff, data: { ...data, preferential_rates: { ...(data.preferential_rates || {}) } } });
+  };
+
+  const updateField = (field, value) => {
+    setEditing(prev => ({ ...prev, data: { ...prev.data, [field]: value } }));
+  };
+
+  const updatePreferentialRate = (agreement, value) => {
+    setEditing(prev => {
+      const rates = { ...prev.data.preferential_rates };
+      if (value === '') {
+        delete rates[agreement];
+      } else {
+        rates[agreement] = value;
+      }
+      return { ...prev, data: { ...prev.data, preferential_rates: rates } };
+    });
+  };
+
+  const handleSave = async () => {
+    const hsCode = normalizeHsCode(editing.data.hs_code);
+    if (hsCode.length < 4) {
+      showError('HS code must have at least 4 digits');
+      return;
+    }
+    try {
+      setSaving(true);
+      const { data } = editing;
+      const response = await authFetch(getApiUrl(`/api/tariffs/${hsCode}`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          description: data.description || null,
+          statistical_unit: data.statistical_unit || null,
+          duty_text: data.duty_text || null,
+          duty_percent: toNumberOrNull(data.duty_percent),
+          schedule1_percent: toNumberOrNull(data.schedule1_percent),
+          vat_treatment: data.vat_treatment,
+          preferential_rates: Object.fromEntries(
+            Object.entries(data.preferential_rates).map(([agreement, rate]) => [agreement, parseFloat(rate) || 0])
+          ),
+        }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showSuccess(`Tariff ${formatHsCode(hsCode)} saved`);
+        setEditing(null);
+        refreshAll();
+      } else {
+        showError(result.error || 'Failed to save tariff');
+      }
+    } catch (err) {
+      console.error('Failed to save tariff:', err);
+      showError('Failed to save tariff');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (tariff) => {
+    if (!(await confirmAction({
+      title: 'Delete Tariff Line',
+      message: `Delete ${formatHsCode(tariff.hs_code)}? Products with this HS code will use the rates entered on the estimate.`,
+      type: 'danger',
+      confirmText: 'Delete',
+    }))) return;
+    try {
+      const response = await authFetch(getApiUrl(`/api/tariffs/${tariff.hs_code}`), { method: 'DELETE' });
+      if (response.ok) {
+        showSuccess('Tariff line deleted');
+        refreshAll();
+      } else {
+        const result = await response.json();
+        showError(result.error || 'Failed to delete tariff');
+      }
+    } catch (err) {
+      console.error('Failed to delete tariff:', err);
+      showError('Failed to delete tariff');
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (!file.name.match(/\.csv$/i)) {
+      showError('Please select the tariff book exported as CSV');
+      return;
+    }
+    setImporting(true);
+    try {
+      const formPayload = new FormData();
+      formPayload.append('tariffFile', file);
+
+      const response = await authFetch(getApiUrl('/api/tariffs/import'), {
+        method: 'POST',
+        body: formPayload,
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showSuccess(`Imported tariff book: ${result.inserted} new and ${result.updated} updated lines${result.errors?.length ? ` (${result.errors.length} rows could not be read)` : ''}`);
+        refreshAll();
+      } else {
+        showError(result.error || 'Failed to import tariff book');
+      }
+    } catch (err) {
+      console.error('Failed to import tariff book:', err);
+      showError('Failed to import tariff book');
+    } finally {
+      setImporting(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const handleSaveDefault = async () => {
+    if (!newDefault.product_name.trim() || normalizeHsCode(newDefault.hs_code).length < 4) {
+      showError('Product name and an HS code of at least 4 digits are required');
+      return;
+    }
+    try {
+      const response = await authFetch(getApiUrl('/api/tariffs/product-defaults'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newDefault),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        showSuccess(`Default HS code set for ${result.product_name}`);
+        setNewDefault({ product_name: '', hs_code: '' });
+        refreshAll();
+      } else {
+        showError(result.error || 'Failed to save product default');
+      }
+    } catch (err) {
+      console.error('Failed to save product default:', err);
+      showError('Failed to save product default');
+    }
+  };
+
+  const handleDeleteDefault = async (row) => {
+    try {
+      const response = await authFetch(getApiUrl(`/api/tariffs/product-defaults/${row.id}`), { method: 'DELETE' });
+      if (response.ok) {
+        showSuccess('Product default removed');
+        refreshAll();
+      } else {
+        const result = await response.json();
+        showError(result.error || 'Failed to remove product default');
+      }
+    } catch (err) {
+      console.error('Failed to remove product default:', err);
+      showError('Failed to remove product default');
+    }
+  };
+
+  const renderField = (field, label, type = 'text') => (
+    <label key={field} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+      {label}
+      <input
+        type={type}
+        step={type === 'number' ? 'any' : undefined}
+        value={editing.data[field] ?? ''}
+        onChange={(e) => updateField(field, e.target.value)}
+        disabled={field === 'hs_code' && !editing.isNew}
+        style={inputStyle}
+      />
+    </label>
+  );
+
+  const renderTariffs = () => (
+    <>
+      {tariffs.length > MAX_ROWS && (
+        <p style={{ margin: '0 0 0.5rem', fontSize: '0.8rem', color: 'var(--text-500)' }}>
+          Showing the first {MAX_ROWS} of {tariffs.length} lines — search by code or description to narrow down.
+        </p>
+      )}
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+            <th style={headerCellStyle}>HS Code</th>
+            <th style={headerCellStyle}>Description</th>
+            <th style={headerCellStyle}>Unit</th>
+            <th style={{ ...headerCellStyle, textAlign: 'right' }}>General</th>
+            <th style={{ ...headerCellStyle, textAlign: 'right' }}>Sch 1</th>
+            {TRADE_AGREEMENTS.map(a => (
+              <th key={a.value} title={a.label} style={{ ...headerCellStyle, textAlign: 'right' }}>{a.value.replace('_', '/')}</th>
+            ))}
+            <th style={headerCellStyle}>VAT</th>
+            <th style={headerCellStyle}>Source</th>
+            <th style={headerCellStyle} />
+          </tr>
+        </thead>
+        <tbody>
+          {tariffs.slice(0, MAX_ROWS).map(tariff => (
+            <tr key={tariff.hs_code}>
+              <td style={{ ...cellStyle, fontFamily: 'monospace', whiteSpace: 'nowrap' }}>{formatHsCode(tariff.hs_code)}</td>
+              <td style={cellStyle}>{tariff.description || '-'}</td>
+              <td style={cellStyle}>{tariff.statistical_unit || '-'}</td>
+              <td style={{ ...cellStyle, textAlign: 'right' }} title={tariff.duty_text || undefined}>
+                {tariff.duty_percent === null ? <span style={{ color: 'var(--warning)' }}>{tariff.duty_text || '-'}</span> : formatRate(tariff.duty_percent)}
+              </td>
+              <td style={{ ...cellStyle, textAlign: 'right' }}>{formatRate(tariff.schedule1_percent)}</td>
+              {TRADE_AGREEMENTS.map(a => (
+                <td key={a.value} style={{ ...cellStyle, textAlign: 'right' }}>{formatRate(tariff.preferential_rates?.[a.value])}</td>
+              ))}
+              <td style={cellStyle}>{tariff.vat_treatment === 'exempt' ? 'Exempt' : 'Standard'}</td>
+              <td style={{ ...cellStyle, color: 'var(--text-500)' }}>{tariff.source || '-'}</td>
+              <td style={{ ...cellStyle, whiteSpace: 'nowrap', textAlign: 'right' }}>
+                <button onClick={() => startEdit(tariff)} style={{ ...linkButtonStyle, color: 'var(--text-700)' }}>Edit</button>
+                <button onClick={() => handleDelete(tariff)} style={{ ...linkButtonStyle, color: 'var(--danger)' }}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </>
+  );
+
+  const renderProductDefaults = () => (
+    <>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem' }}>
+        <input
+          type="text"
+          placeholder="Product name"
+          value={newDefault.product_name}
+          onChange={(e) => setNewDefault(prev => ({ ...prev, product_name: e.target.value }))}
+          style={{ ...inputStyle, width: '260px' }}
+        />
+        <input
+          type="text"
+          placeholder="HS code"
+          value={newDefault.hs_code}
+          onChange={(e) => setNewDefault(prev => ({ ...prev, hs_code: e.target.value }))}
+          style={{ ...inputStyle, width: '160px' }}
+        />
+        <button onClick={handleSaveDefault} style={primaryButtonStyle}>Set Default</button>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+            <th style={headerCellStyle}>Product</th>
+            <th style={headerCellStyle}>HS Code</th>
+            <th style={headerCellStyle}>Tariff</th>
+            <th style={headerCellStyle}>Updated By</th>
+            <th style={headerCellStyle} />
+          </tr>
+        </thead>
+        <tbody>
+          {productDefaults.map(row => {
+            const tariff = tariffByCode.get(row.hs_code);
+            return (
+              <tr key={row.id}>
+                <td style={cellStyle}>{row.product_name}</td>
+                <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{formatHsCode(row.hs_code)}</td>
+                <td style={{ ...cellStyle, color: tariff ? 'var(--text-700)' : 'var(--warning)' }}>
+                  {tariff ? `${tariff.description || '-'} (${tariff.duty_percent === null ? tariff.duty_text : formatRate(tariff.duty_percent)})` : 'Not in tariff catalogue'}
+                </td>
+                <td style={{ ...cellStyle, color: 'var(--text-500)' }}>{row.updated_by || '-'}</td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                  <button onClick={() => handleDeleteDefault(row)} style={{ ...linkButtonStyle, color: 'var(--danger)' }}>Remove</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </>
+  );
+
+  const renderOverrides = () => (
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr style={{ backgroundColor: 'var(--surface-2)', textAlign: 'left' }}>
+          <th style={headerCellStyle}>Date</th>
+          <th style={headerCellStyle}>Estimate</th>
+          <th style={headerCellStyle}>Product</th>
+          <th style={headerCellStyle}>HS Code</th>
+          <th style={{ ...headerCellStyle, textAlign: 'right' }}>Catalogue</th>
+          <th style={{ ...headerCellStyle, textAlign: 'right' }}>Entered</th>
+          <th style={headerCellStyle}>Reason</th>
+          <th style={headerCellStyle}>By</th>
+        </tr>
+      </thead>
+      <tbody>
+        {overrides.map(entry => {
+          const changes = entry.changes || {};
+          return (
+            <tr key={entry.id}>
+              <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{new Date(entry.created_at).toLocaleString()}</td>
+              <td style={cellStyle}>{entry.entity_label}</td>
+              <td style={cellStyle}>{changes.product || '-'}</td>
+              <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{changes.hs_code ? formatHsCode(changes.hs_code) : '-'}</td>
+              <td style={{ ...cellStyle, textAlign: 'right' }}>
+                {formatRate(changes.catalogue_duty_percent)}
+                {changes.catalogue_schedule1_percent !== null && changes.catalogue_schedule1_percent !== undefined && ` + ${formatRate(changes.catalogue_schedule1_percent)}`}
+              </td>
+              <td style={{ ...cellStyle, textAlign: 'right', color: 'var(--warning)', fontWeight: 600 }}>
+                {formatRate(changes.duty_percent)}
+                {changes.duty_schedule1_percent ? ` + ${formatRate(changes.duty_schedule1_percent)}` : ''}
+              </td>
+              <td style={{ ...cellStyle, color: changes.reason ? 'var(--text-700)' : 'var(--text-500)' }}>{changes.reason || 'No reason given'}</td>
+              <td style={{ ...cellStyle, color: 'var(--text-500)' }}>{entry.username}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+
+  const counts = { tariffs: catalogue.tariffs.length, productDefaults: catalogue.productDefaults.length, overrides: overrides.length };
+  const isEmpty = { tariffs: tariffs.length === 0, productDefaults: false, overrides: overrides.length === 0 };
+
+  return (
+    <div style={{ padding: '1.5rem' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '1rem', gap: '1rem', flexWrap: 'wrap' }}>
+        <div>
+          <h2 style={{ margin: 0, fontSize: '1.2rem', color: 'var(--navy-900)' }}>Tariff Catalogue</h2>
+          <p style={{ margin: '0.25rem 0 0', color: 'var(--text-500)', fontSize: '0.8rem' }}>
+            SARS Schedule 1 duty rates by HS code. Import costing prefills duty and VAT from the product&apos;s HS code; rates entered over the catalogue are audited.
+          </p>
+        </div>
+        <div>
+          <input ref={fileInputRef} type="file" accept=".csv" onChange={handleImport} style={{ display: 'none' }} />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={importing}
+            style={{ padding: '8px 16px', backgroundColor: 'var(--surface-2)', border: '1px solid var(--border)', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+          >
+            {importing ? 'Importing...' : 'Import Tariff Book (CSV)'}
+          </button>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+        {TABS.map(tab => (
+          <button
+            key={tab.key}
+            onClick={() => { setActiveTab(tab.key); setEditing(null); setSearch(''); }}
+            style={{
+              padding: '8px 16px',
+              backgroundColor: activeTab === tab.key ? 'var(--navy-900)' : 'var(--surface-2)',
+              color: activeTab === tab.key ? 'white' : 'var(--text-700)',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              fontSize: '0.85rem',
+              fontWeight: activeTab === tab.key ? '600' : '400',
+            }}
+          >
+            {tab.label} ({counts[tab.key]})
+          </button>
+        ))}
+      </div>
+
+      {activeTab !== 'overrides' && (
+        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center', marginBottom: '1rem' }}>
+          <input
+            type="text"
+            placeholder={activeTab === 'tariffs' ? 'Search HS code or description...' : 'Search product or HS code...'}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            style={{ ...inputStyle, width: '300px' }}
+          />
+          {activeTab === 'tariffs' && (
+            <button onClick={() => startEdit(null)} style={{ ...primaryButtonStyle, marginLeft: 'auto' }}>
+              + Add Tariff Line
+            </button>
+          )}
+        </div>
+      )}
+
+      {editing && (
+        <div style={{ border: '1px solid var(--border)', borderRadius: '8px', padding: '1rem', marginBottom: '1rem', backgroundColor: 'var(--surface-2)' }}>
+          <h3 style={{ margin: '0 0 0.75rem', fontSize: '0.95rem' }}>
+            {editing.isNew ? 'New Tariff Line' : `Edit ${formatHsCode(editing.data.hs_code)}`}
+          </h3>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '0.75rem' }}>
+            {renderField('hs_code', 'HS Code')}
+            {renderField('description', 'Description')}
+            {renderField('statistical_unit', 'Statistical Unit')}
+            {renderField('duty_text', 'Rate as published (e.g. 25% or 300c/kg)')}
+            {renderField('duty_percent', 'General Duty % (blank = specific rate)', 'number')}
+            {renderField('schedule1_percent', 'Schedule 1 Part 2 %', 'number')}
+            <label style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+              VAT Treatment
+              <select value={editing.data.vat_treatment} onChange={(e) => updateField('vat_treatment', e.target.value)} style={inputStyle}>
+                {VAT_TREATMENTS.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+              </select>
+            </label>
+            {TRADE_AGREEMENTS.map(a => (
+              <label key={a.value} style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '0.8rem', color: 'var(--text-700)' }}>
+                {a.label} %
+                <input
+                  type="number"
+                  step="any"
+                  value={editing.data.preferential_rates[a.value] ?? ''}
+                  onChange={(e) => updatePreferentialRate(a.value, e.target.value)}
+                  style={inputStyle}
+                />
+              </label>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
+            <button onClick={handleSave} disabled={saving} style={primaryButtonStyle}>
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              style={{ padding: '8px 16px', backgroundColor: 'white', border: '1px solid var(--border)', borderRadius: '6px', cursor: 'pointer', fontSize: '0.85rem' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading tariff catalogue...</div>
+      ) : isEmpty[activeTab] ? (
+        <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+          {activeTab === 'overrides' ? 'No duty overrides recorded' : 'No tariff lines found — import the tariff book to get started'}
+        </div>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          {activeTab === 'tariffs' && renderTariffs()}
+          {activeTab === 'productDefaults' && renderProductDefaults()}
+          {activeTab === 'overrides' && renderOverrides()}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TariffCatalogueAdmin;
@@ -6,6 +6,7 @@ import { authUtils } from '../utils/auth';
 import CapacityForecastTable from './CapacityForecastTable';
 import { useNotification } from '../contexts/NotificationContext';
 import { SkeletonCardGrid } from './SkeletonLoaders';
+import StorageLocations from './StorageLocations';
 
 // Helper function to get current month's weeks using consistent week calculation
 const getCurrentMonthWeeks = () => {
@@ -90,6 +91,20 @@ const SimpleBinInput = ({ warehouseKey, initialValue, maxValue, onUpdate, hasUns
   );
 };
 
+// Read-only figure in the settings table, sized like the inputs beside it
+const lockedFigureStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  width: 70,
+  minHeight: 34,
+  fontSize: 13,
+  fontWeight: 700,
+  color: 'var(--text-900)',
+  backgroundColor: 'var(--surface-2)',
+  cursor: 'default'
+};
+
 function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse = false }) {
   const normalizedInitialWarehouse = initialWarehouse || 'all';
   const [selectedWarehouse, setSelectedWarehouse] = useState(normalizedInitialWarehouse);
@@ -100,6 +115,9 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
   const [editableTotalCapacity, setEditableTotalCapacity] = useState({});
   const [savedTotalCapacity, setSavedTotalCapacity] = useState({});
   const [pendingTotalCapacityChanges, setPendingTotalCapacityChanges] = useState({});
+  // Warehouses whose bins are counted from storage locations rather than edited here
+  const [locationManaged, setLocationManaged] = useState({});
+  const [palletsPerBin, setPalletsPerBin] = useState({});
   const [isLoadingCapacity, setIsLoadingCapacity] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(null);
@@ -111,42 +129,44 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
     setSelectedWarehouse(normalizedInitialWarehouse);
   }, [normalizedInitialWarehouse]);
 
-  // Load warehouse capacity data from database on mount
-  useEffect(() => {
-    const loadCapacityData = async () => {
-      try {
-        const apiUrl = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001';
-        const response = await fetch(`${apiUrl}/api/warehouse-capacity`);
-
-        if (response.ok) {
-          const data = await response.json();
-
-          // Handle both old and new API response formats
-          if (data.binsUsed) {
-            // New format with binsUsed and optionally totalCapacity
-            setEditableBinsUsed(data.binsUsed);
-            setSavedBinsUsed(data.binsUsed);
-            if (data.totalCapacity) {
-              setEditableTotalCapacity(data.totalCapacity);
-              setSavedTotalCapacity(data.totalCapacity);
-            }
-          } else {
-            // Old format (backward compatibility) - assume it's just bins_used
-            setEditableBinsUsed(data);
-            setSavedBinsUsed(data);
+  // Load warehouse capacity data from database (on mount, and when storage locations change)
+  const loadCapacityData = useCallback(async () => {
+    try {
+      const apiUrl = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5001';
+      const response = await fetch(`${apiUrl}/api/warehouse-capacity`);
+
+      if (response.ok) {
+        const data = await response.json();
+
+        // Handle both old and new API response formats
+        if (data.binsUsed) {
+          // New format with binsUsed and optionally totalCapacity
+          setEditableBinsUsed(data.binsUsed);
+          setSavedBinsUsed(data.binsUsed);
+          if (data.totalCapacity) {
+            setEditableTotalCapacity(data.totalCapacity);
+            setSavedTotalCapacity(data.totalCapacity);
           }
-          // Update sync time
-          setLastSyncTime(new Date());
+          setLocationManaged(data.locationManaged || {});
+          setPalletsPerBin(data.palletsPerBin || {});
+        } else {
+          // Old format (backward compatibility) - assume it's just bins_used
+          setEditableBinsUsed(data);
+          setSavedBinsUsed(data);
         }
-      } catch (error) {
-        // Error loading warehouse capacity data - fail silently and retry
-      } finally {
-        setIsLoadingCapacity(false);
+        // Update sync time
+        setLastSyncTime(new Date());
       }
-    };
+    } catch (error) {
+      // Error loading warehouse capacity data - fail silently and retry
+    } finally {
+      setIsLoadingCapacity(false);
+    }
+  }, []);
 
+  useEffect(() => {
     loadCapacityData();
-  }, []);
+  }, [loadCapacityData]);
 
   // Memoize current month weeks to avoid recalculating on every render
   const currentMonthWeeks = useMemo(() => getCurrentMonthWeeks(), []);
@@ -164,9 +184,9 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
 
     // Define warehouse configurations - use editable total capacity from state if available
     const warehouseConfigs = {
-      'PRETORIA': { totalBins: editableTotalCapacity['PRETORIA'] || 650, avgItemsPerBin: 1 },
-      'KLAPMUTS': { totalBins: editableTotalCapacity['KLAPMUTS'] || 384, avgItemsPerBin: 1 },
-      'OFFSITE': { totalBins: editableTotalCapacity['OFFSITE'] || 384, avgItemsPerBin: 1 }
+      'PRETORIA': { totalBins: editableTotalCapacity['PRETORIA'] || 650, avgItemsPerBin: palletsPerBin['PRETORIA'] || 1 },
+      'KLAPMUTS': { totalBins: editableTotalCapacity['KLAPMUTS'] || 384, avgItemsPerBin: palletsPerBin['KLAPMUTS'] || 1 },
+      'OFFSITE': { totalBins: editableTotalCapacity['OFFSITE'] || 384, avgItemsPerBin: palletsPerBin['OFFSITE'] || 1 }
     };
 
     // Calculate current and projected usage
@@ -275,7 +295,10 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
 
       const calculatedCurrentBins = Math.ceil(stats.currentStock / stats.avgItemsPerBin);
       const manualBinsUsed = editableBinsUsed[warehouse];
-      const currentBinsUsed = warehouse === 'OFFSITE' && manualBinsUsed !== undefined
+      // Occupied storage locations are the actual count; otherwise fall back to the hand-kept figure
+      const currentBinsUsed = locationManaged[warehouse]
+        ? manualBinsUsed
+        : warehouse === 'OFFSITE' && manualBinsUsed !== undefined
         ? Math.max(manualBinsUsed, calculatedCurrentBins)
         : manualBinsUsed !== undefined
         ? manualBinsUsed
@@ -301,7 +324,7 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
 
 
     return { warehouseStats, currentWeek };
-  }, [shipments, editableBinsUsed, editableTotalCapacity, currentMonthWeeks]);
+  }, [shipments, editableBinsUsed, editableTotalCapacity, locationManaged, palletsPerBin, currentMonthWeeks]);
 
   const handleBinsUsedChange = useCallback((warehouse, newValue) => {
     const updatedBinsUsed = {
@@ -457,6 +480,8 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
               setEditableTotalCapacity(data.totalCapacity);
               setSavedTotalCapacity(data.totalCapacity);
             }
+            setLocationManaged(data.locationManaged || {});
+            setPalletsPerBin(data.palletsPerBin || {});
             setLastSyncTime(new Date());
           }
         }
@@ -1448,7 +1473,7 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
         >
           <span style={{ transform: showSettings ? 'rotate(90deg)' : 'rotate(0deg)', transition: 'transform 0.2s', fontSize: 11 }}>▶</span>
           Warehouse Settings
-          <span style={{ fontWeight: 400, color: 'var(--text-500)', fontSize: 12 }}>Edit bins used and total capacity; available bins is calculated</span>
+          <span style={{ fontWeight: 400, color: 'var(--text-500)', fontSize: 12 }}>Edit bins used and total capacity; available bins is calculated. Warehouses with storage locations are counted from their bins</span>
         </button>
         {showSettings && (
           <div className="dash-panel" style={{ borderRadius: '0 0 8px 8px', padding: '1rem 1.25rem' }}>
@@ -1471,6 +1496,11 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
                     <tr key={warehouse} style={{ borderBottom: '1px solid var(--border)' }}>
                       <td style={{ padding: '10px 0', fontWeight: 600, color: 'var(--text-900)' }}>{warehouse}</td>
                       <td style={{ textAlign: 'center', padding: '10px 0' }}>
+                        {locationManaged[warehouse] ? (
+                          <span className="input" style={lockedFigureStyle} title="Counted from occupied storage locations">
+                            {currentBinsUsed}
+                          </span>
+                        ) : (
                         <input type="number" className="input"
                           value={currentBinsUsed}
                           onChange={(e) => handleBinsUsedChange(warehouse, Math.max(0, Math.min(parseInt(e.target.value) || 0, totalCapacity)))}
@@ -1478,6 +1508,7 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
                             border: pendingChanges[warehouse] !== undefined ? '2px solid var(--warning)' : undefined,
                             backgroundColor: pendingChanges[warehouse] !== undefined ? '#fff3e0' : undefined }}
                           min="0" max={totalCapacity} />
+                        )}
                       </td>
                       <td style={{ textAlign: 'center', padding: '10px 0' }}>
                         <span
@@ -1501,6 +1532,11 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
                         </span>
                       </td>
                       <td style={{ textAlign: 'center', padding: '10px 0' }}>
+                        {locationManaged[warehouse] ? (
+                          <span className="input" style={lockedFigureStyle} title="Number of bins in the storage locations">
+                            {totalCapacity}
+                          </span>
+                        ) : (
                         <input type="number" className="input"
                           value={totalCapacity}
                           onChange={(e) => handleTotalCapacityChange(warehouse, Math.max(0, parseInt(e.target.value) || 0))}
@@ -1508,6 +1544,7 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
                             border: pendingTotalCapacityChanges[warehouse] !== undefined ? '2px solid var(--info)' : undefined,
                             backgroundColor: pendingTotalCapacityChanges[warehouse] !== undefined ? '#e3f2fd' : undefined }}
                           min="0" />
+                        )}
                       </td>
                     </tr>
                   );
@@ -1518,6 +1555,11 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
         )}
       </div>
 
+      {/* Storage locations for a single warehouse: bins used is counted from these */}
+      {selectedWarehouse !== 'all' && (
+        <StorageLocations warehouse={selectedWarehouse} onChange={loadCapacityData} />
+      )}
+
       {/* Capacity Cards Grid */}
       {isLoadingCapacity ? (
         <SkeletonCardGrid count={3} columns={3} />
@@ -1553,6 +1595,7 @@ function WarehouseCapacity({ shipments, initialWarehouse = 'all', lockWarehouse
             'KLAPMUTS': warehouseData.warehouseStats['KLAPMUTS']?.usedBins || 0,
             'OFFSITE': warehouseData.warehouseStats['OFFSITE']?.usedBins || 0
           }}
+          palletsPerBin={palletsPerBin}
           warehouseCapacities={{
             'PRETORIA': warehouseData.warehouseStats['PRETORIA']?.totalBins || 650,
             'KLAPMUTS': warehouseData.warehouseStats['KLAPMUTS']?.totalBins || 384,
@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { ShipmentStatus } from '../types/shipment';
 import { authFetch } from '../utils/authFetch';
@@ -6,6 +6,7 @@ import { getApiUrl } from '../config/api';
 import { useNotification } from '../contexts/NotificationContext';
 import FilterPresetBar from './FilterPresetBar';
 import ShipmentTimeline from './ShipmentTimeline';
+import PalletLabelsModal from './PalletLabelsModal';
 import { jsPDF } from 'jspdf';
 import { applyPlugin } from 'jspdf-autotable';
 applyPlugin(jsPDF);
@@ -23,6 +24,9 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
   const { showSuccess, showError, confirm: confirmAction } = useNotification();
   const [searchParamsObj, setSearchParamsObj] = useSearchParams();
   const globalSearchTerm = searchParamsObj.get('search') || '';
+  // Set when a scanned pallet label links here; opens that shipment's details once
+  const linkedShipmentId = searchParamsObj.get('shipment');
+  const openedLinkRef = useRef(null);
   const [searchTerm, setSearchTerm] = useState(globalSearchTerm || '');
   const [weekFilters, setWeekFilters] = useState([]);
   const [sortConfig, setSortConfig] = useState({ key: 'storedDate', direction: 'desc' });
@@ -33,6 +37,7 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
   const [moveModal, setMoveModal] = useState(null);
   const [editingDateValue, setEditingDateValue] = useState('');
   const [selectedShipment, setSelectedShipment] = useState(null);
+  const [labelsShipment, setLabelsShipment] = useState(null);
   const [editShipment, setEditShipment] = useState(null);
   const [editForm, setEditForm] = useState({});
   const [bulkSelectedIds, setBulkSelectedIds] = useState(new Set());
@@ -58,6 +63,14 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
     }
   }, [globalSearchTerm]);
 
+  useEffect(() => {
+    if (!linkedShipmentId || openedLinkRef.current === linkedShipmentId) return;
+    const match = shipments.find(s => String(s.id) === linkedShipmentId);
+    if (!match) return;
+    openedLinkRef.current = linkedShipmentId;
+    setSelectedShipment(match);
+  }, [linkedShipmentId, shipments]);
+
   // Fetch storage benchmark rates
   useEffect(() => {
     const fetchStorageRates = async () => {
@@ -186,30 +199,62 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
     setCollapsedWarehouses(prev => ({ ...prev, [name]: !prev[name] }));
   };
 
-  const openMoveModal = (shipment) => {
+  const openMoveModal = async (shipment) => {
     setMoveModal({
       shipment,
       destination: '',
       moveQty: shipment.quantity || 0,
       movePallets: Math.round(shipment.palletQty) || 1,
+      placements: [],
+      bins: [],
+      fromLocationId: '',
+      toLocationId: '',
     });
+    try {
+      const response = await authFetch(getApiUrl(`/api/storage-locations/placements?shipmentId=${encodeURIComponent(shipment.id)}`));
+      if (!response.ok) return;
+      const placements = await response.json();
+      setMoveModal(prev => prev && prev.shipment.id === shipment.id ? { ...prev, placements } : prev);
+    } catch (err) {
+      console.error('Error fetching bin placements:', err);
+    }
+  };
+
+  const changeMoveDestination = async (destination) => {
+    setMoveModal(prev => ({ ...prev, destination, bins: [], toLocationId: '' }));
+    if (!destination) return;
+    try {
+      const response = await authFetch(getApiUrl(`/api/storage-locations?warehouse=${encodeURIComponent(destination)}`));
+      if (!response.ok) return;
+      const bins = (await response.json()).filter(location => location.freePallets > 0);
+      setMoveModal(prev => prev && prev.destination === destination ? { ...prev, bins } : prev);
+    } catch (err) {
+      console.error('Error fetching storage locations:', err);
+    }
   };
 
   const handleMoveSubmit = async () => {
     if (!moveModal || !moveModal.destination) return;
-    const { shipment, destination, moveQty, movePallets } = moveModal;
+    const { shipment, destination, moveQty, movePallets, fromLocationId, toLocationId } = moveModal;
     const totalQty = shipment.quantity || 0;
     const totalPallets = Math.round(shipment.palletQty) || 1;
-    const isFullMove = moveQty >= totalQty && movePallets >= totalPallets;
+    const isBinMove = destination === (shipment.receivingWarehouse || '').toUpperCase();
+    const isFullMove = !isBinMove && moveQty >= totalQty && movePallets >= totalPallets;
+    const toBin = moveModal.bins.find(location => String(location.id) === String(toLocationId));
 
     try {
-      // Atomic backend split — reduces source and creates destination record
-      // in one transaction. Replaces the old two-step update-then-create flow
-      // that left stock "lost" when the create failed on duplicate order_ref.
-      const response = await authFetch(getApiUrl(`/api/shipments/${shipment.id}/split`), {
+      // Atomic backend move — between bins of one warehouse, or reducing the
+      // source and creating the destination record in one transaction.
+      const response = await authFetch(getApiUrl(`/api/shipments/${shipment.id}/move`), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ destination, moveQty, movePallets }),
+        body: JSON.stringify({
+          destination,
+          moveQty,
+          movePallets,
+          fromLocationId: fromLocationId ? parseInt(fromLocationId, 10) : null,
+          toLocationId: toLocationId ? parseInt(toLocationId, 10) : null,
+        }),
       });
 
       if (!response.ok) {
@@ -217,13 +262,15 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
         throw new Error(errorData.error || 'Failed to move stock');
       }
 
-      if (isFullMove) {
+      if (isBinMove) {
+        showSuccess(`Moved ${movePallets} pallets to bin ${toBin ? toBin.code : ''}`);
+      } else if (isFullMove) {
         showSuccess(`Moved all stock to ${destination}`);
       } else {
         showSuccess(`Moved ${moveQty} qty / ${movePallets} pallets to ${destination}`);
       }
     } catch (err) {
-      showError('Failed to move stock');
+      showError(err.message || 'Failed to move stock');
     }
     setMoveModal(null);
   };
@@ -849,7 +896,12 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
                             <td style={{ padding: '8px 12px', fontSize: 13, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={shipment.supplier}>{shipment.supplier}</td>
                             <td style={{ padding: '8px 12px', fontSize: 13, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={shipment.productName}>{shipment.productName || 'N/A'}</td>
                             <td style={{ padding: '8px 12px', fontSize: 13 }}>{shipment.quantity || 'N/A'}</td>
-                            <td style={{ padding: '8px 12px', fontSize: 13 }}>{shipment.palletQty ? (Math.round(shipment.palletQty) || 1) : '-'}</td>
+                            <td style={{ padding: '8px 12px', fontSize: 13 }} title={shipment.binLocation ? `Bins: ${shipment.binLocation}` : undefined}>
+                              {shipment.palletQty ? (Math.round(shipment.palletQty) || 1) : '-'}
+                              {shipment.binLocation && (
+                                <div style={{ fontSize: 11, color: 'var(--text-500)', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{shipment.binLocation}</div>
+                              )}
+                            </td>
                             <td style={{ padding: '8px 12px', fontSize: 13 }}>
                               {editingDate === shipment.id ? (
                                 <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
@@ -1013,6 +1065,7 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
                 ['Product', s.productName],
                 ['Quantity', s.quantity],
                 ['Pallets', s.palletQty ? (Math.round(s.palletQty) || 1) : '-'],
+                ['Bin Location', s.binLocation || '-'],
                 ['CBM', s.cbm || '-'],
                 ['Week', s.weekNumber ? `Week ${s.weekNumber}` : '-'],
                 ['Warehouse', getWarehouseName(s)],
@@ -1047,6 +1100,12 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
                 </div>
               );
             })()}
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '1rem' }}>
+              <button className="btn btn-ghost" style={{ fontSize: 13 }} onClick={() => setLabelsShipment(selectedShipment)}>
+                Pallet Labels
+              </button>
+            </div>
           </div>
         </div>
       )}
@@ -1087,17 +1146,50 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
             </label>
             <select
               value={moveModal.destination}
-              onChange={(e) => setMoveModal(prev => ({ ...prev, destination: e.target.value }))}
+              onChange={(e) => changeMoveDestination(e.target.value)}
               style={{ width: '100%', padding: '8px 10px', borderRadius: 6, border: '1px solid var(--border)', fontSize: 13, marginBottom: 12 }}
             >
               <option value="">Select warehouse...</option>
-              {['PRETORIA', 'KLAPMUTS', 'OFFSITE'].filter(w => w !== (moveModal.shipment.receivingWarehouse || '').toUpperCase()).map(w => (
-                <option key={w} value={w}>{w}</option>
+              {['PRETORIA', 'KLAPMUTS', 'OFFSITE'].map(w => (
+                <option key={w} value={w}>
+                  {w === (moveModal.shipment.receivingWarehouse || '').toUpperCase() ? `${w} (another bin)` : w}
+                </option>
               ))}
             </select>
 
+            {(moveModal.placements.length > 0 || moveModal.bins.length > 0) && (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12 }}>
+                <div>
+                  <label style={{ display: 'block', fontSize: 13, fontWeight: 600, marginBottom: 4, color: 'var(--text-700)' }}>From Bin</label>
+                  <select
+                    value={moveModal.fromLocationId}
+                    onChange={(e) => setMoveModal(prev => ({ ...prev, fromLocationId: e.target.value }))}
+                    style={{ width: '100%', padding: '8px 10px', borderRadius: 6, border: '1px solid var(--border)', fontSize: 13 }}
+                  >
+                    <option value="">Any bin</option>
+                    {moveModal.placements.map(p => (
+                      <option key={p.location_id} value={p.location_id}>{p.code} ({p.pallets})</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label style={{ display: 'block', fontSize: 13, fontWeight: 600, marginBottom: 4, color: 'var(--text-700)' }}>To Bin</label>
+                  <select
+                    value={moveModal.toLocationId}
+                    onChange={(e) => setMoveModal(prev => ({ ...prev, toLocationId: e.target.value }))}
+                    style={{ width: '100%', padding: '8px 10px', borderRadius: 6, border: '1px solid var(--border)', fontSize: 13 }}
+                  >
+                    <option value="">{moveModal.bins.length > 0 ? 'Not to a bin' : 'No free bins'}</option>
+                    {moveModal.bins.map(location => (
+                      <option key={location.id} value={location.id}>{location.code} ({location.freePallets} free)</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 16 }}>
-              <div>
+              <div style={{ visibility: moveModal.destination === (moveModal.shipment.receivingWarehouse || '').toUpperCase() ? 'hidden' : 'visible' }}>
                 <label style={{ display: 'block', fontSize: 13, fontWeight: 600, marginBottom: 4, color: 'var(--text-700)' }}>Qty to Move</label>
                 <input
                   type="number"
@@ -1121,7 +1213,7 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
               </div>
             </div>
 
-            {moveModal.moveQty < (moveModal.shipment.quantity || 0) || moveModal.movePallets < (Math.round(moveModal.shipment.palletQty) || 1) ? (
+            {moveModal.destination !== (moveModal.shipment.receivingWarehouse || '').toUpperCase() && (moveModal.moveQty < (moveModal.shipment.quantity || 0) || moveModal.movePallets < (Math.round(moveModal.shipment.palletQty) || 1)) ? (
               <div style={{
                 background: '#FEF3C7', border: '1px solid #F59E0B', borderRadius: 8,
                 padding: '8px 12px', marginBottom: 16, fontSize: 12, color: '#92400E'
@@ -1137,7 +1229,10 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
               </button>
               <button
                 className="btn btn-primary"
-                disabled={!moveModal.destination || moveModal.moveQty <= 0 || moveModal.movePallets <= 0}
+                disabled={
+                  !moveModal.destination || moveModal.moveQty <= 0 || moveModal.movePallets <= 0
+                  || (moveModal.destination === (moveModal.shipment.receivingWarehouse || '').toUpperCase() && !moveModal.toLocationId)
+                }
                 onClick={handleMoveSubmit}
                 style={{ fontSize: 13, padding: '8px 16px' }}
               >
@@ -1147,6 +1242,9 @@ function WarehouseStored({ shipments, onUpdateShipment, onDeleteShipment, onCrea
           </div>
         </div>
       )}
+      {labelsShipment && (
+        <PalletLabelsModal shipment={labelsShipment} onClose={() => setLabelsShipment(null)} />
+      )}
       {/* Edit Shipment Modal */}
       {editShipment && (
         <div
@@ -0,0 +1,564 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { useNotification } from '../contexts/NotificationContext';
+import {
+  EQUIPMENT_TYPES,
+  FREE_TIME_RULES,
+  buildYardMap,
+  containerClocks,
+  formatClock,
+  freeDaysFor,
+  isValidContainerNumber,
+} from '../utils/yardManagement';
+
+const labelStyle = { display: 'block', fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700)', marginBottom: '4px' };
+
+const CLOCK_COLORS = {
+  pending: 'var(--text-500)',
+  ok: 'var(--success)',
+  warning: 'var(--warning)',
+  charging: 'var(--danger)',
+  closed: 'var(--text-500)',
+};
+
+// Shipments that are already put away do not arrive in containers any more
+const CLOSED_STATUSES = ['stored', 'archived'];
+
+const EMPTY_CONTAINER_FORM = {
+  equipmentType: 'container',
+  containerNumber: '',
+  trailerNumber: '',
+  sealNumber: '',
+  shippingLine: '',
+  dischargedAt: '',
+  yardSlotId: '',
+  shipmentIds: [],
+  notes: '',
+};
+
+// datetime-local inputs hold browser-local wall-clock time without a zone
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const d = new Date(iso);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const formatTime = (d) => (d ? new Date(d).toLocaleString([], { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) : '-');
+
+const containerLabel = (c) => c.container_number || c.trailer_number || 'Container';
+
+/**
+ * Yard map for one warehouse: slots laid out by row, with the containers and
+ * trailers dropped in them and their demurrage/detention clocks. Containers
+ * still at the port are dragged onto a free slot to gate them in, and
+ * containers in the yard are dragged between slots to move them.
+ */
+function YardMap({ warehouse, shipments = [] }) {
+  const { showSuccess, showError, confirm: confirmAction } = useNotification();
+  const [slots, setSlots] = useState([]);
+  const [containers, setContainers] = useState([]);
+  const [lines, setLines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [now, setNow] = useState(Date.now());
+  const [selectedId, setSelectedId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_CONTAINER_FORM);
+  const [shipmentSearch, setShipmentSearch] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [rowForm, setRowForm] = useState({ row: '', count: 10 });
+  const [lineForm, setLineForm] = useState({
+    shippingLine: '',
+    demurrageFreeDays: FREE_TIME_RULES.defaultDemurrageDays,
+    detentionFreeDays: FREE_TIME_RULES.defaultDetentionDays,
+  });
+
+  const fetchYard = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [slotsRes, containersRes, linesRes] = await Promise.all([
+        authFetch(getApiUrl(`/api/yard/slots?warehouse=${warehouse}`)),
+        authFetch(getApiUrl(`/api/yard/containers?warehouse=${warehouse}`)),
+        authFetch(getApiUrl('/api/yard/free-days')),
+      ]);
+      if (slotsRes.ok) setSlots(await slotsRes.json());
+      if (containersRes.ok) setContainers(await containersRes.json());
+      if (linesRes.ok) setLines(await linesRes.json());
+    } catch (err) {
+      console.error('Error fetching yard:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [warehouse]);
+
+  useEffect(() => { fetchYard(); }, [fetchYard]);
+
+  // Keep the clocks running
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const clocksById = useMemo(() => {
+    const map = {};
+    containers.forEach(c => { map[c.id] = containerClocks(c, freeDaysFor(lines, c.shipping_line), now); });
+    return map;
+  }, [containers, lines, now]);
+
+  const yardMap = useMemo(() => buildYardMap(slots, containers), [slots, containers]);
+  const atPort = containers.filter(c => c.status === 'expected');
+  const inYard = containers.filter(c => c.status === 'in_yard');
+  const freeSlots = yardMap.flatMap(r => r.slots).filter(s => !s.container).map(s => s.slot);
+  const selected = containers.find(c => c.id === selectedId) || null;
+  const counts = useMemo(() => {
+    const statuses = Object.values(clocksById).map(c => c.status);
+    return { warning: statuses.filter(s => s === 'warning').length, charging: statuses.filter(s => s === 'charging').length };
+  }, [clocksById]);
+
+  const pickableShipments = useMemo(() => {
+    const term = shipmentSearch.trim().toLowerCase();
+    return shipments
+      .filter(s => !CLOSED_STATUSES.includes(s.latestStatus) || form.shipmentIds.includes(s.id))
+      .filter(s => !term
+        || (s.orderRef || '').toLowerCase().includes(term)
+        || (s.supplier || '').toLowerCase().includes(term));
+  }, [shipments, shipmentSearch, form.shipmentIds]);
+
+  const post = async (path, body, successMessage) => {
+    try {
+      const res = await authFetch(getApiUrl(path), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      showSuccess(successMessage);
+      fetchYard();
+      return true;
+    } catch (err) {
+      showError(err.message);
+      return false;
+    }
+  };
+
+  const handleDrop = (e, slot) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const container = containers.find(c => String(c.id) === e.dataTransfer.getData('text/plain'));
+    if (!container || container.yard_slot_id === slot.id) return;
+    if (container.status === 'expected') {
+      post(`/api/yard/containers/${container.id}/gate-in`, { yardSlotId: slot.id }, `${containerLabel(container)} gated in to ${slot.code}`);
+    } else {
+      post(`/api/yard/containers/${container.id}/move`, { yardSlotId: slot.id }, `${containerLabel(container)} moved to ${slot.code}`);
+    }
+  };
+
+  const handleGateOut = async (container) => {
+    const clocks = clocksById[container.id];
+    const ok = await confirmAction({
+      title: 'Gate Out',
+      message: `Gate ${containerLabel(container)} out of the yard${container.slot_code ? ` (slot ${container.slot_code})` : ''}?`
+        + (clocks?.detention.status === 'charging' ? ` Detention: ${formatClock(clocks.detention)}.` : ''),
+      confirmText: 'Gate Out',
+    });
+    if (!ok) return;
+    if (await post(`/api/yard/containers/${container.id}/gate-out`, {}, `${containerLabel(container)} gated out`)) {
+      setSelectedId(null);
+    }
+  };
+
+  const handleRemove = async (container) => {
+    const ok = await confirmAction({
+      title: 'Remove Container',
+      message: `Remove ${containerLabel(container)} from the yard register?`,
+      confirmText: 'Remove',
+      type: 'danger',
+    });
+    if (!ok) return;
+    try {
+      const res = await authFetch(getApiUrl(`/api/yard/containers/${container.id}`), { method: 'DELETE' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to remove container');
+      showSuccess(`${containerLabel(container)} removed`);
+      setSelectedId(null);
+      fetchYard();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const openForm = (container = null) => {
+    setEditingId(container?.id || null);
+    setForm(container ? {
+      equipmentType: container.equipment_type,
+      containerNumber: container.container_number || '',
+      trailerNumber: container.trailer_number || '',
+      sealNumber: container.seal_number || '',
+      shippingLine: container.shipping_line || '',
+      dischargedAt: toLocalInput(container.discharged_at),
+      yardSlotId: '',
+      shipmentIds: container.shipment_ids || [],
+      notes: container.notes || '',
+    } : EMPTY_CONTAINER_FORM);
+    setShipmentSearch('');
+    setShowForm(true);
+  };
+
+  const toggleShipment = (id) => {
+    setForm(prev => ({
+      ...prev,
+      shipmentIds: prev.shipmentIds.includes(id) ? prev.shipmentIds.filter(s => s !== id) : [...prev.shipmentIds, id],
+    }));
+  };
+
+  const saveContainer = async () => {
+    const { yardSlotId, dischargedAt, ...fields } = form;
+    const body = {
+      ...fields,
+      dischargedAt: dischargedAt ? new Date(dischargedAt).toISOString() : null,
+      ...(!editingId && { warehouse, yardSlotId: yardSlotId ? parseInt(yardSlotId, 10) : null }),
+    };
+    try {
+      setSaving(true);
+      const res = await authFetch(getApiUrl(editingId ? `/api/yard/containers/${editingId}` : '/api/yard/containers'), {
+        method: editingId ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save container');
+      showSuccess(editingId ? 'Container updated' : `${form.containerNumber || form.trailerNumber} added to the yard register`);
+      setShowForm(false);
+      fetchYard();
+    } catch (err) {
+      showError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addRow = async () => {
+    if (await post('/api/yard/slots', { warehouse, row: rowForm.row, count: parseInt(rowForm.count, 10) }, `Row ${rowForm.row.toUpperCase()} added`)) {
+      setRowForm({ row: '', count: 10 });
+    }
+  };
+
+  const deleteSlot = async (slot) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/yard/slots/${slot.id}`), { method: 'DELETE' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to remove slot');
+      fetchYard();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const saveLine = async () => {
+    try {
+      const res = await authFetch(getApiUrl('/api/yard/free-days'), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          shippingLine: lineForm.shippingLine,
+          demurrageFreeDays: parseInt(lineForm.demurrageFreeDays, 10),
+          detentionFreeDays: parseInt(lineForm.detentionFreeDays, 10),
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to save free days');
+      showSuccess(`${lineForm.shippingLine} free days saved`);
+      setLineForm({ ...lineForm, shippingLine: '' });
+      fetchYard();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const deleteLine = async (line) => {
+    try {
+      const res = await authFetch(getApiUrl(`/api/yard/free-days/${line.id}`), { method: 'DELETE' });
+      if (!res.ok) throw new Error('Failed to remove free days');
+      fetchYard();
+    } catch (err) {
+      showError(err.message);
+    }
+  };
+
+  const renderClock = (clock, label) => clock.status !== 'pending' && (
+    <div style={{ fontSize: '0.7rem', color: CLOCK_COLORS[clock.status], fontWeight: clock.status === 'ok' || clock.status === 'closed' ? 400 : 700 }}>
+      {label}: {formatClock(clock)}
+    </div>
+  );
+
+  const renderContainerChip = (container) => {
+    const clocks = clocksById[container.id];
+    return (
+      <div
+        key={container.id}
+        draggable
+        onDragStart={e => e.dataTransfer.setData('text/plain', String(container.id))}
+        onClick={() => setSelectedId(container.id)}
+        title={(container.shipments || []).map(s => s.order_ref).join(', ')}
+        style={{
+          padding: '3px 6px', marginTop: '3px', borderRadius: '6px', cursor: 'grab',
+          background: 'var(--surface)', color: 'var(--text-900)', fontSize: '0.75rem',
+          border: `1px solid ${CLOCK_COLORS[clocks?.status] || 'var(--border)'}`,
+          outline: selectedId === container.id ? '2px solid var(--accent)' : undefined,
+        }}
+      >
+        <div style={{ fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+          {containerLabel(container)}
+          {container.emptied_at && <span style={{ fontWeight: 400, color: 'var(--text-500)' }}> (empty)</span>}
+        </div>
+        {container.shipping_line && <div style={{ fontSize: '0.7rem', color: 'var(--text-500)' }}>{container.shipping_line}</div>}
+        {clocks && renderClock(container.status === 'expected' ? clocks.demurrage : clocks.detention, container.status === 'expected' ? 'Dem' : 'Det')}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '1rem', alignItems: 'flex-start' }}>
+      <div className="card" style={{ flex: 1, padding: '1rem', overflowX: 'auto' }}>
+        {/* Toolbar */}
+        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', flexWrap: 'wrap', marginBottom: '0.75rem', fontSize: '0.85rem' }}>
+          <span style={{ color: 'var(--text-700)' }}><strong>{inYard.length}</strong> in yard</span>
+          <span style={{ color: 'var(--text-700)' }}><strong>{freeSlots.length}</strong> free slots</span>
+          {counts.warning > 0 && <span style={{ color: CLOCK_COLORS.warning, fontWeight: 600 }}>{counts.warning} nearing charges</span>}
+          {counts.charging > 0 && <span style={{ color: CLOCK_COLORS.charging, fontWeight: 600 }}>{counts.charging} incurring charges</span>}
+          <button className="btn btn-primary" style={{ fontSize: '0.8rem', marginLeft: 'auto' }} onClick={() => openForm()}>+ Register Container</button>
+          <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={() => setShowSettings(!showSettings)}>
+            {showSettings ? 'Hide Settings' : 'Yard Settings'}
+          </button>
+        </div>
+
+        {loading && slots.length === 0 ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>Loading...</div>
+        ) : yardMap.length === 0 ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500)' }}>
+            {warehouse} has no yard slots yet. Add rows under Yard Settings to lay out the yard.
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+            {yardMap.map(({ row, slots: rowSlots }) => (
+              <div key={row} style={{ display: 'flex', gap: '0.5rem', alignItems: 'stretch' }}>
+                <div style={{ width: '32px', fontWeight: 700, color: 'var(--text-700)', display: 'flex', alignItems: 'center' }}>{row}</div>
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', flex: 1 }}>
+                  {rowSlots.map(({ slot, container }) => (
+                    <div
+                      key={slot.id}
+                      onDragOver={e => { if (!container) { e.preventDefault(); setDropTarget(slot.id); } }}
+                      onDragLeave={() => setDropTarget(null)}
+                      onDrop={e => handleDrop(e, slot)}
+                      style={{
+                        width: '130px', minHeight: '72px', padding: '4px', borderRadius: '8px',
+                        border: '1px solid var(--border)', boxSizing: 'border-box',
+                        background: container ? 'var(--surface-2)' : undefined,
+                        outline: dropTarget === slot.id ? '2px dashed var(--accent)' : undefined,
+                      }}
+                    >
+                      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.7rem', color: 'var(--text-500)' }}>
+                        <span>{slot.code}</span>
+                        {showSettings && !container && (
+                          <button className="btn btn-ghost danger" style={{ fontSize: '0.65rem', padding: '0 4px' }} onClick={() => deleteSlot(slot)} title="Remove slot">&times;</button>
+                        )}
+                      </div>
+                      {container && renderContainerChip(container)}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div style={{ width: '280px', display: 'flex', flexDirection: 'column', gap: '1rem' }}>
+        {/* Selected container */}
+        {selected && (
+          <div className="dash-panel" style={{ padding: '0.75rem', fontSize: '0.8rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <h4 style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-900)' }}>{containerLabel(selected)}</h4>
+              <button className="btn btn-ghost" style={{ fontSize: '0.7rem', padding: '2px 6px' }} onClick={() => setSelectedId(null)}>&times;</button>
+            </div>
+            <div style={{ color: 'var(--text-500)', margin: '0.25rem 0 0.5rem' }}>
+              {[selected.shipping_line, selected.slot_code && `Slot ${selected.slot_code}`, selected.seal_number && `Seal ${selected.seal_number}`].filter(Boolean).join(' · ') || 'No details'}
+            </div>
+            {selected.trailer_number && selected.container_number && <div>Trailer: {selected.trailer_number}</div>}
+            <div>Discharged: {formatTime(selected.discharged_at)}</div>
+            <div>Gated in: {formatTime(selected.gate_in_at)}</div>
+            {selected.emptied_at && <div>Emptied: {formatTime(selected.emptied_at)}</div>}
+            {(selected.shipments || []).length > 0 && <div>Shipments: {selected.shipments.map(s => s.order_ref).join(', ')}</div>}
+            <div style={{ margin: '0.5rem 0' }}>
+              {renderClock(clocksById[selected.id].demurrage, 'Demurrage')}
+              {renderClock(clocksById[selected.id].detention, 'Detention')}
+            </div>
+            <div style={{ display: 'flex', gap: '0.25rem', flexWrap: 'wrap' }}>
+              <button className="btn btn-ghost" style={{ fontSize: '0.75rem', padding: '4px 8px' }} onClick={() => openForm(selected)}>Edit</button>
+              {selected.status === 'in_yard' && !selected.emptied_at && (
+                <button className="btn btn-ghost" style={{ fontSize: '0.75rem', padding: '4px 8px' }} onClick={() => post(`/api/yard/containers/${selected.id}/empty`, {}, `${containerLabel(selected)} marked empty`)}>
+                  Mark Empty
+                </button>
+              )}
+              {selected.status === 'in_yard' && (
+                <button className="btn btn-primary" style={{ fontSize: '0.75rem', padding: '4px 8px' }} onClick={() => handleGateOut(selected)}>Gate Out</button>
+              )}
+              {selected.status === 'expected' && (
+                <button className="btn btn-ghost danger" style={{ fontSize: '0.75rem', padding: '4px 8px' }} onClick={() => handleRemove(selected)}>Remove</button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* At the port */}
+        <div className="dash-panel" style={{ padding: '0.75rem' }}>
+          <h4 style={{ margin: '0 0 0.5rem', fontSize: '0.9rem', color: 'var(--text-900)' }}>At Port ({atPort.length})</h4>
+          {atPort.length === 0 ? (
+            <p style={{ margin: 0, fontSize: '0.8rem', color: 'var(--text-500)' }}>No containers waiting to be collected</p>
+          ) : (
+            <>
+              <p style={{ margin: '0 0 0.25rem', fontSize: '0.75rem', color: 'var(--text-500)' }}>Drag a container onto a free slot to gate it in</p>
+              {atPort.map(renderContainerChip)}
+            </>
+          )}
+        </div>
+
+        {showSettings && (
+          <div className="dash-panel" style={{ padding: '0.75rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+            <h4 style={{ margin: 0, fontSize: '0.9rem', color: 'var(--text-900)' }}>Add Row</h4>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+              <div>
+                <label style={labelStyle}>Row</label>
+                <input type="text" className="input" maxLength={3} placeholder="A" value={rowForm.row} onChange={e => setRowForm({ ...rowForm, row: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Slots</label>
+                <input type="number" min="1" max="50" className="input" value={rowForm.count} onChange={e => setRowForm({ ...rowForm, count: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+            </div>
+            <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={addRow} disabled={!rowForm.row.trim()}>+ Add Slots</button>
+
+            <h4 style={{ margin: '0.5rem 0 0', fontSize: '0.9rem', color: 'var(--text-900)' }}>Free Days</h4>
+            <p style={{ margin: 0, fontSize: '0.75rem', color: 'var(--text-500)' }}>
+              Other lines get {FREE_TIME_RULES.defaultDemurrageDays} days demurrage and {FREE_TIME_RULES.defaultDetentionDays} days detention.
+            </p>
+            {lines.map(line => (
+              <div key={line.id} style={{ display: 'flex', justifyContent: 'space-between', gap: '0.25rem', fontSize: '0.75rem' }}>
+                <span><strong>{line.shipping_line}</strong> &mdash; {line.demurrage_free_days}d dem / {line.detention_free_days}d det</span>
+                <button className="btn btn-ghost danger" style={{ fontSize: '0.7rem', padding: '2px 6px' }} onClick={() => deleteLine(line)}>&times;</button>
+              </div>
+            ))}
+            <input type="text" className="input" placeholder="Shipping line, e.g. MSC" value={lineForm.shippingLine} onChange={e => setLineForm({ ...lineForm, shippingLine: e.target.value })} />
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+              <div>
+                <label style={labelStyle}>Demurrage days</label>
+                <input type="number" min="0" className="input" value={lineForm.demurrageFreeDays} onChange={e => setLineForm({ ...lineForm, demurrageFreeDays: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Detention days</label>
+                <input type="number" min="0" className="input" value={lineForm.detentionFreeDays} onChange={e => setLineForm({ ...lineForm, detentionFreeDays: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+            </div>
+            <button className="btn btn-ghost" style={{ fontSize: '0.8rem' }} onClick={saveLine} disabled={!lineForm.shippingLine.trim()}>Save Free Days</button>
+          </div>
+        )}
+      </div>
+
+      {/* Register / Edit Container Modal */}
+      {showForm && (
+        <div style={{
+          position: 'fixed', top: 0, left: 0, right: 0, bottom: 0,
+          backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex',
+          alignItems: 'center', justifyContent: 'center', zIndex: 1000
+        }}>
+          <div style={{
+            backgroundColor: 'var(--surface)', padding: '2rem', borderRadius: '12px',
+            boxShadow: '0 20px 25px -5px rgba(0,0,0,0.1)', width: '90%', maxWidth: '560px',
+            maxHeight: '85vh', overflowY: 'auto', border: '1px solid var(--border)'
+          }}>
+            <h3 style={{ margin: '0 0 1rem', color: 'var(--text-900)' }}>{editingId ? 'Edit Container' : 'Register Container'}</h3>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.75rem' }}>
+              <div>
+                <label style={labelStyle}>Type</label>
+                <select className="select" value={form.equipmentType} disabled={!!editingId} onChange={e => setForm({ ...form, equipmentType: e.target.value })} style={{ width: '100%' }}>
+                  {EQUIPMENT_TYPES.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Shipping Line</label>
+                <input type="text" className="input" list="yard-shipping-lines" value={form.shippingLine} onChange={e => setForm({ ...form, shippingLine: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+                <datalist id="yard-shipping-lines">
+                  {lines.map(line => <option key={line.id} value={line.shipping_line} />)}
+                </datalist>
+              </div>
+              <div>
+                <label style={labelStyle}>Container Number{form.equipmentType === 'container' && ' *'}</label>
+                <input type="text" className="input" placeholder="MSCU1234566" value={form.containerNumber} onChange={e => setForm({ ...form, containerNumber: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+                {form.containerNumber && !isValidContainerNumber(form.containerNumber) && (
+                  <div style={{ fontSize: '0.7rem', color: 'var(--danger)', marginTop: '2px' }}>Check digit does not match</div>
+                )}
+              </div>
+              <div>
+                <label style={labelStyle}>Trailer Number{form.equipmentType === 'trailer' && ' *'}</label>
+                <input type="text" className="input" value={form.trailerNumber} onChange={e => setForm({ ...form, trailerNumber: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Seal Number</label>
+                <input type="text" className="input" value={form.sealNumber} onChange={e => setForm({ ...form, sealNumber: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              <div>
+                <label style={labelStyle}>Discharged at Port</label>
+                <input type="datetime-local" className="input" value={form.dischargedAt} onChange={e => setForm({ ...form, dischargedAt: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+              </div>
+              {!editingId && (
+                <div style={{ gridColumn: '1 / -1' }}>
+                  <label style={labelStyle}>Yard Slot</label>
+                  <select className="select" value={form.yardSlotId} onChange={e => setForm({ ...form, yardSlotId: e.target.value })} style={{ width: '100%' }}>
+                    <option value="">Still at port (gate in later)</option>
+                    {freeSlots.map(slot => <option key={slot.id} value={slot.id}>Gate in now to {slot.code}</option>)}
+                  </select>
+                </div>
+              )}
+            </div>
+
+            <label style={{ ...labelStyle, marginTop: '0.75rem' }}>Shipments ({form.shipmentIds.length} selected)</label>
+            <input
+              className="input"
+              value={shipmentSearch}
+              onChange={(e) => setShipmentSearch(e.target.value)}
+              placeholder="Search order ref or supplier..."
+              style={{ width: '100%', boxSizing: 'border-box', marginBottom: '0.5rem' }}
+            />
+            <div style={{ maxHeight: '160px', overflowY: 'auto', border: '1px solid var(--border)', borderRadius: '6px', padding: '0.5rem' }}>
+              {pickableShipments.length === 0 ? (
+                <div style={{ padding: '0.5rem', textAlign: 'center', color: 'var(--text-500)', fontSize: '0.85rem' }}>No shipments</div>
+              ) : pickableShipments.map(s => (
+                <label key={s.id} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', padding: '3px 0', fontSize: '0.85rem' }}>
+                  <input type="checkbox" checked={form.shipmentIds.includes(s.id)} onChange={() => toggleShipment(s.id)} />
+                  <span>{s.orderRef} — {s.supplier}</span>
+                </label>
+              ))}
+            </div>
+
+            <label style={{ ...labelStyle, marginTop: '0.75rem' }}>Notes</label>
+            <textarea className="input" rows={2} value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })} style={{ width: '100%', boxSizing: 'border-box' }} />
+
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1rem' }}>
+              <button className="btn btn-ghost" onClick={() => setShowForm(false)} disabled={saving}>Cancel</button>
+              <button className="btn btn-primary" onClick={saveContainer} disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default YardMap;
@@ -0,0 +1,39 @@
+// src/hooks/useLandedCostTrends.js
+import { useState, useEffect } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+
+/**
+ * Monthly landed cost per kg/unit per product or supplier, from the persisted
+ * per-product allocation of import estimates. Filters left as 'all' or empty
+ * are not sent.
+ */
+export function useLandedCostTrends({ groupBy = 'product', product, supplier, transportMode } = {}) {
+  const [trends, setTrends] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ group_by: groupBy });
+    if (product && product !== 'all') params.set('product', product);
+    if (supplier && supplier !== 'all') params.set('supplier', supplier);
+    if (transportMode && transportMode !== 'all') params.set('transport_mode', transportMode);
+
+    setLoading(true);
+    (async () => {
+      try {
+        const res = await authFetch(getApiUrl(`/api/costing/landed-costs/trends?${params}`));
+        if (res.ok && !cancelled) setTrends(await res.json());
+      } catch (err) {
+        console.error('Failed to fetch landed cost trends:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [groupBy, product, supplier, transportMode]);
+
+  return { trends, loading };
+}
+
+export default useLandedCostTrends;
@@ -0,0 +1,47 @@
+// src/hooks/useRateTables.js
+import { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { setRateTables } from '../utils/costingCalculations';
+
+// Shared across components so the versioned rate tables are fetched once per session
+let loadPromise = null;
+let loadedVersion = 0;
+const listeners = new Set();
+
+async function loadRateTables() {
+  const response = await authFetch(getApiUrl('/api/rate-tables'));
+  if (!response.ok) throw new Error('Failed to fetch rate tables');
+  setRateTables(await response.json());
+  loadedVersion += 1;
+  listeners.forEach(listener => listener(loadedVersion));
+}
+
+/**
+ * Load the database rate tables into the costing engine.
+ * Until they arrive (or if the request fails) the built-in rates are used;
+ * `version` changes whenever new tables are loaded so totals can be recalculated.
+ */
+export function useRateTables() {
+  const [version, setVersion] = useState(loadedVersion);
+
+  useEffect(() => {
+    listeners.add(setVersion);
+    if (!loadPromise) {
+      loadPromise = loadRateTables().catch(err => {
+        console.error('Failed to load rate tables, using built-in rates:', err);
+        loadPromise = null;
+      });
+    }
+    return () => listeners.delete(setVersion);
+  }, []);
+
+  const reload = useCallback(() => {
+    loadPromise = loadRateTables();
+    return loadPromise;
+  }, []);
+
+  return { version, loaded: version > 0, reload };
+}
+
+export default useRateTables;
@@ -0,0 +1,41 @@
+// src/hooks/useShipmentEvents.js
+import { useState, useEffect } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+
+/**
+ * A shipment's event history from GET /api/shipments/:id/events, oldest
+ * first. Re-fetched when `revision` changes (pass the shipment's version or
+ * status so new events show up after an update). Empty until loaded, or if
+ * the request fails.
+ */
+export function useShipmentEvents(shipmentId, revision) {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    if (!shipmentId) {
+      setEvents([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    authFetch(getApiUrl(`/api/shipments/${encodeURIComponent(shipmentId)}/events`))
+      .then(response => {
+        if (!response.ok) throw new Error('Failed to fetch shipment events');
+        return response.json();
+      })
+      .then(result => {
+        if (!cancelled) setEvents(result.data || []);
+      })
+      .catch(err => {
+        console.error('Failed to load shipment events:', err);
+        if (!cancelled) setEvents([]);
+      });
+
+    return () => { cancelled = true; };
+  }, [shipmentId, revision]);
+
+  return events;
+}
+
+export default useShipmentEvents;
@@ -5,6 +5,7 @@ import { ExcelProcessor } from '../utils/excelProcessor';
 import { getApiUrl } from '../config/api';
 import { authUtils } from '../utils/auth';
 import { useNotification } from '../contexts/NotificationContext';
+import { ifMatchHeader, getConflictRecord } from '../utils/shipmentConflicts';
 
 // Timeout helper for fetch (fetch doesn't honor a "timeout" option)
 async function fetchWithTimeout(url, opts = {}, ms = 10000) {
@@ -21,13 +22,64 @@ async function fetchWithTimeout(url, opts = {}, ms = 10000) {
   }
 }
 
+// API rows are snake_case; the UI works with camelCase shipments
+export const normalizeShipment = (s) => ({
+  id: s.id,
+  version: s.version,
+  orderRef: s.order_ref || s.orderRef,
+  supplier: s.supplier,
+  productName: s.product_name || s.productName,
+  quantity: Number(s.quantity) || 0,
+  palletQty: Number(s.pallet_qty || s.palletQty) || 0,
+  cbm: Number(s.cbm) || 0,
+  latestStatus: s.latest_status || s.latestStatus,
+  weekNumber: Number(s.week_number || s.weekNumber) || 0,
+  weekDate: s.week_date || s.weekDate,
+  selectedWeekDate: s.selected_week_date || s.selectedWeekDate,
+  finalPod: s.final_pod || s.finalPod,
+  receivingWarehouse: s.receiving_warehouse || s.receivingWarehouse,
+  forwardingAgent: s.forwarding_agent || s.forwardingAgent,
+  vesselName: s.vessel_name || s.vesselName,
+  incoterm: s.incoterm,
+  notes: s.notes,
+  createdAt: s.created_at || s.createdAt,
+  updatedAt: s.updated_at || s.updatedAt,
+  receivedQuantity: s.received_quantity || s.receivedQuantity ? Number(s.received_quantity || s.receivedQuantity) : null,
+  unloadingStartDate: s.unloading_start_date || s.unloadingStartDate,
+  unloadingCompletedDate: s.unloading_completed_date || s.unloadingCompletedDate,
+  inspectionDate: s.inspection_date || s.inspectionDate,
+  inspectionStatus: s.inspection_status || s.inspectionStatus,
+  inspectionNotes: s.inspection_notes || s.inspectionNotes,
+  inspectedBy: s.inspected_by || s.inspectedBy,
+  receivingDate: s.receiving_date || s.receivingDate,
+  receivingStatus: s.receiving_status || s.receivingStatus,
+  receivingNotes: s.receiving_notes || s.receivingNotes,
+  receivedBy: s.received_by || s.receivedBy,
+  binLocation: s.bin_location || s.binLocation || '',
+  discrepancies: s.discrepancies,
+  rejectionDate: s.rejection_date || s.rejectionDate,
+  rejectionReason: s.rejection_reason || s.rejectionReason,
+  rejectedBy: s.rejected_by || s.rejectedBy,
+  reminderDate: s.reminder_date || s.reminderDate || null,
+  reminderNote: s.reminder_note || s.reminderNote || '',
+  shipmentType: s.shipment_type || s.shipmentType || 'international',
+  sourceWarehouse: s.source_warehouse || s.sourceWarehouse || '',
+  sourcePalletRef: s.source_pallet_ref || s.sourcePalletRef || '',
+  batchLot: s.batch_lot || s.batchLot || '',
+  releaseNumber: s.release_number || s.releaseNumber || '',
+});
+
 export function useShipments() {
   const [shipments, setShipments] = useState([]);
   const [loading, setLoading] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(null);
   const [importResult, setImportResult] = useState(null);
+  // Edits rejected because the shipment changed on the server, oldest first
+  const [versionConflicts, setVersionConflicts] = useState([]);
   const loadingCountRef = useRef(0);
   const lastFetchRef = useRef(0);
+  const shipmentsRef = useRef(shipments);
+  shipmentsRef.current = shipments;
   const { showSuccess, showError } = useNotification();
 
   const FETCH_COOLDOWN = 5000;
@@ -90,49 +142,7 @@ export function useShipments() {
         console.warn('Shipment data may be truncated: response count reached the 5000 limit');
       }
 
-      const normalized = (data.data || []).map(s => ({
-        id: s.id,
-        orderRef: s.order_ref || s.orderRef,
-        supplier: s.supplier,
-        productName: s.product_name || s.productName,
-        quantity: Number(s.quantity) || 0,
-        palletQty: Number(s.pallet_qty || s.palletQty) || 0,
-        cbm: Number(s.cbm) || 0,
-        latestStatus: s.latest_status || s.latestStatus,
-        weekNumber: Number(s.week_number || s.weekNumber) || 0,
-        weekDate: s.week_date || s.weekDate,
-        selectedWeekDate: s.selected_week_date || s.selectedWeekDate,
-        finalPod: s.final_pod || s.finalPod,
-        receivingWarehouse: s.receiving_warehouse || s.receivingWarehouse,
-        forwardingAgent: s.forwarding_agent || s.forwardingAgent,
-        vesselName: s.vessel_name || s.vesselName,
-        incoterm: s.incoterm,
-        notes: s.notes,
-        createdAt: s.created_at || s.createdAt,
-        updatedAt: s.updated_at || s.updatedAt,
-        receivedQuantity: s.received_quantity || s.receivedQuantity ? Number(s.received_quantity || s.receivedQuantity) : null,
-        unloadingStartDate: s.unloading_start_date || s.unloadingStartDate,
-        unloadingCompletedDate: s.unloading_completed_date || s.unloadingCompletedDate,
-        inspectionDate: s.inspection_date || s.inspectionDate,
-        inspectionStatus: s.inspection_status || s.inspectionStatus,
-        inspectionNotes: s.inspection_notes || s.inspectionNotes,
-        inspectedBy: s.inspected_by || s.inspectedBy,
-        receivingDate: s.receiving_date || s.receivingDate,
-        receivingStatus: s.receiving_status || s.receivingStatus,
-        receivingNotes: s.receiving_notes || s.receivingNotes,
-        receivedBy: s.received_by || s.receivedBy,
-        discrepancies: s.discrepancies,
-        rejectionDate: s.rejection_date || s.rejectionDate,
-        rejectionReason: s.rejection_reason || s.rejectionReason,
-        rejectedBy: s.rejected_by || s.rejectedBy,
-        reminderDate: s.reminder_date || s.reminderDate || null,
-        reminderNote: s.reminder_note || s.reminderNote || '',
-        shipmentType: s.shipment_type || s.shipmentType || 'international',
-        sourceWarehouse: s.source_warehouse || s.sourceWarehouse || '',
-        sourcePalletRef: s.source_pallet_ref || s.sourcePalletRef || '',
-        batchLot: s.batch_lot || s.batchLot || '',
-        releaseNumber: s.release_number || s.releaseNumber || '',
-      }));
+      const normalized = (data.data || []).map(normalizeShipment);
 
       setShipments(normalized);
       setLastSyncTime(new Date());
@@ -171,15 +181,35 @@ export function useShipments() {
     }
   }, [fetchShipments, showSuccess, showError]);
 
-  const handleUpdateShipment = useCallback(async (id, updates) => {
+  // base is the shipment as the user saw it when they started editing; its
+  // version is sent in If-Match so a save never overwrites someone else's change.
+  // Defaults to the shipment as last loaded.
+  const handleUpdateShipment = useCallback(async (id, updates, base) => {
+    const original = base || shipmentsRef.current.find(s => s.id === id);
     try {
       const response = await authFetch(getApiUrl(`/api/shipments/${id}`), {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...ifMatchHeader(original) },
         body: JSON.stringify(updates)
       });
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
+        const current = getConflictRecord(response.status, errorData);
+        if (current) {
+          // Queue for the merge dialog; a second rejected edit of the same
+          // shipment joins the first so both are reviewed together
+          setVersionConflicts(prev => {
+            const existing = prev.find(c => c.id === id);
+            const conflict = {
+              id,
+              base: existing?.base || original,
+              changes: { ...existing?.changes, ...updates },
+              current: normalizeShipment(current),
+            };
+            return existing ? prev.map(c => (c === existing ? conflict : c)) : [...prev, conflict];
+          });
+          return;
+        }
         const fieldDetails = errorData?.details?.fields || errorData?.details;
         const validationMessage = Array.isArray(fieldDetails)
           ? fieldDetails.map((field) => `${field.field || field.path}: ${field.message || field.msg}`).join(', ')
@@ -191,6 +221,17 @@ export function useShipments() {
     } catch (err) { showError(err.message); }
   }, [fetchShipments, showSuccess, showError]);
 
+  // Settle the oldest version conflict: save the merged changes on top of the
+  // current version, or (changes null) drop the edit and reload
+  const resolveVersionConflict = useCallback(async (conflict, changes) => {
+    setVersionConflicts(prev => prev.filter(c => c !== conflict));
+    if (changes && Object.keys(changes).length > 0) {
+      await handleUpdateShipment(conflict.id, changes, conflict.current);
+    } else {
+      await fetchShipments();
+    }
+  }, [handleUpdateShipment, fetchShipments]);
+
   const handleDeleteShipment = useCallback(async (id) => {
     try {
       const response = await authFetch(getApiUrl(`/api/shipments/${id}`), { method: 'DELETE' });
@@ -212,7 +253,7 @@ export function useShipments() {
     } catch (err) { showError(err.message); }
   }, [fetchShipments, showSuccess, showError]);
 
-  const handleFileUpload = useCallback(async (file, handleAddSupplier, shipmentType = 'international') => {
+  const handleFileUpload = useCallback(async (file, handleAddSupplier, shipmentType = 'international', mappingProfile = null) => {
     try {
       startLoading();
 
@@ -224,7 +265,7 @@ export function useShipments() {
         'AB MAURI', 'ECOLEX SDN. BHD', 'MARCEL CARRAGEENAN', 'TRISTAR GLOBAL SDN. BHD',
       ];
 
-      let processedShipments = await ExcelProcessor.parseExcelFile(file);
+      let processedShipments = await ExcelProcessor.parseExcelFile(file, mappingProfile);
       if (processedShipments.length === 0) throw new Error('No data found in Excel file');
 
       // Filter out international suppliers for local imports
@@ -335,6 +376,8 @@ export function useShipments() {
     fetchShipments,
     handleCreateShipment,
     handleUpdateShipment,
+    versionConflict: versionConflicts[0] || null,
+    resolveVersionConflict,
     handleDeleteShipment,
     handleArchiveShipment,
     handleFileUpload,
@@ -0,0 +1,44 @@
+// src/hooks/useStatusGraph.js
+import { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { getNextStatuses, STATUS_TRANSITIONS } from '../utils/shipmentStateMachine';
+
+// Shared across components so the status graph is fetched once per session
+let loadPromise = null;
+let loadedGraph = null;
+const listeners = new Set();
+
+async function loadStatusGraph() {
+  const response = await authFetch(getApiUrl('/api/shipments/status-graph'));
+  if (!response.ok) throw new Error('Failed to fetch status graph');
+  loadedGraph = await response.json();
+  listeners.forEach(listener => listener(loadedGraph));
+}
+
+/**
+ * The shipment status transitions the server accepts, for offering only
+ * valid next states. Until the graph arrives (or if the request fails) the
+ * copy bundled with the app is used.
+ */
+export function useStatusGraph() {
+  const [graph, setGraph] = useState(loadedGraph);
+
+  useEffect(() => {
+    listeners.add(setGraph);
+    if (!loadPromise) {
+      loadPromise = loadStatusGraph().catch(err => {
+        console.error('Failed to load status graph, using bundled transitions:', err);
+        loadPromise = null;
+      });
+    }
+    return () => listeners.delete(setGraph);
+  }, []);
+
+  const transitions = graph?.transitions || STATUS_TRANSITIONS;
+  const nextStatuses = useCallback((status) => getNextStatuses(status, transitions), [transitions]);
+
+  return { graph, nextStatuses };
+}
+
+export default useStatusGraph;
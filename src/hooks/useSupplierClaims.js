@@ -0,0 +1,37 @@
+// src/hooks/useSupplierClaims.js
+import { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+
+/**
+ * Claim count, value and amount recovered per supplier (cancelled claims
+ * left out), with a lookup by supplier name for the scorecards
+ */
+export function useSupplierClaims() {
+  const [summary, setSummary] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await authFetch(getApiUrl('/api/claims/summary'));
+        if (res.ok && !cancelled) setSummary(await res.json());
+      } catch (err) {
+        console.error('Failed to fetch supplier claims summary:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  const claimsFor = useCallback((supplierName) => {
+    const name = String(supplierName || '').toLowerCase().trim();
+    return summary.find(row => String(row.supplier || '').toLowerCase().trim() === name) || null;
+  }, [summary]);
+
+  return { summary, claimsFor, loading };
+}
+
+export default useSupplierClaims;
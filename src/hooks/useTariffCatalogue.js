@@ -0,0 +1,48 @@
+// src/hooks/useTariffCatalogue.js
+import { useState, useEffect, useCallback } from 'react';
+import { authFetch } from '../utils/authFetch';
+import { getApiUrl } from '../config/api';
+import { setTariffCatalogue } from '../utils/costingCalculations';
+
+// Shared across components so the tariff catalogue is fetched once per session
+let loadPromise = null;
+let loadedVersion = 0;
+const listeners = new Set();
+
+async function loadTariffCatalogue() {
+  const response = await authFetch(getApiUrl('/api/tariffs'));
+  if (!response.ok) throw new Error('Failed to fetch tariff catalogue');
+  setTariffCatalogue(await response.json());
+  loadedVersion += 1;
+  listeners.forEach(listener => listener(loadedVersion));
+}
+
+/**
+ * Load the HS tariff catalogue into the costing engine so product duty is
+ * prefilled from each line's HS code. Until it arrives (or if the request
+ * fails) the duty rates entered on the lines are used; `version` changes
+ * whenever the catalogue is (re)loaded so totals can be recalculated.
+ */
+export function useTariffCatalogue() {
+  const [version, setVersion] = useState(loadedVersion);
+
+  useEffect(() => {
+    listeners.add(setVersion);
+    if (!loadPromise) {
+      loadPromise = loadTariffCatalogue().catch(err => {
+        console.error('Failed to load tariff catalogue, using entered duty rates:', err);
+        loadPromise = null;
+      });
+    }
+    return () => listeners.delete(setVersion);
+  }, []);
+
+  const reload = useCallback(() => {
+    loadPromise = loadTariffCatalogue();
+    return loadPromise;
+  }, []);
+
+  return { version, loaded: version > 0, reload };
+}
+
+export default useTariffCatalogue;
@@ -0,0 +1,675 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getApiUrl } from '../config/api';
+
+const WAREHOUSES = ['PRETORIA', 'KLAPMUTS', 'OFFSITE'];
+
+const EMPTY_BOOKING_FORM = {
+  shipmentIds: [],
+  driverName: '',
+  driverPhone: '',
+  vehicleReg: '',
+  notes: ''
+};
+
+const panelStyle = {
+  backgroundColor: 'var(--surface-0, white)',
+  padding: '1.25rem',
+  borderRadius: '8px',
+  boxShadow: '0 1px 3px rgba(0,0,0,0.08)'
+};
+
+const fieldStyle = {
+  width: '100%',
+  padding: '0.5rem',
+  borderRadius: '4px',
+  border: '1px solid var(--border, #ddd)',
+  fontSize: '0.85rem',
+  boxSizing: 'border-box'
+};
+
+const primaryButton = (disabled) => ({
+  padding: '0.6rem 1.25rem',
+  backgroundColor: 'var(--accent, #003d82)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  opacity: disabled ? 0.6 : 1,
+  fontSize: '0.85rem',
+  fontWeight: 600
+});
+
+const secondaryButton = {
+  padding: '0.4rem 0.9rem',
+  backgroundColor: 'transparent',
+  color: 'var(--accent, #003d82)',
+  border: '1px solid var(--accent, #003d82)',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '0.8rem'
+};
+
+const formatDateTime = (value) => {
+  if (!value) return '-';
+  return new Date(value).toLocaleString('en-ZA', {
+    weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+  });
+};
+
+const formatDay = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-ZA', {
+  weekday: 'short', day: 'numeric', month: 'short'
+});
+
+const todayString = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+function CarrierDashboard({ onLogout }) {
+  const [activeTab, setActiveTab] = useState('book');
+  const [shipments, setShipments] = useState([]);
+  const [bookings, setBookings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  // Booking state
+  const [warehouse, setWarehouse] = useState('');
+  const [fromDate, setFromDate] = useState(todayString());
+  const [slotDays, setSlotDays] = useState([]);
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [slotsError, setSlotsError] = useState('');
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [alternatives, setAlternatives] = useState([]);
+  const [bookingForm, setBookingForm] = useState(EMPTY_BOOKING_FORM);
+  const [rescheduling, setRescheduling] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [confirmation, setConfirmation] = useState(null);
+
+  const token = localStorage.getItem('carrier_token');
+  const carrierUser = (() => {
+    try { return JSON.parse(localStorage.getItem('carrier_user') || '{}'); } catch { return {}; }
+  })();
+
+  const carrierFetch = useCallback((url, options = {}) => {
+    return fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        Authorization: `Bearer ${token}`
+      }
+    });
+  }, [token]);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [shipmentsRes, bookingsRes] = await Promise.all([
+        carrierFetch(getApiUrl('/api/carrier/shipments')),
+        carrierFetch(getApiUrl('/api/carrier/bookings'))
+      ]);
+
+      if (shipmentsRes.status === 401 || bookingsRes.status === 401) {
+        onLogout();
+        return;
+      }
+
+      if (shipmentsRes.ok) {
+        const data = await shipmentsRes.json();
+        const list = data.shipments || [];
+        setShipments(list);
+        // Start on the warehouse of the next delivery due
+        const first = list.find(s => WAREHOUSES.includes(s.receivingWarehouse));
+        if (first) setWarehouse(current => current || first.receivingWarehouse);
+      }
+
+      if (bookingsRes.ok) {
+        const data = await bookingsRes.json();
+        setBookings(data.bookings || []);
+      }
+    } catch (error) {
+      console.error('Error fetching carrier data:', error);
+      setMessage('Error loading portal data');
+    } finally {
+      setLoading(false);
+    }
+  }, [carrierFetch, onLogout]);
+
+  const fetchBookings = async () => {
+    try {
+      const res = await carrierFetch(getApiUrl('/api/carrier/bookings'));
+      if (!res.ok) throw new Error('Failed to fetch bookings');
+      const data = await res.json();
+      setBookings(data.bookings || []);
+    } catch (error) {
+      console.error('Error fetching bookings:', error);
+      setMessage('Error loading bookings');
+    }
+  };
+
+  const fetchSlots = useCallback(async () => {
+    if (!warehouse) {
+      setSlotDays([]);
+      return;
+    }
+
+    try {
+      setSlotsLoading(true);
+      setSlotsError('');
+      const params = new URLSearchParams({ warehouse, from: fromDate, days: '7' });
+      const res = await carrierFetch(getApiUrl(`/api/carrier/slots?${params}`));
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to fetch slots');
+      setSlotDays(data.days || []);
+    } catch (error) {
+      console.error('Error fetching slots:', error);
+      setSlotDays([]);
+      setSlotsError(error.message);
+    } finally {
+      setSlotsLoading(false);
+    }
+  }, [carrierFetch, warehouse, fromDate]);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  useEffect(() => {
+    fetchSlots();
+  }, [fetchSlots]);
+
+  const toggleShipment = (id) => {
+    setBookingForm(form => ({
+      ...form,
+      shipmentIds: form.shipmentIds.includes(id)
+        ? form.shipmentIds.filter(s => s !== id)
+        : [...form.shipmentIds, id]
+    }));
+  };
+
+  const selectSlot = (slot) => {
+    setSelectedSlot(slot);
+    setAlternatives([]);
+    setConfirmation(null);
+  };
+
+  const resetBooking = () => {
+    setSelectedSlot(null);
+    setAlternatives([]);
+    setBookingForm(EMPTY_BOOKING_FORM);
+    setRescheduling(null);
+  };
+
+  const startReschedule = (booking) => {
+    setRescheduling(booking);
+    setWarehouse(booking.warehouse);
+    setSelectedSlot(null);
+    setAlternatives([]);
+    setConfirmation(null);
+    setBookingForm({
+      shipmentIds: booking.shipments.map(s => s.id),
+      driverName: booking.driverName || '',
+      driverPhone: booking.driverPhone || '',
+      vehicleReg: booking.vehicleReg || '',
+      notes: booking.notes || ''
+    });
+    setActiveTab('book');
+  };
+
+  const submitBooking = async (e) => {
+    e.preventDefault();
+    if (!selectedSlot) return;
+
+    try {
+      setSubmitting(true);
+      setMessage('');
+      const body = {
+        warehouse,
+        expectedArrival: selectedSlot.start,
+        shipmentIds: bookingForm.shipmentIds,
+        driverName: bookingForm.driverName,
+        driverPhone: bookingForm.driverPhone,
+        vehicleReg: bookingForm.vehicleReg,
+        notes: bookingForm.notes
+      };
+
+      const res = await carrierFetch(
+        getApiUrl(rescheduling ? `/api/carrier/bookings/${rescheduling.id}` : '/api/carrier/bookings'),
+        {
+          method: rescheduling ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }
+      );
+      const data = await res.json();
+
+      if (!res.ok) {
+        // Someone else took the slot — offer the nearest open ones instead
+        if (res.status === 409 && data.code === 'SLOT_UNAVAILABLE') {
+          setAlternatives(data.details?.alternatives || []);
+          setSelectedSlot(null);
+          fetchSlots();
+        }
+        throw new Error(data.error || 'Booking failed');
+      }
+
+      setConfirmation({ message: data.message, booking: data.data });
+      resetBooking();
+      fetchSlots();
+      fetchBookings();
+    } catch (error) {
+      console.error('Booking error:', error);
+      setMessage('Error: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const cancelBooking = async (booking) => {
+    if (!window.confirm(`Cancel booking ${booking.reference} on ${formatDateTime(booking.expectedArrival)}?`)) return;
+
+    try {
+      const res = await carrierFetch(getApiUrl(`/api/carrier/bookings/${booking.id}/cancel`), { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to cancel booking');
+      setMessage(data.message);
+      fetchBookings();
+      fetchSlots();
+    } catch (error) {
+      console.error('Cancel error:', error);
+      setMessage('Error: ' + error.message);
+    }
+  };
+
+  const upcomingBookings = bookings.filter(b => b.status === 'scheduled');
+  const pastBookings = bookings.filter(b => b.status !== 'scheduled');
+
+  const renderSlotButton = (slot) => {
+    const selected = selectedSlot?.start === slot.start;
+    return (
+      <button
+        key={slot.start}
+        type="button"
+        disabled={!slot.available}
+        onClick={() => selectSlot(slot)}
+        title={slot.closed ? 'Closed' : `${slot.remaining} truck${slot.remaining === 1 ? '' : 's'} available`}
+        style={{
+          padding: '0.4rem 0.6rem',
+          borderRadius: '4px',
+          border: selected ? '2px solid var(--accent, #003d82)' : '1px solid var(--border, #ddd)',
+          backgroundColor: selected
+            ? 'var(--accent, #003d82)'
+            : slot.available ? 'var(--surface-0, white)' : 'var(--surface-2, #eee)',
+          color: selected ? 'white' : slot.available ? 'var(--text-900, #1a1a1a)' : 'var(--text-500, #999)',
+          cursor: slot.available ? 'pointer' : 'not-allowed',
+          fontSize: '0.8rem',
+          textDecoration: slot.available ? 'none' : 'line-through'
+        }}
+      >
+        {slot.label}
+      </button>
+    );
+  };
+
+  return (
+    <div style={{ minHeight: '100vh', backgroundColor: 'var(--surface-1, #f5f5f5)' }}>
+      {/* Header */}
+      <header style={{
+        backgroundColor: 'var(--accent, #003d82)',
+        color: 'white',
+        padding: '1.5rem',
+        boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+      }}>
+        <div style={{ maxWidth: '1200px', margin: '0 auto', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <div>
+            <h1 style={{ margin: 0, fontSize: '1.35rem', fontWeight: 700 }}>Carrier Portal</h1>
+            <p style={{ margin: '4px 0 0', fontSize: '0.85rem', opacity: 0.85 }}>
+              Welcome back{carrierUser?.name ? `, ${carrierUser.name}` : (carrierUser?.email ? `, ${carrierUser.email}` : '')}
+            </p>
+          </div>
+          <button
+            onClick={onLogout}
+            style={{
+              padding: '0.5rem 1rem',
+              backgroundColor: 'rgba(255,255,255,0.15)',
+              color: 'white',
+              border: '1px solid rgba(255,255,255,0.3)',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              fontSize: '0.85rem'
+            }}
+          >
+            Logout
+          </button>
+        </div>
+      </header>
+
+      <div style={{ maxWidth: '1200px', margin: '0 auto', padding: '1rem' }}>
+        {/* Tabs */}
+        <div style={{
+          display: 'flex',
+          gap: '0',
+          marginBottom: '1.5rem',
+          borderBottom: '2px solid var(--border, #ddd)'
+        }}>
+          {[
+            { id: 'book', label: rescheduling ? 'Reschedule' : 'Book a Slot' },
+            { id: 'bookings', label: `My Bookings (${upcomingBookings.length})` },
+            { id: 'shipments', label: `Assigned Shipments (${shipments.length})` }
+          ].map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setActiveTab(tab.id)}
+              style={{
+                padding: '0.75rem 1.5rem',
+                backgroundColor: activeTab === tab.id ? 'var(--accent, #003d82)' : 'transparent',
+                color: activeTab === tab.id ? 'white' : 'var(--text-700, #333)',
+                border: 'none',
+                cursor: 'pointer',
+                fontSize: '0.9rem',
+                fontWeight: activeTab === tab.id ? 600 : 400,
+                borderBottom: activeTab === tab.id ? '3px solid var(--accent-light, #0066cc)' : 'none',
+                transition: 'all 0.2s'
+              }}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Message */}
+        {message && (
+          <div style={{
+            padding: '0.75rem 1rem',
+            marginBottom: '1rem',
+            backgroundColor: message.toLowerCase().includes('error') ? 'var(--danger-bg, #f8d7da)' : 'var(--success-bg, #d4edda)',
+            color: message.toLowerCase().includes('error') ? 'var(--danger, #721c24)' : 'var(--success, #155724)',
+            borderRadius: '4px',
+            fontSize: '0.85rem'
+          }}>
+            {message}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: 'var(--text-500, #666)' }}>
+            Loading portal...
+          </div>
+        ) : (
+          <>
+            {/* ===== BOOK TAB ===== */}
+            {activeTab === 'book' && (
+              <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(280px, 1fr)', gap: '1rem', alignItems: 'start' }}>
+                <div style={panelStyle}>
+                  {confirmation && (
+                    <div style={{
+                      padding: '1rem',
+                      marginBottom: '1rem',
+                      backgroundColor: 'var(--success-bg, #d4edda)',
+                      color: 'var(--success, #155724)',
+                      borderRadius: '4px'
+                    }}>
+                      <strong>{confirmation.message}</strong>
+                      <div style={{ fontSize: '0.85rem', marginTop: '0.25rem' }}>
+                        {confirmation.booking.warehouse} · {formatDateTime(confirmation.booking.expectedArrival)}
+                        {confirmation.booking.vehicleReg ? ` · ${confirmation.booking.vehicleReg}` : ''}
+                        . A confirmation has been emailed to you — quote the reference at the gate.
+                      </div>
+                    </div>
+                  )}
+
+                  {rescheduling && (
+                    <div style={{
+                      padding: '0.75rem 1rem',
+                      marginBottom: '1rem',
+                      backgroundColor: 'var(--warning-bg, #fff3cd)',
+                      color: 'var(--warning, #856404)',
+                      borderRadius: '4px',
+                      fontSize: '0.85rem',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center'
+                    }}>
+                      <span>
+                        Rescheduling <strong>{rescheduling.reference}</strong> (currently {formatDateTime(rescheduling.expectedArrival)}) — pick a new slot.
+                      </span>
+                      <button type="button" style={secondaryButton} onClick={resetBooking}>Stop</button>
+                    </div>
+                  )}
+
+                  <div style={{ display: 'flex', gap: '1rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
+                    <label style={{ fontSize: '0.85rem', color: 'var(--text-700, #333)' }}>
+                      Warehouse
+                      <select
+                        value={warehouse}
+                        onChange={(e) => { setWarehouse(e.target.value); setSelectedSlot(null); setAlternatives([]); }}
+                        style={{ ...fieldStyle, marginTop: '0.25rem' }}
+                      >
+                        <option value="">Select warehouse</option>
+                        {WAREHOUSES.map(w => <option key={w} value={w}>{w}</option>)}
+                      </select>
+                    </label>
+                    <label style={{ fontSize: '0.85rem', color: 'var(--text-700, #333)' }}>
+                      Week from
+                      <input
+                        type="date"
+                        value={fromDate}
+                        min={todayString()}
+                        onChange={(e) => setFromDate(e.target.value || todayString())}
+                        style={{ ...fieldStyle, marginTop: '0.25rem' }}
+                      />
+                    </label>
+                  </div>
+
+                  {alternatives.length > 0 && (
+                    <div style={{
+                      padding: '0.75rem 1rem',
+                      marginBottom: '1rem',
+                      backgroundColor: 'var(--warning-bg, #fff3cd)',
+                      borderRadius: '4px',
+                      fontSize: '0.85rem'
+                    }}>
+                      <div style={{ marginBottom: '0.5rem', color: 'var(--warning, #856404)' }}>
+                        That slot is no longer available. Nearest open slots:
+                      </div>
+                      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                        {alternatives.map(slot => (
+                          <button key={slot.start} type="button" style={secondaryButton} onClick={() => selectSlot(slot)}>
+                            {formatDateTime(slot.start)}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {!warehouse ? (
+                    <p style={{ color: 'var(--text-500, #666)' }}>Choose a warehouse to see open dock slots.</p>
+                  ) : slotsLoading ? (
+                    <p style={{ color: 'var(--text-500, #666)' }}>Loading slots...</p>
+                  ) : slotsError ? (
+                    <p style={{ color: 'var(--danger, #721c24)' }}>{slotsError}</p>
+                  ) : (
+                    <div style={{ display: 'grid', gap: '0.75rem' }}>
+                      {slotDays.map(day => (
+                        <div key={day.date}>
+                          <div style={{ fontWeight: 600, fontSize: '0.85rem', marginBottom: '0.35rem', color: 'var(--text-900, #1a1a1a)' }}>
+                            {formatDay(day.date)}
+                          </div>
+                          {day.slots.length === 0 ? (
+                            <span style={{ fontSize: '0.8rem', color: 'var(--text-500, #999)' }}>Closed</span>
+                          ) : (
+                            <div style={{ display: 'flex', gap: '0.35rem', flexWrap: 'wrap' }}>
+                              {day.slots.map(renderSlotButton)}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <form onSubmit={submitBooking} style={panelStyle}>
+                  <h3 style={{ margin: '0 0 1rem 0', fontSize: '1rem' }}>
+                    {rescheduling ? 'New Slot' : 'Booking Details'}
+                  </h3>
+
+                  <div style={{ marginBottom: '1rem', fontSize: '0.85rem' }}>
+                    <div style={{ color: 'var(--text-500, #666)' }}>Slot</div>
+                    <strong>{selectedSlot ? `${warehouse} · ${formatDateTime(selectedSlot.start)}` : 'Pick a slot'}</strong>
+                  </div>
+
+                  <div style={{ marginBottom: '1rem' }}>
+                    <div style={{ fontSize: '0.85rem', color: 'var(--text-500, #666)', marginBottom: '0.35rem' }}>Shipments on this truck</div>
+                    {shipments.length === 0 ? (
+                      <p style={{ fontSize: '0.8rem', color: 'var(--text-500, #999)', margin: 0 }}>
+                        No shipments have been assigned to you yet.
+                      </p>
+                    ) : (
+                      <div style={{ maxHeight: '180px', overflowY: 'auto', display: 'grid', gap: '0.25rem' }}>
+                        {shipments.map(s => (
+                          <label key={s.id} style={{ fontSize: '0.8rem', display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                            <input
+                              type="checkbox"
+                              checked={bookingForm.shipmentIds.includes(s.id)}
+                              onChange={() => toggleShipment(s.id)}
+                            />
+                            <span>
+                              {s.orderRef} — {s.supplier}
+                              {s.receivingWarehouse && s.receivingWarehouse !== warehouse ? ` (${s.receivingWarehouse})` : ''}
+                            </span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  {[
+                    { key: 'driverName', label: 'Driver Name' },
+                    { key: 'driverPhone', label: 'Driver Phone' },
+                    { key: 'vehicleReg', label: 'Vehicle Registration' },
+                  ].map(field => (
+                    <label key={field.key} style={{ display: 'block', fontSize: '0.85rem', color: 'var(--text-700, #333)', marginBottom: '0.75rem' }}>
+                      {field.label}
+                      <input
+                        type="text"
+                        value={bookingForm[field.key]}
+                        onChange={(e) => setBookingForm({ ...bookingForm, [field.key]: e.target.value })}
+                        style={{ ...fieldStyle, marginTop: '0.25rem' }}
+                      />
+                    </label>
+                  ))}
+
+                  <label style={{ display: 'block', fontSize: '0.85rem', color: 'var(--text-700, #333)', marginBottom: '1rem' }}>
+                    Notes
+                    <textarea
+                      value={bookingForm.notes}
+                      onChange={(e) => setBookingForm({ ...bookingForm, notes: e.target.value })}
+                      rows={2}
+                      style={{ ...fieldStyle, marginTop: '0.25rem', resize: 'vertical' }}
+                    />
+                  </label>
+
+                  <button
+                    type="submit"
+                    disabled={submitting || !selectedSlot || bookingForm.shipmentIds.length === 0}
+                    style={{ ...primaryButton(submitting || !selectedSlot || bookingForm.shipmentIds.length === 0), width: '100%' }}
+                  >
+                    {submitting ? 'Saving...' : rescheduling ? 'Confirm Reschedule' : 'Confirm Booking'}
+                  </button>
+                </form>
+              </div>
+            )}
+
+            {/* ===== BOOKINGS TAB ===== */}
+            {activeTab === 'bookings' && (
+              <div style={{ display: 'grid', gap: '1rem' }}>
+                {upcomingBookings.length === 0 && (
+                  <p style={{ textAlign: 'center', color: 'var(--text-500, #666)' }}>No upcoming bookings</p>
+                )}
+                {upcomingBookings.map(booking => (
+                  <div key={booking.id} style={{ ...panelStyle, borderLeft: '3px solid var(--accent, #003d82)' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', gap: '1rem' }}>
+                      <div>
+                        <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem', color: 'var(--text-900, #1a1a1a)' }}>
+                          {booking.reference} · {booking.warehouse}
+                        </h3>
+                        <p style={{ margin: '0.25rem 0', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                          Arrival: {formatDateTime(booking.expectedArrival)}
+                        </p>
+                        <p style={{ margin: '0.25rem 0', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                          Driver: {booking.driverName || '-'}{booking.driverPhone ? ` (${booking.driverPhone})` : ''} · Vehicle: {booking.vehicleReg || '-'}
+                        </p>
+                        <p style={{ margin: '0.25rem 0', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                          Orders: {booking.shipments.map(s => s.orderRef).join(', ') || '-'}
+                        </p>
+                      </div>
+                      <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <button style={secondaryButton} onClick={() => startReschedule(booking)}>Reschedule</button>
+                        <button
+                          style={{ ...secondaryButton, color: 'var(--danger, #dc3545)', borderColor: 'var(--danger, #dc3545)' }}
+                          onClick={() => cancelBooking(booking)}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+
+                {pastBookings.length > 0 && (
+                  <div style={panelStyle}>
+                    <h3 style={{ margin: '0 0 0.75rem 0', fontSize: '1rem' }}>History</h3>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                      <thead>
+                        <tr style={{ textAlign: 'left', color: 'var(--text-500, #666)' }}>
+                          <th style={{ padding: '0.4rem' }}>Reference</th>
+                          <th style={{ padding: '0.4rem' }}>Warehouse</th>
+                          <th style={{ padding: '0.4rem' }}>Arrival</th>
+                          <th style={{ padding: '0.4rem' }}>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {pastBookings.map(booking => (
+                          <tr key={booking.id} style={{ borderTop: '1px solid var(--border, #eee)' }}>
+                            <td style={{ padding: '0.4rem' }}>{booking.reference}</td>
+                            <td style={{ padding: '0.4rem' }}>{booking.warehouse}</td>
+                            <td style={{ padding: '0.4rem' }}>{formatDateTime(booking.expectedArrival)}</td>
+                            <td style={{ padding: '0.4rem', textTransform: 'capitalize' }}>{(booking.status || '').replace(/_/g, ' ')}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* ===== SHIPMENTS TAB ===== */}
+            {activeTab === 'shipments' && (
+              <div style={{ display: 'grid', gap: '1rem' }}>
+                {shipments.length === 0 ? (
+                  <p style={{ textAlign: 'center', color: 'var(--text-500, #666)' }}>No shipments assigned</p>
+                ) : shipments.map(s => (
+                  <div key={s.id} style={panelStyle}>
+                    <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem', color: 'var(--text-900, #1a1a1a)' }}>
+                      Order: {s.orderRef}
+                    </h3>
+                    <p style={{ margin: '0.25rem 0', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                      {s.supplier} · {s.productName || '-'}
+                    </p>
+                    <p style={{ margin: '0.25rem 0', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                      {s.quantity || '-'} units ({Math.round(s.palletQty || 0) || 1} pallets) · Deliver to {s.receivingWarehouse || '-'}
+                      {s.weekNumber ? ` · Week ${s.weekNumber}` : ''}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CarrierDashboard;
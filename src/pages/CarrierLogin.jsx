@@ -0,0 +1,289 @@
+import React, { useState } from 'react';
+import { getApiUrl } from '../config/api';
+import CarrierDashboard from './CarrierDashboard';
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: 'bold',
+  color: '#333'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  boxSizing: 'border-box'
+};
+
+const EMPTY_REGISTER_FORM = {
+  companyName: '',
+  contactName: '',
+  email: '',
+  phone: '',
+  password: '',
+  confirmPassword: ''
+};
+
+function CarrierLogin() {
+  const [isLoggedIn, setIsLoggedIn] = useState(!!localStorage.getItem('carrier_token'));
+  const [activeForm, setActiveForm] = useState('login'); // 'login' or 'register'
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState('');
+  const [loginForm, setLoginForm] = useState({ email: '', password: '' });
+  const [registerForm, setRegisterForm] = useState(EMPTY_REGISTER_FORM);
+
+  if (isLoggedIn) {
+    return <CarrierDashboard onLogout={() => {
+      localStorage.removeItem('carrier_token');
+      localStorage.removeItem('carrier_user');
+      setIsLoggedIn(false);
+      setMessage('');
+    }} />;
+  }
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setMessage('');
+
+      const res = await fetch(getApiUrl('/api/carrier/login'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+        body: JSON.stringify(loginForm)
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        if (res.status === 403) {
+          setMessage('⏳ ' + (data.error || 'Your account is pending admin approval.'));
+          return;
+        }
+        throw new Error(data.error || 'Login failed');
+      }
+
+      localStorage.setItem('carrier_token', data.token);
+      localStorage.setItem('carrier_user', JSON.stringify(data.user));
+      setIsLoggedIn(true);
+    } catch (error) {
+      console.error('Login error:', error);
+      setMessage('❌ ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setMessage('');
+
+      if (registerForm.password !== registerForm.confirmPassword) {
+        throw new Error('Passwords do not match');
+      }
+
+      if (registerForm.password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+      }
+
+      const { confirmPassword: _confirmPassword, ...body } = registerForm;
+      const res = await fetch(getApiUrl('/api/carrier/register'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+        body: JSON.stringify(body)
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        throw new Error(data.error || 'Registration failed');
+      }
+
+      setMessage('✅ Registration submitted! You\'ll be able to log in once an admin approves your account.');
+      setRegisterForm(EMPTY_REGISTER_FORM);
+    } catch (error) {
+      console.error('Registration error:', error);
+      setMessage('❌ ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const tabButton = (form, label) => (
+    <button
+      onClick={() => {
+        setActiveForm(form);
+        setMessage('');
+      }}
+      style={{
+        flex: 1,
+        padding: '1rem',
+        backgroundColor: activeForm === form ? '#003d82' : 'transparent',
+        color: activeForm === form ? 'white' : '#666',
+        border: 'none',
+        cursor: 'pointer',
+        fontSize: '1rem',
+        fontWeight: activeForm === form ? 'bold' : 'normal',
+        borderBottom: activeForm === form ? '3px solid #0066cc' : 'none'
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  const submitButton = (label, busyLabel) => (
+    <button
+      type="submit"
+      disabled={loading}
+      style={{
+        width: '100%',
+        padding: '0.75rem',
+        backgroundColor: '#003d82',
+        color: 'white',
+        border: 'none',
+        borderRadius: '4px',
+        fontSize: '1rem',
+        fontWeight: 'bold',
+        cursor: loading ? 'not-allowed' : 'pointer',
+        opacity: loading ? 0.6 : 1
+      }}
+    >
+      {loading ? busyLabel : label}
+    </button>
+  );
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      background: 'linear-gradient(135deg, #003d82 0%, #0066cc 100%)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '1rem'
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        borderRadius: '8px',
+        boxShadow: '0 10px 40px rgba(0,0,0,0.2)',
+        width: '100%',
+        maxWidth: '450px',
+        overflow: 'hidden'
+      }}>
+        {/* Header */}
+        <div style={{
+          backgroundColor: '#003d82',
+          color: 'white',
+          padding: '2rem',
+          textAlign: 'center'
+        }}>
+          <h1 style={{ margin: 0, fontSize: '2rem' }}>🚛 Carrier Portal</h1>
+          <p style={{ margin: '0.5rem 0 0 0', opacity: 0.9 }}>Book your dock slots</p>
+        </div>
+
+        <div style={{ padding: '2rem' }}>
+          {message && (
+            <div style={{
+              padding: '1rem',
+              marginBottom: '1.5rem',
+              backgroundColor: message.includes('✅') ? '#d4edda' : message.includes('⏳') ? '#fff3cd' : '#f8d7da',
+              color: message.includes('✅') ? '#155724' : message.includes('⏳') ? '#856404' : '#721c24',
+              borderRadius: '4px',
+              fontSize: '0.9rem'
+            }}>
+              {message}
+            </div>
+          )}
+
+          <div style={{
+            display: 'flex',
+            gap: '1rem',
+            marginBottom: '2rem',
+            borderBottom: '2px solid #f0f0f0'
+          }}>
+            {tabButton('login', '🔑 Login')}
+            {tabButton('register', '📝 Register')}
+          </div>
+
+          {activeForm === 'login' && (
+            <form onSubmit={handleLogin}>
+              <div style={{ marginBottom: '1.5rem' }}>
+                <label style={labelStyle}>Email Address</label>
+                <input
+                  type="email"
+                  value={loginForm.email}
+                  onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
+                  placeholder="dispatch@haulier.co.za"
+                  style={inputStyle}
+                  required
+                />
+              </div>
+
+              <div style={{ marginBottom: '2rem' }}>
+                <label style={labelStyle}>Password</label>
+                <input
+                  type="password"
+                  value={loginForm.password}
+                  onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+                  placeholder="••••••••"
+                  style={inputStyle}
+                  required
+                />
+              </div>
+
+              {submitButton('🔓 Login', 'Logging in...')}
+            </form>
+          )}
+
+          {activeForm === 'register' && (
+            <form onSubmit={handleRegister}>
+              {[
+                { key: 'companyName', label: 'Company Name', placeholder: 'Your haulage company', required: true },
+                { key: 'contactName', label: 'Contact Name', placeholder: 'Dispatcher or controller' },
+                { key: 'email', label: 'Email Address', type: 'email', placeholder: 'dispatch@haulier.co.za', required: true },
+                { key: 'phone', label: 'Phone', placeholder: '+27...' },
+                { key: 'password', label: 'Password (min 8 characters)', type: 'password', placeholder: '••••••••', required: true },
+                { key: 'confirmPassword', label: 'Confirm Password', type: 'password', placeholder: '••••••••', required: true },
+              ].map(field => (
+                <div key={field.key} style={{ marginBottom: '1rem' }}>
+                  <label style={labelStyle}>{field.label}</label>
+                  <input
+                    type={field.type || 'text'}
+                    value={registerForm[field.key]}
+                    onChange={(e) => setRegisterForm({ ...registerForm, [field.key]: e.target.value })}
+                    placeholder={field.placeholder}
+                    style={inputStyle}
+                    required={field.required}
+                  />
+                </div>
+              ))}
+
+              <div style={{ marginTop: '1.5rem' }}>
+                {submitButton('✍️ Create Account', 'Creating account...')}
+              </div>
+            </form>
+          )}
+
+          <div style={{
+            marginTop: '2rem',
+            paddingTop: '1.5rem',
+            borderTop: '1px solid #eee',
+            textAlign: 'center',
+            color: '#666',
+            fontSize: '0.9rem'
+          }}>
+            <p style={{ margin: 0 }}>
+              Need help? Contact support@synercore.com
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CarrierLogin;
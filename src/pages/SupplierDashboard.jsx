@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { getApiUrl } from '../config/api';
+import { sourceLabel, statusLabel, resolutionLabel, canTransition, formatClaimValue } from '../utils/supplierClaims';
 
 function SupplierDashboard({ onLogout }) {
   const [activeTab, setActiveTab] = useState('overview');
@@ -11,6 +12,9 @@ function SupplierDashboard({ onLogout }) {
   const [uploadingFile, setUploadingFile] = useState(false);
   const [message, setMessage] = useState('');
   const [filter, setFilter] = useState('');
+  const [claims, setClaims] = useState([]);
+  const [claimDetail, setClaimDetail] = useState(null);
+  const [claimNotes, setClaimNotes] = useState('');
 
   const token = localStorage.getItem('supplier_token');
   const supplierUser = (() => {
@@ -40,10 +44,11 @@ function SupplierDashboard({ onLogout }) {
   const fetchAll = async () => {
     try {
       setLoading(true);
-      const [statsRes, shipmentsRes, reportsRes] = await Promise.all([
+      const [statsRes, shipmentsRes, reportsRes, claimsRes] = await Promise.all([
         supplierFetch(getApiUrl('/api/supplier/stats')).catch(() => null),
         supplierFetch(getApiUrl('/api/supplier/shipments')),
-        supplierFetch(getApiUrl('/api/supplier/reports')).catch(() => null)
+        supplierFetch(getApiUrl('/api/supplier/reports')).catch(() => null),
+        supplierFetch(getApiUrl('/api/supplier/claims')).catch(() => null)
       ]);
 
       if (statsRes && statsRes.ok) {
@@ -58,6 +63,10 @@ function SupplierDashboard({ onLogout }) {
       if (reportsRes && reportsRes.ok) {
         setReports(await reportsRes.json());
       }
+
+      if (claimsRes && claimsRes.ok) {
+        setClaims(await claimsRes.json());
+      }
     } catch (error) {
       console.error('Error fetching supplier data:', error);
       setMessage('Error loading dashboard data');
@@ -132,6 +141,93 @@ function SupplierDashboard({ onLogout }) {
     }
   };
 
+  const fetchClaims = async () => {
+    const res = await supplierFetch(getApiUrl('/api/supplier/claims'));
+    if (res.ok) setClaims(await res.json());
+  };
+
+  const viewClaim = async (claimId) => {
+    try {
+      const res = await supplierFetch(getApiUrl(`/api/supplier/claims/${claimId}`));
+      if (!res.ok) throw new Error('Failed to fetch claim');
+      setClaimDetail(await res.json());
+      setClaimNotes('');
+    } catch (error) {
+      console.error('Error fetching claim:', error);
+      setMessage('Error loading claim');
+    }
+  };
+
+  const respondToClaim = async (response) => {
+    if (response === 'disputed' && !claimNotes.trim()) {
+      setMessage('Error: please say why you dispute the claim');
+      return;
+    }
+    try {
+      const res = await supplierFetch(getApiUrl(`/api/supplier/claims/${claimDetail.id}/respond`), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response, notes: claimNotes.trim() })
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Failed to respond to claim');
+
+      setMessage(data.message);
+      setTimeout(() => setMessage(''), 3000);
+      await Promise.all([viewClaim(claimDetail.id), fetchClaims()]);
+    } catch (error) {
+      console.error('Error responding to claim:', error);
+      setMessage(`Error: ${error.message}`);
+    }
+  };
+
+  const uploadClaimDocument = async (e) => {
+    try {
+      setUploadingFile(true);
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('description', 'Uploaded by supplier');
+
+      const res = await fetch(getApiUrl(`/api/supplier/claims/${claimDetail.id}/documents`), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` },
+        body: formData
+      });
+
+      if (!res.ok) throw new Error('Failed to upload document');
+
+      setMessage('Document uploaded successfully');
+      setTimeout(() => setMessage(''), 3000);
+      await viewClaim(claimDetail.id);
+    } catch (error) {
+      console.error('Error uploading claim document:', error);
+      setMessage('Error uploading document');
+    } finally {
+      setUploadingFile(false);
+    }
+  };
+
+  const downloadClaimDocument = async (doc) => {
+    try {
+      const res = await supplierFetch(getApiUrl(`/api/supplier/claims/${claimDetail.id}/documents/${doc.id}`));
+      if (!res.ok) throw new Error('Failed to download document');
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = doc.file_name;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading claim document:', error);
+      setMessage('Error downloading document');
+    }
+  };
+
   const formatStatus = (status) => {
     if (!status) return 'Unknown';
     const statusLabels = {
@@ -247,6 +343,7 @@ function SupplierDashboard({ onLogout }) {
             { id: 'overview', label: 'Overview' },
             { id: 'shipments', label: 'My Shipments' },
             { id: 'reports', label: 'Reports' },
+            { id: 'claims', label: `Claims${claims.some(c => c.status === 'open') ? ` (${claims.filter(c => c.status === 'open').length})` : ''}` },
             { id: 'detail', label: 'Shipment Detail', hidden: !selectedShipment }
           ].map(tab => (
             !tab.hidden && (
@@ -662,6 +759,159 @@ function SupplierDashboard({ onLogout }) {
               </div>
             )}
 
+            {/* ===== CLAIMS TAB ===== */}
+            {activeTab === 'claims' && !claimDetail && (
+              <div>
+                <p style={{ margin: '0 0 1rem', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                  Claims raised against your deliveries for failed inspections, rejections and short or damaged stock.
+                  Please acknowledge or dispute each open claim.
+                </p>
+                {claims.length === 0 ? (
+                  <p style={{ textAlign: 'center', color: 'var(--text-500, #666)' }}>No claims</p>
+                ) : (
+                  <div style={{ display: 'grid', gap: '1rem' }}>
+                    {claims.map(claim => (
+                      <div
+                        key={claim.id}
+                        style={{
+                          backgroundColor: 'var(--surface-0, white)',
+                          padding: '1.25rem',
+                          borderRadius: '8px',
+                          boxShadow: '0 1px 3px rgba(0,0,0,0.08)',
+                          cursor: 'pointer',
+                          borderLeft: `3px solid ${claim.status === 'open' ? '#ffc107' : claim.status === 'disputed' ? '#dc3545' : '#28a745'}`
+                        }}
+                        onClick={() => viewClaim(claim.id)}
+                      >
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start' }}>
+                          <div>
+                            <h3 style={{ margin: '0 0 0.5rem 0', fontSize: '1rem', color: 'var(--text-900, #1a1a1a)' }}>
+                              {claim.claim_number} &middot; Order {claim.order_ref || '-'}
+                            </h3>
+                            <p style={{ margin: '0.25rem 0', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                              {sourceLabel(claim.source)} &middot; {claim.affected_quantity} units &middot; {formatClaimValue(claim.claim_value)}
+                            </p>
+                          </div>
+                          <span style={{ fontSize: '0.8rem', fontWeight: 600, color: 'var(--text-700, #333)' }}>
+                            {statusLabel(claim.status)}
+                          </span>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {activeTab === 'claims' && claimDetail && (
+              <div style={{
+                backgroundColor: 'var(--surface-0, white)',
+                padding: '1.5rem',
+                borderRadius: '8px',
+                boxShadow: '0 1px 3px rgba(0,0,0,0.08)'
+              }}>
+                <button
+                  onClick={() => setClaimDetail(null)}
+                  style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--accent, #003d82)', fontSize: '0.85rem', padding: 0, marginBottom: '1rem' }}
+                >
+                  &larr; Back to claims
+                </button>
+
+                <h2 style={{ margin: '0 0 0.25rem', fontSize: '1.2rem', color: 'var(--text-900, #1a1a1a)' }}>
+                  {claimDetail.claim_number} &middot; {statusLabel(claimDetail.status)}
+                </h2>
+                <p style={{ margin: '0 0 1rem', color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>
+                  Order {claimDetail.order_ref || '-'} &middot; {claimDetail.product_name || '-'} &middot; raised {new Date(claimDetail.created_at).toLocaleDateString()}
+                </p>
+
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '1rem', marginBottom: '1rem' }}>
+                  {[
+                    ['Reason', sourceLabel(claimDetail.source)],
+                    ['Affected Quantity', claimDetail.affected_quantity],
+                    ['Claim Value', formatClaimValue(claimDetail.claim_value)],
+                    ['Resolution', claimDetail.resolution_type ? `${resolutionLabel(claimDetail.resolution_type)} ${claimDetail.resolution_reference || ''}` : '-'],
+                  ].map(([label, value]) => (
+                    <div key={label}>
+                      <div style={{ fontSize: '0.75rem', color: 'var(--text-500, #666)' }}>{label}</div>
+                      <div style={{ fontSize: '0.9rem', fontWeight: 600, color: 'var(--text-900, #1a1a1a)' }}>{value}</div>
+                    </div>
+                  ))}
+                </div>
+
+                <p style={{ margin: '0 0 1rem', fontSize: '0.9rem', color: 'var(--text-700, #333)', whiteSpace: 'pre-wrap' }}>{claimDetail.description}</p>
+
+                {claimDetail.supplier_response && (
+                  <p style={{ margin: '0 0 1rem', fontSize: '0.85rem', color: 'var(--text-500, #666)', whiteSpace: 'pre-wrap' }}>
+                    Your response: {claimDetail.supplier_response}
+                  </p>
+                )}
+
+                {(canTransition(claimDetail.status, 'acknowledged') || canTransition(claimDetail.status, 'disputed')) && (
+                  <div style={{ marginBottom: '1.5rem' }}>
+                    <textarea
+                      value={claimNotes}
+                      onChange={(e) => setClaimNotes(e.target.value)}
+                      rows={3}
+                      placeholder="Comments (required to dispute)"
+                      style={{ width: '100%', padding: '0.5rem', borderRadius: '4px', border: '1px solid var(--border, #ddd)', fontSize: '0.85rem', marginBottom: '0.5rem' }}
+                    />
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      {canTransition(claimDetail.status, 'acknowledged') && (
+                        <button
+                          onClick={() => respondToClaim('acknowledged')}
+                          style={{ padding: '0.5rem 1rem', backgroundColor: '#28a745', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '0.85rem' }}
+                        >
+                          Acknowledge
+                        </button>
+                      )}
+                      {canTransition(claimDetail.status, 'disputed') && (
+                        <button
+                          onClick={() => respondToClaim('disputed')}
+                          style={{ padding: '0.5rem 1rem', backgroundColor: '#dc3545', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer', fontSize: '0.85rem' }}
+                        >
+                          Dispute
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                )}
+
+                <h3 style={{ margin: '0 0 0.75rem', fontSize: '1rem', fontWeight: 600, color: 'var(--text-900, #1a1a1a)' }}>Photos and Documents</h3>
+                {claimDetail.documents.length === 0 ? (
+                  <p style={{ color: 'var(--text-500, #666)', fontSize: '0.85rem' }}>None attached</p>
+                ) : (
+                  <ul style={{ margin: '0 0 1rem', paddingLeft: '1.1rem', fontSize: '0.85rem' }}>
+                    {claimDetail.documents.map(doc => (
+                      <li key={doc.id}>
+                        <button
+                          onClick={() => downloadClaimDocument(doc)}
+                          style={{ background: 'none', border: 'none', cursor: 'pointer', color: 'var(--accent, #003d82)', padding: 0, fontSize: '0.85rem' }}
+                        >
+                          {doc.file_name}
+                        </button>
+                        {doc.from_supplier && <span style={{ color: 'var(--text-500, #666)' }}> (yours)</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {claimDetail.status !== 'closed' && (
+                  <label style={{
+                    display: 'inline-block',
+                    padding: '0.75rem 1rem',
+                    border: '2px dashed var(--border, #007bff)',
+                    borderRadius: '6px',
+                    cursor: uploadingFile ? 'not-allowed' : 'pointer',
+                    backgroundColor: 'var(--surface-1, #f8f9fa)',
+                    fontSize: '0.85rem',
+                    color: 'var(--text-700, #333)'
+                  }}>
+                    <input type="file" style={{ display: 'none' }} onChange={uploadClaimDocument} disabled={uploadingFile} />
+                    {uploadingFile ? 'Uploading...' : 'Add Supporting Document'}
+                  </label>
+                )}
+              </div>
+            )}
+
             {/* ===== SHIPMENT DETAIL TAB ===== */}
             {activeTab === 'detail' && selectedShipment && (
               <div style={{
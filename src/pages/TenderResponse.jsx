@@ -0,0 +1,204 @@
+import React, { useState, useEffect } from 'react';
+import { getApiUrl } from '../config/api';
+import { TENDER_CURRENCIES, TENDER_MODES, validateResponse, responseTotal, formatAmount } from '../utils/freightTenders';
+
+const EMPTY_RESPONSE = {
+  contactName: '', currency: 'USD', freightAmount: '', originCharges: '', transitDays: '', carrier: '', validUntil: '', notes: '',
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-ZA', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+/**
+ * The form a forwarder opens from their tender invitation. The link token
+ * identifies them, so no login is needed; they can revise their rates
+ * until the tender closes or the response due date passes.
+ */
+export default function TenderResponse() {
+  const token = new URLSearchParams(window.location.search).get('token') || '';
+  const [tender, setTender] = useState(null);
+  const [form, setForm] = useState(EMPTY_RESPONSE);
+  const [error, setError] = useState('');
+  const [formErrors, setFormErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  const labelStyle = { display: 'block', fontSize: '13px', fontWeight: 600, color: '#374151', marginBottom: '4px' };
+  const inputStyle = { width: '100%', boxSizing: 'border-box', padding: '8px', fontSize: '14px', borderRadius: '6px', border: '1px solid #d1d5db' };
+  const rowStyle = { display: 'flex', justifyContent: 'space-between', gap: '16px', fontSize: '14px', padding: '4px 0', borderBottom: '1px solid #f3f4f6' };
+
+  const showTender = (data) => {
+    setTender(data);
+    if (data.response) {
+      setForm({
+        contactName: data.response.contact_name || '',
+        currency: data.response.currency || 'USD',
+        freightAmount: data.response.freight_amount ?? '',
+        originCharges: data.response.origin_charges ?? '',
+        transitDays: data.response.transit_days ?? '',
+        carrier: data.response.carrier || '',
+        validUntil: data.response.valid_until || '',
+        notes: data.response.response_notes || '',
+      });
+    }
+  };
+
+  useEffect(() => {
+    if (!/^[0-9a-f]{64}$/i.test(token)) {
+      setError('This tender link is not valid. Please ask for a new invitation.');
+      return;
+    }
+    fetch(getApiUrl(`/api/freight-tenders/respond/${token}`))
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || 'This tender could not be loaded');
+        showTender(data);
+      })
+      .catch(err => setError(err.message));
+  }, [token]);
+
+  const set = (field) => (e) => {
+    setForm({ ...form, [field]: e.target.value });
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = validateResponse({
+      currency: form.currency,
+      freight_amount: form.freightAmount,
+      origin_charges: form.originCharges === '' ? null : form.originCharges,
+      transit_days: form.transitDays === '' ? null : form.transitDays,
+      valid_until: form.validUntil || null,
+    });
+    setFormErrors(errors);
+    if (errors.length) return;
+
+    setSaving(true);
+    try {
+      const res = await fetch(getApiUrl(`/api/freight-tenders/respond/${token}`), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+        body: JSON.stringify(form),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || 'Your response could not be saved');
+      showTender(data);
+      setSaved(true);
+    } catch (err) {
+      setFormErrors([err.message]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const detail = (label, value) => (
+    <div style={rowStyle}>
+      <span style={{ color: '#6b7280' }}>{label}</span>
+      <span style={{ color: '#111827', textAlign: 'right' }}>{value || '-'}</span>
+    </div>
+  );
+
+  const field = (label, input) => (
+    <div style={{ flex: 1, minWidth: '160px' }}>
+      <label style={labelStyle}>{label}</label>
+      {input}
+    </div>
+  );
+
+  const total = responseTotal({ freight_amount: form.freightAmount, origin_charges: form.originCharges });
+
+  return (
+    <div style={{ minHeight: '100vh', backgroundColor: '#f9fafb', padding: '40px 20px' }}>
+      <div style={{ maxWidth: '780px', margin: '0 auto', backgroundColor: 'white', padding: '32px', borderRadius: '12px', boxShadow: '0 1px 3px rgba(0,0,0,0.08)' }}>
+        <h1 style={{ fontSize: '22px', fontWeight: 700, color: '#059669', marginTop: 0, marginBottom: '8px' }}>
+          Freight Tender{tender ? ` ${tender.tenderNumber}` : ''}
+        </h1>
+        <p style={{ fontSize: '13px', color: '#6b7280', marginBottom: '24px' }}>
+          Synercore Import Schedule{tender ? ` — request for quotation to ${tender.forwarderName}` : ''}
+        </p>
+
+        {error && <p style={{ fontSize: '14px', color: '#b91c1c', margin: 0 }}>{error}</p>}
+        {!error && !tender && <p style={{ fontSize: '14px', color: '#6b7280', margin: 0 }}>Loading...</p>}
+
+        {tender && (
+          <>
+            <div style={{ marginBottom: '24px' }}>
+              {detail('Lane', `${tender.origin} → ${tender.destination}`)}
+              {detail('Mode', TENDER_MODES.find(m => m.value === tender.mode)?.label || tender.mode)}
+              {detail('Container', tender.containerType)}
+              {detail('Cargo', tender.cargoDescription)}
+              {detail('Volume', tender.cbm != null ? `${tender.cbm} CBM` : null)}
+              {detail('Weight', tender.weightKg != null ? `${Number(tender.weightKg).toLocaleString()} kg` : null)}
+              {detail('Incoterm', tender.incoterm)}
+              {detail('Required by', formatDate(tender.requiredDate))}
+              {detail('Responses due', formatDate(tender.responseDue))}
+              {tender.notes && (
+                <p style={{ fontSize: '14px', color: '#374151', lineHeight: 1.55, whiteSpace: 'pre-wrap', margin: '12px 0 0' }}>{tender.notes}</p>
+              )}
+            </div>
+
+            {tender.response && (
+              <p style={{ fontSize: '13px', color: '#065f46', background: '#ecfdf5', padding: '10px 12px', borderRadius: '8px', margin: '0 0 16px' }}>
+                {saved ? 'Thank you, your rates have been saved.' : `Your rates were received on ${formatDate(tender.response.responded_at)}.`}
+                {tender.acceptsResponses && ' You can revise them below until the tender closes.'}
+              </p>
+            )}
+
+            {!tender.acceptsResponses ? (
+              <p style={{ fontSize: '14px', color: '#92400e', background: '#fffbeb', padding: '10px 12px', borderRadius: '8px', margin: 0 }}>
+                This tender is {tender.statusLabel.toLowerCase()} and is no longer taking responses.
+              </p>
+            ) : (
+              <form onSubmit={handleSubmit}>
+                <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+                  {field('Your name', <input type="text" value={form.contactName} onChange={set('contactName')} style={inputStyle} />)}
+                  {field('Currency *', (
+                    <select value={form.currency} onChange={set('currency')} style={inputStyle}>
+                      {TENDER_CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+                    </select>
+                  ))}
+                </div>
+                <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+                  {field('Freight *', <input type="number" min="0" step="0.01" value={form.freightAmount} onChange={set('freightAmount')} style={inputStyle} />)}
+                  {field('Origin charges', <input type="number" min="0" step="0.01" value={form.originCharges} onChange={set('originCharges')} style={inputStyle} />)}
+                  {field('Transit (days)', <input type="number" min="1" step="1" value={form.transitDays} onChange={set('transitDays')} style={inputStyle} />)}
+                </div>
+                <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '12px' }}>
+                  {field(tender.mode === 'air' ? 'Airline' : 'Shipping line', <input type="text" value={form.carrier} onChange={set('carrier')} style={inputStyle} />)}
+                  {field('Rates valid until', <input type="date" value={form.validUntil} onChange={set('validUntil')} style={inputStyle} />)}
+                </div>
+                <label style={labelStyle}>Notes</label>
+                <textarea
+                  value={form.notes}
+                  onChange={set('notes')}
+                  rows={3}
+                  placeholder="Routing, sailing or flight frequency, free time, exclusions"
+                  style={{ ...inputStyle, resize: 'vertical' }}
+                />
+
+                {formErrors.length > 0 && (
+                  <ul style={{ fontSize: '13px', color: '#b91c1c', margin: '12px 0 0 20px' }}>
+                    {formErrors.map(message => <li key={message}>{message}</li>)}
+                  </ul>
+                )}
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '20px' }}>
+                  <span style={{ fontSize: '14px', color: '#374151' }}>
+                    Total: <strong>{total > 0 ? formatAmount(form.currency, total) : '-'}</strong>
+                  </span>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    style={{ padding: '10px 20px', fontSize: '14px', fontWeight: 600, color: 'white', backgroundColor: '#059669', border: 'none', borderRadius: '6px', cursor: 'pointer' }}
+                  >
+                    {saving ? 'Saving...' : tender.response ? 'Update Rates' : 'Submit Rates'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -11,14 +11,22 @@ export const VIEW_ROUTES = {
   stored:            '/stored',
   archives:          '/archives',
   rates:             '/rates',
+  'freight-tenders': '/freight-tenders',
   costing:           '/costing',
   'export-costing':  '/export-costing',
   'costing-requests': '/costing-requests',
+  'rate-tables':     '/rate-tables',
+  'tariff-catalogue': '/tariff-catalogue',
+  'cost-reconciliation': '/cost-reconciliation',
   reports:           '/reports',
   'advanced-reports': '/advanced-reports',
   users:             '/users',
   audit:             '/audit',
+  'document-numbering': '/document-numbering',
   'bol-audit':       '/bol-audit',
+  'supplier-claims': '/supplier-claims',
+  'import-review':   '/import-review',
+  'import-mappings': '/import-mappings',
   'supplier-performance': '/supplier-performance',
   receiving:             '/receiving',
   'dock-management':     '/dock-management',
@@ -14,7 +14,8 @@ export class Supplier {
     importFormats = [],
     documentFormats = [],
     isActive = true,
-    notes = ''
+    notes = '',
+    defaultHsCode = ''
   }) {
     this.id = id;
     this.name = name;
@@ -31,6 +32,7 @@ export class Supplier {
     this.documentFormats = documentFormats; // Document types they provide
     this.isActive = isActive;
     this.notes = notes;
+    this.defaultHsCode = defaultHsCode; // Prefilled on this supplier's product lines in import costing
     this.createdAt = new Date();
     this.updatedAt = new Date();
   }
@@ -0,0 +1,100 @@
+import {
+  categorizeInvoiceLine,
+  getInvoiceLineAmountZar,
+  getVarianceFlag,
+  reconcileEstimate,
+} from '../costReconciliation.js';
+
+// ── categorizeInvoiceLine ──
+
+describe('categorizeInvoiceLine', () => {
+  it('matches specific charges before broad ones', () => {
+    expect(categorizeInvoiceLine('Agency Fee on Duties')).toBe('agency_fee');
+    expect(categorizeInvoiceLine('VAT on import')).toBe('import_vat');
+    expect(categorizeInvoiceLine('Customs Duty')).toBe('customs_duty');
+    expect(categorizeInvoiceLine('Customs Declaration Fee')).toBe('customs_clearance');
+  });
+
+  it('maps port, transport and freight lines', () => {
+    expect(categorizeInvoiceLine('CARGO DUES')).toBe('destination_charges');
+    expect(categorizeInvoiceLine('Cartage Durban to Pretoria')).toBe('local_transport');
+    expect(categorizeInvoiceLine('OCEAN FREIGHT')).toBe('freight');
+  });
+
+  it('falls back to other for unknown or empty descriptions', () => {
+    expect(categorizeInvoiceLine('Miscellaneous')).toBe('other');
+    expect(categorizeInvoiceLine(null)).toBe('other');
+  });
+});
+
+// ── getInvoiceLineAmountZar ──
+
+describe('getInvoiceLineAmountZar', () => {
+  it('uses the local amount when present', () => {
+    expect(getInvoiceLineAmountZar({ local_amount: '1500.50', foreign_amount: 100, roe: 18 })).toBe(1500.5);
+  });
+
+  it('converts the foreign amount at the invoice ROE otherwise', () => {
+    expect(getInvoiceLineAmountZar({ local_amount: null, foreign_amount: 2000, roe: 18.5 })).toBe(37000);
+  });
+});
+
+// ── getVarianceFlag ──
+
+describe('getVarianceFlag', () => {
+  const options = { tolerancePct: 10, minVarianceZar: 500 };
+
+  it('flags variances outside the tolerance', () => {
+    expect(getVarianceFlag(10000, 12000, options)).toBe('over');
+    expect(getVarianceFlag(10000, 8000, options)).toBe('under');
+  });
+
+  it('ignores variances inside the tolerance or below the minimum amount', () => {
+    expect(getVarianceFlag(10000, 10900, options)).toBe('ok');
+    expect(getVarianceFlag(1000, 1400, options)).toBe('ok');
+  });
+
+  it('flags unbudgeted and uninvoiced categories', () => {
+    expect(getVarianceFlag(0, 2000, options)).toBe('unbudgeted');
+    expect(getVarianceFlag(5000, 0, options)).toBe('not_invoiced');
+  });
+});
+
+// ── reconcileEstimate ──
+
+describe('reconcileEstimate', () => {
+  const estimate = {
+    customs_declaration_zar: 1000,
+    roe_origin: 18,
+    products: [],
+  };
+
+  it('reports no actuals when there are no invoice lines', () => {
+    const result = reconcileEstimate(estimate, []);
+    expect(result.has_actuals).toBe(false);
+    expect(result.totals.flag).toBe('ok');
+    expect(result.totals.flagged_count).toBe(0);
+  });
+
+  it('totals invoice lines per category and flags unmatched charges', () => {
+    const result = reconcileEstimate(estimate, [
+      { id: 1, description: 'Customs Declaration', local_amount: 1800 },
+      { id: 2, description: 'Miscellaneous', local_amount: 750 },
+    ], { tolerancePct: 10, minVarianceZar: 500 });
+
+    const clearance = result.categories.find(row => row.key === 'customs_clearance');
+    expect(clearance.estimate_zar).toBe(1000);
+    expect(clearance.actual_zar).toBe(1800);
+    expect(clearance.variance_zar).toBe(800);
+    expect(clearance.variance_pct).toBe(80);
+    expect(clearance.flag).toBe('over');
+    expect(clearance.invoice_lines).toHaveLength(1);
+
+    const other = result.categories.find(row => row.key === 'other');
+    expect(other.flag).toBe('unbudgeted');
+
+    expect(result.has_actuals).toBe(true);
+    expect(result.totals.actual_zar).toBe(2550);
+    expect(result.totals.flagged_count).toBe(2);
+  });
+});
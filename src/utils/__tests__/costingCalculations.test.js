@@ -12,6 +12,15 @@ import {
   formatCurrency,
   formatNumber,
   lookupOceanFreightRate,
+  setRateTables,
+  getRateTablesAsOf,
+  parsePackSizeKg,
+  calculateProductLandedCosts,
+  setTariffCatalogue,
+  lookupTariff,
+  getDefaultHsCode,
+  getProductDutyRates,
+  applyTariffRates,
 } from '../costingCalculations.js';
 
 // ── calculateDAVIF ──
@@ -219,6 +228,31 @@ describe('calculateCustomsItemsTotals', () => {
     expect(result.totalCustomsValue).toBe(5000);
   });
 
+  it('converts other currencies using roe_rates', () => {
+    const data = {
+      roe_customs: '18',
+      roe_rates: { GBP: '23.5', CNY: 2.5 },
+      products: [
+        { invoice_value: '100', duty_percent: '0', duty_schedule1_percent: '0', currency: 'GBP' },
+        { invoice_value: '1000', duty_percent: '0', duty_schedule1_percent: '0', currency: 'CNY' },
+      ],
+    };
+    const result = calculateCustomsItemsTotals(data);
+    // 100 * 23.5 + 1000 * 2.5 = 4850
+    expect(result.totalCustomsValue).toBe(4850);
+  });
+
+  it('treats a currency without a ROE as zero value', () => {
+    const data = {
+      roe_customs: '18',
+      products: [
+        { invoice_value: '100', duty_percent: '0', duty_schedule1_percent: '0', currency: 'INR' },
+      ],
+    };
+    const result = calculateCustomsItemsTotals(data);
+    expect(result.totalCustomsValue).toBe(0);
+  });
+
   it('returns zeros for empty products', () => {
     const result = calculateCustomsItemsTotals({ products: [] });
     expect(result.totalCustomsValue).toBe(0);
@@ -278,6 +312,133 @@ describe('lookupOceanFreightRate', () => {
   });
 });
 
+// ── Versioned rate tables ──
+
+describe('versioned rate tables', () => {
+  const rows = {
+    oceanFreight: [
+      { port_of_loading: 'Qingdao', shipping_line: 'ONE', container_size: '20GP', rate_usd: '2350.00', effective_from: '2026-01-01', effective_to: '2026-02-28' },
+      { port_of_loading: 'Qingdao', shipping_line: 'ONE', container_size: '20GP', rate_usd: '2600.00', effective_from: '2026-03-01', effective_to: null },
+    ],
+    lastMile: [
+      { service_type: 'express_road', route_key: 'klapmuts-durban', label: 'Klapmuts to Durban', minimum_zar: '700', rate_per_kg: '10', rate_900: null, rate_3000: null, is_flat: false, effective_from: '2026-01-01', effective_to: '2026-02-28' },
+      { service_type: 'express_road', route_key: 'klapmuts-durban', label: 'Klapmuts to Durban', minimum_zar: '800', rate_per_kg: '12', rate_900: null, rate_3000: null, is_flat: false, effective_from: '2026-03-01', effective_to: null },
+    ],
+    options: [
+      { option_type: 'container_type', value: "20' Dry Container", label: "20' Dry Container", rate_key: '20GP', effective_from: '2026-01-01', effective_to: null },
+      { option_type: 'shipping_line', value: 'ONE', label: 'ONE', rate_key: null, effective_from: '2026-01-01', effective_to: null },
+    ],
+  };
+
+  beforeEach(() => setRateTables(rows));
+  afterEach(() => setRateTables(null));
+
+  it('looks up ocean freight using the version in effect on the date', () => {
+    expect(lookupOceanFreightRate('Qingdao', 'ONE', "20' Dry Container", '2026-02-15')).toBe(2350);
+    expect(lookupOceanFreightRate('Qingdao', 'ONE', "20' Dry Container", '2026-03-01')).toBe(2600);
+    expect(lookupOceanFreightRate('Qingdao', 'ONE', "20' Dry Container", '2025-12-31')).toBeNull();
+  });
+
+  it('prices last mile charges at the estimate costing date', () => {
+    const charge = { service_type: 'express_road', route: 'klapmuts-durban', weight_kg: 101 };
+    expect(calculateLastMileCharge({ ...charge, costing_date: '2026-02-01' }).subtotal_zar).toBe(700 + 100 * 10);
+    expect(calculateLastMileCharge({ ...charge, costing_date: '2026-04-01' }).subtotal_zar).toBe(800 + 100 * 12);
+  });
+
+  it('builds option lists from the loaded tables', () => {
+    const tables = getRateTablesAsOf('2026-03-15');
+    expect(tables.shippingLines).toEqual([{ value: 'ONE', label: 'ONE' }]);
+    expect(tables.containerRateKeys).toEqual({ "20' Dry Container": '20GP' });
+  });
+
+  it('keeps only the most recently used dates cached', () => {
+    const kept = getRateTablesAsOf('2026-03-15');
+    const dropped = getRateTablesAsOf('2026-03-16');
+    for (let day = 1; day <= 40; day++) {
+      getRateTablesAsOf(new Date(Date.UTC(2026, 4, day)));
+      getRateTablesAsOf('2026-03-15');
+    }
+    expect(getRateTablesAsOf('2026-03-15')).toBe(kept);
+    expect(getRateTablesAsOf('2026-03-16')).not.toBe(dropped);
+  });
+
+  it('falls back to the built-in rates when no tables are loaded', () => {
+    setRateTables(null);
+    expect(lookupOceanFreightRate('Qingdao', 'ONE', "20' Dry Container", '2026-03-01')).toBe(2350);
+  });
+});
+
+// ── HS tariff catalogue ──
+
+describe('HS tariff catalogue', () => {
+  const catalogue = {
+    tariffs: [
+      { hs_code: '03061710', description: 'Shrimps and prawns', duty_percent: 25, schedule1_percent: null, vat_treatment: 'standard', preferential_rates: { EU_UK: 0 } },
+      { hs_code: '1905', description: 'Bread and biscuits', duty_percent: '20.000', schedule1_percent: '5.000', vat_treatment: 'exempt', preferential_rates: {} },
+      { hs_code: '22030005', description: 'Beer', duty_percent: null, duty_text: '300c/li', schedule1_percent: null, vat_treatment: 'standard', preferential_rates: {} },
+    ],
+    productDefaults: [{ product_name: 'Vannamei Prawns', hs_code: '03061710' }],
+  };
+
+  beforeEach(() => setTariffCatalogue(catalogue));
+  afterEach(() => setTariffCatalogue(null));
+
+  it('falls back to the nearest catalogued parent code', () => {
+    expect(lookupTariff('1905.90.10').description).toBe('Bread and biscuits');
+    expect(lookupTariff('0306.17.90')).toBeNull();
+  });
+
+  it('defaults HS codes from the product, then the supplier', () => {
+    expect(getDefaultHsCode(' vannamei prawns ', { default_hs_code: '1905' })).toBe('03061710');
+    expect(getDefaultHsCode('Rusks', { default_hs_code: '1905' })).toBe('1905');
+    expect(getDefaultHsCode('Rusks', null)).toBe('');
+  });
+
+  it('takes duty from the catalogue over the rate entered on the line', () => {
+    const rates = getProductDutyRates({}, { hs_code: '0306.17.10', duty_percent: '10' });
+    expect(rates).toMatchObject({ dutyPercent: 25, schedule1Percent: 0, vatRate: 0.15, source: 'tariff' });
+  });
+
+  it('applies the preferential rate for the estimate trade agreement', () => {
+    const rates = getProductDutyRates({ trade_agreement: 'EU_UK' }, { hs_code: '03061710' });
+    expect(rates).toMatchObject({ dutyPercent: 0, source: 'preferential' });
+    // No EU/UK rate for biscuits: general rate applies
+    expect(getProductDutyRates({ trade_agreement: 'EU_UK' }, { hs_code: '190590' }).source).toBe('tariff');
+  });
+
+  it('uses the line rates when overridden, keeping the catalogue VAT treatment', () => {
+    const rates = getProductDutyRates({}, { hs_code: '1905', duty_override: true, duty_percent: '12', duty_schedule1_percent: '1' });
+    expect(rates).toMatchObject({ dutyPercent: 12, schedule1Percent: 1, vatRate: 0, source: 'override' });
+  });
+
+  it('uses the line rates for specific rates, uncatalogued codes and exports', () => {
+    expect(getProductDutyRates({}, { hs_code: '22030005', duty_percent: '30' })).toMatchObject({ dutyPercent: 30, source: 'manual' });
+    expect(getProductDutyRates({}, { hs_code: '8471', duty_percent: '5' })).toMatchObject({ dutyPercent: 5, source: 'manual' });
+    expect(getProductDutyRates({ direction: 'export' }, { hs_code: '03061710', duty_percent: '5' }).source).toBe('manual');
+  });
+
+  it('calculates customs totals from catalogue rates with exempt VAT', () => {
+    const result = calculateCustomsItemsTotals({
+      roe_customs: '18',
+      products: [{ invoice_value: '1000', hs_code: '1905.90', duty_percent: '0', currency: 'USD' }],
+    });
+    expect(result.totalDuties).toBe(3600);
+    expect(result.totalSchedule1Duty).toBe(900);
+    expect(result.totalVat).toBe(0);
+  });
+
+  it('writes catalogue rates onto lines that are not overridden', () => {
+    const products = applyTariffRates({
+      products: [
+        { hs_code: '03061710', duty_percent: 10 },
+        { hs_code: '03061710', duty_percent: 10, duty_override: true },
+      ],
+    });
+    expect(products[0]).toMatchObject({ duty_percent: 25, duty_schedule1_percent: 0 });
+    expect(products[1].duty_percent).toBe(10);
+  });
+});
+
 // ── calculateAllTotals ──
 
 describe('calculateAllTotals', () => {
@@ -306,6 +467,7 @@ describe('calculateAllTotals', () => {
   it('returns an object with all expected keys', () => {
     const result = calculateAllTotals(sampleData);
     const expectedKeys = [
+      'total_gross_weight_kg',
       'customs_value_zar',
       'ocean_freight_zar',
       'total_ocean_freight_zar',
@@ -413,6 +575,15 @@ describe('calculateAllTotals', () => {
     expect(result.overhead_cost_per_kg_zar).toBeGreaterThan(0);
   });
 
+  it('derives total gross weight from products, falling back to the legacy field', () => {
+    expect(calculateAllTotals(sampleData).total_gross_weight_kg).toBe(5000);
+    expect(calculateAllTotals({ ...sampleData, products: [] }).total_gross_weight_kg).toBe(5000);
+    expect(calculateAllTotals({
+      ...sampleData,
+      products: [{ weight_kg: '1200' }, { weight_kg: '800' }],
+    }).total_gross_weight_kg).toBe(2000);
+  });
+
   it('returns 0 cost per kg when weight is 0', () => {
     const noWeightData = {
       ...sampleData,
@@ -467,6 +638,64 @@ describe('calculateAllTotals', () => {
   });
 });
 
+// ── per-product landed cost ──
+
+describe('parsePackSizeKg', () => {
+  it('reads kg, grams and tonnes', () => {
+    expect(parsePackSizeKg('25kg')).toBe(25);
+    expect(parsePackSizeKg('500 g')).toBe(0.5);
+    expect(parsePackSizeKg('1 MT')).toBe(1000);
+    expect(parsePackSizeKg('12,5')).toBe(12.5);
+  });
+
+  it('returns null when the pack size is not a weight', () => {
+    expect(parsePackSizeKg('bulk')).toBeNull();
+    expect(parsePackSizeKg('1000 units')).toBeNull();
+    expect(parsePackSizeKg('')).toBeNull();
+  });
+});
+
+describe('calculateProductLandedCosts', () => {
+  const estimate = {
+    roe_origin: '18',
+    ocean_freight_usd: '2000',
+    inco_terms: 'FOB',
+    customs_declaration_zar: '500',
+    products: [
+      { name: 'Cocoa Powder', invoice_value: '6000', duty_percent: '10', currency: 'USD', weight_kg: '3000', pack_size: '25kg' },
+      { name: 'Cocoa Butter', invoice_value: '2000', duty_percent: '0', currency: 'USD', weight_kg: '1000', pack_size: 'bulk' },
+      { name: '', invoice_value: '100', weight_kg: '10' },
+      { name: 'Sample', invoice_value: '0', weight_kg: '0' },
+    ],
+  };
+
+  it('allocates shipping by weight on top of customs value and duties', () => {
+    const totals = calculateAllTotals(estimate);
+    const [powder, butter] = calculateProductLandedCosts(estimate, totals);
+    // Shared over all 4010 kg, including the unnamed product that is not reported
+    const shippingPerKg = (totals.total_shipping_cost_zar - totals.last_mile_charges_subtotal_zar) / 4010;
+
+    expect(powder.customs_value_zar).toBe(108000);
+    expect(powder.duties_zar).toBe(10800);
+    expect(powder.allocated_shipping_zar).toBeCloseTo(shippingPerKg * 3000, 2);
+    expect(powder.total_landed_zar).toBeCloseTo(118800 + shippingPerKg * 3000, 2);
+    expect(powder.landed_cost_per_kg_zar).toBeCloseTo(powder.total_landed_zar / 3000, 3);
+    expect(butter.allocated_shipping_zar).toBeCloseTo(shippingPerKg * 1000, 2);
+  });
+
+  it('derives units and cost per pack from the pack size', () => {
+    const [powder, butter] = calculateProductLandedCosts(estimate);
+    expect(powder.units).toBe(120);
+    expect(powder.landed_cost_per_unit_zar).toBeCloseTo(powder.total_landed_zar / 120, 3);
+    expect(butter.units).toBeNull();
+    expect(butter.landed_cost_per_unit_zar).toBeNull();
+  });
+
+  it('skips unnamed and weightless products', () => {
+    expect(calculateProductLandedCosts(estimate).map(p => p.product_name)).toEqual(['Cocoa Powder', 'Cocoa Butter']);
+  });
+});
+
 // ── formatCurrency ──
 
 describe('formatCurrency', () => {
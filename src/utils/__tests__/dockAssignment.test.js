@@ -0,0 +1,117 @@
+import {
+  estimateUnloadMinutes,
+  dockRejection,
+  rankDocks,
+  recommendDock,
+  orderQueue,
+  planQueue,
+  nextTruckForDock,
+} from '../dockAssignment.js';
+
+const NOW = Date.parse('2026-03-02T08:00:00Z');
+const minutesAgo = (m) => new Date(NOW - m * 60000).toISOString();
+
+// PRETORIA: a reefer dock, a ramp-only container dock and a general dock
+const reefer = { id: 1, dock_number: 'Dock 1', status: 'available', is_reefer: true, vehicle_types: [], unload_methods: [] };
+const containerRamp = { id: 2, dock_number: 'Dock 2', status: 'available', is_reefer: false, vehicle_types: ['container'], unload_methods: ['ramp'] };
+const general = { id: 3, dock_number: 'Dock 3', status: 'available', is_reefer: false, vehicle_types: [], unload_methods: [] };
+
+const pallets = (n) => [{ id: `S${n}`, pallet_qty: n }];
+const truck = (id, extra = {}) => ({ id, status: 'checked_in', check_in_time: minutesAgo(10), shipments: pallets(10), ...extra });
+
+// ── Unload estimates ──
+
+describe('estimateUnloadMinutes', () => {
+  it('works from pallets, then CBM, then a default', () => {
+    expect(estimateUnloadMinutes({ shipments: [{ pallet_qty: 10 }, { palletQty: 5 }] })).toBe(15 + 15 * 2);
+    expect(estimateUnloadMinutes({ shipments: [{ cbm: 20 }] })).toBe(15 + 30);
+    expect(estimateUnloadMinutes({ shipments: [] })).toBe(60);
+  });
+
+  it('prefers a stored prediction', () => {
+    expect(estimateUnloadMinutes({ predicted_unload_minutes: 40, shipments: pallets(100) })).toBe(40);
+  });
+});
+
+// ── Dock matching ──
+
+describe('dockRejection / rankDocks', () => {
+  it('rejects docks that cannot handle the truck', () => {
+    expect(dockRejection(general, { requires_reefer: true })).toBe('Not a reefer dock');
+    expect(dockRejection(containerRamp, { vehicle_type: 'tautliner' })).toBe('Cannot take a tautliner');
+    expect(dockRejection(containerRamp, { unload_method: 'side_load' })).toBe('No side-load unloading');
+    expect(dockRejection({ ...general, status: 'maintenance' }, {})).toBe('Under maintenance');
+    expect(dockRejection(general, { vehicle_type: 'tautliner', unload_method: 'side_load' })).toBeNull();
+  });
+
+  it('keeps specialist docks free for trucks that need them', () => {
+    const docks = [reefer, containerRamp, general];
+    expect(recommendDock(docks, { vehicle_type: 'container', unload_method: 'ramp' })).toBe(containerRamp);
+    expect(recommendDock(docks, { vehicle_type: 'tautliner' })).toBe(general);
+    expect(recommendDock(docks, { requires_reefer: true })).toBe(reefer);
+  });
+
+  it('puts the booked dock first and skips busy docks', () => {
+    const docks = [reefer, { ...containerRamp, status: 'occupied' }, general];
+    const { ranked, rejected } = rankDocks(docks, { booked_dock_id: 1 });
+    expect(ranked.map(r => r.dock.id)).toEqual([1, 3]);
+    expect(ranked[0].reasons).toContain('Booked dock');
+    expect(rejected).toEqual([{ dock: docks[1], reason: 'Occupied' }]);
+  });
+});
+
+// ── Queue ordering ──
+
+describe('orderQueue', () => {
+  it('docks short unloads first within a priority', () => {
+    const long = truck(1, { shipments: pallets(30), check_in_time: minutesAgo(30) });
+    const short = truck(2, { shipments: pallets(5) });
+    expect(orderQueue([long, short], NOW).map(t => t.id)).toEqual([2, 1]);
+  });
+
+  it('puts priority, overdue and on-time appointments ahead', () => {
+    const urgent = truck(1, { priority: 'urgent', shipments: pallets(40) });
+    const overdue = truck(2, { shipments: pallets(40), check_in_time: minutesAgo(120) });
+    const onTime = truck(3, { shipments: pallets(20), slot_end: minutesAgo(-30) });
+    const walkIn = truck(4, { shipments: pallets(5) });
+    expect(orderQueue([walkIn, onTime, overdue, urgent], NOW).map(t => t.id)).toEqual([1, 2, 3, 4]);
+  });
+});
+
+describe('planQueue', () => {
+  it('predicts start and wait from when busy docks free up', () => {
+    const unloading = { id: 9, dock_assigned_at: minutesAgo(20), shipments: pallets(10) }; // 35 min job, 15 left
+    const docks = [{ ...general, status: 'occupied', current_truck_id: 9 }];
+    const plan = planQueue([truck(1, { shipments: pallets(5) }), truck(2, { shipments: pallets(10) })], docks, [unloading], NOW);
+
+    expect(plan.map(p => [p.truck.id, p.dockId, p.predictedWaitMinutes])).toEqual([
+      [1, 3, 10 + 15],
+      [2, 3, 10 + 15 + 25],
+    ]);
+    expect(plan[0].predictedStart).toBe(new Date(NOW + 15 * 60000).toISOString());
+  });
+
+  it('sends trucks to the earliest dock that can take them', () => {
+    const docks = [{ ...reefer, status: 'occupied', current_truck_id: 9 }, general];
+    const active = [{ id: 9, dock_assigned_at: minutesAgo(0), shipments: pallets(10) }];
+    const plan = planQueue([truck(1, { requires_reefer: true, shipments: pallets(5) }), truck(2)], docks, active, NOW);
+
+    expect(plan.find(p => p.truck.id === 1)).toMatchObject({ dockId: 1, predictedWaitMinutes: 10 + 35 });
+    expect(plan.find(p => p.truck.id === 2)).toMatchObject({ dockId: 3, predictedWaitMinutes: 10 });
+  });
+
+  it('leaves trucks no dock can take unplanned', () => {
+    const [entry] = planQueue([truck(1, { requires_reefer: true })], [general], [], NOW);
+    expect(entry).toMatchObject({ dockId: null, predictedStart: null, predictedWaitMinutes: null });
+  });
+});
+
+describe('nextTruckForDock', () => {
+  it('takes the first planned truck the freed dock can handle', () => {
+    const reeferLoad = truck(1, { requires_reefer: true, shipments: pallets(2) });
+    const dry = truck(2, { shipments: pallets(20) });
+    expect(nextTruckForDock({ ...general, status: 'occupied' }, [reeferLoad, dry], NOW)).toBe(dry);
+    expect(nextTruckForDock(reefer, [reeferLoad, dry], NOW)).toBe(reeferLoad);
+    expect(nextTruckForDock(containerRamp, [truck(3, { vehicle_type: 'flatbed' })], NOW)).toBeNull();
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  normalizeCalendar,
+  validateCalendar,
+  resolveCalendar,
+  addDays,
+  getDaySlots,
+  findSlot,
+  getSlotAvailability,
+  suggestSlots,
+  checkBooking,
+} from '../dockSlots.js';
+
+// PRETORIA: 2-hour slots 08:00-14:00 SAST, weekdays, two trucks a slot
+const calendar = normalizeCalendar({
+  id: 1, warehouse: 'PRETORIA', dock_id: null, slot_minutes: 120,
+  open_time: '08:00:00', close_time: '14:00:00', open_days: [1, 2, 3, 4, 5], max_trucks_per_slot: 2,
+});
+
+// Monday 2 March 2026; 08:00 SAST is 06:00 UTC
+const MONDAY = '2026-03-02';
+const truck = (id, expected_arrival, extra = {}) => ({ id, warehouse: 'PRETORIA', status: 'scheduled', expected_arrival, ...extra });
+
+// ── Calendars ──
+
+describe('normalizeCalendar / validateCalendar', () => {
+  it('reads database rows and fills in defaults', () => {
+    expect(calendar).toMatchObject({ slotMinutes: 120, openTime: '08:00', closeTime: '14:00', maxTrucksPerSlot: 2, utcOffsetMinutes: 120 });
+    expect(normalizeCalendar({ warehouse: 'KLAPMUTS' })).toMatchObject({ slotMinutes: 60, openDays: [1, 2, 3, 4, 5], dockId: null });
+  });
+
+  it('rejects settings that leave no slots', () => {
+    expect(validateCalendar(calendar)).toEqual([]);
+    expect(validateCalendar({ ...calendar, closeTime: '07:00' })).toEqual(['Closing time must be after opening time']);
+    expect(validateCalendar({ ...calendar, slotMinutes: 480 })).toEqual(['Opening hours must fit at least one slot']);
+    expect(validateCalendar({ ...calendar, openDays: [], maxTrucksPerSlot: 0 })).toHaveLength(2);
+  });
+});
+
+describe('resolveCalendar', () => {
+  const rows = [
+    { id: 1, warehouse: 'PRETORIA', dock_id: null },
+    { id: 2, warehouse: 'PRETORIA', dock_id: 7, slot_minutes: 30 },
+  ];
+
+  it("prefers the dock's own calendar over the warehouse's", () => {
+    expect(resolveCalendar(rows, 'PRETORIA', 7).id).toBe(2);
+    expect(resolveCalendar(rows, 'PRETORIA', 8).id).toBe(1);
+    expect(resolveCalendar(rows, 'PRETORIA').id).toBe(1);
+  });
+
+  it('returns null when the warehouse takes no appointments', () => {
+    expect(resolveCalendar(rows, 'KLAPMUTS', 7)).toBeNull();
+  });
+});
+
+// ── Slots ──
+
+describe('getDaySlots / findSlot', () => {
+  it('lays out slots in the warehouse offset', () => {
+    const slots = getDaySlots(calendar, MONDAY);
+    expect(slots.map(s => s.label)).toEqual(['08:00', '10:00', '12:00']);
+    expect(slots[0]).toMatchObject({ start: '2026-03-02T06:00:00.000Z', end: '2026-03-02T08:00:00.000Z' });
+  });
+
+  it('has no slots on closed days', () => {
+    expect(getDaySlots(calendar, '2026-03-01')).toEqual([]);
+    expect(addDays(MONDAY, 6)).toBe('2026-03-08');
+  });
+
+  it('finds the slot a time falls in', () => {
+    expect(findSlot(calendar, '2026-03-02T09:15:00Z').label).toBe('10:00');
+    expect(findSlot(calendar, '2026-03-02T12:00:00Z')).toBeNull();
+    expect(findSlot(calendar, '2026-03-02T05:59:00Z')).toBeNull();
+  });
+});
+
+describe('getSlotAvailability', () => {
+  it('counts bookings and marks full and blacked-out slots', () => {
+    const bookings = [
+      truck(1, '2026-03-02T06:00:00Z'),
+      truck(2, '2026-03-02T07:30:00Z'),
+      truck(3, '2026-03-02T08:00:00Z', { status: 'cancelled' }),
+      truck(4, '2026-03-02T08:00:00Z', { warehouse: 'KLAPMUTS' }),
+    ];
+    const blackouts = [{ warehouse: 'PRETORIA', dock_id: null, starts_at: '2026-03-02T11:00:00Z', ends_at: '2026-03-02T11:30:00Z', reason: 'Stocktake' }];
+    const [first, second, third] = getSlotAvailability(calendar, MONDAY, { bookings, blackouts });
+
+    expect(first).toMatchObject({ booked: 2, capacity: 2, truckIds: [1, 2], available: false, blackout: null });
+    expect(second).toMatchObject({ booked: 0, available: true });
+    expect(third).toMatchObject({ blackout: 'Stocktake', available: false });
+  });
+
+  it('only counts bookings for the dock on a dock calendar', () => {
+    const dockCalendar = { ...calendar, dockId: 7, maxTrucksPerSlot: 1 };
+    const bookings = [truck(1, '2026-03-02T06:00:00Z', { booked_dock_id: 8 })];
+    expect(getSlotAvailability(dockCalendar, MONDAY, { bookings })[0]).toMatchObject({ booked: 0, available: true });
+  });
+});
+
+// ── Booking checks ──
+
+describe('checkBooking', () => {
+  const bookings = [truck(1, '2026-03-02T06:00:00Z'), truck(2, '2026-03-02T06:30:00Z')];
+
+  it('accepts a time in a slot with room', () => {
+    expect(checkBooking(calendar, '2026-03-02T08:30:00Z', { bookings })).toMatchObject({ reason: null, error: null });
+  });
+
+  it('rejects a full slot, unless the truck is moving within it', () => {
+    const result = checkBooking(calendar, '2026-03-02T07:00:00Z', { bookings });
+    expect(result.reason).toBe('full');
+    expect(result.error).toMatch(/08:00 slot on 2026-03-02 is full \(2 of 2/);
+    expect(checkBooking(calendar, '2026-03-02T07:00:00Z', { bookings, excludeTruckId: 2 }).reason).toBeNull();
+  });
+
+  it('rejects times outside opening hours and blackouts', () => {
+    expect(checkBooking(calendar, '2026-03-01T08:00:00Z').reason).toBe('closed');
+    const blackouts = [{ warehouse: 'PRETORIA', dockId: null, startsAt: '2026-03-02T00:00:00Z', endsAt: '2026-03-03T00:00:00Z', reason: 'Public holiday' }];
+    expect(checkBooking(calendar, '2026-03-02T08:30:00Z', { blackouts }).error).toMatch(/blacked out: Public holiday/);
+  });
+});
+
+describe('suggestSlots', () => {
+  it('offers the next free slots, skipping full ones and closed days', () => {
+    const bookings = [truck(1, '2026-03-06T10:00:00Z'), truck(2, '2026-03-06T10:00:00Z')];
+    // Friday 10:30 SAST: the current 10:00 slot has room, the 12:00 slot is full
+    const suggestions = suggestSlots(calendar, '2026-03-06T08:30:00Z', { bookings });
+    expect(suggestions.map(s => s.start)).toEqual([
+      '2026-03-06T08:00:00.000Z',
+      '2026-03-09T06:00:00.000Z',
+      '2026-03-09T08:00:00.000Z',
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+import {
+  DEFAULT_SERIES,
+  warehouseCode,
+  normalizeSeries,
+  validateSeries,
+  periodKey,
+  seriesKey,
+  formatDocumentNumber,
+} from '../documentNumbering.js';
+
+const DAY = '2026-03-02T09:30:00Z';
+
+// ── Series ──
+
+describe('number series', () => {
+  it('fills in the document type defaults', () => {
+    expect(normalizeSeries('GRN', null)).toEqual({ docType: 'GRN', ...DEFAULT_SERIES.GRN });
+  });
+
+  it('reads stored snake_case columns and drops unknown values', () => {
+    expect(normalizeSeries('ESTIMATE', { prefix: ' qt ', date_part: 'YYMM', per_warehouse: true, reset_period: 'weekly', padding: 12 })).toEqual({
+      docType: 'ESTIMATE',
+      prefix: 'QT',
+      datePart: 'YYYYMM',
+      perWarehouse: true,
+      resetPeriod: 'monthly',
+      padding: 4,
+    });
+  });
+
+  it('keeps an empty prefix', () => {
+    expect(normalizeSeries('RELEASE', { prefix: '' }).prefix).toBe('');
+  });
+
+  it('accepts a usable format', () => {
+    expect(validateSeries(DEFAULT_SERIES.GRN)).toEqual([]);
+    expect(validateSeries({ prefix: '', datePart: '', resetPeriod: 'never', padding: 6 })).toEqual([]);
+  });
+
+  it('refuses a reset the date part does not show', () => {
+    expect(validateSeries({ prefix: 'GRN', datePart: 'YYYYMM', resetPeriod: 'daily', padding: 3 })).toEqual([
+      'The date part must show the reset period, or numbers would repeat after a reset',
+    ]);
+    expect(validateSeries({ prefix: 'GRN', datePart: 'YYYYMMDD', resetPeriod: 'monthly', padding: 3 })).toEqual([]);
+  });
+
+  it('refuses bad prefixes and padding', () => {
+    expect(validateSeries({ prefix: 'GR-N', datePart: '', resetPeriod: 'never', padding: 0 })).toHaveLength(2);
+  });
+});
+
+// ── Numbers ──
+
+describe('document numbers', () => {
+  it('formats the GRN numbers issued before series were configurable', () => {
+    const series = normalizeSeries('GRN', null);
+    expect(formatDocumentNumber(series, { sequence: 4, date: DAY })).toBe('GRN-20260302-004');
+    expect(formatDocumentNumber(series, { sequence: 1234, date: DAY })).toBe('GRN-20260302-1234');
+  });
+
+  it('puts the warehouse code in per-warehouse numbers', () => {
+    const series = normalizeSeries('RELEASE', null);
+    expect(formatDocumentNumber(series, { sequence: 12, date: DAY, warehouse: 'Klapmuts' })).toBe('REL-KLM-2026-0012');
+    expect(seriesKey(series, 'KLAPMUTS')).toBe('KLM');
+    expect(seriesKey(normalizeSeries('GRN', null), 'KLAPMUTS')).toBe('');
+  });
+
+  it('leaves out an empty prefix and date part', () => {
+    const series = normalizeSeries('ESTIMATE', { prefix: '', datePart: '', resetPeriod: 'never', padding: 5 });
+    expect(formatDocumentNumber(series, { sequence: 7, date: DAY })).toBe('00007');
+  });
+
+  it('keys counters by reset period', () => {
+    expect(periodKey('daily', DAY)).toBe('20260302');
+    expect(periodKey('monthly', DAY)).toBe('202603');
+    expect(periodKey('yearly', DAY)).toBe('2026');
+    expect(periodKey('never', DAY)).toBe('');
+  });
+
+  it('abbreviates warehouses it has no code for', () => {
+    expect(warehouseCode('Pretoria')).toBe('PTA');
+    expect(warehouseCode('Cape Town')).toBe('CAP');
+    expect(warehouseCode(null)).toBe('');
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  validateRule,
+  extractFromEmail,
+  emailReferences,
+  emailUpdates,
+} from '../forwarderEmailRules.js';
+
+const gatedInRule = {
+  id: 7,
+  forwarder: 'Bidvest Panalpina',
+  sender_patterns: ['@bidvest.co.za'],
+  field: 'latestStatus',
+  match_type: 'keyword',
+  pattern: 'gated in dbn, gate in durban',
+  value: 'gated_in_port',
+  search_in: 'subject',
+};
+
+// ── Rules ──
+
+describe('validateRule', () => {
+  it('accepts keyword and regex rules', () => {
+    expect(validateRule(gatedInRule)).toEqual([]);
+    expect(validateRule({ forwarder: 'DSV', field: 'bolNumber', match_type: 'regex', pattern: 'HBL ([A-Z0-9]+)' })).toEqual([]);
+  });
+
+  it('rejects rules that cannot be applied', () => {
+    expect(validateRule({ ...gatedInRule, value: '' })).toEqual(['Keyword rules need the value to set']);
+    expect(validateRule({ ...gatedInRule, value: 'stored' })[0]).toMatch(/^Status must be one of/);
+    expect(validateRule({ forwarder: 'DSV', field: 'orderRef', match_type: 'regex', pattern: '(' }))
+      .toEqual(['Pattern is not a valid regular expression']);
+    expect(validateRule({ forwarder: 'DSV', field: 'orderRef', match_type: 'keyword', pattern: 'PO', value: 'x' }))
+      .toEqual(['References are read with a regular expression, not keywords']);
+  });
+});
+
+// ── Extraction ──
+
+describe('extractFromEmail', () => {
+  it("uses the sender's rules before the built-in ones", () => {
+    const { values, matched } = extractFromEmail({
+      from: 'Tracking <tracking@bidvest.co.za>',
+      subject: 'Container MSCU 1234567 gated in DBN',
+      body: 'Please note the container has been gated in at Durban.',
+    }, [gatedInRule]);
+    expect(values).toEqual({ containerNumber: 'MSCU 1234567', latestStatus: 'gated_in_port' });
+    expect(matched.find(m => m.field === 'latestStatus').ruleId).toBe(7);
+  });
+
+  it("ignores another forwarder's rules and inactive ones", () => {
+    const email = { from: 'ops@dsv.com', subject: 'Container gated in DBN' };
+    expect(extractFromEmail(email, [gatedInRule]).matched.some(m => m.ruleId === 7)).toBe(false);
+    expect(extractFromEmail({ ...email, from: 'a@bidvest.co.za' }, [{ ...gatedInRule, active: false }])
+      .matched.some(m => m.ruleId === 7)).toBe(false);
+  });
+
+  it('reads vessel, ETA and references from common wording', () => {
+    const { values } = extractFromEmail({
+      subject: 'Vessel MSC Anna ETA revised to 14/03/2026',
+      body: 'Your ref: APO0016424\nB/L No: MEDU8812345',
+    });
+    expect(values).toMatchObject({
+      vesselName: 'MSC Anna',
+      etaDate: '14/03/2026',
+      orderRef: 'APO0016424',
+      bolNumber: 'MEDU8812345',
+    });
+  });
+});
+
+describe('emailReferences / emailUpdates', () => {
+  it('tidies references', () => {
+    expect(emailReferences({ containerNumber: 'mscu 1234567', orderRef: ' apo1 ' }))
+      .toEqual({ containerNumber: 'MSCU1234567', orderRef: 'APO1' });
+  });
+
+  it('proposes known statuses and readable ETAs only', () => {
+    expect(emailUpdates({ latestStatus: 'gated_in_port', vesselName: 'MSC Anna', etaDate: '14/03/2026' })).toEqual({
+      latestStatus: 'gated_in_port',
+      vesselName: 'MSC ANNA',
+      selectedWeekDate: '2026-03-14',
+      weekNumber: 11,
+    });
+    expect(emailUpdates({ latestStatus: 'stored', etaDate: 'next week' })).toEqual({});
+  });
+});
@@ -0,0 +1,117 @@
+import {
+  forwarderCode,
+  isReservedCode,
+  quoteValidity,
+  matchesValidity,
+  matchesLane,
+  laneLabel,
+  quoteFromAnalysis,
+} from '../freightQuotes.js';
+
+const today = new Date('2026-03-10T09:00:00');
+
+// ── Forwarders ──
+
+describe('forwarderCode', () => {
+  it('makes a folder-safe code from the name', () => {
+    expect(forwarderCode('Kuehne+Nagel')).toBe('kuehne-nagel');
+    expect(forwarderCode('  Bidvest Panalpina (BPL) ')).toBe('bidvest-panalpina-bpl');
+  });
+
+  it('flags codes the quote routes use', () => {
+    expect(isReservedCode('forwarders')).toBe(true);
+    expect(isReservedCode('dhl')).toBe(false);
+  });
+});
+
+// ── Validity ──
+
+describe('quoteValidity', () => {
+  it('is expired the day after valid-until', () => {
+    expect(quoteValidity({ valid_until: '2026-03-09' }, today)).toBe('expired');
+    expect(quoteValidity({ valid_until: '2026-03-10' }, today)).toBe('expiring');
+  });
+
+  it('warns within two weeks of expiry', () => {
+    expect(quoteValidity({ valid_until: '2026-03-24' }, today)).toBe('expiring');
+    expect(quoteValidity({ valid_until: '2026-03-25' }, today)).toBe('current');
+  });
+
+  it('knows quotes not yet valid and ones without dates', () => {
+    expect(quoteValidity({ valid_from: '2026-04-01', valid_until: '2026-06-30' }, today)).toBe('upcoming');
+    expect(quoteValidity({}, today)).toBe('unknown');
+  });
+
+  it('counts quotes about to expire as valid now', () => {
+    expect(matchesValidity({ valid_until: '2026-03-12' }, 'current', today)).toBe(true);
+    expect(matchesValidity({ valid_until: '2026-03-01' }, 'current', today)).toBe(false);
+    expect(matchesValidity({ valid_until: '2026-03-01' }, '', today)).toBe(true);
+  });
+});
+
+// ── Lanes ──
+
+describe('matchesLane', () => {
+  const quote = { origin: 'Shanghai', destination: 'Durban (DBN)' };
+
+  it('matches part of either port name, ignoring case', () => {
+    expect(matchesLane(quote, { origin: 'shang', destination: 'dbn' })).toBe(true);
+    expect(matchesLane(quote, { destination: 'Cape Town' })).toBe(false);
+  });
+
+  it('treats blank sides as any', () => {
+    expect(matchesLane(quote, { origin: '', destination: '  ' })).toBe(true);
+    expect(laneLabel(quote)).toBe('Shanghai → Durban (DBN)');
+    expect(laneLabel({})).toBe('Lane not set');
+  });
+});
+
+// ── PDF analysis ──
+
+describe('quoteFromAnalysis', () => {
+  const analysis = {
+    prices: [
+      { original: 'USD 2,150', numeric: 2150, currency: 'USD' },
+      { original: 'USD 250.00', numeric: 250, currency: 'USD' },
+      { original: 'ZAR 3,400', numeric: 3400, currency: 'ZAR' },
+      { original: '14', numeric: 14, currency: 'Unknown' },
+    ],
+    routes: [
+      { origin: 'Qingdao', destination: 'Not specified' },
+      { origin: 'Shanghai', destination: 'Durban' },
+    ],
+    services: ['sea freight'],
+    validityDates: [{ date: '15/03/2026' }, { date: '31/03/2026' }],
+    rawText: 'Ocean freight 1 x 40HC Shanghai to Durban, transit 28 days',
+  };
+
+  it('reads the lane, mode, container, validity and charges', () => {
+    expect(quoteFromAnalysis(analysis)).toEqual({
+      origin: 'Shanghai',
+      destination: 'Durban',
+      mode: 'sea',
+      container_type: "40' High Cube",
+      valid_until: '2026-03-31',
+      currency: 'USD',
+      total_amount: 2150,
+      charges: [
+        { label: 'USD 2,150', amount: 2150, currency: 'USD' },
+        { label: 'USD 250.00', amount: 250, currency: 'USD' },
+        { label: 'ZAR 3,400', amount: 3400, currency: 'ZAR' },
+      ],
+    });
+  });
+
+  it('leaves out what the PDF does not say', () => {
+    expect(quoteFromAnalysis({ prices: [], routes: [], services: [], validityDates: [], rawText: '' })).toEqual({
+      origin: null,
+      destination: null,
+      mode: null,
+      container_type: null,
+      valid_until: null,
+      currency: null,
+      total_amount: null,
+      charges: [],
+    });
+  });
+});
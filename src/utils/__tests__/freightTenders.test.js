@@ -0,0 +1,170 @@
+import {
+  canMoveTo,
+  acceptsResponses,
+  validateTender,
+  validateResponse,
+  responseTotal,
+  lowestResponse,
+  responseAnalysis,
+  estimateFromResponse,
+} from '../freightTenders.js';
+
+const today = new Date('2026-03-10T09:00:00');
+
+const tender = {
+  tender_number: 'RFQ-2026-0001',
+  origin: 'Shanghai',
+  destination: 'Durban',
+  mode: 'sea',
+  container_type: "40' High Cube",
+  cargo_description: 'Frozen fries',
+  cbm: 67,
+  weight_kg: 24000,
+  incoterm: 'CFR',
+  status: 'open',
+};
+
+const response = {
+  forwarder_code: 'dsv',
+  forwarder_name: 'DSV',
+  currency: 'USD',
+  freight_amount: 2150,
+  origin_charges: 310.5,
+  transit_days: 28,
+  carrier: 'MSC',
+  valid_until: '2026-03-31',
+  response_notes: 'Weekly sailing',
+  responded_at: '2026-03-09T10:00:00Z',
+};
+
+// ── Status ──
+
+describe('tender status', () => {
+  it('only awards tenders that went out', () => {
+    expect(canMoveTo('open', 'awarded')).toBe(true);
+    expect(canMoveTo('closed', 'open')).toBe(true);
+    expect(canMoveTo('draft', 'awarded')).toBe(false);
+    expect(canMoveTo('awarded', 'open')).toBe(false);
+  });
+
+  it('takes responses while open, up to the due date', () => {
+    expect(acceptsResponses({ ...tender, response_due: '2026-03-10' }, today)).toBe(true);
+    expect(acceptsResponses({ ...tender, response_due: '2026-03-09' }, today)).toBe(false);
+    expect(acceptsResponses({ ...tender, status: 'closed' }, today)).toBe(false);
+  });
+});
+
+// ── Validation ──
+
+describe('validateTender', () => {
+  it('accepts a complete RFQ', () => {
+    expect(validateTender(tender)).toEqual([]);
+  });
+
+  it('needs the lane, a tender mode and a volume or weight', () => {
+    expect(validateTender({ mode: 'road' })).toEqual([
+      'Origin is required',
+      'Destination is required',
+      'Mode must be sea or air freight',
+      'Give the cargo volume (CBM) or weight',
+    ]);
+    expect(validateTender({ ...tender, incoterm: 'XYZ', required_date: '31/03/2026' })).toEqual([
+      'Unknown incoterm',
+      'Required date must be a date',
+    ]);
+  });
+});
+
+describe('validateResponse', () => {
+  it('needs a freight rate in a costing currency', () => {
+    expect(validateResponse(response)).toEqual([]);
+    expect(validateResponse({ currency: 'ZAR', freight_amount: 0, transit_days: 2.5 })).toEqual([
+      'Currency must be one of: USD, EUR',
+      'Freight amount must be more than zero',
+      'Transit time must be a whole number of days',
+    ]);
+  });
+});
+
+// ── Comparison ──
+
+describe('lowestResponse', () => {
+  const invitations = [
+    { id: 1, ...response },
+    { id: 2, ...response, freight_amount: 1990, origin_charges: 400 },
+    { id: 3, currency: null, responded_at: null },
+  ];
+
+  it('ranks responses by freight plus origin charges', () => {
+    expect(responseTotal(response)).toBe(2460.5);
+    expect(lowestResponse(invitations).id).toBe(2);
+  });
+
+  it('does not rank across currencies', () => {
+    expect(lowestResponse([...invitations, { id: 4, ...response, currency: 'EUR' }])).toBeNull();
+    expect(lowestResponse([])).toBeNull();
+  });
+});
+
+describe('responseAnalysis', () => {
+  it('reads like a PDF analysis for the comparison report', () => {
+    const analysis = responseAnalysis(tender, response);
+    expect(analysis.prices).toEqual([
+      { original: 'USD 2460.5', numeric: 2460.5, currency: 'USD', formatted: 'USD 2,460.50' },
+    ]);
+    expect(analysis.routes).toEqual([{ origin: 'Shanghai', destination: 'Durban', fullMatch: 'Shanghai → Durban' }]);
+    expect(analysis.services).toEqual(['Sea Freight', 'MSC']);
+    expect(analysis.transitTimes).toEqual([{ duration: 28, unit: 'days', fullMatch: '28 days' }]);
+    expect(analysis.confidence).toBe(100);
+    expect(analysis.metadata.filename).toBe('DSV');
+  });
+});
+
+// ── Award ──
+
+describe('estimateFromResponse', () => {
+  it('fills the ocean freight and origin charge lines', () => {
+    expect(estimateFromResponse(tender, response)).toEqual({
+      transport_mode: 'sea',
+      ocean_freight_usd: 2150,
+      ocean_freight_eur: 0,
+      origin_charge_usd: 310.5,
+      origin_charge_eur: 0,
+      port_of_loading: 'Shanghai',
+      port_of_discharge: 'Durban',
+      shipping_line: 'MSC',
+      container_type: "40' High Cube",
+      total_gross_weight_kg: 24000,
+      inco_terms: 'CFR',
+      commodity: 'Frozen fries',
+      transit_time_days: 28,
+      validity_date: '2026-03-31',
+    });
+  });
+
+  it('keeps origin charges out of the goods value under FOB', () => {
+    const fields = estimateFromResponse({ ...tender, incoterm: 'FOB' }, { ...response, currency: 'EUR' });
+    expect(fields.ocean_freight_eur).toBe(2460.5);
+    expect(fields.ocean_freight_usd).toBe(0);
+    expect(fields).not.toHaveProperty('origin_charge_eur');
+  });
+
+  it('fills the airfreight lines for air tenders', () => {
+    const fields = estimateFromResponse(
+      { ...tender, mode: 'air', origin: 'PVG', destination: 'JNB', weight_kg: 850, incoterm: null },
+      { ...response, carrier: null, transit_days: null }
+    );
+    expect(fields).toEqual({
+      transport_mode: 'air',
+      airfreight_usd: 2150,
+      airfreight_eur: 0,
+      airfreight_origin_charges_usd: 310.5,
+      airfreight_origin_charges_eur: 0,
+      airport_of_departure: 'PVG',
+      airport_of_arrival: 'JNB',
+      actual_weight_kg: 850,
+      commodity: 'Frozen fries',
+      validity_date: '2026-03-31',
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import {
+  headerFingerprint,
+  suggestColumns,
+  guessStatus,
+  senderMatches,
+  selectProfile,
+  parseDateValue,
+  applyMapping,
+} from '../importMapping.js';
+
+const acmeProfile = {
+  id: 1,
+  sender_patterns: ['@acme.co.za'],
+  header_fingerprint: 'eta|item|po #|qty|state',
+  columns: { 'po #': 'orderRef', item: 'productName', qty: 'quantity', state: 'latestStatus', eta: 'etaDate' },
+  value_translations: { latestStatus: { 'On water': 'in_transit_seaway' } },
+  date_format: 'DMY',
+  default_warehouse: 'KLAPMUTS',
+  supplier_name: 'Acme Foods',
+};
+
+// ── Headers ──
+
+describe('headerFingerprint', () => {
+  it('ignores column order, case and spacing', () => {
+    expect(headerFingerprint(['QTY', 'PO  #', 'Item'])).toBe(headerFingerprint(['item', 'po #', 'Qty ']));
+  });
+});
+
+describe('suggestColumns', () => {
+  it('matches whole header names before partial ones', () => {
+    expect(suggestColumns(['ORDER/REF', 'Pallet Qty', 'Qty', 'Supplier Name', 'ETA Date'])).toEqual({
+      'order/ref': 'orderRef',
+      'pallet qty': 'palletQty',
+      qty: 'quantity',
+      'supplier name': 'supplier',
+      'eta date': 'etaDate',
+    });
+  });
+
+  it('falls back to headers containing a known name', () => {
+    expect(suggestColumns(['Shipment Status (latest)'])).toEqual({ 'shipment status (latest)': 'latestStatus' });
+  });
+});
+
+describe('guessStatus', () => {
+  it('reads common schedule wording', () => {
+    expect(guessStatus('On water')).toBe('in_transit_seaway');
+    expect(guessStatus('Delayed - customs delay')).toBe('delayed_customs');
+    expect(guessStatus('planned_seafreight')).toBe('planned_seafreight');
+    expect(guessStatus('TBC')).toBeNull();
+  });
+});
+
+// ── Choosing a profile ──
+
+describe('senderMatches', () => {
+  it('matches a domain or a full address', () => {
+    expect(senderMatches(['@acme.co.za'], 'Acme Ops <Ops@Acme.co.za>')).toBe(true);
+    expect(senderMatches(['acme.co.za'], 'ops@acme.co.za')).toBe(true);
+    expect(senderMatches(['planning@acme.co.za'], 'ops@acme.co.za')).toBe(false);
+    expect(senderMatches(['@acme.co.za'], 'ops@notacme.co.za')).toBe(false);
+  });
+});
+
+describe('selectProfile', () => {
+  const planner = { id: 2, sender_patterns: ['planning@acme.co.za'], header_fingerprint: null };
+
+  it('prefers the profile naming the address over one naming the domain', () => {
+    expect(selectProfile([acmeProfile, planner], { sender: 'planning@acme.co.za' }))
+      .toEqual({ profile: planner, matchedBy: 'sender' });
+  });
+
+  it('falls back to the header fingerprint', () => {
+    expect(selectProfile([planner, acmeProfile], { sender: 'x@other.com', headers: ['State', 'ETA', 'PO #', 'Item', 'Qty'] }))
+      .toEqual({ profile: acmeProfile, matchedBy: 'headers' });
+    expect(selectProfile([acmeProfile], { headers: ['Supplier'] })).toBeNull();
+  });
+});
+
+// ── Mapping rows ──
+
+describe('parseDateValue', () => {
+  it('reads text in the profile format', () => {
+    expect(parseDateValue('03/04/2026', 'DMY')).toBe('2026-04-03');
+    expect(parseDateValue('03/04/2026', 'MDY')).toBe('2026-03-04');
+    expect(parseDateValue('2026-04-03')).toBe('2026-04-03');
+    expect(parseDateValue('31/02/2026', 'DMY')).toBeNull();
+  });
+
+  it('reads Excel serial dates', () => {
+    expect(parseDateValue(46112)).toBe('2026-03-31');
+  });
+});
+
+describe('applyMapping', () => {
+  it('maps columns, translates values and fills profile defaults', () => {
+    expect(applyMapping({ 'PO #': 'PO-4410', Item: 'Maize starch', Qty: '1 200', State: 'on water', ETA: '03/04/2026' }, acmeProfile))
+      .toEqual({
+        orderRef: 'PO-4410',
+        productName: 'Maize starch',
+        quantity: 1200,
+        latestStatus: 'in_transit_seaway',
+        weekNumber: 14,
+        selectedWeekDate: '2026-04-03',
+        receivingWarehouse: 'KLAPMUTS',
+        supplier: 'Acme Foods',
+      });
+  });
+
+  it('guesses columns when there is no profile', () => {
+    expect(applyMapping({ SUPPLIER: 'Acme Foods', 'ORDER/REF': 'PO-1', QUANTITY: 5, 'RECEIVING WAREHOUSE': 'pretoria', Remarks: '' }))
+      .toEqual({ supplier: 'Acme Foods', orderRef: 'PO-1', quantity: 5, receivingWarehouse: 'PRETORIA' });
+  });
+});
@@ -0,0 +1,123 @@
+import {
+  validateImportFields,
+  validateImportRow,
+  diffImportRow,
+  classifyImportRow,
+  importChanges,
+  emailSourceLabel,
+  reviewActionLabel,
+} from '../importReview.js';
+
+const row = {
+  orderRef: 'PO-4410',
+  supplier: 'Acme Foods',
+  productName: 'Maize starch',
+  quantity: 24,
+  weekNumber: 12,
+  receivingWarehouse: 'PRETORIA',
+};
+
+// ── Validation ──
+
+describe('validateImportRow', () => {
+  it('accepts a complete row', () => {
+    expect(validateImportRow(row)).toEqual([]);
+  });
+
+  it('applies the spreadsheet upload rules', () => {
+    expect(validateImportRow({ ...row, supplier: ' ', orderRef: '' })).toEqual([
+      'Supplier is required',
+      'Order Reference is required',
+    ]);
+    expect(validateImportRow({ ...row, quantity: 0 })).toEqual(['Quantity must be greater than 0']);
+    expect(validateImportRow({ ...row, palletQty: -1 })).toEqual(['Pallet Quantity cannot be negative']);
+    expect(validateImportRow({ ...row, weekNumber: 54 })).toEqual(['Week Number must be between 1 and 53']);
+  });
+
+  it('checks the warehouse regardless of case', () => {
+    expect(validateImportRow({ ...row, receivingWarehouse: 'Klapmuts' })).toEqual([]);
+    expect(validateImportRow({ ...row, receivingWarehouse: 'Durban' })[0]).toMatch(/^Warehouse must be one of/);
+  });
+
+  it('names the field behind each problem', () => {
+    expect(validateImportFields({ ...row, quantity: 0, weekNumber: 60 })).toEqual([
+      { field: 'quantity', message: 'Quantity must be greater than 0' },
+      { field: 'weekNumber', message: 'Week Number must be between 1 and 53' },
+    ]);
+  });
+});
+
+// ── Diff against the existing shipment ──
+
+describe('diffImportRow', () => {
+  const existing = {
+    order_ref: 'PO-4410',
+    supplier: 'Acme Foods',
+    product_name: 'Maize starch',
+    quantity: '24',
+    week_number: 10,
+    selected_week_date: '2026-03-02T00:00:00.000Z',
+    receiving_warehouse: 'PRETORIA',
+  };
+
+  it('lists only the fields the email changes', () => {
+    expect(diffImportRow({ ...row, selectedWeekDate: '2026-03-02' }, existing)).toEqual([
+      { field: 'weekNumber', label: 'Week', from: 10, to: 12 },
+    ]);
+  });
+
+  it('leaves fields alone when the cell is blank', () => {
+    expect(diffImportRow({ ...row, weekNumber: 10, vesselName: '', notes: null }, existing)).toEqual([]);
+  });
+
+  it('lists every filled field for a new shipment', () => {
+    expect(diffImportRow(row, null).map(c => c.field)).toEqual([
+      'supplier', 'productName', 'quantity', 'weekNumber', 'receivingWarehouse',
+    ]);
+  });
+});
+
+describe('classifyImportRow', () => {
+  it('creates when no shipment has the order ref', () => {
+    expect(classifyImportRow(row, null).action).toBe('create');
+  });
+
+  it('updates or skips an existing shipment', () => {
+    expect(classifyImportRow(row, { ...row, weekNumber: 11 }).action).toBe('update');
+    expect(classifyImportRow(row, row).action).toBe('unchanged');
+  });
+
+  it('holds back invalid rows with their errors', () => {
+    const result = classifyImportRow({ ...row, quantity: '' }, null);
+    expect(result.action).toBe('invalid');
+    expect(result.errors).toEqual(['Quantity must be greater than 0']);
+  });
+
+  it('checks only the fields a partial row carries', () => {
+    const update = { latestStatus: 'gated_in_port' };
+    expect(classifyImportRow(update, { ...row, latest_status: 'moored' }, { partial: true }).action).toBe('update');
+    expect(classifyImportRow(update, null, { partial: true }).errors)
+      .toEqual(['No shipment matches the order ref, container or BOL number']);
+  });
+});
+
+// ── Display helpers ──
+
+describe('importChanges / labels', () => {
+  it('turns changes into an update body', () => {
+    expect(importChanges([{ field: 'weekNumber', to: 12 }, { field: 'vesselName', to: 'MSC Anna' }]))
+      .toEqual({ weekNumber: 12, vesselName: 'MSC Anna' });
+  });
+
+  it('describes the source email', () => {
+    expect(emailSourceLabel({ email_subject: 'Week 12 schedule', email_from: 'ops@acme.co.za' }))
+      .toBe('"Week 12 schedule" from ops@acme.co.za');
+    expect(emailSourceLabel({ emailFrom: 'ops@acme.co.za' })).toBe('No subject from ops@acme.co.za');
+    expect(emailSourceLabel(null)).toBe('-');
+  });
+
+  it('labels review actions', () => {
+    expect(reviewActionLabel('create')).toBe('New shipment');
+    expect(reviewActionLabel(undefined)).toBe('-');
+  });
+});
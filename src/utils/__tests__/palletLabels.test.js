@@ -0,0 +1,158 @@
+import {
+  DEFAULT_TEMPLATE,
+  normalizeTemplate,
+  labelSheet,
+  palletLabelCode,
+  isPalletLabelCode,
+  splitQuantity,
+  countedQuantities,
+  buildPalletLabels,
+  labelFieldValues,
+  code128Values,
+  code128Bars,
+} from '../palletLabels.js';
+
+const SHIPMENT = {
+  order_ref: 'PO-1042',
+  product_name: 'Citric Acid 25kg',
+  grn_number: 'GRN-20260302-004',
+  batch_lot: 'LOT-77',
+  quantity: 1000,
+  received_quantity: 998,
+  pallet_qty: 4,
+  receiving_date: '2026-03-02T09:30:00Z',
+  bin_location: 'A-01-01',
+};
+
+// ── Templates ──
+
+describe('label templates', () => {
+  it('fills in defaults for a missing template', () => {
+    expect(normalizeTemplate(null)).toEqual(DEFAULT_TEMPLATE);
+  });
+
+  it('drops unknown sizes and fields and keeps the listed field order', () => {
+    expect(normalizeTemplate({ size: 'A5', header_text: 'KLAPMUTS', fields: ['location', 'bogus', 'grnNumber'] })).toEqual({
+      size: '100x150',
+      headerText: 'KLAPMUTS',
+      fields: ['grnNumber', 'location'],
+    });
+  });
+
+  it('keeps an empty header', () => {
+    expect(normalizeTemplate({ headerText: '' }).headerText).toBe('');
+  });
+
+  it('lays an A4 sheet out as 2 × 4 labels', () => {
+    const sheet = labelSheet('A4');
+    expect(sheet.slots).toHaveLength(8);
+    expect(sheet.labelWidth).toBe(105);
+    expect(sheet.slots[3]).toEqual({ x: 105, y: sheet.labelHeight, width: 105, height: sheet.labelHeight });
+  });
+
+  it('gives a roll label the whole page', () => {
+    expect(labelSheet('100x75').slots).toEqual([{ x: 0, y: 0, width: 100, height: 75 }]);
+    expect(labelSheet('unknown').pageHeight).toBe(150);
+  });
+});
+
+// ── Labels ──
+
+describe('pallet labels', () => {
+  it('builds label codes from the GRN and a padded pallet number', () => {
+    expect(palletLabelCode('grn-20260302-004', 3)).toBe('GRN-20260302-004-P03');
+    expect(palletLabelCode('GRN-1', 120)).toBe('GRN-1-P120');
+  });
+
+  it('tells label codes from order refs', () => {
+    expect(isPalletLabelCode('GRN-20260302-004-P03')).toBe(true);
+    expect(isPalletLabelCode(' grn-1-p01 ')).toBe(true);
+    expect(isPalletLabelCode('PO-1042')).toBe(false);
+    expect(isPalletLabelCode('GRN-1-P1')).toBe(false);
+    expect(isPalletLabelCode('')).toBe(false);
+  });
+
+  it('splits a quantity across pallets with the remainder up front', () => {
+    expect(splitQuantity(10, 3)).toEqual([4, 3, 3]);
+    expect(splitQuantity(8, 4)).toEqual([2, 2, 2, 2]);
+    expect(splitQuantity(5, 0)).toEqual([5]);
+    expect(splitQuantity(null, 2)).toEqual([0, 0]);
+  });
+
+  it('gives each pallet the received quantity share and its put-away bin', () => {
+    const labels = buildPalletLabels(SHIPMENT, [
+      { code: 'A-01-02', pallets: 1 },
+      { code: 'B-02-01', pallets: 2 },
+    ]);
+    expect(labels).toEqual([
+      { palletNo: 1, palletCount: 4, labelCode: 'GRN-20260302-004-P01', quantity: 250, locationCode: 'A-01-02' },
+      { palletNo: 2, palletCount: 4, labelCode: 'GRN-20260302-004-P02', quantity: 250, locationCode: 'B-02-01' },
+      { palletNo: 3, palletCount: 4, labelCode: 'GRN-20260302-004-P03', quantity: 249, locationCode: 'B-02-01' },
+      { palletNo: 4, palletCount: 4, labelCode: 'GRN-20260302-004-P04', quantity: 249, locationCode: 'A-01-01' },
+    ]);
+  });
+
+  it('keeps pallet quantities counted at receiving when they add up', () => {
+    expect(countedQuantities([300, 300, 398], 998)).toEqual([300, 300, 398]);
+    expect(countedQuantities([300, 300], 998)).toBeNull();
+    expect(countedQuantities([300, -2, 700], 998)).toBeNull();
+    expect(countedQuantities([], 0)).toBeNull();
+
+    const labels = buildPalletLabels(SHIPMENT, [], [500, 498]);
+    expect(labels.map(l => [l.palletNo, l.palletCount, l.quantity])).toEqual([[1, 2, 500], [2, 2, 498]]);
+    // Counts that no longer match what was received are shared evenly again
+    expect(buildPalletLabels(SHIPMENT, [], [500, 500]).map(l => l.quantity)).toEqual([250, 250, 249, 249]);
+  });
+
+  it('falls back to the ordered quantity and one pallet', () => {
+    const labels = buildPalletLabels({ grnNumber: 'GRN-9', quantity: 40 });
+    expect(labels).toEqual([
+      { palletNo: 1, palletCount: 1, labelCode: 'GRN-9-P01', quantity: 40, locationCode: null },
+    ]);
+  });
+
+  it('lists the template fields with their values', () => {
+    const label = { pallet_no: 2, quantity: 250, location_code: 'B-02-01' };
+    expect(labelFieldValues(label, SHIPMENT, { fields: ['quantity', 'grnNumber', 'receivedDate', 'location'] })).toEqual([
+      { key: 'grnNumber', title: 'GRN', value: 'GRN-20260302-004' },
+      { key: 'quantity', title: 'Qty', value: '250' },
+      { key: 'receivedDate', title: 'Received', value: '2026-03-02' },
+      { key: 'location', title: 'Location', value: 'B-02-01' },
+    ]);
+  });
+
+  it('shows a dash for blank values', () => {
+    const [field] = labelFieldValues({}, {}, { fields: ['batchLot'] });
+    expect(field.value).toBe('-');
+  });
+});
+
+// ── Barcodes ──
+
+describe('Code 128 barcodes', () => {
+  it('encodes code set B with start, check and stop symbols', () => {
+    // 104 + 33×1 + 34×2 = 205, mod 103 = 102
+    expect(code128Values('AB')).toEqual([104, 33, 34, 102, 106]);
+  });
+
+  it('refuses text outside printable ASCII', () => {
+    expect(code128Values('')).toBeNull();
+    expect(code128Values('Ä1')).toBeNull();
+    expect(code128Bars('\n')).toBeNull();
+  });
+
+  it('gives 11 modules per symbol and 13 for the stop', () => {
+    const code = 'GRN-20260302-004-P03';
+    const { bars, width } = code128Bars(code);
+    expect(width).toBe(11 * (code.length + 2) + 13);
+    // Three bars per symbol, four in the stop
+    expect(bars).toHaveLength(3 * (code.length + 2) + 4);
+  });
+
+  it('starts with a bar and ends on the stop pattern', () => {
+    const { bars, width } = code128Bars('AB');
+    expect(bars[0]).toEqual({ x: 0, width: 2 });
+    const last = bars[bars.length - 1];
+    expect(last.x + last.width).toBe(width);
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  normalizeReasonCodes,
+  reasonLabel,
+  receivedTotal,
+  receivingBalance,
+  shipmentBalance,
+  fillRate,
+} from '../receipts.js';
+
+// ── Receipts ──
+
+describe('receipts', () => {
+  it('adds up the quantity over all deliveries', () => {
+    expect(receivedTotal([{ quantity: 400 }, { quantity: '350' }, { quantity: null }])).toBe(750);
+    expect(receivedTotal([])).toBe(0);
+    expect(receivedTotal(null)).toBe(0);
+  });
+
+  it('keeps known reason codes once, in list order', () => {
+    expect(normalizeReasonCodes(['over_shipped', 'bogus', 'short_shipped', 'short_shipped'])).toEqual(['short_shipped', 'over_shipped']);
+    expect(normalizeReasonCodes('short_shipped')).toEqual([]);
+  });
+
+  it('labels reason codes', () => {
+    expect(reasonLabel('damaged_in_transit')).toBe('Damaged in transit');
+    expect(reasonLabel('custom')).toBe('custom');
+  });
+});
+
+// ── Balances ──
+
+describe('receiving balance', () => {
+  it('works out what is still outstanding', () => {
+    expect(receivingBalance(1000, 750)).toEqual({ ordered: 1000, received: 750, outstanding: 250, over: 0, fillRate: 75 });
+  });
+
+  it('caps the fill rate when more arrives than was ordered', () => {
+    expect(receivingBalance(100, 120)).toEqual({ ordered: 100, received: 120, outstanding: 0, over: 20, fillRate: 100 });
+  });
+
+  it('has no fill rate without an ordered quantity', () => {
+    expect(receivingBalance(null, 50).fillRate).toBeNull();
+  });
+
+  it('reads camelCase and snake_case shipments', () => {
+    expect(shipmentBalance({ quantity: 10, receivedQuantity: 4 }).outstanding).toBe(6);
+    expect(shipmentBalance({ quantity: 10, received_quantity: 10 }).outstanding).toBe(0);
+  });
+});
+
+// ── Fill rate ──
+
+describe('supplier fill rate', () => {
+  it('weights shipments by quantity', () => {
+    expect(fillRate([
+      { quantity: 900, receivedQuantity: 900 },
+      { quantity: 100, receivedQuantity: 0 },
+    ])).toBe(90);
+  });
+
+  it('does not let over-deliveries make up for short ones', () => {
+    expect(fillRate([
+      { quantity: 100, received_quantity: 150 },
+      { quantity: 100, received_quantity: 50 },
+    ])).toBe(75);
+  });
+
+  it('skips shipments not yet received or without a quantity', () => {
+    expect(fillRate([{ quantity: 100, receivedQuantity: null }, { quantity: 0, receivedQuantity: 5 }])).toBeNull();
+  });
+});
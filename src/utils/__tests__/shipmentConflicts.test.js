@@ -0,0 +1,101 @@
+import {
+  readField,
+  ifMatchHeader,
+  getConflictRecord,
+  sameValue,
+  diffShipmentChanges,
+  mergeShipmentChanges,
+} from '../shipmentConflicts.js';
+
+const base = { id: 7, version: 3, orderRef: 'PO-100', quantity: 40, notes: 'Fragile', vesselName: 'MSC Anna', latestStatus: 'in_transit_seafreight' };
+
+// ── Request / response helpers ──
+
+describe('readField / ifMatchHeader', () => {
+  it('reads camelCase or snake_case records', () => {
+    expect(readField({ orderRef: 'A' }, 'orderRef')).toBe('A');
+    expect(readField({ order_ref: 'B' }, 'orderRef')).toBe('B');
+    expect(readField(null, 'orderRef')).toBeUndefined();
+  });
+
+  it('quotes the version as a strong ETag', () => {
+    expect(ifMatchHeader(base)).toEqual({ 'If-Match': '"3"' });
+    expect(ifMatchHeader({ version: '12' })).toEqual({ 'If-Match': '"12"' });
+  });
+
+  it('sends no precondition when the version is unknown', () => {
+    expect(ifMatchHeader({ id: 1 })).toEqual({});
+    expect(ifMatchHeader(undefined)).toEqual({});
+  });
+});
+
+describe('getConflictRecord', () => {
+  it('returns the current record from a version conflict', () => {
+    const current = { id: 7, version: 4 };
+    expect(getConflictRecord(409, { code: 'VERSION_CONFLICT', details: { current } })).toBe(current);
+  });
+
+  it('ignores other errors', () => {
+    expect(getConflictRecord(409, { code: 'CONFLICT' })).toBeNull();
+    expect(getConflictRecord(400, { code: 'VERSION_CONFLICT', details: { current: {} } })).toBeNull();
+  });
+});
+
+describe('sameValue', () => {
+  it('treats empty values and numeric strings loosely', () => {
+    expect(sameValue(null, '')).toBe(true);
+    expect(sameValue(undefined, null)).toBe(true);
+    expect(sameValue('12', 12)).toBe(true);
+    expect(sameValue('12.50', 12.5)).toBe(true);
+    expect(sameValue('a', 'b')).toBe(false);
+  });
+});
+
+// ── Three-way diff and merge ──
+
+describe('diffShipmentChanges', () => {
+  it('separates my changes, their changes and conflicts', () => {
+    const current = { ...base, version: 4, quantity: 42, notes: 'Handle with care' };
+    const rows = diffShipmentChanges(base, { notes: 'Keep upright', vesselName: 'MSC Bella' }, current);
+
+    expect(rows.map(r => r.field)).toEqual(['quantity', 'vesselName', 'notes']);
+    expect(rows.find(r => r.field === 'quantity')).toMatchObject({ changedByMe: false, changedByThem: true, conflict: false, theirs: 42 });
+    expect(rows.find(r => r.field === 'vesselName')).toMatchObject({ changedByMe: true, changedByThem: false, conflict: false, mine: 'MSC Bella' });
+    expect(rows.find(r => r.field === 'notes')).toMatchObject({ base: 'Fragile', mine: 'Keep upright', theirs: 'Handle with care', conflict: true });
+  });
+
+  it('does not flag both sides making the same change', () => {
+    const current = { ...base, version: 4, notes: 'Keep upright' };
+    const [row] = diffShipmentChanges(base, { notes: 'Keep upright' }, current);
+    expect(row).toMatchObject({ changedByMe: true, changedByThem: true, conflict: false });
+  });
+
+  it('compares against snake_case server records', () => {
+    const current = { id: 7, version: 4, order_ref: 'PO-100', quantity: '40', notes: 'Fragile', vessel_name: 'MSC Anna', latest_status: 'arrived_pta' };
+    const rows = diffShipmentChanges(base, {}, current);
+    expect(rows).toEqual([expect.objectContaining({ field: 'latestStatus', theirs: 'arrived_pta', changedByThem: true })]);
+  });
+
+  it('includes changed fields outside the display list but never bookkeeping fields', () => {
+    const rows = diffShipmentChanges(base, { customField: 'x', updatedAt: '2026-01-01', version: 9 }, { ...base });
+    expect(rows.map(r => r.field)).toEqual(['customField']);
+    expect(rows[0].label).toBe('customField');
+  });
+});
+
+describe('mergeShipmentChanges', () => {
+  const current = { ...base, version: 4, quantity: 42, notes: 'Handle with care' };
+  const rows = diffShipmentChanges(base, { notes: 'Keep upright', vesselName: 'MSC Bella' }, current);
+
+  it('keeps their value for conflicts by default', () => {
+    expect(mergeShipmentChanges(rows)).toEqual({ vesselName: 'MSC Bella' });
+  });
+
+  it('re-sends my value where I chose to keep it', () => {
+    expect(mergeShipmentChanges(rows, { notes: 'mine' })).toEqual({ vesselName: 'MSC Bella', notes: 'Keep upright' });
+  });
+
+  it('never re-sends fields only they changed', () => {
+    expect(mergeShipmentChanges(rows, { quantity: 'mine' })).not.toHaveProperty('quantity');
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  SHIPMENT_EVENT_TYPES,
+  formatEta,
+  getChangeEvents,
+  getStatusPeriods,
+  getStatusEnteredDates,
+  getTimeInStatus,
+  formatDuration,
+} from '../shipmentEvents.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const event = (event_type, to_value, created_at, extra = {}) => ({ event_type, to_value, created_at, ...extra });
+
+const history = [
+  event('created', 'planned_seafreight', '2026-03-01T08:00:00Z', { actor: 'thandi' }),
+  event('eta_changed', 'Week 14', '2026-03-02T08:00:00Z'),
+  event('status_changed', 'in_transit_seafreight', '2026-03-03T08:00:00Z', { actor: 'sipho' }),
+  event('status_changed', 'moored', '2026-03-10T14:00:00Z'),
+];
+
+// ── Change detection ──
+
+describe('formatEta', () => {
+  it('combines the week number and arrival date', () => {
+    expect(formatEta({ week_number: 14, selected_week_date: '2026-04-03' })).toBe('Week 14 (2026-04-03)');
+    expect(formatEta({ weekNumber: '14' })).toBe('Week 14');
+    expect(formatEta({ selectedWeekDate: '2026-04-03T00:00:00Z' })).toBe('2026-04-03');
+    expect(formatEta({})).toBeNull();
+  });
+});
+
+describe('getChangeEvents', () => {
+  const before = { latest_status: 'inspecting', week_number: 14, inspection_status: 'in_progress' };
+
+  it('records a status change', () => {
+    expect(getChangeEvents(before, { ...before, latest_status: 'inspection_passed', inspection_status: 'passed' }))
+      .toEqual(expect.arrayContaining([
+        { event_type: SHIPMENT_EVENT_TYPES.STATUS_CHANGED, from_value: 'inspecting', to_value: 'inspection_passed', details: null },
+      ]));
+  });
+
+  it('records an ETA change with the new week and date', () => {
+    const [change] = getChangeEvents(before, { ...before, week_number: 15, selected_week_date: '2026-04-10' });
+    expect(change).toEqual({
+      event_type: 'eta_changed',
+      from_value: 'Week 14',
+      to_value: 'Week 15 (2026-04-10)',
+      details: { weekNumber: 15, selectedWeekDate: '2026-04-10' },
+    });
+  });
+
+  it('records an inspection result once, with who inspected', () => {
+    const after = { ...before, inspection_status: 'failed', inspected_by: 'lerato', inspection_notes: 'Wet cartons' };
+    expect(getChangeEvents(before, after)).toEqual([{
+      event_type: 'inspection_result',
+      from_value: 'in_progress',
+      to_value: 'failed',
+      details: { inspectedBy: 'lerato', notes: 'Wet cartons' },
+    }]);
+    expect(getChangeEvents(after, { ...after })).toEqual([]);
+  });
+
+  it('ignores unchanged values and the start of an inspection', () => {
+    expect(getChangeEvents(before, { ...before, week_number: '14', notes: 'x' })).toEqual([]);
+    expect(getChangeEvents({ inspection_status: null }, { inspection_status: 'in_progress' })).toEqual([]);
+  });
+});
+
+// ── Timeline ──
+
+describe('getStatusPeriods', () => {
+  it('runs each status until the next one, and the last until now', () => {
+    const periods = getStatusPeriods(history, new Date('2026-03-11T14:00:00Z'));
+    expect(periods.map(p => p.status)).toEqual(['planned_seafreight', 'in_transit_seafreight', 'moored']);
+    expect(periods[0]).toMatchObject({ actor: 'thandi', durationMs: 48 * HOUR, current: false, leftAt: '2026-03-03T08:00:00.000Z' });
+    expect(periods[2]).toMatchObject({ durationMs: 24 * HOUR, current: true, leftAt: null });
+  });
+
+  it('sorts events and skips ones without a status or date', () => {
+    const periods = getStatusPeriods([
+      history[3],
+      history[0],
+      event('created', null, '2026-02-01T00:00:00Z'),
+      event('status_changed', 'delayed_port', null),
+    ], new Date('2026-03-10T14:00:00Z'));
+    expect(periods.map(p => p.status)).toEqual(['planned_seafreight', 'moored']);
+  });
+
+  it('returns nothing without events', () => {
+    expect(getStatusPeriods(undefined)).toEqual([]);
+  });
+});
+
+describe('getStatusEnteredDates / getTimeInStatus', () => {
+  const revisited = [
+    ...history,
+    event('status_changed', 'delayed_port', '2026-03-11T14:00:00Z'),
+    event('status_changed', 'moored', '2026-03-12T14:00:00Z'),
+  ];
+
+  it('dates the first time each status was reached, under its current name', () => {
+    const dates = getStatusEnteredDates(revisited);
+    expect(Object.keys(dates)).toEqual(['planned_seafreight', 'in_transit_seaway', 'moored', 'delayed_port']);
+    expect(dates.moored).toBe('2026-03-10T14:00:00.000Z');
+  });
+
+  it('adds up repeat visits to a status', () => {
+    const totals = getTimeInStatus(revisited, new Date('2026-03-13T02:00:00Z'));
+    expect(totals.moored).toBe(36 * HOUR);
+    expect(totals.delayed_port).toBe(24 * HOUR);
+    expect(totals.in_transit_seaway).toBe(174 * HOUR);
+  });
+});
+
+describe('formatDuration', () => {
+  it('uses minutes, hours, then days and hours', () => {
+    expect(formatDuration(0)).toBe('0m');
+    expect(formatDuration(45 * 60 * 1000)).toBe('45m');
+    expect(formatDuration(5 * HOUR + 59 * 60 * 1000)).toBe('5h');
+    expect(formatDuration(76 * HOUR)).toBe('3d 4h');
+    expect(formatDuration(48 * HOUR)).toBe('2d');
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  STATUS_TRANSITIONS,
+  canonicalStatus,
+  getNextStatuses,
+  getTransitionError,
+  getStatusGraph,
+} from '../shipmentStateMachine.js';
+import { ShipmentStatus, POST_ARRIVAL_STATUSES, ARRIVAL_STATUSES } from '../../types/shipment.js';
+
+// ── Graph shape ──
+
+describe('STATUS_TRANSITIONS', () => {
+  it('covers every status and only points at known statuses', () => {
+    const statuses = Object.values(ShipmentStatus);
+    expect(Object.keys(STATUS_TRANSITIONS).sort()).toEqual([...statuses].sort());
+    Object.values(STATUS_TRANSITIONS).flat().forEach(next => {
+      expect(statuses).toContain(next);
+    });
+  });
+
+  it('only reaches the warehouse workflow from an arrival status', () => {
+    const workflow = POST_ARRIVAL_STATUSES.filter(s => !ARRIVAL_STATUSES.includes(s));
+    const entries = Object.entries(STATUS_TRANSITIONS)
+      .filter(([from]) => !POST_ARRIVAL_STATUSES.includes(from))
+      .filter(([, next]) => next.some(s => workflow.includes(s)));
+    expect(entries).toEqual([]);
+  });
+});
+
+describe('getNextStatuses', () => {
+  it('moves forward along the sea leg, skipping untracked stages', () => {
+    const next = getNextStatuses('in_transit_seaway');
+    expect(next).toEqual(expect.arrayContaining(['moored', 'gated_in_port', 'arrived_pta']));
+    expect(next).not.toContain('planned_seafreight');
+  });
+
+  it('treats legacy statuses as the status that replaced them', () => {
+    expect(canonicalStatus('receiving_goods')).toBe('receiving');
+    expect(getNextStatuses('in_transit_seafreight')).toEqual(getNextStatuses('in_transit_seaway'));
+  });
+
+  it('uses a graph from the server when given', () => {
+    expect(getNextStatuses('moored', { moored: ['berth_working'] })).toEqual(['berth_working']);
+    expect(getNextStatuses('unknown')).toEqual([]);
+  });
+});
+
+// ── Transition checks ──
+
+describe('getTransitionError', () => {
+  it('allows listed transitions and keeping the same status', () => {
+    expect(getTransitionError('planned_seafreight', 'in_transit_seaway', {})).toBeNull();
+    expect(getTransitionError('moored', 'moored', {})).toBeNull();
+  });
+
+  it('rejects going backwards with the allowed statuses', () => {
+    const error = getTransitionError('moored', 'planned_seafreight', {});
+    expect(error).toMatch(/can't go from Moored to Planned Seafreight/);
+    expect(error).toMatch(/Allowed next statuses: Berth Working/);
+  });
+
+  it('rejects skipping straight into the warehouse workflow', () => {
+    expect(getTransitionError('in_transit_seaway', 'unloading', {})).toMatch(/can't go from/);
+    expect(getTransitionError('arrived_pta', 'unloading', {})).toBeNull();
+  });
+
+  it('reports final statuses', () => {
+    expect(getTransitionError('archived', 'stored', {})).toMatch(/Archived is a final status/);
+  });
+
+  it('lets rows on unrecognised statuses move on but rejects unknown targets', () => {
+    expect(getTransitionError('delayed', 'in_transit_seaway', {})).toBeNull();
+    expect(getTransitionError(null, 'moored', {})).toBeNull();
+    expect(getTransitionError('moored', 'teleported', {})).toMatch(/Unknown shipment status/);
+  });
+
+  it('requires an inspection result before inspection passed or failed', () => {
+    expect(getTransitionError('inspecting', 'inspection_passed', { inspection_status: 'in_progress' }))
+      .toMatch(/passed inspection result/);
+    expect(getTransitionError('inspecting', 'inspection_passed', { inspection_status: 'passed' })).toBeNull();
+    expect(getTransitionError('inspecting', 'inspection_failed', { inspectionStatus: 'failed' })).toBeNull();
+  });
+
+  it('requires receiving to be complete before received or stored', () => {
+    expect(getTransitionError('receiving', 'received', { receiving_status: 'in_progress' })).toMatch(/Complete receiving/);
+    expect(getTransitionError('receiving', 'stored', { receiving_status: 'completed' })).toBeNull();
+    expect(getTransitionError('received', 'stored', {})).toBeNull();
+  });
+});
+
+describe('getStatusGraph', () => {
+  it('serves transitions, guard descriptions and aliases', () => {
+    const graph = getStatusGraph();
+    expect(graph.statuses).toContain('stored');
+    expect(graph.transitions.stored).toEqual(['archived']);
+    expect(graph.guards.inspection_passed).toBe('Inspection result recorded as passed');
+    expect(graph.aliases.in_warehouse).toBe('received');
+    expect(JSON.parse(JSON.stringify(graph))).toEqual(graph);
+  });
+});
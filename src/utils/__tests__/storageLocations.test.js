@@ -0,0 +1,133 @@
+import {
+  locationCode,
+  binCodes,
+  buildLocationTree,
+  locationOccupancy,
+  warehouseUsage,
+  suggestPutaway,
+  palletsToTake,
+  formatPlacements,
+} from '../storageLocations.js';
+
+const LOCATIONS = [
+  { id: 3, warehouse: 'PRETORIA', zone: 'A', aisle: 1, bin: 3, code: 'A-01-03', capacity_pallets: 1 },
+  { id: 1, warehouse: 'PRETORIA', zone: 'A', aisle: 1, bin: 1, code: 'A-01-01', capacity_pallets: 2 },
+  { id: 2, warehouse: 'PRETORIA', zone: 'A', aisle: 1, bin: 2, code: 'A-01-02', capacity_pallets: 2 },
+  { id: 4, warehouse: 'PRETORIA', zone: 'B', aisle: 2, bin: 1, code: 'B-02-01', capacity_pallets: 4 },
+  { id: 5, warehouse: 'KLAPMUTS', zone: 'A', aisle: 1, bin: 1, code: 'A-01-01', capacity_pallets: 1 },
+];
+
+const PLACEMENTS = [
+  { id: 10, shipment_id: 's1', location_id: 1, pallets: 2, code: 'A-01-01' },
+  { id: 11, shipment_id: 's2', location_id: 2, pallets: 1, code: 'A-01-02' },
+  { id: 12, shipment_id: 's2', location_id: 4, pallets: 3, code: 'B-02-01' },
+];
+
+// ── Location codes ──
+
+describe('location codes', () => {
+  it('pads aisle and bin and upper-cases the zone', () => {
+    expect(locationCode(' a ', 1, 3)).toBe('A-01-03');
+    expect(locationCode('C', 12, 40)).toBe('C-12-40');
+  });
+
+  it('numbers a run of bins from a starting bin', () => {
+    expect(binCodes('A', 2, 3, 5)).toEqual([
+      { bin: 5, code: 'A-02-05' },
+      { bin: 6, code: 'A-02-06' },
+      { bin: 7, code: 'A-02-07' },
+    ]);
+    expect(binCodes('A', 2, 0)).toEqual([]);
+  });
+
+  it('lays out zones and aisles in order', () => {
+    const tree = buildLocationTree(LOCATIONS.filter(l => l.warehouse === 'PRETORIA'));
+    expect(tree.map(z => z.zone)).toEqual(['A', 'B']);
+    expect(tree[0].aisles[0].bins.map(b => b.bin)).toEqual([1, 2, 3]);
+    expect(tree[1].aisles[0].aisle).toBe(2);
+  });
+});
+
+// ── Occupancy ──
+
+describe('location occupancy', () => {
+  const occupancy = locationOccupancy(LOCATIONS, PLACEMENTS);
+
+  it('counts pallets stored and free space per bin', () => {
+    const full = occupancy.find(l => l.id === 1);
+    expect(full).toMatchObject({ palletsStored: 2, freePallets: 0, occupied: true, shipmentIds: ['s1'] });
+    const partial = occupancy.find(l => l.id === 4);
+    expect(partial).toMatchObject({ palletsStored: 3, freePallets: 1, occupied: true });
+    expect(occupancy.find(l => l.id === 3)).toMatchObject({ palletsStored: 0, freePallets: 1, occupied: false });
+  });
+
+  it('derives bins used per warehouse from occupied bins', () => {
+    const usage = warehouseUsage(occupancy);
+    expect(usage.PRETORIA).toEqual({
+      totalBins: 4,
+      binsUsed: 3,
+      availableBins: 1,
+      palletCapacity: 9,
+      palletsStored: 6,
+      palletsPerBin: 2.25,
+    });
+    expect(usage.KLAPMUTS).toMatchObject({ totalBins: 1, binsUsed: 0, availableBins: 1, palletsPerBin: 1 });
+  });
+});
+
+// ── Put-away and moves ──
+
+describe('put-away suggestions', () => {
+  const occupancy = locationOccupancy(LOCATIONS.filter(l => l.warehouse === 'PRETORIA'), PLACEMENTS);
+
+  it('fills free bins in location order', () => {
+    expect(suggestPutaway(occupancy, 3)).toEqual({
+      allocations: [
+        { locationId: 2, code: 'A-01-02', pallets: 1 },
+        { locationId: 3, code: 'A-01-03', pallets: 1 },
+        { locationId: 4, code: 'B-02-01', pallets: 1 },
+      ],
+      unplaced: 0,
+    });
+  });
+
+  it('starts from a chosen bin and wraps round', () => {
+    const { allocations } = suggestPutaway(occupancy, 2, { startLocationId: 3 });
+    expect(allocations.map(a => a.code)).toEqual(['A-01-03', 'B-02-01']);
+    const wrapped = suggestPutaway(occupancy, 3, { startLocationId: 4 });
+    expect(wrapped.allocations.map(a => a.code)).toEqual(['B-02-01', 'A-01-02', 'A-01-03']);
+  });
+
+  it('reports pallets there is no room for', () => {
+    expect(suggestPutaway(occupancy, 5).unplaced).toBe(2);
+  });
+});
+
+describe('pallets to take for a move', () => {
+  it('takes from the most recently filled bins first', () => {
+    expect(palletsToTake(PLACEMENTS.filter(p => p.shipment_id === 's2'), 2)).toEqual({
+      takes: [{ locationId: 4, code: 'B-02-01', pallets: 2 }],
+      short: 0,
+    });
+    expect(palletsToTake(PLACEMENTS.filter(p => p.shipment_id === 's2'), 4).takes.map(t => t.pallets)).toEqual([3, 1]);
+  });
+
+  it('takes only from the given bin and reports a shortfall', () => {
+    expect(palletsToTake(PLACEMENTS, 2, 2)).toEqual({
+      takes: [{ locationId: 2, code: 'A-01-02', pallets: 1 }],
+      short: 1,
+    });
+  });
+});
+
+describe('bin location summary', () => {
+  it('lists bins with pallet counts above one', () => {
+    expect(formatPlacements(PLACEMENTS)).toBe('A-01-01 (2), A-01-02, B-02-01 (3)');
+    expect(formatPlacements([])).toBe('');
+  });
+
+  it('shortens to fit shipments.bin_location', () => {
+    const many = binCodes('A', 1, 8).map((b, i) => ({ code: b.code, pallets: i === 0 ? 2 : 1 }));
+    expect(formatPlacements(many)).toBe('A-01-01 (2) +7 more');
+  });
+});
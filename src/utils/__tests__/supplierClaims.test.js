@@ -0,0 +1,91 @@
+import {
+  CLAIM_STATUSES,
+  sourceLabel,
+  resolutionLabel,
+  canTransition,
+  isClaimActive,
+  unitLandedCost,
+  claimValue,
+  formatClaimValue,
+  defaultAffectedQuantity,
+  claimRate,
+} from '../supplierClaims.js';
+
+// ── Workflow ──
+
+describe('claim workflow', () => {
+  it('lets the supplier acknowledge or dispute an open claim', () => {
+    expect(canTransition('open', 'acknowledged')).toBe(true);
+    expect(canTransition('open', 'disputed')).toBe(true);
+    expect(canTransition('disputed', 'acknowledged')).toBe(true);
+    expect(canTransition('acknowledged', 'disputed')).toBe(false);
+  });
+
+  it('only closes a resolved claim', () => {
+    expect(canTransition('resolved', 'closed')).toBe(true);
+    expect(canTransition('acknowledged', 'closed')).toBe(false);
+    expect(canTransition('closed', 'open')).toBe(false);
+    expect(canTransition('bogus', 'open')).toBe(false);
+  });
+
+  it('treats closed and cancelled claims as finished', () => {
+    expect(CLAIM_STATUSES.filter(s => isClaimActive(s.value)).map(s => s.value))
+      .toEqual(['open', 'acknowledged', 'disputed', 'resolved']);
+  });
+
+  it('labels sources and resolutions', () => {
+    expect(sourceLabel('inspection')).toBe('Failed inspection');
+    expect(resolutionLabel('credit_note')).toBe('Credit note');
+    expect(resolutionLabel('other')).toBe('other');
+  });
+});
+
+// ── Value ──
+
+describe('claim value', () => {
+  it('spreads the landed cost over the shipment quantity', () => {
+    expect(unitLandedCost({ total_landed_cost_zar: '125000.00' }, 1000)).toBe(125);
+    expect(unitLandedCost({ totalLandedCostZar: 1000 }, 3)).toBe(333.3333);
+  });
+
+  it('has no unit cost without a cost or a quantity', () => {
+    expect(unitLandedCost(null, 1000)).toBeNull();
+    expect(unitLandedCost({ total_landed_cost_zar: 0 }, 1000)).toBeNull();
+    expect(unitLandedCost({ total_landed_cost_zar: 5000 }, 0)).toBeNull();
+  });
+
+  it('values the affected quantity to the cent', () => {
+    expect(claimValue(40, 125)).toBe(5000);
+    expect(claimValue(3, 333.3333)).toBe(1000);
+    expect(claimValue(-5, 10)).toBe(0);
+    expect(claimValue(40, null)).toBeNull();
+  });
+
+  it('shows values in rand to the cent', () => {
+    expect(formatClaimValue(12450)).toBe('R 12,450.00');
+    expect(formatClaimValue('99.5')).toBe('R 99.50');
+    expect(formatClaimValue(null)).toBe('-');
+  });
+});
+
+// ── Quantities and rates ──
+
+describe('claim quantities', () => {
+  it('claims the outstanding balance for a receiving discrepancy', () => {
+    expect(defaultAffectedQuantity({ quantity: 1000, received_quantity: 960 }, 'receiving')).toBe(40);
+    expect(defaultAffectedQuantity({ quantity: 1000 }, 'receiving', { outstanding_quantity: 25 })).toBe(25);
+  });
+
+  it('claims everything received for a failed inspection or rejection', () => {
+    expect(defaultAffectedQuantity({ quantity: 1000, receivedQuantity: 960 }, 'inspection')).toBe(960);
+    expect(defaultAffectedQuantity({ quantity: 1000 }, 'rejection')).toBe(1000);
+    expect(defaultAffectedQuantity(null, 'inspection')).toBe(0);
+  });
+
+  it('gives claims as a percentage of shipments', () => {
+    expect(claimRate(3, 40)).toBe(8);
+    expect(claimRate(0, 12)).toBe(0);
+    expect(claimRate(2, 0)).toBeNull();
+    expect(claimRate(null, 10)).toBeNull();
+  });
+});
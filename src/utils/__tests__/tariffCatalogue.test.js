@@ -0,0 +1,111 @@
+import {
+  normalizeHsCode,
+  formatHsCode,
+  parseTariffRate,
+  parseCsvRows,
+  parseTariffCsv,
+} from '../tariffCatalogue.js';
+
+// ── HS code formatting ──
+
+describe('normalizeHsCode / formatHsCode', () => {
+  it('strips everything but digits', () => {
+    expect(normalizeHsCode('0306.17.10')).toBe('03061710');
+    expect(normalizeHsCode(' 0306 17 ')).toBe('030617');
+    expect(normalizeHsCode(null)).toBe('');
+  });
+
+  it('formats headings and subheadings', () => {
+    expect(formatHsCode('03061710')).toBe('0306.17.10');
+    expect(formatHsCode('030617')).toBe('0306.17');
+    expect(formatHsCode('0306')).toBe('03.06');
+    expect(formatHsCode('')).toBe('');
+  });
+});
+
+// ── parseTariffRate ──
+
+describe('parseTariffRate', () => {
+  it('reads percentages and free', () => {
+    expect(parseTariffRate('20%')).toEqual({ percent: 20, text: '20%' });
+    expect(parseTariffRate('12,5')).toEqual({ percent: 12.5, text: '12,5' });
+    expect(parseTariffRate('free')).toEqual({ percent: 0, text: 'free' });
+  });
+
+  it('keeps specific rates as text without a percentage', () => {
+    expect(parseTariffRate('300c/kg')).toEqual({ percent: null, text: '300c/kg' });
+    expect(parseTariffRate('25% or 300c/kg')).toEqual({ percent: null, text: '25% or 300c/kg' });
+  });
+
+  it('returns null for empty cells', () => {
+    expect(parseTariffRate('')).toBeNull();
+    expect(parseTariffRate(' - ')).toBeNull();
+    expect(parseTariffRate(undefined)).toBeNull();
+  });
+});
+
+// ── parseCsvRows ──
+
+describe('parseCsvRows', () => {
+  it('handles quoted commas, escaped quotes and CRLF', () => {
+    expect(parseCsvRows('a,"b, c","say ""hi"""\r\n1,2,3\r\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['1', '2', '3'],
+    ]);
+  });
+
+  it('detects semicolon-separated exports and strips a BOM', () => {
+    expect(parseCsvRows('\uFEFFcode;rate\n0306;free')).toEqual([['code', 'rate'], ['0306', 'free']]);
+  });
+});
+
+// ── parseTariffCsv ──
+
+describe('parseTariffCsv', () => {
+  const csv = [
+    'SARS Customs and Excise Tariff,,,,,,,,,',
+    'Heading / Subheading,CD,Article Description,Statistical Unit,General,EU / UK,EFTA,SADC,MERCOSUR,AfCFTA',
+    '03.06,,"Crustaceans, whether in shell or not",,,,,,,',
+    '0306.17.10,5,Shrimps and prawns,kg,25%,free,free,free,,20%',
+    '2203.00.05,2,Beer made from malt,li,300c/li,free,,free,,',
+    '99,,Bad code,kg,10%,,,,,',
+  ].join('\n');
+
+  it('reads duty and preferential rates per HS code', () => {
+    const { tariffs } = parseTariffCsv(csv);
+    expect(tariffs[0]).toEqual({
+      hs_code: '03061710',
+      description: 'Shrimps and prawns',
+      statistical_unit: 'kg',
+      duty_text: '25%',
+      duty_percent: 25,
+      schedule1_percent: null,
+      vat_treatment: 'standard',
+      preferential_rates: { EU_UK: 0, EFTA: 0, SADC: 0, AFCFTA: 20 },
+    });
+  });
+
+  it('keeps specific rates without a duty percentage', () => {
+    const beer = parseTariffCsv(csv).tariffs.find(t => t.hs_code === '22030005');
+    expect(beer.duty_percent).toBeNull();
+    expect(beer.duty_text).toBe('300c/li');
+  });
+
+  it('skips headings without a rate and reports invalid codes', () => {
+    const { tariffs, skipped, errors } = parseTariffCsv(csv);
+    expect(tariffs).toHaveLength(2);
+    expect(skipped).toBe(1);
+    expect(errors).toEqual(['Row 6: invalid tariff code "99"']);
+  });
+
+  it('reads Schedule 1 and VAT columns when present', () => {
+    const { tariffs } = parseTariffCsv('Tariff Code,Description,General,Schedule 1 Part 2,VAT\n1905.90,Biscuits,20%,5%,Exempt\n');
+    expect(tariffs[0]).toMatchObject({ hs_code: '190590', duty_percent: 20, schedule1_percent: 5, vat_treatment: 'exempt' });
+  });
+
+  it('reports a file without a tariff header', () => {
+    const result = parseTariffCsv('name,value\nfoo,1\n');
+    expect(result.tariffs).toEqual([]);
+    expect(result.errors[0]).toMatch(/No header row/);
+  });
+});
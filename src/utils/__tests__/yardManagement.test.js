@@ -0,0 +1,126 @@
+import {
+  normalizeContainerNumber,
+  isValidContainerNumber,
+  slotCodes,
+  buildYardMap,
+  freeDaysFor,
+  freeTimeClock,
+  containerClocks,
+  dueFreeTimeAlerts,
+  formatClock,
+} from '../yardManagement.js';
+
+// Discharged 08:00 SAST on 2 March; three free days run to midnight SAST on the 4th
+const DISCHARGED = '2026-03-02T06:00:00Z';
+const FREE_UNTIL = '2026-03-04T22:00:00.000Z';
+const LINES = [
+  { shipping_line: 'MSC', demurrage_free_days: 3, detention_free_days: 5 },
+  { shippingLine: 'Maersk', demurrageFreeDays: 4, detentionFreeDays: 10 },
+];
+
+// ── Container numbers ──
+
+describe('container numbers', () => {
+  it('normalises spacing and case', () => {
+    expect(normalizeContainerNumber(' csqu 305438-3 ')).toBe('CSQU3054383');
+  });
+
+  it('checks the ISO 6346 check digit', () => {
+    expect(isValidContainerNumber('CSQU3054383')).toBe(true);
+    expect(isValidContainerNumber('csqu 305438 3')).toBe(true);
+    expect(isValidContainerNumber('CSQU3054384')).toBe(false);
+    expect(isValidContainerNumber('CSQ3054383')).toBe(false);
+    expect(isValidContainerNumber('')).toBe(false);
+  });
+});
+
+// ── Yard layout ──
+
+describe('slotCodes / buildYardMap', () => {
+  it('numbers a row of slots', () => {
+    expect(slotCodes('b', 3)).toEqual(['B-01', 'B-02', 'B-03']);
+    expect(slotCodes('C', 2, 10)).toEqual(['C-10', 'C-11']);
+  });
+
+  it('lays out rows and places containers that are in the yard', () => {
+    const slots = [
+      { id: 3, row_label: 'B', position: 1 },
+      { id: 2, row_label: 'A', position: 2 },
+      { id: 1, row_label: 'A', position: 1 },
+    ];
+    const containers = [
+      { id: 10, yard_slot_id: 2, status: 'in_yard' },
+      { id: 11, yard_slot_id: 3, status: 'departed' },
+    ];
+    const map = buildYardMap(slots, containers);
+    expect(map.map(r => r.row)).toEqual(['A', 'B']);
+    expect(map[0].slots.map(s => s.slot.id)).toEqual([1, 2]);
+    expect(map[0].slots[1].container.id).toBe(10);
+    expect(map[1].slots[0].container).toBeNull();
+  });
+});
+
+// ── Free time ──
+
+describe('freeDaysFor', () => {
+  it('matches the shipping line regardless of case, else uses the defaults', () => {
+    expect(freeDaysFor(LINES, 'msc')).toEqual({ demurrageDays: 3, detentionDays: 5 });
+    expect(freeDaysFor(LINES, 'Maersk')).toEqual({ demurrageDays: 4, detentionDays: 10 });
+    expect(freeDaysFor(LINES, 'Unknown')).toEqual({ demurrageDays: 7, detentionDays: 7 });
+  });
+});
+
+describe('freeTimeClock', () => {
+  it('counts the start day as day one and ends at local midnight', () => {
+    const clock = freeTimeClock(DISCHARGED, null, 3, '2026-03-02T10:00:00Z');
+    expect(clock.freeUntil).toBe(FREE_UNTIL);
+    expect(clock.status).toBe('ok');
+    expect(clock.hoursLeft).toBe(60);
+  });
+
+  it('warns inside the warning window and charges whole days after free time', () => {
+    expect(freeTimeClock(DISCHARGED, null, 3, '2026-03-03T08:00:00Z').status).toBe('warning');
+
+    const charging = freeTimeClock(DISCHARGED, null, 3, '2026-03-05T23:00:00Z');
+    expect(charging.status).toBe('charging');
+    expect(charging.chargeableDays).toBe(2);
+  });
+
+  it('closes when stopped, keeping any days charged', () => {
+    const within = freeTimeClock(DISCHARGED, '2026-03-04T12:00:00Z', 3, '2026-03-10T00:00:00Z');
+    expect(within).toMatchObject({ status: 'closed', chargeableDays: 0, hoursLeft: null });
+    expect(formatClock(within)).toBe('Within free time');
+
+    const late = freeTimeClock(DISCHARGED, '2026-03-05T12:00:00Z', 3, '2026-03-10T00:00:00Z');
+    expect(late.chargeableDays).toBe(1);
+    expect(formatClock(late)).toBe('1 day charged');
+  });
+
+  it('is pending until it starts', () => {
+    expect(freeTimeClock(null, null, 3).status).toBe('pending');
+  });
+});
+
+describe('containerClocks / dueFreeTimeAlerts', () => {
+  const days = freeDaysFor(LINES, 'MSC');
+
+  it('runs demurrage until gate-in and detention from gate-in to gate-out', () => {
+    const container = { equipment_type: 'container', discharged_at: DISCHARGED, gate_in_at: '2026-03-04T08:00:00Z' };
+    const clocks = containerClocks(container, days, '2026-03-07T10:00:00Z');
+    expect(clocks.demurrage.status).toBe('closed');
+    expect(clocks.detention.status).toBe('warning');
+    expect(clocks.status).toBe('warning');
+    expect(formatClock(clocks.detention)).toBe('1d 12h left');
+  });
+
+  it('has no clocks for trailers', () => {
+    expect(containerClocks({ equipment_type: 'trailer', gate_in_at: DISCHARGED }, days).status).toBe('pending');
+  });
+
+  it('alerts once per clock', () => {
+    const atPort = { equipment_type: 'container', discharged_at: DISCHARGED };
+    expect(dueFreeTimeAlerts(atPort, days, '2026-03-03T08:00:00Z').map(a => a.kind)).toEqual(['demurrage']);
+    expect(dueFreeTimeAlerts({ ...atPort, demurrage_alerted_at: '2026-03-03T08:00:00Z' }, days, '2026-03-05T08:00:00Z')).toEqual([]);
+    expect(dueFreeTimeAlerts(atPort, days, '2026-03-02T10:00:00Z')).toEqual([]);
+  });
+});
@@ -3,6 +3,8 @@
  * Calculates 8-week bin usage predictions based on incoming shipments
  */
 
+import { LOCATION_RULES } from './storageLocations.js';
+
 export class CapacityForecast {
   // Standard bin counts per warehouse
   static WAREHOUSE_CAPACITY = {
@@ -11,8 +13,9 @@ export class CapacityForecast {
     'OFFSITE': 384
   };
 
-  // Bins per pallet assumption (if pallet qty not specified, estimate)
-  static BINS_PER_PALLET = 1;
+  // Pallets per bin for warehouses without storage locations; those with
+  // locations pass their own average (see src/utils/storageLocations.js)
+  static DEFAULT_PALLETS_PER_BIN = LOCATION_RULES.defaultPalletsPerBin;
 
   /**
    * Calculate current week number
@@ -46,18 +49,17 @@ export class CapacityForecast {
   }
 
   /**
-   * Calculate bins used based on pallets
-   * Assumption: 1 pallet = 1 bin
+   * Calculate bins used based on pallets and how many pallets a bin holds
    */
-  static calculateBinsFromPallets(pallets) {
-    return Math.ceil(pallets * this.BINS_PER_PALLET);
+  static calculateBinsFromPallets(pallets, palletsPerBin = this.DEFAULT_PALLETS_PER_BIN) {
+    return Math.ceil(pallets / (palletsPerBin || this.DEFAULT_PALLETS_PER_BIN));
   }
 
   /**
    * Generate 8-week capacity forecast
    * Returns array of forecasts with alerts and recommendations
    */
-  static generateForecast(shipments, currentBinsUsed, warehouseCapacities = this.WAREHOUSE_CAPACITY) {
+  static generateForecast(shipments, currentBinsUsed, warehouseCapacities = this.WAREHOUSE_CAPACITY, palletsPerBin = {}) {
     const currentWeek = this.getCurrentWeekNumber();
     const forecast = [];
 
@@ -76,7 +78,7 @@ export class CapacityForecast {
       // Calculate for each warehouse
       Object.keys(warehouseCapacities).forEach(warehouse => {
         const incomingPallets = this.getIncomingPalletsForWeek(shipments, warehouse, forecastWeek);
-        const incomingBins = this.calculateBinsFromPallets(incomingPallets);
+        const incomingBins = this.calculateBinsFromPallets(incomingPallets, palletsPerBin[warehouse]);
 
         // Estimate bins used in this week
         // For current week, use actual current bins; for future weeks, estimate decay
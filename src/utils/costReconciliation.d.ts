@@ -0,0 +1,64 @@
+/**
+ * Type declarations for the shared reconciliation module (costReconciliation.js),
+ * so the TypeScript server can import the same module as the React app.
+ */
+
+export type VarianceFlag = 'ok' | 'over' | 'under' | 'unbudgeted' | 'not_invoiced';
+
+export interface ReconciliationOptions {
+  tolerancePct?: number;
+  minVarianceZar?: number;
+}
+
+export interface ReconciliationInvoiceLine {
+  description: string | null;
+  local_amount?: number | string | null;
+  foreign_amount?: number | string | null;
+  roe?: number | string | null;
+  [key: string]: any;
+}
+
+export interface ReconciliationRow {
+  key: string;
+  label: string;
+  estimate_zar: number;
+  actual_zar: number;
+  variance_zar: number;
+  variance_pct: number | null;
+  flag: VarianceFlag;
+  invoice_lines: Array<ReconciliationInvoiceLine & { amount_zar: number }>;
+}
+
+export interface Reconciliation {
+  has_actuals: boolean;
+  tolerance_pct: number;
+  min_variance_zar: number;
+  categories: ReconciliationRow[];
+  totals: {
+    estimate_zar: number;
+    actual_zar: number;
+    variance_zar: number;
+    variance_pct: number | null;
+    flag: VarianceFlag;
+    flagged_count: number;
+  };
+}
+
+export const RECONCILIATION_DEFAULTS: {
+  TOLERANCE_PERCENT: number;
+  MIN_VARIANCE_ZAR: number;
+};
+export const RECONCILIATION_CATEGORIES: Array<{ key: string; label: string; patterns: RegExp[] }>;
+export const OTHER_CATEGORY: { key: string; label: string };
+
+export function categorizeInvoiceLine(description: string | null | undefined): string;
+export function getInvoiceLineAmountZar(line: ReconciliationInvoiceLine): number;
+export function getVarianceFlag(estimateZar: number, actualZar: number, options?: ReconciliationOptions): VarianceFlag;
+export function reconcileEstimate(
+  estimate: Record<string, any>,
+  invoiceLines?: ReconciliationInvoiceLine[],
+  options?: ReconciliationOptions
+): Reconciliation;
+
+declare const costReconciliation: Record<string, any>;
+export default costReconciliation;
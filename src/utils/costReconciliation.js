@@ -0,0 +1,216 @@
+/**
+ * Estimate vs. actual landed-cost reconciliation
+ *
+ * Lines up an import cost estimate's cost categories against the invoice line
+ * items (forwarding and clearing invoices) captured for the same shipment.
+ * Shared by the API (server/controllers/CostingController.ts) and the
+ * reconciliation view, like costingCalculations.js.
+ */
+import { calculateAllTotals, calculateLocalChargesSubtotal } from './costingCalculations.js';
+
+export const RECONCILIATION_DEFAULTS = {
+  TOLERANCE_PERCENT: 10,   // Flag categories whose actual cost differs from the estimate by more than this
+  MIN_VARIANCE_ZAR: 500,   // ...and by at least this amount, so small lines don't raise noise
+};
+
+const num = (value) => parseFloat(value) || 0;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Cost categories in matching order: the first category whose pattern matches an
+ * invoice line description wins, so specific charges (agency fee, VAT, duties)
+ * come before broad ones (transport, freight).
+ * `estimate` returns the estimated ZAR amount from the estimate and its totals.
+ */
+export const RECONCILIATION_CATEGORIES = [
+  {
+    key: 'agency_fee',
+    label: 'Agency Fee',
+    patterns: [/AGENCY/],
+    // Export agency fees are part of the export charges
+    estimate: (data, totals, ctx) => (ctx.isExport ? 0 : totals.agency_fee_zar),
+  },
+  {
+    key: 'import_vat',
+    label: 'Import VAT',
+    patterns: [/\bVAT\b/],
+    estimate: (data, totals) => totals.import_vat_zar,
+  },
+  {
+    key: 'customs_duty',
+    label: 'Customs Duty',
+    patterns: [/\bDUTY\b/, /\bDUTIES\b/, /SCHEDULE\s*1/],
+    estimate: (data, totals) => totals.total_duties_zar,
+  },
+  {
+    key: 'customs_clearance',
+    label: 'Customs Clearance',
+    patterns: [/CUSTOMS/, /DECLARATION/, /CLEARANCE/, /\bSAD\b/, /DISBURSEMENT/],
+    estimate: (data) => num(data.customs_declaration_zar),
+  },
+  {
+    key: 'destination_charges',
+    label: 'Destination / Port Charges',
+    patterns: [
+      /CARGO DUES/, /TERMINAL/, /\bTHC\b/, /\bCTO\b/, /PORT HEALTH/, /INSPECTION/, /DAFF/, /STATE VET/,
+      /SHIPPING LINE/, /DOCUMENT/, /\bDRO\b/, /RELEASE/, /MANIFEST/, /BILL OF LADING/, /\bB\/L\b/,
+      /\bEDI\b/, /HANDOVER/, /FACILITY/, /DEGROUP/, /\bCFS\b/, /COMMUNICATION/, /CURRENCY ADJUSTMENT/, /\bCAF\b/,
+      /TURN.?IN/, /\bVGM\b/, /NAVIS/, /LANDSIDE/, /SEAL/, /CARBON/,
+    ],
+    estimate: (data, totals, ctx) => (ctx.isAir ? totals.air_local_charges_subtotal_zar : totals.destination_charges_subtotal_zar),
+  },
+  {
+    key: 'warehouse',
+    label: 'Warehouse / Storage',
+    patterns: [/WAREHOUS/, /STORAGE/, /HANDLING/, /UNPACK/, /RELOAD/],
+    estimate: (data, totals) => totals.warehouse_charges_subtotal_zar + num(data.storage_zar) + num(data.unpack_reload_zar),
+  },
+  {
+    key: 'last_mile',
+    label: 'Last Mile Delivery',
+    patterns: [/LAST MILE/, /COURIER/, /OVERNIGHT/, /EXPRESS/],
+    estimate: (data, totals) => totals.last_mile_charges_subtotal_zar,
+  },
+  {
+    key: 'local_transport',
+    label: 'Local Transport / Cartage',
+    patterns: [/CARTAGE/, /TRANSPORT/, /HAULAGE/, /TRUCK/, /DELIVERY/, /COLLECTION/, /DEPOT/, /TAUTLINER/, /SUPERLINK/],
+    estimate: (data) => calculateLocalChargesSubtotal(data) - num(data.storage_zar) - num(data.unpack_reload_zar),
+  },
+  {
+    key: 'origin_charges',
+    label: 'Origin Charges',
+    patterns: [/ORIGIN/, /PICK.?UP/, /EX.?WORKS/, /EXPORT CLEARANCE/],
+    // Under FOB/FCA/EXW the origin value is the goods value, not a shipping charge
+    estimate: (data, totals, ctx) => {
+      if (ctx.isAir) return totals.airfreight_origin_charges_zar;
+      return ctx.originIsGoodsValue ? 0 : totals.total_origin_charges_zar;
+    },
+  },
+  {
+    key: 'freight',
+    label: 'Ocean / Air Freight',
+    patterns: [/FREIGHT/, /\bBAF\b/, /BUNKER/, /\bFSC\b/, /FUEL/, /SECURITY/, /\bISPS\b/],
+    estimate: (data, totals, ctx) => {
+      if (ctx.isAir) return totals.airfreight_total_zar + totals.fuel_surcharge_total_zar + totals.security_surcharge_total_zar;
+      return ctx.freightIsBuyerCost ? 0 : totals.total_ocean_freight_zar;
+    },
+  },
+];
+
+export const OTHER_CATEGORY = { key: 'other', label: 'Other / Unmatched' };
+
+/**
+ * Category key for an invoice line description
+ */
+export const categorizeInvoiceLine = (description) => {
+  const text = String(description || '').toUpperCase();
+  const category = RECONCILIATION_CATEGORIES.find(c => c.patterns.some(pattern => pattern.test(text)));
+  return category ? category.key : OTHER_CATEGORY.key;
+};
+
+/**
+ * Actual ZAR amount of an invoice line, excluding the VAT charged on the service
+ */
+export const getInvoiceLineAmountZar = (line) => {
+  if (line.local_amount !== null && line.local_amount !== undefined && line.local_amount !== '') {
+    return num(line.local_amount);
+  }
+  return num(line.foreign_amount) * num(line.roe);
+};
+
+/**
+ * Flag a variance against the tolerance
+ * @returns {'ok'|'over'|'under'|'unbudgeted'|'not_invoiced'}
+ */
+export const getVarianceFlag = (estimateZar, actualZar, options = {}) => {
+  const tolerancePct = options.tolerancePct ?? RECONCILIATION_DEFAULTS.TOLERANCE_PERCENT;
+  const minVarianceZar = options.minVarianceZar ?? RECONCILIATION_DEFAULTS.MIN_VARIANCE_ZAR;
+  const variance = actualZar - estimateZar;
+
+  if (estimateZar === 0 && actualZar === 0) return 'ok';
+  if (estimateZar === 0) return Math.abs(variance) >= minVarianceZar ? 'unbudgeted' : 'ok';
+  if (actualZar === 0) return 'not_invoiced';
+  if (Math.abs(variance) < minVarianceZar) return 'ok';
+
+  const variancePct = (variance / estimateZar) * 100;
+  if (variancePct > tolerancePct) return 'over';
+  if (variancePct < -tolerancePct) return 'under';
+  return 'ok';
+};
+
+/**
+ * Reconcile an estimate against the invoice lines for its shipment.
+ *
+ * @param {object} estimate - cost estimate (products as an array)
+ * @param {Array<object>} invoiceLines - bol_invoice_line_items rows with invoice details
+ * @param {object} options - { tolerancePct, minVarianceZar }
+ */
+export const reconcileEstimate = (estimate, invoiceLines = [], options = {}) => {
+  const totals = calculateAllTotals(estimate);
+  const incoTerms = String(estimate.inco_terms || '').toUpperCase();
+  const isExport = estimate.direction === 'export';
+  const ctx = {
+    isExport,
+    isAir: (estimate.transport_mode || 'sea') === 'air',
+    originIsGoodsValue: ['FOB', 'FCA', 'EXW'].includes(incoTerms),
+    freightIsBuyerCost: isExport && incoTerms === 'FOB',
+  };
+
+  const linesByCategory = {};
+  invoiceLines.forEach(line => {
+    const key = categorizeInvoiceLine(line.description);
+    (linesByCategory[key] || (linesByCategory[key] = [])).push({ ...line, amount_zar: round2(getInvoiceLineAmountZar(line)) });
+  });
+
+  const buildRow = (category, estimateZar) => {
+    const lines = linesByCategory[category.key] || [];
+    const actualZar = round2(lines.reduce((sum, line) => sum + line.amount_zar, 0));
+    const varianceZar = round2(actualZar - estimateZar);
+    return {
+      key: category.key,
+      label: category.label,
+      estimate_zar: estimateZar,
+      actual_zar: actualZar,
+      variance_zar: varianceZar,
+      variance_pct: estimateZar !== 0 ? round2((varianceZar / estimateZar) * 100) : null,
+      flag: invoiceLines.length > 0 ? getVarianceFlag(estimateZar, actualZar, options) : 'ok',
+      invoice_lines: lines,
+    };
+  };
+
+  const categories = RECONCILIATION_CATEGORIES
+    .map(category => buildRow(category, round2(num(category.estimate(estimate, totals, ctx)))))
+    .filter(row => row.estimate_zar !== 0 || row.actual_zar !== 0);
+  if (linesByCategory[OTHER_CATEGORY.key]) {
+    categories.push(buildRow(OTHER_CATEGORY, 0));
+  }
+
+  const estimateTotal = round2(categories.reduce((sum, row) => sum + row.estimate_zar, 0));
+  const actualTotal = round2(categories.reduce((sum, row) => sum + row.actual_zar, 0));
+  const varianceTotal = round2(actualTotal - estimateTotal);
+
+  return {
+    has_actuals: invoiceLines.length > 0,
+    tolerance_pct: options.tolerancePct ?? RECONCILIATION_DEFAULTS.TOLERANCE_PERCENT,
+    min_variance_zar: options.minVarianceZar ?? RECONCILIATION_DEFAULTS.MIN_VARIANCE_ZAR,
+    categories,
+    totals: {
+      estimate_zar: estimateTotal,
+      actual_zar: actualTotal,
+      variance_zar: varianceTotal,
+      variance_pct: estimateTotal !== 0 ? round2((varianceTotal / estimateTotal) * 100) : null,
+      flag: invoiceLines.length > 0 ? getVarianceFlag(estimateTotal, actualTotal, options) : 'ok',
+      flagged_count: categories.filter(row => ['over', 'under', 'unbudgeted'].includes(row.flag)).length,
+    },
+  };
+};
+
+export default {
+  RECONCILIATION_DEFAULTS,
+  RECONCILIATION_CATEGORIES,
+  categorizeInvoiceLine,
+  getInvoiceLineAmountZar,
+  getVarianceFlag,
+  reconcileEstimate,
+};
@@ -0,0 +1,171 @@
+/**
+ * Type declarations for the shared costing engine (costingCalculations.js),
+ * so the TypeScript server can import the same module as the React app.
+ */
+
+type CostingInput = Record<string, any>;
+
+export interface CostingTotals {
+  total_gross_weight_kg: number;
+  customs_value_zar: number;
+  ocean_freight_zar: number;
+  total_ocean_freight_zar: number;
+  origin_charge_zar: number;
+  total_origin_charges_zar: number;
+  local_charges_subtotal_zar: number;
+  destination_charges_subtotal_zar: number;
+  warehouse_handling_fee_zar: number;
+  warehouse_storage_fee_zar: number;
+  warehouse_charges_subtotal_zar: number;
+  last_mile_charges_subtotal_zar: number;
+  export_charges_subtotal_zar: number;
+  import_vat_zar: number;
+  total_duties_zar: number;
+  agency_fee_zar: number;
+  customs_subtotal_zar: number;
+  total_shipping_cost_zar: number;
+  total_in_warehouse_cost_zar: number;
+  total_landed_cost_zar: number;
+  all_in_warehouse_cost_per_kg_zar: number;
+  overhead_cost_per_kg_zar: number;
+  volumetric_weight_kg: number;
+  chargeable_weight_kg: number;
+  airfreight_total_usd: number;
+  airfreight_total_zar: number;
+  fuel_surcharge_total_zar: number;
+  security_surcharge_total_zar: number;
+  airfreight_origin_charges_zar: number;
+  air_local_charges_subtotal_zar: number;
+  airfreight_insurance_zar: number;
+  total_airfreight_cost_zar: number;
+  // Display-only fields are prefixed with "_" and are never persisted
+  [displayField: `_${string}`]: any;
+}
+
+export interface CustomsItemsTotals {
+  totalCustomsValue: number;
+  totalDuties: number;
+  totalSchedule1Duty: number;
+  totalVat: number;
+}
+
+export const COSTING_DEFAULTS: {
+  DAVIF_PERCENT: number;
+  DAVIF_MINIMUM_ZAR: number;
+  AGENCY_FEE_PERCENT: number;
+  AGENCY_FEE_MINIMUM_ZAR: number;
+  VAT_RATE: number;
+};
+export const PRODUCT_CURRENCIES: string[];
+
+export function getRoeForCurrency(data: CostingInput, currency?: string): number;
+export function calculateDAVIF(customsValue: number): number;
+export function calculateOriginChargeZAR(originChargeUSD: number, roeOrigin: number): number;
+export function calculateEurChargeZAR(originChargeEur: number, roeEur: number): number;
+export function calculateLocalChargesSubtotal(data: CostingInput): number;
+export function calculateWarehouseCharges(data: CostingInput, weightKg?: number): Record<string, number>;
+export function calculateDestinationSubtotal(data: CostingInput): number;
+export function calculateAgencyFee(dutiesAndVat: number, percentage?: number, min?: number): number;
+export function calculateCustomsItemsTotals(data: CostingInput): CustomsItemsTotals;
+export function calculateCustomsSubtotal(data: CostingInput, agencyFee: number): number;
+export function calculateCustomsValue(data: CostingInput): number;
+export function calculateAirfreightChargesSubtotal(data: CostingInput): number;
+export function calculateVolumetricWeight(data: CostingInput): number;
+export function calculateChargeableWeight(data: CostingInput): number;
+export function calculateLastMileCharge(data: CostingInput, fallbackWeightKg?: number, asOfDate?: string): Record<string, any>;
+export function calculateLastMileCharges(data: CostingInput, fallbackWeightKg?: number): { subtotal_zar: number; lines: any[] };
+export function calculateAllTotals(data: CostingInput): CostingTotals;
+
+export interface ProductTotals {
+  totalWeight: number;
+  totalCustomsValue: number;
+  totalDuties: number;
+}
+
+export interface ProductLandedCost {
+  product_name: string;
+  hs_code: string | null;
+  pack_size: string | null;
+  pack_type: string | null;
+  currency: string;
+  weight_kg: number;
+  units: number | null;
+  customs_value_zar: number;
+  duties_zar: number;
+  allocated_shipping_zar: number;
+  total_landed_zar: number;
+  landed_cost_per_kg_zar: number;
+  landed_cost_per_unit_zar: number | null;
+}
+
+export function calculateProductTotals(estimate: CostingInput): ProductTotals;
+export function calculateProductCostBreakdown(
+  product: Record<string, any>,
+  estimate: CostingInput,
+  totals: CostingTotals,
+  productTotals: ProductTotals
+): Record<string, any>;
+export function parsePackSizeKg(packSize: string | null | undefined): number | null;
+export function calculateProductLandedCosts(estimate: CostingInput, totals?: CostingTotals): ProductLandedCost[];
+export function formatCurrency(value: number, currency?: string): string;
+export function formatNumber(value: number, decimals?: number): string;
+export function lookupOceanFreightRate(portOfLoading: string, shippingLine: string, containerType: string, asOfDate?: string): any;
+
+export interface RateTableRows {
+  oceanFreight: Record<string, any>[];
+  lastMile: Record<string, any>[];
+  options: Record<string, any>[];
+}
+
+export interface RateTables {
+  oceanFreight: Record<string, Record<string, Record<string, number>>>;
+  containerRateKeys: Record<string, string>;
+  lastMile: Record<string, any[]>;
+  containerTypes: { value: string; label: string }[];
+  shippingLines: { value: string; label: string }[];
+  portsOfLoading: { value: string; label: string }[];
+  portsOfDischarge: { value: string; label: string }[];
+}
+
+export function setRateTables(rows: RateTableRows | null): void;
+export function getRateTablesAsOf(asOfDate?: string): RateTables;
+
+export interface TariffCatalogueEntry {
+  hs_code: string;
+  duty_percent: number | string | null;
+  schedule1_percent: number | string | null;
+  vat_treatment: 'standard' | 'exempt';
+  preferential_rates: Record<string, number | string | null> | null;
+  [key: string]: any;
+}
+
+export interface TariffCatalogue {
+  tariffs: TariffCatalogueEntry[];
+  productDefaults?: { product_name: string; hs_code: string }[];
+}
+
+export interface CatalogueDutyRates {
+  tariff: TariffCatalogueEntry;
+  dutyPercent: number | null;
+  schedule1Percent: number | null;
+  vatRate: number;
+  tradeAgreement: string | null;
+}
+
+export interface ProductDutyRates {
+  dutyPercent: number;
+  schedule1Percent: number;
+  vatRate: number;
+  source: 'tariff' | 'preferential' | 'override' | 'manual';
+  catalogue: CatalogueDutyRates | null;
+}
+
+export function setTariffCatalogue(catalogue: TariffCatalogue | null): void;
+export function lookupTariff(hsCode: string | null | undefined): TariffCatalogueEntry | null;
+export function getDefaultHsCode(productName: string | null | undefined, supplier?: Record<string, any> | null): string;
+export function getCatalogueDutyRates(data: CostingInput, item: Record<string, any>): CatalogueDutyRates | null;
+export function getProductDutyRates(data: CostingInput, item: Record<string, any>): ProductDutyRates;
+export function applyTariffRates(data: CostingInput): Record<string, any>[];
+
+declare const costingCalculations: Record<string, any>;
+export default costingCalculations;
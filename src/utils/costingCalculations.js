@@ -1,7 +1,12 @@
 /**
  * Costing Calculations Utility
- * Frontend calculations for import cost estimates
+ * Landed-cost calculations for import/export cost estimates.
+ *
+ * Isomorphic: imported by the React app, the PDF generator and the server
+ * (CostingController recomputes and persists totals with it), so every
+ * consumer produces identical figures. Keep it free of browser/Node-only APIs.
  */
+import { normalizeHsCode } from './tariffCatalogue.js';
 
 /**
  * Default constants for costing calculations.
@@ -95,10 +100,10 @@ export const LAST_MILE_RATES = {
   ],
 };
 
-export const getLastMileRouteOptions = (serviceType) => LAST_MILE_RATES[serviceType] || [];
+export const getLastMileRouteOptions = (serviceType, asOfDate) => getRateTablesAsOf(asOfDate).lastMile[serviceType] || [];
 
-export const getLastMileRate = (serviceType, routeKey) => {
-  return getLastMileRouteOptions(serviceType).find(route => route.value === routeKey) || null;
+export const getLastMileRate = (serviceType, routeKey, asOfDate) => {
+  return getLastMileRouteOptions(serviceType, asOfDate).find(route => route.value === routeKey) || null;
 };
 
 const getLastMileRateForWeight = (route, weightKg) => {
@@ -108,10 +113,10 @@ const getLastMileRateForWeight = (route, weightKg) => {
   return route.rate || 0;
 };
 
-export const calculateLastMileCharge = (data, fallbackWeightKg = 0) => {
+export const calculateLastMileCharge = (data, fallbackWeightKg = 0, asOfDate = data.costing_date) => {
   const serviceType = data.service_type || data.last_mile_service_type || '';
   const routeKey = data.route || data.last_mile_route;
-  const route = getLastMileRate(serviceType, routeKey);
+  const route = getLastMileRate(serviceType, routeKey, asOfDate);
   const enteredWeight = parseFloat(data.weight_kg ?? data.last_mile_weight_kg) || 0;
   const weightKg = enteredWeight > 0 ? enteredWeight : fallbackWeightKg;
   const manualCharge = parseFloat(data.manual_charge_zar ?? data.last_mile_manual_charge_zar) || 0;
@@ -167,7 +172,7 @@ export const getLastMileChargeItems = (data) => {
 export const calculateLastMileCharges = (data, fallbackWeightKg = 0) => {
   const lines = getLastMileChargeItems(data).map(item => ({
     ...item,
-    calculated: calculateLastMileCharge(item, fallbackWeightKg),
+    calculated: calculateLastMileCharge(item, fallbackWeightKg, data.costing_date),
   }));
   const subtotal_zar = lines.reduce((sum, line) => sum + (line.calculated.subtotal_zar || 0), 0);
   return { lines, subtotal_zar };
@@ -267,12 +272,29 @@ export const calculateAgencyFee = (dutiesAndVat, percentage = COSTING_DEFAULTS.A
 };
 
 /**
- * Calculate customs totals from products
+ * Invoice currencies supported on product lines
+ */
+export const PRODUCT_CURRENCIES = ['USD', 'EUR', 'GBP', 'CNY', 'INR', 'ZAR'];
+
+/**
+ * Rate of exchange (currency → ZAR) to use for a product line.
+ * USD and EUR use the dedicated ROE fields; other currencies come from roe_rates.
+ */
+export const getRoeForCurrency = (data, currency = 'USD') => {
+  const roeCustoms = parseFloat(data.roe_customs) || parseFloat(data.roe_origin) || 0;
+  if (currency === 'ZAR') return 1;
+  if (currency === 'USD') return roeCustoms;
+  if (currency === 'EUR') return parseFloat(data.roe_eur) || roeCustoms;
+  return parseFloat(data.roe_rates?.[currency]) || 0;
+};
+
+/**
+ * Calculate customs totals from products.
+ * Duty rates come from the HS tariff catalogue where the line's HS code is
+ * catalogued and not overridden (see getProductDutyRates).
  */
 export const calculateCustomsItemsTotals = (data) => {
   const items = data.products || data.customs_items || [];
-  const roeCustoms = parseFloat(data.roe_customs) || parseFloat(data.roe_origin) || 0;
-  const roeEur = parseFloat(data.roe_eur) || roeCustoms;
 
   let totalCustomsValue = 0;
   let totalDuties = 0;
@@ -281,19 +303,14 @@ export const calculateCustomsItemsTotals = (data) => {
 
   items.forEach(item => {
     const invoiceValue = parseFloat(item.invoice_value) || 0;
-    const dutyPercent = parseFloat(item.duty_percent) || 0;
-    const dutySchedule1Percent = parseFloat(item.duty_schedule1_percent) || 0;
+    const { dutyPercent, schedule1Percent, vatRate } = getProductDutyRates(data, item);
     const currency = item.currency || 'USD';
 
     // Convert to ZAR based on currency
-    let roe = roeCustoms;
-    if (currency === 'EUR') roe = roeEur;
-    if (currency === 'ZAR') roe = 1;
-
-    const customsValue = invoiceValue * roe;
+    const customsValue = invoiceValue * getRoeForCurrency(data, currency);
     const duties = customsValue * (dutyPercent / 100);
-    const schedule1Duty = customsValue * (dutySchedule1Percent / 100);
-    const vat = (customsValue + duties + schedule1Duty) * COSTING_DEFAULTS.VAT_RATE;
+    const schedule1Duty = customsValue * (schedule1Percent / 100);
+    const vat = (customsValue + duties + schedule1Duty) * vatRate;
 
     totalCustomsValue += customsValue;
     totalDuties += duties;
@@ -568,6 +585,7 @@ export const calculateAllTotals = (data) => {
 
   return {
     // Database columns (will be saved)
+    total_gross_weight_kg: r(totalGrossWeightKg),
     customs_value_zar: r(customsValueZar),
     ocean_freight_zar: r(totalOceanFreightZar),
     total_ocean_freight_zar: r(totalOceanFreightZar),
@@ -618,6 +636,117 @@ export const calculateAllTotals = (data) => {
   };
 };
 
+/**
+ * Weight, customs value and duties summed over an estimate's products
+ */
+export const calculateProductTotals = (estimate) => {
+  const products = estimate.products || [];
+  let totalWeight = 0;
+  let totalCustomsValue = 0;
+  let totalDuties = 0;
+
+  products.forEach(p => {
+    const weight = parseFloat(p.weight_kg) || 0;
+    const invoiceValue = parseFloat(p.invoice_value) || 0;
+    const { dutyPercent, schedule1Percent } = getProductDutyRates(estimate, p);
+    const currency = p.currency || 'USD';
+
+    const customsValue = invoiceValue * getRoeForCurrency(estimate, currency);
+    const duties = customsValue * ((dutyPercent + schedule1Percent) / 100);
+
+    totalWeight += weight;
+    totalCustomsValue += customsValue;
+    totalDuties += duties;
+  });
+
+  return { totalWeight, totalCustomsValue, totalDuties };
+};
+
+/**
+ * Full landed cost of one product: its customs value and duties plus the
+ * shipping cost allocated by weight. For CIF/CIP/CFR only local and
+ * destination charges are allocated, as freight is already in the price.
+ * Last mile is excluded because it is charged per delivery, not per product.
+ */
+export const calculateProductCostBreakdown = (product, estimate, totals, productTotals) => {
+  const weight = parseFloat(product.weight_kg) || 0;
+  const invoiceValue = parseFloat(product.invoice_value) || 0;
+  const { dutyPercent, schedule1Percent } = getProductDutyRates(estimate, product);
+  const currency = product.currency || 'USD';
+
+  const customsValue = invoiceValue * getRoeForCurrency(estimate, currency);
+  const importDuty = customsValue * (dutyPercent / 100);
+  const schedule1Duty = customsValue * (schedule1Percent / 100);
+  const totalDuties = importDuty + schedule1Duty;
+  const weightRatio = productTotals.totalWeight > 0 ? weight / productTotals.totalWeight : 0;
+
+  const incoTerms = (estimate.inco_terms || '').toUpperCase();
+  const freightIncluded = ['CIF', 'CIP', 'CFR'].includes(incoTerms);
+  let shippingToAllocate;
+  if ((estimate.transport_mode || 'sea') === 'air') {
+    shippingToAllocate = freightIncluded
+      ? (totals.air_local_charges_subtotal_zar || 0) + (totals.warehouse_charges_subtotal_zar || 0) + (totals.airfreight_insurance_zar || 0)
+      : Math.max((totals.total_shipping_cost_zar || 0) - (totals.last_mile_charges_subtotal_zar || 0), 0);
+  } else if (freightIncluded) {
+    shippingToAllocate = (totals.local_charges_subtotal_zar || 0) + (totals.destination_charges_subtotal_zar || 0);
+  } else {
+    shippingToAllocate = Math.max((totals.total_shipping_cost_zar || 0) - (totals.last_mile_charges_subtotal_zar || 0), 0);
+  }
+  const allocatedShipping = shippingToAllocate * weightRatio;
+  const transportCostPerKg = weight > 0 ? allocatedShipping / weight : 0;
+  const totalLanded = customsValue + totalDuties + allocatedShipping;
+  const costPerKg = weight > 0 ? totalLanded / weight : 0;
+
+  return { weight, weightRatio, invoiceValue, currency, customsValue, importDuty, schedule1Duty, totalDuties, allocatedShipping, transportCostPerKg, totalLanded, costPerKg };
+};
+
+/**
+ * Net weight in kg of one pack from a free-text pack size ("25kg", "500 g",
+ * "1 MT"); a bare number is taken as kg. Returns null when it can't be read.
+ */
+export const parsePackSizeKg = (packSize) => {
+  const match = String(packSize || '').trim().match(/^(\d+(?:[.,]\d+)?)\s*(?:(kg|kgs|g|gr|t|ton|tons|mt)\b|$)/i);
+  if (!match) return null;
+  const value = parseFloat(match[1].replace(',', '.'));
+  if (!value) return null;
+  const unit = (match[2] || 'kg').toLowerCase();
+  if (unit === 'g' || unit === 'gr') return value / 1000;
+  if (unit === 't' || unit === 'ton' || unit === 'tons' || unit === 'mt') return value * 1000;
+  return value;
+};
+
+/**
+ * Landed cost per kg and per pack for each product in an estimate — the rows
+ * persisted for product and supplier landed-cost analytics
+ */
+export const calculateProductLandedCosts = (estimate, totals = calculateAllTotals(estimate)) => {
+  const productTotals = calculateProductTotals(estimate);
+  const r = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+  return (estimate.products || [])
+    .filter(p => p.name && (parseFloat(p.weight_kg) || 0) > 0)
+    .map(p => {
+      const breakdown = calculateProductCostBreakdown(p, estimate, totals, productTotals);
+      const packKg = parsePackSizeKg(p.pack_size);
+      const units = packKg ? breakdown.weight / packKg : null;
+      return {
+        product_name: p.name.trim(),
+        hs_code: p.hs_code || null,
+        pack_size: p.pack_size || null,
+        pack_type: p.pack_type || null,
+        currency: breakdown.currency,
+        weight_kg: r(breakdown.weight, 3),
+        units: units !== null ? r(units, 3) : null,
+        customs_value_zar: r(breakdown.customsValue),
+        duties_zar: r(breakdown.totalDuties),
+        allocated_shipping_zar: r(breakdown.allocatedShipping),
+        total_landed_zar: r(breakdown.totalLanded),
+        landed_cost_per_kg_zar: r(breakdown.costPerKg, 4),
+        landed_cost_per_unit_zar: units ? r(breakdown.totalLanded / units, 4) : null,
+      };
+    });
+};
+
 /**
  * Format currency for display
  */
@@ -693,7 +822,7 @@ export const SHIPPING_LINES = [
 /**
  * Container type mapping for rate lookup
  */
-const CONTAINER_RATE_KEY = {
+export const CONTAINER_RATE_KEY = {
   "20' Dry Container": '20GP',
   "40' Dry Container": '40GP',
   "40' High Cube": '40HC',
@@ -750,13 +879,15 @@ export const OCEAN_FREIGHT_RATES = {
 };
 
 /**
- * Look up ocean freight rate based on port, shipping line, and container type.
+ * Look up ocean freight rate based on port, shipping line, and container type,
+ * using the rates in effect on asOfDate (defaults to today).
  * Returns the rate in USD, or null if no matching rate found.
  */
-export function lookupOceanFreightRate(portOfLoading, shippingLine, containerType) {
-  const sizeKey = CONTAINER_RATE_KEY[containerType];
+export function lookupOceanFreightRate(portOfLoading, shippingLine, containerType, asOfDate) {
+  const tables = getRateTablesAsOf(asOfDate);
+  const sizeKey = tables.containerRateKeys[containerType];
   if (!sizeKey) return null;
-  const rate = OCEAN_FREIGHT_RATES[portOfLoading]?.[shippingLine]?.[sizeKey];
+  const rate = tables.oceanFreight[portOfLoading]?.[shippingLine]?.[sizeKey];
   return rate !== undefined ? rate : null;
 }
 
@@ -1157,8 +1288,229 @@ export const AIRLINES = [
   { value: 'Other', label: 'Other' },
 ];
 
+/**
+ * Versioned rate tables
+ * Ocean freight, last-mile rates and option lists are maintained in the database
+ * (/api/rate-tables) with effective-from/effective-to dates. Once loaded with
+ * setRateTables() they replace the constants above, resolved for a given date
+ * (an estimate's costing_date), so old estimates keep the rates they were costed on.
+ */
+let rateTableRows = null;
+let rateTablesByDate = new Map(); // least recently used first
+
+// Costing dates come from every estimate ever opened; keep only the most used
+const MAX_CACHED_RATE_DATES = 32;
+
+export const setRateTables = (rows) => {
+  rateTableRows = rows || null;
+  rateTablesByDate = new Map();
+};
+
+const toDay = (date) => {
+  if (!date) return new Date().toISOString().slice(0, 10);
+  return (date instanceof Date ? date.toISOString() : String(date)).slice(0, 10);
+};
+
+const isEffectiveOn = (row, day) =>
+  toDay(row.effective_from) <= day && (!row.effective_to || toDay(row.effective_to) >= day);
+
+// Rows valid on the day; where versions overlap, the latest effective_from wins per key
+const rowsEffectiveOn = (rows, day, keyOf) => {
+  const byKey = new Map();
+  (rows || []).filter(row => isEffectiveOn(row, day)).forEach(row => {
+    const current = byKey.get(keyOf(row));
+    if (!current || toDay(row.effective_from) > toDay(current.effective_from)) {
+      byKey.set(keyOf(row), row);
+    }
+  });
+  return [...byKey.values()];
+};
+
+const DEFAULT_RATE_TABLES = {
+  oceanFreight: OCEAN_FREIGHT_RATES,
+  containerRateKeys: CONTAINER_RATE_KEY,
+  lastMile: LAST_MILE_RATES,
+  containerTypes: CONTAINER_TYPES,
+  shippingLines: SHIPPING_LINES,
+  portsOfLoading: PORTS_OF_LOADING,
+  portsOfDischarge: AFRICAN_PORTS,
+};
+
+/**
+ * Rate tables in effect on a date, in the same shapes as the constants above
+ */
+export const getRateTablesAsOf = (asOfDate) => {
+  if (!rateTableRows) return DEFAULT_RATE_TABLES;
+  const day = toDay(asOfDate);
+  if (rateTablesByDate.has(day)) {
+    const cached = rateTablesByDate.get(day);
+    rateTablesByDate.delete(day);
+    rateTablesByDate.set(day, cached);
+    return cached;
+  }
+
+  const oceanFreight = {};
+  rowsEffectiveOn(rateTableRows.oceanFreight, day, r => `${r.port_of_loading}|${r.shipping_line}|${r.container_size}`)
+    .forEach(r => {
+      const byLine = oceanFreight[r.port_of_loading] || (oceanFreight[r.port_of_loading] = {});
+      const bySize = byLine[r.shipping_line] || (byLine[r.shipping_line] = {});
+      bySize[r.container_size] = parseFloat(r.rate_usd) || 0;
+    });
+
+  const lastMile = {};
+  rowsEffectiveOn(rateTableRows.lastMile, day, r => `${r.service_type}|${r.route_key}`)
+    .forEach(r => {
+      const route = { value: r.route_key, label: r.label, minimum: parseFloat(r.minimum_zar) || 0, rate: parseFloat(r.rate_per_kg) || 0 };
+      if (r.rate_900 !== null && r.rate_900 !== undefined) route.rate900 = parseFloat(r.rate_900);
+      if (r.rate_3000 !== null && r.rate_3000 !== undefined) route.rate3000 = parseFloat(r.rate_3000);
+      if (r.is_flat) route.flat = true;
+      (lastMile[r.service_type] || (lastMile[r.service_type] = [])).push(route);
+    });
+
+  const options = (type) => rowsEffectiveOn(
+    (rateTableRows.options || []).filter(o => o.option_type === type), day, o => o.value
+  ).map(o => ({ value: o.value, label: o.label || o.value, ...(o.rate_key ? { rateKey: o.rate_key } : {}) }));
+  const containerTypes = options('container_type');
+
+  const tables = {
+    oceanFreight,
+    containerRateKeys: Object.fromEntries(containerTypes.filter(c => c.rateKey).map(c => [c.value, c.rateKey])),
+    lastMile,
+    containerTypes,
+    shippingLines: options('shipping_line'),
+    portsOfLoading: options('port_of_loading'),
+    portsOfDischarge: options('port_of_discharge'),
+  };
+  rateTablesByDate.set(day, tables);
+  if (rateTablesByDate.size > MAX_CACHED_RATE_DATES) {
+    rateTablesByDate.delete(rateTablesByDate.keys().next().value);
+  }
+  return tables;
+};
+
+/**
+ * HS tariff catalogue
+ * Duty rates, VAT treatment and trade-agreement preferential rates per HS code
+ * are maintained in the database (/api/tariffs). Once loaded with
+ * setTariffCatalogue() a product's duty comes from its HS code — at the
+ * preferential rate when the estimate's trade_agreement has one — unless the
+ * line sets duty_override, in which case its own duty_percent and
+ * duty_schedule1_percent are used. Lines whose HS code isn't catalogued (or
+ * has only a specific rate such as c/kg) keep the rates entered by hand.
+ * Export estimates are never charged SA import duty from the catalogue.
+ */
+let tariffsByCode = null;
+let productHsDefaults = new Map();
+
+export const setTariffCatalogue = (catalogue) => {
+  tariffsByCode = catalogue?.tariffs
+    ? new Map(catalogue.tariffs.map(t => [normalizeHsCode(t.hs_code), t]))
+    : null;
+  productHsDefaults = new Map((catalogue?.productDefaults || [])
+    .map(d => [String(d.product_name).trim().toLowerCase(), d.hs_code]));
+};
+
+/**
+ * Catalogue entry for an HS code. Codes longer than the catalogued ones
+ * ("0306.17.10.05") fall back to the nearest catalogued parent.
+ */
+export const lookupTariff = (hsCode) => {
+  if (!tariffsByCode) return null;
+  let code = normalizeHsCode(hsCode);
+  while (code.length >= 4) {
+    const tariff = tariffsByCode.get(code);
+    if (tariff) return tariff;
+    code = code.slice(0, -2);
+  }
+  return null;
+};
+
+/**
+ * Default HS code for a new product line: the product's own default, else the supplier's
+ */
+export const getDefaultHsCode = (productName, supplier) =>
+  productHsDefaults.get(String(productName || '').trim().toLowerCase())
+  || supplier?.default_hs_code
+  || supplier?.defaultHsCode
+  || '';
+
+/**
+ * Duty rates the catalogue prescribes for a product line, or null when its HS
+ * code isn't catalogued. dutyPercent is null for specific (non ad valorem) rates.
+ */
+export const getCatalogueDutyRates = (data, item) => {
+  if (data.direction === 'export') return null;
+  const tariff = lookupTariff(item.hs_code);
+  if (!tariff) return null;
+
+  const preferential = data.trade_agreement ? tariff.preferential_rates?.[data.trade_agreement] : undefined;
+  const hasPreferential = preferential !== undefined && preferential !== null && preferential !== '';
+  const general = tariff.duty_percent === null || tariff.duty_percent === undefined ? null : parseFloat(tariff.duty_percent);
+
+  return {
+    tariff,
+    dutyPercent: hasPreferential ? parseFloat(preferential) : general,
+    schedule1Percent: tariff.schedule1_percent === null || tariff.schedule1_percent === undefined
+      ? null
+      : parseFloat(tariff.schedule1_percent),
+    vatRate: tariff.vat_treatment === 'exempt' ? 0 : COSTING_DEFAULTS.VAT_RATE,
+    tradeAgreement: hasPreferential ? data.trade_agreement : null,
+  };
+};
+
+/**
+ * Duty and VAT rates applied to a product line, and where they came from:
+ * 'tariff' / 'preferential' (catalogue), 'override' (catalogued but overridden
+ * on the line) or 'manual' (not catalogued, or a specific rate)
+ */
+export const getProductDutyRates = (data, item) => {
+  const manualDuty = parseFloat(item.duty_percent) || 0;
+  const manualSchedule1 = parseFloat(item.duty_schedule1_percent) || 0;
+  const catalogue = getCatalogueDutyRates(data, item);
+
+  if (!catalogue) {
+    return { dutyPercent: manualDuty, schedule1Percent: manualSchedule1, vatRate: COSTING_DEFAULTS.VAT_RATE, source: 'manual', catalogue };
+  }
+  if (item.duty_override || catalogue.dutyPercent === null) {
+    return {
+      dutyPercent: manualDuty,
+      schedule1Percent: manualSchedule1,
+      vatRate: catalogue.vatRate,
+      source: item.duty_override ? 'override' : 'manual',
+      catalogue,
+    };
+  }
+  return {
+    dutyPercent: catalogue.dutyPercent,
+    schedule1Percent: catalogue.schedule1Percent ?? manualSchedule1,
+    vatRate: catalogue.vatRate,
+    source: catalogue.tradeAgreement ? 'preferential' : 'tariff',
+    catalogue,
+  };
+};
+
+/**
+ * Products with the catalogue duty rates written onto every line that isn't
+ * overridden, so a saved estimate records the rates it was costed at
+ */
+export const applyTariffRates = (data) => (data.products || []).map(product => {
+  const rates = getProductDutyRates(data, product);
+  if (rates.source !== 'tariff' && rates.source !== 'preferential') return product;
+  return { ...product, duty_percent: rates.dutyPercent, duty_schedule1_percent: rates.schedule1Percent };
+});
+
 export default {
   COSTING_DEFAULTS,
+  setRateTables,
+  getRateTablesAsOf,
+  setTariffCatalogue,
+  lookupTariff,
+  getDefaultHsCode,
+  getCatalogueDutyRates,
+  getProductDutyRates,
+  applyTariffRates,
+  PRODUCT_CURRENCIES,
+  getRoeForCurrency,
   calculateDAVIF,
   calculateOriginChargeZAR,
   calculateLocalChargesSubtotal,
@@ -1172,6 +1524,10 @@ export default {
   calculateAgencyFee,
   calculateCustomsSubtotal,
   calculateAllTotals,
+  calculateProductTotals,
+  calculateProductCostBreakdown,
+  calculateProductLandedCosts,
+  parsePackSizeKg,
   formatCurrency,
   formatNumber,
   CONTAINER_TYPES,
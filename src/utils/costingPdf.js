@@ -4,7 +4,7 @@
  */
 import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
-import { calculateAllTotals, formatCurrency, formatNumber, LAST_MILE_SERVICE_TYPES, getLastMileRate } from './costingCalculations';
+import { calculateAllTotals, calculateProductTotals, calculateProductCostBreakdown, formatCurrency, formatNumber, LAST_MILE_SERVICE_TYPES } from './costingCalculations';
 
 // === Design tokens (shared across the PDF) ==============================
 // Single palette so every section feels of-a-piece. Section identity is
@@ -180,37 +180,6 @@ const formatPercentChange = (value) => {
   return `${sign}${value.toFixed(1)}%`;
 };
 
-// Shared helper: calculate product weight/customs/duties totals
-const getProductTotals = (estimate) => {
-  const products = estimate.products || [];
-  const roeCustoms = parseFloat(estimate.roe_customs) || parseFloat(estimate.roe_origin) || 0;
-  const roeEur = parseFloat(estimate.roe_eur) || roeCustoms;
-  let totalWeight = 0;
-  let totalCustomsValue = 0;
-  let totalDuties = 0;
-
-  products.forEach(p => {
-    const weight = parseFloat(p.weight_kg) || 0;
-    const invoiceValue = parseFloat(p.invoice_value) || 0;
-    const dutyPercent = parseFloat(p.duty_percent) || 0;
-    const dutySchedule1Percent = parseFloat(p.duty_schedule1_percent) || 0;
-    const currency = p.currency || 'USD';
-
-    let roe = roeCustoms;
-    if (currency === 'EUR') roe = roeEur;
-    if (currency === 'ZAR') roe = 1;
-
-    const customsValue = invoiceValue * roe;
-    const duties = customsValue * ((dutyPercent + dutySchedule1Percent) / 100);
-
-    totalWeight += weight;
-    totalCustomsValue += customsValue;
-    totalDuties += duties;
-  });
-
-  return { totalWeight, totalCustomsValue, totalDuties };
-};
-
 const buildLastMileRows = (totals) => {
   const visibleLines = (totals._last_mile_charge_lines || []).filter(line =>
     (line?.calculated?.subtotal_zar || 0) > 0
@@ -218,7 +187,8 @@ const buildLastMileRows = (totals) => {
 
   const rows = visibleLines.map((line, index) => {
     const service = LAST_MILE_SERVICE_TYPES.find(s => s.value === line.service_type)?.label || line.service_type || '-';
-    const route = getLastMileRate(line.service_type, line.route)?.label || line.route || '-';
+    // The calculated route is the rate in effect on the estimate's costing date
+    const route = line.calculated?.route?.label || line.route || '-';
     const calculated = line.calculated || {};
     const weight = calculated.weight_kg || 0;
     const fuel = calculated.fuel_levy_zar || 0;
@@ -395,47 +365,6 @@ const buildFinalChargeRows = (landsideRows, customsRows) => {
   return cleanZeroCurrencyRows(rows);
 };
 
-// Calculate per-product full cost breakdown (matches ImportCosting calculateProductAllocation)
-const getProductCostBreakdown = (product, estimate, totals, productTotals) => {
-  const roeCustoms = parseFloat(estimate.roe_customs) || parseFloat(estimate.roe_origin) || 0;
-  const roeEur = parseFloat(estimate.roe_eur) || roeCustoms;
-  const weight = parseFloat(product.weight_kg) || 0;
-  const invoiceValue = parseFloat(product.invoice_value) || 0;
-  const dutyPercent = parseFloat(product.duty_percent) || 0;
-  const dutySchedule1Percent = parseFloat(product.duty_schedule1_percent) || 0;
-  const currency = product.currency || 'USD';
-
-  let roe = roeCustoms;
-  if (currency === 'EUR') roe = roeEur;
-  if (currency === 'ZAR') roe = 1;
-
-  const customsValue = invoiceValue * roe;
-  const importDuty = customsValue * (dutyPercent / 100);
-  const schedule1Duty = customsValue * (dutySchedule1Percent / 100);
-  const totalDuties = importDuty + schedule1Duty;
-  const weightRatio = productTotals.totalWeight > 0 ? weight / productTotals.totalWeight : 0;
-
-  // For CIF/CIP/CFR, only allocate local + destination charges
-  const incoTerms = (estimate.inco_terms || '').toUpperCase();
-  const freightIncluded = ['CIF', 'CIP', 'CFR'].includes(incoTerms);
-  let shippingToAllocate;
-  if ((estimate.transport_mode || 'sea') === 'air') {
-    shippingToAllocate = freightIncluded
-      ? (totals.air_local_charges_subtotal_zar || 0) + (totals.warehouse_charges_subtotal_zar || 0) + (totals.airfreight_insurance_zar || 0)
-      : Math.max((totals.total_shipping_cost_zar || 0) - (totals.last_mile_charges_subtotal_zar || 0), 0);
-  } else if (freightIncluded) {
-    shippingToAllocate = (totals.local_charges_subtotal_zar || 0) + (totals.destination_charges_subtotal_zar || 0);
-  } else {
-    shippingToAllocate = Math.max((totals.total_shipping_cost_zar || 0) - (totals.last_mile_charges_subtotal_zar || 0), 0);
-  }
-  const allocatedShipping = shippingToAllocate * weightRatio;
-  const transportCostPerKg = weight > 0 ? allocatedShipping / weight : 0;
-  const totalLanded = customsValue + totalDuties + allocatedShipping;
-  const costPerKg = weight > 0 ? totalLanded / weight : 0;
-
-  return { weight, weightRatio, invoiceValue, currency, customsValue, importDuty, schedule1Duty, totalDuties, allocatedShipping, transportCostPerKg, totalLanded, costPerKg };
-};
-
 // Draw a section divider with accent bar and tracked label.
 // Editorial feel: bar in the section's accent color, label in the same
 // hue with light letter-spacing so it reads as a "title" rather than just
@@ -521,8 +450,10 @@ const buildEstimateHeader = (doc, estimate, productTotals, totals) => {
   doc.text(infoText, 10, 22);
 
   // === ROE INFO BOX (right-aligned, below info strip) ===
+  // Other currencies (GBP, CNY, ...) add a row per two pairs
+  const otherRoes = Object.entries(estimate.roe_rates || {}).filter(([, rate]) => parseFloat(rate) > 0);
   const roeBoxW = 62;
-  const roeBoxH = 16;
+  const roeBoxH = 16 + Math.ceil(otherRoes.length / 2) * 4;
   const roeBoxX = pageWidth - roeBoxW - 10;
   const roeBoxY = 27;
 
@@ -541,9 +472,14 @@ const buildEstimateHeader = (doc, estimate, productTotals, totals) => {
   doc.text(`Date: ${formatDate(estimate.costing_date)}`, roeBoxX + 2, roeBoxY + 8.5);
   doc.text(`USD/ZAR: ${formatNumber(estimate.roe_origin || 0, 4)}`, roeBoxX + 2, roeBoxY + 12.5);
   doc.text(`EUR/ZAR: ${formatNumber(estimate.roe_eur || 0, 4)}`, roeBoxX + 32, roeBoxY + 12.5);
+  otherRoes.forEach(([currency, rate], i) => {
+    const x = roeBoxX + (i % 2 === 0 ? 2 : 32);
+    const y = roeBoxY + 16.5 + Math.floor(i / 2) * 4;
+    doc.text(`${currency}/ZAR: ${formatNumber(rate, 4)}`, x, y);
+  });
 
   // === SHIPMENT DETAILS TABLE ===
-  let startY = 46;
+  let startY = roeBoxY + roeBoxH + 3;
   startY = drawSectionDivider(doc, startY, 'Shipment Details', barColor);
 
   const shipmentRows = isAir
@@ -594,7 +530,7 @@ const buildEstimateHeader = (doc, estimate, productTotals, totals) => {
       let sumAllocatedShipping = 0, sumTotalLanded = 0;
 
       const allocationRows = products.reduce((rows, p) => {
-        const bd = getProductCostBreakdown(p, estimate, totals, productTotals);
+        const bd = calculateProductCostBreakdown(p, estimate, totals, productTotals);
         if ((bd.costPerKg || 0) <= 0) return rows;
 
         sumWeight += bd.weight;
@@ -716,7 +652,7 @@ const buildEstimateHeader = (doc, estimate, productTotals, totals) => {
 export function generateEstimatePDF(estimate) {
   const doc = new jsPDF();
   const totals = calculateAllTotals(estimate);
-  const productTotals = getProductTotals(estimate);
+  const productTotals = calculateProductTotals(estimate);
 
   buildEstimateHeader(doc, estimate, productTotals, totals);
 
@@ -1313,7 +1249,7 @@ export function generateEstimatePDF(estimate) {
 export function generateEstimatePDFBase64(estimate) {
   const doc = new jsPDF();
   const totals = calculateAllTotals(estimate);
-  const productTotals = getProductTotals(estimate);
+  const productTotals = calculateProductTotals(estimate);
 
   buildEstimateHeader(doc, estimate, productTotals, totals);
 
@@ -1770,3 +1706,160 @@ export async function generateReportPDF({ chartData, selectedProduct, selectedSu
   const fileProduct = productLabel.replace(/\s+/g, '-').toLowerCase();
   doc.save(`cost-report-${fileSupplier}-${fileProduct}-${new Date().toISOString().split('T')[0]}.pdf`);
 }
+
+const RECONCILIATION_FLAG_LABELS = {
+  ok: 'Within tolerance',
+  over: 'Over',
+  under: 'Under',
+  unbudgeted: 'Unbudgeted',
+  not_invoiced: 'Not invoiced',
+};
+
+const RECONCILIATION_FLAG_COLORS = {
+  over: [185, 28, 28],
+  unbudgeted: [185, 28, 28],
+  under: [161, 98, 7],
+  not_invoiced: [107, 114, 128],
+};
+
+/**
+ * Estimate vs. actual reconciliation report: a summary row per estimate
+ * followed by the category breakdown of each estimate with invoices.
+ *
+ * @param {object} report
+ *   estimates       - rows from GET /api/costing/reconciliation
+ *   tolerancePct    - tolerance the report was run with
+ *   minVarianceZar  - minimum ZAR variance the report was run with
+ */
+export function generateReconciliationPDF({ estimates, tolerancePct, minVarianceZar }) {
+  const doc = new jsPDF({ orientation: 'landscape' });
+  const pageWidth = doc.internal.pageSize.width;
+  const flagCellColor = (data, flagColumn, flags) => {
+    if (data.section !== 'body' || data.column.index !== flagColumn) return;
+    const color = RECONCILIATION_FLAG_COLORS[flags[data.row.index]];
+    if (color) {
+      data.cell.styles.textColor = color;
+      data.cell.styles.fontStyle = 'bold';
+    }
+  };
+
+  // Header
+  doc.setFillColor(THEME.panelDark[0], THEME.panelDark[1], THEME.panelDark[2]);
+  doc.rect(0, 0, pageWidth, 32, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFontSize(18);
+  doc.text('Landed Cost Reconciliation', 14, 14);
+  doc.setFontSize(9);
+  doc.text(`Tolerance: ±${tolerancePct}% and at least ${formatCurrency(minVarianceZar)}`, 14, 24);
+  doc.text(`Generated: ${formatDate(new Date().toISOString())}`, pageWidth - 60, 24);
+
+  const withActuals = estimates.filter(est => est.has_actuals);
+  const estimateTotal = withActuals.reduce((sum, est) => sum + est.totals.estimate_zar, 0);
+  const actualTotal = withActuals.reduce((sum, est) => sum + est.totals.actual_zar, 0);
+
+  autoTable(doc, {
+    startY: 40,
+    head: [['Metric', 'Value']],
+    body: [
+      ['Estimates linked to shipments', estimates.length.toString()],
+      ['Estimates with invoices', withActuals.length.toString()],
+      ['Estimates outside tolerance', withActuals.filter(est => est.totals.flagged_count > 0).length.toString()],
+      ['Estimated cost (invoiced shipments)', formatCurrency(estimateTotal)],
+      ['Actual cost', formatCurrency(actualTotal)],
+      ['Variance', `${formatCurrency(actualTotal - estimateTotal)} (${formatPercentChange(estimateTotal ? ((actualTotal - estimateTotal) / estimateTotal) * 100 : null)})`],
+    ],
+    theme: 'grid',
+    headStyles: { fillColor: THEME.panelDark },
+    styles: { fontSize: 9, textColor: THEME.bodyDark },
+    columnStyles: { 0: { fontStyle: 'bold' }, 1: { halign: 'right' } },
+    tableWidth: 120,
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 10,
+    head: [['Reference', 'Supplier', 'Order Ref', 'Costing Date', 'Estimate (ZAR)', 'Actual (ZAR)', 'Variance (ZAR)', 'Variance %', 'Flagged', 'Status']],
+    body: estimates.map(est => [
+      est.reference_number || est.estimateId.slice(0, 8),
+      est.supplier_name || '-',
+      est.order_ref || '-',
+      formatDate(est.costing_date),
+      formatCurrency(est.totals.estimate_zar),
+      est.has_actuals ? formatCurrency(est.totals.actual_zar) : '-',
+      est.has_actuals ? formatCurrency(est.totals.variance_zar) : '-',
+      est.has_actuals ? formatPercentChange(est.totals.variance_pct) : '-',
+      est.has_actuals ? est.totals.flagged_count.toString() : '-',
+      est.has_actuals ? RECONCILIATION_FLAG_LABELS[est.totals.flag] : 'No invoices',
+    ]),
+    theme: 'striped',
+    headStyles: { fillColor: THEME.ocean, fontSize: 8 },
+    styles: { fontSize: 8, textColor: THEME.bodyDark },
+    columnStyles: {
+      4: { halign: 'right' },
+      5: { halign: 'right' },
+      6: { halign: 'right' },
+      7: { halign: 'right' },
+      8: { halign: 'center' },
+    },
+    didParseCell: (data) => flagCellColor(data, 9, estimates.map(est => (est.has_actuals ? est.totals.flag : 'ok'))),
+  });
+
+  // Category breakdown per invoiced estimate
+  let currentY = doc.lastAutoTable.finalY + 12;
+  withActuals.forEach(est => {
+    currentY = checkPageBreak(doc, currentY, 40);
+    currentY = drawSectionDivider(
+      doc, currentY,
+      `${est.reference_number || est.estimateId.slice(0, 8)} — ${est.supplier_name || 'Unknown supplier'}`,
+      THEME.navy
+    );
+    autoTable(doc, {
+      startY: currentY,
+      head: [['Category', 'Estimate (ZAR)', 'Actual (ZAR)', 'Variance (ZAR)', 'Variance %', 'Status']],
+      body: est.categories.map(row => [
+        row.label,
+        formatCurrency(row.estimate_zar),
+        formatCurrency(row.actual_zar),
+        formatCurrency(row.variance_zar),
+        formatPercentChange(row.variance_pct),
+        RECONCILIATION_FLAG_LABELS[row.flag],
+      ]),
+      foot: [[
+        'Total',
+        formatCurrency(est.totals.estimate_zar),
+        formatCurrency(est.totals.actual_zar),
+        formatCurrency(est.totals.variance_zar),
+        formatPercentChange(est.totals.variance_pct),
+        RECONCILIATION_FLAG_LABELS[est.totals.flag],
+      ]],
+      theme: 'grid',
+      headStyles: { fillColor: THEME.navy, fontSize: 8 },
+      footStyles: { fillColor: THEME.surfaceSoft, textColor: THEME.bodyDark, fontSize: 8 },
+      alternateRowStyles: { fillColor: THEME.rowAlt },
+      styles: { fontSize: 8, textColor: THEME.bodyDark },
+      columnStyles: {
+        1: { halign: 'right' },
+        2: { halign: 'right' },
+        3: { halign: 'right' },
+        4: { halign: 'right' },
+      },
+      didParseCell: (data) => flagCellColor(data, 5, est.categories.map(row => row.flag)),
+      margin: { left: 14, right: 14 },
+    });
+    currentY = doc.lastAutoTable.finalY + 10;
+  });
+
+  // Footer on all pages
+  const pageCount = doc.internal.getNumberOfPages();
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.setFontSize(8);
+    doc.setTextColor(150);
+    doc.text(
+      `Page ${i} of ${pageCount} | Generated by Synercore Import Schedule`,
+      14,
+      doc.internal.pageSize.height - 10
+    );
+  }
+
+  doc.save(`cost-reconciliation-${new Date().toISOString().split('T')[0]}.pdf`);
+}
@@ -0,0 +1,13 @@
+/**
+ * Type declarations for the shared week number helpers (dateUtils.js), so
+ * the TypeScript server can import the same module as the React app.
+ */
+
+export function getWeekNumber(date: Date): number;
+export function getCurrentWeekNumber(): number;
+export function formatDate(date: Date): string;
+export function getWeekStartDate(weekNumber: number, year?: number): Date;
+export function getWeekDateRange(
+  weekNumber: number,
+  year?: number
+): { startDate: Date; endDate: Date; formatted: string };
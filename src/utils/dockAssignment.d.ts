@@ -0,0 +1,54 @@
+/**
+ * Type declarations for the shared dock assignment and queue planning rules
+ * (dockAssignment.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+export interface Option {
+  value: string;
+  label: string;
+}
+
+export interface RankedDock<D> {
+  dock: D;
+  score: number;
+  reasons: string[];
+}
+
+export interface QueuePlanEntry<T> {
+  truck: T;
+  position: number;
+  unloadMinutes: number;
+  dockId: number | null;
+  predictedStart: string | null;
+  predictedWaitMinutes: number | null;
+}
+
+type AnyRecord = Record<string, any>;
+
+export const VEHICLE_TYPES: Option[];
+export const UNLOAD_METHODS: Option[];
+export const PRIORITIES: Option[];
+export const UNLOAD_MODEL: { setupMinutes: number; minutesPerPallet: number; minutesPerCbm: number; defaultMinutes: number };
+export const QUEUE_RULES: { maxWaitMinutes: number };
+
+export function priorityRank(priority: string | null | undefined): number;
+export function estimateUnloadMinutes(truck: AnyRecord): number;
+export function dockRejection(dock: AnyRecord, truck: AnyRecord): string | null;
+export function rankDocks<D extends AnyRecord>(
+  docks: D[],
+  truck: AnyRecord,
+  options?: { includeBusy?: boolean }
+): { ranked: RankedDock<D>[]; rejected: Array<{ dock: D; reason: string }> };
+export function recommendDock<D extends AnyRecord>(docks: D[], truck: AnyRecord): D | null;
+export function orderQueue<T extends AnyRecord>(trucks: T[], now?: string | number | Date): T[];
+export function planQueue<T extends AnyRecord>(
+  queue: T[],
+  docks: AnyRecord[],
+  active?: AnyRecord[],
+  now?: string | number | Date
+): QueuePlanEntry<T>[];
+export function nextTruckForDock<T extends AnyRecord>(dock: AnyRecord, queue: T[], now?: string | number | Date): T | null;
+
+declare const dockAssignment: Record<string, any>;
+export default dockAssignment;
@@ -0,0 +1,265 @@
+/**
+ * Dock assignment and queue planning
+ *
+ * Docks have capabilities (reefer, which vehicle types and unload methods they
+ * take) and trucks have requirements. The server (server/controllers/DockController.ts)
+ * uses these rules to pick a dock at check-in, to choose which queued truck a
+ * freed dock takes next and to order the queue; the dock board shows the same
+ * recommendations and predicted waits.
+ *
+ * Unload time is estimated from the pallet count (or CBM when there are no
+ * pallets) of the truck's linked shipments. The queue is ordered by priority,
+ * then trucks that have waited too long, then trucks on time for their
+ * appointment, then shortest unload first, which keeps average wait down.
+ */
+
+export const VEHICLE_TYPES = [
+  { value: 'container', label: 'Container' },
+  { value: 'tautliner', label: 'Tautliner' },
+  { value: 'flatbed', label: 'Flatbed' },
+];
+
+export const UNLOAD_METHODS = [
+  { value: 'ramp', label: 'Ramp' },
+  { value: 'side_load', label: 'Side-load' },
+];
+
+// Lowest to highest
+export const PRIORITIES = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' },
+];
+
+export const UNLOAD_MODEL = {
+  // Docking, paperwork and seal check
+  setupMinutes: 15,
+  minutesPerPallet: 2,
+  // Floor-loaded cargo, used when the shipments have no pallet count
+  minutesPerCbm: 1.5,
+  // Nothing known about the load
+  defaultMinutes: 60,
+};
+
+export const QUEUE_RULES = {
+  // A truck that has waited this long goes ahead of shorter unloads
+  maxWaitMinutes: 90,
+};
+
+const MINUTE = 60 * 1000;
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const toTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const labelOf = (list, value) => list.find(o => o.value === value)?.label || value;
+
+export const priorityRank = (priority) => Math.max(PRIORITIES.findIndex(p => p.value === priority), 0);
+
+/**
+ * Minutes to unload a truck. A stored prediction wins; otherwise it is
+ * worked out from the linked shipments' pallets, or CBM when there are none.
+ */
+export const estimateUnloadMinutes = (truck) => {
+  const stored = Number(read(truck, 'predictedUnloadMinutes'));
+  if (stored > 0) return stored;
+
+  const shipments = read(truck, 'shipments') || [];
+  const pallets = shipments.reduce((sum, s) => sum + (Number(read(s, 'palletQty')) || 0), 0);
+  if (pallets > 0) {
+    return Math.round(UNLOAD_MODEL.setupMinutes + Math.ceil(pallets) * UNLOAD_MODEL.minutesPerPallet);
+  }
+  const cbm = shipments.reduce((sum, s) => sum + (Number(read(s, 'cbm')) || 0), 0);
+  if (cbm > 0) {
+    return Math.round(UNLOAD_MODEL.setupMinutes + cbm * UNLOAD_MODEL.minutesPerCbm);
+  }
+  return UNLOAD_MODEL.defaultMinutes;
+};
+
+/**
+ * Why a dock cannot take a truck, or null when it can. Docks with no
+ * vehicle types or unload methods listed take any.
+ */
+export const dockRejection = (dock, truck) => {
+  if (read(dock, 'status') === 'maintenance') return 'Under maintenance';
+  if (read(truck, 'requiresReefer') && !read(dock, 'isReefer')) return 'Not a reefer dock';
+
+  const vehicleType = read(truck, 'vehicleType');
+  const vehicleTypes = read(dock, 'vehicleTypes') || [];
+  if (vehicleType && vehicleTypes.length > 0 && !vehicleTypes.includes(vehicleType)) {
+    return `Cannot take a ${labelOf(VEHICLE_TYPES, vehicleType).toLowerCase()}`;
+  }
+
+  const unloadMethod = read(truck, 'unloadMethod');
+  const unloadMethods = read(dock, 'unloadMethods') || [];
+  if (unloadMethod && unloadMethods.length > 0 && !unloadMethods.includes(unloadMethod)) {
+    return `No ${labelOf(UNLOAD_METHODS, unloadMethod).toLowerCase()} unloading`;
+  }
+  return null;
+};
+
+// Capabilities a dock has that the truck does not need — docks that can do
+// more are kept free for the trucks that need them
+const spareCapability = (dock, truck) => {
+  const vehicleTypes = read(dock, 'vehicleTypes') || [];
+  const unloadMethods = read(dock, 'unloadMethods') || [];
+  let spare = 0;
+  if (read(dock, 'isReefer') && !read(truck, 'requiresReefer')) spare += 2;
+  if (read(truck, 'vehicleType')) spare += (vehicleTypes.length || VEHICLE_TYPES.length) - 1;
+  if (read(truck, 'unloadMethod')) spare += (unloadMethods.length || UNLOAD_METHODS.length) - 1;
+  return spare;
+};
+
+/**
+ * Docks ranked for a truck, best first. Docks that cannot take it are listed
+ * separately with the reason. Only available docks are ranked unless
+ * `includeBusy` is set.
+ */
+export const rankDocks = (docks, truck, { includeBusy = false } = {}) => {
+  const bookedDockId = read(truck, 'bookedDockId');
+  const ranked = [];
+  const rejected = [];
+
+  for (const dock of docks || []) {
+    const reason = dockRejection(dock, truck);
+    if (reason) {
+      rejected.push({ dock, reason });
+      continue;
+    }
+    if (!includeBusy && read(dock, 'status') !== 'available') {
+      rejected.push({ dock, reason: 'Occupied' });
+      continue;
+    }
+    const booked = bookedDockId != null && Number(bookedDockId) === Number(dock.id);
+    const spare = spareCapability(dock, truck);
+    const reasons = [];
+    if (booked) reasons.push('Booked dock');
+    if (read(truck, 'requiresReefer')) reasons.push('Reefer');
+    if (spare === 0) reasons.push('Exact fit');
+    ranked.push({ dock, score: (booked ? 0 : 100) + spare, reasons });
+  }
+
+  ranked.sort((a, b) => a.score - b.score
+    || String(read(a.dock, 'dockNumber')).localeCompare(String(read(b.dock, 'dockNumber')), undefined, { numeric: true }));
+  return { ranked, rejected };
+};
+
+/**
+ * The best available dock for a truck, or null
+ */
+export const recommendDock = (docks, truck) => rankDocks(docks, truck).ranked[0]?.dock || null;
+
+const waitedMinutes = (truck, now) => {
+  const checkIn = toTime(read(truck, 'checkInTime'));
+  return checkIn === null ? 0 : Math.max(0, (now - checkIn) / MINUTE);
+};
+
+// Checked in before the end of its booked slot
+const onTimeForAppointment = (truck) => {
+  const slotEnd = toTime(read(truck, 'slotEnd'));
+  const checkIn = toTime(read(truck, 'checkInTime'));
+  return slotEnd !== null && checkIn !== null && checkIn <= slotEnd;
+};
+
+/**
+ * Queued trucks in the order they should get a dock
+ */
+export const orderQueue = (trucks, now = Date.now()) => {
+  const at = toTime(now);
+  return [...(trucks || [])]
+    .map(truck => ({
+      truck,
+      priority: priorityRank(read(truck, 'priority')),
+      overdue: waitedMinutes(truck, at) >= QUEUE_RULES.maxWaitMinutes,
+      onTime: onTimeForAppointment(truck),
+      unload: estimateUnloadMinutes(truck),
+      checkIn: toTime(read(truck, 'checkInTime')) ?? at,
+    }))
+    .sort((a, b) => b.priority - a.priority
+      || Number(b.overdue) - Number(a.overdue)
+      || (b.overdue && a.overdue ? a.checkIn - b.checkIn : 0)
+      || Number(b.onTime) - Number(a.onTime)
+      || a.unload - b.unload
+      || a.checkIn - b.checkIn)
+    .map(entry => entry.truck);
+};
+
+/**
+ * Plan the queue against the warehouse's docks: the order trucks should be
+ * docked in, which dock each is expected to get, when, and the predicted
+ * wait from check-in. `active` are the trucks currently on a dock, used to
+ * predict when their docks free up.
+ */
+export const planQueue = (queue, docks, active = [], now = Date.now()) => {
+  const at = toTime(now);
+  const activeById = new Map((active || []).map(t => [Number(t.id), t]));
+
+  const dockState = (docks || [])
+    .filter(dock => read(dock, 'status') !== 'maintenance')
+    .map(dock => {
+      let freeAt = at;
+      const current = activeById.get(Number(read(dock, 'currentTruckId')));
+      if (read(dock, 'status') === 'occupied' && current) {
+        const started = toTime(read(current, 'dockAssignedAt')) ?? toTime(read(current, 'checkInTime')) ?? at;
+        freeAt = Math.max(at, started + estimateUnloadMinutes(current) * MINUTE);
+      }
+      return { dock, freeAt };
+    });
+
+  return orderQueue(queue, at).map((truck, index) => {
+    const unloadMinutes = estimateUnloadMinutes(truck);
+    const { ranked } = rankDocks(dockState.map(s => s.dock), truck, { includeBusy: true });
+    const rankOf = new Map(ranked.map((r, i) => [r.dock.id, i]));
+
+    // Earliest compatible dock, best-fit dock on a tie
+    const next = dockState
+      .filter(s => rankOf.has(s.dock.id))
+      .sort((a, b) => a.freeAt - b.freeAt || rankOf.get(a.dock.id) - rankOf.get(b.dock.id))[0];
+
+    const checkIn = toTime(read(truck, 'checkInTime')) ?? at;
+    if (!next) {
+      return { truck, position: index + 1, unloadMinutes, dockId: null, predictedStart: null, predictedWaitMinutes: null };
+    }
+    const start = next.freeAt;
+    next.freeAt = start + unloadMinutes * MINUTE;
+    return {
+      truck,
+      position: index + 1,
+      unloadMinutes,
+      dockId: next.dock.id,
+      predictedStart: new Date(start).toISOString(),
+      predictedWaitMinutes: Math.round(Math.max(0, start - checkIn) / MINUTE),
+    };
+  });
+};
+
+/**
+ * The queued truck a freed dock should take next: the first in planned
+ * order that the dock can handle
+ */
+export const nextTruckForDock = (dock, queue, now = Date.now()) =>
+  orderQueue(queue, now).find(truck => !dockRejection({ ...dock, status: 'available' }, truck)) || null;
+
+export default {
+  VEHICLE_TYPES,
+  UNLOAD_METHODS,
+  PRIORITIES,
+  UNLOAD_MODEL,
+  QUEUE_RULES,
+  priorityRank,
+  estimateUnloadMinutes,
+  dockRejection,
+  rankDocks,
+  recommendDock,
+  orderQueue,
+  planQueue,
+  nextTruckForDock,
+};
@@ -0,0 +1,67 @@
+/**
+ * Type declarations for the shared dock appointment slot rules (dockSlots.js),
+ * so the TypeScript server can import the same module as the React app.
+ */
+
+export interface DockCalendar {
+  id: number | null;
+  warehouse: string | null;
+  dockId: number | null;
+  slotMinutes: number;
+  openTime: string;
+  closeTime: string;
+  openDays: number[];
+  maxTrucksPerSlot: number;
+  utcOffsetMinutes: number;
+}
+
+export interface Slot {
+  start: string;
+  end: string;
+  label: string;
+}
+
+export interface SlotAvailability extends Slot {
+  capacity: number;
+  booked: number;
+  truckIds: number[];
+  blackout: string | null;
+  available: boolean;
+}
+
+export interface SlotContext {
+  bookings?: Array<Record<string, any>>;
+  blackouts?: Array<Record<string, any>>;
+  excludeTruckId?: number | null;
+}
+
+export interface BookingCheck {
+  slot: SlotAvailability | null;
+  reason: 'closed' | 'blackout' | 'full' | null;
+  error: string | null;
+}
+
+export const DEFAULT_CALENDAR: Omit<DockCalendar, 'id' | 'warehouse' | 'dockId'>;
+
+export function normalizeCalendar(row: Record<string, any>): DockCalendar;
+export function normalizeCalendar(row: null | undefined): null;
+export function validateCalendar(calendar: Partial<DockCalendar>): string[];
+export function resolveCalendar(calendars: Array<Record<string, any>>, warehouse: string | null | undefined, dockId?: number | null): DockCalendar | null;
+export function localDate(calendar: DockCalendar, time: string | number | Date): string;
+export function localTime(calendar: DockCalendar, time: string | number | Date): string;
+export function getDayBounds(calendar: DockCalendar, date: string): { start: string; end: string };
+export function addDays(date: string, days: number): string;
+export function getDaySlots(calendar: DockCalendar, date: string): Slot[];
+export function findSlot(calendar: DockCalendar, time: string | number | Date): Slot | null;
+export function describeSlot(calendar: DockCalendar, slot: Slot, context?: SlotContext): SlotAvailability;
+export function getSlotAvailability(calendar: DockCalendar, date: string, context?: SlotContext): SlotAvailability[];
+export function suggestSlots(
+  calendar: DockCalendar,
+  from: string | number | Date,
+  context?: SlotContext,
+  options?: { count?: number; days?: number }
+): SlotAvailability[];
+export function checkBooking(calendar: DockCalendar, time: string | number | Date, context?: SlotContext): BookingCheck;
+
+declare const dockSlots: Record<string, any>;
+export default dockSlots;
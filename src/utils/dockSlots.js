@@ -0,0 +1,276 @@
+/**
+ * Dock appointment slots
+ *
+ * Each warehouse (or an individual dock) can have an appointment calendar:
+ * slot length, opening hours, open days and how many trucks a slot takes.
+ * Blackout periods close slots. The server (server/controllers/DockController.ts)
+ * uses these rules to accept or reject truck bookings and suggest free slots;
+ * the dock slot grid uses them to lay out the calendar.
+ *
+ * Times are ISO strings / epoch ms. Opening hours are wall-clock times in the
+ * warehouse's UTC offset, so slots line up the same wherever they are viewed.
+ */
+
+export const DEFAULT_CALENDAR = {
+  slotMinutes: 60,
+  openTime: '07:00',
+  closeTime: '17:00',
+  // ISO weekdays, Monday = 1
+  openDays: [1, 2, 3, 4, 5],
+  maxTrucksPerSlot: 1,
+  // South Africa (SAST, no daylight saving)
+  utcOffsetMinutes: 120,
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const toTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const minutesOf = (hhmm) => {
+  const [h, m] = String(hhmm || '').split(':').map(Number);
+  return (h || 0) * 60 + (m || 0);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * A calendar row from the API or database as a calendar object, with
+ * defaults for anything not set
+ */
+export const normalizeCalendar = (row) => {
+  if (!row) return null;
+  const openDays = read(row, 'openDays');
+  return {
+    id: read(row, 'id') ?? null,
+    warehouse: read(row, 'warehouse') || null,
+    dockId: read(row, 'dockId') ?? null,
+    slotMinutes: Number(read(row, 'slotMinutes')) || DEFAULT_CALENDAR.slotMinutes,
+    openTime: String(read(row, 'openTime') || DEFAULT_CALENDAR.openTime).slice(0, 5),
+    closeTime: String(read(row, 'closeTime') || DEFAULT_CALENDAR.closeTime).slice(0, 5),
+    openDays: Array.isArray(openDays) ? openDays.map(Number) : DEFAULT_CALENDAR.openDays,
+    maxTrucksPerSlot: Number(read(row, 'maxTrucksPerSlot')) || DEFAULT_CALENDAR.maxTrucksPerSlot,
+    utcOffsetMinutes: read(row, 'utcOffsetMinutes') ?? DEFAULT_CALENDAR.utcOffsetMinutes,
+  };
+};
+
+/**
+ * Validation errors for calendar settings, empty when valid
+ */
+export const validateCalendar = (calendar) => {
+  const errors = [];
+  const c = { ...DEFAULT_CALENDAR, ...calendar };
+  if (!Number.isInteger(Number(c.slotMinutes)) || c.slotMinutes < 15 || c.slotMinutes > 24 * 60) {
+    errors.push('Slot length must be between 15 minutes and 24 hours');
+  }
+  if (!/^\d{2}:\d{2}$/.test(c.openTime) || !/^\d{2}:\d{2}$/.test(c.closeTime)) {
+    errors.push('Opening hours must be HH:MM');
+  } else if (minutesOf(c.closeTime) <= minutesOf(c.openTime)) {
+    errors.push('Closing time must be after opening time');
+  } else if (minutesOf(c.closeTime) - minutesOf(c.openTime) < c.slotMinutes) {
+    errors.push('Opening hours must fit at least one slot');
+  }
+  if (!Array.isArray(c.openDays) || c.openDays.length === 0 || c.openDays.some(d => !Number.isInteger(d) || d < 1 || d > 7)) {
+    errors.push('Open days must be weekdays 1 (Monday) to 7 (Sunday)');
+  }
+  if (!Number.isInteger(Number(c.maxTrucksPerSlot)) || c.maxTrucksPerSlot < 1) {
+    errors.push('Max trucks per slot must be at least 1');
+  }
+  return errors;
+};
+
+/**
+ * The calendar that governs a booking: the dock's own calendar if it has
+ * one, else the warehouse's. Null when neither is set up (no slot rules).
+ */
+export const resolveCalendar = (calendars, warehouse, dockId) => {
+  const rows = (calendars || []).map(normalizeCalendar);
+  const sameWarehouse = rows.filter(c => c.warehouse === warehouse);
+  return (dockId && sameWarehouse.find(c => Number(c.dockId) === Number(dockId)))
+    || sameWarehouse.find(c => c.dockId === null)
+    || null;
+};
+
+// Wall-clock date (YYYY-MM-DD) of a time in the calendar's offset
+export const localDate = (calendar, time) => {
+  const local = new Date(toTime(time) + calendar.utcOffsetMinutes * MINUTE);
+  return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}`;
+};
+
+// Wall-clock time (HH:MM) of a time in the calendar's offset
+export const localTime = (calendar, time) => {
+  const local = new Date(toTime(time) + calendar.utcOffsetMinutes * MINUTE);
+  return `${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}`;
+};
+
+// Start of a wall-clock date in the calendar's offset, as epoch ms
+const dayStart = (calendar, date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) - calendar.utcOffsetMinutes * MINUTE;
+};
+
+/**
+ * When a wall-clock date starts and ends in the calendar's offset
+ */
+export const getDayBounds = (calendar, date) => {
+  const start = dayStart(calendar, date);
+  return { start: new Date(start).toISOString(), end: new Date(start + DAY).toISOString() };
+};
+
+/**
+ * The date `days` after a YYYY-MM-DD date
+ */
+export const addDays = (date, days) => {
+  const [y, m, d] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(y, m - 1, d + days));
+  return `${next.getUTCFullYear()}-${pad(next.getUTCMonth() + 1)}-${pad(next.getUTCDate())}`;
+};
+
+const isoWeekday = (date) => {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7;
+};
+
+/**
+ * The bookable slots on a date: [{ start, end, label }], empty on closed days.
+ * The last slot ends at or before closing time.
+ */
+export const getDaySlots = (calendar, date) => {
+  if (!calendar.openDays.includes(isoWeekday(date))) return [];
+  const base = dayStart(calendar, date);
+  const open = minutesOf(calendar.openTime);
+  const close = minutesOf(calendar.closeTime);
+  const slots = [];
+  for (let m = open; m + calendar.slotMinutes <= close; m += calendar.slotMinutes) {
+    const start = base + m * MINUTE;
+    slots.push({
+      start: new Date(start).toISOString(),
+      end: new Date(start + calendar.slotMinutes * MINUTE).toISOString(),
+      label: `${pad(Math.floor(m / 60))}:${pad(m % 60)}`,
+    });
+  }
+  return slots;
+};
+
+/**
+ * The slot a time falls in, or null outside opening hours
+ */
+export const findSlot = (calendar, time) => {
+  const at = toTime(time);
+  if (at === null) return null;
+  return getDaySlots(calendar, localDate(calendar, at))
+    .find(slot => at >= toTime(slot.start) && at < toTime(slot.end)) || null;
+};
+
+// Blackouts and bookings count towards a calendar when they are for its dock,
+// or anywhere in its warehouse for a warehouse calendar. Warehouse-wide
+// blackouts close every dock.
+const blackoutApplies = (calendar, blackout) => {
+  if (read(blackout, 'warehouse') !== calendar.warehouse) return false;
+  const dockId = read(blackout, 'dockId');
+  return dockId === null || dockId === undefined || (calendar.dockId !== null && Number(dockId) === Number(calendar.dockId));
+};
+
+const bookingApplies = (calendar, booking) => {
+  if (read(booking, 'warehouse') !== calendar.warehouse || read(booking, 'status') === 'cancelled') return false;
+  return calendar.dockId === null || Number(read(booking, 'bookedDockId')) === Number(calendar.dockId);
+};
+
+const overlaps = (slot, from, to) => toTime(slot.start) < to && from < toTime(slot.end);
+
+/**
+ * A slot with what is booked into it and whether it can take another truck:
+ * { ...slot, capacity, booked, truckIds, blackout (reason or null), available }
+ */
+export const describeSlot = (calendar, slot, { bookings = [], blackouts = [], excludeTruckId = null } = {}) => {
+  const blackout = blackouts
+    .filter(b => blackoutApplies(calendar, b))
+    .find(b => overlaps(slot, toTime(read(b, 'startsAt')), toTime(read(b, 'endsAt'))));
+  const inSlot = bookings.filter(b => {
+    const at = toTime(read(b, 'expectedArrival'));
+    return bookingApplies(calendar, b)
+      && at !== null && at >= toTime(slot.start) && at < toTime(slot.end)
+      && (excludeTruckId === null || Number(b.id) !== Number(excludeTruckId));
+  });
+  return {
+    ...slot,
+    capacity: calendar.maxTrucksPerSlot,
+    booked: inSlot.length,
+    truckIds: inSlot.map(b => b.id),
+    blackout: blackout ? (read(blackout, 'reason') || 'Blacked out') : null,
+    available: !blackout && inSlot.length < calendar.maxTrucksPerSlot,
+  };
+};
+
+/**
+ * Every slot on a date, described as in describeSlot
+ */
+export const getSlotAvailability = (calendar, date, context = {}) =>
+  getDaySlots(calendar, date).map(slot => describeSlot(calendar, slot, context));
+
+/**
+ * The next free slots at or after a time, up to `count`, looking `days` ahead
+ */
+export const suggestSlots = (calendar, from, context = {}, { count = 3, days = 14 } = {}) => {
+  const after = toTime(from) ?? Date.now();
+  const suggestions = [];
+  let date = localDate(calendar, after);
+  for (let i = 0; i <= days && suggestions.length < count; i++, date = addDays(date, 1)) {
+    getSlotAvailability(calendar, date, context)
+      .filter(slot => slot.available && toTime(slot.end) > after)
+      .forEach(slot => {
+        if (suggestions.length < count) suggestions.push(slot);
+      });
+  }
+  return suggestions;
+};
+
+/**
+ * Whether a truck can be booked at `time`. Returns { slot, reason, error }:
+ * reason is null when the booking fits, else 'closed', 'blackout' or 'full'.
+ */
+export const checkBooking = (calendar, time, context = {}) => {
+  const slot = findSlot(calendar, time);
+  if (!slot) {
+    return {
+      slot: null,
+      reason: 'closed',
+      error: `No slot at ${localDate(calendar, time)} ${localTime(calendar, time)}: the dock books ${calendar.openTime}-${calendar.closeTime} on open days`,
+    };
+  }
+  const described = describeSlot(calendar, slot, context);
+  if (described.blackout) {
+    return { slot: described, reason: 'blackout', error: `The ${slot.label} slot on ${localDate(calendar, slot.start)} is blacked out: ${described.blackout}` };
+  }
+  if (!described.available) {
+    return { slot: described, reason: 'full', error: `The ${slot.label} slot on ${localDate(calendar, slot.start)} is full (${described.booked} of ${described.capacity} trucks booked)` };
+  }
+  return { slot: described, reason: null, error: null };
+};
+
+export default {
+  DEFAULT_CALENDAR,
+  normalizeCalendar,
+  validateCalendar,
+  resolveCalendar,
+  localDate,
+  localTime,
+  getDayBounds,
+  addDays,
+  getDaySlots,
+  findSlot,
+  describeSlot,
+  getSlotAvailability,
+  suggestSlots,
+  checkBooking,
+};
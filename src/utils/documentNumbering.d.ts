@@ -0,0 +1,39 @@
+/**
+ * Type declarations for the shared document numbering helpers
+ * (documentNumbering.js), so the TypeScript server can import the same
+ * module as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type DocumentType = 'GRN' | 'ESTIMATE' | 'RELEASE' | 'CLAIM' | 'TENDER';
+export type DatePart = 'YYYYMMDD' | 'YYYYMM' | 'YYYY' | '';
+export type ResetPeriod = 'daily' | 'monthly' | 'yearly' | 'never';
+
+export interface NumberSeries {
+  docType: string;
+  prefix: string;
+  datePart: DatePart;
+  perWarehouse: boolean;
+  resetPeriod: ResetPeriod;
+  padding: number;
+}
+
+export const DOCUMENT_TYPES: Array<{ value: DocumentType; label: string }>;
+export const DATE_PARTS: Array<{ value: DatePart; label: string }>;
+export const RESET_PERIODS: Array<{ value: ResetPeriod; label: string }>;
+export const DEFAULT_SERIES: Record<DocumentType, Omit<NumberSeries, 'docType'>>;
+export const WAREHOUSE_CODES: Record<string, string>;
+
+export function warehouseCode(warehouse: string | null | undefined): string;
+export function normalizeSeries(docType: string, series: AnyRecord | null | undefined): NumberSeries;
+export function validateSeries(series: AnyRecord | null | undefined): string[];
+export function periodKey(resetPeriod: string, date?: Date | string | null): string;
+export function seriesKey(series: NumberSeries, warehouse?: string | null): string;
+export function formatDocumentNumber(
+  series: NumberSeries,
+  options?: { sequence: number; date?: Date | string | null; warehouse?: string | null }
+): string;
+
+declare const documentNumbering: Record<string, any>;
+export default documentNumbering;
@@ -0,0 +1,162 @@
+/**
+ * Document numbering
+ *
+ * GRNs, cost estimate references, IWT release numbers, supplier claim
+ * numbers and freight tender RFQ numbers are issued from a numbered series
+ * per document type. The series format sets the prefix, the date part,
+ * whether each warehouse keeps its own count and when the count starts
+ * again. The server keeps the counters (document_number_counters) and a
+ * register of every number issued or voided (document_numbers); these
+ * helpers turn a format and a sequence into the number itself.
+ */
+
+export const DOCUMENT_TYPES = [
+  { value: 'GRN', label: 'Goods Received Note' },
+  { value: 'ESTIMATE', label: 'Cost Estimate' },
+  { value: 'RELEASE', label: 'IWT Release' },
+  { value: 'CLAIM', label: 'Supplier Claim' },
+  { value: 'TENDER', label: 'Freight Tender' },
+];
+
+export const DATE_PARTS = [
+  { value: 'YYYYMMDD', label: 'Day (20260302)' },
+  { value: 'YYYYMM', label: 'Month (202603)' },
+  { value: 'YYYY', label: 'Year (2026)' },
+  { value: '', label: 'None' },
+];
+
+export const RESET_PERIODS = [
+  { value: 'daily', label: 'Every day' },
+  { value: 'monthly', label: 'Every month' },
+  { value: 'yearly', label: 'Every year' },
+  { value: 'never', label: 'Never' },
+];
+
+// GRN matches the numbers issued before series were configurable
+export const DEFAULT_SERIES = {
+  GRN: { prefix: 'GRN', datePart: 'YYYYMMDD', perWarehouse: false, resetPeriod: 'daily', padding: 3 },
+  ESTIMATE: { prefix: 'EST', datePart: 'YYYYMM', perWarehouse: false, resetPeriod: 'monthly', padding: 4 },
+  RELEASE: { prefix: 'REL', datePart: 'YYYY', perWarehouse: true, resetPeriod: 'yearly', padding: 4 },
+  CLAIM: { prefix: 'CLM', datePart: 'YYYY', perWarehouse: false, resetPeriod: 'yearly', padding: 4 },
+  TENDER: { prefix: 'RFQ', datePart: 'YYYY', perWarehouse: false, resetPeriod: 'yearly', padding: 4 },
+};
+
+export const WAREHOUSE_CODES = {
+  PRETORIA: 'PTA',
+  KLAPMUTS: 'KLM',
+  OFFSITE: 'OFS',
+};
+
+// A series restarting more often than its date part changes would repeat numbers
+const PERIOD_NEEDS = { daily: 'YYYYMMDD', monthly: 'YYYYMM', yearly: 'YYYY', never: '' };
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const isoDate = (date) => {
+  const d = date ? new Date(date) : new Date();
+  return (isNaN(d.getTime()) ? new Date() : d).toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+/**
+ * Short code a warehouse carries in per-warehouse numbers
+ */
+export const warehouseCode = (warehouse) => {
+  const name = String(warehouse || '').trim().toUpperCase();
+  if (!name) return '';
+  return WAREHOUSE_CODES[name] || name.replace(/[^A-Z0-9]/g, '').slice(0, 3);
+};
+
+/**
+ * A stored series with the document type's defaults filled in
+ */
+export const normalizeSeries = (docType, series) => {
+  const defaults = DEFAULT_SERIES[docType] || { prefix: docType, datePart: '', perWarehouse: false, resetPeriod: 'never', padding: 4 };
+  const prefix = read(series, 'prefix');
+  const datePart = read(series, 'datePart');
+  const perWarehouse = read(series, 'perWarehouse');
+  const resetPeriod = read(series, 'resetPeriod');
+  const padding = Number(read(series, 'padding'));
+  return {
+    docType,
+    prefix: prefix === undefined || prefix === null ? defaults.prefix : String(prefix).trim().toUpperCase(),
+    datePart: DATE_PARTS.some(p => p.value === datePart) ? datePart : defaults.datePart,
+    perWarehouse: perWarehouse === undefined || perWarehouse === null ? defaults.perWarehouse : Boolean(perWarehouse),
+    resetPeriod: PERIOD_NEEDS[resetPeriod] !== undefined ? resetPeriod : defaults.resetPeriod,
+    padding: Number.isInteger(padding) && padding >= 1 && padding <= 8 ? padding : defaults.padding,
+  };
+};
+
+/**
+ * Problems with a series format, worded for the admin page; empty when it's usable
+ */
+export const validateSeries = (series) => {
+  const errors = [];
+  const prefix = String(read(series, 'prefix') ?? '').trim();
+  const datePart = read(series, 'datePart') ?? '';
+  const resetPeriod = read(series, 'resetPeriod');
+  const padding = Number(read(series, 'padding'));
+
+  if (!/^[A-Za-z0-9]{0,10}$/.test(prefix)) {
+    errors.push('Prefix can only use letters and digits, up to 10 characters');
+  }
+  if (!DATE_PARTS.some(p => p.value === datePart)) {
+    errors.push('Unknown date part');
+  }
+  if (PERIOD_NEEDS[resetPeriod] === undefined) {
+    errors.push('Unknown reset period');
+  } else if (!datePart.startsWith(PERIOD_NEEDS[resetPeriod])) {
+    errors.push('The date part must show the reset period, or numbers would repeat after a reset');
+  }
+  if (!Number.isInteger(padding) || padding < 1 || padding > 8) {
+    errors.push('Sequence digits must be between 1 and 8');
+  }
+  return errors;
+};
+
+/**
+ * Period a number falls in: its counter starts again with each new key
+ */
+export const periodKey = (resetPeriod, date) => {
+  const day = isoDate(date);
+  if (resetPeriod === 'daily') return day;
+  if (resetPeriod === 'monthly') return day.slice(0, 6);
+  if (resetPeriod === 'yearly') return day.slice(0, 4);
+  return '';
+};
+
+/**
+ * Counter a number is drawn from: one per warehouse, or one for the whole series
+ */
+export const seriesKey = (series, warehouse) => (series.perWarehouse ? warehouseCode(warehouse) : '');
+
+/**
+ * e.g. GRN-20260302-004 or REL-KLM-2026-0012
+ */
+export const formatDocumentNumber = (series, { sequence, date, warehouse } = {}) => {
+  const day = isoDate(date);
+  const parts = [
+    series.prefix,
+    series.perWarehouse ? warehouseCode(warehouse) : '',
+    series.datePart ? day.slice(0, series.datePart.length) : '',
+    String(sequence).padStart(series.padding, '0'),
+  ];
+  return parts.filter(Boolean).join('-');
+};
+
+export default {
+  DOCUMENT_TYPES,
+  DATE_PARTS,
+  RESET_PERIODS,
+  DEFAULT_SERIES,
+  WAREHOUSE_CODES,
+  warehouseCode,
+  normalizeSeries,
+  validateSeries,
+  periodKey,
+  seriesKey,
+  formatDocumentNumber,
+};
@@ -1,6 +1,8 @@
 import * as XLSX from 'xlsx';
 import { Shipment, ShipmentStatus } from '../types/shipment';
 import { getWeekStartDate, getWeekNumber } from './dateUtils';
+import { applyMapping } from './importMapping';
+import { validateImportFields } from './importReview';
 
 export class ExcelValidationError {
   constructor(rowIndex, column, message) {
@@ -248,8 +250,68 @@ export class ExcelProcessor {
     return { validRows, errors: allErrors };
   }
 
+  // ---- mapping profiles ---------------------------------------------------
+  // Sheets read with a saved column-mapping profile (see importMapping.js)
+  static _toObjects(headers, rows) {
+    return rows.map((row) => {
+      const o = {};
+      headers.forEach((h, i) => { if (h !== undefined) o[h] = row[i]; });
+      return o;
+    });
+  }
+
+  // First sheet's headers and rows, for matching and building a profile
+  static readSheet(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        try {
+          const wb = XLSX.read(e.target.result, { type: 'array' });
+          const sheet = wb.Sheets[wb.SheetNames[0]];
+          const aoa = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+          const headers = (aoa[0] || []).filter(h => h !== undefined && String(h).trim() !== '').map(String);
+          resolve({ headers, rows: this._toObjects(aoa[0] || [], aoa.slice(1)) });
+        } catch (err) {
+          console.error('ExcelProcessor: Error', err);
+          reject(err);
+        }
+      };
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  // Mapped rows with their 1-based row number; blank lines are skipped
+  static mapRows(formattedRows, profile) {
+    return formattedRows
+      .map((row, index) => ({ rowIndex: index + 1, shipment: applyMapping(row, profile) }))
+      .filter(({ shipment }) => shipment.supplier || shipment.orderRef);
+  }
+
+  static validateMapped(mappedRows, profile) {
+    // Errors name the sheet column the field was read from
+    const columnFor = (field) =>
+      Object.keys(profile?.columns || {}).find(h => profile.columns[h] === field)?.toUpperCase() || field;
+    const errors = mappedRows.flatMap(({ rowIndex, shipment }) =>
+      validateImportFields(shipment).map(e => new ExcelValidationError(rowIndex, columnFor(e.field), e.message))
+    );
+    if (errors.length > 0) {
+      return { validRows: [], errors, preview: mappedRows.slice(0, 5).map(r => r.shipment) };
+    }
+    const shipments = this.convertMapped(mappedRows);
+    return { validRows: shipments, errors: [], preview: shipments.slice(0, 5) };
+  }
+
+  static convertMapped(mappedRows) {
+    return mappedRows.map(({ shipment }, index) => new Shipment({
+      id: `ship_${Date.now()}_${index}`,
+      ...shipment,
+      productName: shipment.productName || this.extractProductName(shipment.orderRef || ''),
+    }));
+  }
+
   // ---- main ---------------------------------------------------------------
-  static parseExcelFile(file) {
+  static parseExcelFile(file, profile = null) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onload = (e) => {
@@ -260,6 +322,11 @@ export class ExcelProcessor {
           const headers = aoa[0] || [];
           const rows = aoa.slice(1);
 
+          if (profile) {
+            resolve(this.convertMapped(this.mapRows(this._toObjects(headers, rows), profile)));
+            return;
+          }
+
           const formatted = rows.map((row) => {
             const o = {};
             headers.forEach((h, i) => { o[h] = row[i]; });
@@ -285,7 +352,7 @@ export class ExcelProcessor {
     });
   }
 
-  static parseExcelFileWithValidation(file) {
+  static parseExcelFileWithValidation(file, profile = null) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
       reader.onload = (e) => {
@@ -296,6 +363,11 @@ export class ExcelProcessor {
           const headers = aoa[0] || [];
           const rows = aoa.slice(1);
 
+          if (profile) {
+            resolve(this.validateMapped(this.mapRows(this._toObjects(headers, rows), profile), profile));
+            return;
+          }
+
           const formatted = rows.map((row) => {
             const o = {};
             headers.forEach((h, i) => { o[h] = row[i]; });
@@ -0,0 +1,45 @@
+/**
+ * Type declarations for the shared forwarder email rule helpers
+ * (forwarderEmailRules.js), so the TypeScript server can import the same
+ * module as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export interface EmailRuleLike {
+  id?: number | null;
+  forwarder?: string | null;
+  sender_patterns?: string[] | null;
+  field: string;
+  match_type: 'keyword' | 'regex' | string;
+  pattern: string;
+  value?: string | null;
+  search_in?: 'both' | 'subject' | 'body' | string;
+  active?: boolean;
+  sort_order?: number;
+}
+
+export interface RuleMatch {
+  ruleId: number | null;
+  forwarder: string | null;
+  field: string;
+  value: string;
+}
+
+export const REFERENCE_FIELDS: Array<{ field: string; label: string }>;
+export const UPDATE_FIELDS: Array<{ field: string; label: string }>;
+export const RULE_FIELDS: Array<{ field: string; label: string }>;
+export const MATCH_TYPES: Array<{ value: 'keyword' | 'regex'; label: string }>;
+export const SEARCH_IN: Array<{ value: 'both' | 'subject' | 'body'; label: string }>;
+export const DEFAULT_RULES: EmailRuleLike[];
+
+export function validateRule(rule?: AnyRecord): string[];
+export function extractFromEmail(
+  email?: { from?: string | null; subject?: string | null; body?: string | null },
+  rules?: EmailRuleLike[]
+): { values: Record<string, string>; matched: RuleMatch[] };
+export function emailReferences(values?: AnyRecord): Record<string, string>;
+export function emailUpdates(values?: AnyRecord): Record<string, any>;
+
+declare const forwarderEmailRules: Record<string, any>;
+export default forwarderEmailRules;
@@ -0,0 +1,183 @@
+/**
+ * Forwarder status emails
+ *
+ * Most status changes arrive as plain emails from forwarders ("Vessel MSC
+ * Anna ETA revised to 14/03/2026", "Container MSCU1234567 gated in DBN"),
+ * not as spreadsheets. Rules, set up per forwarder, pick out of the subject
+ * or body the references that identify the shipment (order ref, container
+ * or BOL number) and the updates to propose (status, vessel, ETA). A
+ * keyword rule sets a fixed value when its words appear; a regex rule takes
+ * its first capture group, or its fixed value if it has one. Built-in rules
+ * cover common wording for anything the forwarder's rules don't find.
+ */
+
+import { SCHEDULE_STATUSES, guessStatus, parseDateValue, senderMatches } from './importMapping.js';
+import { getWeekNumber } from './dateUtils.js';
+
+export const REFERENCE_FIELDS = [
+  { field: 'orderRef', label: 'Order Ref' },
+  { field: 'containerNumber', label: 'Container' },
+  { field: 'bolNumber', label: 'BOL Number' },
+];
+
+export const UPDATE_FIELDS = [
+  { field: 'latestStatus', label: 'Status' },
+  { field: 'vesselName', label: 'Vessel' },
+  { field: 'etaDate', label: 'ETA' },
+];
+
+export const RULE_FIELDS = [...REFERENCE_FIELDS, ...UPDATE_FIELDS];
+
+export const MATCH_TYPES = [
+  { value: 'keyword', label: 'Keywords' },
+  { value: 'regex', label: 'Regular expression' },
+];
+
+export const SEARCH_IN = [
+  { value: 'both', label: 'Subject and body' },
+  { value: 'subject', label: 'Subject' },
+  { value: 'body', label: 'Body' },
+];
+
+// Common forwarder wording, tried after a forwarder's own rules
+export const DEFAULT_RULES = [
+  { field: 'containerNumber', match_type: 'regex', pattern: '\\b([A-Z]{4}\\s?\\d{7})\\b' },
+  { field: 'bolNumber', match_type: 'regex', pattern: '\\b(?:B/?L|BOL|bill of lading)(?:\\s*(?:no\\.?|number|#))?[:\\s]+([A-Z0-9-]{6,})' },
+  { field: 'orderRef', match_type: 'regex', pattern: '\\b(?:PO|order(?:\\s*ref)?|your ref)(?:\\s*(?:no\\.?|number|#))?[:\\s]+([A-Z0-9/-]*\\d[A-Z0-9/-]*)' },
+  { field: 'vesselName', match_type: 'regex', pattern: '\\b(?:vessel|m/?v)[:\\s]+([A-Z][A-Z0-9 .-]*?)(?=\\s+(?:ETA|ETD|voy(?:age)?|has|is|arrived|revised|berthed)\\b|[,;\\n]|\\.\\s|$)' },
+  { field: 'etaDate', match_type: 'regex', pattern: '\\bETA\\b(?:\\s+(?:revised|updated|changed|now))?(?:\\s+(?:to|is|of|date))?[:\\s]+(\\d{1,4}[/.-]\\d{1,2}[/.-]\\d{1,4}|\\d{1,2}\\s+[A-Za-z]{3,9}\\s+\\d{4})' },
+];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Problems with a rule before it can be saved
+ */
+export const validateRule = (rule = {}) => {
+  const errors = [];
+  if (isBlank(rule.forwarder)) errors.push('Forwarder is required');
+  if (!RULE_FIELDS.some(f => f.field === rule.field)) errors.push('Unknown field');
+  if (isBlank(rule.pattern)) errors.push('A keyword or pattern is required');
+
+  if (rule.match_type === 'regex' && !isBlank(rule.pattern)) {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch {
+      errors.push('Pattern is not a valid regular expression');
+    }
+  } else if (rule.match_type === 'keyword') {
+    if (REFERENCE_FIELDS.some(f => f.field === rule.field)) {
+      errors.push('References are read with a regular expression, not keywords');
+    } else if (isBlank(rule.value)) {
+      errors.push('Keyword rules need the value to set');
+    }
+  } else if (rule.match_type !== 'regex') {
+    errors.push('Unknown match type');
+  }
+
+  if (rule.field === 'latestStatus' && !isBlank(rule.value) && !SCHEDULE_STATUSES.includes(rule.value)) {
+    errors.push(`Status must be one of: ${SCHEDULE_STATUSES.join(', ')}`);
+  }
+  return errors;
+};
+
+// Value a rule reads from the text, or null when it doesn't match
+const applyRule = (rule, text) => {
+  if (!text) return null;
+  if (rule.match_type === 'keyword') {
+    // Comma-separated alternatives, e.g. "gated in, gate in"
+    const words = String(rule.pattern).split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+    const lower = text.toLowerCase();
+    return words.some(w => lower.includes(w)) ? rule.value : null;
+  }
+  let match;
+  try {
+    match = text.match(new RegExp(rule.pattern, 'i'));
+  } catch {
+    return null;
+  }
+  if (!match) return null;
+  const value = isBlank(rule.value) ? (match[1] ?? match[0]) : rule.value;
+  return isBlank(value) ? null : String(value).trim();
+};
+
+const searchText = (rule, { subject, body }) => {
+  if (rule.search_in === 'subject') return subject || '';
+  if (rule.search_in === 'body') return body || '';
+  return [subject, body].filter(Boolean).join('\n');
+};
+
+/**
+ * Read an email with the rules for its sender (rules without sender
+ * addresses apply to every sender), then the built-in rules. The first
+ * rule to find a field wins; a status not found by any rule is guessed
+ * from the subject.
+ */
+export const extractFromEmail = (email = {}, rules = []) => {
+  const values = {};
+  const matched = [];
+  const forSender = rules
+    .filter(rule => rule.active !== false)
+    .filter(rule => !(rule.sender_patterns || []).length || senderMatches(rule.sender_patterns, email.from))
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+
+  [...forSender, ...DEFAULT_RULES].forEach(rule => {
+    if (values[rule.field] !== undefined) return;
+    const value = applyRule(rule, searchText(rule, email));
+    if (value === null) return;
+    values[rule.field] = value;
+    matched.push({ ruleId: rule.id ?? null, forwarder: rule.forwarder || null, field: rule.field, value });
+  });
+
+  if (values.latestStatus === undefined) {
+    const status = guessStatus(email.subject);
+    if (status) {
+      values.latestStatus = status;
+      matched.push({ ruleId: null, forwarder: null, field: 'latestStatus', value: status });
+    }
+  }
+
+  return { values, matched };
+};
+
+/**
+ * References to find the shipment by, tidied: container numbers without
+ * spaces, everything upper case
+ */
+export const emailReferences = (values = {}) => {
+  const refs = {};
+  if (!isBlank(values.orderRef)) refs.orderRef = String(values.orderRef).trim().toUpperCase();
+  if (!isBlank(values.containerNumber)) refs.containerNumber = String(values.containerNumber).replace(/\s+/g, '').toUpperCase();
+  if (!isBlank(values.bolNumber)) refs.bolNumber = String(values.bolNumber).trim().toUpperCase();
+  return refs;
+};
+
+/**
+ * Shipment updates to propose (camelCase, as the review queue stages
+ * them). Statuses outside the schedule list and unreadable ETAs are
+ * dropped; the ETA sets the week and week date.
+ */
+export const emailUpdates = (values = {}) => {
+  const updates = {};
+  if (SCHEDULE_STATUSES.includes(values.latestStatus)) updates.latestStatus = values.latestStatus;
+  if (!isBlank(values.vesselName)) updates.vesselName = String(values.vesselName).trim().toUpperCase();
+  const eta = parseDateValue(values.etaDate);
+  if (eta) {
+    updates.selectedWeekDate = eta;
+    updates.weekNumber = getWeekNumber(new Date(`${eta}T00:00:00`));
+  }
+  return updates;
+};
+
+export default {
+  REFERENCE_FIELDS,
+  UPDATE_FIELDS,
+  RULE_FIELDS,
+  MATCH_TYPES,
+  SEARCH_IN,
+  DEFAULT_RULES,
+  validateRule,
+  extractFromEmail,
+  emailReferences,
+  emailUpdates,
+};
@@ -0,0 +1,48 @@
+/**
+ * Type declarations for the shared freight quote helpers
+ * (freightQuotes.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type QuoteMode = 'sea' | 'air' | 'road';
+export type QuoteValidity = 'current' | 'expiring' | 'expired' | 'upcoming' | 'unknown';
+
+export interface QuoteCharge {
+  label: string;
+  amount: number;
+  currency: string;
+}
+
+export interface QuoteDetails {
+  origin: string | null;
+  destination: string | null;
+  mode: QuoteMode | null;
+  container_type: string | null;
+  valid_until: string | null;
+  currency: string | null;
+  total_amount: number | null;
+  charges: QuoteCharge[];
+}
+
+export const QUOTE_MODES: Array<{ value: QuoteMode; label: string }>;
+export const QUOTE_CONTAINER_TYPES: Array<{ value: string; label: string }>;
+export const QUOTE_VALIDITY: Array<{ value: QuoteValidity; label: string }>;
+export const EXPIRY_WARNING_DAYS: number;
+
+export function modeLabel(mode: string | null | undefined): string;
+export function forwarderCode(name: string | null | undefined): string;
+export function isReservedCode(code: string): boolean;
+export function daysToExpiry(quote: AnyRecord | null | undefined, today?: Date): number | null;
+export function quoteValidity(quote: AnyRecord | null | undefined, today?: Date): QuoteValidity;
+export function matchesValidity(quote: AnyRecord | null | undefined, filter: string | null | undefined, today?: Date): boolean;
+export function matchesLane(
+  quote: AnyRecord | null | undefined,
+  lane?: { origin?: string | null; destination?: string | null }
+): boolean;
+export function laneLabel(quote: AnyRecord | null | undefined): string;
+export function quoteFromAnalysis(analysis?: AnyRecord): QuoteDetails;
+
+declare const freightQuotes: Record<string, any>;
+export default freightQuotes;
@@ -0,0 +1,188 @@
+/**
+ * Freight quotes
+ *
+ * Forwarders send quotes as documents; each is kept on file and described
+ * by its lane (origin to destination), mode, container type, validity
+ * window and currency, read from the PDF where possible and corrected by
+ * hand. A quote past its valid-until date is expired and should not be
+ * used to cost a shipment; one within EXPIRY_WARNING_DAYS is flagged so a
+ * fresh quote can be requested in time.
+ */
+
+import { CONTAINER_TYPES } from './costingCalculations.js';
+import { parseDateValue } from './importMapping.js';
+
+export const QUOTE_MODES = [
+  { value: 'sea', label: 'Sea Freight' },
+  { value: 'air', label: 'Air Freight' },
+  { value: 'road', label: 'Road Freight' },
+];
+
+export const QUOTE_CONTAINER_TYPES = [...CONTAINER_TYPES, { value: 'LCL', label: 'LCL / Groupage' }];
+
+export const QUOTE_VALIDITY = [
+  { value: 'current', label: 'Valid now' },
+  { value: 'expiring', label: 'Expiring soon' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'upcoming', label: 'Not yet valid' },
+  { value: 'unknown', label: 'No validity date' },
+];
+
+export const EXPIRY_WARNING_DAYS = 14;
+
+// Codes name the storage folder and appear in URLs, so these are taken
+const RESERVED_CODES = ['forwarders', 'compare'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const startOfDay = (value) => {
+  const date = value instanceof Date ? new Date(value) : new Date(`${String(value).slice(0, 10)}T00:00:00`);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+export const modeLabel = (mode) => QUOTE_MODES.find(m => m.value === mode)?.label || mode || '-';
+
+/**
+ * Folder-safe code for a forwarder name, e.g. "Kuehne+Nagel" -> "kuehne-nagel"
+ */
+export const forwarderCode = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 50);
+
+export const isReservedCode = (code) => RESERVED_CODES.includes(code);
+
+/**
+ * Days until the quote expires (negative once expired), or null without a
+ * valid-until date
+ */
+export const daysToExpiry = (quote, today = new Date()) => {
+  if (!quote?.valid_until) return null;
+  return Math.round((startOfDay(quote.valid_until) - startOfDay(today)) / DAY_MS);
+};
+
+/**
+ * Where a quote stands on a date: 'expired', 'expiring' (valid, but within
+ * the warning window), 'current', 'upcoming' (valid-from still ahead) or
+ * 'unknown' when it has no valid-until date
+ */
+export const quoteValidity = (quote, today = new Date()) => {
+  if (quote?.valid_from && startOfDay(quote.valid_from) > startOfDay(today)) return 'upcoming';
+  const days = daysToExpiry(quote, today);
+  if (days === null) return 'unknown';
+  if (days < 0) return 'expired';
+  if (days <= EXPIRY_WARNING_DAYS) return 'expiring';
+  return 'current';
+};
+
+/**
+ * Whether a quote passes a validity filter. 'current' means usable today,
+ * so it includes quotes about to expire.
+ */
+export const matchesValidity = (quote, filter, today = new Date()) => {
+  if (!filter) return true;
+  const validity = quoteValidity(quote, today);
+  if (filter === 'current') return validity === 'current' || validity === 'expiring';
+  return validity === filter;
+};
+
+/**
+ * Whether a quote is for a lane. Origin and destination match on any part
+ * of the port or place name, ignoring case; a blank side matches anything.
+ */
+export const matchesLane = (quote, { origin, destination } = {}) => {
+  const has = (value, search) => isBlank(search)
+    || String(value || '').toLowerCase().includes(String(search).trim().toLowerCase());
+  return has(quote?.origin, origin) && has(quote?.destination, destination);
+};
+
+export const laneLabel = (quote) => {
+  if (isBlank(quote?.origin) && isBlank(quote?.destination)) return 'Lane not set';
+  return `${quote.origin || '?'} → ${quote.destination || '?'}`;
+};
+
+// Symbols the PDF reader keeps as the currency
+const CURRENCY_SYMBOLS = { $: 'USD', '€': 'EUR', '£': 'GBP' };
+
+const normaliseCurrency = (currency) => {
+  if (isBlank(currency) || currency === 'Unknown') return null;
+  return CURRENCY_SYMBOLS[currency] || String(currency).toUpperCase();
+};
+
+const detectMode = (services = [], text = '') => {
+  const haystack = `${services.join(' ')} ${text}`.toLowerCase();
+  if (/\bair\s*freight\b|\bairport\b|\bawb\b/.test(haystack)) return 'air';
+  if (/\broad\s*freight\b|\btruck|\bftl\b|\bltl\b/.test(haystack)) return 'road';
+  if (/\bsea\s*freight\b|\bocean\b|\bcontainer\b|\bfcl\b|\blcl\b|\b[24]0\s*'?\s*(?:gp|hc|hq|dv|ft|dry|reefer)/.test(haystack)) return 'sea';
+  return null;
+};
+
+const detectContainerType = (text = '') => {
+  const t = text.toLowerCase();
+  if (/\b40\s*'?\s*(?:ft\s*)?(?:hc|hq|high\s*cube)\b/.test(t)) return "40' High Cube";
+  if (/\b40\s*'?\s*(?:ft\s*)?(?:rf|rh|reefer)\b/.test(t)) return "40' Reefer";
+  if (/\b20\s*'?\s*(?:ft\s*)?(?:rf|reefer)\b/.test(t)) return "20' Reefer";
+  if (/\b40\s*'?\s*(?:ft\s*)?(?:gp|dv|dc|dry)\b/.test(t)) return "40' Dry Container";
+  if (/\b20\s*'?\s*(?:ft\s*)?(?:gp|dv|dc|dry)\b/.test(t)) return "20' Dry Container";
+  if (/\blcl\b|\bgroupage\b/.test(t)) return 'LCL';
+  return null;
+};
+
+/**
+ * Quote details from a PDF analysis (pdfAnalyzer.analyzePDFQuote): the
+ * first route with a destination, the mode and container type named in the
+ * text, the latest validity date, and the priced charges. The headline
+ * amount is the largest charge in the quote's main currency, which is the
+ * total line on most forwarder quotes. Anything not found is null.
+ */
+export const quoteFromAnalysis = (analysis = {}) => {
+  const routes = analysis.routes || [];
+  const route = routes.find(r => r.destination && r.destination !== 'Not specified') || routes[0];
+  const place = (value) => (isBlank(value) || value === 'Not specified' ? null : String(value).trim());
+
+  const validUntil = (analysis.validityDates || [])
+    .map(v => parseDateValue(v.date, 'DMY'))
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  const charges = (analysis.prices || [])
+    .map(p => ({ label: p.original, amount: Number(p.numeric), currency: normaliseCurrency(p.currency) }))
+    .filter(c => c.currency && Number.isFinite(c.amount) && c.amount > 0);
+
+  // The currency most charges are priced in
+  const counts = charges.reduce((acc, c) => ({ ...acc, [c.currency]: (acc[c.currency] || 0) + 1 }), {});
+  const currency = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+  const amounts = charges.filter(c => c.currency === currency).map(c => c.amount);
+
+  return {
+    origin: place(route?.origin),
+    destination: place(route?.destination),
+    mode: detectMode(analysis.services, analysis.rawText),
+    container_type: detectContainerType(analysis.rawText),
+    valid_until: validUntil,
+    currency,
+    total_amount: amounts.length ? Math.max(...amounts) : null,
+    charges,
+  };
+};
+
+export default {
+  QUOTE_MODES,
+  QUOTE_CONTAINER_TYPES,
+  QUOTE_VALIDITY,
+  EXPIRY_WARNING_DAYS,
+  modeLabel,
+  forwarderCode,
+  isReservedCode,
+  daysToExpiry,
+  quoteValidity,
+  matchesValidity,
+  matchesLane,
+  laneLabel,
+  quoteFromAnalysis,
+};
@@ -0,0 +1,31 @@
+/**
+ * Type declarations for the shared freight tender helpers
+ * (freightTenders.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type TenderStatus = 'draft' | 'open' | 'closed' | 'awarded' | 'cancelled';
+export type TenderMode = 'sea' | 'air';
+export type TenderCurrency = 'USD' | 'EUR';
+
+export const TENDER_STATUSES: Array<{ value: TenderStatus; label: string }>;
+export const TENDER_MODES: Array<{ value: TenderMode; label: string }>;
+export const INCOTERMS: string[];
+export const TENDER_CURRENCIES: TenderCurrency[];
+
+export function tenderStatusLabel(status: string | null | undefined): string;
+export function canMoveTo(from: string, to: string): boolean;
+export function acceptsResponses(tender: AnyRecord | null | undefined, today?: Date): boolean;
+export function validateTender(tender?: AnyRecord): string[];
+export function validateResponse(response?: AnyRecord): string[];
+export function hasResponded(invitation: AnyRecord | null | undefined): boolean;
+export function responseTotal(response: AnyRecord | null | undefined): number;
+export function lowestResponse<T extends AnyRecord>(invitations?: T[]): T | null;
+export function formatAmount(currency: string, amount: number): string;
+export function responseAnalysis(tender: AnyRecord, invitation: AnyRecord): AnyRecord;
+export function estimateFromResponse(tender: AnyRecord, response: AnyRecord): Record<string, any>;
+
+declare const freightTenders: Record<string, any>;
+export default freightTenders;
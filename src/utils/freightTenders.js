@@ -0,0 +1,231 @@
+/**
+ * Freight tenders
+ *
+ * Big shipments go out to a mini-tender: an RFQ describes the lane, cargo,
+ * volume or weight, incoterm and the date the cargo is needed, and selected
+ * forwarders are invited through a tokenised link to a response form. Each
+ * response is structured (freight and origin charges in one currency,
+ * transit time, carrier and validity), so responses can be compared side by
+ * side and fed to the same comparison report as PDF quotes. Awarding a
+ * response copies its rates into the shipment's cost estimate.
+ *
+ * A tender is drafted, opened when the first invitations go out, closed to
+ * further responses (or reopened), and finally awarded or cancelled.
+ */
+
+import { QUOTE_MODES, modeLabel, laneLabel } from './freightQuotes.js';
+
+export const TENDER_STATUSES = [
+  { value: 'draft', label: 'Draft' },
+  { value: 'open', label: 'Out to tender' },
+  { value: 'closed', label: 'Closed' },
+  { value: 'awarded', label: 'Awarded' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+// Awarded rates land in the ocean or air freight lines of the cost estimate
+export const TENDER_MODES = QUOTE_MODES.filter(m => m.value === 'sea' || m.value === 'air');
+
+export const INCOTERMS = ['EXW', 'FCA', 'FAS', 'FOB', 'CFR', 'CIF', 'CPT', 'CIP', 'DAP', 'DPU', 'DDP'];
+
+// The currencies the costing engine converts freight from
+export const TENDER_CURRENCIES = ['USD', 'EUR'];
+
+const TRANSITIONS = {
+  draft: ['open', 'cancelled'],
+  open: ['closed', 'awarded', 'cancelled'],
+  closed: ['open', 'awarded', 'cancelled'],
+  awarded: [],
+  cancelled: [],
+};
+
+// Under these terms the estimate reads origin charges as the goods' FOB value
+const ORIGIN_CHARGES_ARE_GOODS_VALUE = ['FOB', 'FCA', 'EXW'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(new Date(`${value}T00:00:00`).getTime());
+
+const toNumber = (value) => (isBlank(value) ? 0 : Number(value));
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const startOfDay = (value) => {
+  const date = value instanceof Date ? new Date(value) : new Date(`${String(value).slice(0, 10)}T00:00:00`);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+export const tenderStatusLabel = (status) => TENDER_STATUSES.find(s => s.value === status)?.label || status || '-';
+
+export const canMoveTo = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Whether invited forwarders can still respond: the tender is open and its
+ * response due date (when set) has not passed
+ */
+export const acceptsResponses = (tender, today = new Date()) => {
+  if (tender?.status !== 'open') return false;
+  return !tender.response_due || startOfDay(tender.response_due) >= startOfDay(today);
+};
+
+/**
+ * Problems with an RFQ before it is saved; empty when it can go out
+ */
+export const validateTender = (tender = {}) => {
+  const errors = [];
+  if (isBlank(tender.origin)) errors.push('Origin is required');
+  if (isBlank(tender.destination)) errors.push('Destination is required');
+  if (!TENDER_MODES.some(m => m.value === tender.mode)) errors.push('Mode must be sea or air freight');
+  if (!isBlank(tender.incoterm) && !INCOTERMS.includes(tender.incoterm)) errors.push('Unknown incoterm');
+  ['cbm', 'weight_kg'].forEach((field) => {
+    if (!isBlank(tender[field]) && !(Number(tender[field]) >= 0)) errors.push(`${field === 'cbm' ? 'CBM' : 'Weight'} must be zero or more`);
+  });
+  if (!(Number(tender.cbm) > 0) && !(Number(tender.weight_kg) > 0)) errors.push('Give the cargo volume (CBM) or weight');
+  if (!isBlank(tender.required_date) && !isDate(tender.required_date)) errors.push('Required date must be a date');
+  if (!isBlank(tender.response_due) && !isDate(tender.response_due)) errors.push('Response due date must be a date');
+  return errors;
+};
+
+/**
+ * Problems with a forwarder's response; empty when it can be accepted
+ */
+export const validateResponse = (response = {}) => {
+  const errors = [];
+  if (!TENDER_CURRENCIES.includes(response.currency)) errors.push(`Currency must be one of: ${TENDER_CURRENCIES.join(', ')}`);
+  if (!(Number(response.freight_amount) > 0)) errors.push('Freight amount must be more than zero');
+  if (!isBlank(response.origin_charges) && !(Number(response.origin_charges) >= 0)) errors.push('Origin charges must be zero or more');
+  if (!isBlank(response.transit_days)
+    && !(Number.isInteger(Number(response.transit_days)) && Number(response.transit_days) > 0)) {
+    errors.push('Transit time must be a whole number of days');
+  }
+  if (!isBlank(response.valid_until) && !isDate(response.valid_until)) errors.push('Valid until must be a date');
+  return errors;
+};
+
+export const hasResponded = (invitation) => !!invitation?.responded_at;
+
+/**
+ * Freight plus origin charges, in the response currency
+ */
+export const responseTotal = (response) => round2(toNumber(response?.freight_amount) + toNumber(response?.origin_charges));
+
+/**
+ * The cheapest response, or null when there are none or they are priced in
+ * different currencies and cannot be ranked without exchange rates
+ */
+export const lowestResponse = (invitations = []) => {
+  const responses = invitations.filter(hasResponded);
+  if (!responses.length || new Set(responses.map(r => r.currency)).size > 1) return null;
+  return responses.reduce((best, r) => (responseTotal(r) < responseTotal(best) ? r : best));
+};
+
+export const formatAmount = (currency, amount) => `${currency} ${Number(amount).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+})}`;
+
+/**
+ * A response in the shape pdfAnalyzer.analyzePDFQuote returns, so tender
+ * responses go through generateComparisonReport like PDF quotes. The price
+ * is the response total; structured input is read with full confidence.
+ */
+export const responseAnalysis = (tender, invitation) => {
+  const total = responseTotal(invitation);
+  const notes = invitation.response_notes || '';
+  return {
+    prices: [{
+      original: `${invitation.currency} ${total}`,
+      numeric: total,
+      currency: invitation.currency,
+      formatted: formatAmount(invitation.currency, total),
+    }],
+    routes: [{ origin: tender.origin, destination: tender.destination, fullMatch: laneLabel(tender) }],
+    services: [modeLabel(tender.mode), invitation.carrier].filter(Boolean),
+    transitTimes: invitation.transit_days
+      ? [{ duration: Number(invitation.transit_days), unit: 'days', fullMatch: `${invitation.transit_days} days` }]
+      : [],
+    validityDates: invitation.valid_until
+      ? [{ date: invitation.valid_until, fullMatch: `Valid until ${invitation.valid_until}` }]
+      : [],
+    rawText: notes,
+    confidence: 100,
+    metadata: {
+      filename: invitation.forwarder_name,
+      size: 0,
+      analyzedAt: new Date(invitation.responded_at).toISOString(),
+      textLength: notes.length,
+    },
+    forwarder: invitation.forwarder_code,
+  };
+};
+
+/**
+ * Cost estimate fields for an awarded response. Sea rates go to the ocean
+ * freight and origin charge lines, air rates to the airfreight lines, in
+ * the response currency with the other currency cleared. Where the
+ * incoterm makes the estimate's origin charges the goods' value, the
+ * forwarder's origin charges are carried in the freight line instead.
+ * Details the RFQ or response leave blank are left out.
+ */
+export const estimateFromResponse = (tender, response) => {
+  const currency = response.currency.toLowerCase();
+  const other = currency === 'usd' ? 'eur' : 'usd';
+  const freight = toNumber(response.freight_amount);
+  const originCharges = toNumber(response.origin_charges);
+  const incoterm = tender.incoterm || null;
+
+  let fields;
+  if (tender.mode === 'air') {
+    fields = {
+      transport_mode: 'air',
+      [`airfreight_${currency}`]: freight,
+      [`airfreight_${other}`]: 0,
+      [`airfreight_origin_charges_${currency}`]: originCharges,
+      [`airfreight_origin_charges_${other}`]: 0,
+      airport_of_departure: tender.origin,
+      airport_of_arrival: tender.destination,
+      airline_name: response.carrier,
+      actual_weight_kg: tender.weight_kg,
+    };
+  } else {
+    const originIsGoodsValue = ORIGIN_CHARGES_ARE_GOODS_VALUE.includes(incoterm);
+    fields = {
+      transport_mode: 'sea',
+      [`ocean_freight_${currency}`]: round2(freight + (originIsGoodsValue ? originCharges : 0)),
+      [`ocean_freight_${other}`]: 0,
+      ...(originIsGoodsValue ? {} : { [`origin_charge_${currency}`]: originCharges, [`origin_charge_${other}`]: 0 }),
+      port_of_loading: tender.origin,
+      port_of_discharge: tender.destination,
+      shipping_line: response.carrier,
+      container_type: tender.container_type,
+      total_gross_weight_kg: tender.weight_kg,
+    };
+  }
+
+  return Object.fromEntries(Object.entries({
+    ...fields,
+    inco_terms: incoterm,
+    commodity: tender.cargo_description,
+    transit_time_days: response.transit_days,
+    validity_date: response.valid_until,
+  }).filter(([, value]) => !isBlank(value)));
+};
+
+export default {
+  TENDER_STATUSES,
+  TENDER_MODES,
+  INCOTERMS,
+  TENDER_CURRENCIES,
+  tenderStatusLabel,
+  canMoveTo,
+  acceptsResponses,
+  validateTender,
+  validateResponse,
+  hasResponded,
+  responseTotal,
+  lowestResponse,
+  formatAmount,
+  responseAnalysis,
+  estimateFromResponse,
+};
@@ -0,0 +1,42 @@
+/**
+ * Type declarations for the shared spreadsheet import mapping helpers
+ * (importMapping.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type DateFormat = 'auto' | 'DMY' | 'MDY' | 'YMD';
+
+/**
+ * The parts of a saved profile the mapping reads
+ */
+export interface MappingProfileLike {
+  sender_patterns?: string[] | null;
+  header_fingerprint?: string | null;
+  columns?: Record<string, string> | null;
+  value_translations?: Record<string, Record<string, string>> | null;
+  date_format?: DateFormat | string | null;
+  default_warehouse?: string | null;
+  supplier_name?: string | null;
+}
+
+export const MAPPING_FIELDS: Array<{ field: string; label: string }>;
+export const DATE_FORMATS: Array<{ value: DateFormat; label: string }>;
+export const SCHEDULE_STATUSES: string[];
+
+export function normaliseHeader(header: unknown): string;
+export function headerFingerprint(headers?: unknown[]): string;
+export function suggestColumns(headers?: unknown[]): Record<string, string>;
+export function guessStatus(text: unknown): string | null;
+export function senderAddress(sender: unknown): string;
+export function senderMatches(patterns: string[] | undefined, sender: unknown): boolean;
+export function selectProfile<T extends MappingProfileLike>(
+  profiles?: T[],
+  source?: { sender?: string | null; headers?: unknown[] }
+): { profile: T; matchedBy: 'sender' | 'headers' } | null;
+export function parseDateValue(value: unknown, format?: DateFormat | string | null): string | null;
+export function applyMapping(row?: AnyRecord, profile?: MappingProfileLike | null): AnyRecord;
+
+declare const importMapping: Record<string, any>;
+export default importMapping;
@@ -0,0 +1,310 @@
+/**
+ * Spreadsheet import mapping profiles
+ *
+ * Every supplier's schedule has its own headers, date format and status
+ * wording. A mapping profile, saved per supplier or sender address, says
+ * which column holds which shipment field, how values translate (e.g.
+ * "On water" to in_transit_seaway), how dates are written and which
+ * warehouse to use when the sheet names none. A profile is picked by the
+ * sender's address or by the sheet's header fingerprint; without one,
+ * columns are guessed from common header names.
+ */
+
+import { getWeekNumber, getWeekStartDate } from './dateUtils.js';
+
+// Shipment fields a column can map to, in display order
+export const MAPPING_FIELDS = [
+  { field: 'orderRef', label: 'Order Ref' },
+  { field: 'supplier', label: 'Supplier' },
+  { field: 'productName', label: 'Product' },
+  { field: 'quantity', label: 'Quantity' },
+  { field: 'palletQty', label: 'Pallets' },
+  { field: 'cbm', label: 'CBM' },
+  { field: 'latestStatus', label: 'Status' },
+  { field: 'weekNumber', label: 'Week' },
+  { field: 'etaDate', label: 'ETA / Delivery Date' },
+  { field: 'finalPod', label: 'Final POD' },
+  { field: 'receivingWarehouse', label: 'Receiving Warehouse' },
+  { field: 'forwardingAgent', label: 'Forwarding Agent' },
+  { field: 'vesselName', label: 'Vessel' },
+  { field: 'incoterm', label: 'Incoterm' },
+  { field: 'notes', label: 'Notes' },
+];
+
+export const DATE_FORMATS = [
+  { value: 'auto', label: 'Detect (year first, else day first)' },
+  { value: 'DMY', label: 'DD/MM/YYYY' },
+  { value: 'MDY', label: 'MM/DD/YYYY' },
+  { value: 'YMD', label: 'YYYY/MM/DD' },
+];
+
+// Header names tried when a sheet has no profile; whole names are matched
+// before partial ones, so "Pallet Qty" isn't taken for "Qty"
+const HEADER_SYNONYMS = {
+  orderRef: ['order/ref', 'order ref', 'order', 'po number', 'po', 'reference number', 'booking ref', 'reference'],
+  supplier: ['supplier', 'supplier name', 'vendor', 'shipper', 'company'],
+  productName: ['product name', 'product', 'description', 'item', 'material'],
+  palletQty: ['pallet qty', 'pallet quantity', 'pallets', 'pallet count'],
+  quantity: ['quantity', 'qty', 'units', 'amount', 'weight', 'tonnage'],
+  cbm: ['cbm', 'volume', 'cubic meters'],
+  latestStatus: ['latest status', 'status', 'current status', 'shipment status', 'state'],
+  weekNumber: ['week number', 'week', 'eta week', 'arrival week'],
+  etaDate: ['eta date', 'eta', 'delivery date', 'delivery dates', 'del date', 'estimated arrival', 'arrival date', 'expected arrival'],
+  finalPod: ['final pod', 'pod', 'destination', 'final destination'],
+  receivingWarehouse: ['receiving warehouse', 'warehouse', 'destination warehouse'],
+  forwardingAgent: ['forwarding agent', 'agent', 'forwarder', 'logistics provider', 'carrier'],
+  vesselName: ['vessel name', 'vessel'],
+  incoterm: ['incoterm', 'incoterms'],
+  notes: ['notes', 'comments', 'remarks'],
+};
+
+// Schedule wording for pre-arrival statuses, most specific first. Unloading,
+// inspection and receiving are recorded by the warehouse, not suppliers.
+const STATUS_WORDING = [
+  ['cancelled', ['cancel']],
+  ['delayed_customs', ['delayed customs', 'customs delay']],
+  ['delayed_documents', ['delayed documents', 'document delay']],
+  ['delayed_supplier', ['delayed supplier', 'supplier delay']],
+  ['delayed_port', ['delayed', 'delay']],
+  ['planned_seafreight', ['planned seafreight', 'planned sea']],
+  ['planned_airfreight', ['planned airfreight', 'planned air', 'planned', 'scheduled', 'booked']],
+  ['in_transit_roadway', ['in transit roadway', 'roadway', 'by road']],
+  ['in_transit_airfreight', ['in transit airfreight', 'airfreight', 'by air']],
+  ['in_transit_seaway', ['in transit seaway', 'in transit', 'on water', 'shipped', 'sailing', 'en route']],
+  ['moored', ['moored']],
+  ['berth_working', ['berth working', 'discharging']],
+  ['berth_complete', ['berth complete', 'discharged']],
+  ['gated_in_port', ['gated in port', 'gated in', 'at port', 'docked']],
+  ['arrived_klm', ['arrived klm', 'klapmuts']],
+  ['arrived_offsite', ['arrived offsite', 'offsite']],
+  ['arrived_pta', ['arrived pta', 'pretoria', 'arrived', 'delivered']],
+];
+
+// Statuses a supplier or forwarder can report
+export const SCHEDULE_STATUSES = STATUS_WORDING.map(([status]) => status);
+
+const NUMERIC_FIELDS = ['quantity', 'palletQty', 'cbm'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Header as compared between sheets: lower case, single spaces
+ */
+export const normaliseHeader = (header) =>
+  String(header ?? '').toLowerCase().replace(/[_\s]+/g, ' ').trim();
+
+/**
+ * Order-independent key for a sheet's headers, so the same layout is
+ * recognised when columns move
+ */
+export const headerFingerprint = (headers = []) =>
+  [...new Set(headers.map(normaliseHeader).filter(Boolean))].sort().join('|');
+
+/**
+ * Best-guess column mapping from header names: { normalisedHeader: field }
+ */
+export const suggestColumns = (headers = []) => {
+  const remaining = [...new Set(headers.map(normaliseHeader).filter(Boolean))];
+  const columns = {};
+  const assign = (matches) => {
+    Object.entries(HEADER_SYNONYMS).forEach(([field, synonyms]) => {
+      if (Object.values(columns).includes(field)) return;
+      for (const synonym of synonyms) {
+        const header = remaining.find(h => matches(h, synonym));
+        if (header) {
+          columns[header] = field;
+          remaining.splice(remaining.indexOf(header), 1);
+          return;
+        }
+      }
+    });
+  };
+  assign((header, synonym) => header === synonym);
+  assign((header, synonym) => header.includes(synonym));
+  return columns;
+};
+
+/**
+ * Schedule status wording to a shipment status, or null if unrecognised
+ */
+export const guessStatus = (text) => {
+  if (isBlank(text)) return null;
+  const wording = String(text).toLowerCase().replace(/_/g, ' ');
+  const match = STATUS_WORDING.find(([, phrases]) => phrases.some(phrase => wording.includes(phrase)));
+  return match ? match[0] : null;
+};
+
+/**
+ * The address in a From header ("Ops <ops@acme.co.za>" -> "ops@acme.co.za")
+ */
+export const senderAddress = (sender) => {
+  if (isBlank(sender)) return '';
+  const text = String(sender);
+  const bracketed = text.match(/<([^>]+)>/);
+  return (bracketed ? bracketed[1] : text).trim().toLowerCase();
+};
+
+/**
+ * Whether a sender matches a profile's patterns: a full address, or a
+ * domain written "@acme.co.za" or "acme.co.za"
+ */
+export const senderMatches = (patterns = [], sender) => {
+  const address = senderAddress(sender);
+  if (!address) return false;
+  const domain = address.split('@')[1] || '';
+  return patterns.some(pattern => {
+    const p = String(pattern || '').trim().toLowerCase();
+    if (!p) return false;
+    if (p.includes('@') && !p.startsWith('@')) return p === address;
+    return domain === p.replace(/^@/, '');
+  });
+};
+
+/**
+ * The profile for an import: the one naming the sender's address, then one
+ * naming its domain, then one saved from a sheet with the same headers
+ */
+export const selectProfile = (profiles = [], { sender, headers } = {}) => {
+  const address = senderAddress(sender);
+  if (address) {
+    const exact = profiles.find(p => (p.sender_patterns || []).some(s => String(s).trim().toLowerCase() === address));
+    if (exact) return { profile: exact, matchedBy: 'sender' };
+    const byDomain = profiles.find(p => senderMatches(p.sender_patterns || [], address));
+    if (byDomain) return { profile: byDomain, matchedBy: 'sender' };
+  }
+  if (headers?.length) {
+    const fingerprint = headerFingerprint(headers);
+    const byHeaders = profiles.find(p => p.header_fingerprint && p.header_fingerprint === fingerprint);
+    if (byHeaders) return { profile: byHeaders, matchedBy: 'headers' };
+  }
+  return null;
+};
+
+// "1 234,56" -> 1234.56 ; "2,5" -> 2.5 ; "1,234.56" -> 1234.56
+const parseNumber = (value) => {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  let s = String(value).trim().replace(/\s+/g, '');
+  if (s.includes('.') && s.includes(',')) s = s.replace(/,/g, '');
+  else if (!s.includes('.') && s.includes(',')) s = s.replace(',', '.');
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+};
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * A cell as a YYYY-MM-DD date: Date objects, Excel serial numbers and text
+ * in the profile's format
+ */
+export const parseDateValue = (value, format = 'auto') => {
+  if (isBlank(value)) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : isoDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+  }
+  if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(String(value).trim())) {
+    const serial = Number(value);
+    if (serial < 30000 || serial > 60000) return null;
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000).toISOString().slice(0, 10);
+  }
+
+  const text = String(value).trim();
+  const yearFirst = text.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/);
+  if (yearFirst && format !== 'DMY' && format !== 'MDY') {
+    return isoDate(Number(yearFirst[1]), Number(yearFirst[2]), Number(yearFirst[3]));
+  }
+  const yearLast = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (yearLast && format !== 'YMD') {
+    const [, a, b, y] = yearLast.map(Number);
+    const year = y < 100 ? 2000 + y : y;
+    return format === 'MDY' ? isoDate(year, a, b) : isoDate(year, b, a);
+  }
+
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : isoDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+};
+
+// Translation for a cell, matched on its trimmed lower-case text
+const translate = (profile, field, raw) => {
+  const translations = profile?.value_translations?.[field];
+  if (!translations) return undefined;
+  const key = String(raw).trim().toLowerCase();
+  const match = Object.entries(translations).find(([from]) => from.trim().toLowerCase() === key);
+  return match ? match[1] : undefined;
+};
+
+const convert = (field, raw, profile) => {
+  if (NUMERIC_FIELDS.includes(field)) return parseNumber(raw);
+  switch (field) {
+    case 'weekNumber': {
+      const week = parseNumber(raw);
+      if (week !== null && week >= 1 && week <= 53) return week;
+      const date = parseDateValue(raw, profile?.date_format);
+      return date ? getWeekNumber(new Date(`${date}T00:00:00`)) : week;
+    }
+    case 'etaDate':
+      return parseDateValue(raw, profile?.date_format);
+    case 'latestStatus':
+      return guessStatus(raw);
+    case 'receivingWarehouse':
+      return String(raw).trim().toUpperCase();
+    default:
+      return String(raw).trim();
+  }
+};
+
+/**
+ * Map one sheet row ({ header: cell }) to a bulk import row (camelCase)
+ * with a profile, or with the suggested columns when there is none. The
+ * ETA sets the week and week date; the profile's default warehouse and
+ * supplier fill blanks.
+ */
+export const applyMapping = (row = {}, profile = null) => {
+  const headers = Object.keys(row);
+  const columns = profile?.columns || suggestColumns(headers);
+  const shipment = {};
+
+  headers.forEach(header => {
+    const field = columns[normaliseHeader(header)];
+    const raw = row[header];
+    if (!field || isBlank(raw) || shipment[field] !== undefined) return;
+    const translated = translate(profile, field, raw);
+    const value = translated !== undefined ? translated : convert(field, raw, profile);
+    if (value !== null && value !== '') shipment[field] = value;
+  });
+
+  if (shipment.etaDate) {
+    if (!shipment.weekNumber) shipment.weekNumber = getWeekNumber(new Date(`${shipment.etaDate}T00:00:00`));
+    shipment.selectedWeekDate = shipment.etaDate;
+  } else if (shipment.weekNumber >= 1 && shipment.weekNumber <= 53) {
+    shipment.selectedWeekDate = getWeekStartDate(shipment.weekNumber).toISOString().slice(0, 10);
+  }
+  delete shipment.etaDate;
+
+  if (!shipment.receivingWarehouse && profile?.default_warehouse) {
+    shipment.receivingWarehouse = profile.default_warehouse;
+  }
+  if (!shipment.supplier && profile?.supplier_name) {
+    shipment.supplier = profile.supplier_name;
+  }
+  return shipment;
+};
+
+export default {
+  MAPPING_FIELDS,
+  DATE_FORMATS,
+  SCHEDULE_STATUSES,
+  normaliseHeader,
+  headerFingerprint,
+  suggestColumns,
+  guessStatus,
+  senderAddress,
+  senderMatches,
+  selectProfile,
+  parseDateValue,
+  applyMapping,
+};
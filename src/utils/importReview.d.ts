@@ -0,0 +1,41 @@
+/**
+ * Type declarations for the shared emailed schedule review helpers
+ * (importReview.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type ReviewAction = 'create' | 'update' | 'unchanged' | 'invalid';
+export type ReviewStatus = 'pending' | 'applied' | 'rejected' | 'superseded';
+
+export interface ImportChange {
+  field: string;
+  label: string;
+  from: any;
+  to: any;
+}
+
+export const IMPORT_FIELDS: Array<{ field: string; label: string }>;
+export const REVIEW_ACTIONS: Array<{ value: ReviewAction; label: string }>;
+export const REVIEW_STATUSES: Array<{ value: ReviewStatus; label: string }>;
+export const IMPORT_WAREHOUSES: string[];
+
+export function reviewActionLabel(action: string | null | undefined): string;
+export function reviewStatusLabel(status: string | null | undefined): string;
+export function validateImportFields(
+  row?: AnyRecord,
+  options?: { partial?: boolean }
+): Array<{ field: string; message: string }>;
+export function validateImportRow(row?: AnyRecord, options?: { partial?: boolean }): string[];
+export function diffImportRow(incoming?: AnyRecord, existing?: AnyRecord | null): ImportChange[];
+export function classifyImportRow(
+  incoming?: AnyRecord,
+  existing?: AnyRecord | null,
+  options?: { partial?: boolean }
+): { action: ReviewAction; changes: ImportChange[]; errors: string[] };
+export function importChanges(changes?: ImportChange[]): Record<string, any>;
+export function emailSourceLabel(source: AnyRecord | null | undefined): string;
+
+declare const importReview: Record<string, any>;
+export default importReview;
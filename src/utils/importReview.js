@@ -0,0 +1,147 @@
+/**
+ * Emailed schedule review
+ *
+ * Rows read from schedules emailed to the import mailbox are not written
+ * straight to the shipments table. Each is checked with the same rules as a
+ * spreadsheet upload, matched to the existing shipment by order ref and
+ * staged with the fields it would change. A planner approves, edits or
+ * rejects each row; approved rows go through the same create and update
+ * paths as the rest of the app.
+ */
+
+import { MERGE_FIELDS, readField, sameValue } from './shipmentConflicts.js';
+
+// Fields an emailed row can set, in display order. The order ref is what
+// rows are matched on, so it is never changed by an import.
+const IMPORTABLE = [
+  'supplier', 'productName', 'quantity', 'palletQty', 'cbm', 'latestStatus',
+  'weekNumber', 'selectedWeekDate', 'finalPod', 'receivingWarehouse',
+  'forwardingAgent', 'vesselName', 'incoterm', 'notes',
+];
+
+export const IMPORT_FIELDS = MERGE_FIELDS.filter(f => IMPORTABLE.includes(f.field));
+
+export const REVIEW_ACTIONS = [
+  { value: 'create', label: 'New shipment' },
+  { value: 'update', label: 'Changes' },
+  { value: 'unchanged', label: 'No change' },
+  { value: 'invalid', label: 'Invalid' },
+];
+
+// Superseded rows were still pending when a later email sent the same order ref
+export const REVIEW_STATUSES = [
+  { value: 'pending', label: 'Awaiting review' },
+  { value: 'applied', label: 'Applied' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'superseded', label: 'Superseded' },
+];
+
+// Same list the spreadsheet upload checks against
+export const IMPORT_WAREHOUSES = ['PRETORIA', 'KLAPMUTS', 'OFFSITE'];
+
+const DATE_FIELDS = ['selectedWeekDate'];
+
+const labelFor = (list, value) => list.find(item => item.value === value)?.label || value || '-';
+
+export const reviewActionLabel = (action) => labelFor(REVIEW_ACTIONS, action);
+export const reviewStatusLabel = (status) => labelFor(REVIEW_STATUSES, status);
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Dates compare by day; the database hands back midnight timestamps
+const normalise = (field, value) => {
+  if (isBlank(value) || !DATE_FIELDS.includes(field)) return value;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? value : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Problems that stop a row being applied, using the spreadsheet upload's
+ * rules: supplier and order ref required, a positive quantity, pallets not
+ * negative, week 1-53 and a known receiving warehouse. Each names the field
+ * at fault, so a preview can point at the sheet column it came from.
+ * Partial rows (updates read from an email's text) carry only the fields
+ * they change, so only those are checked.
+ */
+export const validateImportFields = (row = {}, { partial = false } = {}) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (!partial) {
+    if (isBlank(row.supplier)) fail('supplier', 'Supplier is required');
+    if (isBlank(row.orderRef)) fail('orderRef', 'Order Reference is required');
+  }
+  if ((!partial || !isBlank(row.quantity)) && !(Number(row.quantity) > 0)) fail('quantity', 'Quantity must be greater than 0');
+  if (!isBlank(row.palletQty) && Number(row.palletQty) < 0) fail('palletQty', 'Pallet Quantity cannot be negative');
+  if (!isBlank(row.weekNumber)) {
+    const week = Number(row.weekNumber);
+    if (!Number.isInteger(week) || week < 1 || week > 53) fail('weekNumber', 'Week Number must be between 1 and 53');
+  }
+  if (!isBlank(row.receivingWarehouse) && !IMPORT_WAREHOUSES.includes(String(row.receivingWarehouse).trim().toUpperCase())) {
+    fail('receivingWarehouse', `Warehouse must be one of: ${IMPORT_WAREHOUSES.join(', ')}`);
+  }
+  return errors;
+};
+
+export const validateImportRow = (row = {}, options = {}) => validateImportFields(row, options).map(error => error.message);
+
+/**
+ * Fields the emailed row would change on the existing shipment (camelCase or
+ * snake_case record). Blank cells leave the shipment's value alone.
+ */
+export const diffImportRow = (incoming = {}, existing) =>
+  IMPORT_FIELDS.flatMap(({ field, label }) => {
+    const to = normalise(field, incoming[field]);
+    if (isBlank(to)) return [];
+    const from = existing ? normalise(field, readField(existing, field)) : undefined;
+    if (existing && sameValue(from, to)) return [];
+    return [{ field, label, from: from ?? null, to }];
+  });
+
+/**
+ * What approving the row would do: create a shipment, update the one with
+ * its order ref, nothing, or nothing until its errors are fixed. A partial
+ * row only ever updates, so it is invalid until matched to a shipment.
+ */
+export const classifyImportRow = (incoming = {}, existing = null, { partial = false } = {}) => {
+  const errors = validateImportRow(incoming, { partial });
+  if (partial && !existing) errors.push('No shipment matches the order ref, container or BOL number');
+  const changes = diffImportRow(incoming, existing);
+  let action = 'update';
+  if (errors.length) action = 'invalid';
+  else if (!existing) action = 'create';
+  else if (!changes.length) action = 'unchanged';
+  return { action, changes, errors };
+};
+
+/**
+ * The update to send for a row's changes, keyed by camelCase field
+ */
+export const importChanges = (changes = []) =>
+  Object.fromEntries(changes.map(change => [change.field, change.to]));
+
+/**
+ * "Subject" from sender, for showing where a shipment or row came from
+ */
+export const emailSourceLabel = (source) => {
+  if (!source) return '-';
+  const subject = source.email_subject ?? source.emailSubject;
+  const from = source.email_from ?? source.emailFrom;
+  const parts = [subject ? `"${subject}"` : 'No subject'];
+  if (from) parts.push(`from ${from}`);
+  return parts.join(' ');
+};
+
+export default {
+  IMPORT_FIELDS,
+  REVIEW_ACTIONS,
+  REVIEW_STATUSES,
+  IMPORT_WAREHOUSES,
+  reviewActionLabel,
+  reviewStatusLabel,
+  validateImportFields,
+  validateImportRow,
+  diffImportRow,
+  classifyImportRow,
+  importChanges,
+  emailSourceLabel,
+};
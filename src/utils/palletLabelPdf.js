@@ -0,0 +1,103 @@
+/**
+ * PDF generation for pallet labels
+ * Lays a shipment's labels out on the warehouse template's label stock, each
+ * with a Code 128 barcode of the label code
+ */
+import { jsPDF } from 'jspdf';
+import { code128Bars, labelFieldValues, labelSheet, normalizeTemplate } from './palletLabels';
+
+const NAVY = [15, 23, 42];
+const MUTED = [100, 116, 139];
+
+/**
+ * Draw a Code 128 barcode fitted to the given width, centred on x
+ */
+const drawBarcode = (doc, text, centreX, y, maxWidth, height) => {
+  const barcode = code128Bars(text);
+  if (!barcode) return;
+  // 10 modules of quiet zone each side
+  const module = Math.min(0.5, maxWidth / (barcode.width + 20));
+  const left = centreX - (barcode.width * module) / 2;
+  doc.setFillColor(0, 0, 0);
+  for (const bar of barcode.bars) {
+    doc.rect(left + bar.x * module, y, bar.width * module, height, 'F');
+  }
+};
+
+const drawLabel = (doc, slot, label, shipment, template) => {
+  const pad = Math.max(3, slot.width * 0.05);
+  const innerWidth = slot.width - pad * 2;
+  const centreX = slot.x + slot.width / 2;
+  const compact = slot.height < 100;
+  let y = slot.y + pad;
+
+  // Header: template text on the left, pallet n of N on the right
+  doc.setTextColor(...NAVY);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(compact ? 9 : 12);
+  if (template.headerText) doc.text(template.headerText, slot.x + pad, y + 4);
+  doc.text(`Pallet ${label.pallet_no} of ${label.pallet_count}`, slot.x + slot.width - pad, y + 4, { align: 'right' });
+  y += compact ? 6 : 8;
+  doc.setDrawColor(...NAVY);
+  doc.line(slot.x + pad, y, slot.x + slot.width - pad, y);
+  y += compact ? 4 : 6;
+
+  // Fields
+  const fields = labelFieldValues(label, shipment, template);
+  const rowHeight = compact ? 4.5 : 7;
+  const titleWidth = compact ? 22 : 28;
+  for (const field of fields) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(compact ? 7 : 9);
+    doc.setTextColor(...MUTED);
+    doc.text(field.title, slot.x + pad, y);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(compact ? 8 : 11);
+    doc.setTextColor(...NAVY);
+    const [line] = doc.splitTextToSize(field.value, innerWidth - titleWidth);
+    doc.text(line, slot.x + pad + titleWidth, y);
+    y += rowHeight;
+  }
+
+  // Barcode with the label code beneath it, filling what is left of the label
+  const textHeight = compact ? 4 : 6;
+  const barHeight = Math.max(8, Math.min(compact ? 14 : 30, slot.y + slot.height - pad - textHeight - y));
+  drawBarcode(doc, label.label_code, centreX, y, innerWidth, barHeight);
+  doc.setFont('courier', 'bold');
+  doc.setFontSize(compact ? 8 : 11);
+  doc.setTextColor(0, 0, 0);
+  doc.text(label.label_code, centreX, y + barHeight + textHeight - 1, { align: 'center' });
+};
+
+/**
+ * Build the labels PDF and download it as <GRN>-labels.pdf
+ *
+ * @param {object} params
+ *   shipment - the shipment row (snake_case, as returned by the API)
+ *   labels   - pallet_labels rows to print
+ *   template - the warehouse's label template
+ */
+export function generatePalletLabelsPDF({ shipment, labels, template }) {
+  const normalized = normalizeTemplate(template);
+  const sheet = labelSheet(normalized.size);
+  const doc = new jsPDF({
+    orientation: sheet.pageWidth > sheet.pageHeight ? 'landscape' : 'portrait',
+    unit: 'mm',
+    format: [sheet.pageWidth, sheet.pageHeight],
+  });
+
+  labels.forEach((label, i) => {
+    const slotIndex = i % sheet.slots.length;
+    if (i > 0 && slotIndex === 0) doc.addPage([sheet.pageWidth, sheet.pageHeight]);
+    const slot = sheet.slots[slotIndex];
+    if (sheet.slots.length > 1) {
+      // Cut guides between labels on a sheet
+      doc.setDrawColor(226, 232, 240);
+      doc.rect(slot.x, slot.y, slot.width, slot.height);
+    }
+    drawLabel(doc, slot, label, shipment, normalized);
+  });
+
+  const grn = (labels[0] && labels[0].grn_number) || shipment.grn_number || shipment.order_ref || 'pallet';
+  doc.save(`${grn}-labels.pdf`);
+}
@@ -0,0 +1,63 @@
+/**
+ * Type declarations for the shared pallet label helpers (palletLabels.js),
+ * so the TypeScript server can import the same module as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type LabelSize = '100x150' | '100x75' | 'A4';
+
+export interface LabelTemplate {
+  size: LabelSize;
+  headerText: string;
+  fields: string[];
+}
+
+export interface PalletLabelDraft {
+  palletNo: number;
+  palletCount: number;
+  labelCode: string;
+  quantity: number;
+  locationCode: string | null;
+}
+
+export const LABEL_SIZES: Record<LabelSize, {
+  label: string;
+  pageWidth: number;
+  pageHeight: number;
+  cols: number;
+  rows: number;
+}>;
+export const LABEL_FIELDS: Array<{ key: string; title: string }>;
+export const DEFAULT_TEMPLATE: LabelTemplate;
+
+export function normalizeTemplate(template: AnyRecord | null | undefined): LabelTemplate;
+export function labelSheet(size: string): {
+  label: string;
+  pageWidth: number;
+  pageHeight: number;
+  cols: number;
+  rows: number;
+  labelWidth: number;
+  labelHeight: number;
+  slots: Array<{ x: number; y: number; width: number; height: number }>;
+};
+export function palletLabelCode(grnNumber: string, palletNo: number): string;
+export function isPalletLabelCode(text: string | null | undefined): boolean;
+export function splitQuantity(quantity: number, pallets: number): number[];
+export function countedQuantities(palletQuantities: unknown, total: unknown): number[] | null;
+export function buildPalletLabels(
+  shipment: AnyRecord,
+  placements?: AnyRecord[],
+  palletQuantities?: number[] | null
+): PalletLabelDraft[];
+export function labelFieldValues(
+  label: AnyRecord,
+  shipment: AnyRecord,
+  template: AnyRecord | null | undefined
+): Array<{ key: string; title: string; value: string }>;
+export function code128Values(text: string): number[] | null;
+export function code128Bars(text: string): { bars: Array<{ x: number; width: number }>; width: number } | null;
+
+declare const palletLabels: Record<string, any>;
+export default palletLabels;
@@ -0,0 +1,234 @@
+/**
+ * Pallet labels for received stock
+ *
+ * When receiving completes each pallet of a shipment gets a label carrying
+ * the GRN number, order ref, product, batch/lot, its share of the quantity,
+ * the received date and the bin it was put away to, with a Code 128 barcode
+ * of the label code. The pallet_labels table keeps the labels so they can be
+ * reprinted; label_templates holds each warehouse's label size and fields.
+ * Scanning a label code (or an order ref) opens the shipment.
+ */
+
+// ─── Templates ───
+
+/**
+ * Label stock: a roll label per page, or an A4 sheet of labels
+ */
+export const LABEL_SIZES = {
+  '100x150': { label: '100 × 150 mm roll', pageWidth: 100, pageHeight: 150, cols: 1, rows: 1 },
+  '100x75': { label: '100 × 75 mm roll', pageWidth: 100, pageHeight: 75, cols: 1, rows: 1 },
+  A4: { label: 'A4 sheet (2 × 4)', pageWidth: 210, pageHeight: 297, cols: 2, rows: 4 },
+};
+
+export const LABEL_FIELDS = [
+  { key: 'grnNumber', title: 'GRN' },
+  { key: 'orderRef', title: 'Order Ref' },
+  { key: 'productName', title: 'Product' },
+  { key: 'batchLot', title: 'Batch/Lot' },
+  { key: 'quantity', title: 'Qty' },
+  { key: 'receivedDate', title: 'Received' },
+  { key: 'location', title: 'Location' },
+];
+
+export const DEFAULT_TEMPLATE = {
+  size: '100x150',
+  headerText: 'SYNERCORE',
+  fields: LABEL_FIELDS.map(f => f.key),
+};
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+/**
+ * A warehouse's template with defaults filled in and unknown sizes or fields
+ * dropped, keeping the order fields are listed in LABEL_FIELDS
+ */
+export const normalizeTemplate = (template) => {
+  const size = read(template, 'size');
+  const fields = read(template, 'fields');
+  const headerText = read(template, 'headerText');
+  return {
+    size: LABEL_SIZES[size] ? size : DEFAULT_TEMPLATE.size,
+    headerText: headerText === undefined || headerText === null ? DEFAULT_TEMPLATE.headerText : String(headerText),
+    fields: Array.isArray(fields)
+      ? LABEL_FIELDS.map(f => f.key).filter(key => fields.includes(key))
+      : [...DEFAULT_TEMPLATE.fields],
+  };
+};
+
+/**
+ * Where each label sits on its page for a label size, in mm
+ */
+export const labelSheet = (size) => {
+  const sheet = LABEL_SIZES[size] || LABEL_SIZES[DEFAULT_TEMPLATE.size];
+  const labelWidth = sheet.pageWidth / sheet.cols;
+  const labelHeight = sheet.pageHeight / sheet.rows;
+  const slots = [];
+  for (let row = 0; row < sheet.rows; row++) {
+    for (let col = 0; col < sheet.cols; col++) {
+      slots.push({ x: col * labelWidth, y: row * labelHeight, width: labelWidth, height: labelHeight });
+    }
+  }
+  return { ...sheet, labelWidth, labelHeight, slots };
+};
+
+// ─── Labels ───
+
+/**
+ * Label code for a pallet: GRN-20260302-004 pallet 3 gives GRN-20260302-004-P03
+ */
+export const palletLabelCode = (grnNumber, palletNo) =>
+  `${String(grnNumber || '').trim().toUpperCase()}-P${String(palletNo).padStart(2, '0')}`;
+
+/**
+ * Whether scanned or typed text looks like a pallet label code rather than
+ * an order ref or search term
+ */
+export const isPalletLabelCode = (text) => /^\S+-P\d{2,}$/i.test(String(text || '').trim());
+
+/**
+ * A quantity shared across pallets as evenly as whole units allow, the
+ * remainder going on the first pallets
+ */
+export const splitQuantity = (quantity, pallets) => {
+  const count = Math.max(1, Math.round(Number(pallets) || 0));
+  const total = Math.max(0, Math.round(Number(quantity) || 0));
+  const base = Math.floor(total / count);
+  return Array.from({ length: count }, (_, i) => base + (i < total % count ? 1 : 0));
+};
+
+/**
+ * Pallet quantities counted at receiving, when they add up to the quantity
+ * received; otherwise null so the quantity is shared evenly instead
+ */
+export const countedQuantities = (palletQuantities, total) => {
+  if (!Array.isArray(palletQuantities) || palletQuantities.length === 0) return null;
+  const quantities = palletQuantities.map(q => Number(q));
+  if (quantities.some(q => !Number.isInteger(q) || q < 0)) return null;
+  return quantities.reduce((sum, q) => sum + q, 0) === Math.round(Number(total) || 0) ? quantities : null;
+};
+
+/**
+ * One label per pallet of a received shipment. Pallets take the bins they
+ * were put away to in bin order; without placements every label shows the
+ * shipment's bin location. Quantities counted per pallet are kept when they
+ * still add up to the received quantity (they set the pallet count too).
+ */
+export const buildPalletLabels = (shipment, placements = [], palletQuantities = null) => {
+  const grnNumber = read(shipment, 'grnNumber');
+  const received = read(shipment, 'receivedQuantity');
+  const total = received !== null && received !== undefined ? received : read(shipment, 'quantity');
+  const counted = countedQuantities(palletQuantities, total);
+  const palletCount = counted ? counted.length : Math.round(Number(read(shipment, 'palletQty')) || 0) || 1;
+  const quantities = counted || splitQuantity(total, palletCount);
+
+  const bins = [];
+  for (const placement of placements || []) {
+    const pallets = Number(read(placement, 'pallets')) || 0;
+    for (let i = 0; i < pallets; i++) bins.push(read(placement, 'code'));
+  }
+  const fallback = read(shipment, 'binLocation') || null;
+
+  return quantities.map((quantity, i) => ({
+    palletNo: i + 1,
+    palletCount,
+    labelCode: palletLabelCode(grnNumber, i + 1),
+    quantity,
+    locationCode: bins[i] || fallback,
+  }));
+};
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+};
+
+/**
+ * The template's fields for one label, in order, as title/value pairs
+ */
+export const labelFieldValues = (label, shipment, template) => {
+  const values = {
+    grnNumber: read(label, 'grnNumber') || read(shipment, 'grnNumber'),
+    orderRef: read(shipment, 'orderRef'),
+    productName: read(shipment, 'productName'),
+    batchLot: read(label, 'batchLot') || read(shipment, 'batchLot'),
+    quantity: read(label, 'quantity'),
+    receivedDate: formatDate(read(shipment, 'receivingDate') || read(label, 'createdAt')),
+    location: read(label, 'locationCode'),
+  };
+  return normalizeTemplate(template).fields.map(key => ({
+    key,
+    title: LABEL_FIELDS.find(f => f.key === key).title,
+    value: values[key] === null || values[key] === undefined || values[key] === '' ? '-' : String(values[key]),
+  }));
+};
+
+// ─── Barcodes ───
+
+// Code 128 bar/space widths per symbol value, in modules; 106 is the stop
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+const START_B = 104;
+const STOP = 106;
+
+/**
+ * Code 128 (code set B) symbol values for printable ASCII text: start, data,
+ * check symbol and stop. Returns null for text it can't encode.
+ */
+export const code128Values = (text) => {
+  const value = String(text ?? '');
+  if (!value || /[^\x20-\x7e]/.test(value)) return null;
+  const data = [...value].map(c => c.charCodeAt(0) - 32);
+  const check = data.reduce((sum, v, i) => sum + v * (i + 1), START_B) % 103;
+  return [START_B, ...data, check, STOP];
+};
+
+/**
+ * Bars to draw for a Code 128 barcode, as offsets and widths in modules,
+ * with the total width in modules (quiet zones not included)
+ */
+export const code128Bars = (text) => {
+  const values = code128Values(text);
+  if (!values) return null;
+  const bars = [];
+  let x = 0;
+  for (const v of values) {
+    [...CODE128_PATTERNS[v]].forEach((w, i) => {
+      const width = Number(w);
+      if (i % 2 === 0) bars.push({ x, width });
+      x += width;
+    });
+  }
+  return { bars, width: x };
+};
+
+export default {
+  LABEL_SIZES,
+  LABEL_FIELDS,
+  DEFAULT_TEMPLATE,
+  normalizeTemplate,
+  labelSheet,
+  palletLabelCode,
+  isPalletLabelCode,
+  splitQuantity,
+  countedQuantities,
+  buildPalletLabels,
+  labelFieldValues,
+  code128Values,
+  code128Bars,
+};
@@ -0,0 +1,32 @@
+/**
+ * Type declarations for the shared receipt and backorder helpers
+ * (receipts.js), so the TypeScript server can import the same module as the
+ * React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type ReceiptCondition = 'good' | 'partly_damaged' | 'damaged';
+export type BackorderStatus = 'open' | 'fulfilled' | 'written_off';
+
+export interface ReceivingBalance {
+  ordered: number;
+  received: number;
+  outstanding: number;
+  over: number;
+  fillRate: number | null;
+}
+
+export const RECEIPT_CONDITIONS: Array<{ value: ReceiptCondition; label: string }>;
+export const RECEIPT_REASON_CODES: Array<{ value: string; label: string }>;
+export const BACKORDER_STATUSES: Array<{ value: BackorderStatus; label: string }>;
+
+export function normalizeReasonCodes(codes: unknown): string[];
+export function reasonLabel(code: string): string;
+export function receivedTotal(receipts: AnyRecord[] | null | undefined): number;
+export function receivingBalance(ordered: unknown, received: unknown): ReceivingBalance;
+export function shipmentBalance(shipment: AnyRecord | null | undefined): ReceivingBalance;
+export function fillRate(shipments: AnyRecord[] | null | undefined): number | null;
+
+declare const receipts: Record<string, any>;
+export default receipts;
@@ -0,0 +1,113 @@
+/**
+ * Receipts and backorders
+ *
+ * A shipment can arrive over several deliveries. Each one is a receipt in
+ * shipment_receipts with its quantity, pallets, condition and reason codes,
+ * and the shipment's received_quantity is their running total. When
+ * receiving completes short of the ordered quantity the balance is opened as
+ * a backorder against the supplier (supplier_backorders); deliveries that
+ * come in later draw it down until it is fulfilled or written off. Fill rate
+ * (received against ordered) feeds the supplier grade.
+ */
+
+export const RECEIPT_CONDITIONS = [
+  { value: 'good', label: 'Good' },
+  { value: 'partly_damaged', label: 'Partly damaged' },
+  { value: 'damaged', label: 'Damaged' },
+];
+
+export const RECEIPT_REASON_CODES = [
+  { value: 'short_shipped', label: 'Short shipped' },
+  { value: 'split_delivery', label: 'Split delivery' },
+  { value: 'damaged_in_transit', label: 'Damaged in transit' },
+  { value: 'quality_rejected', label: 'Rejected on quality' },
+  { value: 'wrong_product', label: 'Wrong product' },
+  { value: 'over_shipped', label: 'Over shipped' },
+];
+
+export const BACKORDER_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'fulfilled', label: 'Fulfilled' },
+  { value: 'written_off', label: 'Written off' },
+];
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const toQuantity = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Reason codes in list order, dropping unknown and repeated codes
+ */
+export const normalizeReasonCodes = (codes) => {
+  const list = Array.isArray(codes) ? codes : [];
+  return RECEIPT_REASON_CODES.map(r => r.value).filter(code => list.includes(code));
+};
+
+export const reasonLabel = (code) => RECEIPT_REASON_CODES.find(r => r.value === code)?.label || code;
+
+/**
+ * Quantity received over all of a shipment's receipts
+ */
+export const receivedTotal = (receipts) =>
+  (receipts || []).reduce((sum, receipt) => sum + (toQuantity(read(receipt, 'quantity')) || 0), 0);
+
+/**
+ * Received against ordered: what is still outstanding, any over-delivery and
+ * the fill rate as a whole percentage (null when nothing was ordered)
+ */
+export const receivingBalance = (ordered, received) => {
+  const o = Math.max(0, toQuantity(ordered) || 0);
+  const r = Math.max(0, toQuantity(received) || 0);
+  return {
+    ordered: o,
+    received: r,
+    outstanding: Math.max(0, o - r),
+    over: Math.max(0, r - o),
+    fillRate: o > 0 ? Math.min(100, Math.round((r / o) * 100)) : null,
+  };
+};
+
+/**
+ * A shipment's balance from its ordered and received quantities
+ */
+export const shipmentBalance = (shipment) =>
+  receivingBalance(read(shipment, 'quantity'), read(shipment, 'receivedQuantity'));
+
+/**
+ * Fill rate over several shipments, weighted by quantity: everything received
+ * (counting no more than was ordered per shipment) against everything ordered.
+ * Only shipments with an ordered and a received quantity count; null when
+ * there are none.
+ */
+export const fillRate = (shipments) => {
+  let ordered = 0;
+  let received = 0;
+  (shipments || []).forEach(shipment => {
+    const o = toQuantity(read(shipment, 'quantity'));
+    const r = toQuantity(read(shipment, 'receivedQuantity'));
+    if (!o || o <= 0 || r === null) return;
+    ordered += o;
+    received += Math.min(Math.max(r, 0), o);
+  });
+  return ordered > 0 ? Math.round((received / ordered) * 100) : null;
+};
+
+export default {
+  RECEIPT_CONDITIONS,
+  RECEIPT_REASON_CODES,
+  BACKORDER_STATUSES,
+  normalizeReasonCodes,
+  reasonLabel,
+  receivedTotal,
+  receivingBalance,
+  shipmentBalance,
+  fillRate,
+};
@@ -0,0 +1,137 @@
+/**
+ * Shipment version conflicts
+ *
+ * The server bumps a shipment's version on every change and returns it as the
+ * ETag. Updates send it back in If-Match; if someone else saved first the
+ * server answers 409 VERSION_CONFLICT with the current record. These helpers
+ * work out what each side changed so the user can merge instead of
+ * overwriting. Records may be camelCase (useShipments) or snake_case (raw API
+ * rows, as in the post-arrival workflow); changes are always camelCase.
+ */
+
+export const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+// Fields shown in the merge dialog, in display order. Changed fields not
+// listed here are still merged, labelled by their field name.
+export const MERGE_FIELDS = [
+  { field: 'orderRef', label: 'Order Ref' },
+  { field: 'supplier', label: 'Supplier' },
+  { field: 'productName', label: 'Product' },
+  { field: 'quantity', label: 'Quantity' },
+  { field: 'palletQty', label: 'Pallets' },
+  { field: 'cbm', label: 'CBM' },
+  { field: 'latestStatus', label: 'Status' },
+  { field: 'weekNumber', label: 'Week' },
+  { field: 'selectedWeekDate', label: 'Week Date' },
+  { field: 'finalPod', label: 'Final POD' },
+  { field: 'receivingWarehouse', label: 'Receiving Warehouse' },
+  { field: 'forwardingAgent', label: 'Forwarding Agent' },
+  { field: 'vesselName', label: 'Vessel' },
+  { field: 'incoterm', label: 'Incoterm' },
+  { field: 'notes', label: 'Notes' },
+  { field: 'receivingDate', label: 'Receiving Date' },
+  { field: 'reminderDate', label: 'Reminder Date' },
+  { field: 'reminderNote', label: 'Reminder Note' },
+  { field: 'sourceWarehouse', label: 'Source Warehouse' },
+  { field: 'sourcePalletRef', label: 'Source Pallet Ref' },
+  { field: 'batchLot', label: 'Batch / Lot' },
+  { field: 'releaseNumber', label: 'Release Number' },
+  { field: 'inspectionStatus', label: 'Inspection' },
+  { field: 'inspectedBy', label: 'Inspected By' },
+  { field: 'receivingStatus', label: 'Receiving' },
+  { field: 'receivedBy', label: 'Received By' },
+  { field: 'receivedQuantity', label: 'Received Quantity' },
+];
+
+// Bookkeeping fields that are never merged
+const IGNORED_FIELDS = ['id', 'version', 'createdAt', 'updatedAt'];
+
+const toSnakeCase = (field) => field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+
+/**
+ * Read a camelCase field from a camelCase or snake_case record
+ */
+export const readField = (record, field) => {
+  if (!record) return undefined;
+  return record[field] !== undefined ? record[field] : record[toSnakeCase(field)];
+};
+
+/**
+ * If-Match header for the version of a shipment the user is editing.
+ * Empty when the version is unknown, which skips the server check.
+ */
+export const ifMatchHeader = (shipment) => {
+  const version = Number(readField(shipment, 'version'));
+  return Number.isInteger(version) && version > 0 ? { 'If-Match': `"${version}"` } : {};
+};
+
+/**
+ * The current server record from a 409 version conflict response body, or null
+ */
+export const getConflictRecord = (status, body) =>
+  (status === 409 && body?.code === VERSION_CONFLICT ? body.details?.current || null : null);
+
+// '' / null / undefined are equal; numbers compare by value ("12" === 12)
+const comparable = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value).trim();
+  return /^-?\d+(\.\d+)?$/.test(text) ? String(Number(text)) : text;
+};
+
+export const sameValue = (a, b) => comparable(a) === comparable(b);
+
+/**
+ * Three-way diff of an edit (changes) against the shipment it was made on
+ * (base) and the current server record (current). One row per field that
+ * either side changed, with the base, mine and theirs values; conflict is set
+ * when both sides changed a field to different values.
+ */
+export const diffShipmentChanges = (base, changes = {}, current) => {
+  const labels = new Map(MERGE_FIELDS.map(f => [f.field, f.label]));
+  const fields = [
+    ...MERGE_FIELDS.map(f => f.field),
+    ...Object.keys(changes).filter(field => !labels.has(field) && !IGNORED_FIELDS.includes(field)),
+  ];
+
+  return fields.flatMap(field => {
+    const baseValue = readField(base, field);
+    const theirs = readField(current, field);
+    const changedByMe = field in changes && !sameValue(changes[field], baseValue);
+    const changedByThem = !sameValue(theirs, baseValue);
+    if (!changedByMe && !changedByThem) return [];
+
+    return [{
+      field,
+      label: labels.get(field) || field,
+      base: baseValue,
+      mine: changedByMe ? changes[field] : undefined,
+      theirs,
+      changedByMe,
+      changedByThem,
+      conflict: changedByMe && changedByThem && !sameValue(changes[field], theirs),
+    }];
+  });
+};
+
+/**
+ * Changes to re-send on the current version: every field this user changed,
+ * except conflicting fields where they didn't choose to keep their value
+ * (choices: { [field]: 'mine' | 'theirs' }; conflicts default to theirs)
+ */
+export const mergeShipmentChanges = (rows, choices = {}) =>
+  Object.fromEntries(
+    rows
+      .filter(row => row.changedByMe && (!row.conflict || choices[row.field] === 'mine'))
+      .map(row => [row.field, row.mine])
+  );
+
+export default {
+  VERSION_CONFLICT,
+  MERGE_FIELDS,
+  readField,
+  ifMatchHeader,
+  getConflictRecord,
+  sameValue,
+  diffShipmentChanges,
+  mergeShipmentChanges,
+};
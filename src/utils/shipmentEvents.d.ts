@@ -0,0 +1,68 @@
+/**
+ * Type declarations for the shared shipment event helpers (shipmentEvents.js),
+ * so the TypeScript server can import the same module as the React app.
+ */
+
+export type ShipmentEventType =
+  | 'created'
+  | 'status_changed'
+  | 'eta_changed'
+  | 'document_uploaded'
+  | 'dock_assigned'
+  | 'inspection_result'
+  | 'gate_in'
+  | 'gate_out'
+  | 'put_away'
+  | 'stock_moved'
+  | 'labels_printed'
+  | 'receipt_recorded'
+  | 'backorder_opened'
+  | 'backorder_closed'
+  | 'claim_opened'
+  | 'claim_updated';
+
+export interface ShipmentChangeEvent {
+  event_type: ShipmentEventType;
+  from_value: string | null;
+  to_value: string | null;
+  details: Record<string, any> | null;
+}
+
+export interface StatusPeriod {
+  status: string;
+  actor: string | null;
+  enteredAt: string;
+  leftAt: string | null;
+  durationMs: number;
+  current: boolean;
+}
+
+export const SHIPMENT_EVENT_TYPES: {
+  CREATED: 'created';
+  STATUS_CHANGED: 'status_changed';
+  ETA_CHANGED: 'eta_changed';
+  DOCUMENT_UPLOADED: 'document_uploaded';
+  DOCK_ASSIGNED: 'dock_assigned';
+  INSPECTION_RESULT: 'inspection_result';
+  GATE_IN: 'gate_in';
+  GATE_OUT: 'gate_out';
+  PUT_AWAY: 'put_away';
+  STOCK_MOVED: 'stock_moved';
+  LABELS_PRINTED: 'labels_printed';
+  RECEIPT_RECORDED: 'receipt_recorded';
+  BACKORDER_OPENED: 'backorder_opened';
+  BACKORDER_CLOSED: 'backorder_closed';
+  CLAIM_OPENED: 'claim_opened';
+  CLAIM_UPDATED: 'claim_updated';
+};
+export const EVENT_LABELS: Record<ShipmentEventType, string>;
+
+export function formatEta(record: Record<string, any> | null | undefined): string | null;
+export function getChangeEvents(before: Record<string, any> | null | undefined, after: Record<string, any>): ShipmentChangeEvent[];
+export function getStatusPeriods(events: Array<Record<string, any>>, now?: Date | string): StatusPeriod[];
+export function getStatusEnteredDates(events: Array<Record<string, any>>): Record<string, string>;
+export function getTimeInStatus(events: Array<Record<string, any>>, now?: Date | string): Record<string, number>;
+export function formatDuration(ms: number): string;
+
+declare const shipmentEvents: Record<string, any>;
+export default shipmentEvents;
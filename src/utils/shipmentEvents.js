@@ -0,0 +1,208 @@
+/**
+ * Shipment event history
+ *
+ * Every status change, ETA change, document upload, dock assignment, yard
+ * gate-in/gate-out, inspection result, delivery received, backorder, put-away,
+ * stock move, pallet label print and supplier claim is recorded in the
+ * shipment_events table with who made it and when, and served at
+ * GET /api/shipments/:id/events. The server uses getChangeEvents to work out
+ * what an update changed; the timeline uses the rest to date milestones and
+ * show how long the shipment sat in each status.
+ */
+
+import { canonicalStatus } from './shipmentStateMachine.js';
+
+export const SHIPMENT_EVENT_TYPES = {
+  CREATED: 'created',
+  STATUS_CHANGED: 'status_changed',
+  ETA_CHANGED: 'eta_changed',
+  DOCUMENT_UPLOADED: 'document_uploaded',
+  DOCK_ASSIGNED: 'dock_assigned',
+  INSPECTION_RESULT: 'inspection_result',
+  GATE_IN: 'gate_in',
+  GATE_OUT: 'gate_out',
+  PUT_AWAY: 'put_away',
+  STOCK_MOVED: 'stock_moved',
+  LABELS_PRINTED: 'labels_printed',
+  RECEIPT_RECORDED: 'receipt_recorded',
+  BACKORDER_OPENED: 'backorder_opened',
+  BACKORDER_CLOSED: 'backorder_closed',
+  CLAIM_OPENED: 'claim_opened',
+  CLAIM_UPDATED: 'claim_updated',
+};
+
+const E = SHIPMENT_EVENT_TYPES;
+
+export const EVENT_LABELS = {
+  [E.CREATED]: 'Created',
+  [E.STATUS_CHANGED]: 'Status changed',
+  [E.ETA_CHANGED]: 'ETA changed',
+  [E.DOCUMENT_UPLOADED]: 'Document uploaded',
+  [E.DOCK_ASSIGNED]: 'Dock assigned',
+  [E.INSPECTION_RESULT]: 'Inspection result',
+  [E.GATE_IN]: 'Container gated in',
+  [E.GATE_OUT]: 'Container gated out',
+  [E.PUT_AWAY]: 'Put away',
+  [E.STOCK_MOVED]: 'Stock moved',
+  [E.LABELS_PRINTED]: 'Pallet labels printed',
+  [E.RECEIPT_RECORDED]: 'Delivery received',
+  [E.BACKORDER_OPENED]: 'Backorder opened',
+  [E.BACKORDER_CLOSED]: 'Backorder closed',
+  [E.CLAIM_OPENED]: 'Supplier claim opened',
+  [E.CLAIM_UPDATED]: 'Supplier claim updated',
+};
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const dateOnly = (value) => {
+  const time = toTime(value);
+  return time === null ? null : new Date(time).toISOString().split('T')[0];
+};
+
+/**
+ * A shipment's ETA as shown to users: the week number and, when picked, the
+ * arrival date. Null when neither is set.
+ */
+export const formatEta = (record) => {
+  const week = read(record, 'weekNumber');
+  const date = dateOnly(read(record, 'selectedWeekDate'));
+  if (!week && !date) return null;
+  if (!date) return `Week ${week}`;
+  return week ? `Week ${week} (${date})` : date;
+};
+
+const INSPECTION_RESULTS = ['passed', 'failed'];
+
+/**
+ * Events for an update, from the shipment before and after it was saved.
+ * Each is { event_type, from_value, to_value, details } ready for the actor
+ * and timestamp to be added when it is stored.
+ */
+export const getChangeEvents = (before, after) => {
+  const events = [];
+
+  const fromStatus = read(before, 'latestStatus') || null;
+  const toStatus = read(after, 'latestStatus') || null;
+  if (toStatus && fromStatus !== toStatus) {
+    events.push({ event_type: E.STATUS_CHANGED, from_value: fromStatus, to_value: toStatus, details: null });
+  }
+
+  const fromEta = formatEta(before);
+  const toEta = formatEta(after);
+  if (fromEta !== toEta) {
+    events.push({
+      event_type: E.ETA_CHANGED,
+      from_value: fromEta,
+      to_value: toEta,
+      details: {
+        weekNumber: read(after, 'weekNumber') ?? null,
+        selectedWeekDate: dateOnly(read(after, 'selectedWeekDate')),
+      },
+    });
+  }
+
+  const result = read(after, 'inspectionStatus');
+  if (INSPECTION_RESULTS.includes(result) && result !== read(before, 'inspectionStatus')) {
+    events.push({
+      event_type: E.INSPECTION_RESULT,
+      from_value: read(before, 'inspectionStatus') || null,
+      to_value: result,
+      details: {
+        inspectedBy: read(after, 'inspectedBy') || null,
+        notes: read(after, 'inspectionNotes') || null,
+      },
+    });
+  }
+
+  return events;
+};
+
+const byTime = (a, b) => (toTime(read(a, 'createdAt')) || 0) - (toTime(read(b, 'createdAt')) || 0);
+
+/**
+ * Each status the shipment has been in, oldest first:
+ * { status, actor, enteredAt, leftAt, durationMs, current }. The shipment enters a
+ * status when it is created or changed to it; the last one runs until `now`.
+ */
+export const getStatusPeriods = (events, now = new Date()) => {
+  const entries = (events || [])
+    .filter(event => {
+      const type = read(event, 'eventType');
+      return (type === E.CREATED || type === E.STATUS_CHANGED) && read(event, 'toValue') && toTime(read(event, 'createdAt')) !== null;
+    })
+    .sort(byTime);
+
+  return entries.map((event, i) => {
+    const next = entries[i + 1];
+    const enteredAt = toTime(read(event, 'createdAt'));
+    const leftAt = next ? toTime(read(next, 'createdAt')) : null;
+    return {
+      status: read(event, 'toValue'),
+      actor: read(event, 'actor') || null,
+      enteredAt: new Date(enteredAt).toISOString(),
+      leftAt: leftAt === null ? null : new Date(leftAt).toISOString(),
+      durationMs: Math.max(0, (leftAt === null ? toTime(now) : leftAt) - enteredAt),
+      current: !next,
+    };
+  });
+};
+
+/**
+ * When the shipment first entered each status it has been in (legacy
+ * statuses under the status that replaced them)
+ */
+export const getStatusEnteredDates = (events) => {
+  const dates = {};
+  getStatusPeriods(events).forEach(({ status, enteredAt }) => {
+    const key = canonicalStatus(status);
+    if (!dates[key]) dates[key] = enteredAt;
+  });
+  return dates;
+};
+
+/**
+ * Total time spent in each status, as { [status]: ms }
+ */
+export const getTimeInStatus = (events, now = new Date()) => {
+  const totals = {};
+  getStatusPeriods(events, now).forEach(({ status, durationMs }) => {
+    const key = canonicalStatus(status);
+    totals[key] = (totals[key] || 0) + durationMs;
+  });
+  return totals;
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Compact duration: "45m", "5h", "3d 4h"
+ */
+export const formatDuration = (ms) => {
+  if (!ms || ms < HOUR) return `${Math.max(0, Math.round((ms || 0) / 60000))}m`;
+  if (ms < DAY) return `${Math.floor(ms / HOUR)}h`;
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  return hours ? `${days}d ${hours}h` : `${days}d`;
+};
+
+export default {
+  SHIPMENT_EVENT_TYPES,
+  EVENT_LABELS,
+  formatEta,
+  getChangeEvents,
+  getStatusPeriods,
+  getStatusEnteredDates,
+  getTimeInStatus,
+  formatDuration,
+};
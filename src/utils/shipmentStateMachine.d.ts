@@ -0,0 +1,30 @@
+/**
+ * Type declarations for the shared shipment state machine (shipmentStateMachine.js),
+ * so the TypeScript server can import the same module as the React app.
+ */
+
+export type StatusTransitions = Record<string, string[]>;
+
+export interface StatusGuard {
+  description: string;
+  check: (record: Record<string, any>, from: string) => string | null;
+}
+
+export interface StatusGraph {
+  statuses: string[];
+  transitions: StatusTransitions;
+  guards: Record<string, string>;
+  aliases: Record<string, string>;
+}
+
+export const LEGACY_STATUS_ALIASES: Record<string, string>;
+export const STATUS_TRANSITIONS: StatusTransitions;
+export const STATUS_GUARDS: Record<string, StatusGuard>;
+
+export function canonicalStatus(status: string): string;
+export function getNextStatuses(status: string, graph?: StatusTransitions): string[];
+export function getTransitionError(from: string | null | undefined, to: string, record?: Record<string, any>): string | null;
+export function getStatusGraph(): StatusGraph;
+
+declare const shipmentStateMachine: Record<string, any>;
+export default shipmentStateMachine;
@@ -0,0 +1,164 @@
+/**
+ * Shipment status state machine
+ *
+ * The allowed status transitions and the fields each status requires. The
+ * server (server/controllers/ShipmentController.ts) rejects any status change
+ * not in this graph and serves it at GET /api/shipments/status-graph, so
+ * status pickers only offer valid next states.
+ */
+
+import {
+  ShipmentStatus as S,
+  ARRIVAL_STATUSES,
+  DELAYED_STATUSES,
+  PRE_ARRIVAL_STATUSES,
+  STATUS_LABELS,
+} from '../types/shipment.js';
+
+// Legacy status values still stored on older rows (and accepted by the API),
+// treated as the status they were replaced by
+export const LEGACY_STATUS_ALIASES = {
+  in_transit_seafreight: S.IN_TRANSIT_SEAWAY,
+  clearing_customs: S.GATED_IN_PORT,
+  in_warehouse: S.RECEIVED,
+  inspection_in_progress: S.INSPECTING,
+  receiving_goods: S.RECEIVING,
+};
+
+export const canonicalStatus = (status) => LEGACY_STATUS_ALIASES[status] || status;
+
+// Pre-arrival legs in order. A shipment moves forward along its leg, and may
+// skip stages that weren't tracked, but never back.
+const SEA_LEG = [S.PLANNED_SEAFREIGHT, S.IN_TRANSIT_SEAWAY, S.MOORED, S.BERTH_WORKING, S.BERTH_COMPLETE, S.GATED_IN_PORT, S.IN_TRANSIT_ROADWAY];
+const AIR_LEG = [S.PLANNED_AIRFREIGHT, S.IN_TRANSIT_AIRFREIGHT, S.AIR_CUSTOMS_CLEARANCE, S.IN_TRANSIT_ROADWAY];
+
+const laterInLeg = (status) => [...new Set(
+  [SEA_LEG, AIR_LEG].flatMap(leg => (leg.includes(status) ? leg.slice(leg.indexOf(status) + 1) : []))
+)];
+
+const others = (statuses, status) => statuses.filter(s => s !== status);
+
+// Post-arrival shipments can be amended back onto the shipping schedule when
+// the arrival was recorded in error
+const AMEND_TO_TRANSIT = [S.IN_TRANSIT_SEAWAY, S.IN_TRANSIT_AIRFREIGHT, S.IN_TRANSIT_ROADWAY];
+
+const preArrival = (status) => [...laterInLeg(status), ...ARRIVAL_STATUSES, ...DELAYED_STATUSES, S.CANCELLED];
+const arrived = (status) => [S.UNLOADING, ...others(ARRIVAL_STATUSES, status), ...AMEND_TO_TRANSIT];
+// A delay resumes wherever the shipment was
+const delayed = (status) => [...PRE_ARRIVAL_STATUSES, ...ARRIVAL_STATUSES, ...others(DELAYED_STATUSES, status), S.CANCELLED];
+
+/**
+ * Allowed next statuses for each status. Post-arrival steps are only reachable
+ * from an arrival status and follow the warehouse workflow in order; the admin
+ * skip to stored bypasses this graph.
+ */
+export const STATUS_TRANSITIONS = {
+  ...Object.fromEntries(PRE_ARRIVAL_STATUSES.map(status => [status, preArrival(status)])),
+  // Planned shipments can still switch between air and sea
+  [S.PLANNED_AIRFREIGHT]: [S.PLANNED_SEAFREIGHT, ...preArrival(S.PLANNED_AIRFREIGHT)],
+  [S.PLANNED_SEAFREIGHT]: [S.PLANNED_AIRFREIGHT, ...preArrival(S.PLANNED_SEAFREIGHT)],
+  ...Object.fromEntries(DELAYED_STATUSES.map(status => [status, delayed(status)])),
+  ...Object.fromEntries(ARRIVAL_STATUSES.map(status => [status, arrived(status)])),
+  [S.UNLOADING]: [S.INSPECTION_PENDING, ...AMEND_TO_TRANSIT],
+  [S.INSPECTION_PENDING]: [S.INSPECTING, ...AMEND_TO_TRANSIT],
+  [S.INSPECTING]: [S.INSPECTION_PASSED, S.INSPECTION_FAILED, ...AMEND_TO_TRANSIT],
+  [S.INSPECTION_FAILED]: [S.INSPECTING, S.ARCHIVED, ...AMEND_TO_TRANSIT],
+  [S.INSPECTION_PASSED]: [S.RECEIVING, ...AMEND_TO_TRANSIT],
+  [S.RECEIVING]: [S.RECEIVED, S.STORED, ...AMEND_TO_TRANSIT],
+  [S.RECEIVED]: [S.STORED, ...AMEND_TO_TRANSIT],
+  [S.STORED]: [S.ARCHIVED],
+  [S.CANCELLED]: [S.PLANNED_AIRFREIGHT, S.PLANNED_SEAFREIGHT, S.ARCHIVED],
+  [S.ARCHIVED]: [],
+};
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const label = (status) => STATUS_LABELS[status] || status;
+
+const RECEIVING_DONE = ['completed', 'partial', 'discrepancy'];
+
+/**
+ * Fields a shipment must have (after the update) to enter a status. Each
+ * check returns an error message, or null when the shipment qualifies.
+ */
+export const STATUS_GUARDS = {
+  [S.INSPECTION_PASSED]: {
+    description: 'Inspection result recorded as passed',
+    check: (record) => (read(record, 'inspectionStatus') === 'passed'
+      ? null
+      : 'Record a passed inspection result (Complete Inspection) before marking inspection passed'),
+  },
+  [S.INSPECTION_FAILED]: {
+    description: 'Inspection result recorded as failed',
+    check: (record) => (read(record, 'inspectionStatus') === 'failed'
+      ? null
+      : 'Record a failed inspection result (Complete Inspection) before marking inspection failed'),
+  },
+  [S.RECEIVED]: {
+    description: 'Receiving completed',
+    check: (record) => (RECEIVING_DONE.includes(read(record, 'receivingStatus'))
+      ? null
+      : 'Complete receiving before marking the shipment received'),
+  },
+  [S.STORED]: {
+    description: 'Receiving completed',
+    check: (record, from) => (from === S.RECEIVED || RECEIVING_DONE.includes(read(record, 'receivingStatus'))
+      ? null
+      : 'Complete receiving before storing the shipment'),
+  },
+};
+
+/**
+ * Statuses a shipment in `status` can move to. `graph` is the transitions map
+ * from the status-graph endpoint; defaults to the one defined here.
+ */
+export const getNextStatuses = (status, graph = STATUS_TRANSITIONS) =>
+  graph[canonicalStatus(status)] || [];
+
+/**
+ * Why a shipment can't move to `to`, or null if it can. `record` is the
+ * shipment as it will be after the update (current values plus changes), so
+ * fields set in the same update satisfy the guards. Keeping the same status is
+ * always allowed.
+ */
+export const getTransitionError = (from, to, record) => {
+  const source = canonicalStatus(from);
+  const target = canonicalStatus(to);
+  if (!from || source === target) return null;
+
+  if (!STATUS_TRANSITIONS[target]) return `Unknown shipment status "${to}"`;
+  // Rows left on a status that no longer exists can move anywhere
+  if (!STATUS_TRANSITIONS[source]) return null;
+
+  const allowed = getNextStatuses(source);
+  if (!allowed.includes(target)) {
+    return `A shipment can't go from ${label(source)} to ${label(target)}. ` +
+      (allowed.length > 0 ? `Allowed next statuses: ${allowed.map(label).join(', ')}` : `${label(source)} is a final status`);
+  }
+
+  return STATUS_GUARDS[target]?.check(record, source) || null;
+};
+
+/**
+ * The graph as served by GET /api/shipments/status-graph
+ */
+export const getStatusGraph = () => ({
+  statuses: Object.keys(STATUS_TRANSITIONS),
+  transitions: STATUS_TRANSITIONS,
+  guards: Object.fromEntries(Object.entries(STATUS_GUARDS).map(([status, guard]) => [status, guard.description])),
+  aliases: LEGACY_STATUS_ALIASES,
+});
+
+export default {
+  LEGACY_STATUS_ALIASES,
+  STATUS_TRANSITIONS,
+  STATUS_GUARDS,
+  canonicalStatus,
+  getNextStatuses,
+  getTransitionError,
+  getStatusGraph,
+};
@@ -0,0 +1,61 @@
+/**
+ * Type declarations for the shared storage location helpers
+ * (storageLocations.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type OccupiedLocation<L> = L & {
+  palletsStored: number;
+  freePallets: number;
+  occupied: boolean;
+  shipmentIds: string[];
+};
+
+export interface WarehouseUsage {
+  totalBins: number;
+  binsUsed: number;
+  availableBins: number;
+  palletCapacity: number;
+  palletsStored: number;
+  palletsPerBin: number;
+}
+
+export interface PalletAllocation {
+  locationId: number;
+  code: string | null;
+  pallets: number;
+}
+
+export interface LocationTreeZone<L> {
+  zone: string;
+  aisles: Array<{ aisle: number; bins: L[] }>;
+}
+
+export const LOCATION_RULES: {
+  defaultPalletsPerBin: number;
+  maxBinsPerAisle: number;
+  summaryLength: number;
+};
+
+export function normalizeZone(zone: string | null | undefined): string;
+export function locationCode(zone: string, aisle: number, bin: number): string;
+export function binCodes(zone: string, aisle: number, count: number, start?: number): Array<{ bin: number; code: string }>;
+export function buildLocationTree<L extends AnyRecord>(locations: L[]): LocationTreeZone<L>[];
+export function locationOccupancy<L extends AnyRecord>(locations: L[], placements: AnyRecord[]): OccupiedLocation<L>[];
+export function warehouseUsage(occupancy: AnyRecord[]): Record<string, WarehouseUsage>;
+export function suggestPutaway(
+  occupancy: AnyRecord[],
+  pallets: number,
+  options?: { startLocationId?: number | null }
+): { allocations: PalletAllocation[]; unplaced: number };
+export function palletsToTake(
+  placements: AnyRecord[],
+  pallets: number,
+  fromLocationId?: number | null
+): { takes: PalletAllocation[]; short: number };
+export function formatPlacements(placements: AnyRecord[]): string;
+
+declare const storageLocations: Record<string, any>;
+export default storageLocations;
@@ -0,0 +1,202 @@
+/**
+ * Storage locations for stored stock
+ *
+ * Each warehouse is laid out as zones, aisles and bins, and each bin holds a
+ * number of pallets. Pallets are put away to bins when receiving completes
+ * (server/controllers/ShipmentController.ts) and moved between bins and
+ * warehouses from Stored Stock; the stock_placements table records how many
+ * of a shipment's pallets sit in each bin. Bins used per warehouse is the
+ * number of occupied bins, worked out here for the capacity views and
+ * forecast rather than counted by hand.
+ */
+
+export const LOCATION_RULES = {
+  // A bin holds one pallet unless its location says otherwise
+  defaultPalletsPerBin: 1,
+  maxBinsPerAisle: 99,
+  // shipments.bin_location is VARCHAR(50)
+  summaryLength: 50,
+};
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ─── Location codes ───
+
+/**
+ * Zone in its stored form: 1-3 upper-case letters or digits
+ */
+export const normalizeZone = (zone) => String(zone || '').trim().toUpperCase();
+
+/**
+ * Location code for a bin: zone "A", aisle 1, bin 3 gives A-01-03
+ */
+export const locationCode = (zone, aisle, bin) => `${normalizeZone(zone)}-${pad(aisle)}-${pad(bin)}`;
+
+/**
+ * Codes for a run of bins along an aisle: zone "A", aisle 2 with 3 bins gives
+ * A-02-01, A-02-02, A-02-03
+ */
+export const binCodes = (zone, aisle, count, start = 1) =>
+  Array.from({ length: Math.max(0, count) }, (_, i) => ({ bin: start + i, code: locationCode(zone, aisle, start + i) }));
+
+const compareLocations = (a, b) =>
+  String(read(a, 'warehouse') || '').localeCompare(String(read(b, 'warehouse') || ''))
+  || String(read(a, 'zone')).localeCompare(String(read(b, 'zone')), undefined, { numeric: true })
+  || Number(read(a, 'aisle')) - Number(read(b, 'aisle'))
+  || Number(read(a, 'bin')) - Number(read(b, 'bin'));
+
+/**
+ * A warehouse's locations laid out for the bin map: zones in order, each with
+ * its aisles in order and the bins along each aisle
+ */
+export const buildLocationTree = (locations) => {
+  const zones = new Map();
+  for (const location of [...(locations || [])].sort(compareLocations)) {
+    const zone = read(location, 'zone');
+    const aisle = Number(read(location, 'aisle'));
+    if (!zones.has(zone)) zones.set(zone, new Map());
+    const aisles = zones.get(zone);
+    if (!aisles.has(aisle)) aisles.set(aisle, []);
+    aisles.get(aisle).push(location);
+  }
+  return [...zones.entries()].map(([zone, aisles]) => ({
+    zone,
+    aisles: [...aisles.entries()].map(([aisle, bins]) => ({ aisle, bins })),
+  }));
+};
+
+// ─── Occupancy ───
+
+/**
+ * Locations with what is stored in them: pallets stored, free pallet spaces,
+ * whether the bin is occupied and the shipments in it
+ */
+export const locationOccupancy = (locations, placements) => {
+  const stored = new Map();
+  for (const placement of placements || []) {
+    const locationId = Number(read(placement, 'locationId'));
+    const pallets = Number(read(placement, 'pallets')) || 0;
+    if (pallets <= 0) continue;
+    if (!stored.has(locationId)) stored.set(locationId, { pallets: 0, shipmentIds: [] });
+    const entry = stored.get(locationId);
+    entry.pallets += pallets;
+    entry.shipmentIds.push(read(placement, 'shipmentId'));
+  }
+
+  return [...(locations || [])].sort(compareLocations).map(location => {
+    const capacity = Number(read(location, 'capacityPallets')) || LOCATION_RULES.defaultPalletsPerBin;
+    const entry = stored.get(Number(location.id)) || { pallets: 0, shipmentIds: [] };
+    return {
+      ...location,
+      palletsStored: entry.pallets,
+      freePallets: Math.max(0, capacity - entry.pallets),
+      occupied: entry.pallets > 0,
+      shipmentIds: entry.shipmentIds,
+    };
+  });
+};
+
+/**
+ * Bins per warehouse from the locations' occupancy: total bins, bins used
+ * (occupied), bins available and the average pallets a bin holds
+ */
+export const warehouseUsage = (occupancy) => {
+  const usage = {};
+  for (const location of occupancy || []) {
+    const warehouse = read(location, 'warehouse');
+    if (!usage[warehouse]) usage[warehouse] = { totalBins: 0, binsUsed: 0, availableBins: 0, palletCapacity: 0, palletsStored: 0 };
+    const entry = usage[warehouse];
+    entry.totalBins++;
+    if (location.occupied) entry.binsUsed++;
+    entry.palletCapacity += Number(read(location, 'capacityPallets')) || LOCATION_RULES.defaultPalletsPerBin;
+    entry.palletsStored += location.palletsStored || 0;
+  }
+  for (const entry of Object.values(usage)) {
+    entry.availableBins = entry.totalBins - entry.binsUsed;
+    entry.palletsPerBin = entry.totalBins ? Math.round((entry.palletCapacity / entry.totalBins) * 100) / 100 : LOCATION_RULES.defaultPalletsPerBin;
+  }
+  return usage;
+};
+
+// ─── Put-away and moves ───
+
+/**
+ * Bins to put a number of pallets away to, filling bins in location order.
+ * When a starting location is given the run starts there and wraps round.
+ * Returns the allocations and any pallets there was no room for.
+ */
+export const suggestPutaway = (occupancy, pallets, options = {}) => {
+  const candidates = (occupancy || []).filter(location => location.freePallets > 0);
+  const startIndex = options.startLocationId
+    ? candidates.findIndex(location => Number(location.id) === Number(options.startLocationId))
+    : -1;
+  const ordered = startIndex > 0 ? [...candidates.slice(startIndex), ...candidates.slice(0, startIndex)] : candidates;
+
+  const allocations = [];
+  let remaining = Math.max(0, Math.round(Number(pallets) || 0));
+  for (const location of ordered) {
+    if (remaining <= 0) break;
+    const take = Math.min(location.freePallets, remaining);
+    allocations.push({ locationId: Number(location.id), code: location.code, pallets: take });
+    remaining -= take;
+  }
+  return { allocations, unplaced: remaining };
+};
+
+/**
+ * Which of a shipment's placements to take pallets from: the given bin only,
+ * or otherwise the most recently filled bins first. Returns what to take from
+ * each bin and how many pallets could not be found.
+ */
+export const palletsToTake = (placements, pallets, fromLocationId = null) => {
+  const sources = (placements || [])
+    .filter(p => (Number(read(p, 'pallets')) || 0) > 0)
+    .filter(p => !fromLocationId || Number(read(p, 'locationId')) === Number(fromLocationId))
+    .sort((a, b) => Number(b.id) - Number(a.id));
+
+  const takes = [];
+  let remaining = Math.max(0, Math.round(Number(pallets) || 0));
+  for (const placement of sources) {
+    if (remaining <= 0) break;
+    const take = Math.min(Number(read(placement, 'pallets')), remaining);
+    takes.push({ locationId: Number(read(placement, 'locationId')), code: read(placement, 'code') || null, pallets: take });
+    remaining -= take;
+  }
+  return { takes, short: remaining };
+};
+
+/**
+ * A shipment's bins as one line for shipments.bin_location and the stored
+ * stock list: "A-01-03 (2), A-01-04", shortened to "A-01-03 (2) +3 more"
+ * when it would not fit
+ */
+export const formatPlacements = (placements) => {
+  const parts = (placements || [])
+    .filter(p => (Number(read(p, 'pallets')) || 0) > 0)
+    .map(p => {
+      const pallets = Number(read(p, 'pallets'));
+      return pallets > 1 ? `${read(p, 'code')} (${pallets})` : `${read(p, 'code')}`;
+    });
+  const full = parts.join(', ');
+  if (full.length <= LOCATION_RULES.summaryLength) return full;
+  return `${parts[0]} +${parts.length - 1} more`;
+};
+
+export default {
+  LOCATION_RULES,
+  normalizeZone,
+  locationCode,
+  binCodes,
+  buildLocationTree,
+  locationOccupancy,
+  warehouseUsage,
+  suggestPutaway,
+  palletsToTake,
+  formatPlacements,
+};
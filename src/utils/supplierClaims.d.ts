@@ -0,0 +1,30 @@
+/**
+ * Type declarations for the shared supplier claim helpers
+ * (supplierClaims.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+type AnyRecord = Record<string, any>;
+
+export type ClaimSource = 'inspection' | 'receiving' | 'rejection';
+export type ClaimStatus = 'open' | 'acknowledged' | 'disputed' | 'resolved' | 'closed' | 'cancelled';
+export type ResolutionType = 'credit_note' | 'replacement' | 'return';
+
+export const CLAIM_SOURCES: Array<{ value: ClaimSource; label: string }>;
+export const CLAIM_STATUSES: Array<{ value: ClaimStatus; label: string }>;
+export const RESOLUTION_TYPES: Array<{ value: ResolutionType; label: string }>;
+export const CLAIM_TRANSITIONS: Record<ClaimStatus, ClaimStatus[]>;
+
+export function sourceLabel(source: string): string;
+export function statusLabel(status: string): string;
+export function resolutionLabel(type: string): string;
+export function canTransition(from: string, to: string): boolean;
+export function isClaimActive(status: string): boolean;
+export function unitLandedCost(estimate: AnyRecord | null | undefined, quantity: unknown): number | null;
+export function claimValue(affectedQuantity: unknown, unitCost: unknown): number | null;
+export function formatClaimValue(value: unknown): string;
+export function defaultAffectedQuantity(shipment: AnyRecord | null | undefined, source: string, backorder?: AnyRecord | null): number;
+export function claimRate(claimCount: unknown, shipmentCount: unknown): number | null;
+
+declare const supplierClaims: Record<string, any>;
+export default supplierClaims;
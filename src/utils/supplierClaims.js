@@ -0,0 +1,141 @@
+/**
+ * Supplier claims
+ *
+ * A claim is raised against the supplier for stock that failed inspection,
+ * was rejected, or arrived short or damaged at receiving. It is valued at the
+ * affected quantity times the unit landed cost from the shipment's linked
+ * cost estimate. The supplier acknowledges or disputes it in the supplier
+ * portal; it is then resolved by credit note, replacement shipment or return
+ * and closed. Claims per shipment count against the supplier grade.
+ */
+
+import { shipmentBalance } from './receipts.js';
+
+export const CLAIM_SOURCES = [
+  { value: 'inspection', label: 'Failed inspection' },
+  { value: 'receiving', label: 'Receiving discrepancy' },
+  { value: 'rejection', label: 'Rejected shipment' },
+];
+
+export const CLAIM_STATUSES = [
+  { value: 'open', label: 'Open' },
+  { value: 'acknowledged', label: 'Acknowledged' },
+  { value: 'disputed', label: 'Disputed' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'closed', label: 'Closed' },
+  { value: 'cancelled', label: 'Cancelled' },
+];
+
+export const RESOLUTION_TYPES = [
+  { value: 'credit_note', label: 'Credit note' },
+  { value: 'replacement', label: 'Replacement shipment' },
+  { value: 'return', label: 'Return to supplier' },
+];
+
+// A disputed claim can still be acknowledged once the supplier agrees
+export const CLAIM_TRANSITIONS = {
+  open: ['acknowledged', 'disputed', 'resolved', 'cancelled'],
+  acknowledged: ['resolved', 'cancelled'],
+  disputed: ['acknowledged', 'resolved', 'cancelled'],
+  resolved: ['closed'],
+  closed: [],
+  cancelled: [],
+};
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+const labelOf = (list, value) => list.find(item => item.value === value)?.label || value;
+
+export const sourceLabel = (source) => labelOf(CLAIM_SOURCES, source);
+export const statusLabel = (status) => labelOf(CLAIM_STATUSES, status);
+export const resolutionLabel = (type) => labelOf(RESOLUTION_TYPES, type);
+
+export const canTransition = (from, to) => (CLAIM_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Still with the supplier or awaiting a resolution (not closed or cancelled)
+ */
+export const isClaimActive = (status) => (CLAIM_TRANSITIONS[status] || []).length > 0;
+
+/**
+ * Landed cost per unit: the estimate's total landed cost spread over the
+ * shipment's quantity. Null without a cost or a quantity to spread it over.
+ */
+export const unitLandedCost = (estimate, quantity) => {
+  const total = toNumber(read(estimate, 'totalLandedCostZar'));
+  const q = toNumber(quantity);
+  if (!total || total <= 0 || !q || q <= 0) return null;
+  return Math.round((total / q) * 10000) / 10000;
+};
+
+/**
+ * Affected quantity at the unit cost, to the cent; null without a unit cost
+ */
+export const claimValue = (affectedQuantity, unitCost) => {
+  const q = toNumber(affectedQuantity);
+  const c = toNumber(unitCost);
+  if (q === null || c === null) return null;
+  return Math.round(Math.max(0, q) * c * 100) / 100;
+};
+
+/**
+ * A claim or resolution value in rand, e.g. R 12,450.00; a dash without one
+ */
+export const formatClaimValue = (value) => {
+  const n = toNumber(value);
+  if (n === null) return '-';
+  return `R ${n.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+/**
+ * Quantity a new claim is for unless told otherwise: what is still
+ * outstanding for a receiving discrepancy, otherwise everything received
+ * (or ordered, before receiving)
+ */
+export const defaultAffectedQuantity = (shipment, source, backorder) => {
+  if (source === 'receiving') {
+    const outstanding = toNumber(read(backorder, 'outstandingQuantity'));
+    return outstanding !== null ? outstanding : shipmentBalance(shipment).outstanding;
+  }
+  const received = toNumber(read(shipment, 'receivedQuantity'));
+  if (received !== null) return received;
+  return toNumber(read(shipment, 'quantity')) || 0;
+};
+
+/**
+ * Claims as a whole percentage of a supplier's shipments; null without
+ * shipments or claim figures
+ */
+export const claimRate = (claimCount, shipmentCount) => {
+  const claims = toNumber(claimCount);
+  const shipments = toNumber(shipmentCount);
+  if (claims === null || !shipments || shipments <= 0) return null;
+  return Math.round((claims / shipments) * 100);
+};
+
+export default {
+  CLAIM_SOURCES,
+  CLAIM_STATUSES,
+  RESOLUTION_TYPES,
+  CLAIM_TRANSITIONS,
+  sourceLabel,
+  statusLabel,
+  resolutionLabel,
+  canTransition,
+  isClaimActive,
+  unitLandedCost,
+  claimValue,
+  formatClaimValue,
+  defaultAffectedQuantity,
+  claimRate,
+};
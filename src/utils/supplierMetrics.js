@@ -1,8 +1,10 @@
 import { ShipmentStatus, InspectionStatus } from '../types/shipment';
+import { fillRate } from './receipts';
+import { claimRate } from './supplierClaims';
 
 /**
  * Calculate supplier KPI metrics
- * Returns on-time delivery %, inspection pass rate %, avg lead time, and supplier grade
+ * Returns on-time delivery %, inspection pass rate %, fill rate %, claim rate %, avg lead time, and supplier grade
  */
 
 export class SupplierMetrics {
@@ -133,6 +135,36 @@ export class SupplierMetrics {
     return percentage;
   }
 
+  /**
+   * Calculate fill rate for a supplier: quantity received against quantity
+   * ordered over warehouse shipments, so short deliveries and backorders
+   * count against it. Null until a received quantity is recorded.
+   */
+  static calculateFillRate(shipments, supplierName) {
+    const warehouseShipments = this.getSupplierShipments(shipments, supplierName).filter(s => [
+      ShipmentStatus.STORED,
+      ShipmentStatus.RECEIVED,
+      ShipmentStatus.INSPECTION_PASSED,
+      'stored',
+      'received',
+      'inspection_passed'
+    ].includes(s.latestStatus));
+
+    return fillRate(warehouseShipments);
+  }
+
+  /**
+   * Calculate claim rate for a supplier: claims raised (not cancelled) as a
+   * percentage of all their shipments. Claim counts come from the server's
+   * claim summary; null without one.
+   */
+  static calculateClaimRate(shipments, supplierName, claimSummary = null) {
+    if (!claimSummary) return null;
+    const supplierShipments = this.getSupplierShipments(shipments, supplierName);
+    const rate = claimRate(claimSummary.claim_count ?? claimSummary.claimCount, supplierShipments.length);
+    return rate === null ? null : Math.min(100, rate);
+  }
+
   /**
    * Calculate average lead time in days for warehouse shipments
    * Lead time = actual arrival date - scheduled week date
@@ -251,11 +283,16 @@ export class SupplierMetrics {
 
   /**
    * Grade supplier based on KPI metrics
+   * Pass rate, fill rate and claim rate only count once there is data for them
    */
-  static getSupplierGrade(onTimePercent, passRatePercent) {
-    if (onTimePercent >= 85 && (passRatePercent === null || passRatePercent >= 90)) {
+  static getSupplierGrade(onTimePercent, passRatePercent, fillRatePercent = null, claimRatePercent = null) {
+    if (onTimePercent >= 85 && (passRatePercent === null || passRatePercent >= 90) &&
+        (fillRatePercent === null || fillRatePercent >= 95) &&
+        (claimRatePercent === null || claimRatePercent <= 5)) {
       return { grade: 'A', label: 'Excellent', color: '#28a745' };
-    } else if (onTimePercent >= 70 && (passRatePercent === null || passRatePercent >= 80)) {
+    } else if (onTimePercent >= 70 && (passRatePercent === null || passRatePercent >= 80) &&
+               (fillRatePercent === null || fillRatePercent >= 85) &&
+               (claimRatePercent === null || claimRatePercent <= 10)) {
       return { grade: 'B', label: 'Good', color: '#ffc107' };
     } else {
       return { grade: 'C', label: 'Needs Improvement', color: '#dc3545' };
@@ -338,19 +375,25 @@ export class SupplierMetrics {
 
   /**
    * Calculate all metrics for a supplier
+   * claimSummary is the supplier's row from GET /api/claims/summary, if any
    */
-  static calculateAllMetrics(shipments, supplierName) {
+  static calculateAllMetrics(shipments, supplierName, claimSummary = null) {
     const onTimePercent = this.calculateOnTimeDelivery(shipments, supplierName);
     const passRatePercent = this.calculateInspectionPassRate(shipments, supplierName);
+    const fillRatePercent = this.calculateFillRate(shipments, supplierName);
     const avgLeadTime = this.calculateAverageLeadTime(shipments, supplierName);
     const totalShipments = this.getTotalShipments(shipments, supplierName);
+    const claimRatePercent = this.calculateClaimRate(shipments, supplierName, claimSummary);
     const trend = this.calculateMetricTrend(shipments, supplierName, 'onTime');
-    const grade = this.getSupplierGrade(onTimePercent, passRatePercent);
+    const grade = this.getSupplierGrade(onTimePercent, passRatePercent, fillRatePercent, claimRatePercent);
 
     return {
       supplierName,
       onTimePercent,
       passRatePercent,
+      fillRatePercent,
+      claimRatePercent,
+      claimCount: claimSummary ? Number(claimSummary.claim_count ?? claimSummary.claimCount) || 0 : null,
       avgLeadTime,
       totalShipments,
       trend,
@@ -0,0 +1,41 @@
+/**
+ * Type declarations for the shared tariff catalogue helpers (tariffCatalogue.js),
+ * so the TypeScript server can import the same module as the React app.
+ */
+
+export type TradeAgreement = 'EU_UK' | 'EFTA' | 'SADC' | 'MERCOSUR' | 'AFCFTA';
+export type VatTreatment = 'standard' | 'exempt';
+
+export interface TariffRate {
+  percent: number | null;
+  text: string;
+}
+
+export interface ParsedTariff {
+  hs_code: string;
+  description: string | null;
+  statistical_unit: string | null;
+  duty_text: string;
+  duty_percent: number | null;
+  schedule1_percent: number | null;
+  vat_treatment: VatTreatment;
+  preferential_rates: Partial<Record<TradeAgreement, number>>;
+}
+
+export interface ParsedTariffCsv {
+  tariffs: ParsedTariff[];
+  skipped: number;
+  errors: string[];
+}
+
+export const TRADE_AGREEMENTS: Array<{ value: TradeAgreement; label: string; column: RegExp }>;
+export const VAT_TREATMENTS: Array<{ value: VatTreatment; label: string }>;
+
+export function normalizeHsCode(code: string | null | undefined): string;
+export function formatHsCode(code: string | null | undefined): string;
+export function parseTariffRate(text: string | null | undefined): TariffRate | null;
+export function parseCsvRows(text: string): string[][];
+export function parseTariffCsv(text: string): ParsedTariffCsv;
+
+declare const tariffCatalogue: Record<string, any>;
+export default tariffCatalogue;
@@ -0,0 +1,192 @@
+/**
+ * HS tariff catalogue helpers
+ *
+ * HS code formatting and parsing of the SARS tariff book (Schedule 1 Part 1)
+ * exported as CSV. Shared by the tariff import on the server
+ * (server/controllers/TariffController.ts) and the catalogue view, like
+ * costingCalculations.js.
+ */
+
+/**
+ * Trade agreements with preferential duty columns in the SARS tariff book.
+ * Estimates pick one when the goods qualify (e.g. an EUR.1 for the EU-SADC EPA).
+ */
+export const TRADE_AGREEMENTS = [
+  { value: 'EU_UK', label: 'EU-SADC EPA / SACUM-UK EPA', column: /^(eu|eu\W*uk|uk)$/ },
+  { value: 'EFTA', label: 'SACU-EFTA FTA', column: /^efta$/ },
+  { value: 'SADC', label: 'SADC FTA', column: /^sadc$/ },
+  { value: 'MERCOSUR', label: 'SACU-MERCOSUR PTA', column: /^mercosur$/ },
+  { value: 'AFCFTA', label: 'AfCFTA', column: /^afcfta$/ },
+];
+
+export const VAT_TREATMENTS = [
+  { value: 'standard', label: 'Standard (15%)' },
+  { value: 'exempt', label: 'Exempt' },
+];
+
+// Header patterns for the other tariff book columns, matched on the lower-cased header
+const COLUMN_PATTERNS = {
+  hs_code: /(heading|tariff|hs\s*code|subheading)/,
+  description: /description/,
+  statistical_unit: /unit/,
+  general: /general/,
+  schedule1: /(schedule\s*1|sch\.?\s*1|additional)/,
+  vat: /vat/,
+};
+
+/**
+ * Digits of an HS code: "0306.17.10" → "03061710"
+ */
+export const normalizeHsCode = (code) => String(code || '').replace(/\D/g, '');
+
+/**
+ * Display form of an HS code: "03061710" → "0306.17.10", "0306" → "03.06"
+ */
+export const formatHsCode = (code) => {
+  const digits = normalizeHsCode(code);
+  if (digits.length <= 4) return digits.length === 4 ? `${digits.slice(0, 2)}.${digits.slice(2)}` : digits;
+  const parts = [digits.slice(0, 4)];
+  for (let i = 4; i < digits.length; i += 2) parts.push(digits.slice(i, i + 2));
+  return parts.join('.');
+};
+
+/**
+ * Read a tariff book rate cell. "free" is 0%, "20%" is 20; specific or compound
+ * rates ("300c/kg", "25% or 300c/kg") have no percentage and must be entered
+ * by hand. Returns null for an empty cell.
+ */
+export const parseTariffRate = (text) => {
+  const value = String(text ?? '').trim();
+  if (!value || value === '-') return null;
+  if (/^free$/i.test(value)) return { percent: 0, text: 'free' };
+  const match = value.match(/^(\d+(?:[.,]\d+)?)\s*%?$/);
+  if (match) return { percent: parseFloat(match[1].replace(',', '.')), text: value };
+  return { percent: null, text: value };
+};
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells with commas, quotes
+ * and line breaks, and semicolon-separated exports.
+ */
+export const parseCsvRows = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.slice(0, source.indexOf('\n') >= 0 ? source.indexOf('\n') : undefined);
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(c => c.trim()));
+};
+
+// Map header cells to catalogue fields; null if the row isn't a tariff header
+const mapHeader = (cells) => {
+  const columns = {};
+  const preferential = {};
+  cells.forEach((cell, index) => {
+    const header = cell.trim().toLowerCase();
+    if (!header) return;
+    const agreement = TRADE_AGREEMENTS.find(a => a.column.test(header.replace(/\s+/g, ' ')));
+    if (agreement) {
+      preferential[agreement.value] = index;
+      return;
+    }
+    Object.entries(COLUMN_PATTERNS).forEach(([field, pattern]) => {
+      if (columns[field] === undefined && pattern.test(header)) columns[field] = index;
+    });
+  });
+  return columns.hs_code !== undefined && columns.general !== undefined ? { columns, preferential } : null;
+};
+
+/**
+ * Parse a SARS tariff book CSV (Heading/Subheading, CD, Article Description,
+ * Statistical Unit, General, EU/UK, EFTA, SADC, MERCOSUR, AfCFTA, plus optional
+ * Schedule 1 and VAT columns) into catalogue rows. Headings without a rate of
+ * duty are skipped; a later row for the same code replaces an earlier one.
+ */
+export const parseTariffCsv = (text) => {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.slice(0, 20).findIndex(row => mapHeader(row));
+  if (headerIndex < 0) {
+    return { tariffs: [], skipped: 0, errors: ['No header row with a tariff code and General rate column was found'] };
+  }
+  const { columns, preferential } = mapHeader(rows[headerIndex]);
+  const cell = (row, index) => (index === undefined ? '' : String(row[index] ?? '').trim());
+
+  const byCode = new Map();
+  const errors = [];
+  let skipped = 0;
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const hsCode = normalizeHsCode(cell(row, columns.hs_code));
+    const general = parseTariffRate(cell(row, columns.general));
+    if (!hsCode || !general) {
+      skipped++;
+      return;
+    }
+    if (hsCode.length < 4) {
+      errors.push(`Row ${headerIndex + i + 2}: invalid tariff code "${cell(row, columns.hs_code)}"`);
+      return;
+    }
+
+    const preferentialRates = {};
+    Object.entries(preferential).forEach(([agreement, index]) => {
+      const rate = parseTariffRate(cell(row, index));
+      if (rate && rate.percent !== null) preferentialRates[agreement] = rate.percent;
+    });
+    const schedule1 = parseTariffRate(cell(row, columns.schedule1));
+
+    byCode.set(hsCode, {
+      hs_code: hsCode,
+      description: cell(row, columns.description) || null,
+      statistical_unit: cell(row, columns.statistical_unit) || null,
+      duty_text: general.text,
+      duty_percent: general.percent,
+      schedule1_percent: schedule1 ? schedule1.percent : null,
+      vat_treatment: /exempt|zero/i.test(cell(row, columns.vat)) ? 'exempt' : 'standard',
+      preferential_rates: preferentialRates,
+    });
+  });
+
+  return { tariffs: [...byCode.values()], skipped, errors };
+};
+
+export default {
+  TRADE_AGREEMENTS,
+  VAT_TREATMENTS,
+  normalizeHsCode,
+  formatHsCode,
+  parseTariffRate,
+  parseCsvRows,
+  parseTariffCsv,
+};
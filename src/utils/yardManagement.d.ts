@@ -0,0 +1,68 @@
+/**
+ * Type declarations for the shared yard and container free-time rules
+ * (yardManagement.js), so the TypeScript server can import the same module
+ * as the React app.
+ */
+
+export interface Option {
+  value: string;
+  label: string;
+}
+
+export type ClockStatus = 'pending' | 'ok' | 'warning' | 'charging' | 'closed';
+export type FreeTimeKind = 'demurrage' | 'detention';
+
+export interface FreeDays {
+  demurrageDays: number;
+  detentionDays: number;
+}
+
+export interface FreeTimeClock {
+  startedAt: string | null;
+  freeUntil: string | null;
+  stoppedAt: string | null;
+  freeDays: number;
+  hoursLeft: number | null;
+  chargeableDays: number;
+  status: ClockStatus;
+}
+
+export interface ContainerClocks {
+  demurrage: FreeTimeClock;
+  detention: FreeTimeClock;
+  status: ClockStatus;
+}
+
+export interface YardMapRow<S, C> {
+  row: string;
+  slots: Array<{ slot: S; container: C | null }>;
+}
+
+type AnyRecord = Record<string, any>;
+type TimeValue = string | number | Date | null | undefined;
+
+export const EQUIPMENT_TYPES: Option[];
+export const YARD_STATUSES: Option[];
+export const FREE_TIME_RULES: {
+  defaultDemurrageDays: number;
+  defaultDetentionDays: number;
+  warningHours: number;
+  utcOffsetMinutes: number;
+};
+
+export function normalizeContainerNumber(value: string | null | undefined): string;
+export function isValidContainerNumber(value: string | null | undefined): boolean;
+export function slotCodes(row: string, count: number, start?: number): string[];
+export function buildYardMap<S extends AnyRecord, C extends AnyRecord>(slots: S[], containers: C[]): YardMapRow<S, C>[];
+export function freeDaysFor(lines: AnyRecord[], shippingLine: string | null | undefined): FreeDays;
+export function freeTimeClock(start: TimeValue, stop: TimeValue, freeDays: number, now?: TimeValue): FreeTimeClock;
+export function containerClocks(container: AnyRecord, freeDays?: FreeDays, now?: TimeValue): ContainerClocks;
+export function dueFreeTimeAlerts(
+  container: AnyRecord,
+  freeDays?: FreeDays,
+  now?: TimeValue
+): Array<{ kind: FreeTimeKind; clock: FreeTimeClock }>;
+export function formatClock(clock: FreeTimeClock | null | undefined): string;
+
+declare const yardManagement: Record<string, any>;
+export default yardManagement;
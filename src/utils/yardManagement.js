@@ -0,0 +1,236 @@
+/**
+ * Yard management and container free time
+ *
+ * Containers and trailers dropped in the yard before a dock is free are
+ * tracked by the server (server/controllers/YardController.ts) from the
+ * moment they are expected at the port, through gate-in to a yard slot, until
+ * gate-out when the empty is returned. The yard map and the scheduled
+ * free-time alerts (server/services/scheduledNotifications.ts) use the same
+ * clocks from here.
+ *
+ * Two clocks run per container, each against the shipping line's free days:
+ * demurrage from discharge at the port until it is collected (gate-in here),
+ * and detention from collection until the empty is returned (gate-out).
+ * Free days are calendar days in local time, counting the day the clock
+ * starts as day one; charges start at midnight after the last free day.
+ */
+
+export const EQUIPMENT_TYPES = [
+  { value: 'container', label: 'Container' },
+  { value: 'trailer', label: 'Trailer' },
+];
+
+export const YARD_STATUSES = [
+  { value: 'expected', label: 'At port' },
+  { value: 'in_yard', label: 'In yard' },
+  { value: 'departed', label: 'Gated out' },
+];
+
+export const FREE_TIME_RULES = {
+  // Used when the shipping line has no free days on record
+  defaultDemurrageDays: 7,
+  defaultDetentionDays: 7,
+  // Alert this long before charges start
+  warningHours: 48,
+  // Local time for counting calendar days (SAST, as the dock calendars)
+  utcOffsetMinutes: 120,
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const read = (record, field) => {
+  if (!record) return undefined;
+  const snake = field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+  return record[field] !== undefined ? record[field] : record[snake];
+};
+
+const toTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+// ─── Container numbers ───
+
+const CHECK_DIGIT_VALUES = (() => {
+  // ISO 6346 letter values skip multiples of 11
+  const values = {};
+  let value = 10;
+  for (const letter of 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') {
+    if (value % 11 === 0) value++;
+    values[letter] = value++;
+  }
+  return values;
+})();
+
+/**
+ * Container number in its stored form: upper case with spaces and dashes removed
+ */
+export const normalizeContainerNumber = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Whether a container number is four letters, six digits and a valid ISO 6346 check digit
+ */
+export const isValidContainerNumber = (value) => {
+  const number = normalizeContainerNumber(value);
+  if (!/^[A-Z]{4}\d{7}$/.test(number)) return false;
+  const sum = [...number.slice(0, 10)].reduce((total, char, i) => {
+    const charValue = /\d/.test(char) ? Number(char) : CHECK_DIGIT_VALUES[char];
+    return total + charValue * 2 ** i;
+  }, 0);
+  return (sum % 11) % 10 === Number(number[10]);
+};
+
+// ─── Yard slots ───
+
+/**
+ * Slot codes for a row of the yard: row "B" with 3 slots gives B-01, B-02, B-03
+ */
+export const slotCodes = (row, count, start = 1) => {
+  const label = String(row || '').trim().toUpperCase();
+  return Array.from({ length: Math.max(0, count) }, (_, i) => `${label}-${String(start + i).padStart(2, '0')}`);
+};
+
+/**
+ * The yard laid out for the map: rows in order, each with its slots in
+ * order and the container in each slot (or null)
+ */
+export const buildYardMap = (slots, containers) => {
+  const bySlot = new Map();
+  for (const container of containers || []) {
+    const slotId = read(container, 'yardSlotId');
+    if (slotId != null && read(container, 'status') === 'in_yard') bySlot.set(Number(slotId), container);
+  }
+
+  const rows = new Map();
+  for (const slot of slots || []) {
+    const row = read(slot, 'rowLabel');
+    if (!rows.has(row)) rows.set(row, []);
+    rows.get(row).push({ slot, container: bySlot.get(Number(slot.id)) || null });
+  }
+
+  return [...rows.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b), undefined, { numeric: true }))
+    .map(([row, rowSlots]) => ({
+      row,
+      slots: rowSlots.sort((a, b) => Number(read(a.slot, 'position')) - Number(read(b.slot, 'position'))),
+    }));
+};
+
+// ─── Free time ───
+
+/**
+ * Free days for a shipping line from the lines on record (case-insensitive),
+ * or the defaults
+ */
+export const freeDaysFor = (lines, shippingLine) => {
+  const name = String(shippingLine || '').trim().toLowerCase();
+  const line = name ? (lines || []).find(l => String(read(l, 'shippingLine') || '').trim().toLowerCase() === name) : null;
+  return {
+    demurrageDays: Number(read(line, 'demurrageFreeDays') ?? FREE_TIME_RULES.defaultDemurrageDays),
+    detentionDays: Number(read(line, 'detentionFreeDays') ?? FREE_TIME_RULES.defaultDetentionDays),
+  };
+};
+
+// Midnight (local) at the end of the last free day
+const freeUntil = (start, freeDays) => {
+  const offset = FREE_TIME_RULES.utcOffsetMinutes * MINUTE;
+  const localMidnight = Math.floor((start + offset) / DAY) * DAY;
+  return localMidnight + freeDays * DAY - offset;
+};
+
+/**
+ * One free-time clock from `start` until `stop` (still running when stop is
+ * not set): { startedAt, freeUntil, stoppedAt, freeDays, hoursLeft,
+ * chargeableDays, status }. Status is pending (not started), ok, warning
+ * (charges start within the warning window), charging, or closed.
+ */
+export const freeTimeClock = (start, stop, freeDays, now = Date.now()) => {
+  const startedAt = toTime(start);
+  if (startedAt === null) {
+    return { startedAt: null, freeUntil: null, stoppedAt: null, freeDays, hoursLeft: null, chargeableDays: 0, status: 'pending' };
+  }
+
+  const at = toTime(now);
+  const stoppedAt = toTime(stop);
+  const end = stoppedAt ?? at;
+  const until = freeUntil(startedAt, freeDays);
+  const chargeableDays = end > until ? Math.ceil((end - until) / DAY) : 0;
+  const hoursLeft = Math.floor((until - at) / HOUR);
+
+  let status = 'ok';
+  if (stoppedAt !== null) status = 'closed';
+  else if (at >= until) status = 'charging';
+  else if (until - at <= FREE_TIME_RULES.warningHours * HOUR) status = 'warning';
+
+  return {
+    startedAt: new Date(startedAt).toISOString(),
+    freeUntil: new Date(until).toISOString(),
+    stoppedAt: stoppedAt === null ? null : new Date(stoppedAt).toISOString(),
+    freeDays,
+    hoursLeft: stoppedAt === null ? hoursLeft : null,
+    chargeableDays,
+    status,
+  };
+};
+
+const STATUS_RANK = ['pending', 'closed', 'ok', 'warning', 'charging'];
+
+/**
+ * Both clocks for a container and its overall status (the more urgent of
+ * the two). Demurrage needs the discharge time; trailers have no clocks.
+ */
+export const containerClocks = (container, freeDays, now = Date.now()) => {
+  const days = freeDays || freeDaysFor([], null);
+  if (read(container, 'equipmentType') === 'trailer') {
+    const none = freeTimeClock(null, null, 0, now);
+    return { demurrage: none, detention: none, status: 'pending' };
+  }
+
+  const demurrage = freeTimeClock(read(container, 'dischargedAt'), read(container, 'gateInAt'), days.demurrageDays, now);
+  const detention = freeTimeClock(read(container, 'gateInAt'), read(container, 'gateOutAt'), days.detentionDays, now);
+  const status = STATUS_RANK.indexOf(demurrage.status) > STATUS_RANK.indexOf(detention.status) ? demurrage.status : detention.status;
+  return { demurrage, detention, status };
+};
+
+/**
+ * The clocks an alert is due for: warning or charging, not alerted yet
+ * (`demurrageAlertedAt` / `detentionAlertedAt` on the container)
+ */
+export const dueFreeTimeAlerts = (container, freeDays, now = Date.now()) => {
+  const clocks = containerClocks(container, freeDays, now);
+  return ['demurrage', 'detention'].filter(kind =>
+    ['warning', 'charging'].includes(clocks[kind].status) && !read(container, `${kind}AlertedAt`)
+  ).map(kind => ({ kind, clock: clocks[kind] }));
+};
+
+/**
+ * Time left on a clock for display: "2d 5h left", "6h left" or "3 days charged"
+ */
+export const formatClock = (clock) => {
+  if (!clock || clock.status === 'pending') return '-';
+  if (clock.status === 'charging' || (clock.status === 'closed' && clock.chargeableDays > 0)) {
+    return `${clock.chargeableDays} day${clock.chargeableDays === 1 ? '' : 's'} charged`;
+  }
+  if (clock.status === 'closed') return 'Within free time';
+  const days = Math.floor(clock.hoursLeft / 24);
+  const hours = clock.hoursLeft % 24;
+  return days ? `${days}d ${hours}h left` : `${hours}h left`;
+};
+
+export default {
+  EQUIPMENT_TYPES,
+  YARD_STATUSES,
+  FREE_TIME_RULES,
+  normalizeContainerNumber,
+  isValidContainerNumber,
+  slotCodes,
+  buildYardMap,
+  freeDaysFor,
+  freeTimeClock,
+  containerClocks,
+  dueFreeTimeAlerts,
+  formatClock,
+};
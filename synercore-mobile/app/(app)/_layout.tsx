@@ -51,6 +51,18 @@ export default function AppLayout() {
         }}
       />
 
+      <Tabs.Screen
+        name="receiving"
+        options={{
+          title: 'Receiving',
+          headerTitle: 'Scan & Receive',
+          tabBarLabel: 'Receive',
+          tabBarIcon: ({ color, size }) => (
+            <MaterialIcons name="qr-code-scanner" size={size} color={color} />
+          ),
+        }}
+      />
+
       <Tabs.Screen
         name="products"
         options={{
@@ -0,0 +1,488 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  View,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { useReceiving } from '@/hooks';
+import { Header, LoadingSpinner, Button, FormInput, BarcodeScanner } from '@/components';
+import { shipmentField, splitPallets, stepsForStage, type ReceivingStage } from '@/utils/receiving';
+import { MaterialIcons } from '@expo/vector-icons';
+
+const STAGES: Array<{ key: ReceivingStage; label: string; icon: string }> = [
+  { key: 'unload', label: 'Unload', icon: 'local-shipping' },
+  { key: 'inspect', label: 'Inspect', icon: 'fact-check' },
+  { key: 'receive', label: 'Receive', icon: 'inventory' },
+];
+
+export default function ReceivingStepsScreen() {
+  const router = useRouter();
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const { shipment, status, stage, queuedSteps, isOffline, isLoading, isSubmitting, error, refresh, runSteps } =
+    useReceiving(id || '');
+
+  const [inspectionNotes, setInspectionNotes] = useState('');
+  const [palletQuantities, setPalletQuantities] = useState<string[]>([]);
+  const [putawayBin, setPutawayBin] = useState<string | null>(null);
+  const [isScanningBin, setIsScanningBin] = useState(false);
+  const [receivingNotes, setReceivingNotes] = useState('');
+
+  const expectedQuantity = Number(shipmentField(shipment, 'quantity')) || 0;
+  const countedQuantity = palletQuantities.reduce((sum, q) => sum + (parseInt(q, 10) || 0), 0);
+
+  // Start the pallet count from the expected quantity shared over the expected pallets
+  useEffect(() => {
+    if (stage === 'receive' && shipment && palletQuantities.length === 0) {
+      const pallets = Number(shipmentField(shipment, 'palletQty')) || 1;
+      setPalletQuantities(splitPallets(expectedQuantity, pallets).map(String));
+    }
+  }, [stage, shipment, expectedQuantity, palletQuantities.length]);
+
+  const submit = useCallback(
+    async (steps: Parameters<typeof runSteps>[0], done: string) => {
+      try {
+        const { queued } = await runSteps(steps);
+        if (queued) {
+          Alert.alert('Saved Offline', `${done} It will sync when you are back online.`);
+        }
+      } catch (err) {
+        const message = err instanceof Error ? err.message : 'The step could not be saved';
+        Alert.alert('Receiving Error', message);
+      }
+    },
+    [runSteps]
+  );
+
+  const handleUnloaded = useCallback(() => {
+    submit(stepsForStage(status, 'unload').map((step) => ({ step })), 'Unloading recorded.');
+  }, [status, submit]);
+
+  const handleInspected = useCallback(
+    (passed: boolean) => {
+      const steps = stepsForStage(status, 'inspect').map((step) => ({
+        step,
+        body: step === 'complete-inspection' ? { passed, notes: inspectionNotes.trim() || undefined } : undefined,
+      }));
+      submit(steps, passed ? 'Inspection passed.' : 'Inspection failed.');
+      setInspectionNotes('');
+    },
+    [status, inspectionNotes, submit]
+  );
+
+  const handleBinScanned = useCallback((code: string) => {
+    setPutawayBin(code.trim().toUpperCase());
+    setIsScanningBin(false);
+  }, []);
+
+  const handleReceived = useCallback(() => {
+    const quantities = palletQuantities.map((q) => parseInt(q, 10) || 0);
+    const steps = stepsForStage(status, 'receive').map((step) => ({
+      step,
+      body:
+        step === 'complete-receiving'
+          ? {
+              palletQuantities: quantities,
+              binLocation: putawayBin || undefined,
+              putawayBin: putawayBin || undefined,
+              receivingNotes: receivingNotes.trim() || undefined,
+              discrepancies:
+                countedQuantity !== expectedQuantity
+                  ? `Received ${countedQuantity} of ${expectedQuantity} on ${quantities.length} pallet(s)`
+                  : undefined,
+            }
+          : undefined,
+    }));
+    submit(steps, 'Receipt recorded.');
+  }, [status, palletQuantities, putawayBin, receivingNotes, countedQuantity, expectedQuantity, submit]);
+
+  const setPalletQuantity = (index: number, value: string) => {
+    setPalletQuantities((prev) => prev.map((q, i) => (i === index ? value.replace(/[^0-9]/g, '') : q)));
+  };
+
+  if (isLoading && !shipment) {
+    return (
+      <View style={styles.container}>
+        <Header title="Receiving" showBackButton />
+        <LoadingSpinner fullScreen visible message="Loading shipment..." />
+      </View>
+    );
+  }
+
+  if (error && !shipment) {
+    return (
+      <View style={styles.container}>
+        <Header title="Receiving" showBackButton />
+        <View style={styles.centerContent}>
+          <MaterialIcons name="error" size={64} color="#F44336" />
+          <Text style={styles.errorTitle}>Failed to Load Shipment</Text>
+          <Text style={styles.errorMessage}>{error.message}</Text>
+          <Button title="Retry" onPress={refresh} variant="primary" />
+        </View>
+      </View>
+    );
+  }
+
+  const stageIndex = STAGES.findIndex((s) => s.key === stage);
+  const warehouse = shipmentField(shipment, 'receivingWarehouse');
+
+  return (
+    <KeyboardAvoidingView style={styles.container} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+      <Header
+        title={shipmentField(shipment, 'orderRef') || 'Receiving'}
+        subtitle={[shipmentField(shipment, 'supplier'), warehouse].filter(Boolean).join(' · ')}
+        showBackButton
+        rightAction={{ icon: 'refresh', onPress: refresh }}
+      />
+
+      {(isOffline || queuedSteps > 0) && (
+        <View style={styles.offlineBanner}>
+          <MaterialIcons name={isOffline ? 'cloud-off' : 'cloud-upload'} size={16} color="#E65100" />
+          <Text style={styles.offlineText}>
+            {queuedSteps > 0
+              ? `${queuedSteps} step${queuedSteps === 1 ? '' : 's'} waiting to sync`
+              : 'You are offline - steps will be queued'}
+          </Text>
+        </View>
+      )}
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.card}>
+          <Text style={styles.product}>{shipmentField(shipment, 'productName') || '-'}</Text>
+          <Text style={styles.label}>
+            Expected {expectedQuantity} on {Number(shipmentField(shipment, 'palletQty')) || '?'} pallet(s)
+          </Text>
+
+          <View style={styles.stages}>
+            {STAGES.map((s, i) => {
+              const complete = stage === 'done' || (stageIndex >= 0 && i < stageIndex);
+              const current = s.key === stage;
+              return (
+                <View key={s.key} style={styles.stage}>
+                  <MaterialIcons
+                    name={(complete ? 'check-circle' : s.icon) as any}
+                    size={24}
+                    color={complete ? '#4CAF50' : current ? '#2196F3' : '#ccc'}
+                  />
+                  <Text style={[styles.stageLabel, current && styles.stageLabelCurrent]}>{s.label}</Text>
+                </View>
+              );
+            })}
+          </View>
+        </View>
+
+        {stage === null && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Not Ready for Receiving</Text>
+            <Text style={styles.message}>
+              This shipment is {String(status || 'unknown').replace(/_/g, ' ')}. It can be received once it has
+              arrived at a warehouse.
+            </Text>
+          </View>
+        )}
+
+        {stage === 'unload' && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Unload</Text>
+            <Text style={styles.message}>Confirm once the container or truck has been unloaded.</Text>
+            <Button
+              title={status === 'unloading' ? 'Unloading Complete' : 'Unloaded'}
+              onPress={handleUnloaded}
+              loading={isSubmitting}
+              variant="primary"
+            />
+          </View>
+        )}
+
+        {stage === 'inspect' && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Inspect</Text>
+            {status === 'inspection_failed' && (
+              <Text style={styles.warning}>The last inspection failed. Inspect again once it is resolved.</Text>
+            )}
+            <FormInput
+              label="Inspection Notes"
+              placeholder="Damage, labelling, temperature..."
+              value={inspectionNotes}
+              onChangeText={setInspectionNotes}
+              multiline
+              numberOfLines={3}
+            />
+            <View style={styles.buttonRow}>
+              <Button
+                title="Fail"
+                onPress={() => handleInspected(false)}
+                disabled={isSubmitting}
+                variant="danger"
+                style={styles.flexButton}
+              />
+              <Button
+                title="Pass"
+                onPress={() => handleInspected(true)}
+                loading={isSubmitting}
+                variant="primary"
+                style={styles.flexButton}
+              />
+            </View>
+          </View>
+        )}
+
+        {stage === 'receive' && (
+          <>
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Pallet Quantities</Text>
+              {palletQuantities.map((quantity, index) => (
+                <View key={index} style={styles.palletRow}>
+                  <Text style={styles.palletLabel}>Pallet {index + 1}</Text>
+                  <TextInput
+                    style={styles.palletInput}
+                    value={quantity}
+                    onChangeText={(value) => setPalletQuantity(index, value)}
+                    keyboardType="numeric"
+                  />
+                  <TouchableOpacity
+                    onPress={() => setPalletQuantities((prev) => prev.filter((_, i) => i !== index))}
+                    disabled={palletQuantities.length <= 1}
+                    style={styles.iconButton}
+                  >
+                    <MaterialIcons name="remove-circle-outline" size={22} color={palletQuantities.length <= 1 ? '#ccc' : '#F44336'} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+              <TouchableOpacity style={styles.addPallet} onPress={() => setPalletQuantities((prev) => [...prev, '0'])}>
+                <MaterialIcons name="add" size={18} color="#2196F3" />
+                <Text style={styles.addPalletText}>Add Pallet</Text>
+              </TouchableOpacity>
+              <Text style={[styles.total, countedQuantity !== expectedQuantity && styles.warning]}>
+                Received {countedQuantity} of {expectedQuantity}
+                {countedQuantity !== expectedQuantity ? ' - the difference is recorded as a discrepancy' : ''}
+              </Text>
+            </View>
+
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>Put Away</Text>
+              {isScanningBin ? (
+                <BarcodeScanner onScan={handleBinScanned} hint="Scan the label on the first bin the pallets go to" />
+              ) : (
+                <View style={styles.binRow}>
+                  <View style={styles.binInfo}>
+                    <Text style={styles.label}>Bin</Text>
+                    <Text style={styles.binCode}>{putawayBin || 'First free bins'}</Text>
+                  </View>
+                  <Button
+                    title={putawayBin ? 'Rescan' : 'Scan Bin'}
+                    onPress={() => setIsScanningBin(true)}
+                    variant="outline"
+                    size="small"
+                  />
+                </View>
+              )}
+              <FormInput
+                label="Receiving Notes"
+                value={receivingNotes}
+                onChangeText={setReceivingNotes}
+                multiline
+                numberOfLines={2}
+              />
+              <Button
+                title="Complete Receiving"
+                onPress={handleReceived}
+                loading={isSubmitting}
+                disabled={palletQuantities.length === 0}
+                variant="primary"
+              />
+            </View>
+          </>
+        )}
+
+        {stage === 'done' && (
+          <View style={styles.card}>
+            <View style={styles.doneHeader}>
+              <MaterialIcons name="check-circle" size={32} color="#4CAF50" />
+              <Text style={styles.sectionTitle}>Received</Text>
+            </View>
+            {queuedSteps > 0 ? (
+              <Text style={styles.message}>
+                The receipt is saved on this device. The GRN and bins are assigned once it syncs.
+              </Text>
+            ) : (
+              <>
+                <Text style={styles.label}>GRN</Text>
+                <Text style={styles.value}>{shipmentField(shipment, 'grnNumber') || '-'}</Text>
+                <Text style={styles.label}>Bin Location</Text>
+                <Text style={styles.value}>{shipmentField(shipment, 'binLocation') || '-'}</Text>
+              </>
+            )}
+            <Button title="Scan Next Shipment" onPress={() => router.replace('/(app)/receiving')} variant="primary" />
+          </View>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  centerContent: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: 24,
+    gap: 12,
+  },
+  errorTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#333',
+  },
+  errorMessage: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+  },
+  offlineBanner: {
+    backgroundColor: '#FFF3E0',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    gap: 8,
+  },
+  offlineText: {
+    color: '#E65100',
+    fontSize: 13,
+    fontWeight: '500',
+    flex: 1,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    gap: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  product: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#333',
+  },
+  label: {
+    fontSize: 12,
+    color: '#999',
+    fontWeight: '500',
+  },
+  value: {
+    fontSize: 14,
+    color: '#333',
+    fontWeight: '600',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#333',
+  },
+  message: {
+    fontSize: 14,
+    color: '#666',
+  },
+  warning: {
+    color: '#E65100',
+  },
+  stages: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+    paddingTop: 4,
+  },
+  stage: {
+    alignItems: 'center',
+    gap: 4,
+  },
+  stageLabel: {
+    fontSize: 12,
+    color: '#999',
+  },
+  stageLabelCurrent: {
+    color: '#2196F3',
+    fontWeight: '700',
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  flexButton: {
+    flex: 1,
+  },
+  palletRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  palletLabel: {
+    width: 72,
+    fontSize: 14,
+    color: '#333',
+  },
+  palletInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: '#333',
+  },
+  iconButton: {
+    padding: 4,
+  },
+  addPallet: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  addPalletText: {
+    color: '#2196F3',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  total: {
+    fontSize: 13,
+    color: '#666',
+  },
+  binRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  binInfo: {
+    flex: 1,
+  },
+  binCode: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#333',
+  },
+  doneHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+});
@@ -0,0 +1,20 @@
+import { Stack } from 'expo-router';
+
+export default function ReceivingLayout() {
+  return (
+    <Stack
+      screenOptions={{
+        headerShown: false,
+      }}
+    >
+      <Stack.Screen name="index" options={{ headerShown: false }} />
+      <Stack.Screen
+        name="[id]"
+        options={{
+          presentation: 'card',
+          headerShown: false,
+        }}
+      />
+    </Stack>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useCallback, useState } from 'react';
+import { View, ScrollView, StyleSheet, Text, TouchableOpacity, Alert } from 'react-native';
+import { useFocusEffect, useRouter } from 'expo-router';
+import { Header, BarcodeScanner, StatusBadge } from '@/components';
+import { receivingService, syncService } from '@/services';
+import { shipmentField } from '@/utils/receiving';
+import { MaterialIcons } from '@expo/vector-icons';
+
+export default function ReceivingScanScreen() {
+  const router = useRouter();
+  const [inProgress, setInProgress] = useState<Record<string, any>[]>([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [isLooking, setIsLooking] = useState(false);
+
+  const loadInProgress = useCallback(async () => {
+    const [shipments, pending] = await Promise.all([
+      receivingService.getCachedShipments(),
+      syncService.getPendingActions(),
+    ]);
+    setInProgress(shipments);
+    setPendingCount(pending.filter((a) => a.type === 'receiving_step').length);
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadInProgress();
+    }, [loadInProgress])
+  );
+
+  // Scan an order ref or pallet label to open the shipment's receiving steps
+  const handleScan = useCallback(
+    async (code: string) => {
+      setIsLooking(true);
+      try {
+        const { shipment } = await receivingService.findByScan(code);
+        router.push(`/(app)/receiving/${shipment.id}`);
+      } catch (err) {
+        const message = err instanceof Error ? err.message : 'No shipment matches that code';
+        Alert.alert('Not Found', message);
+      } finally {
+        setIsLooking(false);
+      }
+    },
+    [router]
+  );
+
+  const handleSyncNow = useCallback(async () => {
+    await syncService.syncPendingActions();
+    await loadInProgress();
+  }, [loadInProgress]);
+
+  return (
+    <View style={styles.container}>
+      <Header
+        title="Scan & Receive"
+        subtitle="Scan an order ref or pallet label"
+        showBackButton={false}
+      />
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.card}>
+          <BarcodeScanner
+            onScan={handleScan}
+            disabled={isLooking}
+            hint={isLooking ? 'Looking up...' : 'Point the camera at the order ref or a pallet label barcode'}
+          />
+        </View>
+
+        {pendingCount > 0 && (
+          <TouchableOpacity style={styles.pendingBanner} onPress={handleSyncNow}>
+            <MaterialIcons name="cloud-upload" size={18} color="#E65100" />
+            <Text style={styles.pendingText}>
+              {pendingCount} receiving step{pendingCount === 1 ? '' : 's'} waiting to sync. Tap to sync now.
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {inProgress.length > 0 && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>In Progress on This Device</Text>
+            {inProgress.map((shipment) => (
+              <TouchableOpacity
+                key={shipment.id}
+                style={styles.row}
+                onPress={() => router.push(`/(app)/receiving/${shipment.id}`)}
+              >
+                <View style={styles.rowInfo}>
+                  <Text style={styles.orderRef}>{shipmentField(shipment, 'orderRef') || shipment.id}</Text>
+                  <Text style={styles.product} numberOfLines={1}>
+                    {shipmentField(shipment, 'productName') || shipmentField(shipment, 'supplier') || ''}
+                  </Text>
+                </View>
+                <StatusBadge status={shipmentField(shipment, 'latestStatus') || 'pending'} size="small" />
+                <MaterialIcons name="chevron-right" size={20} color="#999" />
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#333',
+    marginBottom: 12,
+  },
+  pendingBanner: {
+    backgroundColor: '#FFF3E0',
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginBottom: 16,
+    gap: 8,
+  },
+  pendingText: {
+    color: '#E65100',
+    fontSize: 13,
+    fontWeight: '500',
+    flex: 1,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f0f0f0',
+    gap: 8,
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  orderRef: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  product: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 2,
+  },
+});
@@ -7,11 +7,13 @@ import {
   Text,
   TextInput,
   TouchableOpacity,
+  Alert,
 } from 'react-native';
 import { useRouter } from 'expo-router';
 import { useFocusRefresh, useShipments, useNetworkStatus } from '@/hooks';
 import { Header, LoadingSpinner, EmptyState, ShipmentCard } from '@/components';
 import { MaterialIcons } from '@expo/vector-icons';
+import { apiService } from '@/services';
 
 export default function ShipmentsScreen() {
   const router = useRouter();
@@ -44,6 +46,20 @@ export default function ShipmentsScreen() {
     [router]
   );
 
+  // A scanned pallet label (or typed order ref) opens its shipment
+  const handleSearchSubmit = useCallback(async () => {
+    const code = searchText.trim();
+    if (!code) return;
+    try {
+      const { shipment } = await apiService.scanLabel(code);
+      setSearchText('');
+      router.push(`/(app)/shipments/${shipment.id}`);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : 'No shipment matches that label';
+      Alert.alert('Label Not Found', message);
+    }
+  }, [searchText, router]);
+
   const handleFilter = useCallback(() => {
     // Navigate to filter screen (to be implemented)
     router.push('/(app)/shipments/filter');
@@ -117,9 +133,11 @@ export default function ShipmentsScreen() {
         <MaterialIcons name="search" size={20} color="#666" style={styles.searchIcon} />
         <TextInput
           style={styles.searchInput}
-          placeholder="Search by tracking, origin, or destination..."
+          placeholder="Search, or scan a pallet label..."
           value={searchText}
           onChangeText={setSearchText}
+          onSubmitEditing={handleSearchSubmit}
+          returnKeyType="search"
           placeholderTextColor="#999"
         />
         {searchText !== '' && (
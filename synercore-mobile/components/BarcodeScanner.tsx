@@ -0,0 +1,162 @@
+import React, { useState, useRef } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, ViewStyle } from 'react-native';
+import { CameraView, useCameraPermissions, type BarcodeScanningResult } from 'expo-camera';
+import { MaterialIcons } from '@expo/vector-icons';
+import { Button } from './Button';
+
+export interface BarcodeScannerProps {
+  onScan: (code: string) => void;
+  title?: string;
+  hint?: string;
+  disabled?: boolean;
+  style?: ViewStyle;
+}
+
+// Pallet labels print Code 128; order refs and bins may come as QR codes
+const BARCODE_TYPES = ['code128', 'qr'] as const;
+
+// Ignore the same code read again by the camera within this window
+const RESCAN_DELAY_MS = 2000;
+
+/**
+ * Camera barcode scanner with a typed fallback, for when the camera isn't
+ * allowed or a label won't read
+ */
+export function BarcodeScanner({ onScan, title, hint, disabled = false, style }: BarcodeScannerProps) {
+  const [permission, requestPermission] = useCameraPermissions();
+  const [manualCode, setManualCode] = useState('');
+  const lastScan = useRef<{ code: string; at: number } | null>(null);
+
+  const handleBarcodeScanned = ({ data }: BarcodeScanningResult) => {
+    const code = String(data || '').trim();
+    if (!code || disabled) return;
+
+    const now = Date.now();
+    if (lastScan.current && lastScan.current.code === code && now - lastScan.current.at < RESCAN_DELAY_MS) {
+      return;
+    }
+    lastScan.current = { code, at: now };
+    onScan(code);
+  };
+
+  const handleManualSubmit = () => {
+    const code = manualCode.trim();
+    if (!code || disabled) return;
+    setManualCode('');
+    onScan(code);
+  };
+
+  return (
+    <View style={[styles.container, style]}>
+      {title && <Text style={styles.title}>{title}</Text>}
+
+      {permission?.granted ? (
+        <View style={styles.cameraFrame}>
+          <CameraView
+            style={styles.camera}
+            facing="back"
+            barcodeScannerSettings={{ barcodeTypes: [...BARCODE_TYPES] }}
+            onBarcodeScanned={disabled ? undefined : handleBarcodeScanned}
+          />
+        </View>
+      ) : (
+        <View style={[styles.cameraFrame, styles.permission]}>
+          <MaterialIcons name="photo-camera" size={40} color="#999" />
+          <Text style={styles.permissionText}>
+            {permission && !permission.canAskAgain
+              ? 'Camera access is off for this app. Turn it on in Settings, or type the code below.'
+              : 'Allow camera access to scan labels.'}
+          </Text>
+          {(!permission || permission.canAskAgain) && (
+            <Button title="Allow Camera" onPress={requestPermission} variant="primary" size="small" />
+          )}
+        </View>
+      )}
+
+      {hint && <Text style={styles.hint}>{hint}</Text>}
+
+      <View style={styles.manualRow}>
+        <TextInput
+          style={styles.manualInput}
+          placeholder="Or type the code..."
+          value={manualCode}
+          onChangeText={setManualCode}
+          onSubmitEditing={handleManualSubmit}
+          autoCapitalize="characters"
+          autoCorrect={false}
+          returnKeyType="go"
+          placeholderTextColor="#999"
+          editable={!disabled}
+        />
+        <TouchableOpacity
+          style={[styles.manualButton, (!manualCode.trim() || disabled) && styles.manualButtonDisabled]}
+          onPress={handleManualSubmit}
+          disabled={!manualCode.trim() || disabled}
+        >
+          <MaterialIcons name="arrow-forward" size={20} color="#fff" />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 12,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#333',
+  },
+  cameraFrame: {
+    height: 240,
+    borderRadius: 8,
+    overflow: 'hidden',
+    backgroundColor: '#000',
+  },
+  camera: {
+    flex: 1,
+  },
+  permission: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 12,
+    padding: 16,
+    backgroundColor: '#f0f0f0',
+  },
+  permissionText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#999',
+  },
+  manualRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  manualInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#333',
+    backgroundColor: '#fff',
+  },
+  manualButton: {
+    width: 44,
+    borderRadius: 8,
+    backgroundColor: '#2196F3',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  manualButtonDisabled: {
+    opacity: 0.5,
+  },
+});
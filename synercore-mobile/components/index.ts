@@ -29,3 +29,6 @@ export type { ShipmentCardProps, Shipment } from './ShipmentCard';
 
 export { ErrorBoundary } from './ErrorBoundary';
 export type { ErrorBoundaryProps } from './ErrorBoundary';
+
+export { BarcodeScanner } from './BarcodeScanner';
+export type { BarcodeScannerProps } from './BarcodeScanner';
@@ -21,3 +21,6 @@ export type { Shipment, UseShipmentsState, UseShipmentsActions } from './useShip
 
 export { useSingleShipment } from './useSingleShipment';
 export type { ShipmentDetail, UseSingleShipmentState, UseSingleShipmentActions } from './useSingleShipment';
+
+export { useReceiving } from './useReceiving';
+export type { UseReceivingState, UseReceivingActions } from './useReceiving';
@@ -0,0 +1,136 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { apiService, receivingService, syncService } from '@/services';
+import { ApiError } from '@/services/api';
+import type { ReceivingStepRequest } from '@/services/receiving';
+import { effectiveStatus, shipmentField, stageFor, type ReceivingStage } from '@/utils/receiving';
+
+export interface UseReceivingState {
+  shipment: Record<string, any> | null;
+  status: string | null;
+  stage: ReceivingStage | null;
+  queuedSteps: number;
+  isOffline: boolean;
+  isLoading: boolean;
+  isSubmitting: boolean;
+  error: Error | null;
+}
+
+export interface UseReceivingActions {
+  refresh: () => Promise<void>;
+  runSteps: (steps: ReceivingStepRequest[]) => Promise<{ queued: boolean }>;
+}
+
+/**
+ * useReceiving Hook
+ * Take a scanned shipment through unloading, inspection and receiving.
+ * Steps that can't reach the server wait in the sync queue; status and
+ * stage are what the shipment will be once they have synced.
+ *
+ * @param shipmentId - The ID of the shipment being received
+ * @returns {UseReceivingState & UseReceivingActions} State and actions
+ *
+ * @example
+ * const { stage, runSteps } = useReceiving(shipmentId);
+ *
+ * await runSteps([{ step: 'start-unloading' }, { step: 'complete-unloading' }]);
+ */
+export function useReceiving(shipmentId: string): UseReceivingState & UseReceivingActions {
+  const [state, setState] = useState<UseReceivingState>({
+    shipment: null,
+    status: null,
+    stage: null,
+    queuedSteps: 0,
+    isOffline: false,
+    isLoading: false,
+    isSubmitting: false,
+    error: null,
+  });
+  const queuedRef = useRef(0);
+
+  const applyShipment = useCallback(
+    async (shipment: Record<string, any> | null, isOffline: boolean) => {
+      const queued = await syncService.getPendingReceivingSteps(shipmentId);
+      const status = effectiveStatus(shipmentField(shipment, 'latestStatus'), queued);
+      if (shipment) await receivingService.cacheShipment(shipment);
+      queuedRef.current = queued.length;
+
+      setState((prev) => ({
+        ...prev,
+        shipment: shipment || prev.shipment,
+        status,
+        stage: stageFor(status),
+        queuedSteps: queued.length,
+        isOffline,
+      }));
+    },
+    [shipmentId]
+  );
+
+  const fetchShipment = useCallback(async () => {
+    setState((prev) => ({ ...prev, isLoading: true, error: null }));
+
+    try {
+      const shipment = await apiService.getShipmentDetail(shipmentId);
+      await applyShipment(shipment, false);
+      setState((prev) => ({ ...prev, isLoading: false }));
+    } catch (error) {
+      // Offline: carry on from the copy kept when it was last opened
+      const cached =
+        error instanceof ApiError && error.status === undefined
+          ? await receivingService.getCachedShipment(shipmentId)
+          : null;
+      if (cached) {
+        await applyShipment(cached, true);
+        setState((prev) => ({ ...prev, isLoading: false }));
+        return;
+      }
+
+      setState((prev) => ({
+        ...prev,
+        isLoading: false,
+        error: error instanceof Error ? error : new Error('Failed to load shipment'),
+      }));
+    }
+  }, [shipmentId, applyShipment]);
+
+  const refresh = useCallback(async () => {
+    await fetchShipment();
+  }, [fetchShipment]);
+
+  const runSteps = useCallback(
+    async (steps: ReceivingStepRequest[]) => {
+      setState((prev) => ({ ...prev, isSubmitting: true, error: null }));
+
+      try {
+        const { queued, shipment } = await receivingService.runSteps(shipmentId, steps);
+        await applyShipment(shipment || state.shipment, queued);
+        setState((prev) => ({ ...prev, isSubmitting: false }));
+        return { queued };
+      } catch (error) {
+        setState((prev) => ({ ...prev, isSubmitting: false }));
+        // The server may have taken some of the steps before rejecting one
+        await fetchShipment();
+        throw error;
+      }
+    },
+    [shipmentId, state.shipment, applyShipment, fetchShipment]
+  );
+
+  // Queued steps syncing in the background move the shipment on
+  useEffect(() => {
+    return syncService.onSyncStatusChange((isSyncing) => {
+      if (!isSyncing && queuedRef.current > 0) fetchShipment();
+    });
+  }, [fetchShipment]);
+
+  // Load shipment on mount
+  useEffect(() => {
+    fetchShipment();
+  }, [fetchShipment]);
+
+  return {
+    ...state,
+    refresh,
+    runSteps,
+  };
+}
@@ -50,6 +50,20 @@ export interface Shipment {
   };
 }
 
+/**
+ * A failed request, with the HTTP status when the server answered (none
+ * means the request never reached it)
+ */
+export class ApiError extends Error {
+  status?: number;
+
+  constructor(message: string, status?: number) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
 export interface ShipmentFilters {
   status?: string;
   origin?: string;
@@ -189,6 +203,33 @@ class ApiService {
     }
   }
 
+  /**
+   * Post one step of the unloading, inspection and receiving workflow
+   * (e.g. 'start-unloading', 'complete-receiving')
+   */
+  async receivingStep(shipmentId: string, step: string, data: Record<string, any> = {}): Promise<any> {
+    try {
+      const response = await this.api.post(`/shipments/${shipmentId}/${step}`, data);
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * The shipment a scanned pallet label code (or order ref) belongs to
+   */
+  async scanLabel(code: string): Promise<{ shipment: Shipment; label: any | null }> {
+    try {
+      const response = await this.api.get<{ shipment: Shipment; label: any | null }>(
+        `/pallet-labels/scan/${encodeURIComponent(code)}`
+      );
+      return response.data;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
   // ==================== PRODUCTS ====================
 
   async getProducts(
@@ -404,28 +445,31 @@ class ApiService {
     if (axios.isAxiosError(error)) {
       // Network error
       if (!error.response) {
-        return new Error('Network error. Please check your connection.');
+        return new ApiError('Network error. Please check your connection.');
       }
 
+      const status = error.response.status;
+
       // Server error with message
-      if (error.response?.data?.message) {
-        return new Error(error.response.data.message);
+      const data: any = error.response.data;
+      if (data?.message || data?.error) {
+        return new ApiError(data.message || data.error, status);
       }
 
       // HTTP status errors
-      switch (error.response?.status) {
+      switch (status) {
         case 400:
-          return new Error('Invalid request. Please check your input.');
+          return new ApiError('Invalid request. Please check your input.', status);
         case 401:
-          return new Error('Unauthorized. Please login again.');
+          return new ApiError('Unauthorized. Please login again.', status);
         case 403:
-          return new Error('You do not have permission to perform this action.');
+          return new ApiError('You do not have permission to perform this action.', status);
         case 404:
-          return new Error('Resource not found.');
+          return new ApiError('Resource not found.', status);
         case 500:
-          return new Error('Server error. Please try again later.');
+          return new ApiError('Server error. Please try again later.', status);
         default:
-          return new Error(`Error: ${error.response?.status}`);
+          return new ApiError(`Error: ${status}`, status);
       }
     }
 
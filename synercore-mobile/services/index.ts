@@ -2,5 +2,6 @@
 export { authService } from './auth';
 export { apiService } from './api';
 export { syncService } from './sync';
+export { receivingService } from './receiving';
 export { notificationService } from './notifications';
 export { initializeApp, cleanupApp } from './init';
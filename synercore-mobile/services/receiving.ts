@@ -0,0 +1,105 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { apiService, ApiError } from './api';
+import { syncService } from './sync';
+import { effectiveStatus, shipmentField, stageFor, type ReceivingStep } from '@/utils/receiving';
+
+export interface ReceivingStepRequest {
+  step: ReceivingStep;
+  body?: Record<string, any>;
+}
+
+const RECEIVING_SHIPMENTS_KEY = '@synercore_receiving_shipments';
+
+/**
+ * Posts receiving workflow steps, queueing them in the sync service when the
+ * server can't be reached, and keeps the shipments being received on the
+ * device so a scan still finds them offline.
+ */
+class ReceivingService {
+  async getCachedShipments(): Promise<Record<string, any>[]> {
+    try {
+      const data = await AsyncStorage.getItem(RECEIVING_SHIPMENTS_KEY);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Failed to get cached receiving shipments:', error);
+      return [];
+    }
+  }
+
+  async getCachedShipment(shipmentId: string): Promise<Record<string, any> | null> {
+    const shipments = await this.getCachedShipments();
+    return shipments.find((s) => String(s.id) === String(shipmentId)) || null;
+  }
+
+  /**
+   * Keep a shipment's latest copy, dropping it once it has been stored and
+   * has nothing left to sync
+   */
+  async cacheShipment(shipment: Record<string, any>): Promise<void> {
+    try {
+      const queued = await syncService.getPendingReceivingSteps(String(shipment.id));
+      const status = effectiveStatus(shipmentField(shipment, 'latestStatus'), queued);
+      const shipments = (await this.getCachedShipments()).filter((s) => String(s.id) !== String(shipment.id));
+      if (stageFor(status) !== 'done' || queued.length > 0) shipments.push(shipment);
+      await AsyncStorage.setItem(RECEIVING_SHIPMENTS_KEY, JSON.stringify(shipments));
+    } catch (error) {
+      console.error('Failed to cache receiving shipment:', error);
+    }
+  }
+
+  /**
+   * The shipment a scanned code opens: a pallet label or order ref looked up
+   * on the server, or offline an order ref among the cached shipments
+   */
+  async findByScan(code: string): Promise<{ shipment: Record<string, any>; offline: boolean }> {
+    try {
+      const { shipment } = await apiService.scanLabel(code);
+      return { shipment, offline: false };
+    } catch (error) {
+      if (!(error instanceof ApiError) || error.status !== undefined) throw error;
+
+      const value = code.trim().toUpperCase();
+      const cached = (await this.getCachedShipments()).find(
+        (s) => String(shipmentField(s, 'orderRef') || '').toUpperCase() === value
+      );
+      if (!cached) {
+        throw new Error(`You are offline and ${code.trim()} is not among the shipments on this device`);
+      }
+      return { shipment: cached, offline: true };
+    }
+  }
+
+  /**
+   * Post steps in order. Once a step can't reach the server it and the
+   * steps after it are queued; steps also queue behind any already waiting,
+   * so the server sees them in the order they were taken. A step the server
+   * rejects stops the run with its error.
+   */
+  async runSteps(shipmentId: string, steps: ReceivingStepRequest[]): Promise<{ queued: boolean; shipment: any }> {
+    let queued = (await syncService.getPendingReceivingSteps(shipmentId)).length > 0;
+    let shipment: any = null;
+
+    for (const { step, body } of steps) {
+      if (!queued) {
+        try {
+          const response = await apiService.receivingStep(shipmentId, step, body);
+          shipment = response?.data || shipment;
+          continue;
+        } catch (error) {
+          if (!(error instanceof ApiError) || error.status !== undefined) throw error;
+          queued = true;
+        }
+      }
+      await syncService.addPendingAction(
+        'receiving_step',
+        `/shipments/${shipmentId}/${step}`,
+        'POST',
+        { shipmentId, step, body }
+      );
+    }
+
+    return { queued, shipment };
+  }
+}
+
+export const receivingService = new ReceivingService();
@@ -1,9 +1,10 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { apiService } from './api';
+import { apiService, ApiError } from './api';
+import { isStepDone, shipmentField, stepReaches, type ReceivingStep } from '@/utils/receiving';
 
 export interface PendingAction {
   id: string;
-  type: 'update_status' | 'upload_document' | 'update_profile';
+  type: 'update_status' | 'upload_document' | 'update_profile' | 'receiving_step';
   endpoint: string;
   method: 'POST' | 'PUT' | 'DELETE';
   data: any;
@@ -91,15 +92,22 @@ class SyncService {
 
     try {
       const actions = await this.getPendingActions();
+      // Receiving steps must reach the server in order, so once one fails
+      // the later steps for that shipment wait for the next sync
+      const heldShipments = new Set<string>();
 
       console.log(`Syncing ${actions.length} pending actions...`);
 
       for (const action of actions) {
+        if (action.type === 'receiving_step' && heldShipments.has(action.data.shipmentId)) continue;
+
         try {
           await this.executeAction(action);
           await this.removePendingAction(action.id);
           console.log(`Successfully synced action: ${action.id}`);
         } catch (error) {
+          if (action.type === 'receiving_step') heldShipments.add(action.data.shipmentId);
+
           // Increment retries
           action.retries++;
 
@@ -151,11 +159,49 @@ class SyncService {
         await apiService.updateProfile(action.data);
         break;
 
+      case 'receiving_step':
+        await this.executeReceivingStep(action.data);
+        break;
+
       default:
         throw new Error(`Unknown action type: ${action.type}`);
     }
   }
 
+  /**
+   * Replay a receiving step. A step the shipment is already past (taken on
+   * another device, or applied before the connection dropped) is rejected
+   * as a conflict; that counts as synced rather than failed.
+   */
+  private async executeReceivingStep(data: {
+    shipmentId: string;
+    step: ReceivingStep;
+    body?: Record<string, any>;
+  }): Promise<void> {
+    try {
+      await apiService.receivingStep(data.shipmentId, data.step, data.body);
+    } catch (error) {
+      if (error instanceof ApiError && error.status === 409) {
+        const shipment: any = await apiService.getShipmentDetail(data.shipmentId);
+        const status = shipmentField(shipment, 'latestStatus');
+        if (status === stepReaches(data.step, data.body) || isStepDone(status, data.step)) return;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Receiving steps still queued for a shipment, oldest first
+   */
+  async getPendingReceivingSteps(
+    shipmentId: string
+  ): Promise<Array<{ step: ReceivingStep; body?: Record<string, any> }>> {
+    const actions = await this.getPendingActions();
+    return actions
+      .filter((a) => a.type === 'receiving_step' && a.data.shipmentId === shipmentId)
+      .map((a) => ({ step: a.data.step, body: a.data.body }));
+  }
+
   startAutoSync(interval: number = SYNC_INTERVAL): void {
     if (this.syncInterval) return;
 
@@ -0,0 +1,126 @@
+/**
+ * Receiving workflow helpers for the scan-to-receive screens
+ *
+ * A shipment that has arrived at a warehouse is taken through unloading,
+ * inspection and receiving by posting each workflow step in turn. Steps
+ * taken offline wait in the sync queue, so the screens work from the
+ * furthest status the shipment will have once the queue has synced.
+ */
+
+export type ReceivingStep =
+  | 'start-unloading'
+  | 'complete-unloading'
+  | 'start-inspection'
+  | 'complete-inspection'
+  | 'start-receiving'
+  | 'complete-receiving';
+
+export type ReceivingStage = 'unload' | 'inspect' | 'receive' | 'done';
+
+// Workflow statuses in the order a shipment moves through them
+const STATUS_ORDER = [
+  'arrived',
+  'unloading',
+  'inspection_pending',
+  'inspecting',
+  'inspection_passed',
+  'receiving',
+  'stored',
+];
+
+const ARRIVED_STATUSES = ['arrived_pta', 'arrived_klm', 'arrived_offsite'];
+
+/**
+ * Each step with the status the shipment is left in once the server accepts it
+ */
+export const RECEIVING_STEPS: Array<{ step: ReceivingStep; stage: ReceivingStage; reaches: string }> = [
+  { step: 'start-unloading', stage: 'unload', reaches: 'unloading' },
+  { step: 'complete-unloading', stage: 'unload', reaches: 'inspection_pending' },
+  { step: 'start-inspection', stage: 'inspect', reaches: 'inspecting' },
+  { step: 'complete-inspection', stage: 'inspect', reaches: 'inspection_passed' },
+  { step: 'start-receiving', stage: 'receive', reaches: 'receiving' },
+  { step: 'complete-receiving', stage: 'receive', reaches: 'stored' },
+];
+
+/**
+ * Position of a status in the workflow, -1 for a status outside it
+ */
+export function statusRank(status?: string | null): number {
+  if (!status) return -1;
+  if (ARRIVED_STATUSES.includes(status)) return 0;
+  // A failed inspection waits to be inspected again
+  if (status === 'inspection_failed') return STATUS_ORDER.indexOf('inspection_pending');
+  if (status === 'received') return STATUS_ORDER.indexOf('stored');
+  return STATUS_ORDER.indexOf(status);
+}
+
+/**
+ * Whether the server already has a shipment at or past the status a step leads to
+ */
+export function isStepDone(status: string | null | undefined, step: ReceivingStep): boolean {
+  const entry = RECEIVING_STEPS.find((s) => s.step === step);
+  return !!entry && statusRank(status) >= statusRank(entry.reaches);
+}
+
+/**
+ * The status a step leaves the shipment in, given what was posted with it
+ */
+export function stepReaches(step: ReceivingStep, body?: Record<string, any>): string | null {
+  if (step === 'complete-inspection' && body?.passed === false) return 'inspection_failed';
+  return RECEIVING_STEPS.find((s) => s.step === step)?.reaches || null;
+}
+
+/**
+ * The status a shipment will have once its queued steps (oldest first) have
+ * synced; steps the server is already past change nothing
+ */
+export function effectiveStatus(
+  status: string | null | undefined,
+  queued: Array<{ step: ReceivingStep; body?: Record<string, any> }>
+): string | null {
+  let current = status || null;
+  for (const { step, body } of queued) {
+    if (!isStepDone(status, step)) current = stepReaches(step, body) || current;
+  }
+  return current;
+}
+
+/**
+ * The stage of the scan flow a shipment in this status is at, or null when
+ * it has not arrived yet (or has left the warehouse workflow)
+ */
+export function stageFor(status: string | null | undefined): ReceivingStage | null {
+  const rank = statusRank(status);
+  if (rank < 0) return null;
+  if (rank >= statusRank('stored')) return 'done';
+  if (rank >= statusRank('inspection_passed')) return 'receive';
+  if (rank >= statusRank('inspection_pending')) return 'inspect';
+  return 'unload';
+}
+
+/**
+ * Steps still to post to finish a stage from the current status
+ */
+export function stepsForStage(status: string | null | undefined, stage: ReceivingStage): ReceivingStep[] {
+  return RECEIVING_STEPS.filter((s) => s.stage === stage && !isStepDone(status, s.step)).map((s) => s.step);
+}
+
+/**
+ * A quantity shared evenly across pallets as a starting point for the count,
+ * the remainder going on the first pallets
+ */
+export function splitPallets(quantity: number, pallets: number): number[] {
+  const count = Math.max(1, Math.round(Number(pallets) || 0));
+  const total = Math.max(0, Math.round(Number(quantity) || 0));
+  const base = Math.floor(total / count);
+  return Array.from({ length: count }, (_, i) => base + (i < total % count ? 1 : 0));
+}
+
+/**
+ * Read a shipment field sent either camelCase or snake_case
+ */
+export function shipmentField(shipment: Record<string, any> | null | undefined, field: string): any {
+  if (!shipment) return undefined;
+  const snake = field.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+  return shipment[field] !== undefined ? shipment[field] : shipment[snake];
+}
@@ -45,7 +45,8 @@ export default defineConfig({
     rollupOptions: {
       input: {
         main: './index.html',
-        supplier: './supplier.html'
+        supplier: './supplier.html',
+        carrier: './carrier.html'
       },
       output: {
         manualChunks: (id) => {